@@ -5,6 +5,21 @@ import videoRoutes from './routes/videoRoutes.js';
 import imageRoutes from './routes/imageRoutes.js';
 import callRoutes from './routes/callRoutes.js';
 import audioRoutes from './routes/audioRoutes.js';
+import jobRoutes from './routes/jobRoutes.js';
+import taskRoutes from './routes/taskRoutes.js';
+import catalogRoutes from './routes/catalogRoutes.js';
+import subscriptionRoutes from './routes/subscriptionRoutes.js';
+import podcastRoutes from './routes/podcastRoutes.js';
+import inboxRoutes from './routes/inboxRoutes.js';
+import failedVideoRoutes from './routes/failedVideoRoutes.js';
+import blacklistRoutes from './routes/blacklistRoutes.js';
+import fingerprintRoutes from './routes/fingerprintRoutes.js';
+import glossaryRoutes from './routes/glossaryRoutes.js';
+import { initializeJobQueue } from './services/jobQueueService.js';
+import { initializeCallCatalog } from './services/callCatalogService.js';
+import { initializeSubscriptions } from './services/subscriptionService.js';
+import { initializeInbox } from './services/inboxService.js';
+import { initializeFailedVideos } from './services/failedVideoService.js';
 import config from './config/config.js';
 
 const app = express();
@@ -55,6 +70,16 @@ app.use('/api/video', videoRoutes);
 app.use('/api/image', imageRoutes);
 app.use('/api/calls', callRoutes);
 app.use('/api/audio', audioRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/tasks', taskRoutes);
+app.use('/api/catalog', catalogRoutes);
+app.use('/api/subscriptions', subscriptionRoutes);
+app.use('/api/podcast', podcastRoutes);
+app.use('/api/inbox', inboxRoutes);
+app.use('/api/failed-videos', failedVideoRoutes);
+app.use('/api/blacklist', blacklistRoutes);
+app.use('/api/fingerprints', fingerprintRoutes);
+app.use('/api/glossaries', glossaryRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -80,6 +105,31 @@ app.listen(PORT, () => {
   console.log(`✅ Servidor corriendo en http://localhost:${PORT}`);
   console.log(`📚 Documentación Swagger disponible en http://localhost:${PORT}/api-docs`);
   console.log(`🎬 Endpoint de procesamiento: POST http://localhost:${PORT}/api/video/process`);
+
+  // Sincronizar el catálogo de llamadas con los JSON de storage/calls
+  initializeCallCatalog().catch((error) => {
+    console.error('❌ Error al inicializar el catálogo de llamadas:', error.message);
+  });
+
+  // Reanudar los trabajos que quedaron pendientes en la cola
+  initializeJobQueue().catch((error) => {
+    console.error('❌ Error al inicializar la cola de trabajos:', error.message);
+  });
+
+  // Iniciar el planificador de suscripciones a canales y playlists
+  initializeSubscriptions().catch((error) => {
+    console.error('❌ Error al inicializar las suscripciones:', error.message);
+  });
+
+  // Vigilar la bandeja de entrada de audios y transcripciones
+  initializeInbox().catch((error) => {
+    console.error('❌ Error al inicializar la bandeja de entrada:', error.message);
+  });
+
+  // Iniciar los reintentos automáticos de videos fallidos
+  initializeFailedVideos().catch((error) => {
+    console.error('❌ Error al inicializar los videos fallidos:', error.message);
+  });
 }).on('error', (err) => {
   if (err.code === 'EADDRINUSE') {
     console.error(`❌ Error: El puerto ${PORT} ya está en uso.`);
@@ -14,6 +14,62 @@ const config = {
     embeddingModel: process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small',
     embeddingDimensions: parseInt(process.env.OPENAI_EMBEDDING_DIMENSIONS || '1024', 10),
   },
+  // Proveedor de LLM para separación de llamadas, títulos, escenas, metadata y resúmenes
+  llm: {
+    // 'openai', 'openai-compatible' (servidor local estilo llama.cpp / Ollama) o 'fake' (respuestas deterministas para pruebas)
+    provider: process.env.LLM_PROVIDER || 'openai',
+    // URL base y clave del servidor compatible con OpenAI (solo provider = 'openai-compatible')
+    baseUrl: process.env.LLM_BASE_URL || 'http://localhost:11434/v1',
+    apiKey: process.env.LLM_API_KEY || '',
+    // Modelo por tarea (LLM_MODEL aplica a todas las tareas sin modelo propio)
+    models: {
+      callSeparation: process.env.LLM_MODEL_CALL_SEPARATION || process.env.LLM_MODEL || 'gpt-5.2',
+      title: process.env.LLM_MODEL_TITLE || process.env.LLM_MODEL || 'gpt-4o',
+      scene: process.env.LLM_MODEL_SCENE || process.env.LLM_MODEL || 'gpt-4o',
+      metadata: process.env.LLM_MODEL_METADATA || process.env.LLM_MODEL || 'gpt-4o',
+      summary: process.env.LLM_MODEL_SUMMARY || process.env.LLM_MODEL || 'gpt-4o',
+      translation: process.env.LLM_MODEL_TRANSLATION || process.env.LLM_MODEL || 'gpt-4o',
+      pii: process.env.LLM_MODEL_PII || process.env.LLM_MODEL || 'gpt-4o',
+    },
+    // Reintentos ante errores transitorios (conexión, 429, 5xx) con backoff exponencial
+    maxRetries: parseInt(process.env.LLM_MAX_RETRIES || '3', 10),
+    retryBaseDelayMs: parseInt(process.env.LLM_RETRY_BASE_DELAY_MS || '5000', 10),
+    retryMaxDelayMs: parseInt(process.env.LLM_RETRY_MAX_DELAY_MS || '30000', 10),
+    // Reintentar también cuando la respuesta no es un JSON válido ni reparable
+    retryOnInvalidJson: process.env.LLM_RETRY_ON_INVALID_JSON !== 'false',
+    timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS || '600000', 10),
+    // Respuestas del proveedor fake por tarea (JSON opcional: { "title": { "title": "..." } })
+    fakeResponsesPath: process.env.LLM_FAKE_RESPONSES_PATH || null,
+  },
+  // Separación de llamadas por ventanas para transcripciones que no entran en el contexto del modelo
+  callSeparation: {
+    // 'auto' (solo si el SRT supera maxChars), 'always' o 'never'
+    windowMode: process.env.CALL_SEPARATION_WINDOW_MODE || 'auto',
+    // Caracteres máximos del SRT para enviarlo en una sola solicitud
+    maxChars: parseInt(process.env.CALL_SEPARATION_MAX_CHARS || '300000', 10),
+    // Líneas (segmentos) por ventana y líneas compartidas entre ventanas consecutivas
+    windowLines: parseInt(process.env.CALL_SEPARATION_WINDOW_LINES || '1500', 10),
+    overlapLines: parseInt(process.env.CALL_SEPARATION_OVERLAP_LINES || '200', 10),
+    // Separación por señales del audio (canciones, cortinas, silencios), sin LLM:
+    // 'fallback' (si el LLM no está disponible o falla), 'crosscheck' (marca los bordes del LLM que no coinciden con el audio),
+    // 'both', 'only' (no usa el LLM) u 'off'
+    audioCues: process.env.CALL_SEPARATION_AUDIO_CUES || 'both',
+    audio: {
+      // Nivel (dBFS) bajo el cual un segundo de audio es silencio
+      silenceDb: parseFloat(process.env.CALL_SEPARATION_AUDIO_SILENCE_DB || '-45'),
+      // Duración mínima de un silencio o de música para considerarlo un corte entre llamadas
+      minSilenceSeconds: parseFloat(process.env.CALL_SEPARATION_AUDIO_MIN_SILENCE_SECONDS || '3'),
+      minMusicSeconds: parseFloat(process.env.CALL_SEPARATION_AUDIO_MIN_MUSIC_SECONDS || '8'),
+      // Música: proporción de tramas de 100 ms con menos de la mitad de la energía media (la voz tiene pausas, la música no)
+      // y variación de la tasa de cruces por cero (la voz alterna sonidos sonoros y sordos)
+      musicLowEnergyRatio: parseFloat(process.env.CALL_SEPARATION_AUDIO_MUSIC_LOW_ENERGY_RATIO || '0.2'),
+      musicZcrVariation: parseFloat(process.env.CALL_SEPARATION_AUDIO_MUSIC_ZCR_VARIATION || '0.8'),
+      // Duración mínima de un tramo de voz para proponerlo como llamada
+      minCallSeconds: parseFloat(process.env.CALL_SEPARATION_AUDIO_MIN_CALL_SECONDS || '60'),
+      // Diferencia máxima entre un borde del LLM y el borde de audio más cercano
+      toleranceSeconds: parseFloat(process.env.CALL_SEPARATION_AUDIO_TOLERANCE_SECONDS || '15'),
+    },
+  },
   embeddings: {
     // Usar embeddings locales o OpenAI: 'local' o 'openai'
     provider: process.env.EMBEDDING_PROVIDER || 'openai',
@@ -31,6 +87,55 @@ const config = {
     modelSize: process.env.WHISPER_MODEL_SIZE || 'base',
     // Dispositivo: cpu (siempre cpu en JavaScript, gpu requiere WebGPU)
     device: 'cpu',
+    // Timestamps por palabra (archivos .words.json para subtítulos karaoke)
+    wordTimestamps: process.env.WHISPER_WORD_TIMESTAMPS !== 'false',
+    // Duración objetivo de cada bloque de transcripción (se corta en silencios detectados por VAD)
+    chunkSeconds: parseInt(process.env.WHISPER_CHUNK_SECONDS || '300', 10),
+    // Audio extra transcrito a cada lado del bloque para no perder palabras en los cortes
+    chunkOverlapSeconds: parseFloat(process.env.WHISPER_CHUNK_OVERLAP_SECONDS || '2'),
+    // Ventana (antes del fin objetivo) en la que se busca un silencio para cortar
+    chunkSearchSeconds: parseInt(process.env.WHISPER_CHUNK_SEARCH_SECONDS || '60', 10),
+  },
+  // Cadena de fuentes de transcripción: si la calidad de una transcripción queda por debajo del umbral
+  // (o la fuente falla), se prueba la siguiente fuente de la cadena
+  transcription: {
+    fallbackEnabled: process.env.TRANSCRIPTION_FALLBACK_ENABLED !== 'false',
+    // Orden de la cadena (la fuente pedida en cada solicitud se prueba primero)
+    fallbackChain: (process.env.TRANSCRIPTION_FALLBACK_CHAIN || 'YOUTUBE,WHISPER-LOCAL,WHISPER-OpenAI')
+      .split(',')
+      .map(source => source.trim())
+      .filter(Boolean),
+    // Puntaje de calidad mínimo (0-1) para aceptar una transcripción sin probar la siguiente fuente
+    minQualityScore: parseFloat(process.env.TRANSCRIPTION_MIN_QUALITY_SCORE || '0.6'),
+    // Proporción del audio cubierta por segmentos a partir de la cual la cobertura puntúa completa
+    targetCoverage: parseFloat(process.env.TRANSCRIPTION_TARGET_COVERAGE || '0.7'),
+    // Rango de duración media de segmento (segundos) considerado normal
+    minAverageSegmentSeconds: parseFloat(process.env.TRANSCRIPTION_MIN_AVERAGE_SEGMENT_SECONDS || '1'),
+    maxAverageSegmentSeconds: parseFloat(process.env.TRANSCRIPTION_MAX_AVERAGE_SEGMENT_SECONDS || '30'),
+    // Limpieza de los subtítulos de YouTube (fuente YOUTUBE): une las líneas repetidas de los subtítulos
+    // automáticos, re-segmenta por oraciones y restaura puntuación y mayúsculas
+    youtubeCaptions: {
+      normalize: process.env.YOUTUBE_CAPTIONS_NORMALIZE !== 'false',
+      // Silencio entre palabras (segundos) que cierra una oración cuando los subtítulos no tienen puntuación
+      pauseSeconds: parseFloat(process.env.YOUTUBE_CAPTIONS_PAUSE_SECONDS || '0.8'),
+      // Límites de cada subtítulo re-segmentado
+      maxCueSeconds: parseFloat(process.env.YOUTUBE_CAPTIONS_MAX_CUE_SECONDS || '8'),
+      maxCueWords: parseInt(process.env.YOUTUBE_CAPTIONS_MAX_CUE_WORDS || '24', 10),
+    },
+  },
+  // Diarización de speakers en CPU (etiquetas Conductor / Llamante por segmento)
+  diarization: {
+    enabled: process.env.DIARIZATION_ENABLED !== 'false',
+    // Modelo de embeddings de voz (x-vectors)
+    model: process.env.DIARIZATION_MODEL || 'Xenova/wavlm-base-plus-sv',
+    // Similitud coseno mínima para considerar que dos fragmentos son del mismo speaker
+    similarityThreshold: parseFloat(process.env.DIARIZATION_SIMILARITY_THRESHOLD || '0.75'),
+    // Duración mínima de un segmento para calcular su embedding (los más cortos heredan el speaker vecino)
+    minSegmentSeconds: parseFloat(process.env.DIARIZATION_MIN_SEGMENT_SECONDS || '1'),
+    // Duración máxima de audio usada por segmento
+    maxWindowSeconds: parseFloat(process.env.DIARIZATION_MAX_WINDOW_SECONDS || '8'),
+    // Tiempo de habla mínimo para considerar un speaker (los clusters menores se absorben)
+    minSpeakerSeconds: parseFloat(process.env.DIARIZATION_MIN_SPEAKER_SECONDS || '10'),
   },
   youtube: {
     // Ruta al archivo de credenciales OAuth 2.0 descargado de Google Cloud Console
@@ -63,6 +168,18 @@ const config = {
     })(),
     // ID del canal de YouTube donde se subirán los videos (opcional)
     channelId: process.env.YOUTUBE_CHANNEL_ID || '',
+    // Subtítulos de la llamada (.srt) que se publican junto con el video subido
+    captions: {
+      upload: process.env.YOUTUBE_UPLOAD_CAPTIONS !== 'false',
+      language: process.env.YOUTUBE_UPLOAD_CAPTIONS_LANGUAGE || 'es',
+      name: process.env.YOUTUBE_UPLOAD_CAPTIONS_NAME || 'Español',
+      // Publicar las etiquetas de speaker ("[Conductor]", "[Llamante]") del .srt en los subtítulos
+      speakerLabels: process.env.YOUTUBE_UPLOAD_CAPTIONS_SPEAKER_LABELS === 'true',
+      // Volver a publicar los subtítulos cuando se edita la transcripción de una llamada ya subida
+      syncOnEdit: process.env.YOUTUBE_UPLOAD_CAPTIONS_SYNC_ON_EDIT !== 'false',
+    },
+    // URL base de la API de YouTube (vacía = googleapis.com); permite probar contra un servidor local que la imite
+    apiRootUrl: process.env.YOUTUBE_API_ROOT_URL || '',
   },
   server: {
     port: parseInt(process.env.PORT || '3000', 10),
@@ -74,6 +191,119 @@ const config = {
     tempPath: process.env.TEMP_PATH || join(__dirname, '../../storage/temp'),
     logsPath: process.env.LOGS_PATH || join(__dirname, '../../storage/logs'),
     shortBackgroundVideosPath: process.env.SHORT_BACKGROUND_VIDEOS_PATH || join(__dirname, '../../storage/short-backgrounds'),
+    jobsPath: process.env.JOBS_PATH || join(__dirname, '../../storage/jobs'),
+    // Bandeja de entrada vigilada: pares episodio.mp3 + episodio.srt (resultados en done/ y failed/), dentro de STORAGE_PATH salvo INBOX_PATH
+    inboxPath: process.env.INBOX_PATH || join(process.env.STORAGE_PATH || join(__dirname, '../../storage'), 'inbox'),
+    // Huellas acústicas de los episodios descargados (index.json + <videoId>.fp)
+    fingerprintsPath: process.env.FINGERPRINTS_PATH || join(__dirname, '../../storage/fingerprints'),
+  },
+  // Catálogo SQLite de los metadatos de las llamadas (índice de los JSON de callsPath)
+  catalog: {
+    dbPath: process.env.CATALOG_DB_PATH || join(__dirname, '../../storage/catalog.sqlite'),
+  },
+  // Cola de trabajos persistente (procesamiento de videos y playlists)
+  jobs: {
+    // Cantidad de trabajos que se ejecutan a la vez (cada trabajo tiene su propio paralelismo de videos)
+    maxConcurrency: parseInt(process.env.JOBS_MAX_CONCURRENCY || '1', 10),
+  },
+  // Suscripciones a canales y playlists (ingesta automática de videos nuevos)
+  subscriptions: {
+    // Cada cuántos segundos el planificador busca suscripciones con revisión vencida
+    schedulerIntervalSeconds: parseInt(process.env.SUBSCRIPTIONS_SCHEDULER_INTERVAL_SECONDS || '60', 10),
+    // Minutos entre revisiones de una suscripción (si no se indica al crearla)
+    defaultIntervalMinutes: parseInt(process.env.SUBSCRIPTIONS_DEFAULT_INTERVAL_MINUTES || '360', 10),
+    // Máximo de videos nuevos encolados por revisión (el resto queda para la siguiente)
+    maxVideosPerRun: parseInt(process.env.SUBSCRIPTIONS_MAX_VIDEOS_PER_RUN || '10', 10),
+    // Revisiones guardadas en el historial de cada suscripción
+    historyLimit: parseInt(process.env.SUBSCRIPTIONS_HISTORY_LIMIT || '20', 10),
+  },
+  // Ingesta de podcasts (feeds RSS/Atom)
+  podcasts: {
+    // Tiempo máximo para descargar el feed y cada audio de episodio
+    requestTimeoutMs: parseInt(process.env.PODCAST_REQUEST_TIMEOUT_MS || '30000', 10),
+    downloadTimeoutMs: parseInt(process.env.PODCAST_DOWNLOAD_TIMEOUT_MS || '1800000', 10),
+  },
+  // Bandeja de entrada (storage.inboxPath)
+  inbox: {
+    enabled: process.env.INBOX_ENABLED !== 'false',
+    // Segundos sin cambios de tamaño antes de considerar que un archivo terminó de copiarse
+    settleSeconds: parseInt(process.env.INBOX_SETTLE_SECONDS || '5', 10),
+    // Segundos que un .mp3 espera su .srt antes de procesarse sin transcripción
+    pairWaitSeconds: parseInt(process.env.INBOX_PAIR_WAIT_SECONDS || '300', 10),
+    // Escaneo periódico además de la vigilancia de la carpeta
+    scanIntervalSeconds: parseInt(process.env.INBOX_SCAN_INTERVAL_SECONDS || '30', 10),
+  },
+  // Detección de re-subidas por huella acústica antes de transcribir
+  fingerprint: {
+    enabled: process.env.FINGERPRINT_ENABLED !== 'false',
+    // Qué hacer con una re-subida de un episodio ya procesado: 'link' (omitir y vincular a las llamadas del original), 'skip' u 'process'
+    exactAction: process.env.FINGERPRINT_EXACT_ACTION || 'link',
+    partialAction: process.env.FINGERPRINT_PARTIAL_ACTION || 'link',
+    // Exacta: el audio en común cubre esta fracción de ambos episodios
+    exactMinCoverage: parseFloat(process.env.FINGERPRINT_EXACT_MIN_COVERAGE || '0.9'),
+    // Parcial: el audio en común cubre esta fracción del episodio nuevo
+    partialMinCoverage: parseFloat(process.env.FINGERPRINT_PARTIAL_MIN_COVERAGE || '0.5'),
+    // Segundos en común mínimos para informar un solapamiento (sin omitir el procesamiento)
+    minOverlapSeconds: parseInt(process.env.FINGERPRINT_MIN_OVERLAP_SECONDS || '60', 10),
+    // Tasa máxima de bits distintos para considerar que una ventana de ~4 s coincide
+    maxBitErrorRate: parseFloat(process.env.FINGERPRINT_MAX_BIT_ERROR_RATE || '0.35'),
+  },
+  // Glosarios por programa (storage/glossaries.json): corrección de nombres, jerga y sponsors tras transcribir
+  glossary: {
+    enabled: process.env.GLOSSARY_ENABLED !== 'false',
+    // Largo máximo del prompt inicial de Whisper armado con los términos (Whisper admite ~224 tokens)
+    maxPromptChars: parseInt(process.env.GLOSSARY_MAX_PROMPT_CHARS || '600', 10),
+  },
+  // Traducción de transcripciones, títulos, descripciones y tags (usa el proveedor de LLM, tarea 'translation')
+  translation: {
+    // Idioma de las transcripciones y metadatos originales
+    sourceLanguage: process.env.TRANSLATION_SOURCE_LANGUAGE || 'es',
+    // Idiomas que se traducen cuando la solicitud no indica ninguno (separados por coma, ej: en,pt-BR)
+    languages: (process.env.TRANSLATION_LANGUAGES || '').split(',').map(language => language.trim()).filter(Boolean),
+    // Textos (subtítulos) y caracteres máximos por solicitud al LLM
+    batchSize: parseInt(process.env.TRANSLATION_BATCH_SIZE || '40', 10),
+    maxBatchChars: parseInt(process.env.TRANSLATION_MAX_BATCH_CHARS || '6000', 10),
+    // Publicar las traducciones como localizaciones y pistas de subtítulos al subir el video a YouTube
+    uploadToYouTube: process.env.TRANSLATION_YOUTUBE_UPLOAD !== 'false',
+  },
+  // Detección y censura de datos personales de los llamantes (teléfonos, apellidos, direcciones, lugares de trabajo)
+  pii: {
+    // 'rules' (expresiones regulares), 'llm' (tarea 'pii' del proveedor de LLM) o 'both'
+    detector: process.env.PII_DETECTOR || 'rules',
+    // Categorías que se buscan: phone, email, id (RUT), address, surname, workplace
+    categories: (process.env.PII_CATEGORIES || 'phone,email,id,address,surname,workplace').split(',').map(category => category.trim()).filter(Boolean),
+    // Buscar datos personales en cada llamada nueva al procesar un video (quedan pendientes de revisión)
+    scanOnProcess: process.env.PII_SCAN_ON_PROCESS !== 'false',
+    // Texto que reemplaza los datos en el SRT, el resumen y las descripciones
+    mask: process.env.PII_MASK || '[censurado]',
+    // 'bleep' (tono) o 'mute' (silencio) sobre los rangos del audio
+    audioMode: process.env.PII_AUDIO_MODE || 'bleep',
+    bleepFrequency: parseInt(process.env.PII_BLEEP_FREQUENCY || '1000', 10),
+    // Segundos que se agregan antes y después de cada rango censurado
+    paddingSeconds: parseFloat(process.env.PII_PADDING_SECONDS || '0.15'),
+  },
+  // Videos fallidos (storage/failed_videos.json) y sus reintentos automáticos
+  failedVideos: {
+    autoRetry: process.env.FAILED_VIDEOS_AUTO_RETRY !== 'false',
+    // Cada cuántos segundos se buscan videos fallidos con reintento vencido
+    schedulerIntervalSeconds: parseInt(process.env.FAILED_VIDEOS_SCHEDULER_INTERVAL_SECONDS || '300', 10),
+    // Tope de la espera entre reintentos (backoff exponencial)
+    maxDelayMinutes: parseInt(process.env.FAILED_VIDEOS_MAX_DELAY_MINUTES || '10080', 10),
+    // Política por clase de error: reintentos automáticos y espera inicial (se duplica en cada intento)
+    retryPolicies: {
+      age_restricted: { maxRetries: 0, baseDelayMinutes: 0 },
+      private: { maxRetries: 2, baseDelayMinutes: 1440 },
+      removed: { maxRetries: 0, baseDelayMinutes: 0 },
+      network: { maxRetries: 5, baseDelayMinutes: 15 },
+      ai_error: { maxRetries: 4, baseDelayMinutes: 30 },
+      transcription_missing: { maxRetries: 3, baseDelayMinutes: 360 },
+      unknown: { maxRetries: 2, baseDelayMinutes: 60 },
+    },
+  },
+  // Registro unificado de tareas con progreso (/api/tasks)
+  tasks: {
+    // Minutos que se conservan las tareas finalizadas para poder consultarlas o reconectarse
+    finishedRetentionMinutes: parseInt(process.env.TASKS_FINISHED_RETENTION_MINUTES || '30', 10),
   },
   // Píxeles por segundo para generar el waveform del audio (UI y preview)
   waveform: {
@@ -0,0 +1,218 @@
+import { getBlacklist as getStoredBlacklist, getBlacklistEntry, addToBlacklist, updateBlacklistEntry, removeFromBlacklist, listBlacklistRules, createBlacklistRule as createStoredBlacklistRule, updateBlacklistRule as updateStoredBlacklistRule, deleteBlacklistRule as deleteStoredBlacklistRule } from '../services/blacklistService.js';
+import { extractVideoId } from '../services/youtubeService.js';
+import { logInfo, logError } from '../services/loggerService.js';
+
+/**
+ * Responde con el error de una operación sobre la lista negra
+ * @param {object} res - Response object
+ * @param {Error} error - Error lanzado por blacklistService
+ * @param {string} message - Mensaje general
+ */
+async function sendBlacklistError(res, error, message) {
+  if (!error.status) {
+    await logError(`${message}: ${error.message}`);
+  }
+  return res.status(error.status || 500).json({
+    error: message,
+    message: error.message,
+  });
+}
+
+/**
+ * Normaliza un texto opcional del body (vacío = null)
+ * @param {*} value - Valor recibido
+ * @returns {string|null|undefined} - undefined si no se envió
+ */
+function optionalText(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (value === null || String(value).trim() === '') {
+    return null;
+  }
+  return String(value).trim();
+}
+
+/**
+ * Obtiene la lista negra completa (videos y reglas)
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
+export async function getBlacklist(req, res) {
+  try {
+    const { videos, rules } = await getStoredBlacklist();
+    return res.json({
+      totalVideos: videos.length,
+      totalRules: rules.length,
+      videos,
+      rules,
+    });
+  } catch (error) {
+    return sendBlacklistError(res, error, 'Error al obtener la lista negra');
+  }
+}
+
+/**
+ * Agrega un video a la lista negra (sin eliminar sus llamadas)
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
+export async function addBlacklistVideo(req, res) {
+  try {
+    const { videoId: videoIdParam, youtubeUrl, reason, author } = req.body;
+    const videoId = videoIdParam ? String(videoIdParam).trim() : (youtubeUrl ? extractVideoId(youtubeUrl) : null);
+
+    if (!videoId) {
+      return res.status(400).json({
+        error: 'videoId o youtubeUrl es requerido',
+      });
+    }
+
+    if (await getBlacklistEntry(videoId)) {
+      return res.status(409).json({
+        error: 'El video ya está en la lista negra',
+      });
+    }
+
+    const entry = await addToBlacklist(videoId, {
+      reason: optionalText(reason) ?? null,
+      author: optionalText(author) ?? null,
+    });
+    await logInfo(`Video ${videoId} agregado a la lista negra`);
+
+    return res.status(201).json({
+      success: true,
+      entry,
+    });
+  } catch (error) {
+    return sendBlacklistError(res, error, 'Error al agregar a la lista negra');
+  }
+}
+
+/**
+ * Edita el motivo o el autor de un video de la lista negra
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
+export async function updateBlacklistVideo(req, res) {
+  try {
+    const entry = await updateBlacklistEntry(req.params.videoId, {
+      reason: optionalText(req.body.reason),
+      author: optionalText(req.body.author),
+    });
+    return res.json({
+      success: true,
+      entry,
+    });
+  } catch (error) {
+    return sendBlacklistError(res, error, 'Error al editar la lista negra');
+  }
+}
+
+/**
+ * Quita un video de la lista negra
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
+export async function removeBlacklistVideo(req, res) {
+  try {
+    const removed = await removeFromBlacklist(req.params.videoId);
+    if (!removed) {
+      return res.status(404).json({
+        error: 'El video no está en la lista negra',
+      });
+    }
+    await logInfo(`Video ${req.params.videoId} quitado de la lista negra`);
+    return res.json({
+      success: true,
+      message: 'Video quitado de la lista negra',
+    });
+  } catch (error) {
+    return sendBlacklistError(res, error, 'Error al quitar de la lista negra');
+  }
+}
+
+/**
+ * Lista las reglas de la lista negra
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
+export async function getBlacklistRules(req, res) {
+  try {
+    const rules = await listBlacklistRules();
+    return res.json({
+      total: rules.length,
+      rules,
+    });
+  } catch (error) {
+    return sendBlacklistError(res, error, 'Error al listar las reglas de la lista negra');
+  }
+}
+
+/**
+ * Crea una regla de la lista negra
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
+export async function createBlacklistRule(req, res) {
+  try {
+    const { name, reason, author, enabled, match } = req.body;
+    const rule = await createStoredBlacklistRule({
+      name: optionalText(name) ?? null,
+      reason: optionalText(reason) ?? null,
+      author: optionalText(author) ?? null,
+      enabled: enabled !== undefined ? Boolean(enabled) : true,
+      match,
+    });
+    await logInfo(`Regla de lista negra ${rule.id} creada`);
+
+    return res.status(201).json({
+      success: true,
+      rule,
+    });
+  } catch (error) {
+    return sendBlacklistError(res, error, 'Error al crear la regla');
+  }
+}
+
+/**
+ * Edita una regla de la lista negra
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
+export async function updateBlacklistRule(req, res) {
+  try {
+    const { name, reason, author, enabled, match } = req.body;
+    const rule = await updateStoredBlacklistRule(req.params.ruleId, {
+      name: optionalText(name),
+      reason: optionalText(reason),
+      author: optionalText(author),
+      enabled,
+      match,
+    });
+    return res.json({
+      success: true,
+      rule,
+    });
+  } catch (error) {
+    return sendBlacklistError(res, error, 'Error al editar la regla');
+  }
+}
+
+/**
+ * Elimina una regla de la lista negra
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
+export async function deleteBlacklistRule(req, res) {
+  try {
+    await deleteStoredBlacklistRule(req.params.ruleId);
+    await logInfo(`Regla de lista negra ${req.params.ruleId} eliminada`);
+    return res.json({
+      success: true,
+      message: 'Regla eliminada',
+    });
+  } catch (error) {
+    return sendBlacklistError(res, error, 'Error al eliminar la regla');
+  }
+}
@@ -4,6 +4,7 @@ import { existsSync, readFileSync } from 'fs';
 import config from '../config/config.js';
 import { processCall, generateEmbedding, findSimilarCalls, buildEmbeddingText, uploadCall, deleteFromPineconeByFileName } from '../services/pineconeService.js';
 import { logInfo, logError, logWarn } from '../services/loggerService.js';
+import { findCatalogCallByCallId } from '../services/callCatalogService.js';
 
 /**
  * Sube una llamada a Pinecone
@@ -20,25 +21,10 @@ export async function uploadCallToPinecone(req, res) {
     if (fileName) {
       targetFileName = fileName;
     } else if (callId) {
-      // Buscar el archivo por callId
-      const callsPath = config.storage.callsPath;
-      const files = await import('fs/promises').then(m => m.readdir(callsPath));
-      const jsonFiles = files.filter(f => f.endsWith('.json'));
-      
-      for (const file of jsonFiles) {
-        try {
-          const filePath = join(callsPath, file);
-          const content = await readFile(filePath, 'utf-8');
-          const metadata = JSON.parse(content);
-          
-          if (metadata.callId === callId) {
-            targetFileName = metadata.fileName || file.replace('.json', '');
-            break;
-          }
-        } catch (error) {
-          // Continuar con el siguiente archivo
-          continue;
-        }
+      // Buscar el archivo por callId en el catálogo
+      const catalogEntry = await findCatalogCallByCallId(callId);
+      if (catalogEntry) {
+        targetFileName = catalogEntry.metadata.fileName || catalogEntry.fileName;
       }
       
       if (!targetFileName) {
@@ -91,6 +77,7 @@ export async function uploadCallToPinecone(req, res) {
       pineconeUploaded: result.uploaded,
       pineconeId: result.pineconeId || metadata.pineconeId || null,
       pineconeUploadDate: result.uploaded ? new Date().toISOString() : (metadata.pineconeUploadDate || null),
+      pineconeNeedsReembed: result.uploaded ? false : Boolean(metadata.pineconeNeedsReembed), // Marcado al re-separar llamadas
     };
 
     // Guardar metadata actualizado
@@ -134,25 +121,10 @@ export async function revalidateCallInPinecone(req, res) {
     if (fileName) {
       targetFileName = fileName;
     } else if (callId) {
-      // Buscar el archivo por callId
-      const callsPath = config.storage.callsPath;
-      const files = await import('fs/promises').then(m => m.readdir(callsPath));
-      const jsonFiles = files.filter(f => f.endsWith('.json'));
-      
-      for (const file of jsonFiles) {
-        try {
-          const filePath = join(callsPath, file);
-          const content = await readFile(filePath, 'utf-8');
-          const metadata = JSON.parse(content);
-          
-          if (metadata.callId === callId) {
-            targetFileName = metadata.fileName || file.replace('.json', '');
-            break;
-          }
-        } catch (error) {
-          // Continuar con el siguiente archivo
-          continue;
-        }
+      // Buscar el archivo por callId en el catálogo
+      const catalogEntry = await findCatalogCallByCallId(callId);
+      if (catalogEntry) {
+        targetFileName = catalogEntry.metadata.fileName || catalogEntry.fileName;
       }
       
       if (!targetFileName) {
@@ -0,0 +1,68 @@
+import { queryCatalogCalls, rebuildCallCatalog } from '../services/callCatalogService.js';
+import { logError } from '../services/loggerService.js';
+
+/**
+ * Convierte un parámetro de query en booleano (undefined si no se envió)
+ * @param {string} value - Valor del query ('true' o 'false')
+ * @returns {boolean|undefined}
+ */
+function parseBooleanParam(value) {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return undefined;
+}
+
+/**
+ * Busca llamadas en el catálogo por texto, videoId, callId, tema, tags, fechas y estado de subida
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
+export async function searchCatalog(req, res) {
+  try {
+    const { q, videoId, callId, theme, tags, dateFrom, dateTo, pineconeUploaded, youtubeUploaded } = req.query;
+
+    const entries = await queryCatalogCalls({
+      text: q,
+      videoId,
+      callId,
+      theme,
+      tags: tags ? String(tags).split(',') : [],
+      dateFrom,
+      dateTo,
+      pineconeUploaded: parseBooleanParam(pineconeUploaded),
+      youtubeUploaded: parseBooleanParam(youtubeUploaded),
+    });
+
+    return res.json({
+      total: entries.length,
+      calls: entries.map(entry => ({ ...entry.metadata, fileName: entry.fileName })),
+    });
+  } catch (error) {
+    await logError(`Error en searchCatalog: ${error.message}`);
+    return res.status(500).json({
+      error: 'Error al buscar en el catálogo',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Reconstruye el catálogo desde los JSON de las llamadas
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
+export async function rebuildCatalog(req, res) {
+  try {
+    const stats = await rebuildCallCatalog();
+    return res.json({
+      success: true,
+      ...stats,
+    });
+  } catch (error) {
+    await logError(`Error en rebuildCatalog: ${error.message}`);
+    return res.status(500).json({
+      error: 'Error al reconstruir el catálogo',
+      message: error.message,
+    });
+  }
+}
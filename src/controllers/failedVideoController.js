@@ -0,0 +1,144 @@
+import { ERROR_CLASSES, getRetryPolicy, listFailedVideos as listStoredFailedVideos, getFailedVideo as getStoredFailedVideo, retryFailedVideo as retryStoredFailedVideo, retryFailedVideos, deleteFailedVideo as deleteStoredFailedVideo } from '../services/failedVideoService.js';
+import { logError } from '../services/loggerService.js';
+
+/**
+ * Responde con el error de una operación sobre los videos fallidos
+ * @param {object} res - Response object
+ * @param {Error} error - Error lanzado por failedVideoService
+ * @param {string} message - Mensaje general
+ */
+async function sendFailedVideoError(res, error, message) {
+  if (!error.status) {
+    await logError(`${message}: ${error.message}`);
+  }
+  return res.status(error.status || 500).json({
+    error: message,
+    message: error.message,
+  });
+}
+
+/**
+ * Valida el parámetro errorClass opcional
+ * @param {*} errorClass - Valor recibido
+ * @returns {boolean}
+ */
+function isValidErrorClass(errorClass) {
+  return errorClass === undefined || errorClass === null || ERROR_CLASSES.includes(errorClass);
+}
+
+/**
+ * Lista los videos fallidos con su clase de error y el estado de sus reintentos
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
+export async function listFailedVideos(req, res) {
+  try {
+    const { errorClass } = req.query;
+    if (!isValidErrorClass(errorClass)) {
+      return res.status(400).json({
+        error: `errorClass debe ser uno de: ${ERROR_CLASSES.join(', ')}`,
+      });
+    }
+
+    const failedVideos = await listStoredFailedVideos({ errorClass });
+
+    // Conteo por clase sobre toda la lista (no solo la filtrada)
+    const allFailedVideos = errorClass ? await listStoredFailedVideos() : failedVideos;
+    const byClass = Object.fromEntries(ERROR_CLASSES.map(errorClassName => [errorClassName, 0]));
+    allFailedVideos.forEach((entry) => {
+      byClass[entry.errorClass] = (byClass[entry.errorClass] || 0) + 1;
+    });
+
+    return res.json({
+      total: failedVideos.length,
+      byClass,
+      retryPolicies: Object.fromEntries(ERROR_CLASSES.map(errorClassName => [errorClassName, getRetryPolicy(errorClassName)])),
+      failedVideos,
+    });
+  } catch (error) {
+    return sendFailedVideoError(res, error, 'Error al listar videos fallidos');
+  }
+}
+
+/**
+ * Obtiene un video fallido
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
+export async function getFailedVideo(req, res) {
+  try {
+    const failedVideo = await getStoredFailedVideo(req.params.videoId);
+    if (!failedVideo) {
+      return res.status(404).json({
+        error: 'Video fallido no encontrado',
+      });
+    }
+    return res.json(failedVideo);
+  } catch (error) {
+    return sendFailedVideoError(res, error, 'Error al obtener el video fallido');
+  }
+}
+
+/**
+ * Reintenta un video fallido (encola un trabajo 'process-video')
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
+export async function retryFailedVideo(req, res) {
+  try {
+    const job = await retryStoredFailedVideo(req.params.videoId);
+    return res.status(202).json({
+      jobId: job.jobId,
+      videoIds: job.videoIds,
+      message: 'Trabajo encolado. Consultar el estado en /api/jobs/' + job.jobId,
+    });
+  } catch (error) {
+    return sendFailedVideoError(res, error, 'Error al reintentar el video fallido');
+  }
+}
+
+/**
+ * Reintenta todos los videos fallidos, opcionalmente solo los de una clase de error
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
+export async function retryAllFailedVideos(req, res) {
+  try {
+    const { errorClass } = req.body || {};
+    if (!isValidErrorClass(errorClass)) {
+      return res.status(400).json({
+        error: `errorClass debe ser uno de: ${ERROR_CLASSES.join(', ')}`,
+      });
+    }
+
+    const failedVideos = await listStoredFailedVideos({ errorClass });
+    const { jobs, skipped } = await retryFailedVideos(failedVideos.map(entry => entry.videoId));
+    const queued = jobs.reduce((total, job) => total + job.videoIds.length, 0);
+
+    return res.status(queued > 0 ? 202 : 200).json({
+      success: true,
+      queued,
+      skipped,
+      jobs,
+    });
+  } catch (error) {
+    return sendFailedVideoError(res, error, 'Error al reintentar los videos fallidos');
+  }
+}
+
+/**
+ * Quita un video de la lista de fallidos sin reintentarlo
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
+export async function deleteFailedVideo(req, res) {
+  try {
+    await deleteStoredFailedVideo(req.params.videoId);
+    return res.json({
+      success: true,
+      message: 'Video quitado de la lista de fallidos',
+    });
+  } catch (error) {
+    return sendFailedVideoError(res, error, 'Error al eliminar el video fallido');
+  }
+}
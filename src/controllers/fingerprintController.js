@@ -0,0 +1,82 @@
+import { listFingerprints as listStoredFingerprints, listOverlaps as listStoredOverlaps, allowDuplicate } from '../services/audioFingerprintService.js';
+import { logInfo, logError } from '../services/loggerService.js';
+
+const OVERLAP_TYPES = ['exact', 'partial', 'overlap'];
+
+/**
+ * Responde con el error de una operación sobre las huellas acústicas
+ * @param {object} res - Response object
+ * @param {Error} error - Error lanzado por audioFingerprintService
+ * @param {string} message - Mensaje general
+ */
+async function sendFingerprintError(res, error, message) {
+  if (!error.status) {
+    await logError(`${message}: ${error.message}`);
+  }
+  return res.status(error.status || 500).json({
+    error: message,
+    message: error.message,
+  });
+}
+
+/**
+ * Lista los episodios con huella acústica
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
+export async function listFingerprints(req, res) {
+  try {
+    const fingerprints = await listStoredFingerprints();
+    return res.json({
+      total: fingerprints.length,
+      duplicates: fingerprints.filter(entry => entry.duplicateOf).length,
+      fingerprints,
+    });
+  } catch (error) {
+    return sendFingerprintError(res, error, 'Error al listar las huellas acústicas');
+  }
+}
+
+/**
+ * Lista los pares de episodios que comparten audio
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
+export async function listOverlaps(req, res) {
+  try {
+    const { videoId, type } = req.query;
+
+    if (type && !OVERLAP_TYPES.includes(type)) {
+      return res.status(400).json({
+        error: `type debe ser uno de: ${OVERLAP_TYPES.join(', ')}`,
+      });
+    }
+
+    const overlaps = await listStoredOverlaps({ videoId, type });
+    return res.json({
+      total: overlaps.length,
+      overlaps,
+    });
+  } catch (error) {
+    return sendFingerprintError(res, error, 'Error al listar los episodios superpuestos');
+  }
+}
+
+/**
+ * Permite procesar un episodio marcado como re-subida
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
+export async function allowDuplicateFingerprint(req, res) {
+  try {
+    const entry = await allowDuplicate(req.params.videoId);
+    await logInfo(`Re-subida ${req.params.videoId} habilitada para procesarse`);
+    return res.json({
+      success: true,
+      entry,
+      message: 'El video se procesará normalmente la próxima vez',
+    });
+  } catch (error) {
+    return sendFingerprintError(res, error, 'Error al habilitar la re-subida');
+  }
+}
@@ -0,0 +1,139 @@
+import { listGlossaries as listStoredGlossaries, getGlossary as getStoredGlossary, createGlossary as createStoredGlossary, updateGlossary as updateStoredGlossary, deleteGlossary as deleteStoredGlossary, reapplyGlossary } from '../services/glossaryService.js';
+import { logInfo, logError } from '../services/loggerService.js';
+
+/**
+ * Responde con el error de una operación sobre los glosarios
+ * @param {object} res - Response object
+ * @param {Error} error - Error lanzado por glossaryService
+ * @param {string} message - Mensaje general
+ */
+async function sendGlossaryError(res, error, message) {
+  if (!error.status) {
+    await logError(`${message}: ${error.message}`);
+  }
+  return res.status(error.status || 500).json({
+    error: message,
+    message: error.message,
+  });
+}
+
+/**
+ * Normaliza un filtro del body que puede venir como texto o como lista
+ * @param {*} value - Valor recibido
+ * @returns {Array<string>}
+ */
+function toList(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return (Array.isArray(value) ? value : [value]).map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Lista los glosarios
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
+export async function listGlossaries(req, res) {
+  try {
+    const glossaries = await listStoredGlossaries();
+    return res.json({
+      total: glossaries.length,
+      glossaries,
+    });
+  } catch (error) {
+    return sendGlossaryError(res, error, 'Error al listar los glosarios');
+  }
+}
+
+/**
+ * Obtiene un glosario
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
+export async function getGlossary(req, res) {
+  try {
+    const glossary = await getStoredGlossary(req.params.glossaryId);
+    return res.json(glossary);
+  } catch (error) {
+    return sendGlossaryError(res, error, 'Error al obtener el glosario');
+  }
+}
+
+/**
+ * Crea un glosario
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
+export async function createGlossary(req, res) {
+  try {
+    const { name, match, terms } = req.body;
+    const glossary = await createStoredGlossary({ name, match, terms });
+    await logInfo(`Glosario ${glossary.id} (${glossary.name}) creado con ${glossary.terms.length} término(s)`);
+
+    return res.status(201).json({
+      success: true,
+      glossary,
+    });
+  } catch (error) {
+    return sendGlossaryError(res, error, 'Error al crear el glosario');
+  }
+}
+
+/**
+ * Edita un glosario
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
+export async function updateGlossary(req, res) {
+  try {
+    const { name, match, terms } = req.body;
+    const glossary = await updateStoredGlossary(req.params.glossaryId, { name, match, terms });
+    return res.json({
+      success: true,
+      glossary,
+    });
+  } catch (error) {
+    return sendGlossaryError(res, error, 'Error al editar el glosario');
+  }
+}
+
+/**
+ * Elimina un glosario
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
+export async function deleteGlossary(req, res) {
+  try {
+    await deleteStoredGlossary(req.params.glossaryId);
+    await logInfo(`Glosario ${req.params.glossaryId} eliminado`);
+    return res.json({
+      success: true,
+      message: 'Glosario eliminado',
+    });
+  } catch (error) {
+    return sendGlossaryError(res, error, 'Error al eliminar el glosario');
+  }
+}
+
+/**
+ * Vuelve a aplicar un glosario a los SRT de las llamadas ya procesadas
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
+export async function applyGlossary(req, res) {
+  try {
+    const { videoIds, fileNames, dryRun } = req.body || {};
+    const result = await reapplyGlossary(req.params.glossaryId, {
+      videoIds: toList(videoIds),
+      fileNames: toList(fileNames),
+      dryRun: Boolean(dryRun),
+    });
+    return res.json({
+      success: true,
+      ...result,
+    });
+  } catch (error) {
+    return sendGlossaryError(res, error, 'Error al aplicar el glosario');
+  }
+}
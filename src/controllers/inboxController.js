@@ -0,0 +1,92 @@
+import { getInboxStatus as getStoredInboxStatus, scanInbox as scanInboxFolder, retryFailedItem, setInboxProcessor } from '../services/inboxService.js';
+import { logError } from '../services/loggerService.js';
+import { processAudioFileCalls } from './videoController.js';
+
+/**
+ * Obtiene el estado de la bandeja de entrada: pares pendientes o en proceso y reportes de done/ y failed/
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
+export async function getInboxStatus(req, res) {
+  try {
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : 50;
+    if (isNaN(limit) || limit < 1) {
+      return res.status(400).json({
+        error: 'limit debe ser un número mayor a 0',
+      });
+    }
+
+    const status = await getStoredInboxStatus(limit);
+    return res.json(status);
+  } catch (error) {
+    await logError(`Error en getInboxStatus: ${error.message}`);
+    return res.status(500).json({
+      error: 'Error al obtener el estado de la bandeja de entrada',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Escanea la bandeja de entrada sin esperar al próximo escaneo periódico
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
+export async function scanInbox(req, res) {
+  try {
+    await scanInboxFolder();
+    const status = await getStoredInboxStatus();
+    return res.json({
+      success: true,
+      pending: status.pending,
+    });
+  } catch (error) {
+    await logError(`Error en scanInbox: ${error.message}`);
+    return res.status(500).json({
+      error: 'Error al escanear la bandeja de entrada',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Devuelve un par fallido a la bandeja para volver a procesarlo
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
+export async function retryInboxItem(req, res) {
+  try {
+    const report = await retryFailedItem(req.params.reportFile);
+    return res.json({
+      success: true,
+      baseName: report.baseName,
+      message: 'Archivos devueltos a la bandeja de entrada',
+    });
+  } catch (error) {
+    if (!error.status) {
+      await logError(`Error en retryInboxItem: ${error.message}`);
+    }
+    return res.status(error.status || 500).json({
+      error: 'Error al reintentar el par de la bandeja de entrada',
+      message: error.message,
+    });
+  }
+}
+
+// Los pares de la bandeja se procesan con el mismo flujo que /api/audio/process
+setInboxProcessor(({ audioPath, transcriptionPath, videoId, baseName }) => processAudioFileCalls({
+  audioPath,
+  transcriptionPath,
+  videoId,
+  youtubeUrl: null,
+  uploadDate: null,
+  thumbnailUrl: null,
+  saveProcessingPrompt: false,
+  saveImagePrompt: false,
+  thumbnail: null,
+  downloadOriginalThumbnail: false,
+  extraMetadata: {
+    source: 'inbox',
+    originalFileName: baseName,
+  },
+}));
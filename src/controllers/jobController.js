@@ -0,0 +1,125 @@
+import { listJobs as listQueueJobs, getJob as getQueueJob, retryJob as retryQueueJob, cancelJob as cancelQueueJob, deleteJob as deleteQueueJob } from '../services/jobQueueService.js';
+import { logError } from '../services/loggerService.js';
+
+/**
+ * Resume un trabajo para listados (sin checkpoints ni resultado completo)
+ * @param {object} job - Trabajo
+ * @returns {object} - Resumen del trabajo
+ */
+function summarizeJob(job) {
+  const items = Object.values(job.items);
+  return {
+    jobId: job.jobId,
+    type: job.type,
+    status: job.status,
+    attempts: job.attempts,
+    progress: job.progress,
+    error: job.error,
+    cancelRequested: job.cancelRequested,
+    videos: {
+      total: items.length,
+      completed: items.filter(item => item.status === 'completed').length,
+      failed: items.filter(item => item.status === 'failed').length,
+    },
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+  };
+}
+
+/**
+ * Responde con el error de una operación sobre la cola
+ * @param {object} res - Response object
+ * @param {Error} error - Error lanzado por jobQueueService
+ * @param {string} message - Mensaje general
+ */
+async function sendJobError(res, error, message) {
+  if (!error.status) {
+    await logError(`${message}: ${error.message}`);
+  }
+  return res.status(error.status || 500).json({
+    error: message,
+    message: error.message,
+  });
+}
+
+/**
+ * Lista los trabajos de la cola
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
+export async function listJobs(req, res) {
+  try {
+    const { status, type } = req.query;
+    const jobs = listQueueJobs({ status, type });
+
+    return res.json({
+      total: jobs.length,
+      jobs: jobs.map(summarizeJob),
+    });
+  } catch (error) {
+    return sendJobError(res, error, 'Error al listar trabajos');
+  }
+}
+
+/**
+ * Obtiene el detalle de un trabajo (incluye checkpoints por video y resultado)
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
+export async function getJob(req, res) {
+  const job = getQueueJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({
+      error: 'Trabajo no encontrado',
+    });
+  }
+
+  return res.json(job);
+}
+
+/**
+ * Reintenta un trabajo fallido o cancelado desde sus checkpoints
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
+export async function retryJob(req, res) {
+  try {
+    const job = await retryQueueJob(req.params.jobId);
+    return res.status(202).json(summarizeJob(job));
+  } catch (error) {
+    return sendJobError(res, error, 'Error al reintentar el trabajo');
+  }
+}
+
+/**
+ * Cancela un trabajo en cola o en ejecución
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
+export async function cancelJob(req, res) {
+  try {
+    const job = await cancelQueueJob(req.params.jobId);
+    return res.json(summarizeJob(job));
+  } catch (error) {
+    return sendJobError(res, error, 'Error al cancelar el trabajo');
+  }
+}
+
+/**
+ * Elimina un trabajo finalizado
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
+export async function deleteJob(req, res) {
+  try {
+    await deleteQueueJob(req.params.jobId);
+    return res.json({
+      success: true,
+      jobId: req.params.jobId,
+    });
+  } catch (error) {
+    return sendJobError(res, error, 'Error al eliminar el trabajo');
+  }
+}
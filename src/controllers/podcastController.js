@@ -0,0 +1,377 @@
+import { existsSync } from 'fs';
+import { writeFile } from 'fs/promises';
+import { join } from 'path';
+import config from '../config/config.js';
+import { getPodcastEpisodes, downloadEpisodeAudio, loadPodcastIndex, addEpisodeToPodcastIndex } from '../services/podcastService.js';
+import { transcribeAudio, generateSRT } from '../services/transcriptionService.js';
+import { isVideoProcessed } from '../services/videoIndexService.js';
+import { isVideoBlacklisted } from '../services/blacklistService.js';
+import { findGlossariesForShow, buildGlossaryPrompt, correctSegments } from '../services/glossaryService.js';
+import { createJob, registerJobHandler } from '../services/jobQueueService.js';
+import { logInfo, logError, logWarn } from '../services/loggerService.js';
+import { processAudioFileCalls } from './videoController.js';
+
+// Fuentes de transcripción válidas para podcasts (no hay subtítulos de YouTube)
+const PODCAST_TRANSCRIPTION_SOURCES = ['WHISPER-OpenAI', 'WHISPER-LOCAL'];
+
+/**
+ * Ordena los episodios por fecha de publicación
+ * Los episodios sin fecha conservan el orden del feed
+ * @param {Array<object>} episodes - Episodios del feed
+ * @param {string} sortOrder - 'ASC' (más antiguos primero) o 'DESC' (más recientes primero)
+ * @returns {Array<object>}
+ */
+function sortEpisodes(episodes, sortOrder) {
+  const direction = sortOrder === 'ASC' ? 1 : -1;
+  return episodes
+    .map((episode, index) => ({ episode, index, time: episode.publishedAt ? new Date(episode.publishedAt).getTime() : NaN }))
+    .sort((a, b) => {
+      if (isNaN(a.time) || isNaN(b.time)) {
+        return a.index - b.index;
+      }
+      return (a.time - b.time) * direction;
+    })
+    .map(({ episode }) => episode);
+}
+
+/**
+ * Lista los episodios de un feed de podcast indicando cuáles ya fueron procesados
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
+export async function listPodcastEpisodes(req, res) {
+  try {
+    const { feedUrl } = req.query;
+
+    if (!feedUrl) {
+      return res.status(400).json({
+        error: 'feedUrl es requerido (URL o ruta local del feed RSS/Atom)',
+      });
+    }
+
+    const feed = await getPodcastEpisodes(String(feedUrl));
+    const index = await loadPodcastIndex(String(feedUrl));
+
+    const episodes = [];
+    for (const episode of feed.episodes) {
+      episodes.push({
+        ...episode,
+        processed: index.has(episode.episodeId) || await isVideoProcessed(episode.episodeId),
+        blacklisted: await isVideoBlacklisted(episode.episodeId),
+      });
+    }
+
+    return res.json({
+      feed: {
+        feedUrl,
+        title: feed.title,
+        link: feed.link,
+        imageUrl: feed.imageUrl,
+      },
+      total: episodes.length,
+      pending: episodes.filter(episode => !episode.processed && !episode.blacklisted).length,
+      episodes,
+    });
+  } catch (error) {
+    await logError(`Error en listPodcastEpisodes: ${error.message}`);
+    return res.status(500).json({
+      error: 'Error al leer el feed del podcast',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Valida los parámetros y encola un trabajo 'process-podcast' (ver /api/jobs)
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
+export async function processPodcast(req, res) {
+  try {
+    const { feedUrl, episodeGuids, limit, sortOrder, transcriptionSource, thumbnail, downloadOriginalThumbnail, saveProcessingPrompt } = req.body;
+
+    if (!feedUrl || typeof feedUrl !== 'string') {
+      return res.status(400).json({
+        error: 'feedUrl es requerido (URL o ruta local del feed RSS/Atom)',
+      });
+    }
+
+    if (episodeGuids !== undefined && !Array.isArray(episodeGuids)) {
+      return res.status(400).json({
+        error: 'episodeGuids debe ser un array de GUIDs',
+      });
+    }
+
+    const parsedLimit = limit ? parseInt(limit, 10) : null;
+    if (parsedLimit !== null && (isNaN(parsedLimit) || parsedLimit < 1)) {
+      return res.status(400).json({
+        error: 'limit debe ser un número mayor a 0',
+      });
+    }
+
+    // Validar y parsear transcriptionSource (por defecto 'WHISPER-OpenAI')
+    let source = 'WHISPER-OpenAI';
+    if (transcriptionSource) {
+      const sourceStr = String(transcriptionSource);
+      if (PODCAST_TRANSCRIPTION_SOURCES.includes(sourceStr)) {
+        source = sourceStr;
+      } else {
+        return res.status(400).json({
+          error: `transcriptionSource debe ser uno de: ${PODCAST_TRANSCRIPTION_SOURCES.join(', ')}`,
+        });
+      }
+    }
+
+    // Validar y parsear sortOrder (por defecto 'DESC': episodios más recientes primero)
+    const validSortOrders = ['ASC', 'DESC'];
+    let sort = 'DESC';
+    if (sortOrder) {
+      const sortStr = String(sortOrder).toUpperCase();
+      if (validSortOrders.includes(sortStr)) {
+        sort = sortStr;
+      } else {
+        return res.status(400).json({
+          error: `sortOrder debe ser uno de: ${validSortOrders.join(', ')}`,
+        });
+      }
+    }
+
+    // Validar y parsear parámetros de miniatura
+    // Si thumbnail no viene o es null, no se generará miniatura
+    let imageConfig = null;
+    if (thumbnail !== undefined && thumbnail !== null) {
+      const validModels = ['gpt-image-1.5'];
+      const finalModel = thumbnail.model && validModels.includes(thumbnail.model) ? thumbnail.model : 'gpt-image-1.5';
+
+      const validImageSizes = ['1536x1024'];
+      const finalImageSize = thumbnail.size && validImageSizes.includes(thumbnail.size) ? thumbnail.size : '1536x1024';
+
+      const validImageQualities = ['medium'];
+      const finalImageQuality = thumbnail.quality && validImageQualities.includes(thumbnail.quality) ? thumbnail.quality : 'medium';
+
+      imageConfig = {
+        generate: true,
+        model: finalModel,
+        size: finalImageSize,
+        quality: finalImageQuality,
+        saveImagePrompt: thumbnail.saveImagePrompt !== undefined ? Boolean(thumbnail.saveImagePrompt) : false,
+      };
+    }
+
+    // Encolar el trabajo (se ejecuta en segundo plano y sobrevive a reinicios del servidor)
+    const job = await createJob('process-podcast', {
+      feedUrl: feedUrl.trim(),
+      episodeGuids: episodeGuids ? episodeGuids.map(String) : null,
+      limit: parsedLimit,
+      sortOrder: sort,
+      transcriptionSource: source,
+      imageConfig,
+      // La imagen del episodio (itunes:image) se usa como miniatura original
+      downloadOriginalThumbnail: downloadOriginalThumbnail !== undefined ? Boolean(downloadOriginalThumbnail) : true,
+      saveProcessingPrompt: saveProcessingPrompt !== undefined ? Boolean(saveProcessingPrompt) : false,
+    });
+
+    return res.status(202).json({
+      jobId: job.jobId,
+      type: job.type,
+      status: job.status,
+      message: 'Trabajo encolado. Consultar el estado en /api/jobs/' + job.jobId,
+    });
+  } catch (error) {
+    await logError(`Error al encolar podcast: ${error.message}`);
+    return res.status(500).json({
+      error: 'Error al encolar el podcast',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Procesa un episodio: descarga el audio, lo transcribe y separa sus llamadas
+ * con el mismo flujo que /api/audio/process (checkpoints por etapa en el trabajo)
+ * @param {object} episode - Episodio del feed
+ * @param {object} feed - Datos del feed
+ * @param {object} params - Parámetros del trabajo
+ * @param {object} checkpoint - Checkpoint del episodio
+ * @param {number} episodeNumber - Número del episodio en el trabajo (para logs)
+ * @param {number} totalEpisodes - Total de episodios del trabajo (para logs)
+ * @returns {Promise<object>} - Resultado del episodio
+ */
+async function processPodcastEpisode(episode, feed, params, checkpoint, episodeNumber, totalEpisodes) {
+  const { episodeId } = episode;
+
+  // Etapa 1: descargar el audio (se reutiliza si quedó en temp de un intento anterior)
+  const downloadStage = checkpoint.getStage('download');
+  let audioPath = downloadStage && downloadStage.status === 'completed' ? downloadStage.data.audioPath : null;
+  if (!audioPath || !existsSync(audioPath)) {
+    console.log(`⬇️  [${episodeNumber}/${totalEpisodes}] ${episodeId} | Descargando "${episode.title}"...`);
+    audioPath = await downloadEpisodeAudio(episode);
+    await checkpoint.completeStage('download', { audioPath });
+  }
+  checkpoint.throwIfCancelled();
+
+  // Etapa 2: transcribir con Whisper
+  const transcribeStage = checkpoint.getStage('transcribe');
+  let transcriptionPath = transcribeStage && transcribeStage.status === 'completed' ? transcribeStage.data.transcriptionPath : null;
+  let transcriptionSource = transcribeStage && transcribeStage.status === 'completed' ? transcribeStage.data.transcriptionSource : null;
+  let transcriptionQuality = transcribeStage && transcribeStage.status === 'completed' ? transcribeStage.data.transcriptionQuality || null : null;
+  let glossaryCorrections = transcribeStage && transcribeStage.status === 'completed' ? transcribeStage.data.glossaryCorrections || [] : [];
+  if (!transcriptionPath || !existsSync(transcriptionPath)) {
+    console.log(`🎤 [${episodeNumber}/${totalEpisodes}] ${episodeId} | Transcribiendo (${params.transcriptionSource})...`);
+    const glossaries = config.glossary.enabled ? await findGlossariesForShow({ feedUrl: params.feedUrl, title: episode.title }) : [];
+    const transcription = await transcribeAudio(audioPath, episodeNumber, totalEpisodes, episodeId, '', params.transcriptionSource, 50, buildGlossaryPrompt(glossaries));
+    transcriptionPath = join(config.storage.tempPath, `${episodeId}.srt`);
+    transcriptionSource = transcription.source;
+    transcriptionQuality = transcription.quality;
+
+    // Corregir nombres, jerga y sponsors con los glosarios del programa
+    let srt = transcription.srt;
+    if (glossaries.length > 0) {
+      const { segments, corrections } = correctSegments(transcription.segments, glossaries);
+      if (corrections.length > 0) {
+        srt = generateSRT(segments);
+      }
+      glossaryCorrections = corrections;
+    }
+    await writeFile(transcriptionPath, srt, 'utf-8');
+    await checkpoint.completeStage('transcribe', { transcriptionPath, transcriptionSource, transcriptionQuality, glossaryCorrections, speakers: transcription.speakers || [] });
+  }
+  checkpoint.throwIfCancelled();
+
+  // Etapa 3: separar, recortar y guardar las llamadas (elimina el audio y el SRT temporales)
+  const calls = await processAudioFileCalls({
+    audioPath,
+    transcriptionPath,
+    videoId: episodeId,
+    youtubeUrl: null,
+    uploadDate: episode.uploadDate,
+    thumbnailUrl: episode.imageUrl,
+    saveProcessingPrompt: params.saveProcessingPrompt,
+    saveImagePrompt: params.imageConfig ? params.imageConfig.saveImagePrompt : false,
+    thumbnail: params.imageConfig,
+    downloadOriginalThumbnail: params.downloadOriginalThumbnail,
+    extraMetadata: {
+      source: 'podcast',
+      podcastTitle: feed.title,
+      podcastFeedUrl: params.feedUrl,
+      podcastEpisodeGuid: episode.guid,
+      podcastEpisodeTitle: episode.title,
+      podcastEpisodeUrl: episode.link,
+      podcastEnclosureUrl: episode.enclosureUrl,
+      transcriptionSource,
+      transcriptionQuality,
+      glossaryCorrections,
+    },
+  });
+
+  return {
+    episodeId,
+    guid: episode.guid,
+    title: episode.title,
+    processed: true,
+    totalCalls: calls.length,
+    calls: calls.map(call => ({ callId: call.callId, callNumber: call.callNumber, fileName: call.fileName, title: call.title })),
+  };
+}
+
+/**
+ * Ejecuta un trabajo 'process-podcast': lee el feed, descarta los episodios ya procesados
+ * o en lista negra y procesa los pendientes uno por uno
+ * @param {object} job - Trabajo de la cola
+ * @param {object} jobContext - Contexto del trabajo (progreso y checkpoints)
+ * @returns {Promise<object>} - Resultado del trabajo
+ */
+async function runProcessPodcastJob(job, jobContext) {
+  const params = job.params;
+  const feed = await getPodcastEpisodes(params.feedUrl);
+  const index = await loadPodcastIndex(params.feedUrl);
+
+  let episodes = sortEpisodes(feed.episodes, params.sortOrder);
+  if (params.episodeGuids) {
+    const guids = new Set(params.episodeGuids);
+    episodes = episodes.filter(episode => guids.has(episode.guid));
+  }
+
+  const results = [];
+  const pending = [];
+  for (const episode of episodes) {
+    // Los episodios con checkpoints de un intento anterior continúan aunque no estén en el índice
+    if (jobContext.hasPendingVideo(episode.episodeId)) {
+      pending.push(episode);
+      continue;
+    }
+    if (index.has(episode.episodeId)) {
+      results.push({ episodeId: episode.episodeId, guid: episode.guid, title: episode.title, processed: false, skipped: true, reason: 'indexed' });
+      continue;
+    }
+    if (await isVideoBlacklisted(episode.episodeId)) {
+      results.push({ episodeId: episode.episodeId, guid: episode.guid, title: episode.title, processed: false, skipped: true, reason: 'blacklisted' });
+      continue;
+    }
+    if (await isVideoProcessed(episode.episodeId)) {
+      await addEpisodeToPodcastIndex(params.feedUrl, episode);
+      results.push({ episodeId: episode.episodeId, guid: episode.guid, title: episode.title, processed: false, skipped: true, reason: 'already_processed' });
+      continue;
+    }
+    pending.push(episode);
+  }
+
+  const toProcess = params.limit ? pending.slice(0, params.limit) : pending;
+
+  const logHeader = `Procesando ${toProcess.length} episodio(s) del podcast "${feed.title}" | Transcripción: ${params.transcriptionSource} | Miniatura: ${params.imageConfig ? 'Habilitada' : 'Deshabilitada'}`;
+  console.log(`🎙️  ${logHeader}`);
+  await logInfo(logHeader);
+  await jobContext.setProgress(0, toProcess.length);
+
+  let processedCount = 0;
+  let errorCount = 0;
+
+  for (let i = 0; i < toProcess.length; i++) {
+    const episode = toProcess[i];
+    jobContext.throwIfCancelled();
+
+    const checkpoint = jobContext.getVideoCheckpoint(episode.episodeId, episode.enclosureUrl);
+    if (checkpoint.isCompleted()) {
+      results.push(checkpoint.getResult());
+      processedCount++;
+      await jobContext.setProgress(i + 1, toProcess.length);
+      continue;
+    }
+
+    try {
+      const result = await processPodcastEpisode(episode, feed, params, checkpoint, i + 1, toProcess.length);
+      await addEpisodeToPodcastIndex(params.feedUrl, episode);
+      await checkpoint.complete(result);
+      results.push(result);
+      processedCount++;
+      console.log(`✅ [${i + 1}/${toProcess.length}] ${episode.episodeId} | ${result.totalCalls} llamada(s)`);
+    } catch (error) {
+      if (error.cancelled) {
+        throw error;
+      }
+      errorCount++;
+      await checkpoint.fail(error.message).catch(() => {});
+      await logWarn(`Podcast ${episode.episodeId} (${episode.title}): ${error.message}`);
+      results.push({ episodeId: episode.episodeId, guid: episode.guid, title: episode.title, processed: false, error: error.message });
+    }
+
+    await jobContext.setProgress(i + 1, toProcess.length);
+  }
+
+  const summary = `Podcast "${feed.title}": ${processedCount} procesado(s), ${results.filter(result => result.skipped).length} omitido(s), ${errorCount} con error`;
+  console.log(`🎙️  ${summary}`);
+  await logInfo(summary);
+
+  return {
+    feedUrl: params.feedUrl,
+    podcastTitle: feed.title,
+    totalEpisodes: feed.episodes.length,
+    processed: processedCount,
+    skipped: results.filter(result => result.skipped).length,
+    deferred: pending.length - toProcess.length,
+    errors: errorCount,
+    episodes: results,
+  };
+}
+
+registerJobHandler('process-podcast', runProcessPodcastJob);
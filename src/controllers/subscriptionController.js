@@ -0,0 +1,238 @@
+import config from '../config/config.js';
+import { createSubscription as createStoredSubscription, listSubscriptions as listStoredSubscriptions, getSubscription as getStoredSubscription, setSubscriptionPaused, deleteSubscription as deleteStoredSubscription, checkSubscription } from '../services/subscriptionService.js';
+import { logError } from '../services/loggerService.js';
+
+/**
+ * Resume una suscripción para listados (sin el historial de revisiones)
+ * @param {object} subscription - Suscripción
+ * @returns {object} - Resumen de la suscripción
+ */
+function summarizeSubscription(subscription) {
+  const { runs, ...summary } = subscription;
+  return summary;
+}
+
+/**
+ * Responde con el error de una operación sobre las suscripciones
+ * @param {object} res - Response object
+ * @param {Error} error - Error lanzado por subscriptionService
+ * @param {string} message - Mensaje general
+ */
+async function sendSubscriptionError(res, error, message) {
+  if (!error.status) {
+    await logError(`${message}: ${error.message}`);
+  }
+  return res.status(error.status || 500).json({
+    error: message,
+    message: error.message,
+  });
+}
+
+/**
+ * Parsea un entero positivo opcional del body
+ * @param {*} value - Valor recibido
+ * @param {number} defaultValue - Valor por defecto si no se envió
+ * @returns {number|null} - Entero o null si es inválido
+ */
+function parsePositiveInt(value, defaultValue) {
+  if (value === undefined || value === null) {
+    return defaultValue;
+  }
+  const parsed = parseInt(value, 10);
+  return isNaN(parsed) || parsed < 1 ? null : parsed;
+}
+
+/**
+ * Crea una suscripción a un canal o playlist de YouTube
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
+export async function createSubscription(req, res) {
+  try {
+    const { url, name, transcriptionSource, thumbnail, downloadOriginalThumbnail, saveProcessingPrompt, maxConcurrency: maxConcurrencyParam, intervalMinutes: intervalMinutesParam, maxVideosPerRun: maxVideosPerRunParam, backfill } = req.body;
+
+    if (!url || typeof url !== 'string') {
+      return res.status(400).json({
+        error: 'url es requerida (URL de un canal o playlist de YouTube)',
+      });
+    }
+
+    const maxConcurrency = parsePositiveInt(maxConcurrencyParam, 3);
+    if (maxConcurrency === null) {
+      return res.status(400).json({
+        error: 'maxConcurrency debe ser un número mayor a 0',
+      });
+    }
+
+    const intervalMinutes = parsePositiveInt(intervalMinutesParam, config.subscriptions.defaultIntervalMinutes);
+    if (intervalMinutes === null) {
+      return res.status(400).json({
+        error: 'intervalMinutes debe ser un número mayor a 0',
+      });
+    }
+
+    const maxVideosPerRun = parsePositiveInt(maxVideosPerRunParam, config.subscriptions.maxVideosPerRun);
+    if (maxVideosPerRun === null) {
+      return res.status(400).json({
+        error: 'maxVideosPerRun debe ser un número mayor a 0',
+      });
+    }
+
+    // Validar y parsear transcriptionSource (por defecto 'YOUTUBE')
+    const validSources = ['WHISPER-OpenAI', 'WHISPER-LOCAL', 'YOUTUBE'];
+    let source = 'YOUTUBE';
+    if (transcriptionSource) {
+      const sourceStr = String(transcriptionSource);
+      if (validSources.includes(sourceStr)) {
+        source = sourceStr;
+      } else {
+        return res.status(400).json({
+          error: `transcriptionSource debe ser uno de: ${validSources.join(', ')}`,
+        });
+      }
+    }
+
+    // Validar y parsear parámetros de miniatura
+    // Si thumbnail no viene o es null, no se generará miniatura
+    let imageConfig = null;
+    if (thumbnail !== undefined && thumbnail !== null) {
+      const validModels = ['gpt-image-1.5'];
+      const finalModel = thumbnail.model && validModels.includes(thumbnail.model) ? thumbnail.model : 'gpt-image-1.5';
+
+      const validImageSizes = ['1536x1024'];
+      const finalImageSize = thumbnail.size && validImageSizes.includes(thumbnail.size) ? thumbnail.size : '1536x1024';
+
+      const validImageQualities = ['medium'];
+      const finalImageQuality = thumbnail.quality && validImageQualities.includes(thumbnail.quality) ? thumbnail.quality : 'medium';
+
+      imageConfig = {
+        generate: true,
+        model: finalModel,
+        size: finalImageSize,
+        quality: finalImageQuality,
+        saveImagePrompt: thumbnail.saveImagePrompt !== undefined ? Boolean(thumbnail.saveImagePrompt) : false,
+      };
+    }
+
+    const subscription = await createStoredSubscription({
+      url: url.trim(),
+      name: name ? String(name).trim() : null,
+      transcriptionSource: source,
+      imageConfig,
+      // Por defecto true, igual que /api/video/process
+      downloadOriginalThumbnail: downloadOriginalThumbnail !== undefined ? Boolean(downloadOriginalThumbnail) : true,
+      saveProcessingPrompt: saveProcessingPrompt !== undefined ? Boolean(saveProcessingPrompt) : false,
+      maxConcurrency,
+      intervalMinutes,
+      maxVideosPerRun,
+      backfill: backfill !== undefined ? Boolean(backfill) : false,
+    });
+
+    return res.status(201).json({
+      success: true,
+      subscription: summarizeSubscription(subscription),
+    });
+  } catch (error) {
+    return sendSubscriptionError(res, error, 'Error al crear la suscripción');
+  }
+}
+
+/**
+ * Lista las suscripciones con su última revisión
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
+export async function listSubscriptions(req, res) {
+  try {
+    const subscriptions = listStoredSubscriptions();
+    return res.json({
+      total: subscriptions.length,
+      subscriptions: subscriptions.map(summarizeSubscription),
+    });
+  } catch (error) {
+    return sendSubscriptionError(res, error, 'Error al listar suscripciones');
+  }
+}
+
+/**
+ * Obtiene una suscripción con su historial de revisiones
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
+export async function getSubscription(req, res) {
+  const subscription = getStoredSubscription(req.params.id);
+  if (!subscription) {
+    return res.status(404).json({
+      error: 'Suscripción no encontrada',
+    });
+  }
+  return res.json(subscription);
+}
+
+/**
+ * Pausa una suscripción (el planificador deja de revisarla)
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
+export async function pauseSubscription(req, res) {
+  try {
+    const subscription = await setSubscriptionPaused(req.params.id, true);
+    return res.json({
+      success: true,
+      subscription: summarizeSubscription(subscription),
+    });
+  } catch (error) {
+    return sendSubscriptionError(res, error, 'Error al pausar la suscripción');
+  }
+}
+
+/**
+ * Reanuda una suscripción pausada
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
+export async function resumeSubscription(req, res) {
+  try {
+    const subscription = await setSubscriptionPaused(req.params.id, false);
+    return res.json({
+      success: true,
+      subscription: summarizeSubscription(subscription),
+    });
+  } catch (error) {
+    return sendSubscriptionError(res, error, 'Error al reanudar la suscripción');
+  }
+}
+
+/**
+ * Revisa una suscripción en el momento, sin esperar al planificador
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
+export async function runSubscription(req, res) {
+  try {
+    const run = await checkSubscription(req.params.id, 'manual');
+    return res.json({
+      success: true,
+      run,
+    });
+  } catch (error) {
+    return sendSubscriptionError(res, error, 'Error al revisar la suscripción');
+  }
+}
+
+/**
+ * Elimina una suscripción
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
+export async function deleteSubscription(req, res) {
+  try {
+    await deleteStoredSubscription(req.params.id);
+    return res.json({
+      success: true,
+      message: 'Suscripción eliminada',
+    });
+  } catch (error) {
+    return sendSubscriptionError(res, error, 'Error al eliminar la suscripción');
+  }
+}
@@ -0,0 +1,65 @@
+import { listTasks as listProgressTasks, registerTaskStream } from '../services/taskProgressService.js';
+
+/**
+ * Obtiene los filtros de tareas desde la query
+ * @param {object} query - Query de la request (type, fileName, taskId)
+ * @returns {object} - Filtros ({ types, fileName, taskId })
+ */
+function parseTaskFilters(query) {
+  const { type, fileName, taskId } = query;
+  return {
+    types: type ? String(type).split(',').map(value => value.trim()).filter(Boolean) : [],
+    fileName: fileName || null,
+    taskId: taskId || null,
+  };
+}
+
+/**
+ * Lista las tareas en curso y las finalizadas recientemente
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
+export function listTasks(req, res) {
+  const filters = parseTaskFilters(req.query);
+  const tasks = listProgressTasks({
+    ...filters,
+    activeOnly: req.query.active === 'true',
+  });
+
+  return res.json({
+    total: tasks.length,
+    tasks,
+  });
+}
+
+/**
+ * Stream SSE unificado del progreso de todas las tareas
+ * Al conectarse envía el estado actual (incluidas las tareas finalizadas recientemente)
+ * y luego cada actualización con el esquema compartido
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
+export function streamTasks(req, res) {
+  // Configurar headers para SSE
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no'); // Deshabilitar buffering en nginx
+
+  // Registrar la conexión SSE
+  registerTaskStream(res, parseTaskFilters(req.query));
+
+  // Enviar un ping para mantener la conexión viva
+  const pingInterval = setInterval(() => {
+    try {
+      res.write(': ping\n\n');
+    } catch (error) {
+      clearInterval(pingInterval);
+    }
+  }, 30000); // Ping cada 30 segundos
+
+  // Limpiar cuando se cierra la conexión
+  res.on('close', () => {
+    clearInterval(pingInterval);
+  });
+}
@@ -1,16 +1,22 @@
 import { v4 as uuidv4 } from 'uuid';
 import { downloadAudio, downloadVideo, extractVideoId, getPlaylistVideos, getThumbnailUrl, checkAgeRestriction, downloadSubtitles } from '../services/youtubeService.js';
-import { transcribeAudio } from '../services/transcriptionService.js';
+import { transcribeAudio, generateSRT } from '../services/transcriptionService.js';
+import { diarizeSegments, splitSpeakerLabel, formatSpeakerText, getSpeakersFromSegments, HOST_LABEL, CALLER_LABEL } from '../services/diarizationService.js';
 import { separateCalls, generateThumbnailScene, generateTitle, generateSummaryFromTranscription, generateMetadataFromTranscription } from '../services/callSeparationService.js';
 // import { generateMetadata } from '../services/metadataService.js'; // Ya no se usa, los metadatos vienen del procesamiento de datos
-import { saveAudioFile, saveTranscriptionFile, saveMinTranscriptionFile, saveMetadataFile, readMetadataFile, generateMinSRT, downloadThumbnail, sanitizeFilename } from '../services/fileService.js';
+import { saveAudioFile, saveTranscriptionFile, saveMinTranscriptionFile, saveMetadataFile, readMetadataFile, generateMinSRT, downloadThumbnail, sanitizeFilename, serializeWordTimestamps, saveWordTimestampsFile, readWordTimestampsFile } from '../services/fileService.js';
 import { findCallsByVideoId, isVideoProcessed } from '../services/videoIndexService.js';
-import { isVideoBlacklisted, addToBlacklist } from '../services/blacklistService.js';
-import { extractAudioSegment, readAudioFile } from '../utils/audioUtils.js';
+import { queryCatalogCalls, listCatalogCalls, getCatalogCallCountsByVideo, refreshCatalogEntry } from '../services/callCatalogService.js';
+import { addToBlacklist, getBlacklistEntry, getBlacklistMatch, buildBlacklistSkipReason } from '../services/blacklistService.js';
+import { extractAudioSegment, readAudioFile, probeAudioDuration } from '../utils/audioUtils.js';
 import { generateThumbnailImage, setLogCallback as setImageLogCallback } from '../services/imageGenerationService.js';
 import { extractPlaylistId, loadPlaylistIndex, addVideoToPlaylistIndex, deletePlaylistIndex, syncPlaylistIndex, isVideoInPlaylistIndex } from '../services/playlistIndexService.js';
 import { logInfo, logError, logVideoProgress, logVideoError, logWarn, logDebug } from '../services/loggerService.js';
-import { unlink, readdir, stat, rmdir, mkdir, copyFile, writeFile } from 'fs/promises';
+import { createJob, registerJobHandler } from '../services/jobQueueService.js';
+import { recordFailedVideo, removeFailedVideo } from '../services/failedVideoService.js';
+import { checkAudioReupload, getFingerprintEntry, linkReupload } from '../services/audioFingerprintService.js';
+import { findGlossariesForShow, buildGlossaryPrompt, correctSegments } from '../services/glossaryService.js';
+import { unlink, readdir, stat, rmdir, rm, mkdir, copyFile, writeFile } from 'fs/promises';
 import { existsSync, createReadStream, createWriteStream, readFileSync, writeFileSync, statSync } from 'fs';
 import { join, dirname, basename, resolve } from 'path';
 import archiver from 'archiver';
@@ -21,6 +27,10 @@ import { initializeTrimProgress, trimAudioWithProgress, getTrimProgress, registe
 import { initializeDownloadProgress, downloadAudioWithProgress, getDownloadProgress, registerDownloadSSEConnection, getActiveDownloads } from '../services/audioDownloadService.js';
 import { initializeCompressionProgress, compressAudioWithProgress, getCompressionProgress, registerCompressionSSEConnection, getActiveCompressions, cancelCompression } from '../services/audioCompressionService.js';
 import { generateShortVideo, getShortProgress, getActiveShorts, registerShortSSEConnection, updateShortProgress } from '../services/videoShortGenerationService.js';
+import { normalizeCaptionStyle } from '../services/captionService.js';
+import { TRANSCRIPT_EXPORT_FORMATS, exportTranscript, exportTranscriptArchive } from '../services/transcriptExportService.js';
+import { normalizeLanguageCode, getLanguageName, translateCallContent, markTranslationsStale } from '../services/translationService.js';
+import { scanCallForPII, readPIIReview, savePIIReview, summarizePIIReview, applyPIIDecisions, maskSegments, maskText, getRedactionRanges, redactAudio } from '../services/piiRedactionService.js';
 import ffmpeg from 'fluent-ffmpeg';
 import { readFile } from 'fs/promises';
 
@@ -144,6 +154,13 @@ class ConsoleLineManager {
 // Instancia global del gestor de líneas
 const lineManager = new ConsoleLineManager();
 
+// Tamaño máximo de página de GET /api/video/list
+const LIST_VIDEOS_MAX_LIMIT = 500;
+
+// Motivos de omisión (campo skipReason de las respuestas de procesamiento)
+const ALREADY_PROCESSED_SKIP_REASON = { code: 'already_processed', message: 'Video ya procesado anteriormente' };
+const AGE_RESTRICTED_SKIP_REASON = { code: 'age_restricted', message: 'Requiere verificación de edad' };
+
 /**
  * Función para mostrar log en formato unificado
  * @param {string} icon - Icono del estado
@@ -205,14 +222,73 @@ function showLog(icon, current, total, videoId, processText, percent = null, ela
   lineManager.writeVideoLine(videoId, lineIndex);
 }
 
+/**
+ * Arma el resultado de un video omitido por ser re-subida de un episodio ya procesado
+ * Con la acción 'link' agrega el videoId a los metadatos de las llamadas del original y las devuelve
+ * @param {string} youtubeUrl - URL del video
+ * @param {string} videoId - ID de la re-subida
+ * @param {object} duplicateOf - Coincidencia devuelta por checkAudioReupload
+ * @returns {Promise<object>}
+ */
+async function buildDuplicateAudioResult(youtubeUrl, videoId, duplicateOf) {
+  const linked = duplicateOf.action === 'link';
+  const calls = linked ? await linkReupload(duplicateOf.videoId, videoId) : [];
+  const typeLabel = duplicateOf.type === 'exact' ? 'Re-subida exacta' : 'Re-subida parcial';
+  const message = `${typeLabel} de ${duplicateOf.videoId} (${(duplicateOf.coverage * 100).toFixed(0)}% del audio)`;
+
+  return {
+    youtubeUrl,
+    videoId,
+    processed: false,
+    skipped: true,
+    reason: 'duplicate_audio',
+    message,
+    linkedTo: linked ? duplicateOf.videoId : null,
+    skipReason: { code: 'duplicate_audio', message, duplicate: duplicateOf },
+    calls: calls.map((call) => ({
+      callId: call.callId,
+      youtubeVideoId: call.youtubeVideoId,
+      title: call.title,
+      audioFile: call.audioFile,
+      transcriptionFile: call.transcriptionFile,
+      metadataFile: call.metadataFile,
+    })),
+  };
+}
+
+/**
+ * Ruta del archivo con la fuente y la calidad de la transcripción de un episodio (junto a su SRT en temp)
+ * @param {string} videoId - ID del video
+ * @returns {string}
+ */
+function getTranscriptionInfoPath(videoId) {
+  return join(config.storage.tempPath, `${videoId}.transcription.json`);
+}
+
+/**
+ * Lee la fuente y la calidad de la transcripción guardada en temp
+ * @param {string} videoId - ID del video
+ * @returns {Promise<{source: string|null, quality: object|null}>}
+ */
+async function loadTranscriptionInfo(videoId) {
+  try {
+    const { source = null, quality = null, glossary = null } = JSON.parse(await readFile(getTranscriptionInfoPath(videoId), 'utf-8'));
+    return { source, quality, glossary };
+  } catch (error) {
+    // Transcripciones guardadas antes de registrar la fuente
+    return { source: null, quality: null, glossary: null };
+  }
+}
+
 /**
  * Función interna que procesa un video individual
  * @param {string} youtubeUrl - URL del video de YouTube
  * @param {number} videoNumber - Número del video (para logs)
  * @param {number} totalVideos - Total de videos (para logs)
+ * @param {object|null} checkpoint - Checkpoint del video dentro de un trabajo de la cola (opcional). Permite reanudar desde la última etapa completada
  * @returns {Promise<{videoId: string, processed: boolean, message?: string, calls: Array}>}
  */
-async function processSingleVideo(youtubeUrl, videoNumber = 1, totalVideos = 1, transcriptionSource = 'YOUTUBE', imageConfig = null, downloadOriginalThumbnail = true, saveProcessingPrompt = false, saveImagePrompt = false) {
+async function processSingleVideo(youtubeUrl, videoNumber = 1, totalVideos = 1, transcriptionSource = 'YOUTUBE', imageConfig = null, downloadOriginalThumbnail = true, saveProcessingPrompt = false, saveImagePrompt = false, checkpoint = null) {
   // Compresión de audio fija al 50%
   const audioCompression = 50;
   const startTime = Date.now();
@@ -234,8 +310,8 @@ async function processSingleVideo(youtubeUrl, videoNumber = 1, totalVideos = 1,
     }
 
     // Verificar si el video está en la lista negra
-    const isBlacklisted = await isVideoBlacklisted(videoId);
-    if (isBlacklisted) {
+    const blacklistMatch = await getBlacklistMatch({ id: videoId });
+    if (blacklistMatch) {
       showLog('🚫', videoNumber, totalVideos, videoId, 'En lista negra - Saltado', null, null);
       return {
         youtubeUrl,
@@ -244,11 +320,19 @@ async function processSingleVideo(youtubeUrl, videoNumber = 1, totalVideos = 1,
         skipped: true,
         reason: 'blacklisted',
         message: 'Video en lista negra',
+        skipReason: buildBlacklistSkipReason(blacklistMatch),
       };
     }
 
+    // Si el checkpoint indica que el video ya se completó en un intento anterior, devolver el resultado guardado
+    if (checkpoint && checkpoint.isCompleted()) {
+      showLog('♻️', videoNumber, totalVideos, videoId, 'Ya completado en este trabajo', null, null);
+      return checkpoint.getResult();
+    }
+
     // Verificar si el video ya fue procesado
-    const alreadyProcessed = await isVideoProcessed(videoId);
+    // (si hay progreso en el checkpoint, las llamadas existentes son de un intento anterior sin terminar)
+    const alreadyProcessed = !(checkpoint && checkpoint.hasProgress()) && await isVideoProcessed(videoId);
     
     if (alreadyProcessed) {
       showLog('⏭️', videoNumber, totalVideos, videoId, 'Verificando...', null, null);
@@ -347,11 +431,13 @@ async function processSingleVideo(youtubeUrl, videoNumber = 1, totalVideos = 1,
       const elapsedTime = (Date.now() - startTime) / 1000;
       showLog('⏭️', videoNumber, totalVideos, videoId, `Ya procesado (${existingCalls.length} llamadas)`, null, elapsedTime);
       process.stdout.write('\n');
+      await removeFailedVideo(videoId);
       
       return {
         videoId,
         processed: false,
         message: 'Video ya procesado anteriormente',
+        skipReason: ALREADY_PROCESSED_SKIP_REASON,
         calls: existingCalls.map((call) => ({
           callId: call.callId,
           youtubeVideoId: call.youtubeVideoId,
@@ -372,97 +458,205 @@ async function processSingleVideo(youtubeUrl, videoNumber = 1, totalVideos = 1,
       };
     }
 
+    // Re-subida ya detectada en un intento anterior: no volver a descargar
+    const fingerprintEntry = config.fingerprint.enabled ? await getFingerprintEntry(videoId) : null;
+    if (fingerprintEntry && fingerprintEntry.duplicateOf && !fingerprintEntry.allowDuplicate && await isVideoProcessed(fingerprintEntry.duplicateOf.videoId)) {
+      const result = await buildDuplicateAudioResult(youtubeUrl, videoId, fingerprintEntry.duplicateOf);
+      showLog('🔁', videoNumber, totalVideos, videoId, `Omitido: ${result.message}`, null, (Date.now() - startTime) / 1000);
+      await removeFailedVideo(videoId);
+      return result;
+    }
+
     // Configurar callbacks de log en servicios
     const { setLogCallback: setYoutubeLogCallback } = await import('../services/youtubeService.js');
     const { setLogCallback: setTranscriptionLogCallback } = await import('../services/transcriptionService.js');
-    
+
     setYoutubeLogCallback(showLog);
     setTranscriptionLogCallback(showLog);
     setImageLogCallback(showLog);
-    
-    // Procesar el video
+
+    // 1. Descargar audio (checkpoint: download)
     // El progreso de descarga se mostrará automáticamente desde youtubeService
-    const { audioPath, title: videoTitle, uploadDate } = await downloadAudio(youtubeUrl, videoNumber, totalVideos, videoId);
-    
-    showLog('🖼️', videoNumber, totalVideos, videoId, 'Obteniendo miniatura...', null, null);
-    const thumbnailUrl = await getThumbnailUrl(videoId);
+    let audioPath, videoTitle, uploadDate, thumbnailUrl, channel, channelId;
+    const downloadStage = checkpoint ? checkpoint.getStage('download') : null;
+
+    if (downloadStage && downloadStage.status === 'completed' && existsSync(downloadStage.data.audioPath)) {
+      showLog('♻️', videoNumber, totalVideos, videoId, 'Reanudando desde checkpoint (audio descargado)', null, null);
+      ({ audioPath, title: videoTitle, uploadDate, thumbnailUrl, channel = null, channelId = null } = downloadStage.data);
+    } else {
+      ({ audioPath, title: videoTitle, uploadDate, channel, channelId } = await downloadAudio(youtubeUrl, videoNumber, totalVideos, videoId));
 
-    // 2. Transcribir (verificar si ya existe)
+      showLog('🖼️', videoNumber, totalVideos, videoId, 'Obteniendo miniatura...', null, null);
+      thumbnailUrl = await getThumbnailUrl(videoId);
+
+      if (checkpoint) {
+        await checkpoint.completeStage('download', { audioPath, title: videoTitle, uploadDate, thumbnailUrl, channel, channelId });
+      }
+    }
+    if (checkpoint) checkpoint.throwIfCancelled();
+
+    // 1b. Huella acústica: detectar re-subidas antes de transcribir y de llamar a la IA (checkpoint: fingerprint)
+    const fingerprintStage = checkpoint ? checkpoint.getStage('fingerprint') : null;
+    if (config.fingerprint.enabled && !(fingerprintStage && fingerprintStage.status === 'completed')) {
+      let duplicateOf = null;
+      try {
+        showLog('🔍', videoNumber, totalVideos, videoId, 'Calculando huella acústica...', null, null);
+        duplicateOf = await checkAudioReupload(videoId, audioPath, { title: videoTitle });
+      } catch (error) {
+        await logWarn(`No se pudo calcular la huella acústica de ${videoId}: ${error.message}`);
+      }
+      if (checkpoint) {
+        await checkpoint.completeStage('fingerprint', { duplicateOf });
+      }
+
+      if (duplicateOf) {
+        const result = await buildDuplicateAudioResult(youtubeUrl, videoId, duplicateOf);
+        await unlink(audioPath).catch(() => {});
+        showLog('🔁', videoNumber, totalVideos, videoId, `Omitido: ${result.message}`, null, (Date.now() - startTime) / 1000);
+        await removeFailedVideo(videoId);
+        if (checkpoint) {
+          await checkpoint.complete(result);
+        }
+        return result;
+      }
+    }
+
+    // 2. Transcribir (verificar si ya existe; checkpoint: transcribe)
     const transcriptionPath = join(config.storage.tempPath, `${videoId}.srt`);
-    
-    let transcription, srt, segments, speakers;
-    
+    const wordTimestampsPath = join(config.storage.tempPath, `${videoId}.words.json`);
+
+    let transcription, srt, segments, speakers, transcriptionInfo;
+
     if (existsSync(transcriptionPath)) {
       showLog('📄', videoNumber, totalVideos, videoId, 'Cargando transcripción...', null, null);
+      transcriptionInfo = await loadTranscriptionInfo(videoId);
       // Cargar transcripción existente
       const { readFile } = await import('fs/promises');
       srt = await readFile(transcriptionPath, 'utf-8');
-      
-      // Reconstruir segments desde el SRT
+
+      // Reconstruir segments desde el SRT (incluye las etiquetas de speaker si existen)
       segments = parseSRTToSegments(srt);
-      
+      if (existsSync(wordTimestampsPath)) {
+        segments = attachWordTimestamps(segments, JSON.parse(await readFile(wordTimestampsPath, 'utf-8')));
+      }
+
+      // Transcripciones guardadas antes de la diarización: etiquetar speakers y actualizar el SRT en temp
+      ({ segments, srt } = await ensureSpeakerLabels(audioPath, segments, srt, transcriptionPath, videoNumber, totalVideos, videoId));
+
       // Generar transcripción simplificada en memoria (no guardar archivo)
       transcription = generateMinSRT(srt);
-      
-      speakers = ['Conductor', 'Llamante']; // Valores por defecto
+
+      speakers = getSpeakersFromSegments(segments);
     } else {
-      const sourceLabel = transcriptionSource === 'YOUTUBE' ? 'Obteniendo transcripción de YouTube...' : 
-                          transcriptionSource === 'WHISPER-LOCAL' ? 'Transcribiendo (local)...' : 
+      const sourceLabel = transcriptionSource === 'YOUTUBE' ? 'Obteniendo transcripción de YouTube...' :
+                          transcriptionSource === 'WHISPER-LOCAL' ? 'Transcribiendo (local)...' :
                           'Transcribiendo...';
       showLog('🎤', videoNumber, totalVideos, videoId, sourceLabel, null, null);
-      const result = await transcribeAudio(audioPath, videoNumber, totalVideos, videoId, youtubeUrl, transcriptionSource, audioCompression);
+      const glossaries = config.glossary.enabled ? await findGlossariesForShow({ channel, channelId, title: videoTitle }) : [];
+      const result = await transcribeAudio(audioPath, videoNumber, totalVideos, videoId, youtubeUrl, transcriptionSource, audioCompression, buildGlossaryPrompt(glossaries));
       transcription = result.transcription;
       srt = result.srt;
       segments = result.segments;
       speakers = result.speakers;
-      
-      // Guardar transcripción del video completo en temp (solo SRT, no _min.txt)
+      transcriptionInfo = { source: result.source, quality: result.quality, glossary: null };
+
+      // Corregir nombres, jerga y sponsors con los glosarios del programa
+      if (glossaries.length > 0) {
+        const { segments: correctedSegments, corrections } = correctSegments(segments, glossaries);
+        if (corrections.length > 0) {
+          segments = correctedSegments;
+          srt = generateSRT(segments);
+          transcription = generateMinSRT(srt);
+          showLog('📖', videoNumber, totalVideos, videoId, `Glosario: ${corrections.reduce((total, item) => total + item.count, 0)} corrección(es)`, null, null);
+        }
+        transcriptionInfo.glossary = { glossaryIds: glossaries.map(glossary => glossary.id), corrections };
+      }
+
+      // Guardar transcripción del video completo en temp (solo SRT, no _min.txt) y la fuente usada
       const { writeFile } = await import('fs/promises');
       await writeFile(transcriptionPath, srt, 'utf-8');
+      await writeFile(getTranscriptionInfoPath(videoId), JSON.stringify(transcriptionInfo), 'utf-8');
+      if (result.source !== transcriptionSource) {
+        showLog('🔁', videoNumber, totalVideos, videoId, `Transcripción obtenida con ${result.source} (calidad ${result.quality.score})`, null, null);
+      }
+
+      // Guardar timestamps por palabra (si la fuente los generó) para poder reanudar sin perderlos
+      const wordTimestamps = serializeWordTimestamps(segments);
+      if (wordTimestamps) {
+        await writeFile(wordTimestampsPath, JSON.stringify(wordTimestamps), 'utf-8');
+      }
+    }
+
+    if (checkpoint && !checkpoint.isStageCompleted('transcribe')) {
+      await checkpoint.completeStage('transcribe', { transcriptionPath, transcriptionSource: transcriptionInfo.source || transcriptionSource, speakers });
     }
+    if (checkpoint) checkpoint.throwIfCancelled();
 
-    // 3. Procesar datos
+    // 3. Procesar datos (checkpoint: separateCalls)
     const processingPromptPath = shouldSaveProcessingPrompt ? join(config.storage.callsPath, `${videoId}_processing_prompt.txt`) : null;
-    
-    console.log(`[${videoNumber}/${totalVideos}] ${videoId} | Iniciando separateCalls...`);
-    await logInfo(`Video ${videoId}: Iniciando procesamiento de datos (separateCalls)`);
-    console.log(`[${videoNumber}/${totalVideos}] ${videoId} | Parámetros - segments: ${segments ? segments.length : 'null'}, srt length: ${srt ? srt.length : 'null'}, savePrompt: ${shouldSaveProcessingPrompt}`);
-    await logInfo(`Video ${videoId}: Parámetros separateCalls - segments: ${segments ? segments.length : 'null'}, srt length: ${srt ? srt.length : 'null'}, savePrompt: ${shouldSaveProcessingPrompt}`);
-    
-    const separateCallsStart = Date.now();
+
     let separatedCalls;
-    try {
-      separatedCalls = await separateCalls(segments, srt, videoNumber, totalVideos, videoId, shouldSaveProcessingPrompt, processingPromptPath);
-      const separateCallsDuration = ((Date.now() - separateCallsStart) / 1000).toFixed(2);
-      //console.log(`[${videoNumber}/${totalVideos}] ${videoId} | ✅ separateCalls completado (${separateCallsDuration}s) - calls: ${separatedCalls ? separatedCalls.length : 'null'}`);
-      await logInfo(`Video ${videoId}: separateCalls completado (${separateCallsDuration}s) - calls: ${separatedCalls ? separatedCalls.length : 'null'}`);
-      
-      // Verificar si las llamadas tienen metadatos
-      if (separatedCalls && separatedCalls.length > 0) {
-        const firstCall = separatedCalls[0];
-        //console.log(`[${videoNumber}/${totalVideos}] ${videoId} | Verificando metadatos de la primera llamada...`);
-        //console.log(`[${videoNumber}/${totalVideos}] ${videoId} | - title: ${firstCall.title || 'NO'}`);
-        //console.log(`[${videoNumber}/${totalVideos}] ${videoId} | - topic: ${firstCall.topic || 'NO'}`);
-        //console.log(`[${videoNumber}/${totalVideos}] ${videoId} | - thumbnailScene: ${firstCall.thumbnailScene ? 'SÍ' : 'NO'}`);
-        await logInfo(`Video ${videoId}: Primera llamada - title: ${firstCall.title || 'NO'}, topic: ${firstCall.topic || 'NO'}, thumbnailScene: ${firstCall.thumbnailScene ? 'SÍ' : 'NO'}`);
+    const separateCallsStage = checkpoint ? checkpoint.getStage('separateCalls') : null;
+
+    if (separateCallsStage && separateCallsStage.status === 'completed') {
+      separatedCalls = separateCallsStage.data.calls;
+      showLog('♻️', videoNumber, totalVideos, videoId, `Reanudando desde checkpoint (${separatedCalls.length} llamadas separadas)`, null, null);
+      await logInfo(`Video ${videoId}: separateCalls recuperado desde checkpoint (${separatedCalls.length} llamadas)`);
+    } else {
+      console.log(`[${videoNumber}/${totalVideos}] ${videoId} | Iniciando separateCalls...`);
+      await logInfo(`Video ${videoId}: Iniciando procesamiento de datos (separateCalls)`);
+      console.log(`[${videoNumber}/${totalVideos}] ${videoId} | Parámetros - segments: ${segments ? segments.length : 'null'}, srt length: ${srt ? srt.length : 'null'}, savePrompt: ${shouldSaveProcessingPrompt}`);
+      await logInfo(`Video ${videoId}: Parámetros separateCalls - segments: ${segments ? segments.length : 'null'}, srt length: ${srt ? srt.length : 'null'}, savePrompt: ${shouldSaveProcessingPrompt}`);
+
+      const separateCallsStart = Date.now();
+      try {
+        separatedCalls = await separateCalls(segments, srt, videoNumber, totalVideos, videoId, shouldSaveProcessingPrompt, processingPromptPath, audioPath);
+        const separateCallsDuration = ((Date.now() - separateCallsStart) / 1000).toFixed(2);
+        //console.log(`[${videoNumber}/${totalVideos}] ${videoId} | ✅ separateCalls completado (${separateCallsDuration}s) - calls: ${separatedCalls ? separatedCalls.length : 'null'}`);
+        await logInfo(`Video ${videoId}: separateCalls completado (${separateCallsDuration}s) - calls: ${separatedCalls ? separatedCalls.length : 'null'}`);
+
+        // Verificar si las llamadas tienen metadatos
+        if (separatedCalls && separatedCalls.length > 0) {
+          const firstCall = separatedCalls[0];
+          //console.log(`[${videoNumber}/${totalVideos}] ${videoId} | Verificando metadatos de la primera llamada...`);
+          //console.log(`[${videoNumber}/${totalVideos}] ${videoId} | - title: ${firstCall.title || 'NO'}`);
+          //console.log(`[${videoNumber}/${totalVideos}] ${videoId} | - topic: ${firstCall.topic || 'NO'}`);
+          //console.log(`[${videoNumber}/${totalVideos}] ${videoId} | - thumbnailScene: ${firstCall.thumbnailScene ? 'SÍ' : 'NO'}`);
+          await logInfo(`Video ${videoId}: Primera llamada - title: ${firstCall.title || 'NO'}, topic: ${firstCall.topic || 'NO'}, thumbnailScene: ${firstCall.thumbnailScene ? 'SÍ' : 'NO'}`);
+        }
+      } catch (error) {
+        const separateCallsDuration = ((Date.now() - separateCallsStart) / 1000).toFixed(2);
+        console.log(`[${videoNumber}/${totalVideos}] ${videoId} | ❌ ERROR en separateCalls (${separateCallsDuration})}`);
+        await logError(`Video ${videoId}: ERROR en separateCalls (${separateCallsDuration}s): ${error.message}`);
+        await logError(`Video ${videoId}: Stack: ${error.stack}`);
+        throw error; // Re-lanzar el error para que se maneje arriba
+      }
+
+      if (checkpoint) {
+        await checkpoint.completeStage('separateCalls', { calls: separatedCalls });
       }
-    } catch (error) {
-      const separateCallsDuration = ((Date.now() - separateCallsStart) / 1000).toFixed(2);
-      console.log(`[${videoNumber}/${totalVideos}] ${videoId} | ❌ ERROR en separateCalls (${separateCallsDuration})}`);
-      await logError(`Video ${videoId}: ERROR en separateCalls (${separateCallsDuration}s): ${error.message}`);
-      await logError(`Video ${videoId}: Stack: ${error.stack}`);
-      throw error; // Re-lanzar el error para que se maneje arriba
     }
+    if (checkpoint) checkpoint.throwIfCancelled();
 
-    // 4. Procesar cada llamada
+    // 4. Recortar cada llamada y guardar transcripción y metadatos (checkpoint: cut)
     const processedCalls = [];
     const totalCalls = separatedCalls.length;
+    const cutStage = checkpoint ? checkpoint.getStage('cut') : null;
+    const cutCalls = cutStage && cutStage.data.calls ? cutStage.data.calls : {};
+    const failedCutCalls = [];
 
     for (let i = 0; i < separatedCalls.length; i++) {
       const call = separatedCalls[i];
       const callNumber = i + 1;
       const callPercent = (callNumber / totalCalls) * 100;
-      
+
+      // Si la llamada ya fue recortada en un intento anterior, reutilizarla
+      const cutCall = cutCalls[callNumber];
+      if (cutCall && existsSync(cutCall.audioFile) && existsSync(cutCall.metadataFile)) {
+        processedCalls.push({ callNumber, ...cutCall });
+        continue;
+      }
+
       try {
         showLog('✂️', videoNumber, totalVideos, videoId, `Recortando llamada ${callNumber}/${totalCalls}`, callPercent, null);
         // Usar los metadatos de la primera llamada a la IA (procesamiento de datos)
@@ -480,7 +674,18 @@ async function processSingleVideo(youtubeUrl, videoNumber = 1, totalVideos = 1,
           thumbnailScene: call.thumbnailScene || null, // Escena para la miniatura generada por la IA
           youtubeVideoId: videoId,
           youtubeUrl: youtubeUrl, // URL completa del video original
-          speakers: speakers.length > 0 ? speakers : ['Conductor', 'Llamante'],
+          speakers: getCallSpeakers(totalCalls === 1 ? segments : segments.filter((seg) => seg.start >= call.start && seg.end <= call.end), speakers),
+          episodeStart: call.start, // Inicio de la llamada en el audio del episodio (para re-separar)
+          episodeEnd: call.end, // Fin de la llamada en el audio del episodio
+          separationMethod: call.separationMethod || null, // 'llm' o 'audio' (canciones, cortinas y silencios)
+          separationCheck: call.audioCheck || null, // Diferencias entre los bordes del LLM y los del audio
+          boundariesNeedReview: Boolean(call.audioCheck && !call.audioCheck.agrees),
+          transcriptionSource: transcriptionInfo.source, // Fuente usada (puede diferir de la pedida si se usó la cadena de respaldo)
+          transcriptionQuality: transcriptionInfo.quality, // Puntaje de calidad de la transcripción del episodio
+          channel: channel || null, // Canal del episodio (para asociar los glosarios del programa)
+          channelId: channelId || null,
+          episodeTitle: videoTitle || null,
+          glossaryCorrections: transcriptionInfo.glossary ? transcriptionInfo.glossary.corrections : [], // Correcciones del glosario en el episodio
         };
 
         // Generar nombre de archivo con formato: [idVideo] - [numero] - [titulo]
@@ -489,7 +694,7 @@ async function processSingleVideo(youtubeUrl, videoNumber = 1, totalVideos = 1,
 
         // Extraer segmento de audio directamente a calls (archivo final) o copiar completo si es solo una llamada
         const callAudioPath = join(config.storage.callsPath, `${sanitizedFileName}.mp3`);
-        
+
         if (totalCalls === 1) {
           // Si es solo una llamada, copiar el audio completo sin recortar
           showLog('📋', videoNumber, totalVideos, videoId, 'Copiando audio completo (solo una llamada detectada)', callPercent, null);
@@ -499,9 +704,6 @@ async function processSingleVideo(youtubeUrl, videoNumber = 1, totalVideos = 1,
           await extractAudioSegment(audioPath, call.start, call.end, callAudioPath, videoNumber, totalVideos, videoId, callNumber, totalCalls);
         }
 
-        // Leer audio como buffer
-        const audioBuffer = await readAudioFile(callAudioPath);
-
         // Generar SRT para esta llamada
         let callSRT;
         if (totalCalls === 1) {
@@ -515,11 +717,85 @@ async function processSingleVideo(youtubeUrl, videoNumber = 1, totalVideos = 1,
           callSRT = generateCallSRT(callSegments, call.start);
         }
 
+        // Guardar archivos con el nuevo formato de nombre (usar nombre sanitizado)
+        // El audio ya está guardado en callsPath por extractAudioSegment, solo guardar transcripción y metadata
+        const savedAudioPath = callAudioPath; // Ya está guardado en callsPath
+        const savedTranscriptionPath = await saveTranscriptionFile(sanitizedFileName, callSRT);
+
+        // Timestamps por palabra de la llamada (relativos al inicio del audio de la llamada)
+        await saveWordTimestampsFile(
+          sanitizedFileName,
+          totalCalls === 1 ? segments : segments.filter((seg) => seg.start >= call.start && seg.end <= call.end),
+          totalCalls === 1 ? 0 : call.start
+        );
+
+        // Los campos de miniatura se completan en la etapa thumbnail
+        const fullMetadata = {
+          callId: uuidv4(), // Mantener callId interno para referencias
+          callNumber,
+          fileName: sanitizedFileName, // Nombre del archivo (sanitizado, usado para guardar archivos)
+          thumbnailUrl: thumbnailUrl, // URL de la miniatura de YouTube
+          originalThumbnailPath: null, // Ruta de la miniatura original de YouTube
+          generatedThumbnailPath: null, // Ruta de la imagen generada con IA
+          generatedThumbnail: false, // Indica si se generó imagen con IA
+          processingPromptPath: processingPromptPath && existsSync(processingPromptPath) ? processingPromptPath : null, // Ruta del prompt de procesamiento de datos (una vez por video)
+          imagePromptPath: null, // Ruta del prompt de generación de imagen (una vez por llamada)
+          transcriptionPath: savedTranscriptionPath, // Ruta del archivo de transcripción SRT
+          ...metadata,
+        };
+        const savedMetadataPath = await saveMetadataFile(sanitizedFileName, fullMetadata);
+        await scanProcessedCallForPII(sanitizedFileName);
+
+        const processedCall = {
+          callId: fullMetadata.callId,
+          fileName: sanitizedFileName,
+          audioFile: savedAudioPath,
+          transcriptionFile: savedTranscriptionPath,
+          metadataFile: savedMetadataPath,
+        };
+        processedCalls.push({ callNumber, ...processedCall });
+
+        if (checkpoint) {
+          cutCalls[callNumber] = processedCall;
+          await checkpoint.updateStage('cut', { calls: cutCalls });
+        }
+      } catch (error) {
+        // Continuar con la siguiente llamada; la etapa queda incompleta para re-recortarla al reanudar
+        failedCutCalls.push(callNumber);
+        await logError(`Video ${videoId}: Error al recortar la llamada ${callNumber}/${totalCalls}: ${error.message}`);
+      }
+    }
+
+    if (failedCutCalls.length > 0) {
+      if (checkpoint) {
+        await checkpoint.updateStage('cut', { calls: cutCalls, failedCalls: failedCutCalls });
+      }
+      throw new Error(`No se pudieron recortar las llamadas ${failedCutCalls.join(', ')} de ${totalCalls}`);
+    }
+
+    if (checkpoint) {
+      await checkpoint.completeStage('cut', { calls: cutCalls, failedCalls: [] });
+      checkpoint.throwIfCancelled();
+    }
+
+    // 5. Miniaturas de cada llamada (checkpoint: thumbnail)
+    const thumbnailStage = checkpoint ? checkpoint.getStage('thumbnail') : null;
+    const thumbnailCalls = thumbnailStage && thumbnailStage.data.calls ? thumbnailStage.data.calls : {};
+
+    for (const processedCall of processedCalls) {
+      const { callNumber, fileName: sanitizedFileName } = processedCall;
+
+      if (thumbnailCalls[callNumber]) {
+        continue;
+      }
+
+      try {
+        const metadata = await readMetadataFile(sanitizedFileName);
+
         // Descargar miniatura original de YouTube si está disponible
         const originalThumbnailPath = join(config.storage.callsPath, `${sanitizedFileName}_original.jpg`);
-        let finalThumbnailUrl = thumbnailUrl;
         let originalThumbnailExists = false;
-        
+
         if (downloadOriginalThumbnail && thumbnailUrl && !existsSync(originalThumbnailPath)) {
           try {
             await downloadThumbnail(thumbnailUrl, originalThumbnailPath);
@@ -530,12 +806,12 @@ async function processSingleVideo(youtubeUrl, videoNumber = 1, totalVideos = 1,
         } else if (existsSync(originalThumbnailPath)) {
           originalThumbnailExists = true;
         }
-        
+
         // Generar imagen miniatura con DALL-E basada en el resumen
         const generatedThumbnailPath = join(config.storage.callsPath, `${sanitizedFileName}_generated.jpg`);
         let generatedImagePath = null;
         const imagePromptPath = shouldSaveImagePrompt ? join(config.storage.callsPath, `${sanitizedFileName}_image_prompt.txt`) : null;
-        
+
         if (imageConfig && imageConfig.generate) {
           try {
             // Generar imagen usando DALL-E con la configuración proporcionada
@@ -556,30 +832,37 @@ async function processSingleVideo(youtubeUrl, videoNumber = 1, totalVideos = 1,
           }
         }
 
-        // Guardar archivos con el nuevo formato de nombre (usar nombre sanitizado)
-        // El audio ya está guardado en callsPath por extractAudioSegment, solo guardar transcripción y metadata
-        const savedAudioPath = callAudioPath; // Ya está guardado en callsPath
-        const savedTranscriptionPath = await saveTranscriptionFile(sanitizedFileName, callSRT);
-        
-        const fullMetadata = {
-          callId: uuidv4(), // Mantener callId interno para referencias
-          callNumber,
-          fileName: sanitizedFileName, // Nombre del archivo (sanitizado, usado para guardar archivos)
-          thumbnailUrl: finalThumbnailUrl, // URL de la miniatura de YouTube
-          originalThumbnailPath: originalThumbnailExists ? originalThumbnailPath : null, // Ruta de la miniatura original de YouTube
-          generatedThumbnailPath: generatedImagePath && existsSync(generatedImagePath) ? generatedImagePath : null, // Ruta de la imagen generada con IA
-          generatedThumbnail: generatedImagePath && existsSync(generatedImagePath) ? true : false, // Indica si se generó imagen con IA
-          processingPromptPath: processingPromptPath && existsSync(processingPromptPath) ? processingPromptPath : null, // Ruta del prompt de procesamiento de datos (una vez por video)
-          imagePromptPath: imagePromptPath && existsSync(imagePromptPath) ? imagePromptPath : null, // Ruta del prompt de generación de imagen (una vez por llamada)
-          transcriptionPath: savedTranscriptionPath, // Ruta del archivo de transcripción SRT
+        const hasGeneratedImage = Boolean(generatedImagePath && existsSync(generatedImagePath));
+        await saveMetadataFile(sanitizedFileName, {
           ...metadata,
-        };
-        const savedMetadataPath = await saveMetadataFile(sanitizedFileName, fullMetadata);
+          originalThumbnailPath: originalThumbnailExists ? originalThumbnailPath : null,
+          generatedThumbnailPath: hasGeneratedImage ? generatedImagePath : null,
+          generatedThumbnail: hasGeneratedImage,
+          imagePromptPath: imagePromptPath && existsSync(imagePromptPath) ? imagePromptPath : null,
+        });
 
-        processedCalls.push({
-          callId: fullMetadata.callId,
-          callNumber,
-          fileName: sanitizedFileName,
+        if (checkpoint) {
+          thumbnailCalls[callNumber] = true;
+          await checkpoint.updateStage('thumbnail', { calls: thumbnailCalls });
+        }
+      } catch (error) {
+        console.warn(`⚠️  Error al procesar miniaturas de ${sanitizedFileName}: ${error.message}`);
+      }
+    }
+
+    if (checkpoint) {
+      await checkpoint.completeStage('thumbnail', { calls: thumbnailCalls });
+    }
+
+    // Construir la respuesta a partir de los metadatos guardados
+    const resultCalls = [];
+    for (const processedCall of processedCalls) {
+      try {
+        const metadata = await readMetadataFile(processedCall.fileName);
+        resultCalls.push({
+          callId: metadata.callId,
+          callNumber: metadata.callNumber,
+          fileName: metadata.fileName,
           youtubeVideoId: videoId,
           youtubeUrl: youtubeUrl,
           title: metadata.title,
@@ -591,26 +874,25 @@ async function processSingleVideo(youtubeUrl, videoNumber = 1, totalVideos = 1,
           age: metadata.age,
           summary: metadata.summary,
           speakers: metadata.speakers,
-          thumbnailUrl: finalThumbnailUrl,
-          originalThumbnailFile: originalThumbnailExists ? originalThumbnailPath : null,
-          generatedThumbnailFile: generatedImagePath && existsSync(generatedImagePath) ? generatedImagePath : null,
-          audioFile: savedAudioPath,
-          transcriptionFile: savedTranscriptionPath,
-          thumbnailFile: generatedImagePath && existsSync(generatedImagePath) ? generatedImagePath : (originalThumbnailExists ? originalThumbnailPath : null), // Por compatibilidad, usar imagen generada si existe, sino la original
-          metadataFile: savedMetadataPath,
+          thumbnailUrl: metadata.thumbnailUrl,
+          originalThumbnailFile: metadata.originalThumbnailPath,
+          generatedThumbnailFile: metadata.generatedThumbnailPath,
+          audioFile: processedCall.audioFile,
+          transcriptionFile: processedCall.transcriptionFile,
+          thumbnailFile: metadata.generatedThumbnailPath || metadata.originalThumbnailPath, // Por compatibilidad, usar imagen generada si existe, sino la original
+          metadataFile: processedCall.metadataFile,
         });
-
       } catch (error) {
-        // Continuar con la siguiente llamada
+        console.warn(`⚠️  No se pudieron leer los metadatos de ${processedCall.fileName}: ${error.message}`);
       }
     }
 
     // Eliminar archivos temporales del video completo después de procesar todas las llamadas
+    // (el SRT y los timestamps por palabra del episodio se conservan para re-separar llamadas, ver resplitCalls)
     try {
       const originalAudioPath = join(config.storage.tempPath, `${videoId}.mp3`);
       const originalAudioMinPath = join(config.storage.tempPath, `${videoId}_min.mp3`);
       const originalAudioMin2Path = join(config.storage.tempPath, `${videoId}_min2.mp3`);
-      const originalTranscriptionPath = join(config.storage.tempPath, `${videoId}.srt`);
       
         if (existsSync(originalAudioPath)) {
           await unlink(originalAudioPath);
@@ -623,24 +905,42 @@ async function processSingleVideo(youtubeUrl, videoNumber = 1, totalVideos = 1,
         if (existsSync(originalAudioMin2Path)) {
           await unlink(originalAudioMin2Path);
         }
-        
-        if (existsSync(originalTranscriptionPath)) {
-          await unlink(originalTranscriptionPath);
-        }
     } catch (error) {
       console.warn('⚠️  Error al eliminar archivos temporales:', error.message);
       // Continuar aunque falle la eliminación
     }
 
     const elapsedTime = (Date.now() - startTime) / 1000;
-    showLog('✅', videoNumber, totalVideos, videoId, `Completado (${processedCalls.length} llamadas)`, null, elapsedTime);
+    showLog('✅', videoNumber, totalVideos, videoId, `Completado (${resultCalls.length} llamadas)`, null, elapsedTime);
     
-    return {
+    const videoResult = {
       videoId,
       processed: true,
-      calls: processedCalls,
+      calls: resultCalls,
     };
+
+    if (checkpoint) {
+      await checkpoint.complete(videoResult);
+    }
+    await removeFailedVideo(videoId);
+
+    return videoResult;
   } catch (error) {
+    if (checkpoint && !error.cancelled) {
+      await checkpoint.fail(error.message).catch(() => {});
+    }
+
+    // Registrar el fallo (con las opciones de procesamiento) para poder reintentarlo desde /api/failed-videos
+    if (videoId && !error.cancelled) {
+      await recordFailedVideo({
+        videoId,
+        youtubeUrl,
+        error: String(error.message || '').split('\nStack:')[0],
+        processingOptions: { transcriptionSource, imageConfig, downloadOriginalThumbnail, saveProcessingPrompt: shouldSaveProcessingPrompt },
+      }).catch(recordError => console.warn('⚠️  No se pudo guardar el video fallido:', recordError.message));
+    }
+
+
     const elapsedTime = (Date.now() - startTime) / 1000;
     // Asegurar que videoId esté definido para el log
     const videoIdForLog = videoId || extractVideoId(youtubeUrl) || 'N/A';
@@ -670,12 +970,14 @@ async function processSingleVideo(youtubeUrl, videoNumber = 1, totalVideos = 1,
     enhancedError.originalError = error;
     enhancedError.videoId = videoIdForLog;
     enhancedError.youtubeUrl = youtubeUrl;
+    enhancedError.cancelled = Boolean(error.cancelled);
     throw enhancedError;
   }
 }
 
 /**
  * Procesa un video de YouTube y extrae las llamadas
+ * Valida los parámetros y encola un trabajo 'process-video' (ver /api/jobs)
  * @param {object} req - Request object
  * @param {object} res - Response object
  */
@@ -716,11 +1018,6 @@ export async function processVideo(req, res) {
       ? parseInt(maxConcurrencyParam, 10)
       : 3;
     
-    // Limpiar la consola antes de comenzar
-    if (typeof process !== 'undefined' && process.stdout) {
-      process.stdout.write('\x1b[2J\x1b[0f'); // Limpiar pantalla y mover cursor al inicio
-    }
-    
     // Validar y parsear transcriptionSource (por defecto 'YOUTUBE')
     const validSources = ['WHISPER-OpenAI', 'WHISPER-LOCAL', 'YOUTUBE'];
     let source = 'YOUTUBE';
@@ -735,9 +1032,6 @@ export async function processVideo(req, res) {
       }
     }
     
-    // Compresión de audio fija al 50%
-    const compressionPercent = 50;
-    
     // Validar y parsear parámetros de miniatura
     // Si thumbnail no viene o es null, no se generará miniatura
     let imageConfig = null;
@@ -764,246 +1058,297 @@ export async function processVideo(req, res) {
     // Validar downloadOriginalThumbnail (por defecto true)
     const shouldDownloadOriginal = downloadOriginalThumbnail !== undefined ? Boolean(downloadOriginalThumbnail) : true;
     
-    const logHeader = `Procesando ${urls.length} video(s) de YouTube | Paralelo: ${Math.min(maxConcurrency, urls.length)} | Transcripción: ${source} | Compresión: ${compressionPercent}% | Miniatura: ${imageConfig ? 'Habilitada' : 'Deshabilitada'}`;
-    await logInfo(logHeader);
-    console.log('');
-    console.log('================================');
-    console.log(`Procesando ${urls.length} video(s) de YouTube`);
-    console.log(`Procesamiento en paralelo: ${Math.min(maxConcurrency, urls.length)} video(s) simultáneo(s)`);
-    console.log(`Fuente de transcripción: ${source}`);
-    console.log(`Compresión de audio: ${compressionPercent}%`);
-    console.log(`Generación de miniatura: ${imageConfig ? 'Habilitada' : 'Deshabilitada'}${imageConfig ? ` (${imageConfig.size}, ${imageConfig.quality})` : ''}`);
-    console.log('================================');
-    console.log('');
+    // Encolar el trabajo (se ejecuta en segundo plano y sobrevive a reinicios del servidor)
+    const job = await createJob('process-video', {
+      youtubeUrls: urls,
+      maxConcurrency,
+      transcriptionSource: source,
+      imageConfig,
+      downloadOriginalThumbnail: shouldDownloadOriginal,
+      saveProcessingPrompt: saveProcessingPrompt !== undefined ? Boolean(saveProcessingPrompt) : false,
+    });
 
-    const results = [];
-    let processedCount = 0;
-    let skippedCount = 0;
-    let errorCount = 0;
+    return res.status(202).json({
+      jobId: job.jobId,
+      type: job.type,
+      status: job.status,
+      totalVideos: urls.length,
+      message: 'Trabajo encolado. Consultar el estado en /api/jobs/' + job.jobId,
+    });
+  } catch (error) {
+    await logError(`Error al encolar video(s): ${error.message}`);
+    await logError(`Stack: ${error.stack}`);
+    return res.status(500).json({
+      error: 'Error al procesar el video(s)',
+      message: error.message,
+    });
+  }
+}
 
-    // Función para procesar un video con su índice
-    const processVideoWithIndex = async (url, index) => {
-      const videoNumber = index + 1;
-      const videoId = extractVideoId(url) || 'N/A';
+/**
+ * Ejecuta un trabajo 'process-video': procesa los videos en paralelo con límite de concurrencia
+ * Cada video guarda su checkpoint por etapa para poder reanudar tras un reinicio o reintento
+ * @param {object} job - Trabajo de la cola
+ * @param {object} jobContext - Contexto del trabajo (progreso, cancelación y checkpoints)
+ * @returns {Promise<object>} - Resumen del procesamiento
+ */
+async function runProcessVideoJob(job, jobContext) {
+  const { youtubeUrls: urls, maxConcurrency, transcriptionSource: source, imageConfig, downloadOriginalThumbnail: shouldDownloadOriginal, saveProcessingPrompt } = job.params;
 
-      try {
-        // Verificar si el video está en la lista negra
-        const isBlacklisted = await isVideoBlacklisted(videoId);
-        if (isBlacklisted) {
-          const totalDigits = urls.length.toString().length;
-          const currentPadded = videoNumber.toString().padStart(totalDigits, '0');
-          const greenColor = '\x1b[32m'; // ANSI code para verde
-          const resetColor = '\x1b[0m';   // ANSI code para resetear color
-          const logLine = `${greenColor}[${currentPadded}/${urls.length}] ${videoId} | 🚫 En lista negra - Saltado${resetColor}`;
-          lineManager.updateVideoLog(videoId, videoNumber, logLine);
-          lineManager.writeVideoLine(videoId);
-          return {
-            youtubeUrl: url,
-            index,
-            processed: false,
-            skipped: true,
-            reason: 'blacklisted',
-            message: 'Video en lista negra',
-          };
-        }
+  // Compresión de audio fija al 50%
+  const compressionPercent = 50;
 
-        // Configurar callbacks de log
-        const { setLogCallback: setYoutubeLogCallback } = await import('../services/youtubeService.js');
-        const { setLogCallback: setTranscriptionLogCallback } = await import('../services/transcriptionService.js');
-        const { setLogCallback: setAudioLogCallback } = await import('../utils/audioUtils.js');
-        const { setLogCallback: setCallSeparationLogCallback } = await import('../services/callSeparationService.js');
+  // Limpiar la consola antes de comenzar
+  if (typeof process !== 'undefined' && process.stdout) {
+    process.stdout.write('\x1b[2J\x1b[0f'); // Limpiar pantalla y mover cursor al inicio
+  }
+
+  await jobContext.setProgress(0, urls.length);
+
+  const logHeader = `Procesando ${urls.length} video(s) de YouTube | Paralelo: ${Math.min(maxConcurrency, urls.length)} | Transcripción: ${source} | Compresión: ${compressionPercent}% | Miniatura: ${imageConfig ? 'Habilitada' : 'Deshabilitada'}`;
+  await logInfo(logHeader);
+  console.log('');
+  console.log('================================');
+  console.log(`Procesando ${urls.length} video(s) de YouTube`);
+  console.log(`Procesamiento en paralelo: ${Math.min(maxConcurrency, urls.length)} video(s) simultáneo(s)`);
+  console.log(`Fuente de transcripción: ${source}`);
+  console.log(`Compresión de audio: ${compressionPercent}%`);
+  console.log(`Generación de miniatura: ${imageConfig ? 'Habilitada' : 'Deshabilitada'}${imageConfig ? ` (${imageConfig.size}, ${imageConfig.quality})` : ''}`);
+  console.log('================================');
+  console.log('');
+
+  const results = [];
+  let processedCount = 0;
+  let skippedCount = 0;
+  let errorCount = 0;
+
+  // Función para procesar un video con su índice
+  const processVideoWithIndex = async (url, index) => {
+    const videoNumber = index + 1;
+    const videoId = extractVideoId(url) || 'N/A';
+
+    try {
+      jobContext.throwIfCancelled();
+
+      // Verificar si el video está en la lista negra
+      const blacklistMatch = await getBlacklistMatch({ id: videoId });
+      if (blacklistMatch) {
+        const totalDigits = urls.length.toString().length;
+        const currentPadded = videoNumber.toString().padStart(totalDigits, '0');
+        const greenColor = '\x1b[32m'; // ANSI code para verde
+        const resetColor = '\x1b[0m';   // ANSI code para resetear color
+        const logLine = `${greenColor}[${currentPadded}/${urls.length}] ${videoId} | 🚫 En lista negra - Saltado${resetColor}`;
+        lineManager.updateVideoLog(videoId, videoNumber, logLine);
+        lineManager.writeVideoLine(videoId);
+        return {
+          youtubeUrl: url,
+          index,
+          processed: false,
+          skipped: true,
+          reason: 'blacklisted',
+          message: 'Video en lista negra',
+          skipReason: buildBlacklistSkipReason(blacklistMatch),
+        };
+      }
+
+      // Configurar callbacks de log
+      const { setLogCallback: setYoutubeLogCallback } = await import('../services/youtubeService.js');
+      const { setLogCallback: setTranscriptionLogCallback } = await import('../services/transcriptionService.js');
+      const { setLogCallback: setAudioLogCallback } = await import('../utils/audioUtils.js');
+      const { setLogCallback: setCallSeparationLogCallback } = await import('../services/callSeparationService.js');
+      
+      // Función local para mostrar logs (usa el mismo gestor de líneas)
+      const showLogLocal = (icon, current, total, vidId, processText, percent = null, elapsedTime = null, lineIndex = null) => {
+        // Formatear el número del video con ceros a la izquierda para que tenga el mismo ancho que el total
+        const totalDigits = total.toString().length;
+        const currentPadded = current.toString().padStart(totalDigits, '0');
+        const currentStr = `[${currentPadded}/${total}]`;
+        const processStr = percent !== null ? `${processText} ${percent.toFixed(1)}%` : processText;
+        const timeStr = elapsedTime !== null ? `${elapsedTime.toFixed(1)}s` : '';
         
-        // Función local para mostrar logs (usa el mismo gestor de líneas)
-        const showLogLocal = (icon, current, total, vidId, processText, percent = null, elapsedTime = null, lineIndex = null) => {
-          // Formatear el número del video con ceros a la izquierda para que tenga el mismo ancho que el total
-          const totalDigits = total.toString().length;
-          const currentPadded = current.toString().padStart(totalDigits, '0');
-          const currentStr = `[${currentPadded}/${total}]`;
-          const processStr = percent !== null ? `${processText} ${percent.toFixed(1)}%` : processText;
-          const timeStr = elapsedTime !== null ? `${elapsedTime.toFixed(1)}s` : '';
-          
-          // Detectar si es un proceso completado o ya procesado para aplicar color verde
-          const isCompleted = processText.includes('Completado') || processText.includes('Ya procesado');
-          // Detectar si es un error para aplicar color rojo
-          const isError = processText.includes('Error:') || 
-                          processText.includes('Requiere verificación') ||
-                          processText.includes('Bloqueado por YouTube') ||
-                          processText.includes('autenticación') ||
-                          processText.includes('verificación de edad') ||
-                          processText.includes('Omitido');
-          
-          const greenColor = '\x1b[32m'; // ANSI code para verde
-          const redColor = '\x1b[31m';   // ANSI code para rojo
-          const resetColor = '\x1b[0m';   // ANSI code para resetear color
-          
-          // Sin índice de línea ni icono al principio
-          let logLine;
-          if (isCompleted) {
-            logLine = `${greenColor}${currentStr} ${vidId} | ${processStr}${timeStr ? ` | ${timeStr}` : ''}${resetColor}`;
-          } else if (isError) {
-            logLine = `${redColor}${currentStr} ${vidId} | ${processStr}${timeStr ? ` | ${timeStr}` : ''}${resetColor}`;
-          } else {
-            logLine = `${currentStr} ${vidId} | ${processStr}${timeStr ? ` | ${timeStr}` : ''}`;
-          }
-          
-          // Actualizar el buffer del video
-          lineManager.updateVideoLog(vidId, current, logLine);
-          // Escribir directamente en la línea asignada del video (usa el índice almacenado)
-          lineManager.writeVideoLine(vidId, lineIndex);
-        };
+        // Detectar si es un proceso completado o ya procesado para aplicar color verde
+        const isCompleted = processText.includes('Completado') || processText.includes('Ya procesado');
+        // Detectar si es un error para aplicar color rojo
+        const isError = processText.includes('Error:') || 
+                        processText.includes('Requiere verificación') ||
+                        processText.includes('Bloqueado por YouTube') ||
+                        processText.includes('autenticación') ||
+                        processText.includes('verificación de edad') ||
+                        processText.includes('Omitido');
         
-        setYoutubeLogCallback(showLogLocal);
-        setTranscriptionLogCallback(showLogLocal);
-        setAudioLogCallback(showLogLocal);
-        setCallSeparationLogCallback(showLogLocal);
-        setImageLogCallback(showLogLocal);
+        const greenColor = '\x1b[32m'; // ANSI code para verde
+        const redColor = '\x1b[31m';   // ANSI code para rojo
+        const resetColor = '\x1b[0m';   // ANSI code para resetear color
         
-        const shouldSaveProcessingPrompt = saveProcessingPrompt !== undefined ? Boolean(saveProcessingPrompt) : false;
-        const shouldSaveImagePrompt = (imageConfig && imageConfig.saveImagePrompt !== undefined) ? Boolean(imageConfig.saveImagePrompt) : false;
-        const result = await processSingleVideo(url, videoNumber, urls.length, source, imageConfig, shouldDownloadOriginal, shouldSaveProcessingPrompt, shouldSaveImagePrompt);
+        // Sin índice de línea ni icono al principio
+        let logLine;
+        if (isCompleted) {
+          logLine = `${greenColor}${currentStr} ${vidId} | ${processStr}${timeStr ? ` | ${timeStr}` : ''}${resetColor}`;
+        } else if (isError) {
+          logLine = `${redColor}${currentStr} ${vidId} | ${processStr}${timeStr ? ` | ${timeStr}` : ''}${resetColor}`;
+        } else {
+          logLine = `${currentStr} ${vidId} | ${processStr}${timeStr ? ` | ${timeStr}` : ''}`;
+        }
         
-        return {
-          youtubeUrl: url,
-          index,
-          ...result,
-        };
-      } catch (error) {
-        return {
-          youtubeUrl: url,
-          index,
-          processed: false,
-          error: error.message,
-        };
-      }
-    };
-
-    // Procesar con pool continuo: cuando un proceso termina, se inicia el siguiente
-    // Pero usar chunks para el renderizado (solo mostrar los videos activos)
-    const resultMap = new Map(); // Map<index, result>
-    let nextIndex = 0;
-    const activePromises = new Set();
-    let completedCount = 0;
-    const activeVideoIds = new Set(); // IDs de videos que están siendo procesados actualmente
-    
-    // Función para iniciar el siguiente proceso
-    const startNext = () => {
-      if (nextIndex >= urls.length) return null;
+        // Actualizar el buffer del video
+        lineManager.updateVideoLog(vidId, current, logLine);
+        // Escribir directamente en la línea asignada del video (usa el índice almacenado)
+        lineManager.writeVideoLine(vidId, lineIndex);
+      };
       
-      const currentIndex = nextIndex++;
-      const url = urls[currentIndex];
-      const videoId = extractVideoId(url) || 'N/A';
+      setYoutubeLogCallback(showLogLocal);
+      setTranscriptionLogCallback(showLogLocal);
+      setAudioLogCallback(showLogLocal);
+      setCallSeparationLogCallback(showLogLocal);
+      setImageLogCallback(showLogLocal);
       
-      // Agregar a videos activos y agregar al lineManager
-      activeVideoIds.add(videoId);
-      lineManager.addActiveVideo(videoId);
+      const shouldSaveProcessingPrompt = saveProcessingPrompt !== undefined ? Boolean(saveProcessingPrompt) : false;
+      const shouldSaveImagePrompt = (imageConfig && imageConfig.saveImagePrompt !== undefined) ? Boolean(imageConfig.saveImagePrompt) : false;
+      const checkpoint = jobContext.getVideoCheckpoint(videoId, url);
+      const result = await processSingleVideo(url, videoNumber, urls.length, source, imageConfig, shouldDownloadOriginal, shouldSaveProcessingPrompt, shouldSaveImagePrompt, checkpoint);
+
+      // Videos omitidos (lista negra, ya procesados) también quedan completados en el trabajo
+      if (!checkpoint.isCompleted()) {
+        await checkpoint.complete(result);
+      }
       
-      const promise = processVideoWithIndex(url, currentIndex)
-        .then(result => {
-          resultMap.set(currentIndex, result);
-          activePromises.delete(promise);
-          activeVideoIds.delete(videoId);
-          completedCount++;
-          
-          // Marcar como completado (mantiene su línea visible)
-          lineManager.markVideoCompleted(videoId);
-          
-          // Si está en lista negra, ya se mostró el log, solo continuar
-          
-          // Iniciar el siguiente proceso
-          const nextPromise = startNext();
-          if (nextPromise) {
-            activePromises.add(nextPromise);
-          }
-          
-          return result;
-        })
-        .catch(error => {
-          activePromises.delete(promise);
-          activeVideoIds.delete(videoId);
-          resultMap.set(currentIndex, {
-            youtubeUrl: url,
-            index: currentIndex,
-            processed: false,
-            error: error.message,
-          });
-          completedCount++;
-          
-          // Marcar como completado (mantiene su línea visible)
-          lineManager.markVideoCompleted(videoId);
-          
-          // Iniciar el siguiente proceso incluso si hay error
-          const nextPromise = startNext();
-          if (nextPromise) {
-            activePromises.add(nextPromise);
-          }
-          
-          return null;
+      return {
+        youtubeUrl: url,
+        index,
+        ...result,
+      };
+    } catch (error) {
+      return {
+        youtubeUrl: url,
+        index,
+        processed: false,
+        error: error.message,
+      };
+    }
+  };
+
+  // Procesar con pool continuo: cuando un proceso termina, se inicia el siguiente
+  // Pero usar chunks para el renderizado (solo mostrar los videos activos)
+  const resultMap = new Map(); // Map<index, result>
+  let nextIndex = 0;
+  const activePromises = new Set();
+  let completedCount = 0;
+  const activeVideoIds = new Set(); // IDs de videos que están siendo procesados actualmente
+  
+  // Función para iniciar el siguiente proceso
+  const startNext = () => {
+    if (nextIndex >= urls.length) return null;
+    
+    const currentIndex = nextIndex++;
+    const url = urls[currentIndex];
+    const videoId = extractVideoId(url) || 'N/A';
+    
+    // Agregar a videos activos y agregar al lineManager
+    activeVideoIds.add(videoId);
+    lineManager.addActiveVideo(videoId);
+    
+    const promise = processVideoWithIndex(url, currentIndex)
+      .then(result => {
+        resultMap.set(currentIndex, result);
+        activePromises.delete(promise);
+        activeVideoIds.delete(videoId);
+        completedCount++;
+        jobContext.setProgress(completedCount, urls.length);
+        
+        // Marcar como completado (mantiene su línea visible)
+        lineManager.markVideoCompleted(videoId);
+        
+        // Si está en lista negra, ya se mostró el log, solo continuar
+        
+        // Iniciar el siguiente proceso
+        const nextPromise = startNext();
+        if (nextPromise) {
+          activePromises.add(nextPromise);
+        }
+        
+        return result;
+      })
+      .catch(error => {
+        activePromises.delete(promise);
+        activeVideoIds.delete(videoId);
+        resultMap.set(currentIndex, {
+          youtubeUrl: url,
+          index: currentIndex,
+          processed: false,
+          error: error.message,
         });
-      
-      activePromises.add(promise);
-      return promise;
-    };
+        completedCount++;
+        jobContext.setProgress(completedCount, urls.length);
+        
+        // Marcar como completado (mantiene su línea visible)
+        lineManager.markVideoCompleted(videoId);
+        
+        // Iniciar el siguiente proceso incluso si hay error
+        const nextPromise = startNext();
+        if (nextPromise) {
+          activePromises.add(nextPromise);
+        }
+        
+        return null;
+      });
     
-    // Iniciar los primeros N procesos
-    for (let i = 0; i < Math.min(maxConcurrency, urls.length); i++) {
-      startNext();
+    activePromises.add(promise);
+    return promise;
+  };
+  
+  // Iniciar los primeros N procesos
+  for (let i = 0; i < Math.min(maxConcurrency, urls.length); i++) {
+    startNext();
+  }
+  
+  // Esperar a que todos los procesos terminen
+  // Usar un loop que espera hasta que todos estén completos
+  while (completedCount < urls.length) {
+    if (activePromises.size > 0) {
+      await Promise.race(Array.from(activePromises));
+    } else {
+      // Si no hay promesas activas pero aún faltan por completar, esperar un poco
+      await new Promise(resolve => setTimeout(resolve, 100));
     }
-    
-    // Esperar a que todos los procesos terminen
-    // Usar un loop que espera hasta que todos estén completos
-    while (completedCount < urls.length) {
-      if (activePromises.size > 0) {
-        await Promise.race(Array.from(activePromises));
+  }
+  
+  // Procesar resultados en orden
+  for (let i = 0; i < urls.length; i++) {
+    const result = resultMap.get(i);
+    if (result) {
+      results.push(result);
+      
+      if (result.processed === true) {
+        processedCount++;
+      } else if (result.processed === false && result.error) {
+        errorCount++;
       } else {
-        // Si no hay promesas activas pero aún faltan por completar, esperar un poco
-        await new Promise(resolve => setTimeout(resolve, 100));
-      }
-    }
-    
-    // Procesar resultados en orden
-    for (let i = 0; i < urls.length; i++) {
-      const result = resultMap.get(i);
-      if (result) {
-        results.push(result);
-        
-        if (result.processed === true) {
-          processedCount++;
-        } else if (result.processed === false && result.error) {
-          errorCount++;
-        } else {
-          skippedCount++;
-        }
+        skippedCount++;
       }
     }
-
-    const logSummary = `Procesamiento completado | Procesados: ${processedCount} | Omitidos: ${skippedCount} | Errores: ${errorCount} | Total: ${urls.length}`;
-    await logInfo(logSummary);
-    console.log('');
-    console.log('================================');
-    console.log('✅ Procesamiento completado');
-    console.log('================================');
-    console.log(`📊 Procesados: ${processedCount} | Omitidos: ${skippedCount} | Errores: ${errorCount} | Total: ${urls.length}`);
-    console.log('');
-
-    return res.json({
-      totalVideos: urls.length,
-      processed: processedCount,
-      skipped: skippedCount,
-      errors: errorCount,
-      results,
-    });
-  } catch (error) {
-    await logError(`Error al procesar video(s): ${error.message}`);
-    await logError(`Stack: ${error.stack}`);
-    return res.status(500).json({
-      error: 'Error al procesar el video(s)',
-      message: error.message,
-    });
   }
+
+  const logSummary = `Procesamiento completado | Procesados: ${processedCount} | Omitidos: ${skippedCount} | Errores: ${errorCount} | Total: ${urls.length}`;
+  await logInfo(logSummary);
+  console.log('');
+  console.log('================================');
+  console.log('✅ Procesamiento completado');
+  console.log('================================');
+  console.log(`📊 Procesados: ${processedCount} | Omitidos: ${skippedCount} | Errores: ${errorCount} | Total: ${urls.length}`);
+  console.log('');
+
+  return {
+    totalVideos: urls.length,
+    processed: processedCount,
+    skipped: skippedCount,
+    errors: errorCount,
+    results,
+  };
 }
 
 /**
  * Procesa una playlist de YouTube y extrae las llamadas de cada video
+ * Valida los parámetros y encola un trabajo 'process-playlist' (ver /api/jobs)
  * @param {object} req - Request object
  * @param {object} res - Response object
  */
@@ -1081,9 +1426,6 @@ export async function processPlaylist(req, res) {
       }
     }
     
-    // Compresión de audio fija al 50%
-    const compressionPercent = 50;
-    
     // Validar y parsear sortOrder (por defecto 'ASC')
     const validSortOrders = ['ASC', 'DESC'];
     let sort = 'ASC';
@@ -1132,87 +1474,126 @@ export async function processPlaylist(req, res) {
     // saveImagePrompt ahora está dentro de thumbnail
     const shouldSaveImagePrompt = (imageConfig && imageConfig.saveImagePrompt !== undefined) ? Boolean(imageConfig.saveImagePrompt) : false;
     
-    // Si es una sola playlist, mantener el formato de respuesta original
-    if (urls.length === 1) {
-      return await processSinglePlaylist(urls[0], res, parsedMaxConcurrency, parsedLimit, sort, source, imageConfig, shouldDownloadOriginal, shouldUseIndex, shouldSaveProcessingPrompt, shouldSaveImagePrompt);
-    }
+    // Encolar el trabajo (se ejecuta en segundo plano y sobrevive a reinicios del servidor)
+    const job = await createJob('process-playlist', {
+      playlistUrls: urls,
+      maxConcurrency: parsedMaxConcurrency,
+      limit: parsedLimit,
+      sortOrder: sort,
+      transcriptionSource: source,
+      imageConfig,
+      downloadOriginalThumbnail: shouldDownloadOriginal,
+      usePlaylistIndex: shouldUseIndex,
+      saveProcessingPrompt: shouldSaveProcessingPrompt,
+      saveImagePrompt: shouldSaveImagePrompt,
+    });
 
-    // Procesar múltiples playlists en secuencia
-    console.log('');
-    console.log('================================');
-    console.log(`Procesando ${urls.length} playlist(s) de YouTube`);
-    console.log('================================');
-    console.log('');
+    return res.status(202).json({
+      jobId: job.jobId,
+      type: job.type,
+      status: job.status,
+      totalPlaylists: urls.length,
+      message: 'Trabajo encolado. Consultar el estado en /api/jobs/' + job.jobId,
+    });
+  } catch (error) {
+    await logError(`Error al encolar playlist(s): ${error.message}`);
+    await logError(`Stack: ${error.stack}`);
+    return res.status(500).json({
+      error: 'Error al procesar la playlist(s)',
+      message: error.message,
+    });
+  }
+}
 
-    const allResults = [];
-    let totalProcessed = 0;
-    let totalSkipped = 0;
-    let totalErrors = 0;
-    let totalVideos = 0;
+/**
+ * Ejecuta un trabajo 'process-playlist': procesa cada playlist en secuencia
+ * Los videos con checkpoint pendiente se retoman aunque ya tengan llamadas guardadas
+ * @param {object} job - Trabajo de la cola
+ * @param {object} jobContext - Contexto del trabajo (progreso, cancelación y checkpoints)
+ * @returns {Promise<object>} - Resultado del procesamiento
+ */
+async function runProcessPlaylistJob(job, jobContext) {
+  const { playlistUrls: urls, maxConcurrency, limit, sortOrder, transcriptionSource, imageConfig, downloadOriginalThumbnail, usePlaylistIndex, saveProcessingPrompt, saveImagePrompt } = job.params;
 
-    for (let i = 0; i < urls.length; i++) {
-      const playlistUrl = urls[i];
-      const playlistNumber = i + 1;
+  // Si es una sola playlist, mantener el formato de respuesta original
+  if (urls.length === 1) {
+    return await processSinglePlaylist(urls[0], null, maxConcurrency, limit, sortOrder, transcriptionSource, imageConfig, downloadOriginalThumbnail, usePlaylistIndex, saveProcessingPrompt, saveImagePrompt, jobContext);
+  }
 
-      console.log('');
-      console.log('================================');
-      console.log(`Playlist ${playlistNumber}/${urls.length}`);
-      console.log('================================');
-      console.log('');
+  // Procesar múltiples playlists en secuencia
+  console.log('');
+  console.log('================================');
+  console.log(`Procesando ${urls.length} playlist(s) de YouTube`);
+  console.log('================================');
+  console.log('');
 
-      try {
-        const result = await processSinglePlaylist(playlistUrl, null, parsedMaxConcurrency, parsedLimit, sort, source, imageConfig, shouldDownloadOriginal, shouldUseIndex, shouldSaveProcessingPrompt, shouldSaveImagePrompt);
-        allResults.push({
-          playlistUrl,
-          ...result,
-        });
-        
-        totalProcessed += result.processed || 0;
-        totalSkipped += result.skipped || 0;
-        totalErrors += result.errors || 0;
-        totalVideos += result.totalVideos || 0;
-      } catch (error) {
-        await logError(`Error al procesar playlist ${playlistNumber}: ${error.message}`);
-        await logError(`Stack: ${error.stack}`);
-        allResults.push({
-          playlistUrl,
-          processed: false,
-          error: error.message,
-        });
-        totalErrors++;
-      }
-    }
+  const allResults = [];
+  let totalProcessed = 0;
+  let totalSkipped = 0;
+  let totalErrors = 0;
+  let totalVideos = 0;
+
+  for (let i = 0; i < urls.length; i++) {
+    const playlistUrl = urls[i];
+    const playlistNumber = i + 1;
+
+    jobContext.throwIfCancelled();
 
     console.log('');
     console.log('================================');
-    console.log('✅ Procesamiento de playlists completado');
+    console.log(`Playlist ${playlistNumber}/${urls.length}`);
     console.log('================================');
-    console.log(`📊 Resumen total:`);
-    console.log(`   - Playlists procesadas: ${urls.length}`);
-    console.log(`   - Videos procesados: ${totalProcessed}`);
-    console.log(`   - Videos omitidos: ${totalSkipped}`);
-    console.log(`   - Videos con error: ${totalErrors}`);
-    console.log(`   - Total de videos: ${totalVideos}`);
     console.log('');
 
-    return res.json({
-      totalPlaylists: urls.length,
-      totalVideos,
-      processed: totalProcessed,
-      skipped: totalSkipped,
-      errors: totalErrors,
-      results: allResults,
-    });
-  } catch (error) {
-    await logError(`Error al procesar playlist(s): ${error.message}`);
-    await logError(`Stack: ${error.stack}`);
-    return res.status(500).json({
-      error: 'Error al procesar la playlist(s)',
-      message: error.message,
-    });
+    try {
+      const result = await processSinglePlaylist(playlistUrl, null, maxConcurrency, limit, sortOrder, transcriptionSource, imageConfig, downloadOriginalThumbnail, usePlaylistIndex, saveProcessingPrompt, saveImagePrompt, jobContext);
+      allResults.push({
+        playlistUrl,
+        ...result,
+      });
+      
+      totalProcessed += result.processed || 0;
+      totalSkipped += result.skipped || 0;
+      totalErrors += result.errors || 0;
+      totalVideos += result.totalVideos || 0;
+    } catch (error) {
+      await logError(`Error al procesar playlist ${playlistNumber}: ${error.message}`);
+      await logError(`Stack: ${error.stack}`);
+      allResults.push({
+        playlistUrl,
+        processed: false,
+        error: error.message,
+      });
+      totalErrors++;
+    }
   }
+
+  console.log('');
+  console.log('================================');
+  console.log('✅ Procesamiento de playlists completado');
+  console.log('================================');
+  console.log(`📊 Resumen total:`);
+  console.log(`   - Playlists procesadas: ${urls.length}`);
+  console.log(`   - Videos procesados: ${totalProcessed}`);
+  console.log(`   - Videos omitidos: ${totalSkipped}`);
+  console.log(`   - Videos con error: ${totalErrors}`);
+  console.log(`   - Total de videos: ${totalVideos}`);
+  console.log('');
+
+  return {
+    totalPlaylists: urls.length,
+    totalVideos,
+    processed: totalProcessed,
+    skipped: totalSkipped,
+    errors: totalErrors,
+    results: allResults,
+  };
 }
 
+// Registrar los manejadores de la cola de trabajos
+registerJobHandler('process-video', runProcessVideoJob);
+registerJobHandler('process-playlist', runProcessPlaylistJob);
+
 /**
  * Procesa una sola playlist de YouTube (función interna)
  * @param {string} playlistUrl - URL de la playlist de YouTube
@@ -1222,9 +1603,10 @@ export async function processPlaylist(req, res) {
  * @param {string} sortOrder - Orden de procesamiento: 'ASC' o 'DESC' (opcional, por defecto 'ASC')
  * @param {string} transcriptionSource - Fuente de transcripción (opcional, por defecto 'YOUTUBE')
  * @param {object} imageConfig - Configuración de generación de imágenes (opcional)
+ * @param {object|null} jobContext - Contexto del trabajo de la cola (opcional). Aporta checkpoints por video y progreso
  * @returns {Promise<object>} - Resultado del procesamiento
  */
-async function processSinglePlaylist(playlistUrl, res, maxConcurrencyParam = null, limitParam = null, sortOrder = 'ASC', transcriptionSource = 'YOUTUBE', imageConfig = null, downloadOriginalThumbnail = true, usePlaylistIndex = true, saveProcessingPrompt = false, saveImagePrompt = false) {
+async function processSinglePlaylist(playlistUrl, res, maxConcurrencyParam = null, limitParam = null, sortOrder = 'ASC', transcriptionSource = 'YOUTUBE', imageConfig = null, downloadOriginalThumbnail = true, usePlaylistIndex = true, saveProcessingPrompt = false, saveImagePrompt = false, jobContext = null) {
   // Compresión de audio fija al 50%
   const audioCompression = 50;
   try {
@@ -1267,10 +1649,13 @@ async function processSinglePlaylist(playlistUrl, res, maxConcurrencyParam = nul
     console.log('');
 
     if (videos.length === 0) {
-      return res.status(400).json({
-        error: 'No se encontraron videos en la playlist',
-      });
-    }
+      if (res) {
+        return res.status(400).json({
+          error: 'No se encontraron videos en la playlist',
+        });
+      }
+      throw new Error('No se encontraron videos en la playlist');
+    }
 
     // Filtrar videos que ya fueron procesados y verificar restricciones
     // Si hay un límite, buscar solo hasta encontrar esa cantidad de videos sin procesar
@@ -1280,6 +1665,8 @@ async function processSinglePlaylist(playlistUrl, res, maxConcurrencyParam = nul
     let alreadyProcessedCount = 0;
     let ageRestrictedCount = 0;
     let checkedCount = 0;
+    // Videos descartados antes de descargar, con el motivo (skipReason)
+    const skippedVideos = [];
     
     console.log(`📋 Total de videos en la playlist: ${totalVideosInPlaylist}`);
     if (targetLimit) {
@@ -1300,21 +1687,30 @@ async function processSinglePlaylist(playlistUrl, res, maxConcurrencyParam = nul
       
       checkedCount++;
       
-      // Verificar si el video está en la lista negra
+      // Verificar si el video está en la lista negra (por ID o por reglas de título, canal, duración o fecha)
       
       const checkBlacklistStart = Date.now();
-      const isBlacklisted = await isVideoBlacklisted(video.id);
+      const blacklistMatch = await getBlacklistMatch(video);
       const checkBlacklistDuration = ((Date.now() - checkBlacklistStart) / 1000).toFixed(2);
       
-      if (isBlacklisted) {
+      if (blacklistMatch) {
         //console.log(`   [${checkedCount}/${totalVideosInPlaylist}] ${video.id} | ✅ En lista negra (verificación: ${checkBlacklistDuration}s)`);
         //await logInfo(`Video ${video.id}: En lista negra - Saltado (búsqueda, verificación: ${checkBlacklistDuration}s)`);
+        skippedVideos.push({ videoId: video.id, videoTitle: video.title, skipReason: buildBlacklistSkipReason(blacklistMatch) });
         continue;
       } else {
         //console.log(`   [${checkedCount}/${totalVideosInPlaylist}] ${video.id} | ✅ No está en lista negra (verificación: ${checkBlacklistDuration}s)`);
         //await logInfo(`Video ${video.id}: No está en lista negra (búsqueda, verificación: ${checkBlacklistDuration}s)`);
       }
       
+      // Si el trabajo tiene un checkpoint pendiente para este video, retomarlo
+      // (sus llamadas parciales harían que parezca ya procesado)
+      if (jobContext && jobContext.hasPendingVideo(video.id)) {
+        unprocessedVideos.push(video);
+        console.log(`   [${checkedCount}/${totalVideosInPlaylist}] ${video.id} | ♻️ Checkpoint pendiente - Se reanudará`);
+        continue;
+      }
+      
       // Verificar si el video ya fue procesado
       // Si se usa el índice: primero verificar el índice, luego verificar JSON si el índice dice que no está procesado
       // Si no se usa el índice: verificar directamente con JSON
@@ -1380,6 +1776,7 @@ async function processSinglePlaylist(playlistUrl, res, maxConcurrencyParam = nul
         const existingCalls = await findCallsByVideoId(video.id);
         const callsCount = existingCalls.length;
         console.log(`   [${checkedCount}/${totalVideosInPlaylist}] ${video.id} | ✅ Ya procesado (${callsCount} llamadas) - Saltado`);
+        skippedVideos.push({ videoId: video.id, videoTitle: video.title, skipReason: ALREADY_PROCESSED_SKIP_REASON });
         // IMPORTANTE: No hacer break aquí, continuar con el siguiente video para encontrar videos sin procesar
         continue;
       } else {
@@ -1389,6 +1786,7 @@ async function processSinglePlaylist(playlistUrl, res, maxConcurrencyParam = nul
           if (hasAgeRestriction) {
             ageRestrictedCount++;
             console.log(`   [${checkedCount}/${totalVideosInPlaylist}] ${video.id} | 🚫 Requiere verificación de edad - Saltado`);
+            skippedVideos.push({ videoId: video.id, videoTitle: video.title, skipReason: AGE_RESTRICTED_SKIP_REASON });
             
             // Agregar a la lista de videos fallidos
             try {
@@ -1436,6 +1834,7 @@ async function processSinglePlaylist(playlistUrl, res, maxConcurrencyParam = nul
           processed: 0,
           skipped: totalVideosInPlaylist,
           errors: 0,
+          skippedVideos,
           results: [],
         });
       }
@@ -1445,6 +1844,7 @@ async function processSinglePlaylist(playlistUrl, res, maxConcurrencyParam = nul
         processed: 0,
         skipped: totalVideosInPlaylist,
         errors: 0,
+        skippedVideos,
         results: [],
       };
     }
@@ -1470,6 +1870,10 @@ async function processSinglePlaylist(playlistUrl, res, maxConcurrencyParam = nul
     console.log(`⚡ Procesamiento en paralelo: ${Math.min(maxConcurrency, videosToProcess.length)} video(s) simultáneo(s)`);
     console.log('');
 
+    if (jobContext) {
+      await jobContext.setProgress(0, videosToProcess.length);
+    }
+
     // Función helper para mostrar logs usando lineManager (similar a showLogCallback)
     const showLogCallback = (icon, current, total, videoId, processText, percent = null, elapsedTime = null) => {
       const totalDigits = total.toString().length;
@@ -1488,15 +1892,19 @@ async function processSinglePlaylist(playlistUrl, res, maxConcurrencyParam = nul
       const startTime = Date.now();
 
       try {
+        if (jobContext) {
+          jobContext.throwIfCancelled();
+        }
+
         // Verificar si el video está en la lista negra
         showLogCallback('🔍', videoNumber, videosToProcess.length, video.id, 'Verificando lista negra...', null, null);
         await logInfo(`Video ${video.id}: Verificando lista negra`);
         
         const checkBlacklistStart = Date.now();
-        const isBlacklisted = await isVideoBlacklisted(video.id);
+        const blacklistMatch = await getBlacklistMatch(video);
         const checkBlacklistDuration = ((Date.now() - checkBlacklistStart) / 1000).toFixed(2);
         
-        if (isBlacklisted) {
+        if (blacklistMatch) {
           await logInfo(`Video ${video.id}: En lista negra - Saltado (verificación: ${checkBlacklistDuration}s)`);
           const totalDigits = videosToProcess.length.toString().length;
           const currentPadded = videoNumber.toString().padStart(totalDigits, '0');
@@ -1507,11 +1915,14 @@ async function processSinglePlaylist(playlistUrl, res, maxConcurrencyParam = nul
           lineManager.writeVideoLine(video.id);
           return {
             video: video,
+            videoId: video.id,
+            videoTitle: video.title,
             index,
             processed: false,
             skipped: true,
             reason: 'blacklisted',
             message: 'Video en lista negra',
+            skipReason: buildBlacklistSkipReason(blacklistMatch),
           };
         } else {
           showLogCallback('✅', videoNumber, videosToProcess.length, video.id, 'No está en lista negra', null, parseFloat(checkBlacklistDuration));
@@ -1523,7 +1934,8 @@ async function processSinglePlaylist(playlistUrl, res, maxConcurrencyParam = nul
         await logInfo(`Video ${video.id}: Verificando si ya fue procesado`);
         
         const checkProcessedStart = Date.now();
-        const alreadyProcessed = await isVideoProcessed(video.id);
+        const hasPendingCheckpoint = Boolean(jobContext && jobContext.hasPendingVideo(video.id));
+        const alreadyProcessed = !hasPendingCheckpoint && await isVideoProcessed(video.id);
         const checkProcessedDuration = ((Date.now() - checkProcessedStart) / 1000).toFixed(2);
         
         if (alreadyProcessed) {
@@ -1637,6 +2049,7 @@ async function processSinglePlaylist(playlistUrl, res, maxConcurrencyParam = nul
             index,
             processed: false,
             message: 'Video ya procesado anteriormente',
+            skipReason: ALREADY_PROCESSED_SKIP_REASON,
             calls: existingCalls.map((call) => {
               const callFileName = call.fileName || call.callId;
               return {
@@ -1715,7 +2128,13 @@ async function processSinglePlaylist(playlistUrl, res, maxConcurrencyParam = nul
         const shouldSaveProcessingPrompt = saveProcessingPrompt !== undefined ? Boolean(saveProcessingPrompt) : false;
         // saveImagePrompt ahora está dentro de thumbnail
         const shouldSaveImagePrompt = (imageConfig && imageConfig.saveImagePrompt !== undefined) ? Boolean(imageConfig.saveImagePrompt) : false;
-        const result = await processSingleVideo(video.url, videoNumber, videosToProcess.length, transcriptionSource, imageConfig, downloadOriginalThumbnail, shouldSaveProcessingPrompt, shouldSaveImagePrompt);
+        const checkpoint = jobContext ? jobContext.getVideoCheckpoint(video.id, video.url) : null;
+        const result = await processSingleVideo(video.url, videoNumber, videosToProcess.length, transcriptionSource, imageConfig, downloadOriginalThumbnail, shouldSaveProcessingPrompt, shouldSaveImagePrompt, checkpoint);
+
+        // Videos omitidos dentro de processSingleVideo también quedan completados en el trabajo
+        if (checkpoint && !checkpoint.isCompleted()) {
+          await checkpoint.complete(result);
+        }
         
         // Si el video se procesó exitosamente y estamos usando el índice, agregarlo
         if (result.processed === true && usePlaylistIndex && playlistId) {
@@ -1791,6 +2210,9 @@ async function processSinglePlaylist(playlistUrl, res, maxConcurrencyParam = nul
           activePromises.delete(promise);
           activeVideoIds.delete(video.id);
           completedCount++;
+          if (jobContext) {
+            jobContext.setProgress(completedCount, videosToProcess.length);
+          }
           
           // Marcar como completado (mantiene su línea visible)
           lineManager.markVideoCompleted(video.id);
@@ -1815,6 +2237,9 @@ async function processSinglePlaylist(playlistUrl, res, maxConcurrencyParam = nul
             error: error.message || 'Error desconocido',
           });
           completedCount++;
+          if (jobContext) {
+            jobContext.setProgress(completedCount, videosToProcess.length);
+          }
           
           // Marcar como completado (mantiene su línea visible)
           lineManager.markVideoCompleted(video.id);
@@ -1905,6 +2330,10 @@ async function processSinglePlaylist(playlistUrl, res, maxConcurrencyParam = nul
       processed: processedCount,
       skipped: skippedCount,
       errors: errorCount,
+      skippedVideos: [
+        ...skippedVideos,
+        ...results.filter(r => r.skipReason).map(r => ({ videoId: r.videoId, videoTitle: r.videoTitle, skipReason: r.skipReason })),
+      ],
       summary: {
         processed: processedVideos.map(v => ({
           videoId: v.videoId,
@@ -1940,8 +2369,9 @@ async function processSinglePlaylist(playlistUrl, res, maxConcurrencyParam = nul
 
 /**
  * Parsea un archivo SRT y reconstruye los segments
+ * Las etiquetas de speaker (ej: "[Conductor] ...") se separan del texto en el campo speaker
  * @param {string} srtContent - Contenido del archivo SRT
- * @returns {Array} - Array de segments con start, end y text
+ * @returns {Array} - Array de segments con start, end, text y speaker
  */
 function parseSRTToSegments(srtContent) {
   const segments = [];
@@ -1993,7 +2423,78 @@ function parseSRTToSegments(srtContent) {
     segments.push(currentSegment);
   }
   
-  return segments;
+  return segments.map((segment) => {
+    const { speaker, text } = splitSpeakerLabel(segment.text);
+    return speaker ? { ...segment, text, speaker } : segment;
+  });
+}
+
+/**
+ * Asocia los timestamps por palabra guardados en temp a los segmentos parseados del SRT
+ * (los segmentos del SRT no conservan las palabras; se emparejan por tiempo de inicio)
+ * @param {Array} segments - Segmentos parseados del SRT
+ * @param {object} wordTimestamps - Contenido de <videoId>.words.json ({ segments })
+ * @returns {Array} - Segmentos con words cuando hay coincidencia
+ */
+function attachWordTimestamps(segments, wordTimestamps) {
+  const wordSegments = (wordTimestamps && wordTimestamps.segments) || [];
+  if (wordSegments.length === 0) {
+    return segments;
+  }
+
+  // El SRT redondea a milisegundos: tolerar una pequeña diferencia
+  return segments.map(segment => {
+    const match = wordSegments.find(wordSegment => Math.abs(wordSegment.start - segment.start) < 0.01);
+    return match ? { ...segment, words: match.words } : segment;
+  });
+}
+
+/**
+ * Etiqueta los speakers de una transcripción cargada desde un SRT que no tiene etiquetas
+ * (transcripciones guardadas antes de la diarización o subidas manualmente)
+ * @param {string} audioPath - Ruta del audio completo
+ * @param {Array} segments - Segmentos parseados del SRT
+ * @param {string} srt - Contenido SRT
+ * @param {string|null} srtPath - Ruta donde reescribir el SRT etiquetado (null = no guardar)
+ * @param {number} videoNumber - Número del video (para logs)
+ * @param {number} totalVideos - Total de videos (para logs)
+ * @param {string} videoId - ID del video (para logs)
+ * @returns {Promise<{segments: Array, srt: string}>}
+ */
+async function ensureSpeakerLabels(audioPath, segments, srt, srtPath, videoNumber, totalVideos, videoId) {
+  if (!config.diarization.enabled || segments.length === 0 || segments.some(segment => segment.speaker) || !existsSync(audioPath)) {
+    return { segments, srt };
+  }
+
+  try {
+    const diarization = await diarizeSegments(audioPath, segments, videoNumber, totalVideos, videoId);
+    if (diarization.speakers.length === 0) {
+      return { segments, srt };
+    }
+
+    const labeledSrt = generateSRT(diarization.segments);
+    if (srtPath) {
+      await writeFile(srtPath, labeledSrt, 'utf-8');
+    }
+    return { segments: diarization.segments, srt: labeledSrt };
+  } catch (error) {
+    console.warn(`⚠️  No se pudieron identificar los speakers de ${videoId}: ${error.message}`);
+    return { segments, srt };
+  }
+}
+
+/**
+ * Obtiene los speakers de una llamada a partir de sus segmentos
+ * @param {Array} callSegments - Segmentos de la llamada
+ * @param {Array<string>} fallbackSpeakers - Speakers a usar si los segmentos no tienen etiquetas
+ * @returns {Array<string>}
+ */
+function getCallSpeakers(callSegments, fallbackSpeakers = []) {
+  const speakers = getSpeakersFromSegments(callSegments);
+  if (speakers.length > 0) {
+    return speakers;
+  }
+  return fallbackSpeakers.length > 0 ? fallbackSpeakers : [HOST_LABEL, CALLER_LABEL];
 }
 
 /**
@@ -2011,7 +2512,7 @@ function generateCallSRT(segments, offset) {
     
     srt += `${index + 1}\n`;
     srt += `${startTime} --> ${endTime}\n`;
-    srt += `${segment.text.trim()}\n\n`;
+    srt += `${formatSpeakerText(segment)}\n\n`;
   });
   
   return srt;
@@ -2762,165 +3263,113 @@ export async function listVideosFromSource(req, res) {
   }
 }
 
+/**
+ * Convierte un parámetro booleano de la query (undefined si no se envió)
+ * @param {string} value - Valor ('true' o 'false')
+ * @param {string} name - Nombre del parámetro (para el mensaje de error)
+ * @returns {boolean|undefined}
+ * @throws {Error} - Si el valor no es 'true' ni 'false'
+ */
+function parseBooleanQueryParam(value, name) {
+  if (value === undefined || value === '') return undefined;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  throw new Error(`${name} debe ser true o false`);
+}
+
+/**
+ * Obtiene filtros, ordenamiento y paginación de la query de GET /api/video/list
+ * @param {object} query - Query de la request
+ * @returns {{filters: object, options: object}}
+ * @throws {Error} - Si algún parámetro es inválido
+ */
+function parseListVideosQuery(query) {
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+  ['dateFrom', 'dateTo'].forEach(name => {
+    if (query[name] && !datePattern.test(query[name])) {
+      throw new Error(`${name} debe tener formato YYYY-MM-DD`);
+    }
+  });
+
+  let limit = null;
+  if (query.limit !== undefined && query.limit !== '') {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > LIST_VIDEOS_MAX_LIMIT) {
+      throw new Error(`limit debe ser un entero entre 1 y ${LIST_VIDEOS_MAX_LIMIT}`);
+    }
+  }
+
+  return {
+    filters: {
+      text: query.q || null,
+      theme: query.theme || null,
+      tags: query.tags ? String(query.tags).split(',') : [],
+      dateFrom: query.dateFrom || null,
+      dateTo: query.dateTo || null,
+      pineconeUploaded: parseBooleanQueryParam(query.pineconeUploaded, 'pineconeUploaded'),
+      youtubeUploaded: parseBooleanQueryParam(query.youtubeUploaded, 'youtubeUploaded'),
+      isDuplicate: parseBooleanQueryParam(query.isDuplicate, 'isDuplicate'),
+      hasGeneratedThumbnail: parseBooleanQueryParam(query.hasGeneratedThumbnail, 'hasGeneratedThumbnail'),
+      hasVideo: parseBooleanQueryParam(query.hasVideo, 'hasVideo'),
+    },
+    options: {
+      sort: query.sort || 'group',
+      order: query.order || null,
+      limit,
+      cursor: query.cursor || null,
+    },
+  };
+}
+
+/**
+ * Lista las llamadas procesadas con filtros, ordenamiento, paginación por cursor y conteos por faceta
+ * Sin parámetros devuelve todas las llamadas (ordenadas por group y fecha)
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
 export async function listVideos(req, res) {
   try {
-    const { readdir, readFile, stat } = await import('fs/promises');
-    const files = await readdir(config.storage.callsPath);
-    
-    // Filtrar solo archivos JSON
-    const jsonFiles = files.filter(file => file.endsWith('.json'));
-    
-    
-    // Leer todos los archivos JSON
-    const videos = [];
-    
-    // Primero, contar las llamadas por youtubeVideoId
-    const callsCountByVideoId = new Map();
+    let listParams;
+    try {
+      listParams = parseListVideosQuery(req.query);
+    } catch (validationError) {
+      return res.status(400).json({
+        error: 'Parámetros de listado inválidos',
+        message: validationError.message,
+      });
+    }
     
-    for (const jsonFile of jsonFiles) {
-      try {
-        const filePath = join(config.storage.callsPath, jsonFile);
-        const fileContent = await readFile(filePath, 'utf-8');
-        let metadata;
-        try {
-          metadata = JSON.parse(fileContent);
-        } catch (parseError) {
-          await logWarn(`[Primera pasada] Error al parsear JSON en archivo ${jsonFile}: ${parseError.message}`);
-          continue; // Saltar este archivo
-        }
-        
-        const videoId = metadata.youtubeVideoId;
-        if (videoId) {
-          callsCountByVideoId.set(videoId, (callsCountByVideoId.get(videoId) || 0) + 1);
-        }
-      } catch (error) {
-        await logWarn(`[Primera pasada] Error al leer archivo ${jsonFile}: ${error.message}`);
+    // Las llamadas y las rutas de sus archivos vienen del catálogo (índice de los JSON de callsPath)
+    let page;
+    try {
+      page = await listCatalogCalls(listParams.filters, listParams.options);
+    } catch (listError) {
+      if (listError.invalidParams) {
+        return res.status(400).json({
+          error: 'Parámetros de listado inválidos',
+          message: listError.message,
+        });
       }
+      throw listError;
     }
+    const { entries } = page;
+    const callsCountByVideoId = await getCatalogCallCountsByVideo();
+    
+    const videos = [];
     
-    // Ahora leer los videos y agregar el conteo de llamadas
-    for (const jsonFile of jsonFiles) {      
+    for (const entry of entries) {
       try {
-        const filePath = join(config.storage.callsPath, jsonFile);
-        const fileContent = await readFile(filePath, 'utf-8');
-        let metadata;
-        try {
-          metadata = JSON.parse(fileContent);
-        } catch (parseError) {
-          await logWarn(`Error al parsear JSON en archivo ${jsonFile}: ${parseError.message}`);
-          console.error(`Contenido del archivo (primeros 200 caracteres): ${fileContent.substring(0, 200)}`);
-          continue; // Saltar este archivo
-        }
-        
-        // Extraer nombre base del archivo (sin extensión)
-        const baseName = jsonFile.replace('.json', '');
-        
-        // Construir rutas de las imágenes (usar la ruta del metadata si existe, sino construirla)
-        let originalThumbnailPath = metadata.originalThumbnailPath;
-        let generatedThumbnailPath = metadata.generatedThumbnailPath;
-        
-        // Si no hay ruta en metadata, intentar construirla con diferentes formatos
-        if (!originalThumbnailPath) {
-          // Intentar diferentes formatos
-          const possibleOriginalPaths = [
-            join(config.storage.callsPath, `${baseName}_original.jpg`),
-            join(config.storage.callsPath, `${baseName}_original.png`),
-            join(config.storage.callsPath, `${baseName}.jpg`), // Formato antiguo
-            join(config.storage.callsPath, `${baseName}.png`), // Formato antiguo
-          ];
-          
-          for (const path of possibleOriginalPaths) {
-            if (existsSync(path)) {
-              originalThumbnailPath = path;
-              break;
-            }
-          }
-        }
-        
-        // Usar generatedThumbnailPath del metadata si existe, sino intentar construirla
-        if (generatedThumbnailPath) {
-          // Si la ruta es relativa, convertirla a absoluta
-          if (!generatedThumbnailPath.startsWith('/') && !generatedThumbnailPath.match(/^[A-Za-z]:/)) {
-            generatedThumbnailPath = join(config.storage.callsPath, generatedThumbnailPath);
-          }
-          // Verificar que el archivo existe
-          if (!existsSync(generatedThumbnailPath)) {
-            generatedThumbnailPath = null;
-          }
-        }
-        
-        // Si no hay ruta en metadata o no existe el archivo, intentar construirla con diferentes formatos
-        if (!generatedThumbnailPath) {
-          const possibleGeneratedPaths = [
-            join(config.storage.callsPath, `${baseName}_generated.jpg`),
-            join(config.storage.callsPath, `${baseName}_generated.png`),
-          ];
-          
-          for (const path of possibleGeneratedPaths) {
-            if (existsSync(path)) {
-              generatedThumbnailPath = path;
-              break;
-            }
-          }
-        }
+        const { fileName: baseName, metadata, originalThumbnailPath, generatedThumbnailPath, audioPath, videoPath } = entry;
         
-        // Verificar si las imágenes existen
+        // Verificar si las imágenes y el video existen
         const originalThumbnailExists = originalThumbnailPath && existsSync(originalThumbnailPath);
         const generatedThumbnailExists = generatedThumbnailPath && existsSync(generatedThumbnailPath);
+        const hasVideo = Boolean(videoPath && existsSync(videoPath));
         
         // Construir URLs relativas para las imágenes
         const originalThumbnailUrl = originalThumbnailExists ? `/api/video/thumbnail/original/${encodeURIComponent(baseName)}` : null;
         const generatedThumbnailUrl = generatedThumbnailExists ? `/api/video/thumbnail/generated/${encodeURIComponent(baseName)}` : null;
         
-        // Construir ruta del audio si no está en metadata
-        let audioPath = metadata.audioFile;
-        if (!audioPath) {
-          // Intentar construir la ruta del audio
-          const possibleAudioPaths = [
-            join(config.storage.callsPath, `${baseName}.mp3`),
-          ];
-          
-          for (const path of possibleAudioPaths) {
-            if (existsSync(path)) {
-              audioPath = path;
-              break;
-            }
-          }
-        }
-        
-        // Verificar si existe un video generado
-        // Primero intentar usar la ruta del metadata si existe
-        let videoPath = metadata.videoPath || metadata.generatedVideoPath || null;
-        let hasVideo = false;
-        
-        if (videoPath) {
-          // Si la ruta es relativa, convertirla a absoluta
-          if (!videoPath.startsWith('/') && !videoPath.match(/^[A-Za-z]:/)) {
-            videoPath = join(config.storage.callsPath, videoPath);
-          }
-          // Verificar que el archivo existe
-          if (existsSync(videoPath)) {
-            hasVideo = true;
-          } else {
-            videoPath = null;
-          }
-        }
-        
-        // Si no hay ruta en metadata o no existe el archivo, buscar en formato estándar
-        if (!hasVideo) {
-          const possibleVideoPaths = [
-            join(config.storage.callsPath, `${baseName}.mp4`),
-          ];
-          
-          for (const path of possibleVideoPaths) {
-            if (existsSync(path)) {
-              hasVideo = true;
-              videoPath = path;
-              break;
-            }
-          }
-        }
-        
         const videoId = metadata.youtubeVideoId || null;
         const totalCallsInVideo = videoId ? (callsCountByVideoId.get(videoId) || 0) : 0;
         
@@ -2941,7 +3390,7 @@ export async function listVideos(req, res) {
           callNumber: metadata.callNumber || 1,
           totalCallsInVideo: totalCallsInVideo,
           hasVideo: hasVideo,
-          videoPath: videoPath,
+          videoPath: hasVideo ? videoPath : null,
           youtubeUploaded: metadata.youtubeUploaded || false,
           youtubeVideoUrl: metadata.youtubeVideoUrl || null,
           // Campos de Pinecone
@@ -2963,18 +3412,27 @@ export async function listVideos(req, res) {
         
         videos.push(videoData);
       } catch (error) {
-        await logWarn(`Error al leer archivo ${jsonFile}: ${error.message}`);
-        console.error(`Stack trace para ${jsonFile}:`, error.stack);
-        // Continuar con el siguiente archivo
+        await logWarn(`Error al preparar llamada ${entry.fileName}: ${error.message}`);
+        // Continuar con la siguiente llamada
       }
     }
     
     // Filtrar relaciones duplicadas bidireccionales
-    // Crear un mapa de videos por fileName para acceso rápido
+    // Crear un mapa de videos por fileName para acceso rápido (las relacionadas que no están en la página se buscan en el catálogo)
     const videosMap = new Map();
     videos.forEach(video => {
       videosMap.set(video.fileName, video);
     });
+    const missingRelated = [...new Set(videos.flatMap(video => video.relatedCalls))].filter(relatedFileName => !videosMap.has(relatedFileName));
+    if (missingRelated.length > 0) {
+      const relatedEntries = await queryCatalogCalls({ fileNames: missingRelated });
+      relatedEntries.forEach(({ fileName: relatedFileName, metadata }) => {
+        videosMap.set(relatedFileName, {
+          fileName: relatedFileName,
+          relatedCalls: Array.isArray(metadata.relatedCalls) ? metadata.relatedCalls : [],
+        });
+      });
+    }
     
     // Filtrar relatedCalls para eliminar relaciones duplicadas
     videos.forEach(video => {
@@ -3007,42 +3465,13 @@ export async function listVideos(req, res) {
       }
     });
     
-    // Ordenar primero por group, luego por fecha (más reciente primero) o por nombre de archivo
-    videos.sort((a, b) => {
-      // Primero agrupar por 'group'
-      const groupA = a.group || '';
-      const groupB = b.group || '';
-      
-      // Si tienen grupos diferentes, ordenar por grupo (alfabético)
-      if (groupA !== groupB) {
-        // Las llamadas sin group van al final
-        if (!groupA) return 1;
-        if (!groupB) return -1;
-        return groupA.localeCompare(groupB);
-      }
-      
-      // Si están en el mismo grupo (o ambas sin grupo), ordenar por fecha o nombre
-      if (a.date && b.date) {
-        return new Date(b.date) - new Date(a.date);
-      }
-      return b.fileName.localeCompare(a.fileName);
-    });
-    
-    // Verificar si el archivo objetivo está en la lista final
-    const targetFileName = 'i1JbPV3BPqg - 1 - El feo 3';
-    const foundInFinalList = videos.find(v => v.fileName === targetFileName);
-    if (foundInFinalList) {
-      console.log(`[listVideos] ✅ Archivo objetivo encontrado en lista final. Posición: ${videos.indexOf(foundInFinalList) + 1} de ${videos.length}`);
-    } else {
-      console.log(`[listVideos] ❌ Archivo objetivo NO encontrado en lista final`);
-      console.log(`[listVideos] Archivos similares en lista final:`, videos.filter(v => v.fileName.includes('i1JbPV3BPqg') || v.fileName.includes('feo')).map(v => v.fileName));
-    }
-    
-    console.log(`[listVideos] 📊 Total de videos a retornar: ${videos.length}`);
-    
+    // El orden viene del catálogo (por defecto: group, luego la fecha más reciente)
     return res.json({
       success: true,
-      total: videos.length,
+      total: page.total,
+      count: videos.length,
+      nextCursor: page.nextCursor,
+      facets: page.facets,
       videos: videos,
     });
   } catch (error) {
@@ -3285,6 +3714,22 @@ export async function downloadOriginalThumbnail(req, res) {
   }
 }
 
+/**
+ * Busca las transcripciones traducidas de una llamada (<fileName>.<idioma>.srt)
+ * @param {string} fileName - Nombre base de la llamada
+ * @returns {Promise<Array<{language: string, file: string}>>}
+ */
+async function findTranslatedTranscriptFiles(fileName) {
+  const prefix = `${fileName}.`;
+  const files = await readdir(config.storage.callsPath).catch(() => []);
+  return files
+    .filter(file => file.startsWith(prefix) && file.endsWith('.srt'))
+    .map(file => ({ language: file.slice(prefix.length, -'.srt'.length), file }))
+    .filter(({ language }) => /^[a-z]{2,3}(?:-(?:[A-Z]{2}|\d{3}))?$/.test(language))
+    // "<fileName>.<xx>.srt" puede ser el SRT de otra llamada cuyo título termina en ".xx"
+    .filter(({ language }) => !existsSync(join(config.storage.callsPath, `${fileName}.${language}.json`)));
+}
+
 /**
  * Función auxiliar para eliminar archivos de una llamada
  * @param {string} decodedFileName - Nombre del archivo (decodificado)
@@ -3297,6 +3742,8 @@ async function deleteCallFiles(decodedFileName) {
     `${decodedFileName}.json`, // Metadata
     `${decodedFileName}.mp3`, // Audio
     `${decodedFileName}.srt`, // Transcripción
+    `${decodedFileName}.words.json`, // Timestamps por palabra
+    `${decodedFileName}_min.txt`, // Transcripción simplificada
     // Miniaturas
     `${decodedFileName}_original.jpg`,
     `${decodedFileName}_original.png`,
@@ -3307,6 +3754,12 @@ async function deleteCallFiles(decodedFileName) {
     // Prompts
     `${decodedFileName}_processing_prompt.txt`,
     `${decodedFileName}_image_prompt.txt`,
+    // Datos personales (revisión y respaldos sin censurar)
+    `${decodedFileName}.pii.json`,
+    `${decodedFileName}_unredacted.mp3`,
+    `${decodedFileName}_unredacted.srt`,
+    // Traducciones
+    ...(await findTranslatedTranscriptFiles(decodedFileName)).map(({ file }) => file),
   ];
   
   const deletedFiles = [];
@@ -3331,6 +3784,8 @@ async function deleteCallFiles(decodedFileName) {
     }
   }
   
+  await refreshCatalogEntry(decodedFileName);
+  
   return { deletedFiles, deletedCount: deletedFiles.length, errors };
 }
 
@@ -3411,6 +3866,8 @@ async function renameFilesForTitleChange(decodedFileName, newSanitizedFileName,
     { ext: '.json', required: true },
     { ext: '.mp3', required: false },
     { ext: '.srt', required: false },
+    { ext: '.words.json', required: false }, // Timestamps por palabra
+    { ext: '_min.txt', required: false }, // Transcripción simplificada
     { ext: '.emb', required: false }, // Archivo de embedding de Pinecone
     { ext: '.mp4', required: false }, // Archivo de video
     { ext: '_original.jpg', required: false },
@@ -3421,6 +3878,11 @@ async function renameFilesForTitleChange(decodedFileName, newSanitizedFileName,
     { ext: '.png', required: false }, // Formato antiguo
     { ext: '_processing_prompt.txt', required: false },
     { ext: '_image_prompt.txt', required: false },
+    { ext: '.pii.json', required: false }, // Revisión de datos personales
+    { ext: '_unredacted.mp3', required: false }, // Respaldo del audio sin censurar
+    { ext: '_unredacted.srt', required: false }, // Respaldo de la transcripción sin censurar
+    // Traducciones (<archivo>.<idioma>.srt)
+    ...(await findTranslatedTranscriptFiles(decodedFileName)).map(({ language }) => ({ ext: `.${language}.srt`, required: false })),
   ];
   
   const renamedFiles = [];
@@ -3548,6 +4010,9 @@ async function renameFilesForTitleChange(decodedFileName, newSanitizedFileName,
     }
   }
   
+  await refreshCatalogEntry(decodedFileName);
+  await refreshCatalogEntry(newSanitizedFileName);
+  
   return { renamedFiles, errors };
 }
 
@@ -3625,6 +4090,7 @@ export async function updateTitle(req, res) {
     
     // PASO 1: Actualizar el título en el metadata primero (sin cambiar el fileName aún)
     metadata.title = newTitle;
+    Object.assign(metadata, markTranslationsStale(metadata));
     
     // Extraer videoId y callNumber del fileName actual o del metadata
     // Formato: "videoId - callNumber - oldTitle"
@@ -4038,6 +4504,7 @@ export async function regenerateTitle(req, res) {
 export async function blacklistCall(req, res) {
   try {
     const { fileName } = req.params;
+    const { reason, author } = req.body || {};
     const decodedFileName = decodeURIComponent(fileName);
     
     if (!decodedFileName || decodedFileName.trim() === '') {
@@ -4087,7 +4554,10 @@ export async function blacklistCall(req, res) {
     
     // Agregar a la lista negra
     try {
-      await addToBlacklist(youtubeVideoId);
+      await addToBlacklist(youtubeVideoId, {
+        reason: reason ? String(reason).trim() : `Llamada eliminada: ${decodedFileName}`,
+        author: author ? String(author).trim() : null,
+      });
       await logInfo(`Video ${youtubeVideoId} agregado a la lista negra`);
     } catch (error) {
       await logError(`Error al agregar a la lista negra: ${error.message}`);
@@ -4136,11 +4606,13 @@ export async function checkBlacklist(req, res) {
       });
     }
     
-    const isBlacklisted = await isVideoBlacklisted(videoId);
+    const entry = await getBlacklistEntry(videoId);
+    const isBlacklisted = Boolean(entry);
     
     return res.json({
       videoId,
       isBlacklisted,
+      entry,
       message: isBlacklisted ? 'Video está en lista negra' : 'Video no está en lista negra',
     });
   } catch (error) {
@@ -4863,6 +5335,7 @@ export async function transcribeAudioFile(req, res) {
       transcriptionPath = join(config.storage.tempPath, `${videoId}.srt`);
       const { writeFile } = await import('fs/promises');
       await writeFile(transcriptionPath, result.srt, 'utf-8');
+      await writeFile(getTranscriptionInfoPath(videoId), JSON.stringify({ source: result.source, quality: result.quality }), 'utf-8');
     }
     
     return res.json({
@@ -4871,6 +5344,8 @@ export async function transcribeAudioFile(req, res) {
       srt: result.srt,
       segments: result.segments,
       speakers: result.speakers,
+      transcriptionSource: result.source,
+      transcriptionQuality: result.quality,
       transcriptionPath,
       message: 'Transcripción completada exitosamente',
     });
@@ -5071,7 +5546,7 @@ export function getActiveVideoGenerations(req, res) {
  */
 export async function generateShortVideoEndpoint(req, res) {
   try {
-    const { fileName, youtubeVideoUrl } = req.body;
+    const { fileName, youtubeVideoUrl, captionStyle } = req.body;
     
     if (!fileName) {
       return res.status(400).json({
@@ -5079,6 +5554,19 @@ export async function generateShortVideoEndpoint(req, res) {
       });
     }
     
+    // Validar el estilo de subtítulos (opcional)
+    let normalizedCaptionStyle = null;
+    if (captionStyle !== undefined && captionStyle !== null) {
+      try {
+        normalizedCaptionStyle = normalizeCaptionStyle(captionStyle);
+      } catch (error) {
+        return res.status(400).json({
+          error: 'captionStyle inválido',
+          message: error.message,
+        });
+      }
+    }
+    
     if (!youtubeVideoUrl) {
       return res.status(400).json({
         error: 'youtubeVideoUrl es requerido',
@@ -5113,11 +5601,12 @@ export async function generateShortVideoEndpoint(req, res) {
       startTime: Date.now(),
       fps: 0,
       outputPath: null,
-      videoTitle: fileName
+      videoTitle: fileName,
+      fileName
     });
     
     // Iniciar generación de forma asíncrona
-    generateShortVideo(shortId, fileName, youtubeVideoUrl, {})
+    generateShortVideo(shortId, fileName, youtubeVideoUrl, { captionStyle: normalizedCaptionStyle })
       .catch(error => {
         logError(`Error al generar short ${shortId}: ${error.message}`).catch(() => {});
       });
@@ -5531,196 +6020,79 @@ export async function downloadYouTubeTranscription(req, res) {
 }
 
 /**
- * Procesa un audio MP3: separa llamadas, recorta audios y limpia temporales
- * @param {object} req - Request object
- * @param {object} res - Response object
+ * Separa las llamadas de un audio MP3, recorta cada una, guarda sus archivos y limpia los temporales
+ * (flujo de /api/audio/process, reutilizado por la ingesta de podcasts)
+ * @param {object} options - Opciones del procesamiento
+ * @param {string} options.audioPath - Ruta del audio MP3 (se elimina al terminar)
+ * @param {string} options.transcriptionPath - Ruta del SRT (opcional, se elimina al terminar)
+ * @param {string} options.videoId - ID usado como youtubeVideoId de las llamadas
+ * @param {string} options.youtubeUrl - URL del video de YouTube (opcional)
+ * @param {string} options.uploadDate - Fecha del episodio (YYYY-MM-DD, opcional)
+ * @param {string} options.thumbnailUrl - URL de la miniatura original (opcional)
+ * @param {boolean} options.saveProcessingPrompt - Guardar el prompt de procesamiento
+ * @param {boolean} options.saveImagePrompt - Guardar el prompt de la imagen
+ * @param {object} options.thumbnail - Configuración de la miniatura generada (opcional)
+ * @param {boolean} options.downloadOriginalThumbnail - Descargar la miniatura original
+ * @param {object} options.extraMetadata - Campos adicionales para el metadata de cada llamada
+ * @returns {Promise<Array<object>>} - Llamadas procesadas
  */
-export async function processAudioFile(req, res) {
-  try {
-    const { 
-      audioPath, 
-      transcriptionPath, 
-      videoId, 
-      youtubeUrl, 
-      uploadDate,
-      thumbnailUrl,
-      saveProcessingPrompt,
-      saveImagePrompt,
-      thumbnail,
-      downloadOriginalThumbnail
-    } = req.body;
-    
-    if (!audioPath) {
-      return res.status(400).json({
-        error: 'audioPath es requerido',
-      });
-    }
-    
-    if (!videoId) {
-      return res.status(400).json({
-        error: 'videoId es requerido',
-      });
-    }
+export async function processAudioFileCalls({ audioPath, transcriptionPath, videoId, youtubeUrl, uploadDate, thumbnailUrl, saveProcessingPrompt, saveImagePrompt, thumbnail, downloadOriginalThumbnail, extraMetadata = {} }) {
+  let separatedCalls = [];
+  let srt = '';
+  let segments = [];
+  
+  // Definir processingPromptPath siempre (se usa en el metadata más adelante)
+  const processingPromptPath = saveProcessingPrompt ? join(config.storage.callsPath, `${videoId}_processing_prompt.txt`) : null;
+  const shouldSaveProcessingPrompt = saveProcessingPrompt !== undefined ? Boolean(saveProcessingPrompt) : false;
+  
+  // Si hay transcripción, procesarla con IA
+  if (transcriptionPath) {
+    // Leer transcripción
+    const { readFile } = await import('fs/promises');
+    srt = await readFile(transcriptionPath, 'utf-8');
     
-    // Verificar que el archivo de audio exista
-    if (!existsSync(audioPath)) {
-      return res.status(400).json({
-        error: `El archivo de audio no existe: ${audioPath}`,
-      });
-    }
+    // Parsear SRT a segments
+    segments = parseSRTToSegments(srt);
     
-    // Verificar transcripción si se proporciona
-    if (transcriptionPath && !existsSync(transcriptionPath)) {
-      return res.status(400).json({
-        error: `El archivo de transcripción no existe: ${transcriptionPath}`,
-      });
-    }
+    // Etiquetar speakers si la transcripción no los tiene
+    ({ segments, srt } = await ensureSpeakerLabels(audioPath, segments, srt, null, 1, 1, videoId));
     
-    let separatedCalls = [];
-    let srt = '';
-    let segments = [];
+    // Procesar datos (separar llamadas) - Usa IA para generar metadatos
     
-    // Definir processingPromptPath siempre (se usa en el metadata más adelante)
-    const processingPromptPath = saveProcessingPrompt ? join(config.storage.callsPath, `${videoId}_processing_prompt.txt`) : null;
-    const shouldSaveProcessingPrompt = saveProcessingPrompt !== undefined ? Boolean(saveProcessingPrompt) : false;
+    console.log(`🤖 Procesando datos de ${videoId} con IA...`);
+    await logInfo(`Audio ${videoId}: Iniciando procesamiento de datos (separateCalls) con IA`);
+    console.log(`Parámetros - segments: ${segments ? segments.length : 'null'}, srt length: ${srt ? srt.length : 'null'}, savePrompt: ${shouldSaveProcessingPrompt}`);
+    await logInfo(`Audio ${videoId}: Parámetros separateCalls - segments: ${segments ? segments.length : 'null'}, srt length: ${srt ? srt.length : 'null'}, savePrompt: ${shouldSaveProcessingPrompt}`);
     
-    // Si hay transcripción, procesarla con IA
-    if (transcriptionPath) {
-      // Leer transcripción
-      const { readFile } = await import('fs/promises');
-      srt = await readFile(transcriptionPath, 'utf-8');
-      
-      // Parsear SRT a segments
-      segments = parseSRTToSegments(srt);
-      
-      // Procesar datos (separar llamadas) - Usa IA para generar metadatos
-      
-      console.log(`🤖 Procesando datos de ${videoId} con IA...`);
-      await logInfo(`Audio ${videoId}: Iniciando procesamiento de datos (separateCalls) con IA`);
-      console.log(`Parámetros - segments: ${segments ? segments.length : 'null'}, srt length: ${srt ? srt.length : 'null'}, savePrompt: ${shouldSaveProcessingPrompt}`);
-      await logInfo(`Audio ${videoId}: Parámetros separateCalls - segments: ${segments ? segments.length : 'null'}, srt length: ${srt ? srt.length : 'null'}, savePrompt: ${shouldSaveProcessingPrompt}`);
-      
-      const separateCallsStart = Date.now();
-      try {
-        separatedCalls = await separateCalls(segments, srt, 1, 1, videoId, shouldSaveProcessingPrompt, processingPromptPath);
-        const separateCallsDuration = ((Date.now() - separateCallsStart) / 1000).toFixed(2);
-        console.log(`✅ Procesamiento de datos completado (${separateCallsDuration}s) - ${separatedCalls.length} llamadas encontradas`);
-        await logInfo(`Audio ${videoId}: separateCalls completado (${separateCallsDuration}s) - calls: ${separatedCalls ? separatedCalls.length : 'null'}`);
-        
-        // Verificar si las llamadas tienen metadatos generados por IA
-        if (separatedCalls && separatedCalls.length > 0) {
-          const firstCall = separatedCalls[0];
-          console.log(`Verificando metadatos de la primera llamada generados por IA...`);
-          console.log(`- title: ${firstCall.title || 'NO'}`);
-          console.log(`- topic: ${firstCall.topic || 'NO'}`);
-          console.log(`- thumbnailScene: ${firstCall.thumbnailScene ? 'SÍ' : 'NO'}`);
-          await logInfo(`Audio ${videoId}: Primera llamada - title: ${firstCall.title || 'NO'}, topic: ${firstCall.topic || 'NO'}, thumbnailScene: ${firstCall.thumbnailScene ? 'SÍ' : 'NO'}`);
-        }
-      } catch (error) {
-        const separateCallsDuration = ((Date.now() - separateCallsStart) / 1000).toFixed(2);
-        console.log(`❌ ERROR en separateCalls (${separateCallsDuration}s): ${error.message}`);
-        await logError(`Audio ${videoId}: ERROR en separateCalls (${separateCallsDuration}s): ${error.message}`);
-        await logError(`Audio ${videoId}: Stack: ${error.stack}`);
-        
-        // Si falla separateCalls, crear una llamada única con todo el audio
-        console.log(`⚠️  Creando una llamada única debido al error en separateCalls`);
-        await logWarn(`Audio ${videoId}: Creando una llamada única debido al error en separateCalls`);
-        
-        // Obtener duración del audio
-        let audioDuration = 0;
-        try {
-          const ffmpeg = (await import('fluent-ffmpeg')).default;
-          audioDuration = await new Promise((resolve, reject) => {
-            ffmpeg.ffprobe(audioPath, (err, metadata) => {
-              if (err) {
-                console.warn(`No se pudo obtener duración del audio: ${err.message}`);
-                resolve(0);
-              } else {
-                resolve(metadata.format.duration || 0);
-              }
-            });
-          });
-        } catch (durError) {
-          console.warn(`No se pudo obtener duración del audio: ${durError.message}`);
-        }
-        
-        // Obtener nombre del archivo sin extensión para usar como título
-        const audioFileName = basename(audioPath);
-        const audioNameWithoutExt = audioFileName.replace(/\.[^/.]+$/, '');
-        
-        separatedCalls = [{
-          start: 0,
-          end: audioDuration,
-          transcription: '',
-          title: audioNameWithoutExt, // Usar nombre del archivo como título
-          description: null,
-          topic: null,
-          tags: [],
-          name: null,
-          age: null,
-          summary: null,
-          thumbnailScene: null,
-          startText: null,
-          endText: null,
-        }];
-      }
+    const separateCallsStart = Date.now();
+    try {
+      separatedCalls = await separateCalls(segments, srt, 1, 1, videoId, shouldSaveProcessingPrompt, processingPromptPath, audioPath);
+      const separateCallsDuration = ((Date.now() - separateCallsStart) / 1000).toFixed(2);
+      console.log(`✅ Procesamiento de datos completado (${separateCallsDuration}s) - ${separatedCalls.length} llamadas encontradas`);
+      await logInfo(`Audio ${videoId}: separateCalls completado (${separateCallsDuration}s) - calls: ${separatedCalls ? separatedCalls.length : 'null'}`);
       
-      // Verificar que separatedCalls no esté vacío después de separateCalls
-      if (!separatedCalls || separatedCalls.length === 0) {
-        console.warn(`⚠️  separateCalls retornó un array vacío, creando una llamada única`);
-        await logWarn(`Audio ${videoId}: separateCalls retornó un array vacío, creando una llamada única`);
-        
-        // Obtener nombre del archivo sin extensión para usar como título
-        const audioFileName = basename(audioPath);
-        const audioNameWithoutExt = audioFileName.replace(/\.[^/.]+$/, '');
-        
-        // Obtener duración del audio
-        let audioDuration = 0;
-        try {
-          const ffmpeg = (await import('fluent-ffmpeg')).default;
-          audioDuration = await new Promise((resolve, reject) => {
-            ffmpeg.ffprobe(audioPath, (err, metadata) => {
-              if (err) {
-                console.warn(`No se pudo obtener duración del audio: ${err.message}`);
-                resolve(0);
-              } else {
-                resolve(metadata.format.duration || 0);
-              }
-            });
-          });
-        } catch (durError) {
-          console.warn(`No se pudo obtener duración del audio: ${durError.message}`);
-        }
-        
-        separatedCalls = [{
-          start: 0,
-          end: audioDuration,
-          transcription: '',
-          title: audioNameWithoutExt, // Usar nombre del archivo como título
-          description: null,
-          topic: null,
-          tags: [],
-          name: null,
-          age: null,
-          summary: null,
-          thumbnailScene: null,
-          startText: null,
-          endText: null,
-        }];
+      // Verificar si las llamadas tienen metadatos generados por IA
+      if (separatedCalls && separatedCalls.length > 0) {
+        const firstCall = separatedCalls[0];
+        console.log(`Verificando metadatos de la primera llamada generados por IA...`);
+        console.log(`- title: ${firstCall.title || 'NO'}`);
+        console.log(`- topic: ${firstCall.topic || 'NO'}`);
+        console.log(`- thumbnailScene: ${firstCall.thumbnailScene ? 'SÍ' : 'NO'}`);
+        await logInfo(`Audio ${videoId}: Primera llamada - title: ${firstCall.title || 'NO'}, topic: ${firstCall.topic || 'NO'}, thumbnailScene: ${firstCall.thumbnailScene ? 'SÍ' : 'NO'}`);
       }
-    } else {
-      // Sin transcripción: crear una sola llamada sin metadatos de IA
-      console.log(`📋 Procesando audio sin transcripción - copiando archivo directamente`);
-      await logInfo(`Audio ${videoId}: Procesando sin transcripción - copiando audio directamente`);
+    } catch (error) {
+      const separateCallsDuration = ((Date.now() - separateCallsStart) / 1000).toFixed(2);
+      console.log(`❌ ERROR en separateCalls (${separateCallsDuration}s): ${error.message}`);
+      await logError(`Audio ${videoId}: ERROR en separateCalls (${separateCallsDuration}s): ${error.message}`);
+      await logError(`Audio ${videoId}: Stack: ${error.stack}`);
       
-      // Obtener nombre del archivo sin extensión para usar como título
-      const audioFileName = basename(audioPath);
-      const audioNameWithoutExt = audioFileName.replace(/\.[^/.]+$/, '');
+      // Si falla separateCalls, crear una llamada única con todo el audio
+      console.log(`⚠️  Creando una llamada única debido al error en separateCalls`);
+      await logWarn(`Audio ${videoId}: Creando una llamada única debido al error en separateCalls`);
       
-      // Obtener duración del audio para crear metadata básico
+      // Obtener duración del audio
       let audioDuration = 0;
       try {
-        // Usar ffprobe para obtener duración
         const ffmpeg = (await import('fluent-ffmpeg')).default;
         audioDuration = await new Promise((resolve, reject) => {
           ffmpeg.ffprobe(audioPath, (err, metadata) => {
@@ -5732,10 +6104,14 @@ export async function processAudioFile(req, res) {
             }
           });
         });
-      } catch (error) {
-        console.warn(`No se pudo obtener duración del audio: ${error.message}`);
+      } catch (durError) {
+        console.warn(`No se pudo obtener duración del audio: ${durError.message}`);
       }
       
+      // Obtener nombre del archivo sin extensión para usar como título
+      const audioFileName = basename(audioPath);
+      const audioNameWithoutExt = audioFileName.replace(/\.[^/.]+$/, '');
+      
       separatedCalls = [{
         start: 0,
         end: audioDuration,
@@ -5753,11 +6129,10 @@ export async function processAudioFile(req, res) {
       }];
     }
     
-    // Asegurar que siempre haya al menos una llamada
-    // Si separatedCalls está vacío (no debería pasar, pero por seguridad)
+    // Verificar que separatedCalls no esté vacío después de separateCalls
     if (!separatedCalls || separatedCalls.length === 0) {
-      console.warn(`⚠️  No se encontraron llamadas, creando una llamada única con todo el audio`);
-      await logWarn(`Audio ${videoId}: No se encontraron llamadas, creando una llamada única`);
+      console.warn(`⚠️  separateCalls retornó un array vacío, creando una llamada única`);
+      await logWarn(`Audio ${videoId}: separateCalls retornó un array vacío, creando una llamada única`);
       
       // Obtener nombre del archivo sin extensión para usar como título
       const audioFileName = basename(audioPath);
@@ -5777,8 +6152,8 @@ export async function processAudioFile(req, res) {
             }
           });
         });
-      } catch (error) {
-        console.warn(`No se pudo obtener duración del audio: ${error.message}`);
+      } catch (durError) {
+        console.warn(`No se pudo obtener duración del audio: ${durError.message}`);
       }
       
       separatedCalls = [{
@@ -5797,1162 +6172,2610 @@ export async function processAudioFile(req, res) {
         endText: null,
       }];
     }
+  } else {
+    // Sin transcripción: crear una sola llamada sin metadatos de IA
+    console.log(`📋 Procesando audio sin transcripción - copiando archivo directamente`);
+    await logInfo(`Audio ${videoId}: Procesando sin transcripción - copiando audio directamente`);
     
-    // Procesar cada llamada
-    const processedCalls = [];
-    const totalCalls = separatedCalls.length;
+    // Obtener nombre del archivo sin extensión para usar como título
+    const audioFileName = basename(audioPath);
+    const audioNameWithoutExt = audioFileName.replace(/\.[^/.]+$/, '');
     
-    // Validar configuración de miniatura
-    let imageConfig = null;
-    if (thumbnail !== undefined && thumbnail !== null) {
-      const validModels = ['gpt-image-1.5'];
-      const finalModel = thumbnail.model && validModels.includes(thumbnail.model) ? thumbnail.model : 'gpt-image-1.5';
-      const validImageSizes = ['1536x1024'];
-      const finalImageSize = thumbnail.size && validImageSizes.includes(thumbnail.size) ? thumbnail.size : '1536x1024';
-      const validImageQualities = ['medium'];
-      const finalImageQuality = thumbnail.quality && validImageQualities.includes(thumbnail.quality) ? thumbnail.quality : 'medium';
-      const shouldSaveImagePrompt = thumbnail.saveImagePrompt !== undefined ? Boolean(thumbnail.saveImagePrompt) : false;
-      imageConfig = {
-        generate: true,
-        model: finalModel,
-        size: finalImageSize,
-        quality: finalImageQuality,
-        saveImagePrompt: shouldSaveImagePrompt,
-      };
-    }
-    
-    const shouldSaveImagePrompt = saveImagePrompt !== undefined ? Boolean(saveImagePrompt) : false;
-    const shouldDownloadOriginal = downloadOriginalThumbnail !== undefined ? Boolean(downloadOriginalThumbnail) : true;
+    // Obtener duración del audio para crear metadata básico
+    let audioDuration = 0;
+    try {
+      // Usar ffprobe para obtener duración
+      const ffmpeg = (await import('fluent-ffmpeg')).default;
+      audioDuration = await new Promise((resolve, reject) => {
+        ffmpeg.ffprobe(audioPath, (err, metadata) => {
+          if (err) {
+            console.warn(`No se pudo obtener duración del audio: ${err.message}`);
+            resolve(0);
+          } else {
+            resolve(metadata.format.duration || 0);
+          }
+        });
+      });
+    } catch (error) {
+      console.warn(`No se pudo obtener duración del audio: ${error.message}`);
+    }
+    
+    separatedCalls = [{
+      start: 0,
+      end: audioDuration,
+      transcription: '',
+      title: audioNameWithoutExt, // Usar nombre del archivo como título
+      description: null,
+      topic: null,
+      tags: [],
+      name: null,
+      age: null,
+      summary: null,
+      thumbnailScene: null,
+      startText: null,
+      endText: null,
+    }];
+  }
+  
+  // Asegurar que siempre haya al menos una llamada
+  // Si separatedCalls está vacío (no debería pasar, pero por seguridad)
+  if (!separatedCalls || separatedCalls.length === 0) {
+    console.warn(`⚠️  No se encontraron llamadas, creando una llamada única con todo el audio`);
+    await logWarn(`Audio ${videoId}: No se encontraron llamadas, creando una llamada única`);
+    
+    // Obtener nombre del archivo sin extensión para usar como título
+    const audioFileName = basename(audioPath);
+    const audioNameWithoutExt = audioFileName.replace(/\.[^/.]+$/, '');
+    
+    // Obtener duración del audio
+    let audioDuration = 0;
+    try {
+      const ffmpeg = (await import('fluent-ffmpeg')).default;
+      audioDuration = await new Promise((resolve, reject) => {
+        ffmpeg.ffprobe(audioPath, (err, metadata) => {
+          if (err) {
+            console.warn(`No se pudo obtener duración del audio: ${err.message}`);
+            resolve(0);
+          } else {
+            resolve(metadata.format.duration || 0);
+          }
+        });
+      });
+    } catch (error) {
+      console.warn(`No se pudo obtener duración del audio: ${error.message}`);
+    }
+    
+    separatedCalls = [{
+      start: 0,
+      end: audioDuration,
+      transcription: '',
+      title: audioNameWithoutExt, // Usar nombre del archivo como título
+      description: null,
+      topic: null,
+      tags: [],
+      name: null,
+      age: null,
+      summary: null,
+      thumbnailScene: null,
+      startText: null,
+      endText: null,
+    }];
+  }
+  
+  // Procesar cada llamada
+  const processedCalls = [];
+  const totalCalls = separatedCalls.length;
+  
+  // Validar configuración de miniatura
+  let imageConfig = null;
+  if (thumbnail !== undefined && thumbnail !== null) {
+    const validModels = ['gpt-image-1.5'];
+    const finalModel = thumbnail.model && validModels.includes(thumbnail.model) ? thumbnail.model : 'gpt-image-1.5';
+    const validImageSizes = ['1536x1024'];
+    const finalImageSize = thumbnail.size && validImageSizes.includes(thumbnail.size) ? thumbnail.size : '1536x1024';
+    const validImageQualities = ['medium'];
+    const finalImageQuality = thumbnail.quality && validImageQualities.includes(thumbnail.quality) ? thumbnail.quality : 'medium';
+    const shouldSaveImagePrompt = thumbnail.saveImagePrompt !== undefined ? Boolean(thumbnail.saveImagePrompt) : false;
+    imageConfig = {
+      generate: true,
+      model: finalModel,
+      size: finalImageSize,
+      quality: finalImageQuality,
+      saveImagePrompt: shouldSaveImagePrompt,
+    };
+  }
+  
+  const shouldSaveImagePrompt = saveImagePrompt !== undefined ? Boolean(saveImagePrompt) : false;
+  const shouldDownloadOriginal = downloadOriginalThumbnail !== undefined ? Boolean(downloadOriginalThumbnail) : true;
+  
+  for (let i = 0; i < separatedCalls.length; i++) {
+    const call = separatedCalls[i];
+    const callNumber = i + 1;
     
-    for (let i = 0; i < separatedCalls.length; i++) {
-      const call = separatedCalls[i];
-      const callNumber = i + 1;
+    try {
+      console.log(`✂️  Recortando llamada ${callNumber}/${totalCalls}...`);
       
-      try {
-        console.log(`✂️  Recortando llamada ${callNumber}/${totalCalls}...`);
-        
-        // Preparar metadatos
-        // Si hay transcripción, usar los valores generados por la IA en separateCalls
-        // Si no hay transcripción, usar valores por defecto
-        const hasTranscription = transcriptionPath && srt && srt.trim() !== '';
-        
-        // Obtener nombre del archivo sin extensión para usar como título por defecto
-        const audioFileName = basename(audioPath);
-        const audioNameWithoutExt = audioFileName.replace(/\.[^/.]+$/, '');
-        
-        const metadata = {
-          title: call.title || audioNameWithoutExt, // Si no hay título, usar nombre del archivo
-          description: call.description || (hasTranscription ? 'Sin descripción disponible' : 'Audio sin transcripción'),
-          theme: call.topic || 'General',
-          tags: call.tags || [],
-          date: uploadDate || new Date().toISOString().split('T')[0],
-          name: call.name || null,
-          age: call.age || null,
-          summary: call.summary || null,
-          thumbnailScene: call.thumbnailScene || null,
-          youtubeVideoId: videoId,
-          youtubeUrl: youtubeUrl || null,
-          speakers: ['Conductor', 'Llamante'],
-        };
-        
-        // Generar nombre de archivo
-        const fileName = `${videoId} - ${callNumber} - ${metadata.title}`;
-        const sanitizedFileName = sanitizeFilename(fileName);
-        
-        // Extraer segmento de audio o copiar completo si es solo una llamada
-        const callAudioPath = join(config.storage.callsPath, `${sanitizedFileName}.mp3`);
+      // Preparar metadatos
+      // Si hay transcripción, usar los valores generados por la IA en separateCalls
+      // Si no hay transcripción, usar valores por defecto
+      const hasTranscription = transcriptionPath && srt && srt.trim() !== '';
+      
+      // Obtener nombre del archivo sin extensión para usar como título por defecto
+      const audioFileName = basename(audioPath);
+      const audioNameWithoutExt = audioFileName.replace(/\.[^/.]+$/, '');
+      
+      const metadata = {
+        title: call.title || audioNameWithoutExt, // Si no hay título, usar nombre del archivo
+        description: call.description || (hasTranscription ? 'Sin descripción disponible' : 'Audio sin transcripción'),
+        theme: call.topic || 'General',
+        tags: call.tags || [],
+        date: uploadDate || new Date().toISOString().split('T')[0],
+        name: call.name || null,
+        age: call.age || null,
+        summary: call.summary || null,
+        thumbnailScene: call.thumbnailScene || null,
+        youtubeVideoId: videoId,
+        youtubeUrl: youtubeUrl || null,
+        separationMethod: call.separationMethod || null,
+        separationCheck: call.audioCheck || null,
+        boundariesNeedReview: Boolean(call.audioCheck && !call.audioCheck.agrees),
+        ...extraMetadata,
+        speakers: getCallSpeakers(totalCalls === 1 ? segments : segments.filter((seg) => seg.start >= call.start && seg.end <= call.end)),
+      };
+      
+      // Generar nombre de archivo
+      const fileName = `${videoId} - ${callNumber} - ${metadata.title}`;
+      const sanitizedFileName = sanitizeFilename(fileName);
+      
+      // Extraer segmento de audio o copiar completo si es solo una llamada
+      const callAudioPath = join(config.storage.callsPath, `${sanitizedFileName}.mp3`);
+      if (totalCalls === 1) {
+        // Si es solo una llamada, copiar el audio completo sin recortar
+        console.log(`📋 Copiando audio completo (solo una llamada detectada)...`);
+        await copyFile(audioPath, callAudioPath);
+      } else {
+        // Si hay múltiples llamadas, recortar el segmento correspondiente
+        await extractAudioSegment(audioPath, call.start, call.end, callAudioPath, 1, 1, videoId, callNumber, totalCalls);
+      }
+      
+      // Guardar transcripción solo si existe
+      let savedTranscriptionPath = null;
+      if (hasTranscription) {
+        // Generar SRT para esta llamada
+        let callSRT;
         if (totalCalls === 1) {
-          // Si es solo una llamada, copiar el audio completo sin recortar
-          console.log(`📋 Copiando audio completo (solo una llamada detectada)...`);
-          await copyFile(audioPath, callAudioPath);
+          // Si es solo una llamada, usar el SRT completo sin filtrar ni ajustar tiempos
+          callSRT = srt; // Usar el SRT original completo
         } else {
-          // Si hay múltiples llamadas, recortar el segmento correspondiente
-          await extractAudioSegment(audioPath, call.start, call.end, callAudioPath, 1, 1, videoId, callNumber, totalCalls);
-        }
-        
-        // Guardar transcripción solo si existe
-        let savedTranscriptionPath = null;
-        if (hasTranscription) {
-          // Generar SRT para esta llamada
-          let callSRT;
-          if (totalCalls === 1) {
-            // Si es solo una llamada, usar el SRT completo sin filtrar ni ajustar tiempos
-            callSRT = srt; // Usar el SRT original completo
-          } else {
-            // Si hay múltiples llamadas, filtrar segmentos y ajustar tiempos
-            const callSegments = segments.filter(
-              (seg) => seg.start >= call.start && seg.end <= call.end
-            );
-            callSRT = generateCallSRT(callSegments, call.start);
-          }
-          
-          // Guardar transcripción
-          savedTranscriptionPath = await saveTranscriptionFile(sanitizedFileName, callSRT);
+          // Si hay múltiples llamadas, filtrar segmentos y ajustar tiempos
+          const callSegments = segments.filter(
+            (seg) => seg.start >= call.start && seg.end <= call.end
+          );
+          callSRT = generateCallSRT(callSegments, call.start);
         }
         
-        // Descargar miniatura original si está configurado
-        const originalThumbnailPath = join(config.storage.callsPath, `${sanitizedFileName}_original.jpg`);
-        let originalThumbnailExists = false;
-        
-        if (shouldDownloadOriginal && thumbnailUrl && !existsSync(originalThumbnailPath)) {
-          try {
-            await downloadThumbnail(thumbnailUrl, originalThumbnailPath);
-            originalThumbnailExists = existsSync(originalThumbnailPath);
-          } catch (error) {
-            console.warn(`⚠️  No se pudo descargar miniatura original: ${error.message}`);
-          }
-        } else if (existsSync(originalThumbnailPath)) {
-          originalThumbnailExists = true;
+        // Guardar transcripción
+        savedTranscriptionPath = await saveTranscriptionFile(sanitizedFileName, callSRT);
+      }
+      
+      // Descargar miniatura original si está configurado
+      const originalThumbnailPath = join(config.storage.callsPath, `${sanitizedFileName}_original.jpg`);
+      let originalThumbnailExists = false;
+      
+      if (shouldDownloadOriginal && thumbnailUrl && !existsSync(originalThumbnailPath)) {
+        try {
+          await downloadThumbnail(thumbnailUrl, originalThumbnailPath);
+          originalThumbnailExists = existsSync(originalThumbnailPath);
+        } catch (error) {
+          console.warn(`⚠️  No se pudo descargar miniatura original: ${error.message}`);
         }
-        
-        // Generar miniatura si está configurado
-        let generatedImagePath = null;
-        const imagePromptPath = shouldSaveImagePrompt ? join(config.storage.callsPath, `${sanitizedFileName}_image_prompt.txt`) : null;
-        
-        if (imageConfig && imageConfig.generate) {
-          try {
-            const generatedThumbnailPath = join(config.storage.callsPath, `${sanitizedFileName}_generated.jpg`);
-            generatedImagePath = await generateThumbnailImage(
-              metadata,
-              generatedThumbnailPath,
-              1,
-              1,
-              videoId,
-              callNumber,
-              totalCalls,
-              imageConfig,
-              shouldSaveImagePrompt,
-              imagePromptPath
-            );
-          } catch (error) {
-            console.warn(`⚠️  No se pudo generar imagen para ${sanitizedFileName}: ${error.message}`);
-          }
+      } else if (existsSync(originalThumbnailPath)) {
+        originalThumbnailExists = true;
+      }
+      
+      // Generar miniatura si está configurado
+      let generatedImagePath = null;
+      const imagePromptPath = shouldSaveImagePrompt ? join(config.storage.callsPath, `${sanitizedFileName}_image_prompt.txt`) : null;
+      
+      if (imageConfig && imageConfig.generate) {
+        try {
+          const generatedThumbnailPath = join(config.storage.callsPath, `${sanitizedFileName}_generated.jpg`);
+          generatedImagePath = await generateThumbnailImage(
+            metadata,
+            generatedThumbnailPath,
+            1,
+            1,
+            videoId,
+            callNumber,
+            totalCalls,
+            imageConfig,
+            shouldSaveImagePrompt,
+            imagePromptPath
+          );
+        } catch (error) {
+          console.warn(`⚠️  No se pudo generar imagen para ${sanitizedFileName}: ${error.message}`);
         }
-        
-        // Guardar metadata
-        const fullMetadata = {
-          callId: uuidv4(),
-          callNumber,
-          fileName: sanitizedFileName,
-          thumbnailUrl: thumbnailUrl || null,
-          originalThumbnailPath: originalThumbnailExists ? originalThumbnailPath : null,
-          generatedThumbnailPath: generatedImagePath && existsSync(generatedImagePath) ? generatedImagePath : null,
-          generatedThumbnail: generatedImagePath && existsSync(generatedImagePath) ? true : false,
-          processingPromptPath: processingPromptPath && existsSync(processingPromptPath) ? processingPromptPath : null,
-          imagePromptPath: imagePromptPath && existsSync(imagePromptPath) ? imagePromptPath : null,
-          transcriptionPath: savedTranscriptionPath, // Ruta del archivo de transcripción SRT
-          ...metadata,
-        };
-        const savedMetadataPath = await saveMetadataFile(sanitizedFileName, fullMetadata);
-        
-        processedCalls.push({
-          callId: fullMetadata.callId,
-          callNumber,
-          fileName: sanitizedFileName,
-          youtubeVideoId: videoId,
-          youtubeUrl: youtubeUrl || `https://www.youtube.com/watch?v=${videoId}`,
-          title: metadata.title,
-          description: metadata.description,
-          theme: metadata.theme,
-          tags: metadata.tags,
-          date: metadata.date,
-          name: metadata.name,
-          age: metadata.age,
-          summary: metadata.summary,
-          speakers: metadata.speakers,
-          thumbnailUrl: thumbnailUrl || null,
-          generatedThumbnailFile: generatedImagePath && existsSync(generatedImagePath) ? generatedImagePath : null,
-          audioFile: callAudioPath,
-          transcriptionFile: savedTranscriptionPath,
-          metadataFile: savedMetadataPath,
-        });
-      } catch (error) {
-        console.warn(`⚠️  Error al procesar llamada ${callNumber}: ${error.message}`);
-        // Continuar con la siguiente llamada
       }
+      
+      // Guardar metadata
+      const fullMetadata = {
+        callId: uuidv4(),
+        callNumber,
+        fileName: sanitizedFileName,
+        thumbnailUrl: thumbnailUrl || null,
+        originalThumbnailPath: originalThumbnailExists ? originalThumbnailPath : null,
+        generatedThumbnailPath: generatedImagePath && existsSync(generatedImagePath) ? generatedImagePath : null,
+        generatedThumbnail: generatedImagePath && existsSync(generatedImagePath) ? true : false,
+        processingPromptPath: processingPromptPath && existsSync(processingPromptPath) ? processingPromptPath : null,
+        imagePromptPath: imagePromptPath && existsSync(imagePromptPath) ? imagePromptPath : null,
+        transcriptionPath: savedTranscriptionPath, // Ruta del archivo de transcripción SRT
+        ...metadata,
+      };
+      const savedMetadataPath = await saveMetadataFile(sanitizedFileName, fullMetadata);
+      await scanProcessedCallForPII(sanitizedFileName);
+      
+      processedCalls.push({
+        callId: fullMetadata.callId,
+        callNumber,
+        fileName: sanitizedFileName,
+        youtubeVideoId: videoId,
+        youtubeUrl: youtubeUrl || `https://www.youtube.com/watch?v=${videoId}`,
+        title: metadata.title,
+        description: metadata.description,
+        theme: metadata.theme,
+        tags: metadata.tags,
+        date: metadata.date,
+        name: metadata.name,
+        age: metadata.age,
+        summary: metadata.summary,
+        speakers: metadata.speakers,
+        thumbnailUrl: thumbnailUrl || null,
+        generatedThumbnailFile: generatedImagePath && existsSync(generatedImagePath) ? generatedImagePath : null,
+        audioFile: callAudioPath,
+        transcriptionFile: savedTranscriptionPath,
+        metadataFile: savedMetadataPath,
+      });
+    } catch (error) {
+      console.warn(`⚠️  Error al procesar llamada ${callNumber}: ${error.message}`);
+      // Continuar con la siguiente llamada
+    }
+  }
+  
+  // Limpiar archivos temporales
+  try {
+    if (existsSync(audioPath)) {
+      await unlink(audioPath);
+    }
+    if (existsSync(transcriptionPath)) {
+      await unlink(transcriptionPath);
+    }
+    // Limpiar versiones comprimidas si existen
+    const audioDir = dirname(audioPath);
+    const audioBaseName = basename(audioPath, '.mp3');
+    const compressedPaths = [
+      join(audioDir, `${audioBaseName}_min.mp3`),
+      join(audioDir, `${audioBaseName}_min2.mp3`),
+    ];
+    for (const compressedPath of compressedPaths) {
+      if (existsSync(compressedPath)) {
+        await unlink(compressedPath);
+      }
+    }
+  } catch (error) {
+    console.warn('⚠️  Error al eliminar archivos temporales:', error.message);
+  }
+  
+  console.log(`✅ Audio procesado exitosamente (${processedCalls.length} llamadas)`);
+  
+  return processedCalls;
+}
+
+/**
+ * Procesa un audio MP3: separa llamadas, recorta audios y limpia temporales
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
+export async function processAudioFile(req, res) {
+  try {
+    const { 
+      audioPath, 
+      transcriptionPath, 
+      videoId, 
+      youtubeUrl, 
+      uploadDate,
+      thumbnailUrl,
+      saveProcessingPrompt,
+      saveImagePrompt,
+      thumbnail,
+      downloadOriginalThumbnail
+    } = req.body;
+    
+    if (!audioPath) {
+      return res.status(400).json({
+        error: 'audioPath es requerido',
+      });
+    }
+    
+    if (!videoId) {
+      return res.status(400).json({
+        error: 'videoId es requerido',
+      });
+    }
+    
+    // Verificar que el archivo de audio exista
+    if (!existsSync(audioPath)) {
+      return res.status(400).json({
+        error: `El archivo de audio no existe: ${audioPath}`,
+      });
+    }
+    
+    // Verificar transcripción si se proporciona
+    if (transcriptionPath && !existsSync(transcriptionPath)) {
+      return res.status(400).json({
+        error: `El archivo de transcripción no existe: ${transcriptionPath}`,
+      });
+    }
+    
+    const processedCalls = await processAudioFileCalls({
+      audioPath,
+      transcriptionPath,
+      videoId,
+      youtubeUrl,
+      uploadDate,
+      thumbnailUrl,
+      saveProcessingPrompt,
+      saveImagePrompt,
+      thumbnail,
+      downloadOriginalThumbnail,
+    });
+    
+    return res.json({
+      success: true,
+      videoId,
+      processed: true,
+      calls: processedCalls,
+      message: `Audio procesado exitosamente (${processedCalls.length} llamadas)`,
+    });
+  } catch (error) {
+    await logError(`Error en processAudioFile: ${error.message}`);
+    await logError(`Stack: ${error.stack}`);
+    return res.status(500).json({
+      error: 'Error al procesar audio',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Obtiene el ID del video que se subió a YouTube para una llamada (no el del video original)
+ * @param {object} metadata - Metadata de la llamada
+ * @returns {string|null}
+ */
+function getUploadedYouTubeVideoId(metadata) {
+  if (metadata.youtubeUploadedVideoId) {
+    return metadata.youtubeUploadedVideoId;
+  }
+  return metadata.youtubeVideoUrl ? extractVideoId(metadata.youtubeVideoUrl) : null;
+}
+
+/**
+ * Publica (o vuelve a publicar) el .srt de una llamada como subtítulos del video subido a YouTube
+ * Si language es el de una traducción (metadata.localizations), publica <fileName>.<idioma>.srt
+ * @param {string} fileName - Nombre base de la llamada
+ * @param {object} metadata - Metadata de la llamada
+ * @param {string} language - Idioma de la pista (por defecto el de la pista ya publicada o config.youtube.captions.language)
+ * @returns {Promise<object>} - Datos de la pista para guardar en metadata.youtubeCaptions
+ * @throws {Error} - Con status 409 si la llamada no se subió a YouTube o 404 si no tiene transcripción
+ */
+async function syncCallCaptionsToYouTube(fileName, metadata, language = null) {
+  const statusError = (status, message) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  };
+
+  const videoId = getUploadedYouTubeVideoId(metadata);
+  if (!metadata.youtubeUploaded || !videoId) {
+    throw statusError(409, 'La llamada no tiene un video subido a YouTube');
+  }
+
+  const localization = language ? (metadata.localizations || {})[language] : null;
+  const srtPath = join(config.storage.callsPath, localization ? `${fileName}.${language}.srt` : `${fileName}.srt`);
+  if (!existsSync(srtPath)) {
+    throw statusError(404, localization ? `La llamada no tiene traducción al ${language}` : 'La llamada no tiene transcripción');
+  }
+
+  const previous = (localization ? localization.youtubeCaptions : metadata.youtubeCaptions) || {};
+  const targetLanguage = language || previous.language || config.youtube.captions.language;
+  const { uploadCaptionsToYouTube } = await import('../services/youtubeUploadService.js');
+  const result = await uploadCaptionsToYouTube(videoId, srtPath, {
+    language: targetLanguage,
+    name: previous.language === targetLanguage && previous.name ? previous.name : (localization ? getLanguageName(language) : config.youtube.captions.name),
+    captionId: previous.language === targetLanguage ? previous.captionId : null,
+  });
+
+  return {
+    captionId: result.captionId,
+    language: result.language,
+    name: result.name,
+    syncedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Sube un video generado a YouTube
+ * Si la llamada tiene .srt (junto a metadataPath), lo publica como subtítulos salvo uploadCaptions=false
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
+export async function uploadVideoToYouTube(req, res) {
+  try {
+    const { videoPath, title, description, tags, privacyStatus, thumbnailPath, metadataPath, uploadCaptions = config.youtube.captions.upload, captionsLanguage, uploadTranslations = config.translation.uploadToYouTube } = req.body;
+
+    if (!videoPath) {
+      return res.status(400).json({
+        error: 'videoPath es requerido',
+      });
+    }
+
+    if (!existsSync(videoPath)) {
+      return res.status(400).json({
+        error: 'El archivo de video no existe',
+        videoPath,
+      });
+    }
+
+    // Cargar metadata si está disponible
+    let metadata = {};
+    if (metadataPath && existsSync(metadataPath)) {
+      try {
+        const metadataContent = readFileSync(metadataPath, 'utf8');
+        metadata = JSON.parse(metadataContent);
+      } catch (error) {
+        console.warn(`No se pudo cargar metadata desde ${metadataPath}: ${error.message}`);
+      }
+    }
+
+    // Usar metadata del JSON o los parámetros proporcionados
+    const videoMetadata = {
+      title: title || metadata.title || 'Sin título',
+      description: description || metadata.shortDescription || metadata.description || '',
+      tags: tags || metadata.tags || [],
+      privacyStatus: privacyStatus || 'public',
+      thumbnailPath: thumbnailPath || metadata.generatedThumbnailPath || metadata.originalThumbnailPath || null,
+      captionsPath: null,
+      captionsLanguage: captionsLanguage || config.youtube.captions.language,
+    };
+
+    // Subtítulos: el .srt de la llamada, junto al JSON de metadata
+    if (uploadCaptions && metadataPath) {
+      const captionsPath = metadataPath.replace(/\.json$/, '.srt');
+      if (existsSync(captionsPath)) {
+        videoMetadata.captionsPath = captionsPath;
+      }
+    }
+
+    // Traducciones vigentes: localizaciones de título/descripción y una pista de subtítulos por idioma
+    const translatedLanguages = uploadTranslations && metadataPath
+      ? Object.keys(metadata.localizations || {}).filter(language => !metadata.localizations[language].needsRegeneration)
+      : [];
+    if (translatedLanguages.length > 0) {
+      videoMetadata.defaultLanguage = config.translation.sourceLanguage;
+      videoMetadata.localizations = Object.fromEntries(translatedLanguages
+        .filter(language => metadata.localizations[language].title)
+        .map(language => {
+          const localization = metadata.localizations[language];
+          return [language, { title: localization.title, description: localization.shortDescription || localization.description || '' }];
+        }));
+      if (uploadCaptions) {
+        videoMetadata.extraCaptions = translatedLanguages
+          .map(language => ({ path: metadataPath.replace(/\.json$/, `.${language}.srt`), language, name: getLanguageName(language) }))
+          .filter(caption => existsSync(caption.path));
+      }
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log('📤 SUBIENDO VIDEO A YOUTUBE');
+    console.log('='.repeat(60));
+    console.log(`📁 Video: ${videoPath}`);
+    console.log(`📝 Título: ${videoMetadata.title}`);
+    console.log(`🔒 Privacidad: ${videoMetadata.privacyStatus}`);
+    console.log(`📸 Miniatura: ${videoMetadata.thumbnailPath || 'No especificada'}`);
+    if (videoMetadata.thumbnailPath) {
+      const thumbnailExists = existsSync(videoMetadata.thumbnailPath);
+      console.log(`   ${thumbnailExists ? '✅' : '❌'} Archivo existe: ${thumbnailExists}`);
+    }
+    console.log(`💬 Subtítulos: ${videoMetadata.captionsPath ? `${videoMetadata.captionsPath} (${videoMetadata.captionsLanguage})` : 'No'}`);
+    if (translatedLanguages.length > 0) {
+      console.log(`🌐 Traducciones: ${translatedLanguages.join(', ')}`);
+    }
+    console.log('='.repeat(60) + '\n');
+
+    // Subir el video
+    const { uploadVideoToYouTube: uploadVideo } = await import('../services/youtubeUploadService.js');
+    const result = await uploadVideo(videoPath, videoMetadata);
+
+    // Actualizar metadata si se proporcionó metadataPath
+    if (metadataPath && existsSync(metadataPath)) {
+      try {
+        const metadataContent = readFileSync(metadataPath, 'utf8');
+        const updatedMetadata = JSON.parse(metadataContent);
+        
+        // Agregar información de YouTube
+        updatedMetadata.youtubeUploaded = true;
+        // No actualizar youtubeVideoId - mantener el ID del video original
+        updatedMetadata.youtubeVideoUrl = result.videoUrl;
+        updatedMetadata.youtubeUploadedVideoId = result.videoId;
+        updatedMetadata.youtubeUploadDate = new Date().toISOString();
+        if (result.captions) {
+          updatedMetadata.youtubeCaptions = {
+            captionId: result.captions.captionId,
+            language: result.captions.language,
+            name: result.captions.name,
+            syncedAt: new Date().toISOString(),
+          };
+          updatedMetadata.youtubeCaptionsNeedsSync = false;
+        } else if (result.captionsError) {
+          updatedMetadata.youtubeCaptionsNeedsSync = true;
+        }
+        // Pistas traducidas publicadas (para reemplazarlas al volver a sincronizar)
+        for (const caption of result.translatedCaptions || []) {
+          if (caption.captionId && updatedMetadata.localizations && updatedMetadata.localizations[caption.language]) {
+            updatedMetadata.localizations[caption.language].youtubeCaptions = {
+              captionId: caption.captionId,
+              language: caption.language,
+              name: caption.name,
+              syncedAt: new Date().toISOString(),
+            };
+          }
+        }
+        updatedMetadata.youtubeLocalizations = result.localizations || [];
+        
+        // Guardar metadata actualizado
+        writeFileSync(metadataPath, JSON.stringify(updatedMetadata, null, 2));
+        console.log(`✅ Metadata actualizado: ${metadataPath}`);
+      } catch (error) {
+        console.warn(`⚠️  No se pudo actualizar metadata: ${error.message}`);
+      }
+    }
+
+    // Construir mensaje con información de la miniatura
+    let message = 'Video subido exitosamente a YouTube';
+    if (result.thumbnailUploaded) {
+      message += '. Miniatura subida exitosamente.';
+    } else if (result.thumbnailError) {
+      message += `. ⚠️ Advertencia: No se pudo subir la miniatura: ${result.thumbnailError}`;
+    } else {
+      message += '. ⚠️ Advertencia: No se subió miniatura (no se especificó ruta).';
+    }
+    if (result.captionsUploaded) {
+      message += ' Subtítulos publicados.';
+    } else if (result.captionsError) {
+      message += ` ⚠️ Advertencia: No se pudieron publicar los subtítulos: ${result.captionsError}`;
+    }
+    
+    console.log(`📊 Resumen de subida:`);
+    console.log(`   ✅ Video: ${result.videoId}`);
+    console.log(`   ${result.thumbnailUploaded ? '✅' : '❌'} Miniatura: ${result.thumbnailUploaded ? 'Subida' : result.thumbnailError || 'No especificada'}`);
+    console.log(`   ${result.captionsUploaded ? '✅' : '❌'} Subtítulos: ${result.captionsUploaded ? 'Publicados' : result.captionsError || 'No publicados'}`);
+    for (const caption of result.translatedCaptions || []) {
+      console.log(`   ${caption.error ? '❌' : '✅'} Subtítulos (${caption.language}): ${caption.error || 'Publicados'}`);
+    }
+    
+    return res.json({
+      success: true,
+      videoId: result.videoId,
+      videoUrl: result.videoUrl,
+      title: result.title,
+      thumbnailUploaded: result.thumbnailUploaded || false,
+      thumbnailError: result.thumbnailError || null,
+      captionsUploaded: result.captionsUploaded || false,
+      captions: result.captions || null,
+      captionsError: result.captionsError || null,
+      localizations: result.localizations || [],
+      translatedCaptions: result.translatedCaptions || [],
+      message: message,
+      uploadId: result.uploadId || null, // Incluir uploadId para que el cliente pueda consultar el progreso
+    });
+  } catch (error) {
+    console.error('❌ Error al subir video a YouTube:', error.message);
+    // Si el error es de autenticación, incluir la URL de autenticación
+    if (error.message.includes('No se encontró el token de acceso') || error.message.includes('autentica primero')) {
+      try {
+        const { getAuthUrl } = await import('../services/youtubeUploadService.js');
+        const authUrl = await getAuthUrl();
+        return res.status(401).json({
+          error: 'Autenticación requerida',
+          message: error.message,
+          authUrl: authUrl,
+          requiresAuth: true,
+        });
+      } catch (authError) {
+        // Si no se puede obtener la URL, devolver el error original
+      }
+    }
+    
+    return res.status(500).json({
+      error: 'Error al subir video a YouTube',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Obtiene el progreso de una subida a YouTube
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
+export async function getYouTubeUploadProgress(req, res) {
+  try {
+    const { uploadId } = req.query;
+
+    if (!uploadId) {
+      return res.status(400).json({
+        error: 'uploadId es requerido',
+      });
+    }
+
+    const { getUploadProgress } = await import('../services/youtubeUploadService.js');
+    const progress = getUploadProgress(uploadId);
+
+    if (!progress) {
+      return res.status(404).json({
+        error: 'No se encontró el progreso de subida',
+      });
+    }
+
+    return res.json({
+      success: true,
+      progress: {
+        bytesUploaded: progress.bytesUploaded,
+        totalBytes: progress.totalBytes,
+        percent: progress.percent,
+        status: progress.status,
+        error: progress.error || null,
+        elapsed: progress.startTime ? (Date.now() - progress.startTime) / 1000 : 0,
+      },
+    });
+  } catch (error) {
+    console.error('❌ Error al obtener progreso de subida:', error.message);
+    return res.status(500).json({
+      error: 'Error al obtener progreso de subida',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Resube una miniatura a YouTube para un video existente
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
+export async function reuploadThumbnailToYouTube(req, res) {
+  try {
+    const { videoId, thumbnailPath, metadataPath } = req.body;
+
+    if (!videoId) {
+      return res.status(400).json({
+        error: 'videoId es requerido',
+      });
+    }
+
+    if (!thumbnailPath) {
+      return res.status(400).json({
+        error: 'thumbnailPath es requerido',
+      });
+    }
+
+    // Cargar metadata si está disponible para obtener la ruta de la miniatura
+    let thumbnailToUse = thumbnailPath;
+    if (metadataPath && existsSync(metadataPath)) {
+      try {
+        const metadataContent = readFileSync(metadataPath, 'utf8');
+        const metadata = JSON.parse(metadataContent);
+        
+        // Priorizar generatedThumbnailPath si existe
+        if (metadata.generatedThumbnailPath && existsSync(metadata.generatedThumbnailPath)) {
+          thumbnailToUse = metadata.generatedThumbnailPath;
+        } else if (metadata.originalThumbnailPath && existsSync(metadata.originalThumbnailPath)) {
+          thumbnailToUse = metadata.originalThumbnailPath;
+        }
+      } catch (error) {
+        console.warn(`No se pudo cargar metadata desde ${metadataPath}: ${error.message}`);
+      }
+    }
+
+    if (!existsSync(thumbnailToUse)) {
+      return res.status(400).json({
+        error: 'El archivo de miniatura no existe',
+        thumbnailPath: thumbnailToUse,
+      });
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log('📸 RESUBIENDO MINIATURA A YOUTUBE');
+    console.log('='.repeat(60));
+    console.log(`📺 Video ID: ${videoId}`);
+    console.log(`🖼️  Miniatura: ${thumbnailToUse}`);
+    console.log('='.repeat(60) + '\n');
+
+    // Resubir la miniatura
+    const { reuploadThumbnailToYouTube: reuploadThumbnail } = await import('../services/youtubeUploadService.js');
+    const result = await reuploadThumbnail(videoId, thumbnailToUse);
+
+    return res.json({
+      success: true,
+      videoId: result.videoId,
+      videoUrl: result.videoUrl,
+      message: 'Miniatura resubida exitosamente a YouTube',
+    });
+  } catch (error) {
+    console.error('❌ Error al resubir miniatura a YouTube:', error.message);
+    return res.status(500).json({
+      error: 'Error al resubir miniatura a YouTube',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Publica (o vuelve a publicar) el .srt de una llamada como subtítulos de su video subido a YouTube
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
+export async function syncYouTubeCaptions(req, res) {
+  try {
+    const { fileName, language } = req.body || {};
+
+    if (!fileName) {
+      return res.status(400).json({
+        error: 'fileName es requerido',
+      });
+    }
+    if (!existsSync(join(config.storage.callsPath, `${fileName}.json`))) {
+      return res.status(404).json({
+        error: 'No se encontró la llamada',
+      });
+    }
+
+    const metadata = await readMetadataFile(fileName);
+    const targetLanguage = language ? normalizeLanguageCode(language) : null;
+    const youtubeCaptions = await syncCallCaptionsToYouTube(fileName, metadata, targetLanguage);
+    // Las pistas traducidas se guardan en su localización
+    const localization = targetLanguage ? (metadata.localizations || {})[targetLanguage] : null;
+    await saveMetadataFile(fileName, localization
+      ? {
+        ...metadata,
+        localizations: { ...metadata.localizations, [targetLanguage]: { ...localization, youtubeCaptions } },
+        lastUpdated: new Date().toISOString(),
+      }
+      : {
+        ...metadata,
+        youtubeCaptions,
+        youtubeCaptionsNeedsSync: false,
+        lastUpdated: new Date().toISOString(),
+      });
+    await logInfo(`Subtítulos de ${fileName} publicados en YouTube (${youtubeCaptions.language})`);
+
+    return res.json({
+      success: true,
+      fileName,
+      videoId: getUploadedYouTubeVideoId(metadata),
+      captions: youtubeCaptions,
+      message: 'Subtítulos publicados en YouTube',
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: 'No se pueden publicar los subtítulos',
+        message: error.message,
+      });
+    }
+    console.error('❌ Error al publicar subtítulos en YouTube:', error.message);
+    return res.status(500).json({
+      error: 'Error al publicar subtítulos en YouTube',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Obtiene la URL de autenticación de YouTube
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
+export async function getYouTubeAuthUrl(req, res) {
+  try {
+    const { getAuthUrl } = await import('../services/youtubeUploadService.js');
+    const authUrl = await getAuthUrl();
+    
+    return res.json({
+      success: true,
+      authUrl: authUrl,
+      message: 'URL de autenticación generada',
+    });
+  } catch (error) {
+    await logError(`Error en getYouTubeAuthUrl: ${error.message}`);
+    await logError(`Stack: ${error.stack}`);
+    
+    // Mensaje más descriptivo según el tipo de error
+    let errorMessage = error.message;
+    if (error.message.includes('No se encontró el archivo de credenciales')) {
+      errorMessage = 'No se encontró el archivo de credenciales de YouTube. Por favor, configura YOUTUBE_CREDENTIALS_PATH en el archivo .env con la ruta al archivo JSON de credenciales descargado de Google Cloud Console.';
+    } else if (error.message.includes('no contiene client_id o client_secret')) {
+      errorMessage = 'El archivo de credenciales no tiene la estructura correcta. Asegúrate de que el archivo JSON contenga client_id y client_secret.';
+    }
+    
+    return res.status(500).json({
+      error: 'Error al obtener URL de autenticación',
+      message: errorMessage,
+      details: process.env.NODE_ENV === 'development' ? error.stack : undefined,
+    });
+  }
+}
+
+/**
+ * Guarda el código de autorización de YouTube
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
+export async function saveYouTubeAuthCode(req, res) {
+  try {
+    const { code } = req.body;
+    
+    if (!code) {
+      return res.status(400).json({
+        error: 'code es requerido',
+      });
+    }
+    
+    const { saveAuthorizationCode } = await import('../services/youtubeUploadService.js');
+    const tokens = await saveAuthorizationCode(code);
+    
+    return res.json({
+      success: true,
+      message: 'Autenticación exitosa. Token guardado correctamente.',
+    });
+  } catch (error) {
+    return res.status(500).json({
+      error: 'Error al guardar código de autorización',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Callback de OAuth de YouTube - captura el código de autorización
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
+export async function youtubeAuthCallback(req, res) {
+  try {
+    const { code, error } = req.query;
+    
+    if (error) {
+      // Si hay un error en la autorización
+      return res.send(`
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <title>Error de Autenticación</title>
+          <style>
+            body { font-family: Arial, sans-serif; text-align: center; padding: 50px; background: #f5f5f5; }
+            .error { background: #ffebee; color: #c62828; padding: 20px; border-radius: 8px; max-width: 600px; margin: 0 auto; }
+          </style>
+        </head>
+        <body>
+          <div class="error">
+            <h1>❌ Error de Autenticación</h1>
+            <p>${error}</p>
+            <p>Por favor, intenta nuevamente.</p>
+          </div>
+        </body>
+        </html>
+      `);
+    }
+    
+    if (!code) {
+      return res.send(`
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <title>Error de Autenticación</title>
+          <style>
+            body { font-family: Arial, sans-serif; text-align: center; padding: 50px; background: #f5f5f5; }
+            .error { background: #ffebee; color: #c62828; padding: 20px; border-radius: 8px; max-width: 600px; margin: 0 auto; }
+          </style>
+        </head>
+        <body>
+          <div class="error">
+            <h1>❌ Error</h1>
+            <p>No se recibió el código de autorización.</p>
+          </div>
+        </body>
+        </html>
+      `);
+    }
+    
+    // Guardar el código de autorización
+    const { saveAuthorizationCode } = await import('../services/youtubeUploadService.js');
+    await saveAuthorizationCode(code);
+    
+    // Mostrar página de éxito que comunica con la ventana padre y se cierra automáticamente
+    return res.send(`
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <title>Autenticación Exitosa</title>
+        <style>
+          body { font-family: Arial, sans-serif; text-align: center; padding: 50px; background: #f5f5f5; }
+          .success { background: #e8f5e9; color: #2e7d32; padding: 30px; border-radius: 8px; max-width: 600px; margin: 0 auto; }
+          .success h1 { margin-top: 0; }
+          .success p { font-size: 16px; line-height: 1.6; }
+        </style>
+      </head>
+      <body>
+        <div class="success">
+          <h1>✅ Autenticación Exitosa</h1>
+          <p>Tu cuenta de YouTube ha sido autenticada correctamente.</p>
+          <p>Esta ventana se cerrará automáticamente...</p>
+        </div>
+        <script>
+          // Enviar mensaje a la ventana padre si existe
+          if (window.opener && !window.opener.closed) {
+            window.opener.postMessage({ type: 'youtube_auth_success' }, '*');
+          }
+          
+          // Cerrar la ventana automáticamente después de 1 segundo
+          setTimeout(() => {
+            window.close();
+          }, 1000);
+        </script>
+      </body>
+      </html>
+    `);
+  } catch (error) {
+    console.error('Error en callback de YouTube:', error);
+    return res.send(`
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <title>Error</title>
+        <style>
+          body { font-family: Arial, sans-serif; text-align: center; padding: 50px; background: #f5f5f5; }
+          .error { background: #ffebee; color: #c62828; padding: 20px; border-radius: 8px; max-width: 600px; margin: 0 auto; }
+        </style>
+      </head>
+      <body>
+        <div class="error">
+          <h1>❌ Error</h1>
+          <p>${error.message}</p>
+        </div>
+      </body>
+      </html>
+    `);
+  }
+}
+
+/**
+ * Genera una imagen de waveform del audio en base64
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
+/**
+ * Sirve un archivo de audio
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
+export async function serveAudio(req, res) {
+  try {
+    const { fileName } = req.params;
+    const decodedFileName = decodeURIComponent(fileName);
+    
+    // Construir ruta del audio
+    const audioPath = join(config.storage.callsPath, decodedFileName);
+    
+    if (!existsSync(audioPath)) {
+      return res.status(404).json({
+        error: 'Archivo de audio no encontrado',
+        path: audioPath,
+      });
+    }
+    
+    // Determinar el tipo MIME basado en la extensión
+    const ext = decodedFileName.split('.').pop().toLowerCase();
+    let mimeType = 'audio/mpeg'; // Por defecto MP3
+    if (ext === 'wav') {
+      mimeType = 'audio/wav';
+    } else if (ext === 'm4a') {
+      mimeType = 'audio/mp4';
+    } else if (ext === 'ogg') {
+      mimeType = 'audio/ogg';
+    }
+    
+    // Enviar el archivo
+    return res.sendFile(resolve(audioPath), {
+      headers: {
+        'Content-Type': mimeType,
+      },
+    });
+  } catch (error) {
+    await logError(`Error al servir audio: ${error.message}`);
+    return res.status(500).json({
+      error: 'Error al servir audio',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Ajusta el volumen de un archivo de audio
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
+/**
+ * Redescarga el audio de un video de YouTube y lo sobrescribe en callsPath
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
+export async function redownloadAudio(req, res) {
+  try {
+    const { youtubeUrl, fileName } = req.body;
+    
+    if (!youtubeUrl) {
+      return res.status(400).json({
+        error: 'youtubeUrl es requerido',
+      });
+    }
+    
+    if (!fileName) {
+      return res.status(400).json({
+        error: 'fileName es requerido',
+      });
+    }
+    
+    const videoId = extractVideoId(youtubeUrl);
+    if (!videoId) {
+      return res.status(400).json({
+        error: 'URL de YouTube no válida',
+      });
+    }
+    
+    // Generar downloadId único
+    const downloadId = `download_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    
+    // Inicializar progreso
+    initializeDownloadProgress(downloadId, youtubeUrl, fileName);
+    
+    console.log(`⬇️  Redescargando audio de ${videoId} para ${fileName}... (downloadId: ${downloadId})`);
+    
+    // Ejecutar descarga de forma asíncrona (no esperar)
+    downloadAudioWithProgress(downloadId, youtubeUrl, fileName)
+      .then((result) => {
+        console.log(`✅ Audio redescargado exitosamente: ${result.audioPath}`);
+      })
+      .catch(async (error) => {
+        console.error(`❌ Error al redescargar audio: ${error.message}`);
+        await logError(`Error en downloadAudioWithProgress: ${error.message}`);
+      });
+    
+    // Retornar downloadId inmediatamente
+    return res.json({
+      success: true,
+      message: 'Descarga iniciada',
+      downloadId: downloadId,
+      videoId,
+      fileName,
+    });
+  } catch (error) {
+    await logError(`Error en redownloadAudio: ${error.message}`);
+    await logError(`Stack: ${error.stack}`);
+    return res.status(500).json({
+      error: 'Error al iniciar descarga de audio',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Normaliza el audio de un archivo
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
+export async function normalizeAudio(req, res) {
+  try {
+    const { fileName } = req.body;
+    
+    if (!fileName) {
+      return res.status(400).json({
+        error: 'fileName es requerido',
+      });
+    }
+    
+    // Construir ruta del audio original
+    const audioPath = join(config.storage.callsPath, `${fileName}.mp3`);
+    
+    if (!existsSync(audioPath)) {
+      return res.status(404).json({
+        error: 'Archivo de audio no encontrado',
+      });
+    }
+    
+    // Crear ruta para el backup del original
+    const backupPath = join(config.storage.callsPath, `${fileName}_original.mp3`);
+    const outputPath = join(config.storage.callsPath, `${fileName}.mp3`);
+    
+    // Si no existe backup, crear uno
+    if (!existsSync(backupPath)) {
+      await copyFile(audioPath, backupPath);
+      await logInfo(`Backup creado: ${backupPath}`);
+    }
+    
+    console.log(`🔊 Normalizando audio: ${fileName}...`);
+    
+    // Normalizar el audio usando FFmpeg con el filtro loudnorm (EBU R128)
+    // El filtro loudnorm normaliza el audio a -16 LUFS (estándar EBU R128)
+    // Esto ajusta el volumen del audio para que tenga un nivel consistente
+    await new Promise((resolve, reject) => {
+      ffmpeg(backupPath) // Usar el backup como fuente
+        .audioFilters('loudnorm=I=-16:TP=-1.5:LRA=11')
+        .output(outputPath)
+        .on('start', (commandLine) => {
+          console.log(`[normalizeAudio] FFmpeg iniciado: ${commandLine}`);
+        })
+        .on('progress', (progress) => {
+          console.log(`[normalizeAudio] Progreso: ${progress.percent || 0}%`);
+        })
+        .on('end', () => {
+          console.log(`[normalizeAudio] Audio normalizado exitosamente`);
+          resolve();
+        })
+        .on('error', (err) => {
+          console.error(`[normalizeAudio] Error: ${err.message}`);
+          reject(new Error(`Error al normalizar audio: ${err.message}`));
+        })
+        .run();
+    });
+    
+    // Eliminar el archivo backup _original.mp3 después de normalizar
+    if (existsSync(backupPath)) {
+      await unlink(backupPath);
+      await logInfo(`Backup eliminado: ${backupPath}`);
+    }
+    
+    await logInfo(`Audio normalizado para ${fileName} (volumen ajustado a -16 LUFS)`);
+    
+    return res.json({
+      success: true,
+      message: 'Audio normalizado exitosamente',
+      fileName: fileName,
+      audioPath: outputPath,
+    });
+  } catch (error) {
+    await logError(`Error en normalizeAudio: ${error.message}`);
+    await logError(`Stack: ${error.stack}`);
+    return res.status(500).json({
+      error: 'Error al normalizar audio',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Comprime dinámicamente el audio de un archivo (reduce picos altos y aumenta partes bajas)
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
+export async function compressAudio(req, res) {
+  try {
+    const { fileName } = req.body;
+    
+    if (!fileName) {
+      return res.status(400).json({
+        error: 'fileName es requerido',
+      });
+    }
+    
+    // Generar compressionId único
+    const compressionId = `compress_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    
+    // Inicializar progreso
+    initializeCompressionProgress(compressionId, fileName);
+    
+    console.log(`🔊 Comprimiendo dinámicamente audio de ${fileName}... (compressionId: ${compressionId})`);
+    
+    // Ejecutar compresión de forma asíncrona (no esperar)
+    compressAudioWithProgress(compressionId, fileName)
+      .then((result) => {
+        console.log(`✅ Audio comprimido exitosamente: ${result.audioPath}`);
+      })
+      .catch(async (error) => {
+        console.error(`❌ Error al comprimir audio: ${error.message}`);
+        await logError(`Error en compressAudioWithProgress: ${error.message}`);
+      });
+    
+    // Retornar compressionId inmediatamente
+    return res.json({
+      success: true,
+      message: 'Compresión iniciada',
+      compressionId: compressionId,
+      fileName,
+    });
+  } catch (error) {
+    await logError(`Error en compressAudio: ${error.message}`);
+    await logError(`Stack: ${error.stack}`);
+    return res.status(500).json({
+      error: 'Error al iniciar compresión de audio',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Endpoint SSE para obtener el progreso de compresión de audio
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
+export function getAudioCompressionProgressSSE(req, res) {
+  const { compressionId } = req.query;
+
+  if (!compressionId) {
+    return res.status(400).json({
+      error: 'compressionId es requerido',
+    });
+  }
+
+  // Configurar headers para SSE
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+
+  // Registrar la conexión SSE
+  registerCompressionSSEConnection(compressionId, res);
+
+  // Enviar un ping inicial para mantener la conexión viva
+  const pingInterval = setInterval(() => {
+    try {
+      res.write(': ping\n\n');
+    } catch (error) {
+      clearInterval(pingInterval);
+    }
+  }, 30000); // Ping cada 30 segundos
+
+  // Limpiar cuando se cierre la conexión
+  res.on('close', () => {
+    clearInterval(pingInterval);
+  });
+}
+
+/**
+ * Obtiene todas las compresiones activas
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
+export async function getActiveAudioCompressions(req, res) {
+  try {
+    const activeCompressions = getActiveCompressions();
+    return res.json({
+      success: true,
+      compressions: activeCompressions,
+    });
+  } catch (error) {
+    await logError(`Error en getActiveAudioCompressions: ${error.message}`);
+    return res.status(500).json({
+      error: 'Error al obtener compresiones activas',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Cancela una compresión activa
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
+export async function cancelAudioCompressionEndpoint(req, res) {
+  try {
+    const { compressionId } = req.body;
+    
+    if (!compressionId) {
+      return res.status(400).json({
+        error: 'compressionId es requerido',
+      });
+    }
+    
+    const cancelled = cancelCompression(compressionId);
+    
+    if (cancelled) {
+      return res.json({
+        success: true,
+        message: 'Compresión cancelada',
+      });
+    } else {
+      return res.status(404).json({
+        error: 'Compresión no encontrada o ya completada',
+      });
+    }
+  } catch (error) {
+    await logError(`Error en cancelAudioCompressionEndpoint: ${error.message}`);
+    return res.status(500).json({
+      error: 'Error al cancelar compresión',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Obtiene la duración de un archivo de audio
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ */
+export async function getAudioDuration(req, res) {
+  try {
+    let { fileName } = req.query;
+    
+    // Decodificar el fileName si viene codificado
+    if (fileName) {
+      try {
+        fileName = decodeURIComponent(fileName);
+      } catch (e) {
+        // Si falla la decodificación, usar el original
+        console.warn(`[getAudioDuration] No se pudo decodificar fileName, usando original: ${fileName}`);
+      }
+    }
+    
+    //console.log(`[getAudioDuration] Recibida solicitud para fileName: ${fileName}`);
+    
+    if (!fileName) {
+      console.error('[getAudioDuration] fileName es requerido');
+      return res.status(400).json({
+        success: false,
+        error: 'fileName es requerido',
+      });
+    }
+    
+    // Importar sanitizeFilename para buscar el archivo sanitizado
+    const { sanitizeFilename } = await import('../services/fileService.js');
+    
+    // Intentar primero con el nombre original, luego con el sanitizado
+    const sanitizedFileName = sanitizeFilename(fileName);
+    const possiblePaths = [
+      join(config.storage.callsPath, `${fileName}.mp3`), // Nombre original
+      join(config.storage.callsPath, `${sanitizedFileName}.mp3`), // Nombre sanitizado
+    ];
+    
+    let audioPath = null;
+    for (const path of possiblePaths) {
+      if (existsSync(path)) {
+        audioPath = path;
+        //console.log(`[getAudioDuration] Archivo encontrado en: ${audioPath}`);
+        break;
+      }
+    }
+    
+    if (!audioPath) {
+      return res.status(404).json({
+        success: false,
+        error: 'Archivo de audio no encontrado',
+        searchedPaths: possiblePaths,
+        fileName: fileName,
+        sanitizedFileName: sanitizedFileName,
+        searchedPath: config.storage.callsPath,
+      });
     }
     
-    // Limpiar archivos temporales
-    try {
-      if (existsSync(audioPath)) {
-        await unlink(audioPath);
-      }
-      if (existsSync(transcriptionPath)) {
-        await unlink(transcriptionPath);
-      }
-      // Limpiar versiones comprimidas si existen
-      const audioDir = dirname(audioPath);
-      const audioBaseName = basename(audioPath, '.mp3');
-      const compressedPaths = [
-        join(audioDir, `${audioBaseName}_min.mp3`),
-        join(audioDir, `${audioBaseName}_min2.mp3`),
-      ];
-      for (const compressedPath of compressedPaths) {
-        if (existsSync(compressedPath)) {
-          await unlink(compressedPath);
+    //console.log(`[getAudioDuration] Archivo encontrado, obteniendo duración...`);
+    
+    // Obtener duración usando ffprobe
+    const duration = await new Promise((resolve, reject) => {
+      ffmpeg.ffprobe(audioPath, (err, metadata) => {
+        if (err) {
+          console.error(`[getAudioDuration] Error en ffprobe:`, err.message);
+          reject(new Error(`Error al obtener duración: ${err.message}`));
+          return;
         }
-      }
-    } catch (error) {
-      console.warn('⚠️  Error al eliminar archivos temporales:', error.message);
-    }
+        const dur = metadata.format.duration || 0;
+        //console.log(`[getAudioDuration] Duración obtenida: ${dur}s`);
+        resolve(dur);
+      });
+    });
     
-    console.log(`✅ Audio procesado exitosamente (${processedCalls.length} llamadas)`);
+    //console.log(`[getAudioDuration] Retornando duración: ${duration}s`);
     
     return res.json({
       success: true,
-      videoId,
-      processed: true,
-      calls: processedCalls,
-      message: `Audio procesado exitosamente (${processedCalls.length} llamadas)`,
+      duration: duration,
     });
   } catch (error) {
-    await logError(`Error en processAudioFile: ${error.message}`);
-    await logError(`Stack: ${error.stack}`);
+    console.error(`[getAudioDuration] Error general:`, error.message);
+    console.error(`[getAudioDuration] Stack:`, error.stack);
+    await logError(`Error al obtener duración del audio: ${error.message}`);
     return res.status(500).json({
-      error: 'Error al procesar audio',
+      success: false,
+      error: 'Error al obtener duración del audio',
       message: error.message,
     });
   }
 }
 
 /**
- * Sube un video generado a YouTube
+ * Recorta un archivo de audio según los tiempos especificados
  * @param {object} req - Request object
  * @param {object} res - Response object
  */
-export async function uploadVideoToYouTube(req, res) {
+export async function trimAudio(req, res) {
   try {
-    const { videoPath, title, description, tags, privacyStatus, thumbnailPath, metadataPath } = req.body;
-
-    if (!videoPath) {
+    const { fileName, startTime, endTime } = req.body;
+    
+    if (!fileName) {
       return res.status(400).json({
-        error: 'videoPath es requerido',
+        error: 'fileName es requerido',
       });
     }
-
-    if (!existsSync(videoPath)) {
+    
+    if (startTime === undefined || endTime === undefined) {
       return res.status(400).json({
-        error: 'El archivo de video no existe',
-        videoPath,
+        error: 'startTime y endTime son requeridos',
       });
     }
-
-    // Cargar metadata si está disponible
-    let metadata = {};
-    if (metadataPath && existsSync(metadataPath)) {
-      try {
-        const metadataContent = readFileSync(metadataPath, 'utf8');
-        metadata = JSON.parse(metadataContent);
-      } catch (error) {
-        console.warn(`No se pudo cargar metadata desde ${metadataPath}: ${error.message}`);
-      }
-    }
-
-    // Usar metadata del JSON o los parámetros proporcionados
-    const videoMetadata = {
-      title: title || metadata.title || 'Sin título',
-      description: description || metadata.shortDescription || metadata.description || '',
-      tags: tags || metadata.tags || [],
-      privacyStatus: privacyStatus || 'public',
-      thumbnailPath: thumbnailPath || metadata.generatedThumbnailPath || metadata.originalThumbnailPath || null,
-    };
-
-    console.log('\n' + '='.repeat(60));
-    console.log('📤 SUBIENDO VIDEO A YOUTUBE');
-    console.log('='.repeat(60));
-    console.log(`📁 Video: ${videoPath}`);
-    console.log(`📝 Título: ${videoMetadata.title}`);
-    console.log(`🔒 Privacidad: ${videoMetadata.privacyStatus}`);
-    console.log(`📸 Miniatura: ${videoMetadata.thumbnailPath || 'No especificada'}`);
-    if (videoMetadata.thumbnailPath) {
-      const thumbnailExists = existsSync(videoMetadata.thumbnailPath);
-      console.log(`   ${thumbnailExists ? '✅' : '❌'} Archivo existe: ${thumbnailExists}`);
-    }
-    console.log('='.repeat(60) + '\n');
-
-    // Subir el video
-    const { uploadVideoToYouTube: uploadVideo } = await import('../services/youtubeUploadService.js');
-    const result = await uploadVideo(videoPath, videoMetadata);
-
-    // Actualizar metadata si se proporcionó metadataPath
-    if (metadataPath && existsSync(metadataPath)) {
-      try {
-        const metadataContent = readFileSync(metadataPath, 'utf8');
-        const updatedMetadata = JSON.parse(metadataContent);
-        
-        // Agregar información de YouTube
-        updatedMetadata.youtubeUploaded = true;
-        // No actualizar youtubeVideoId - mantener el ID del video original
-        updatedMetadata.youtubeVideoUrl = result.videoUrl;
-        updatedMetadata.youtubeUploadDate = new Date().toISOString();
-        
-        // Guardar metadata actualizado
-        writeFileSync(metadataPath, JSON.stringify(updatedMetadata, null, 2));
-        console.log(`✅ Metadata actualizado: ${metadataPath}`);
-      } catch (error) {
-        console.warn(`⚠️  No se pudo actualizar metadata: ${error.message}`);
-      }
+    
+    if (startTime < 0 || endTime <= startTime) {
+      return res.status(400).json({
+        error: 'Los tiempos de recorte no son válidos',
+      });
     }
-
-    // Construir mensaje con información de la miniatura
-    let message = 'Video subido exitosamente a YouTube';
-    if (result.thumbnailUploaded) {
-      message += '. Miniatura subida exitosamente.';
-    } else if (result.thumbnailError) {
-      message += `. ⚠️ Advertencia: No se pudo subir la miniatura: ${result.thumbnailError}`;
-    } else {
-      message += '. ⚠️ Advertencia: No se subió miniatura (no se especificó ruta).';
+    
+    // Construir ruta del audio original
+    const audioPath = join(config.storage.callsPath, `${fileName}.mp3`);
+    
+    if (!existsSync(audioPath)) {
+      return res.status(404).json({
+        error: 'Archivo de audio no encontrado',
+      });
     }
     
-    console.log(`📊 Resumen de subida:`);
-    console.log(`   ✅ Video: ${result.videoId}`);
-    console.log(`   ${result.thumbnailUploaded ? '✅' : '❌'} Miniatura: ${result.thumbnailUploaded ? 'Subida' : result.thumbnailError || 'No especificada'}`);
+    // Generar trimId único
+    const trimId = `trim_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    
+    // Inicializar progreso
+    initializeTrimProgress(trimId, fileName, startTime, endTime);
+    
+    console.log(`✂️ Recortando audio: ${fileName} de ${startTime}s a ${endTime}s... (trimId: ${trimId})`);
+    
+    // Ejecutar recorte de forma asíncrona (no esperar)
+    trimAudioWithProgress(trimId, fileName, startTime, endTime)
+      .then((result) => {
+        console.log(`✅ Audio recortado exitosamente: ${result.audioPath}`);
+      })
+      .catch(async (error) => {
+        console.error(`❌ Error al recortar audio: ${error.message}`);
+        await logError(`Error en trimAudioWithProgress: ${error.message}`);
+      });
     
+    // Retornar trimId inmediatamente
     return res.json({
       success: true,
-      videoId: result.videoId,
-      videoUrl: result.videoUrl,
-      title: result.title,
-      thumbnailUploaded: result.thumbnailUploaded || false,
-      thumbnailError: result.thumbnailError || null,
-      message: message,
-      uploadId: result.uploadId || null, // Incluir uploadId para que el cliente pueda consultar el progreso
+      message: 'Recorte iniciado',
+      trimId: trimId,
+      fileName: fileName,
+      startTime: startTime,
+      endTime: endTime,
     });
   } catch (error) {
-    console.error('❌ Error al subir video a YouTube:', error.message);
-    // Si el error es de autenticación, incluir la URL de autenticación
-    if (error.message.includes('No se encontró el token de acceso') || error.message.includes('autentica primero')) {
-      try {
-        const { getAuthUrl } = await import('../services/youtubeUploadService.js');
-        const authUrl = await getAuthUrl();
-        return res.status(401).json({
-          error: 'Autenticación requerida',
-          message: error.message,
-          authUrl: authUrl,
-          requiresAuth: true,
-        });
-      } catch (authError) {
-        // Si no se puede obtener la URL, devolver el error original
-      }
-    }
-    
+    await logError(`Error en trimAudio: ${error.message}`);
+    await logError(`Stack: ${error.stack}`);
     return res.status(500).json({
-      error: 'Error al subir video a YouTube',
+      error: 'Error al iniciar recorte de audio',
       message: error.message,
     });
   }
 }
 
+
 /**
- * Obtiene el progreso de una subida a YouTube
- * @param {object} req - Request object
- * @param {object} res - Response object
+ * Valida y ordena los rangos de llamadas recibidos para re-separar un episodio
+ * @param {Array} ranges - Rangos [{start, end}] en segundos sobre el audio del episodio
+ * @returns {Array<{start: number, end: number}>} - Rangos ordenados por inicio
+ * @throws {Error} - Si algún rango es inválido o se superpone con otro
  */
-export async function getYouTubeUploadProgress(req, res) {
-  try {
-    const { uploadId } = req.query;
+function normalizeEpisodeRanges(ranges) {
+  if (!Array.isArray(ranges) || ranges.length === 0) {
+    throw new Error('ranges debe ser un array con al menos un rango {start, end}');
+  }
 
-    if (!uploadId) {
-      return res.status(400).json({
-        error: 'uploadId es requerido',
-      });
+  const normalized = ranges.map((range, index) => {
+    const start = Number(range && range.start);
+    const end = Number(range && range.end);
+    if (!Number.isFinite(start) || !Number.isFinite(end) || start < 0 || end <= start) {
+      throw new Error(`El rango ${index + 1} no es válido (se requiere 0 <= start < end)`);
     }
+    return { start, end };
+  }).sort((a, b) => a.start - b.start);
 
-    const { getUploadProgress } = await import('../services/youtubeUploadService.js');
-    const progress = getUploadProgress(uploadId);
-
-    if (!progress) {
-      return res.status(404).json({
-        error: 'No se encontró el progreso de subida',
-      });
+  for (let i = 0; i < normalized.length - 1; i++) {
+    if (normalized[i].end > normalized[i + 1].start) {
+      throw new Error(`Los rangos ${normalized[i].start}-${normalized[i].end} y ${normalized[i + 1].start}-${normalized[i + 1].end} se superponen`);
     }
+  }
 
-    return res.json({
-      success: true,
-      progress: {
-        bytesUploaded: progress.bytesUploaded,
-        totalBytes: progress.totalBytes,
-        percent: progress.percent,
-        status: progress.status,
-        error: progress.error || null,
-        elapsed: progress.startTime ? (Date.now() - progress.startTime) / 1000 : 0,
-      },
-    });
-  } catch (error) {
-    console.error('❌ Error al obtener progreso de subida:', error.message);
-    return res.status(500).json({
-      error: 'Error al obtener progreso de subida',
-      message: error.message,
-    });
+  return normalized;
+}
+
+/**
+ * Asocia cada rango nuevo con una llamada existente del episodio para conservar sus metadatos
+ * Si todas las llamadas guardan su rango en el episodio (episodeStart/episodeEnd) se asocian por
+ * mayor superposición; si no (llamadas anteriores a este campo), por orden
+ * @param {Array} ranges - Rangos ordenados (normalizeEpisodeRanges)
+ * @param {Array} existingCalls - Llamadas existentes (findCallsByVideoId)
+ * @returns {Array<object|null>} - Llamada asociada a cada rango (null = llamada nueva)
+ */
+function matchRangesToCalls(ranges, existingCalls) {
+  const hasEpisodeRanges = existingCalls.every(call => typeof call.episodeStart === 'number' && typeof call.episodeEnd === 'number');
+  const sortedCalls = [...existingCalls].sort((a, b) => (hasEpisodeRanges ? a.episodeStart - b.episodeStart : (a.callNumber || 0) - (b.callNumber || 0)));
+
+  if (!hasEpisodeRanges) {
+    return ranges.map((range, index) => sortedCalls[index] || null);
   }
+
+  const usedCalls = new Set();
+  return ranges.map(range => {
+    let bestCall = null;
+    let bestOverlap = 0;
+    sortedCalls.forEach(call => {
+      if (usedCalls.has(call)) return;
+      const overlap = Math.min(range.end, call.episodeEnd) - Math.max(range.start, call.episodeStart);
+      if (overlap > bestOverlap) {
+        bestOverlap = overlap;
+        bestCall = call;
+      }
+    });
+    if (bestCall) {
+      usedCalls.add(bestCall);
+    }
+    return bestCall;
+  });
 }
 
 /**
- * Resube una miniatura a YouTube para un video existente
+ * Re-separa las llamadas de un episodio con rangos definidos manualmente, sin volver a usar la IA
+ * Re-extrae el audio de cada llamada desde el audio del episodio, reconstruye su SRT desde la
+ * transcripción guardada en temp y conserva (renombrando si cambia el número) los metadatos existentes.
+ * Los audios se extraen primero en temp; las llamadas se reemplazan después (si algo falla se restauran)
+ * y las que sobran se eliminan al final
  * @param {object} req - Request object
  * @param {object} res - Response object
  */
-export async function reuploadThumbnailToYouTube(req, res) {
+export async function resplitCalls(req, res) {
+  let downloadedAudioPath = null;
+  let stagingDir = null;
+
   try {
-    const { videoId, thumbnailPath, metadataPath } = req.body;
+    const { youtubeVideoId, ranges } = req.body;
 
-    if (!videoId) {
+    if (!youtubeVideoId) {
       return res.status(400).json({
-        error: 'videoId es requerido',
+        error: 'youtubeVideoId es requerido',
+      });
+    }
+
+    let newRanges;
+    try {
+      newRanges = normalizeEpisodeRanges(ranges);
+    } catch (validationError) {
+      return res.status(400).json({
+        error: 'ranges inválido',
+        message: validationError.message,
+      });
+    }
+
+    const transcriptionPath = join(config.storage.tempPath, `${youtubeVideoId}.srt`);
+    if (!existsSync(transcriptionPath)) {
+      return res.status(404).json({
+        error: 'Transcripción del episodio no encontrada',
+        message: `No existe ${youtubeVideoId}.srt en temp; el episodio debe procesarse de nuevo para poder re-separarlo`,
+      });
+    }
+
+    const existingCalls = await findCallsByVideoId(youtubeVideoId);
+    if (existingCalls.length === 0) {
+      return res.status(404).json({
+        error: 'No se encontraron llamadas para el video',
+        youtubeVideoId,
       });
     }
 
-    if (!thumbnailPath) {
+    console.log(`✂️ Re-separando ${youtubeVideoId}: ${existingCalls.length} llamadas -> ${newRanges.length} rangos...`);
+
+    // Segmentos del episodio completo (con timestamps por palabra si existen)
+    const srt = await readFile(transcriptionPath, 'utf-8');
+    let segments = parseSRTToSegments(srt);
+    const wordTimestampsPath = join(config.storage.tempPath, `${youtubeVideoId}.words.json`);
+    if (existsSync(wordTimestampsPath)) {
+      segments = attachWordTimestamps(segments, JSON.parse(await readFile(wordTimestampsPath, 'utf-8')));
+    }
+
+    // Audio del episodio: el de temp si sigue ahí o se vuelve a descargar
+    const youtubeUrl = existingCalls.find(call => call.youtubeUrl)?.youtubeUrl || `https://www.youtube.com/watch?v=${youtubeVideoId}`;
+    let episodeAudioPath = join(config.storage.tempPath, `${youtubeVideoId}.mp3`);
+    if (!existsSync(episodeAudioPath)) {
+      console.log(`   ⬇️  Descargando audio del episodio...`);
+      ({ audioPath: episodeAudioPath } = await downloadAudio(youtubeUrl, 1, 1, youtubeVideoId));
+      downloadedAudioPath = episodeAudioPath;
+    }
+
+    // Los rangos no pueden pasar del final del audio del episodio
+    const episodeDuration = await probeAudioDuration(episodeAudioPath);
+    const outOfRange = newRanges.find(range => range.end > episodeDuration + 0.1);
+    if (outOfRange) {
       return res.status(400).json({
-        error: 'thumbnailPath es requerido',
+        error: 'ranges inválido',
+        message: `El rango ${outOfRange.start}-${outOfRange.end} termina después del final del episodio (${episodeDuration.toFixed(2)}s)`,
       });
     }
 
-    // Cargar metadata si está disponible para obtener la ruta de la miniatura
-    let thumbnailToUse = thumbnailPath;
-    if (metadataPath && existsSync(metadataPath)) {
-      try {
-        const metadataContent = readFileSync(metadataPath, 'utf8');
-        const metadata = JSON.parse(metadataContent);
-        
-        // Priorizar generatedThumbnailPath si existe
-        if (metadata.generatedThumbnailPath && existsSync(metadata.generatedThumbnailPath)) {
-          thumbnailToUse = metadata.generatedThumbnailPath;
-        } else if (metadata.originalThumbnailPath && existsSync(metadata.originalThumbnailPath)) {
-          thumbnailToUse = metadata.originalThumbnailPath;
+    const matchedCalls = matchRangesToCalls(newRanges, existingCalls);
+    const templateCall = existingCalls[0];
+    const removedEntries = existingCalls
+      .filter(existingCall => !matchedCalls.includes(existingCall))
+      .map(call => ({ call, currentFileName: call.fileName || call.callId }));
+
+    const plannedCalls = newRanges.map((range, index) => {
+      const existingCall = matchedCalls[index];
+      const callNumber = index + 1;
+      const title = existingCall ? existingCall.title : 'Llamada sin título';
+      return {
+        range,
+        callNumber,
+        existingCall,
+        currentFileName: existingCall ? (existingCall.fileName || existingCall.callId) : null,
+        fileName: sanitizeFilename(`${youtubeVideoId} - ${callNumber} - ${title}`),
+        // Segmentos cuyo centro cae dentro del rango (un borde manual puede cortar un segmento)
+        callSegments: segments.filter(segment => {
+          const middle = (segment.start + segment.end) / 2;
+          return middle >= range.start && middle < range.end;
+        }),
+      };
+    });
+
+    // 1. Extraer el audio de todos los rangos en temp antes de tocar las llamadas (si uno falla, nada cambia)
+    stagingDir = join(config.storage.tempPath, `${youtubeVideoId}_resplit_${Date.now()}`);
+    await mkdir(join(stagingDir, 'backup'), { recursive: true });
+    for (const plan of plannedCalls) {
+      plan.stagedAudioPath = join(stagingDir, `${plan.callNumber}.mp3`);
+      await extractAudioSegment(episodeAudioPath, plan.range.start, plan.range.end, plan.stagedAudioPath, 1, 1, youtubeVideoId, plan.callNumber, plannedCalls.length);
+    }
+
+    // 2. Reemplazar las llamadas; cada paso registra cómo deshacerse y ante un error se restaura todo
+    const rollback = [];
+    const backupCallFile = async (file) => {
+      const filePath = join(config.storage.callsPath, file);
+      if (existsSync(filePath)) {
+        const backupPath = join(stagingDir, 'backup', `${rollback.length}_${file}`);
+        await copyFile(filePath, backupPath);
+        rollback.push(() => copyFile(backupPath, filePath));
+      } else {
+        rollback.push(() => unlink(filePath).catch(() => {}));
+      }
+    };
+    const moveCallFiles = async (fromFileName, toFileName, metadata = {}) => {
+      await renameFilesForTitleChange(fromFileName, toFileName, metadata);
+      rollback.push(() => renameFilesForTitleChange(toFileName, fromFileName, {}));
+    };
+
+    const resultCalls = [];
+    try {
+      // Las llamadas que ocupan el nombre destino de otra (también las que se eliminarán) se mueven primero a un nombre temporal
+      const targetFileNames = new Set(plannedCalls.map(plan => plan.fileName));
+      for (const entry of [...plannedCalls, ...removedEntries]) {
+        if (entry.currentFileName && entry.currentFileName !== entry.fileName && targetFileNames.has(entry.currentFileName)) {
+          const temporaryFileName = `${entry.currentFileName}_resplit`;
+          await moveCallFiles(entry.currentFileName, temporaryFileName);
+          entry.currentFileName = temporaryFileName;
         }
-      } catch (error) {
-        console.warn(`No se pudo cargar metadata desde ${metadataPath}: ${error.message}`);
       }
-    }
 
-    if (!existsSync(thumbnailToUse)) {
-      return res.status(400).json({
-        error: 'El archivo de miniatura no existe',
-        thumbnailPath: thumbnailToUse,
-      });
+      // Audio, SRT, timestamps por palabra y metadata de cada llamada
+      for (const plan of plannedCalls) {
+        const { range, callNumber, existingCall, fileName, callSegments } = plan;
+        let metadata = existingCall ? await readMetadataFile(plan.currentFileName) : null;
+
+        if (plan.currentFileName && plan.currentFileName !== fileName) {
+          await moveCallFiles(plan.currentFileName, fileName, metadata);
+        }
+
+        for (const ext of ['.mp3', '.srt', '.words.json', '.json']) {
+          await backupCallFile(`${fileName}${ext}`);
+        }
+        await copyFile(plan.stagedAudioPath, join(config.storage.callsPath, `${fileName}.mp3`));
+        const savedTranscriptionPath = await saveTranscriptionFile(fileName, generateCallSRT(callSegments, range.start));
+        await saveWordTimestampsFile(fileName, callSegments, range.start);
+
+        const changed = !metadata
+          || typeof metadata.episodeStart !== 'number'
+          || Math.abs(metadata.episodeStart - range.start) > 0.01
+          || Math.abs(metadata.episodeEnd - range.end) > 0.01;
+
+        if (!metadata) {
+          metadata = {
+            callId: uuidv4(),
+            title: 'Llamada sin título',
+            description: 'Sin descripción disponible',
+            theme: 'General',
+            tags: [],
+            date: templateCall.date || new Date().toISOString().split('T')[0],
+            name: null,
+            age: null,
+            summary: null,
+            thumbnailScene: null,
+            youtubeVideoId,
+            youtubeUrl,
+            thumbnailUrl: templateCall.thumbnailUrl || null,
+            originalThumbnailPath: null,
+            generatedThumbnailPath: null,
+            generatedThumbnail: false,
+          };
+        }
+
+        const hasVideo = Boolean(metadata.videoPath || metadata.generatedVideoPath) || existsSync(join(config.storage.callsPath, `${fileName}.mp4`));
+        const updatedMetadata = {
+          ...metadata,
+          callNumber,
+          fileName,
+          transcriptionPath: savedTranscriptionPath,
+          speakers: getCallSpeakers(callSegments, metadata.speakers || []),
+          episodeStart: range.start,
+          episodeEnd: range.end,
+          boundariesNeedReview: false, // Bordes indicados a mano
+          // Los cambios de audio/transcripción invalidan el resumen, el video generado, el embedding subido a Pinecone y las traducciones
+          summaryNeedsRegeneration: changed ? true : Boolean(metadata.summaryNeedsRegeneration),
+          videoNeedsRegeneration: changed && hasVideo ? true : Boolean(metadata.videoNeedsRegeneration),
+          pineconeNeedsReembed: changed ? true : Boolean(metadata.pineconeNeedsReembed),
+          ...(changed ? markTranslationsStale(metadata) : {}),
+          lastUpdated: new Date().toISOString(),
+        };
+        await saveMetadataFile(fileName, updatedMetadata);
+
+        resultCalls.push({
+          callNumber,
+          fileName,
+          previousFileName: existingCall ? (existingCall.fileName || existingCall.callId) : null,
+          start: range.start,
+          end: range.end,
+          created: !existingCall,
+          changed,
+          summaryNeedsRegeneration: updatedMetadata.summaryNeedsRegeneration,
+          videoNeedsRegeneration: updatedMetadata.videoNeedsRegeneration,
+          pineconeNeedsReembed: updatedMetadata.pineconeNeedsReembed,
+        });
+      }
+    } catch (swapError) {
+      await logWarn(`Re-separación de ${youtubeVideoId} fallida, restaurando las llamadas anteriores: ${swapError.message}`);
+      for (const undo of rollback.reverse()) {
+        try {
+          await undo();
+        } catch (undoError) {
+          await logError(`No se pudo deshacer un paso de la re-separación de ${youtubeVideoId}: ${undoError.message}`);
+        }
+      }
+      for (const fileName of new Set([...plannedCalls.map(plan => plan.fileName), ...existingCalls.map(call => call.fileName || call.callId)])) {
+        await refreshCatalogEntry(fileName);
+      }
+      throw swapError;
     }
 
-    console.log('\n' + '='.repeat(60));
-    console.log('📸 RESUBIENDO MINIATURA A YOUTUBE');
-    console.log('='.repeat(60));
-    console.log(`📺 Video ID: ${videoId}`);
-    console.log(`🖼️  Miniatura: ${thumbnailToUse}`);
-    console.log('='.repeat(60) + '\n');
+    // 3. Eliminar las llamadas que ya no corresponden a ningún rango (solo cuando todo lo anterior salió bien)
+    const removedCalls = [];
+    for (const { call, currentFileName } of removedEntries) {
+      const callFileName = call.fileName || call.callId;
+      if (call.pineconeId) {
+        try {
+          const { deleteFromPinecone } = await import('../services/pineconeService.js');
+          await deleteFromPinecone(call.pineconeId);
+        } catch (pineconeError) {
+          await logWarn(`No se pudo eliminar de Pinecone ${callFileName}: ${pineconeError.message}`);
+        }
+      }
+      await deleteCallFiles(currentFileName);
+      removedCalls.push(callFileName);
+    }
 
-    // Resubir la miniatura
-    const { reuploadThumbnailToYouTube: reuploadThumbnail } = await import('../services/youtubeUploadService.js');
-    const result = await reuploadThumbnail(videoId, thumbnailToUse);
+    await logInfo(`Llamadas de ${youtubeVideoId} re-separadas manualmente: ${resultCalls.length} llamadas (${resultCalls.filter(call => call.changed).length} modificadas, ${removedCalls.length} eliminadas)`);
+    console.log(`✅ ${youtubeVideoId} re-separado en ${resultCalls.length} llamadas`);
 
     return res.json({
       success: true,
-      videoId: result.videoId,
-      videoUrl: result.videoUrl,
-      message: 'Miniatura resubida exitosamente a YouTube',
+      youtubeVideoId,
+      calls: resultCalls,
+      removedCalls,
     });
   } catch (error) {
-    console.error('❌ Error al resubir miniatura a YouTube:', error.message);
+    await logError(`Error en resplitCalls: ${error.message}`);
+    await logError(`Stack: ${error.stack}`);
     return res.status(500).json({
-      error: 'Error al resubir miniatura a YouTube',
+      error: 'Error al re-separar las llamadas',
       message: error.message,
     });
+  } finally {
+    // El audio descargado para re-separar no se conserva (igual que al procesar el video)
+    if (downloadedAudioPath && existsSync(downloadedAudioPath)) {
+      await unlink(downloadedAudioPath).catch(() => {});
+    }
+    // Audios extraídos y respaldos de la re-separación
+    if (stagingDir) {
+      await rm(stagingDir, { recursive: true, force: true }).catch(() => {});
+    }
   }
 }
 
 /**
- * Obtiene la URL de autenticación de YouTube
- * @param {object} req - Request object
- * @param {object} res - Response object
+ * Carga los segmentos de la transcripción de una llamada (con los timestamps por palabra si existen)
+ * @param {string} fileName - Nombre base de la llamada
+ * @param {string} language - Idioma de una traducción (<fileName>.<idioma>.srt, sin timestamps por palabra)
+ * @returns {Promise<Array|null>} - Segmentos o null si la llamada no tiene SRT
  */
-export async function getYouTubeAuthUrl(req, res) {
-  try {
-    const { getAuthUrl } = await import('../services/youtubeUploadService.js');
-    const authUrl = await getAuthUrl();
-    
-    return res.json({
-      success: true,
-      authUrl: authUrl,
-      message: 'URL de autenticación generada',
-    });
-  } catch (error) {
-    await logError(`Error en getYouTubeAuthUrl: ${error.message}`);
-    await logError(`Stack: ${error.stack}`);
-    
-    // Mensaje más descriptivo según el tipo de error
-    let errorMessage = error.message;
-    if (error.message.includes('No se encontró el archivo de credenciales')) {
-      errorMessage = 'No se encontró el archivo de credenciales de YouTube. Por favor, configura YOUTUBE_CREDENTIALS_PATH en el archivo .env con la ruta al archivo JSON de credenciales descargado de Google Cloud Console.';
-    } else if (error.message.includes('no contiene client_id o client_secret')) {
-      errorMessage = 'El archivo de credenciales no tiene la estructura correcta. Asegúrate de que el archivo JSON contenga client_id y client_secret.';
-    }
-    
-    return res.status(500).json({
-      error: 'Error al obtener URL de autenticación',
-      message: errorMessage,
-      details: process.env.NODE_ENV === 'development' ? error.stack : undefined,
-    });
+async function loadCallTranscriptSegments(fileName, language = null) {
+  const srtPath = join(config.storage.callsPath, language ? `${fileName}.${language}.srt` : `${fileName}.srt`);
+  if (!existsSync(srtPath)) {
+    return null;
   }
+  const segments = parseSRTToSegments(await readFile(srtPath, 'utf-8'));
+  return language ? segments : attachWordTimestamps(segments, await readWordTimestampsFile(fileName));
 }
 
 /**
- * Guarda el código de autorización de YouTube
- * @param {object} req - Request object
- * @param {object} res - Response object
+ * Convierte los segmentos de una llamada en la respuesta de la API (índices 1..n como en el SRT)
+ * @param {Array} segments - Segmentos de la llamada
+ * @returns {Array<{index: number, start: number, end: number, speaker: string|null, text: string, hasWordTimestamps: boolean}>}
  */
-export async function saveYouTubeAuthCode(req, res) {
-  try {
-    const { code } = req.body;
-    
-    if (!code) {
-      return res.status(400).json({
-        error: 'code es requerido',
-      });
-    }
-    
-    const { saveAuthorizationCode } = await import('../services/youtubeUploadService.js');
-    const tokens = await saveAuthorizationCode(code);
-    
-    return res.json({
-      success: true,
-      message: 'Autenticación exitosa. Token guardado correctamente.',
-    });
-  } catch (error) {
-    return res.status(500).json({
-      error: 'Error al guardar código de autorización',
-      message: error.message,
-    });
-  }
+function toTranscriptCues(segments) {
+  return segments.map((segment, index) => ({
+    index: index + 1,
+    start: segment.start,
+    end: segment.end,
+    speaker: segment.speaker || null,
+    text: segment.text,
+    hasWordTimestamps: Array.isArray(segment.words) && segment.words.length > 0,
+  }));
 }
 
 /**
- * Callback de OAuth de YouTube - captura el código de autorización
- * @param {object} req - Request object
- * @param {object} res - Response object
+ * Aplica las ediciones a los segmentos de una llamada
+ * Un segmento cuyo texto o tiempo cambia pierde sus timestamps por palabra (ya no corresponden)
+ * @param {Array} segments - Segmentos actuales
+ * @param {Array<object>} cues - Ediciones ({ index, text, start, end, speaker })
+ * @returns {{segments: Array, editedIndexes: Array<number>}}
+ * @throws {Error} - Con status 400 si alguna edición es inválida
  */
-export async function youtubeAuthCallback(req, res) {
-  try {
-    const { code, error } = req.query;
-    
-    if (error) {
-      // Si hay un error en la autorización
-      return res.send(`
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <title>Error de Autenticación</title>
-          <style>
-            body { font-family: Arial, sans-serif; text-align: center; padding: 50px; background: #f5f5f5; }
-            .error { background: #ffebee; color: #c62828; padding: 20px; border-radius: 8px; max-width: 600px; margin: 0 auto; }
-          </style>
-        </head>
-        <body>
-          <div class="error">
-            <h1>❌ Error de Autenticación</h1>
-            <p>${error}</p>
-            <p>Por favor, intenta nuevamente.</p>
-          </div>
-        </body>
-        </html>
-      `);
+function applyTranscriptEdits(segments, cues) {
+  const invalid = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+  };
+
+  const edited = segments.map(segment => ({ ...segment }));
+  const editedIndexes = new Set();
+
+  for (const cue of cues) {
+    const index = Number(cue && cue.index);
+    if (!Number.isInteger(index) || index < 1 || index > edited.length) {
+      throw invalid(`index debe ser un número entre 1 y ${edited.length}`);
+    }
+    const segment = edited[index - 1];
+    let changed = false;
+
+    if (cue.text !== undefined) {
+      if (typeof cue.text !== 'string' || cue.text.trim() === '') {
+        throw invalid(`El texto del subtítulo ${index} no puede estar vacío`);
+      }
+      changed = changed || cue.text.trim() !== segment.text;
+      segment.text = cue.text.trim();
     }
-    
-    if (!code) {
-      return res.send(`
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <title>Error de Autenticación</title>
-          <style>
-            body { font-family: Arial, sans-serif; text-align: center; padding: 50px; background: #f5f5f5; }
-            .error { background: #ffebee; color: #c62828; padding: 20px; border-radius: 8px; max-width: 600px; margin: 0 auto; }
-          </style>
-        </head>
-        <body>
-          <div class="error">
-            <h1>❌ Error</h1>
-            <p>No se recibió el código de autorización.</p>
-          </div>
-        </body>
-        </html>
-      `);
+    for (const field of ['start', 'end']) {
+      if (cue[field] !== undefined) {
+        if (typeof cue[field] !== 'number' || !Number.isFinite(cue[field]) || cue[field] < 0) {
+          throw invalid(`${field} del subtítulo ${index} debe ser un número de segundos mayor o igual a 0`);
+        }
+        changed = changed || Math.abs(cue[field] - segment[field]) > 0.0005;
+        segment[field] = cue[field];
+      }
     }
-    
-    // Guardar el código de autorización
-    const { saveAuthorizationCode } = await import('../services/youtubeUploadService.js');
-    await saveAuthorizationCode(code);
-    
-    // Mostrar página de éxito que comunica con la ventana padre y se cierra automáticamente
-    return res.send(`
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <title>Autenticación Exitosa</title>
-        <style>
-          body { font-family: Arial, sans-serif; text-align: center; padding: 50px; background: #f5f5f5; }
-          .success { background: #e8f5e9; color: #2e7d32; padding: 30px; border-radius: 8px; max-width: 600px; margin: 0 auto; }
-          .success h1 { margin-top: 0; }
-          .success p { font-size: 16px; line-height: 1.6; }
-        </style>
-      </head>
-      <body>
-        <div class="success">
-          <h1>✅ Autenticación Exitosa</h1>
-          <p>Tu cuenta de YouTube ha sido autenticada correctamente.</p>
-          <p>Esta ventana se cerrará automáticamente...</p>
-        </div>
-        <script>
-          // Enviar mensaje a la ventana padre si existe
-          if (window.opener && !window.opener.closed) {
-            window.opener.postMessage({ type: 'youtube_auth_success' }, '*');
-          }
-          
-          // Cerrar la ventana automáticamente después de 1 segundo
-          setTimeout(() => {
-            window.close();
-          }, 1000);
-        </script>
-      </body>
-      </html>
-    `);
-  } catch (error) {
-    console.error('Error en callback de YouTube:', error);
-    return res.send(`
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <title>Error</title>
-        <style>
-          body { font-family: Arial, sans-serif; text-align: center; padding: 50px; background: #f5f5f5; }
-          .error { background: #ffebee; color: #c62828; padding: 20px; border-radius: 8px; max-width: 600px; margin: 0 auto; }
-        </style>
-      </head>
-      <body>
-        <div class="error">
-          <h1>❌ Error</h1>
-          <p>${error.message}</p>
-        </div>
-      </body>
-      </html>
-    `);
+    if (cue.speaker !== undefined) {
+      if (cue.speaker !== null && typeof cue.speaker !== 'string') {
+        throw invalid(`speaker del subtítulo ${index} debe ser un texto o null`);
+      }
+      const speaker = cue.speaker ? cue.speaker.trim() : null;
+      if (speaker) {
+        segment.speaker = speaker;
+      } else {
+        delete segment.speaker;
+      }
+    }
+
+    if (changed) {
+      delete segment.words;
+    }
+    editedIndexes.add(index);
   }
+
+  edited.forEach((segment, position) => {
+    if (segment.end <= segment.start) {
+      throw invalid(`El subtítulo ${position + 1} termina antes de empezar`);
+    }
+    if (position > 0 && segment.start < edited[position - 1].start) {
+      throw invalid(`El subtítulo ${position + 1} empieza antes que el anterior`);
+    }
+  });
+
+  return { segments: edited, editedIndexes: [...editedIndexes].sort((a, b) => a - b) };
 }
 
 /**
- * Genera una imagen de waveform del audio en base64
- * @param {object} req - Request object
- * @param {object} res - Response object
- */
-/**
- * Sirve un archivo de audio
+ * Obtiene la transcripción de una llamada como segmentos editables, o la descarga en el formato pedido
+ * (query format: srt, vtt, txt, json, docx u odt)
  * @param {object} req - Request object
  * @param {object} res - Response object
  */
-export async function serveAudio(req, res) {
+export async function getCallTranscript(req, res) {
   try {
-    const { fileName } = req.params;
-    const decodedFileName = decodeURIComponent(fileName);
-    
-    // Construir ruta del audio
-    const audioPath = join(config.storage.callsPath, decodedFileName);
-    
-    if (!existsSync(audioPath)) {
+    const fileName = decodeURIComponent(req.params.fileName);
+    const { format } = req.query;
+    if (format && !Object.hasOwn(TRANSCRIPT_EXPORT_FORMATS, format)) {
+      return res.status(400).json({
+        error: `format debe ser uno de: ${Object.keys(TRANSCRIPT_EXPORT_FORMATS).join(', ')}`,
+      });
+    }
+    let language = null;
+    if (req.query.language) {
+      try {
+        language = normalizeLanguageCode(req.query.language);
+      } catch (error) {
+        return res.status(400).json({
+          error: error.message,
+        });
+      }
+    }
+    if (!existsSync(join(config.storage.callsPath, `${fileName}.json`))) {
       return res.status(404).json({
-        error: 'Archivo de audio no encontrado',
-        path: audioPath,
+        error: 'No se encontró la llamada',
       });
     }
-    
-    // Determinar el tipo MIME basado en la extensión
-    const ext = decodedFileName.split('.').pop().toLowerCase();
-    let mimeType = 'audio/mpeg'; // Por defecto MP3
-    if (ext === 'wav') {
-      mimeType = 'audio/wav';
-    } else if (ext === 'm4a') {
-      mimeType = 'audio/mp4';
-    } else if (ext === 'ogg') {
-      mimeType = 'audio/ogg';
+
+    const segments = await loadCallTranscriptSegments(fileName, language);
+    if (!segments) {
+      return res.status(404).json({
+        error: language ? `La llamada no tiene traducción al ${language}` : 'La llamada no tiene transcripción',
+      });
     }
-    
-    // Enviar el archivo
-    return res.sendFile(resolve(audioPath), {
-      headers: {
-        'Content-Type': mimeType,
-      },
+
+    const metadata = await readMetadataFile(fileName);
+    if (format) {
+      // Con una traducción, el documento usa el título y la descripción traducidos
+      const localization = language ? (metadata.localizations || {})[language] || {} : {};
+      const documentMetadata = { ...metadata, title: localization.title || metadata.title, description: localization.description || metadata.description };
+      const exportName = language ? `${fileName}.${language}` : fileName;
+      const { content, extension, contentType } = await exportTranscript(format, segments, documentMetadata, exportName);
+      res.setHeader('Content-Type', contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(`${exportName}.${extension}`)}"`);
+      return res.send(content);
+    }
+
+    return res.json({
+      fileName,
+      language,
+      totalSegments: segments.length,
+      transcriptEditedAt: metadata.transcriptEditedAt || null,
+      summaryNeedsRegeneration: Boolean(metadata.summaryNeedsRegeneration),
+      pineconeNeedsReembed: Boolean(metadata.pineconeNeedsReembed),
+      videoNeedsRegeneration: Boolean(metadata.videoNeedsRegeneration),
+      segments: toTranscriptCues(segments),
     });
   } catch (error) {
-    await logError(`Error al servir audio: ${error.message}`);
+    await logError(`Error en getCallTranscript: ${error.message}`);
     return res.status(500).json({
-      error: 'Error al servir audio',
+      error: 'Error al leer la transcripción',
       message: error.message,
     });
   }
 }
 
 /**
- * Ajusta el volumen de un archivo de audio
- * @param {object} req - Request object
- * @param {object} res - Response object
- */
-/**
- * Redescarga el audio de un video de YouTube y lo sobrescribe en callsPath
+ * Edita el texto, el tiempo o el speaker de subtítulos de una llamada y guarda la transcripción
+ * Reescribe el .srt, el _min.txt y los timestamps por palabra, y marca como desactualizados el resumen,
+ * el embedding de Pinecone y el video generado (opcionalmente regenera el resumen y el embedding).
+ * Si la llamada ya está en YouTube, vuelve a publicar sus subtítulos (config.youtube.captions.syncOnEdit)
  * @param {object} req - Request object
  * @param {object} res - Response object
  */
-export async function redownloadAudio(req, res) {
+export async function updateCallTranscript(req, res) {
   try {
-    const { youtubeUrl, fileName } = req.body;
-    
-    if (!youtubeUrl) {
+    const fileName = decodeURIComponent(req.params.fileName);
+    const { cues, regenerateSummary = false, reembed = false } = req.body || {};
+
+    if (!Array.isArray(cues) || cues.length === 0) {
       return res.status(400).json({
-        error: 'youtubeUrl es requerido',
+        error: 'cues es requerido (lista de subtítulos editados: { index, text, start, end, speaker })',
       });
     }
-    
-    if (!fileName) {
-      return res.status(400).json({
-        error: 'fileName es requerido',
+    if (!existsSync(join(config.storage.callsPath, `${fileName}.json`))) {
+      return res.status(404).json({
+        error: 'No se encontró la llamada',
       });
     }
-    
-    const videoId = extractVideoId(youtubeUrl);
-    if (!videoId) {
-      return res.status(400).json({
-        error: 'URL de YouTube no válida',
+
+    const currentSegments = await loadCallTranscriptSegments(fileName);
+    if (!currentSegments) {
+      return res.status(404).json({
+        error: 'La llamada no tiene transcripción',
       });
     }
-    
-    // Generar downloadId único
-    const downloadId = `download_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    
-    // Inicializar progreso
-    initializeDownloadProgress(downloadId, youtubeUrl, fileName);
-    
-    console.log(`⬇️  Redescargando audio de ${videoId} para ${fileName}... (downloadId: ${downloadId})`);
-    
-    // Ejecutar descarga de forma asíncrona (no esperar)
-    downloadAudioWithProgress(downloadId, youtubeUrl, fileName)
-      .then((result) => {
-        console.log(`✅ Audio redescargado exitosamente: ${result.audioPath}`);
-      })
-      .catch(async (error) => {
-        console.error(`❌ Error al redescargar audio: ${error.message}`);
-        await logError(`Error en downloadAudioWithProgress: ${error.message}`);
-      });
-    
-    // Retornar downloadId inmediatamente
+
+    let edit;
+    try {
+      edit = applyTranscriptEdits(currentSegments, cues);
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          error: 'Edición inválida',
+          message: error.message,
+        });
+      }
+      throw error;
+    }
+    const { segments, editedIndexes } = edit;
+
+    // 1. Reescribir el SRT, el SRT simplificado y los timestamps por palabra
+    const srt = generateSRT(segments);
+    const transcriptionPath = await saveTranscriptionFile(fileName, srt);
+    await saveMinTranscriptionFile(fileName, srt);
+    if (!await saveWordTimestampsFile(fileName, segments)) {
+      await unlink(join(config.storage.callsPath, `${fileName}.words.json`)).catch(() => {});
+    }
+
+    // 2. Marcar lo que depende de la transcripción como desactualizado
+    const metadata = await readMetadataFile(fileName);
+    const hasVideo = Boolean(metadata.videoPath || metadata.generatedVideoPath) || existsSync(join(config.storage.callsPath, `${fileName}.mp4`));
+    const updatedMetadata = {
+      ...metadata,
+      transcriptionPath,
+      speakers: getCallSpeakers(segments, metadata.speakers || []),
+      transcriptEditedAt: new Date().toISOString(),
+      summaryNeedsRegeneration: true,
+      pineconeNeedsReembed: metadata.pineconeUploaded ? true : Boolean(metadata.pineconeNeedsReembed),
+      videoNeedsRegeneration: hasVideo ? true : Boolean(metadata.videoNeedsRegeneration),
+      ...markTranslationsStale(metadata),
+      lastUpdated: new Date().toISOString(),
+    };
+
+    // 3. Regenerar el resumen y el embedding (opcional; un fallo no deshace la edición)
+    const warnings = [];
+    if (regenerateSummary) {
+      try {
+        updatedMetadata.summary = await generateSummaryFromTranscription(srt.trim());
+        updatedMetadata.summaryNeedsRegeneration = false;
+      } catch (error) {
+        await logWarn(`No se pudo regenerar el resumen de ${fileName}: ${error.message}`);
+        warnings.push(`Resumen: ${error.message}`);
+      }
+    }
+    if (reembed) {
+      try {
+        const { uploadEmbeddingOnly } = await import('../services/pineconeService.js');
+        const result = await uploadEmbeddingOnly({ ...updatedMetadata, fileName });
+        updatedMetadata.pineconeUploaded = result.uploaded;
+        updatedMetadata.pineconeId = result.pineconeId || updatedMetadata.pineconeId || null;
+        updatedMetadata.pineconeUploadDate = new Date().toISOString();
+        updatedMetadata.pineconeNeedsReembed = false;
+      } catch (error) {
+        await logWarn(`No se pudo regenerar el embedding de ${fileName}: ${error.message}`);
+        warnings.push(`Embedding: ${error.message}`);
+      }
+    }
+
+    // 4. Re-sincronizar los subtítulos del video ya subido a YouTube (un fallo queda marcado para reintentar)
+    if (metadata.youtubeUploaded && getUploadedYouTubeVideoId(metadata)) {
+      if (config.youtube.captions.syncOnEdit) {
+        try {
+          updatedMetadata.youtubeCaptions = await syncCallCaptionsToYouTube(fileName, updatedMetadata);
+          updatedMetadata.youtubeCaptionsNeedsSync = false;
+        } catch (error) {
+          await logWarn(`No se pudieron actualizar los subtítulos de YouTube de ${fileName}: ${error.message}`);
+          warnings.push(`Subtítulos de YouTube: ${error.message}`);
+          updatedMetadata.youtubeCaptionsNeedsSync = true;
+        }
+      } else {
+        updatedMetadata.youtubeCaptionsNeedsSync = true;
+      }
+    }
+
+    await saveMetadataFile(fileName, updatedMetadata);
+    await logInfo(`Transcripción de ${fileName} editada (${editedIndexes.length} subtítulo(s))`);
+
     return res.json({
       success: true,
-      message: 'Descarga iniciada',
-      downloadId: downloadId,
-      videoId,
       fileName,
+      editedIndexes,
+      totalSegments: segments.length,
+      summaryNeedsRegeneration: updatedMetadata.summaryNeedsRegeneration,
+      pineconeNeedsReembed: updatedMetadata.pineconeNeedsReembed,
+      videoNeedsRegeneration: updatedMetadata.videoNeedsRegeneration,
+      youtubeCaptionsNeedsSync: Boolean(updatedMetadata.youtubeCaptionsNeedsSync),
+      translationsNeedRegeneration: Boolean(updatedMetadata.translationsNeedRegeneration),
+      summary: updatedMetadata.summary || null,
+      warnings,
+      segments: toTranscriptCues(segments),
     });
   } catch (error) {
-    await logError(`Error en redownloadAudio: ${error.message}`);
+    await logError(`Error en updateCallTranscript: ${error.message}`);
     await logError(`Stack: ${error.stack}`);
     return res.status(500).json({
-      error: 'Error al iniciar descarga de audio',
+      error: 'Error al guardar la transcripción',
       message: error.message,
     });
   }
 }
 
 /**
- * Normaliza el audio de un archivo
+ * Exporta las transcripciones de la biblioteca (o de las llamadas filtradas) en un único ZIP con manifest.json
+ * Acepta los filtros del catálogo (q, videoId, theme, tags, dateFrom, dateTo) y format (por defecto srt)
  * @param {object} req - Request object
  * @param {object} res - Response object
  */
-export async function normalizeAudio(req, res) {
+export async function exportTranscripts(req, res) {
   try {
-    const { fileName } = req.body;
-    
-    if (!fileName) {
+    const { format = 'srt', q, videoId, theme, tags, dateFrom, dateTo } = req.query;
+    if (!Object.hasOwn(TRANSCRIPT_EXPORT_FORMATS, format)) {
       return res.status(400).json({
-        error: 'fileName es requerido',
+        error: `format debe ser uno de: ${Object.keys(TRANSCRIPT_EXPORT_FORMATS).join(', ')}`,
       });
     }
-    
-    // Construir ruta del audio original
-    const audioPath = join(config.storage.callsPath, `${fileName}.mp3`);
-    
-    if (!existsSync(audioPath)) {
+
+    const entries = await queryCatalogCalls({
+      text: q,
+      videoId,
+      theme,
+      tags: tags ? String(tags).split(',') : [],
+      dateFrom,
+      dateTo,
+    });
+    if (entries.length === 0) {
       return res.status(404).json({
-        error: 'Archivo de audio no encontrado',
+        error: 'No hay llamadas para exportar',
       });
     }
-    
-    // Crear ruta para el backup del original
-    const backupPath = join(config.storage.callsPath, `${fileName}_original.mp3`);
-    const outputPath = join(config.storage.callsPath, `${fileName}.mp3`);
-    
-    // Si no existe backup, crear uno
-    if (!existsSync(backupPath)) {
-      await copyFile(audioPath, backupPath);
-      await logInfo(`Backup creado: ${backupPath}`);
-    }
-    
-    console.log(`🔊 Normalizando audio: ${fileName}...`);
-    
-    // Normalizar el audio usando FFmpeg con el filtro loudnorm (EBU R128)
-    // El filtro loudnorm normaliza el audio a -16 LUFS (estándar EBU R128)
-    // Esto ajusta el volumen del audio para que tenga un nivel consistente
-    await new Promise((resolve, reject) => {
-      ffmpeg(backupPath) // Usar el backup como fuente
-        .audioFilters('loudnorm=I=-16:TP=-1.5:LRA=11')
-        .output(outputPath)
-        .on('start', (commandLine) => {
-          console.log(`[normalizeAudio] FFmpeg iniciado: ${commandLine}`);
-        })
-        .on('progress', (progress) => {
-          console.log(`[normalizeAudio] Progreso: ${progress.percent || 0}%`);
-        })
-        .on('end', () => {
-          console.log(`[normalizeAudio] Audio normalizado exitosamente`);
-          resolve();
-        })
-        .on('error', (err) => {
-          console.error(`[normalizeAudio] Error: ${err.message}`);
-          reject(new Error(`Error al normalizar audio: ${err.message}`));
-        })
-        .run();
-    });
-    
-    // Eliminar el archivo backup _original.mp3 después de normalizar
-    if (existsSync(backupPath)) {
-      await unlink(backupPath);
-      await logInfo(`Backup eliminado: ${backupPath}`);
-    }
-    
-    await logInfo(`Audio normalizado para ${fileName} (volumen ajustado a -16 LUFS)`);
-    
-    return res.json({
-      success: true,
-      message: 'Audio normalizado exitosamente',
-      fileName: fileName,
-      audioPath: outputPath,
-    });
+
+    const archiveName = `transcripciones_${format}_${Date.now()}.zip`;
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${archiveName}"`);
+
+    console.log(`📦 Exportando ${entries.length} transcripciones (${format})...`);
+    const manifest = await exportTranscriptArchive(format, entries, loadCallTranscriptSegments, res);
+    await logInfo(`Transcripciones exportadas (${format}): ${manifest.totalCalls} llamadas, ${manifest.skipped.length} omitidas`);
   } catch (error) {
-    await logError(`Error en normalizeAudio: ${error.message}`);
-    await logError(`Stack: ${error.stack}`);
+    await logError(`Error en exportTranscripts: ${error.message}`);
+    // Si el ZIP ya empezó a enviarse no se puede responder con JSON
+    if (res.headersSent) {
+      return res.end();
+    }
     return res.status(500).json({
-      error: 'Error al normalizar audio',
+      error: 'Error al exportar las transcripciones',
       message: error.message,
     });
   }
 }
 
 /**
- * Comprime dinámicamente el audio de un archivo (reduce picos altos y aumenta partes bajas)
+ * Traduce la transcripción, el título, la descripción y los tags de una llamada a uno o más idiomas
+ * Cada traducción se guarda en <fileName>.<idioma>.srt y en metadata.localizations[idioma]
  * @param {object} req - Request object
  * @param {object} res - Response object
  */
-export async function compressAudio(req, res) {
+export async function translateCall(req, res) {
   try {
-    const { fileName } = req.body;
-    
-    if (!fileName) {
+    const fileName = decodeURIComponent(req.params.fileName);
+    const requestedLanguages = req.body && req.body.languages !== undefined ? req.body.languages : config.translation.languages;
+
+    let languages;
+    try {
+      languages = [...new Set((Array.isArray(requestedLanguages) ? requestedLanguages : String(requestedLanguages).split(','))
+        .filter(language => String(language).trim())
+        .map(language => normalizeLanguageCode(language)))];
+    } catch (error) {
       return res.status(400).json({
-        error: 'fileName es requerido',
+        error: error.message,
       });
     }
-    
-    // Generar compressionId único
-    const compressionId = `compress_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    
-    // Inicializar progreso
-    initializeCompressionProgress(compressionId, fileName);
-    
-    console.log(`🔊 Comprimiendo dinámicamente audio de ${fileName}... (compressionId: ${compressionId})`);
-    
-    // Ejecutar compresión de forma asíncrona (no esperar)
-    compressAudioWithProgress(compressionId, fileName)
-      .then((result) => {
-        console.log(`✅ Audio comprimido exitosamente: ${result.audioPath}`);
-      })
-      .catch(async (error) => {
-        console.error(`❌ Error al comprimir audio: ${error.message}`);
-        await logError(`Error en compressAudioWithProgress: ${error.message}`);
+    const sourceLanguage = normalizeLanguageCode(config.translation.sourceLanguage);
+    languages = languages.filter(language => language !== sourceLanguage);
+    if (languages.length === 0) {
+      return res.status(400).json({
+        error: `languages es requerido (idiomas distintos de ${sourceLanguage}, ej: ["en", "pt-BR"]) o configura TRANSLATION_LANGUAGES`,
+      });
+    }
+
+    if (!existsSync(join(config.storage.callsPath, `${fileName}.json`))) {
+      return res.status(404).json({
+        error: 'No se encontró la llamada',
+      });
+    }
+    const segments = await loadCallTranscriptSegments(fileName);
+    if (!segments) {
+      return res.status(404).json({
+        error: 'La llamada no tiene transcripción',
+      });
+    }
+
+    const metadata = await readMetadataFile(fileName);
+    const localizations = { ...(metadata.localizations || {}) };
+    const translated = [];
+    const errors = [];
+
+    // Un idioma a la vez: un error en uno no impide los demás
+    for (const language of languages) {
+      try {
+        console.log(`🌐 Traduciendo ${fileName} al ${language}...`);
+        const translation = await translateCallContent(segments, metadata, language);
+        await saveTranscriptionFile(`${fileName}.${language}`, generateSRT(translation.segments));
+        localizations[language] = {
+          title: translation.title,
+          description: translation.description,
+          shortDescription: translation.shortDescription,
+          tags: translation.tags,
+          hasTranscription: true,
+          translatedAt: new Date().toISOString(),
+          needsRegeneration: false,
+        };
+        translated.push(language);
+      } catch (error) {
+        await logWarn(`No se pudo traducir ${fileName} al ${language}: ${error.message}`);
+        errors.push({ language, error: error.message });
+      }
+    }
+
+    if (translated.length > 0) {
+      await saveMetadataFile(fileName, {
+        ...metadata,
+        localizations,
+        translationsNeedRegeneration: Object.values(localizations).some(localization => localization.needsRegeneration),
+        lastUpdated: new Date().toISOString(),
       });
-    
-    // Retornar compressionId inmediatamente
+      await logInfo(`Llamada ${fileName} traducida a: ${translated.join(', ')}`);
+    }
+
+    if (translated.length === 0) {
+      return res.status(500).json({
+        error: 'No se pudo traducir la llamada',
+        message: errors.map(item => `${item.language}: ${item.error}`).join('; '),
+        errors,
+      });
+    }
+
     return res.json({
       success: true,
-      message: 'Compresión iniciada',
-      compressionId: compressionId,
       fileName,
+      translated,
+      errors,
+      localizations: Object.fromEntries(translated.map(language => [language, localizations[language]])),
     });
   } catch (error) {
-    await logError(`Error en compressAudio: ${error.message}`);
-    await logError(`Stack: ${error.stack}`);
+    await logError(`Error en translateCall: ${error.message}`);
     return res.status(500).json({
-      error: 'Error al iniciar compresión de audio',
+      error: 'Error al traducir la llamada',
       message: error.message,
     });
   }
 }
 
 /**
- * Endpoint SSE para obtener el progreso de compresión de audio
- * @param {object} req - Request object
- * @param {object} res - Response object
+ * Escanea una llamada en busca de datos personales y deja el resultado en su metadata
+ * (piiReviewPending: hay datos pendientes de revisión)
+ * @param {string} fileName - Nombre base de la llamada
+ * @returns {Promise<{review: object, summary: object}|null>} - null si la llamada no tiene transcripción
  */
-export function getAudioCompressionProgressSSE(req, res) {
-  const { compressionId } = req.query;
-
-  if (!compressionId) {
-    return res.status(400).json({
-      error: 'compressionId es requerido',
-    });
+async function runCallPIIScan(fileName) {
+  const segments = await loadCallTranscriptSegments(fileName);
+  if (!segments) {
+    return null;
   }
-
-  // Configurar headers para SSE
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
-  res.setHeader('X-Accel-Buffering', 'no');
-
-  // Registrar la conexión SSE
-  registerCompressionSSEConnection(compressionId, res);
-
-  // Enviar un ping inicial para mantener la conexión viva
-  const pingInterval = setInterval(() => {
-    try {
-      res.write(': ping\n\n');
-    } catch (error) {
-      clearInterval(pingInterval);
-    }
-  }, 30000); // Ping cada 30 segundos
-
-  // Limpiar cuando se cierre la conexión
-  res.on('close', () => {
-    clearInterval(pingInterval);
+  const metadata = await readMetadataFile(fileName);
+  const review = await scanCallForPII(fileName, segments, metadata);
+  const summary = summarizePIIReview(review);
+  await saveMetadataFile(fileName, {
+    ...metadata,
+    piiScannedAt: review.scannedAt,
+    piiReviewPending: summary.pending > 0,
+    piiHitCount: summary.total,
   });
+  return { review, summary };
 }
 
 /**
- * Obtiene todas las compresiones activas
+ * Escanea una llamada recién procesada (config.pii.scanOnProcess)
+ * Un error no detiene el procesamiento: la llamada se puede escanear después con POST /api/video/pii/{fileName}/scan
+ * @param {string} fileName - Nombre base de la llamada
+ */
+async function scanProcessedCallForPII(fileName) {
+  if (!config.pii.scanOnProcess) {
+    return;
+  }
+  try {
+    await runCallPIIScan(fileName);
+  } catch (error) {
+    await logWarn(`No se pudo buscar datos personales en ${fileName}: ${error.message}`);
+  }
+}
+
+/**
+ * Lista las llamadas con datos personales pendientes de revisión
  * @param {object} req - Request object
  * @param {object} res - Response object
  */
-export async function getActiveAudioCompressions(req, res) {
+export async function listPIIReviews(req, res) {
   try {
-    const activeCompressions = getActiveCompressions();
+    const entries = (await queryCatalogCalls({})).filter(entry => entry.metadata.piiReviewPending);
+    const calls = [];
+    for (const entry of entries) {
+      calls.push({
+        fileName: entry.fileName,
+        title: entry.metadata.title || null,
+        youtubeVideoId: entry.metadata.youtubeVideoId || null,
+        piiScannedAt: entry.metadata.piiScannedAt || null,
+        ...summarizePIIReview(await readPIIReview(entry.fileName)),
+      });
+    }
+
     return res.json({
-      success: true,
-      compressions: activeCompressions,
+      total: calls.length,
+      calls,
     });
   } catch (error) {
-    await logError(`Error en getActiveAudioCompressions: ${error.message}`);
+    await logError(`Error en listPIIReviews: ${error.message}`);
     return res.status(500).json({
-      error: 'Error al obtener compresiones activas',
+      error: 'Error al listar las revisiones de datos personales',
       message: error.message,
     });
   }
 }
 
 /**
- * Cancela una compresión activa
+ * Busca datos personales en la transcripción, el resumen y las descripciones de una llamada
+ * Los datos ya revisados conservan su estado
  * @param {object} req - Request object
  * @param {object} res - Response object
  */
-export async function cancelAudioCompressionEndpoint(req, res) {
+export async function scanCallPII(req, res) {
   try {
-    const { compressionId } = req.body;
-    
-    if (!compressionId) {
-      return res.status(400).json({
-        error: 'compressionId es requerido',
+    const fileName = decodeURIComponent(req.params.fileName);
+    if (!existsSync(join(config.storage.callsPath, `${fileName}.json`))) {
+      return res.status(404).json({
+        error: 'No se encontró la llamada',
       });
     }
-    
-    const cancelled = cancelCompression(compressionId);
-    
-    if (cancelled) {
-      return res.json({
-        success: true,
-        message: 'Compresión cancelada',
-      });
-    } else {
+
+    console.log(`🔎 Buscando datos personales en ${fileName}...`);
+    const result = await runCallPIIScan(fileName);
+    if (!result) {
       return res.status(404).json({
-        error: 'Compresión no encontrada o ya completada',
+        error: 'La llamada no tiene transcripción',
       });
     }
+
+    return res.json({
+      success: true,
+      fileName,
+      ...result.summary,
+      hits: result.review.hits,
+    });
   } catch (error) {
-    await logError(`Error en cancelAudioCompressionEndpoint: ${error.message}`);
-    return res.status(500).json({
-      error: 'Error al cancelar compresión',
+    await logError(`Error en scanCallPII: ${error.message}`);
+    return res.status(error.status || 500).json({
+      error: 'Error al buscar datos personales',
       message: error.message,
     });
   }
 }
 
 /**
- * Obtiene la duración de un archivo de audio
+ * Obtiene la revisión de datos personales de una llamada
  * @param {object} req - Request object
  * @param {object} res - Response object
  */
-export async function getAudioDuration(req, res) {
+export async function getCallPIIReview(req, res) {
   try {
-    let { fileName } = req.query;
-    
-    // Decodificar el fileName si viene codificado
-    if (fileName) {
-      try {
-        fileName = decodeURIComponent(fileName);
-      } catch (e) {
-        // Si falla la decodificación, usar el original
-        console.warn(`[getAudioDuration] No se pudo decodificar fileName, usando original: ${fileName}`);
-      }
-    }
-    
-    //console.log(`[getAudioDuration] Recibida solicitud para fileName: ${fileName}`);
-    
-    if (!fileName) {
-      console.error('[getAudioDuration] fileName es requerido');
-      return res.status(400).json({
-        success: false,
-        error: 'fileName es requerido',
-      });
-    }
-    
-    // Importar sanitizeFilename para buscar el archivo sanitizado
-    const { sanitizeFilename } = await import('../services/fileService.js');
-    
-    // Intentar primero con el nombre original, luego con el sanitizado
-    const sanitizedFileName = sanitizeFilename(fileName);
-    const possiblePaths = [
-      join(config.storage.callsPath, `${fileName}.mp3`), // Nombre original
-      join(config.storage.callsPath, `${sanitizedFileName}.mp3`), // Nombre sanitizado
-    ];
-    
-    let audioPath = null;
-    for (const path of possiblePaths) {
-      if (existsSync(path)) {
-        audioPath = path;
-        //console.log(`[getAudioDuration] Archivo encontrado en: ${audioPath}`);
-        break;
-      }
-    }
-    
-    if (!audioPath) {
+    const fileName = decodeURIComponent(req.params.fileName);
+    const review = await readPIIReview(fileName);
+    if (!review) {
       return res.status(404).json({
-        success: false,
-        error: 'Archivo de audio no encontrado',
-        searchedPaths: possiblePaths,
-        fileName: fileName,
-        sanitizedFileName: sanitizedFileName,
-        searchedPath: config.storage.callsPath,
+        error: 'La llamada no tiene revisión de datos personales',
+        message: 'Escanéala con POST /api/video/pii/{fileName}/scan',
       });
     }
-    
-    //console.log(`[getAudioDuration] Archivo encontrado, obteniendo duración...`);
-    
-    // Obtener duración usando ffprobe
-    const duration = await new Promise((resolve, reject) => {
-      ffmpeg.ffprobe(audioPath, (err, metadata) => {
-        if (err) {
-          console.error(`[getAudioDuration] Error en ffprobe:`, err.message);
-          reject(new Error(`Error al obtener duración: ${err.message}`));
-          return;
-        }
-        const dur = metadata.format.duration || 0;
-        //console.log(`[getAudioDuration] Duración obtenida: ${dur}s`);
-        resolve(dur);
-      });
-    });
-    
-    //console.log(`[getAudioDuration] Retornando duración: ${duration}s`);
-    
+
     return res.json({
-      success: true,
-      duration: duration,
+      fileName,
+      ...summarizePIIReview(review),
+      ...review,
     });
   } catch (error) {
-    console.error(`[getAudioDuration] Error general:`, error.message);
-    console.error(`[getAudioDuration] Stack:`, error.stack);
-    await logError(`Error al obtener duración del audio: ${error.message}`);
+    await logError(`Error en getCallPIIReview: ${error.message}`);
     return res.status(500).json({
-      success: false,
-      error: 'Error al obtener duración del audio',
+      error: 'Error al leer la revisión de datos personales',
       message: error.message,
     });
   }
 }
 
 /**
- * Recorta un archivo de audio según los tiempos especificados
+ * Aprueba o descarta los datos personales de una llamada y censura los aprobados:
+ * en el audio (bleep o silencio sobre sus rangos), en el .srt y en el resumen y las descripciones
+ * El audio se genera siempre desde <fileName>_unredacted.mp3 (respaldo del original que se conserva)
  * @param {object} req - Request object
  * @param {object} res - Response object
  */
-export async function trimAudio(req, res) {
+export async function applyCallPIIRedaction(req, res) {
   try {
-    const { fileName, startTime, endTime } = req.body;
-    
-    if (!fileName) {
+    const fileName = decodeURIComponent(req.params.fileName);
+    const { approve = [], reject = [], mode = config.pii.audioMode } = req.body || {};
+
+    if (!['bleep', 'mute'].includes(mode)) {
       return res.status(400).json({
-        error: 'fileName es requerido',
+        error: 'mode debe ser bleep o mute',
       });
     }
-    
-    if (startTime === undefined || endTime === undefined) {
-      return res.status(400).json({
-        error: 'startTime y endTime son requeridos',
+    if (!existsSync(join(config.storage.callsPath, `${fileName}.json`))) {
+      return res.status(404).json({
+        error: 'No se encontró la llamada',
       });
     }
-    
-    if (startTime < 0 || endTime <= startTime) {
-      return res.status(400).json({
-        error: 'Los tiempos de recorte no son válidos',
+    const review = await readPIIReview(fileName);
+    if (!review) {
+      return res.status(404).json({
+        error: 'La llamada no tiene revisión de datos personales',
+        message: 'Escanéala con POST /api/video/pii/{fileName}/scan',
       });
     }
-    
-    // Construir ruta del audio original
-    const audioPath = join(config.storage.callsPath, `${fileName}.mp3`);
-    
-    if (!existsSync(audioPath)) {
-      return res.status(404).json({
-        error: 'Archivo de audio no encontrado',
+
+    let hits;
+    try {
+      hits = applyPIIDecisions(review.hits, { approve, reject });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          error: 'Revisión inválida',
+          message: error.message,
+        });
+      }
+      throw error;
+    }
+
+    const appliedAt = new Date().toISOString();
+    const toApply = hits.filter(hit => hit.status === 'approved' && !hit.appliedAt);
+    const metadata = await readMetadataFile(fileName);
+    const updatedMetadata = { ...metadata };
+    const warnings = [];
+    let maskedSegments = 0;
+    let maskedFields = 0;
+    let audioRedacted = false;
+
+    if (toApply.length > 0) {
+      // 1. Audio: primero, para que un error de FFmpeg no deje el texto censurado y el audio no
+      const audioPath = join(config.storage.callsPath, `${fileName}.mp3`);
+      const ranges = getRedactionRanges(hits.filter(hit => hit.status === 'approved'));
+      if (ranges.length > 0 && existsSync(audioPath)) {
+        const backupPath = join(config.storage.callsPath, `${fileName}_unredacted.mp3`);
+        if (!existsSync(backupPath)) {
+          await copyFile(audioPath, backupPath);
+          await logInfo(`Backup creado: ${backupPath}`);
+        }
+        console.log(`🔇 Censurando ${ranges.length} rango(s) del audio de ${fileName} (${mode})...`);
+        await redactAudio(backupPath, audioPath, ranges, mode);
+        audioRedacted = true;
+      } else if (ranges.length > 0) {
+        warnings.push('La llamada no tiene audio: solo se censuró el texto');
+      }
+
+      // 2. Transcripción
+      const segments = await loadCallTranscriptSegments(fileName);
+      if (segments) {
+        const masked = maskSegments(segments, toApply);
+        if (masked.count > 0) {
+          const srtBackupPath = join(config.storage.callsPath, `${fileName}_unredacted.srt`);
+          if (!existsSync(srtBackupPath)) {
+            await copyFile(join(config.storage.callsPath, `${fileName}.srt`), srtBackupPath);
+          }
+          const srt = generateSRT(masked.segments);
+          updatedMetadata.transcriptionPath = await saveTranscriptionFile(fileName, srt);
+          await saveMinTranscriptionFile(fileName, srt);
+          if (!await saveWordTimestampsFile(fileName, masked.segments)) {
+            await unlink(join(config.storage.callsPath, `${fileName}.words.json`)).catch(() => {});
+          }
+          maskedSegments = masked.count;
+        }
+      }
+
+      // 3. Resumen y descripciones: un dato aprobado se censura en todos los textos donde aparece
+      const values = toApply.map(hit => hit.text);
+      const originalFields = review.originalFields || {};
+      for (const field of ['summary', 'description', 'shortDescription']) {
+        if (typeof metadata[field] !== 'string') {
+          continue;
+        }
+        const masked = maskText(metadata[field], values);
+        if (masked.count > 0) {
+          if (originalFields[field] === undefined) {
+            originalFields[field] = metadata[field];
+          }
+          updatedMetadata[field] = masked.text;
+          maskedFields += masked.count;
+        }
+      }
+      review.originalFields = originalFields;
+
+      toApply.forEach(hit => {
+        hit.appliedAt = appliedAt;
       });
     }
-    
-    // Generar trimId único
-    const trimId = `trim_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    
-    // Inicializar progreso
-    initializeTrimProgress(trimId, fileName, startTime, endTime);
-    
-    console.log(`✂️ Recortando audio: ${fileName} de ${startTime}s a ${endTime}s... (trimId: ${trimId})`);
-    
-    // Ejecutar recorte de forma asíncrona (no esperar)
-    trimAudioWithProgress(trimId, fileName, startTime, endTime)
-      .then((result) => {
-        console.log(`✅ Audio recortado exitosamente: ${result.audioPath}`);
-      })
-      .catch(async (error) => {
-        console.error(`❌ Error al recortar audio: ${error.message}`);
-        await logError(`Error en trimAudioWithProgress: ${error.message}`);
+
+    // 4. Guardar la revisión y marcar lo que depende del texto y del audio como desactualizado
+    const summary = summarizePIIReview({ hits });
+    const changed = audioRedacted || maskedSegments > 0 || maskedFields > 0;
+    await savePIIReview(fileName, {
+      ...review,
+      hits,
+      ...(changed ? { appliedAt, audioMode: audioRedacted ? mode : review.audioMode || null } : {}),
+    });
+
+    Object.assign(updatedMetadata, {
+      piiReviewPending: summary.pending > 0,
+      piiHitCount: summary.total,
+      lastUpdated: new Date().toISOString(),
+    });
+    if (changed) {
+      const hasVideo = Boolean(metadata.videoPath || metadata.generatedVideoPath) || existsSync(join(config.storage.callsPath, `${fileName}.mp4`));
+      Object.assign(updatedMetadata, {
+        piiRedacted: true,
+        piiRedactedAt: appliedAt,
+        pineconeNeedsReembed: metadata.pineconeUploaded ? true : Boolean(metadata.pineconeNeedsReembed),
+        videoNeedsRegeneration: hasVideo ? true : Boolean(metadata.videoNeedsRegeneration),
+        youtubeCaptionsNeedsSync: metadata.youtubeUploaded && maskedSegments > 0 ? true : Boolean(metadata.youtubeCaptionsNeedsSync),
+        ...markTranslationsStale(metadata),
       });
-    
-    // Retornar trimId inmediatamente
+      if (metadata.youtubeUploaded && audioRedacted) {
+        warnings.push('El video publicado en YouTube conserva el audio sin censurar: vuelve a generarlo y subirlo');
+      }
+    }
+    await saveMetadataFile(fileName, updatedMetadata);
+    if (changed) {
+      await logInfo(`Datos personales censurados en ${fileName}: ${toApply.length} dato(s), audio ${audioRedacted ? mode : 'sin cambios'}`);
+    }
+
     return res.json({
       success: true,
-      message: 'Recorte iniciado',
-      trimId: trimId,
-      fileName: fileName,
-      startTime: startTime,
-      endTime: endTime,
+      fileName,
+      applied: toApply.length,
+      audioRedacted,
+      audioMode: audioRedacted ? mode : null,
+      maskedSegments,
+      maskedFields,
+      ...summary,
+      pineconeNeedsReembed: Boolean(updatedMetadata.pineconeNeedsReembed),
+      videoNeedsRegeneration: Boolean(updatedMetadata.videoNeedsRegeneration),
+      youtubeCaptionsNeedsSync: Boolean(updatedMetadata.youtubeCaptionsNeedsSync),
+      translationsNeedRegeneration: Boolean(updatedMetadata.translationsNeedRegeneration),
+      warnings,
+      hits,
     });
   } catch (error) {
-    await logError(`Error en trimAudio: ${error.message}`);
+    await logError(`Error en applyCallPIIRedaction: ${error.message}`);
     await logError(`Stack: ${error.stack}`);
     return res.status(500).json({
-      error: 'Error al iniciar recorte de audio',
+      error: 'Error al censurar los datos personales',
       message: error.message,
     });
   }
 }
 
-
 /**
  * Combina varios audios en uno solo y genera un nuevo archivo de metadatos
  * @param {object} req - Request object
@@ -0,0 +1,215 @@
+import express from 'express';
+import { getBlacklist, addBlacklistVideo, updateBlacklistVideo, removeBlacklistVideo, getBlacklistRules, createBlacklistRule, updateBlacklistRule, deleteBlacklistRule } from '../controllers/blacklistController.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/blacklist:
+ *   get:
+ *     summary: Obtiene la lista negra (videos y reglas)
+ *     tags: [Blacklist]
+ *     description: Cada video incluye el motivo, el autor y la fecha en que se agregó. Las reglas descartan videos de playlists y suscripciones antes de descargarlos.
+ *     responses:
+ *       200:
+ *         description: Videos y reglas de la lista negra
+ */
+router.get('/', getBlacklist);
+
+/**
+ * @swagger
+ * /api/blacklist/videos:
+ *   post:
+ *     summary: Agrega un video a la lista negra
+ *     tags: [Blacklist]
+ *     description: A diferencia de /api/video/blacklist/{fileName}, no elimina las llamadas ya procesadas del video.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               videoId:
+ *                 type: string
+ *               youtubeUrl:
+ *                 type: string
+ *                 description: Alternativa a videoId
+ *               reason:
+ *                 type: string
+ *               author:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Video agregado
+ *       400:
+ *         description: Falta videoId o youtubeUrl
+ *       409:
+ *         description: El video ya está en la lista negra
+ */
+router.post('/videos', addBlacklistVideo);
+
+/**
+ * @swagger
+ * /api/blacklist/videos/{videoId}:
+ *   put:
+ *     summary: Edita el motivo o el autor de un video de la lista negra
+ *     tags: [Blacklist]
+ *     parameters:
+ *       - in: path
+ *         name: videoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *               author:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Entrada actualizada
+ *       404:
+ *         description: El video no está en la lista negra
+ */
+router.put('/videos/:videoId', updateBlacklistVideo);
+
+/**
+ * @swagger
+ * /api/blacklist/videos/{videoId}:
+ *   delete:
+ *     summary: Quita un video de la lista negra
+ *     tags: [Blacklist]
+ *     parameters:
+ *       - in: path
+ *         name: videoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Video quitado
+ *       404:
+ *         description: El video no está en la lista negra
+ */
+router.delete('/videos/:videoId', removeBlacklistVideo);
+
+/**
+ * @swagger
+ * /api/blacklist/rules:
+ *   get:
+ *     summary: Lista las reglas de la lista negra
+ *     tags: [Blacklist]
+ *     responses:
+ *       200:
+ *         description: Reglas
+ */
+router.get('/rules', getBlacklistRules);
+
+/**
+ * @swagger
+ * /api/blacklist/rules:
+ *   post:
+ *     summary: Crea una regla de la lista negra
+ *     tags: [Blacklist]
+ *     description: |
+ *       Un video cumple la regla si cumple todas sus condiciones. Las condiciones sobre datos que el
+ *       listado de la playlist no trae (duración, canal o fecha de subida) no se cumplen, para no omitir videos por falta de información.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - match
+ *             properties:
+ *               name:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *                 description: Motivo informado en skipReason de los videos omitidos
+ *               author:
+ *                 type: string
+ *               enabled:
+ *                 type: boolean
+ *                 default: true
+ *               match:
+ *                 type: object
+ *                 properties:
+ *                   titlePattern:
+ *                     type: string
+ *                     description: Expresión regular sobre el título (sin distinguir mayúsculas)
+ *                   channel:
+ *                     type: string
+ *                     description: Nombre o ID del canal
+ *                   minDuration:
+ *                     type: number
+ *                     description: Duración mínima en segundos
+ *                   maxDuration:
+ *                     type: number
+ *                     description: Duración máxima en segundos
+ *                   uploadedAfter:
+ *                     type: string
+ *                     example: "2024-01-01"
+ *                   uploadedBefore:
+ *                     type: string
+ *                     example: "2024-12-31"
+ *     responses:
+ *       201:
+ *         description: Regla creada
+ *       400:
+ *         description: Condiciones inválidas
+ */
+router.post('/rules', createBlacklistRule);
+
+/**
+ * @swagger
+ * /api/blacklist/rules/{ruleId}:
+ *   put:
+ *     summary: Edita una regla de la lista negra
+ *     tags: [Blacklist]
+ *     description: Solo se modifican los campos enviados; match reemplaza todas las condiciones.
+ *     parameters:
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Regla actualizada
+ *       400:
+ *         description: Condiciones inválidas
+ *       404:
+ *         description: Regla no encontrada
+ */
+router.put('/rules/:ruleId', updateBlacklistRule);
+
+/**
+ * @swagger
+ * /api/blacklist/rules/{ruleId}:
+ *   delete:
+ *     summary: Elimina una regla de la lista negra
+ *     tags: [Blacklist]
+ *     parameters:
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Regla eliminada
+ *       404:
+ *         description: Regla no encontrada
+ */
+router.delete('/rules/:ruleId', deleteBlacklistRule);
+
+export default router;
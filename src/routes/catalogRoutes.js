@@ -0,0 +1,100 @@
+import express from 'express';
+import { searchCatalog, rebuildCatalog } from '../controllers/catalogController.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/catalog/calls:
+ *   get:
+ *     summary: Busca llamadas en el catálogo
+ *     tags: [Catalog]
+ *     description: |
+ *       Consulta el catálogo SQLite de metadatos (índice de los JSON de storage/calls, sincronizado
+ *       automáticamente). Todos los filtros son opcionales y se combinan.
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Texto buscado en título, resumen y tags
+ *       - in: query
+ *         name: videoId
+ *         schema:
+ *           type: string
+ *         description: ID del video de YouTube
+ *       - in: query
+ *         name: callId
+ *         schema:
+ *           type: string
+ *         description: callId interno de la llamada
+ *       - in: query
+ *         name: theme
+ *         schema:
+ *           type: string
+ *         description: Tema exacto
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *         description: Tags separados por coma (la llamada debe tenerlos todos)
+ *       - in: query
+ *         name: dateFrom
+ *         schema:
+ *           type: string
+ *         description: Fecha mínima (YYYY-MM-DD)
+ *       - in: query
+ *         name: dateTo
+ *         schema:
+ *           type: string
+ *         description: Fecha máxima (YYYY-MM-DD)
+ *       - in: query
+ *         name: pineconeUploaded
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: youtubeUploaded
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Llamadas encontradas (metadatos completos)
+ *       500:
+ *         description: Error al consultar el catálogo
+ */
+router.get('/calls', searchCatalog);
+
+/**
+ * @swagger
+ * /api/catalog/rebuild:
+ *   post:
+ *     summary: Reconstruye el catálogo desde los JSON de las llamadas
+ *     tags: [Catalog]
+ *     description: |
+ *       Vacía el catálogo y vuelve a indexar todos los JSON de storage/calls. Normalmente no es necesario
+ *       (el catálogo se sincroniza al iniciar y con cada cambio), pero sirve si se modificaron archivos
+ *       con el servidor detenido. Equivale a `npm run catalog:rebuild`.
+ *     responses:
+ *       200:
+ *         description: Catálogo reconstruido
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 total:
+ *                   type: integer
+ *                 indexed:
+ *                   type: integer
+ *                 removed:
+ *                   type: integer
+ *                 invalid:
+ *                   type: integer
+ *       500:
+ *         description: Error al reconstruir el catálogo
+ */
+router.post('/rebuild', rebuildCatalog);
+
+export default router;
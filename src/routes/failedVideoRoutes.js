@@ -0,0 +1,120 @@
+import express from 'express';
+import { listFailedVideos, getFailedVideo, retryFailedVideo, retryAllFailedVideos, deleteFailedVideo } from '../controllers/failedVideoController.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/failed-videos:
+ *   get:
+ *     summary: Lista los videos cuyo procesamiento falló
+ *     tags: [FailedVideos]
+ *     description: |
+ *       Cada video incluye su clase de error (age_restricted, private, removed, network, ai_error,
+ *       transcription_missing, unknown), la cantidad de intentos, la fecha del próximo reintento
+ *       automático (nextRetryAt, null si la política de su clase no permite más) y si tiene un reintento en curso.
+ *     parameters:
+ *       - in: query
+ *         name: errorClass
+ *         schema:
+ *           type: string
+ *           enum: [age_restricted, private, removed, network, ai_error, transcription_missing, unknown]
+ *     responses:
+ *       200:
+ *         description: Lista de videos fallidos, conteo por clase y políticas de reintento
+ *       400:
+ *         description: errorClass inválida
+ */
+router.get('/', listFailedVideos);
+
+/**
+ * @swagger
+ * /api/failed-videos/retry:
+ *   post:
+ *     summary: Reintenta todos los videos fallidos
+ *     tags: [FailedVideos]
+ *     description: Encola trabajos 'process-video' (uno por combinación de opciones de procesamiento). Se omiten los videos con un reintento en curso.
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               errorClass:
+ *                 type: string
+ *                 enum: [age_restricted, private, removed, network, ai_error, transcription_missing, unknown]
+ *                 description: Reintentar solo los videos de esta clase
+ *     responses:
+ *       202:
+ *         description: Trabajos encolados
+ *       200:
+ *         description: No había videos para reintentar
+ *       400:
+ *         description: errorClass inválida
+ */
+router.post('/retry', retryAllFailedVideos);
+
+/**
+ * @swagger
+ * /api/failed-videos/{videoId}:
+ *   get:
+ *     summary: Obtiene un video fallido
+ *     tags: [FailedVideos]
+ *     parameters:
+ *       - in: path
+ *         name: videoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Video fallido encontrado
+ *       404:
+ *         description: Video fallido no encontrado
+ */
+router.get('/:videoId', getFailedVideo);
+
+/**
+ * @swagger
+ * /api/failed-videos/{videoId}/retry:
+ *   post:
+ *     summary: Reintenta un video fallido
+ *     tags: [FailedVideos]
+ *     description: Encola un trabajo 'process-video' con las mismas opciones con las que falló. Si se procesa correctamente, el video sale de la lista.
+ *     parameters:
+ *       - in: path
+ *         name: videoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       202:
+ *         description: Trabajo encolado
+ *       404:
+ *         description: Video fallido no encontrado
+ *       409:
+ *         description: El video ya tiene un reintento en curso
+ */
+router.post('/:videoId/retry', retryFailedVideo);
+
+/**
+ * @swagger
+ * /api/failed-videos/{videoId}:
+ *   delete:
+ *     summary: Quita un video de la lista de fallidos sin reintentarlo
+ *     tags: [FailedVideos]
+ *     parameters:
+ *       - in: path
+ *         name: videoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Video quitado de la lista
+ *       404:
+ *         description: Video fallido no encontrado
+ */
+router.delete('/:videoId', deleteFailedVideo);
+
+export default router;
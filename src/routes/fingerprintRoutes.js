@@ -0,0 +1,68 @@
+import express from 'express';
+import { listFingerprints, listOverlaps, allowDuplicateFingerprint } from '../controllers/fingerprintController.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/fingerprints:
+ *   get:
+ *     summary: Lista los episodios con huella acústica
+ *     tags: [Fingerprints]
+ *     description: La huella se calcula al descargar cada episodio. duplicateOf indica el episodio original de las re-subidas omitidas.
+ *     responses:
+ *       200:
+ *         description: Episodios indexados
+ */
+router.get('/', listFingerprints);
+
+/**
+ * @swagger
+ * /api/fingerprints/overlaps:
+ *   get:
+ *     summary: Lista los episodios que comparten audio
+ *     tags: [Fingerprints]
+ *     description: |
+ *       Cada par indica el tipo de coincidencia (exact, partial u overlap), la proporción del audio
+ *       en común y los tramos coincidentes (segundos en cada episodio).
+ *     parameters:
+ *       - in: query
+ *         name: videoId
+ *         schema:
+ *           type: string
+ *         description: Solo los pares que incluyen este video
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [exact, partial, overlap]
+ *     responses:
+ *       200:
+ *         description: Pares de episodios superpuestos
+ *       400:
+ *         description: type inválido
+ */
+router.get('/overlaps', listOverlaps);
+
+/**
+ * @swagger
+ * /api/fingerprints/{videoId}/allow-duplicate:
+ *   post:
+ *     summary: Permite procesar un episodio marcado como re-subida
+ *     tags: [Fingerprints]
+ *     description: Para falsos positivos. El video se procesa normalmente la próxima vez que se envíe.
+ *     parameters:
+ *       - in: path
+ *         name: videoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Re-subida habilitada
+ *       404:
+ *         description: El video no tiene huella acústica
+ */
+router.post('/:videoId/allow-duplicate', allowDuplicateFingerprint);
+
+export default router;
@@ -0,0 +1,187 @@
+import express from 'express';
+import { listGlossaries, getGlossary, createGlossary, updateGlossary, deleteGlossary, applyGlossary } from '../controllers/glossaryController.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/glossaries:
+ *   get:
+ *     summary: Lista los glosarios de los programas
+ *     tags: [Glossaries]
+ *     responses:
+ *       200:
+ *         description: Glosarios
+ */
+router.get('/', listGlossaries);
+
+/**
+ * @swagger
+ * /api/glossaries:
+ *   post:
+ *     summary: Crea el glosario de un programa
+ *     tags: [Glossaries]
+ *     description: |
+ *       Después de transcribir cada episodio del programa, las variantes se reemplazan por el término
+ *       (sin distinguir mayúsculas y solo como palabras completas). Los términos también se envían como prompt
+ *       inicial a WHISPER-OpenAI. Un glosario sin condiciones en match se aplica a todos los episodios.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               match:
+ *                 type: object
+ *                 properties:
+ *                   channels:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                     description: Nombres o IDs de canales de YouTube
+ *                   feedUrls:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                     description: Feeds de podcast
+ *                   titlePattern:
+ *                     type: string
+ *                     description: Expresión regular sobre el título del episodio (sin distinguir mayúsculas)
+ *               terms:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - term
+ *                   properties:
+ *                     term:
+ *                       type: string
+ *                       description: Forma correcta
+ *                     variants:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       description: Errores de transcripción conocidos
+ *                     phonetic:
+ *                       type: boolean
+ *                       default: false
+ *                       description: Corregir también las palabras que suenan igual en español (b/v, s/z/c, ll/y, h muda)
+ *     responses:
+ *       201:
+ *         description: Glosario creado
+ *       400:
+ *         description: Datos inválidos
+ */
+router.post('/', createGlossary);
+
+/**
+ * @swagger
+ * /api/glossaries/{glossaryId}:
+ *   get:
+ *     summary: Obtiene un glosario
+ *     tags: [Glossaries]
+ *     parameters:
+ *       - in: path
+ *         name: glossaryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Glosario
+ *       404:
+ *         description: Glosario no encontrado
+ */
+router.get('/:glossaryId', getGlossary);
+
+/**
+ * @swagger
+ * /api/glossaries/{glossaryId}:
+ *   put:
+ *     summary: Edita un glosario
+ *     tags: [Glossaries]
+ *     description: Solo se modifican los campos enviados; terms y match reemplazan los anteriores.
+ *     parameters:
+ *       - in: path
+ *         name: glossaryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Glosario actualizado
+ *       400:
+ *         description: Datos inválidos
+ *       404:
+ *         description: Glosario no encontrado
+ */
+router.put('/:glossaryId', updateGlossary);
+
+/**
+ * @swagger
+ * /api/glossaries/{glossaryId}:
+ *   delete:
+ *     summary: Elimina un glosario
+ *     tags: [Glossaries]
+ *     parameters:
+ *       - in: path
+ *         name: glossaryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Glosario eliminado
+ *       404:
+ *         description: Glosario no encontrado
+ */
+router.delete('/:glossaryId', deleteGlossary);
+
+/**
+ * @swagger
+ * /api/glossaries/{glossaryId}/apply:
+ *   post:
+ *     summary: Vuelve a aplicar un glosario a las llamadas ya procesadas
+ *     tags: [Glossaries]
+ *     description: |
+ *       Corrige los .srt de las llamadas del programa del glosario (o de los videos o llamadas indicados)
+ *       y el SRT del episodio en temp. Las correcciones se guardan en glossaryCorrections y las llamadas ya subidas
+ *       a Pinecone quedan marcadas con pineconeNeedsReembed.
+ *     parameters:
+ *       - in: path
+ *         name: glossaryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               videoIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               fileNames:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               dryRun:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Solo informar las correcciones, sin modificar archivos
+ *     responses:
+ *       200:
+ *         description: Correcciones por llamada
+ *       404:
+ *         description: Glosario no encontrado
+ */
+router.post('/:glossaryId/apply', applyGlossary);
+
+export default router;
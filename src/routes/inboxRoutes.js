@@ -0,0 +1,65 @@
+import express from 'express';
+import { getInboxStatus, scanInbox, retryInboxItem } from '../controllers/inboxController.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/inbox:
+ *   get:
+ *     summary: Estado de la bandeja de entrada (INBOX_PATH)
+ *     tags: [Inbox]
+ *     description: |
+ *       Los pares episodio.mp3 + episodio.srt que se dejan en la bandeja se procesan con el mismo flujo
+ *       que /api/audio/process y se mueven a done/ o failed/ junto con un reporte (episodio.report.json).
+ *       Devuelve los pares en espera, en cola o en proceso y los reportes de done/ y failed/.
+ *       El progreso también se publica en /api/tasks/stream (tipo inbox).
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *         description: Cantidad máxima de reportes por carpeta
+ *     responses:
+ *       200:
+ *         description: Estado de la bandeja
+ */
+router.get('/', getInboxStatus);
+
+/**
+ * @swagger
+ * /api/inbox/scan:
+ *   post:
+ *     summary: Escanea la bandeja de entrada ahora
+ *     tags: [Inbox]
+ *     responses:
+ *       200:
+ *         description: Pares pendientes después del escaneo
+ */
+router.post('/scan', scanInbox);
+
+/**
+ * @swagger
+ * /api/inbox/failed/{reportFile}/retry:
+ *   post:
+ *     summary: Devuelve un par de failed/ a la bandeja para volver a procesarlo
+ *     tags: [Inbox]
+ *     parameters:
+ *       - in: path
+ *         name: reportFile
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Nombre del reporte en failed/ (ej. episodio.report.json)
+ *     responses:
+ *       200:
+ *         description: Archivos devueltos a la bandeja
+ *       404:
+ *         description: Reporte no encontrado
+ *       409:
+ *         description: Ya existe un archivo con el mismo nombre en la bandeja
+ */
+router.post('/failed/:reportFile/retry', retryInboxItem);
+
+export default router;
@@ -0,0 +1,122 @@
+import express from 'express';
+import { listJobs, getJob, retryJob, cancelJob, deleteJob } from '../controllers/jobController.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/jobs:
+ *   get:
+ *     summary: Lista los trabajos de la cola (procesamiento de videos y playlists)
+ *     tags: [Jobs]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [queued, running, completed, failed, cancelled]
+ *         description: Filtrar por estado
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [process-video, process-playlist, process-podcast]
+ *         description: Filtrar por tipo de trabajo
+ *     responses:
+ *       200:
+ *         description: Lista de trabajos (del más reciente al más antiguo)
+ */
+router.get('/', listJobs);
+
+/**
+ * @swagger
+ * /api/jobs/{jobId}:
+ *   get:
+ *     summary: Obtiene el detalle de un trabajo
+ *     tags: [Jobs]
+ *     description: |
+ *       Incluye el progreso, el checkpoint de cada video (etapas download, transcribe,
+ *       separateCalls, cut y thumbnail) y el resultado cuando el trabajo finaliza.
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Trabajo encontrado
+ *       404:
+ *         description: Trabajo no encontrado
+ */
+router.get('/:jobId', getJob);
+
+/**
+ * @swagger
+ * /api/jobs/{jobId}/retry:
+ *   post:
+ *     summary: Reintenta un trabajo fallido o cancelado
+ *     tags: [Jobs]
+ *     description: Los videos ya completados se conservan y el resto continúa desde la última etapa completada.
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       202:
+ *         description: Trabajo reencolado
+ *       404:
+ *         description: Trabajo no encontrado
+ *       409:
+ *         description: El trabajo no está fallido ni cancelado
+ */
+router.post('/:jobId/retry', retryJob);
+
+/**
+ * @swagger
+ * /api/jobs/{jobId}/cancel:
+ *   post:
+ *     summary: Cancela un trabajo
+ *     tags: [Jobs]
+ *     description: Si está en cola se cancela inmediatamente; si está en ejecución se detiene al terminar la etapa actual de cada video.
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Cancelación registrada
+ *       404:
+ *         description: Trabajo no encontrado
+ *       409:
+ *         description: El trabajo ya finalizó
+ */
+router.post('/:jobId/cancel', cancelJob);
+
+/**
+ * @swagger
+ * /api/jobs/{jobId}:
+ *   delete:
+ *     summary: Elimina un trabajo finalizado
+ *     tags: [Jobs]
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Trabajo eliminado
+ *       404:
+ *         description: Trabajo no encontrado
+ *       409:
+ *         description: El trabajo todavía no finalizó
+ */
+router.delete('/:jobId', deleteJob);
+
+export default router;
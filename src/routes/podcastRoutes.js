@@ -0,0 +1,89 @@
+import express from 'express';
+import { listPodcastEpisodes, processPodcast } from '../controllers/podcastController.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/podcast/episodes:
+ *   get:
+ *     summary: Lista los episodios de un feed de podcast (RSS o Atom)
+ *     tags: [Podcasts]
+ *     description: |
+ *       Cada episodio incluye su GUID y el episodeId derivado de él (pod_xxxxxxxxxxxx), que se usa
+ *       como youtubeVideoId de sus llamadas, y si ya fue procesado o está en la lista negra.
+ *     parameters:
+ *       - in: query
+ *         name: feedUrl
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: URL HTTP(S) del feed, URL file:// o ruta local (los enclosures relativos se resuelven contra la carpeta del feed)
+ *     responses:
+ *       200:
+ *         description: Episodios del feed
+ *       400:
+ *         description: Falta feedUrl
+ *       500:
+ *         description: Error al leer el feed
+ */
+router.get('/episodes', listPodcastEpisodes);
+
+/**
+ * @swagger
+ * /api/podcast/process:
+ *   post:
+ *     summary: Procesa los episodios pendientes de un feed de podcast
+ *     tags: [Podcasts]
+ *     description: |
+ *       Encola un trabajo 'process-podcast' (ver /api/jobs). Cada episodio se descarga, se transcribe
+ *       con Whisper y sus llamadas se separan con el mismo flujo que /api/audio/process. Los episodios
+ *       procesados se guardan en el índice del feed (storage/podcast_<hash>_index.json) y no se vuelven a procesar.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - feedUrl
+ *             properties:
+ *               feedUrl:
+ *                 type: string
+ *                 description: URL HTTP(S) del feed, URL file:// o ruta local
+ *               episodeGuids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Procesar solo estos episodios (por defecto todos los pendientes)
+ *               limit:
+ *                 type: integer
+ *                 description: Máximo de episodios a procesar
+ *               sortOrder:
+ *                 type: string
+ *                 enum: [ASC, DESC]
+ *                 default: DESC
+ *                 description: DESC procesa primero los episodios más recientes
+ *               transcriptionSource:
+ *                 type: string
+ *                 enum: [WHISPER-OpenAI, WHISPER-LOCAL]
+ *                 default: WHISPER-OpenAI
+ *               thumbnail:
+ *                 type: object
+ *                 description: Configuración de la miniatura generada (si no se envía, no se genera)
+ *               downloadOriginalThumbnail:
+ *                 type: boolean
+ *                 default: true
+ *                 description: Descargar la imagen del episodio (itunes:image) como miniatura original
+ *               saveProcessingPrompt:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       202:
+ *         description: Trabajo encolado
+ *       400:
+ *         description: Parámetros inválidos
+ */
+router.post('/process', processPodcast);
+
+export default router;
@@ -0,0 +1,199 @@
+import express from 'express';
+import { createSubscription, listSubscriptions, getSubscription, pauseSubscription, resumeSubscription, runSubscription, deleteSubscription } from '../controllers/subscriptionController.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/subscriptions:
+ *   get:
+ *     summary: Lista las suscripciones a canales y playlists
+ *     tags: [Subscriptions]
+ *     description: Incluye el estado (activa o pausada), la fecha de la última y la próxima revisión y el resultado de la última revisión (lastRun).
+ *     responses:
+ *       200:
+ *         description: Lista de suscripciones
+ */
+router.get('/', listSubscriptions);
+
+/**
+ * @swagger
+ * /api/subscriptions:
+ *   post:
+ *     summary: Crea una suscripción a un canal o playlist de YouTube
+ *     tags: [Subscriptions]
+ *     description: |
+ *       El planificador revisa la suscripción cada intervalMinutes, descarta los videos ya vistos,
+ *       ya procesados o en lista negra, y encola un trabajo 'process-video' con los nuevos.
+ *       Sin backfill, la primera revisión solo marca como vistos los videos existentes.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - url
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 description: URL del canal (ej. https://www.youtube.com/@canal/videos) o de la playlist
+ *               name:
+ *                 type: string
+ *                 description: Nombre descriptivo (por defecto la URL)
+ *               transcriptionSource:
+ *                 type: string
+ *                 enum: [WHISPER-OpenAI, WHISPER-LOCAL, YOUTUBE]
+ *                 default: YOUTUBE
+ *               thumbnail:
+ *                 type: object
+ *                 description: Configuración de la miniatura generada (si no se envía, no se genera)
+ *                 properties:
+ *                   model:
+ *                     type: string
+ *                     enum: [gpt-image-1.5]
+ *                   size:
+ *                     type: string
+ *                     enum: ['1536x1024']
+ *                   quality:
+ *                     type: string
+ *                     enum: [medium]
+ *                   saveImagePrompt:
+ *                     type: boolean
+ *               downloadOriginalThumbnail:
+ *                 type: boolean
+ *                 default: true
+ *               saveProcessingPrompt:
+ *                 type: boolean
+ *                 default: false
+ *               maxConcurrency:
+ *                 type: integer
+ *                 default: 3
+ *                 description: Videos procesados en paralelo por cada trabajo
+ *               intervalMinutes:
+ *                 type: integer
+ *                 description: Minutos entre revisiones (por defecto SUBSCRIPTIONS_DEFAULT_INTERVAL_MINUTES)
+ *               maxVideosPerRun:
+ *                 type: integer
+ *                 description: Máximo de videos nuevos encolados por revisión (por defecto SUBSCRIPTIONS_MAX_VIDEOS_PER_RUN)
+ *               backfill:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Procesar también los videos que ya existían al crear la suscripción
+ *     responses:
+ *       201:
+ *         description: Suscripción creada
+ *       400:
+ *         description: Parámetros inválidos
+ *       409:
+ *         description: Ya existe una suscripción para esa URL
+ */
+router.post('/', createSubscription);
+
+/**
+ * @swagger
+ * /api/subscriptions/{id}:
+ *   get:
+ *     summary: Obtiene una suscripción con su historial de revisiones
+ *     tags: [Subscriptions]
+ *     description: Cada revisión registra los videos encontrados, los nuevos encolados (con el jobId), los ya vistos o procesados, los de la lista negra y los postergados por maxVideosPerRun.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Suscripción encontrada
+ *       404:
+ *         description: Suscripción no encontrada
+ */
+router.get('/:id', getSubscription);
+
+/**
+ * @swagger
+ * /api/subscriptions/{id}/pause:
+ *   post:
+ *     summary: Pausa una suscripción
+ *     tags: [Subscriptions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Suscripción pausada
+ *       404:
+ *         description: Suscripción no encontrada
+ */
+router.post('/:id/pause', pauseSubscription);
+
+/**
+ * @swagger
+ * /api/subscriptions/{id}/resume:
+ *   post:
+ *     summary: Reanuda una suscripción pausada
+ *     tags: [Subscriptions]
+ *     description: La siguiente revisión se hace en el próximo ciclo del planificador.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Suscripción reanudada
+ *       404:
+ *         description: Suscripción no encontrada
+ */
+router.post('/:id/resume', resumeSubscription);
+
+/**
+ * @swagger
+ * /api/subscriptions/{id}/run:
+ *   post:
+ *     summary: Revisa una suscripción ahora
+ *     tags: [Subscriptions]
+ *     description: Ejecuta la revisión sin esperar al planificador y devuelve su resultado. También funciona con suscripciones pausadas.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Resultado de la revisión
+ *       404:
+ *         description: Suscripción no encontrada
+ *       409:
+ *         description: La suscripción ya se está revisando
+ */
+router.post('/:id/run', runSubscription);
+
+/**
+ * @swagger
+ * /api/subscriptions/{id}:
+ *   delete:
+ *     summary: Elimina una suscripción
+ *     tags: [Subscriptions]
+ *     description: El índice de videos vistos se conserva, por lo que volver a suscribirse a una playlist no reprocesa sus videos.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Suscripción eliminada
+ *       404:
+ *         description: Suscripción no encontrada
+ */
+router.delete('/:id', deleteSubscription);
+
+export default router;
@@ -0,0 +1,78 @@
+import express from 'express';
+import { listTasks, streamTasks } from '../controllers/taskController.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/tasks:
+ *   get:
+ *     summary: Lista las tareas en curso y las finalizadas recientemente
+ *     tags: [Tasks]
+ *     description: |
+ *       Cada tarea usa el esquema compartido: taskId, type, fileName, title, state
+ *       (running, completed, error, cancelled), status, percent, message, error,
+ *       startedAt, updatedAt, finishedAt y details (progreso propio del tipo de tarea).
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Tipos separados por coma (generation, short, upload, trim, download, compress, job, inbox)
+ *       - in: query
+ *         name: fileName
+ *         schema:
+ *           type: string
+ *         description: Filtrar por nombre de archivo
+ *       - in: query
+ *         name: taskId
+ *         schema:
+ *           type: string
+ *         description: Filtrar por ID de tarea
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: Solo tareas en curso
+ *     responses:
+ *       200:
+ *         description: Lista de tareas
+ */
+router.get('/', listTasks);
+
+/**
+ * @swagger
+ * /api/tasks/stream:
+ *   get:
+ *     summary: Stream SSE unificado del progreso de todas las tareas
+ *     tags: [Tasks]
+ *     description: |
+ *       Al conectarse envía el estado actual de las tareas que coinciden con los filtros
+ *       (incluidas las finalizadas recientemente) y luego cada actualización.
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Tipos separados por coma (generation, short, upload, trim, download, compress, job, inbox)
+ *       - in: query
+ *         name: fileName
+ *         schema:
+ *           type: string
+ *         description: Filtrar por nombre de archivo
+ *       - in: query
+ *         name: taskId
+ *         schema:
+ *           type: string
+ *         description: Filtrar por ID de tarea
+ *     responses:
+ *       200:
+ *         description: Stream de eventos SSE
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ */
+router.get('/stream', streamTasks);
+
+export default router;
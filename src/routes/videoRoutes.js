@@ -1,6 +1,6 @@
 import express from 'express';
 import multer from 'multer';
-import { processVideo, processPlaylist, generateThumbnail, processPlaylistForDownload, listVideos, serveOriginalThumbnail, serveGeneratedThumbnail, deleteCall, downloadOriginalThumbnail, blacklistCall, regenerateTitle, updateTitle, listVideosFromSource, checkBlacklist, checkProcessed, downloadVideoAudio, downloadVideoFromYouTube, transcribeAudioFile, downloadYouTubeTranscription, processAudioFile, getVideoThumbnailUrl, generateVideo, getVideoGenerationProgressSSE, getActiveVideoGenerations, uploadVideoToYouTube, getYouTubeUploadProgress, reuploadThumbnailToYouTube, getYouTubeAuthUrl, saveYouTubeAuthCode, youtubeAuthCallback, generateAudioWaveform, serveAudio, redownloadAudio, normalizeAudio, updateMetadata, getAudioDuration, trimAudio, mergeAudios, updateCallContent, getThumbnailPrompt, uploadThumbnail, uploadAudioFile, uploadTranscriptionFile, getYouTubeChannelInfo, logoutYouTube, getYouTubeUploadProgressSSE, getActiveYouTubeUploads, getAudioTrimProgressSSE, getActiveAudioTrims, cancelAudioTrimEndpoint, getAudioDownloadProgressSSE, getActiveAudioDownloads, compressAudio, getAudioCompressionProgressSSE, getActiveAudioCompressions, cancelAudioCompressionEndpoint, generateShortVideoEndpoint, getShortVideoProgressSSE, getActiveShortVideos } from '../controllers/videoController.js';
+import { processVideo, processPlaylist, generateThumbnail, processPlaylistForDownload, listVideos, serveOriginalThumbnail, serveGeneratedThumbnail, deleteCall, downloadOriginalThumbnail, blacklistCall, regenerateTitle, updateTitle, listVideosFromSource, checkBlacklist, checkProcessed, downloadVideoAudio, downloadVideoFromYouTube, transcribeAudioFile, downloadYouTubeTranscription, processAudioFile, getVideoThumbnailUrl, generateVideo, getVideoGenerationProgressSSE, getActiveVideoGenerations, uploadVideoToYouTube, getYouTubeUploadProgress, reuploadThumbnailToYouTube, syncYouTubeCaptions, getYouTubeAuthUrl, saveYouTubeAuthCode, youtubeAuthCallback, generateAudioWaveform, serveAudio, redownloadAudio, normalizeAudio, updateMetadata, getAudioDuration, trimAudio, mergeAudios, resplitCalls, getCallTranscript, updateCallTranscript, exportTranscripts, translateCall, listPIIReviews, scanCallPII, getCallPIIReview, applyCallPIIRedaction, updateCallContent, getThumbnailPrompt, uploadThumbnail, uploadAudioFile, uploadTranscriptionFile, getYouTubeChannelInfo, logoutYouTube, getYouTubeUploadProgressSSE, getActiveYouTubeUploads, getAudioTrimProgressSSE, getActiveAudioTrims, cancelAudioTrimEndpoint, getAudioDownloadProgressSSE, getActiveAudioDownloads, compressAudio, getAudioCompressionProgressSSE, getActiveAudioCompressions, cancelAudioCompressionEndpoint, generateShortVideoEndpoint, getShortVideoProgressSSE, getActiveShortVideos } from '../controllers/videoController.js';
 
 const router = express.Router();
 
@@ -127,23 +127,23 @@ const uploadImage = multer({
  *               quality: "medium"
  *               saveImagePrompt: false
  *     responses:
- *       200:
- *         description: Audio procesado exitosamente
+ *       202:
+ *         description: Trabajo encolado. El progreso y el resultado se consultan en /api/jobs/{jobId}
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 success:
- *                   type: boolean
- *                 videoId:
+ *                 jobId:
  *                   type: string
- *                 processed:
- *                   type: boolean
- *                 calls:
- *                   type: array
- *                   items:
- *                     type: object
+ *                 type:
+ *                   type: string
+ *                   example: "process-video"
+ *                 status:
+ *                   type: string
+ *                   example: "queued"
+ *                 totalVideos:
+ *                   type: integer
  *       400:
  *         description: Error en la solicitud (archivos faltantes o inválidos)
  *       500:
@@ -151,6 +151,64 @@ const uploadImage = multer({
  */
 router.post('/process', processVideo);
 
+/**
+ * @swagger
+ * /api/video/process-playlist:
+ *   post:
+ *     summary: Encola el procesamiento de una o más playlists de YouTube
+ *     tags: [Video]
+ *     description: |
+ *       Crea un trabajo 'process-playlist' en la cola persistente. Cada video guarda checkpoints
+ *       por etapa, por lo que un reinicio del servidor o un reintento continúa donde quedó.
+ *       Si se envía una única URL de video (sin playlist), se encola como 'process-video'.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               playlistUrls:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["https://www.youtube.com/playlist?list=PLxxxxxx"]
+ *               maxConcurrency:
+ *                 type: integer
+ *                 default: 3
+ *               limit:
+ *                 type: integer
+ *                 description: Cantidad máxima de videos sin procesar a tomar de cada playlist
+ *               sortOrder:
+ *                 type: string
+ *                 enum: [ASC, DESC]
+ *                 default: ASC
+ *               transcriptionSource:
+ *                 type: string
+ *                 enum: [WHISPER-OpenAI, WHISPER-LOCAL, YOUTUBE]
+ *                 default: YOUTUBE
+ *               usePlaylistIndex:
+ *                 type: boolean
+ *                 default: true
+ *               downloadOriginalThumbnail:
+ *                 type: boolean
+ *                 default: true
+ *               saveProcessingPrompt:
+ *                 type: boolean
+ *                 default: false
+ *               thumbnail:
+ *                 type: object
+ *                 nullable: true
+ *     responses:
+ *       202:
+ *         description: Trabajo encolado. El progreso y el resultado se consultan en /api/jobs/{jobId}
+ *       400:
+ *         description: Parámetros inválidos
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post('/process-playlist', processPlaylist);
+
 /**
  * @swagger
  * /api/video/check-blacklist:
@@ -173,7 +231,7 @@ router.post('/process', processVideo);
  *             videoId: "dQw4w9WgXcQ"
  *     responses:
  *       200:
- *         description: Verificación completada
+ *         description: Verificación completada (entry incluye el motivo, el autor y la fecha si está en la lista negra)
  *       400:
  *         description: Error en la solicitud
  *       500:
@@ -721,11 +779,112 @@ router.post('/generate-thumbnail', upload.single('metadata'), generateThumbnail)
  * @swagger
  * /api/video/list:
  *   get:
- *     summary: Lista todos los videos procesados con sus metadatos
+ *     summary: Lista los videos procesados con sus metadatos
  *     tags: [Video]
+ *     description: |
+ *       Filtra, ordena y pagina en el servidor usando el catálogo de llamadas. Sin parámetros devuelve todas
+ *       las llamadas ordenadas por grupo y fecha. Con `limit` la respuesta incluye `nextCursor`, que se envía
+ *       como `cursor` (con el mismo `sort` y `order`) para pedir la página siguiente. `facets` tiene los conteos
+ *       por tema, tags y estados de todas las llamadas que cumplen los filtros (no solo de la página).
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Texto buscado en título, resumen y tags (cada palabra como prefijo, sin distinguir acentos)
+ *       - in: query
+ *         name: theme
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *         description: Tags separados por coma (la llamada debe tenerlos todos)
+ *       - in: query
+ *         name: dateFrom
+ *         schema:
+ *           type: string
+ *           example: '2024-01-01'
+ *       - in: query
+ *         name: dateTo
+ *         schema:
+ *           type: string
+ *           example: '2024-12-31'
+ *       - in: query
+ *         name: pineconeUploaded
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: youtubeUploaded
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: isDuplicate
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: hasGeneratedThumbnail
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: hasVideo
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [group, date, title, theme, fileName]
+ *           default: group
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *         description: Por defecto desc para date y asc para el resto (se ignora con sort=group)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 500
+ *         description: Tamaño de página (sin limit se devuelven todas las llamadas)
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor de la página anterior
  *     responses:
  *       200:
  *         description: Lista de videos procesados
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 total:
+ *                   type: integer
+ *                   description: Llamadas que cumplen los filtros
+ *                 count:
+ *                   type: integer
+ *                   description: Llamadas en esta página
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                 facets:
+ *                   type: object
+ *                   description: themes y tags ([{value, count}]) y pineconeUploaded, youtubeUploaded, isDuplicate, hasGeneratedThumbnail, hasVideo ({true, false})
+ *                 videos:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       400:
+ *         description: Parámetros de filtro, ordenamiento o cursor inválidos
+ *       500:
+ *         description: Error al listar videos
  */
 router.get('/list', listVideos);
 
@@ -830,6 +989,18 @@ router.delete('/delete/:fileName', deleteCall);
  *         schema:
  *           type: string
  *         description: Nombre del archivo base (sin extensión) de la llamada
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Motivo (por defecto indica la llamada eliminada)
+ *               author:
+ *                 type: string
+ *                 description: Quién agrega el video a la lista negra
  *     responses:
  *       200:
  *         description: Video agregado a la lista negra y archivos eliminados exitosamente
@@ -1210,6 +1381,47 @@ router.get('/active-generations', getActiveVideoGenerations);
  *                 type: string
  *                 description: URL del video de YouTube
  *                 example: "https://www.youtube.com/watch?v=dQw4w9WgXcQ"
+ *               captionStyle:
+ *                 type: object
+ *                 description: Estilo de los subtítulos (opcional). Si la llamada tiene timestamps por palabra (.words.json) se generan subtítulos karaoke; si no, se aplica al SRT de YouTube
+ *                 properties:
+ *                   fontName:
+ *                     type: string
+ *                     example: "Arial"
+ *                   fontSize:
+ *                     type: number
+ *                     description: Tamaño en píxeles del video 1080x1920
+ *                     example: 72
+ *                   primaryColor:
+ *                     type: string
+ *                     example: "#FFFFFF"
+ *                   highlightColor:
+ *                     type: string
+ *                     description: Color de la palabra que se está diciendo (solo karaoke)
+ *                     example: "#FFD400"
+ *                   outlineColor:
+ *                     type: string
+ *                     example: "#000000"
+ *                   outlineWidth:
+ *                     type: number
+ *                     example: 4
+ *                   bold:
+ *                     type: boolean
+ *                     example: true
+ *                   uppercase:
+ *                     type: boolean
+ *                     example: false
+ *                   position:
+ *                     type: string
+ *                     enum: [top, middle, bottom]
+ *                     example: "middle"
+ *                   marginV:
+ *                     type: number
+ *                     example: 60
+ *                   maxWordsPerLine:
+ *                     type: integer
+ *                     description: Palabras por línea (solo karaoke)
+ *                     example: 5
  *     responses:
  *       200:
  *         description: Generación de short iniciada
@@ -1575,6 +1787,16 @@ router.post('/audio/cancel-compression', cancelAudioCompressionEndpoint);
  *                 type: string
  *                 description: Ruta del archivo JSON de metadata (opcional, se actualiza con información de YouTube si se proporciona)
  *                 example: "storage/calls/abc123.json"
+ *               uploadCaptions:
+ *                 type: boolean
+ *                 description: Publicar el .srt de la llamada (junto a metadataPath) como subtítulos (por defecto YOUTUBE_UPLOAD_CAPTIONS)
+ *               captionsLanguage:
+ *                 type: string
+ *                 description: Idioma de los subtítulos (por defecto YOUTUBE_UPLOAD_CAPTIONS_LANGUAGE)
+ *                 example: "es"
+ *               uploadTranslations:
+ *                 type: boolean
+ *                 description: Publicar las traducciones vigentes de la llamada como localizaciones y subtítulos (por defecto TRANSLATION_YOUTUBE_UPLOAD)
  *           example:
  *             videoPath: "storage/calls/abc123.mp4"
  *             title: "Mi Video"
@@ -1602,6 +1824,11 @@ router.post('/audio/cancel-compression', cancelAudioCompressionEndpoint);
  *                 title:
  *                   type: string
  *                   description: Título del video subido
+ *                 captionsUploaded:
+ *                   type: boolean
+ *                   description: Si se publicaron los subtítulos (un error al publicarlos no invalida la subida)
+ *                 captionsError:
+ *                   type: string
  *                 message:
  *                   type: string
  *       400:
@@ -1686,6 +1913,42 @@ router.get('/youtube/upload-progress', getYouTubeUploadProgress);
  */
 router.post('/reupload-thumbnail-to-youtube', reuploadThumbnailToYouTube);
 
+/**
+ * @swagger
+ * /api/video/youtube/captions:
+ *   post:
+ *     summary: Publica el .srt de una llamada como subtítulos de su video en YouTube
+ *     tags: [YouTube]
+ *     description: |
+ *       Reemplaza la pista publicada antes (mismo idioma) o crea una nueva. Sirve para reintentar las llamadas
+ *       marcadas con youtubeCaptionsNeedsSync (transcripción editada o glosario aplicado después de subir el video).
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - fileName
+ *             properties:
+ *               fileName:
+ *                 type: string
+ *                 description: Nombre base de la llamada
+ *               language:
+ *                 type: string
+ *                 description: Idioma de la pista (por defecto el de la pista ya publicada o YOUTUBE_UPLOAD_CAPTIONS_LANGUAGE); si es el de una traducción, publica <fileName>.<idioma>.srt
+ *     responses:
+ *       200:
+ *         description: Subtítulos publicados
+ *       400:
+ *         description: fileName faltante
+ *       404:
+ *         description: Llamada o transcripción no encontrada
+ *       409:
+ *         description: La llamada no tiene un video subido a YouTube
+ */
+router.post('/youtube/captions', syncYouTubeCaptions);
+
 /**
  * @swagger
  * /api/video/youtube/auth-url:
@@ -1920,6 +2183,429 @@ router.post('/audio/compress', compressAudio);
  */
 router.post('/merge', mergeAudios);
 
+/**
+ * @swagger
+ * /api/video/resplit:
+ *   post:
+ *     summary: Re-separa las llamadas de un episodio con rangos definidos manualmente
+ *     tags: [Video]
+ *     description: |
+ *       Corrige los bordes de las llamadas de un episodio sin volver a usar la IA. Recibe los nuevos rangos
+ *       `{start, end}` (segundos sobre el audio del episodio original), re-extrae el MP3 de cada llamada
+ *       (descargando de nuevo el audio del episodio si ya no está en temp) y reconstruye su SRT y sus
+ *       timestamps por palabra desde la transcripción guardada en `storage/temp/<videoId>.srt`.
+ *       Los metadatos existentes se conservan (se renombran si cambia el número de llamada); los rangos
+ *       sobrantes crean llamadas nuevas y las llamadas que ya no corresponden a ningún rango se eliminan.
+ *       Los audios se extraen primero en temp: si algo falla al reemplazar las llamadas se restauran las
+ *       anteriores y las sobrantes se eliminan solo al final. Las llamadas cuyo rango cambió quedan marcadas
+ *       con `summaryNeedsRegeneration`, `videoNeedsRegeneration` (si tienen video) y `pineconeNeedsReembed`.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - youtubeVideoId
+ *               - ranges
+ *             properties:
+ *               youtubeVideoId:
+ *                 type: string
+ *                 description: ID del video de YouTube del episodio
+ *               ranges:
+ *                 type: array
+ *                 description: Rangos de las llamadas (no pueden superponerse)
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     start:
+ *                       type: number
+ *                     end:
+ *                       type: number
+ *           example:
+ *             youtubeVideoId: "QrgeFgyEp8U"
+ *             ranges: [{ start: 12.5, end: 640 }, { start: 655, end: 1320.8 }]
+ *     responses:
+ *       200:
+ *         description: Llamadas re-separadas exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 youtubeVideoId:
+ *                   type: string
+ *                 calls:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       callNumber:
+ *                         type: integer
+ *                       fileName:
+ *                         type: string
+ *                       previousFileName:
+ *                         type: string
+ *                         nullable: true
+ *                       start:
+ *                         type: number
+ *                       end:
+ *                         type: number
+ *                       created:
+ *                         type: boolean
+ *                       changed:
+ *                         type: boolean
+ *                       summaryNeedsRegeneration:
+ *                         type: boolean
+ *                       videoNeedsRegeneration:
+ *                         type: boolean
+ *                       pineconeNeedsReembed:
+ *                         type: boolean
+ *                 removedCalls:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: youtubeVideoId faltante o rangos inválidos (superpuestos o fuera de la duración del episodio)
+ *       404:
+ *         description: No hay transcripción del episodio en temp o el video no tiene llamadas
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post('/resplit', resplitCalls);
+
+/**
+ * @swagger
+ * /api/video/transcripts/export:
+ *   get:
+ *     summary: "Exporta las transcripciones de la biblioteca en un ZIP"
+ *     tags: [Video]
+ *     description: |
+ *       Genera un único ZIP con la transcripción de cada llamada en el formato pedido (una carpeta por video)
+ *       y un manifest.json con las llamadas incluidas y las omitidas (sin transcripción). Acepta los filtros del catálogo.
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [srt, vtt, txt, json, docx, odt]
+ *           default: srt
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Texto en título, resumen o tags
+ *       - in: query
+ *         name: videoId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: theme
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *         description: Tags separados por coma
+ *       - in: query
+ *         name: dateFrom
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: dateTo
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Archivo ZIP
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Formato no soportado
+ *       404:
+ *         description: No hay llamadas que cumplan los filtros
+ */
+router.get('/transcripts/export', exportTranscripts);
+
+/**
+ * @swagger
+ * /api/video/transcript/{fileName}:
+ *   get:
+ *     summary: "Obtiene o exporta la transcripción de una llamada"
+ *     tags: [Video]
+ *     description: |
+ *       Sin format, devuelve los subtítulos del .srt de la llamada (índice, tiempos relativos al inicio de la llamada,
+ *       speaker y texto) y si el resumen, el embedding o el video generado quedaron desactualizados por una edición.
+ *       Con format, descarga la transcripción: srt, vtt (WebVTT con el speaker como voz), txt (un párrafo por turno con
+ *       el speaker), json (lista de segmentos) o docx/odt (documento con título, resumen y transcripción).
+ *     parameters:
+ *       - in: path
+ *         name: fileName
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Nombre base de la llamada (URL encoded)
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [srt, vtt, txt, json, docx, odt]
+ *       - in: query
+ *         name: language
+ *         schema:
+ *           type: string
+ *         description: Idioma de una traducción (<fileName>.<idioma>.srt, ver POST /api/video/translate/{fileName})
+ *     responses:
+ *       200:
+ *         description: Subtítulos de la llamada o archivo exportado
+ *       400:
+ *         description: Formato o idioma no soportado
+ *       404:
+ *         description: La llamada no existe o no tiene transcripción (o traducción al idioma indicado)
+ */
+router.get('/transcript/:fileName', getCallTranscript);
+
+/**
+ * @swagger
+ * /api/video/transcript/{fileName}:
+ *   put:
+ *     summary: "Edita subtítulos de la transcripción de una llamada"
+ *     tags: [Video]
+ *     description: |
+ *       Modifica el texto, los tiempos o el speaker de los subtítulos indicados y reescribe el .srt, el _min.txt
+ *       y los timestamps por palabra (los subtítulos editados pierden los suyos). El resumen queda marcado con
+ *       `summaryNeedsRegeneration`, el embedding con `pineconeNeedsReembed` (si la llamada está en Pinecone) y el
+ *       video generado con `videoNeedsRegeneration`. Con `regenerateSummary` y `reembed` se regeneran en la misma
+ *       solicitud; si fallan, la edición se guarda igual y el error se informa en `warnings`.
+ *     parameters:
+ *       - in: path
+ *         name: fileName
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Nombre base de la llamada (URL encoded)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - cues
+ *             properties:
+ *               cues:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - index
+ *                   properties:
+ *                     index:
+ *                       type: integer
+ *                       description: Número del subtítulo en el SRT (desde 1)
+ *                     text:
+ *                       type: string
+ *                     start:
+ *                       type: number
+ *                       description: Inicio en segundos (relativo a la llamada)
+ *                     end:
+ *                       type: number
+ *                       description: Fin en segundos (relativo a la llamada)
+ *                     speaker:
+ *                       type: string
+ *                       nullable: true
+ *               regenerateSummary:
+ *                 type: boolean
+ *                 default: false
+ *               reembed:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Volver a subir el embedding a Pinecone
+ *           example:
+ *             cues:
+ *               - index: 3
+ *                 text: "Buenas noches, Rumpy"
+ *               - index: 4
+ *                 start: 12.4
+ *                 end: 15.1
+ *             regenerateSummary: true
+ *     responses:
+ *       200:
+ *         description: Transcripción guardada
+ *       400:
+ *         description: cues faltante o edición inválida (índice inexistente, texto vacío, tiempos desordenados)
+ *       404:
+ *         description: La llamada no existe o no tiene transcripción
+ */
+router.put('/transcript/:fileName', updateCallTranscript);
+
+/**
+ * @swagger
+ * /api/video/translate/{fileName}:
+ *   post:
+ *     summary: "Traduce la transcripción, el título, la descripción y los tags de una llamada"
+ *     tags: [Video]
+ *     description: |
+ *       Cada idioma se guarda en <fileName>.<idioma>.srt (mismos tiempos y speakers) y en metadata.localizations
+ *       ({ title, description, shortDescription, tags }). Usa el proveedor de LLM configurado (tarea translation,
+ *       LLM_MODEL_TRANSLATION); con LLM_PROVIDER=fake devuelve traducciones de prueba. Al subir el video a YouTube,
+ *       las traducciones vigentes se publican como localizaciones y pistas de subtítulos. Editar la transcripción,
+ *       el título o los bordes de la llamada marca las traducciones con needsRegeneration.
+ *     parameters:
+ *       - in: path
+ *         name: fileName
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Nombre base de la llamada (URL encoded)
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               languages:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Códigos de idioma (por defecto TRANSLATION_LANGUAGES)
+ *           example:
+ *             languages: ["en", "pt-BR"]
+ *     responses:
+ *       200:
+ *         description: Idiomas traducidos (y errores de los que fallaron)
+ *       400:
+ *         description: Idioma inválido o sin idiomas
+ *       404:
+ *         description: La llamada no existe o no tiene transcripción
+ *       500:
+ *         description: No se pudo traducir a ningún idioma
+ */
+router.post('/translate/:fileName', translateCall);
+
+/**
+ * @swagger
+ * /api/video/pii:
+ *   get:
+ *     summary: "Lista las llamadas con datos personales pendientes de revisión"
+ *     tags: [Video]
+ *     responses:
+ *       200:
+ *         description: Llamadas con piiReviewPending y la cantidad de datos por estado
+ */
+router.get('/pii', listPIIReviews);
+
+/**
+ * @swagger
+ * /api/video/pii/{fileName}/scan:
+ *   post:
+ *     summary: "Busca datos personales del llamante en una llamada"
+ *     tags: [Video]
+ *     description: |
+ *       Busca teléfonos, correos, RUT, direcciones, apellidos y lugares de trabajo (PII_CATEGORIES) en la transcripción,
+ *       el resumen y las descripciones, con reglas, con el proveedor de LLM (tarea pii) o ambos (PII_DETECTOR).
+ *       El resultado se guarda en <fileName>.pii.json para revisarlo; los datos ya revisados conservan su estado.
+ *       Con PII_SCAN_ON_PROCESS las llamadas nuevas se escanean al procesarse.
+ *     parameters:
+ *       - in: path
+ *         name: fileName
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Nombre base de la llamada (URL encoded)
+ *     responses:
+ *       200:
+ *         description: Datos encontrados ({ id, field, category, text, start, end, context, status })
+ *       404:
+ *         description: La llamada no existe o no tiene transcripción
+ */
+router.post('/pii/:fileName/scan', scanCallPII);
+
+/**
+ * @swagger
+ * /api/video/pii/{fileName}:
+ *   get:
+ *     summary: "Obtiene la revisión de datos personales de una llamada"
+ *     tags: [Video]
+ *     parameters:
+ *       - in: path
+ *         name: fileName
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Nombre base de la llamada (URL encoded)
+ *     responses:
+ *       200:
+ *         description: Revisión
+ *       404:
+ *         description: La llamada no se escaneó
+ */
+router.get('/pii/:fileName', getCallPIIReview);
+
+/**
+ * @swagger
+ * /api/video/pii/{fileName}/apply:
+ *   post:
+ *     summary: "Aprueba o descarta los datos personales encontrados y censura los aprobados"
+ *     tags: [Video]
+ *     description: |
+ *       Los datos aprobados se reemplazan por PII_MASK en el .srt, el resumen y las descripciones, y sus rangos del audio
+ *       se tapan con un tono (bleep) o silencio (mute) con FFmpeg. El audio y el .srt originales quedan en
+ *       <fileName>_unredacted.mp3 y <fileName>_unredacted.srt; el audio censurado se genera siempre desde el respaldo.
+ *       Marca como desactualizados el embedding de Pinecone, el video generado, los subtítulos de YouTube y las traducciones.
+ *     parameters:
+ *       - in: path
+ *         name: fileName
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Nombre base de la llamada (URL encoded)
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               approve:
+ *                 oneOf:
+ *                   - type: array
+ *                     items:
+ *                       type: string
+ *                   - type: string
+ *                     enum: [all]
+ *                 description: IDs de los datos a censurar ('all' = todos los pendientes)
+ *               reject:
+ *                 oneOf:
+ *                   - type: array
+ *                     items:
+ *                       type: string
+ *                   - type: string
+ *                     enum: [all]
+ *                 description: IDs de los datos que no son personales ('all' = todos los pendientes)
+ *               mode:
+ *                 type: string
+ *                 enum: [bleep, mute]
+ *                 description: Censura del audio (por defecto PII_AUDIO_MODE)
+ *           example:
+ *             approve: ["3f2a9c1b7d4e"]
+ *             reject: "all"
+ *             mode: bleep
+ *     responses:
+ *       200:
+ *         description: Datos censurados y estado de la revisión
+ *       400:
+ *         description: mode inválido o ID inexistente
+ *       404:
+ *         description: La llamada no existe o no se escaneó
+ */
+router.post('/pii/:fileName/apply', applyCallPIIRedaction);
+
 /**
  * @swagger
  * /api/video/audio/{fileName}:
@@ -0,0 +1,13 @@
+import { rebuildCallCatalog } from '../services/callCatalogService.js';
+import config from '../config/config.js';
+
+// Reconstruye el catálogo SQLite de llamadas desde los JSON de callsPath (npm run catalog:rebuild)
+try {
+  console.log(`🗂️  Reconstruyendo catálogo ${config.catalog.dbPath} desde ${config.storage.callsPath}...`);
+  const stats = await rebuildCallCatalog();
+  console.log(`✅ Catálogo reconstruido: ${stats.indexed} llamadas indexadas, ${stats.invalid} inválidas`);
+  process.exit(0);
+} catch (error) {
+  console.error(`❌ Error al reconstruir el catálogo: ${error.message}`);
+  process.exit(1);
+}
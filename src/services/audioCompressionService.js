@@ -4,11 +4,8 @@ import { copyFile } from 'fs/promises';
 import { join } from 'path';
 import config from '../config/config.js';
 import { logInfo, logError, logWarn } from './loggerService.js';
+import { setTaskProgress, updateTaskProgress, getTaskProgress, getActiveTasks, registerTaskSSEConnection } from './taskProgressService.js';
 
-// Almacenar progreso de compresiones en memoria
-const compressionProgress = new Map();
-// Almacenar conexiones SSE activas
-const compressionSSEConnections = new Map();
 // Almacenar procesos activos para cancelación
 const activeCompressionProcesses = new Map();
 
@@ -18,12 +15,12 @@ const activeCompressionProcesses = new Map();
  * @param {string} fileName - Nombre del archivo
  */
 export function initializeCompressionProgress(compressionId, fileName) {
-  compressionProgress.set(compressionId, {
+  setTaskProgress('compress', compressionId, {
     fileName,
     percent: 0,
     status: 'compressing',
     startTimestamp: Date.now(),
-  });
+  }, { fileName });
 }
 
 /**
@@ -32,12 +29,7 @@ export function initializeCompressionProgress(compressionId, fileName) {
  * @param {object} progressData - Datos de progreso
  */
 export function updateCompressionProgress(compressionId, progressData) {
-  const current = compressionProgress.get(compressionId);
-  if (current) {
-    const updated = { ...current, ...progressData };
-    compressionProgress.set(compressionId, updated);
-    notifyCompressionSSEConnections(compressionId, updated);
-  }
+  updateTaskProgress('compress', compressionId, progressData);
 }
 
 /**
@@ -46,7 +38,7 @@ export function updateCompressionProgress(compressionId, progressData) {
  * @returns {object|null} Progreso de la compresión o null si no existe
  */
 export function getCompressionProgress(compressionId) {
-  return compressionProgress.get(compressionId) || null;
+  return getTaskProgress('compress', compressionId);
 }
 
 /**
@@ -55,51 +47,7 @@ export function getCompressionProgress(compressionId) {
  * @param {object} res - Response object de Express
  */
 export function registerCompressionSSEConnection(compressionId, res) {
-  if (!compressionSSEConnections.has(compressionId)) {
-    compressionSSEConnections.set(compressionId, []);
-  }
-  
-  const connections = compressionSSEConnections.get(compressionId);
-  connections.push(res);
-  
-  // Enviar estado inicial si existe
-  const progress = compressionProgress.get(compressionId);
-  if (progress) {
-    res.write(`data: ${JSON.stringify(progress)}\n\n`);
-  }
-  
-  // Limpiar conexión cuando se cierre
-  res.on('close', () => {
-    const conns = compressionSSEConnections.get(compressionId);
-    if (conns) {
-      const index = conns.indexOf(res);
-      if (index > -1) {
-        conns.splice(index, 1);
-      }
-      if (conns.length === 0) {
-        compressionSSEConnections.delete(compressionId);
-      }
-    }
-  });
-}
-
-/**
- * Notifica a todas las conexiones SSE sobre el progreso de una compresión
- * @param {string} compressionId - ID de la compresión
- * @param {object} progressData - Datos de progreso
- */
-export function notifyCompressionSSEConnections(compressionId, progressData) {
-  const connections = compressionSSEConnections.get(compressionId);
-  if (connections && connections.length > 0) {
-    const message = `data: ${JSON.stringify(progressData)}\n\n`;
-    connections.forEach((res) => {
-      try {
-        res.write(message);
-      } catch (error) {
-        // Ignorar errores de conexión cerrada
-      }
-    });
-  }
+  registerTaskSSEConnection('compress', compressionId, res);
 }
 
 /**
@@ -107,16 +55,10 @@ export function notifyCompressionSSEConnections(compressionId, progressData) {
  * @returns {Array} Array de objetos con información de compresiones activas
  */
 export function getActiveCompressions() {
-  const activeCompressions = [];
-  compressionProgress.forEach((progress, compressionId) => {
-    if (progress.status === 'compressing' || progress.status === 'processing') {
-      activeCompressions.push({
-        compressionId,
-        ...progress,
-      });
-    }
-  });
-  return activeCompressions;
+  return getActiveTasks('compress').map(({ taskId, progress }) => ({
+    compressionId: taskId,
+    ...progress,
+  }));
 }
 
 /**
@@ -131,16 +73,10 @@ export function cancelCompression(compressionId) {
       process.kill('SIGTERM');
       activeCompressionProcesses.delete(compressionId);
       
-      const progress = compressionProgress.get(compressionId);
-      if (progress) {
-        const cancelledProgress = {
-          ...progress,
-          status: 'cancelled',
-          percent: 0,
-        };
-        compressionProgress.set(compressionId, cancelledProgress);
-        notifyCompressionSSEConnections(compressionId, cancelledProgress);
-      }
+      updateCompressionProgress(compressionId, {
+        status: 'cancelled',
+        percent: 0,
+      });
       return true;
     } catch (error) {
       logError(`Error al cancelar compresión ${compressionId}: ${error.message}`);
@@ -0,0 +1,326 @@
+import { open, unlink, readFile, writeFile, stat } from 'fs/promises';
+import { join, basename } from 'path';
+import ffmpeg from 'fluent-ffmpeg';
+import config from '../config/config.js';
+import { logInfo } from './loggerService.js';
+import { PCM_SAMPLE_RATE } from '../utils/audioUtils.js';
+
+// Tramas de 100 ms para el nivel y la tasa de cruces por cero
+const FRAME_SECONDS = 0.1;
+const FRAME_SIZE = Math.round(PCM_SAMPLE_RATE * FRAME_SECONDS);
+// Cada segundo se clasifica con las tramas de los segundos vecinos (3 s en total)
+const CONTEXT_SECONDS = 1;
+// Segundos para suavizar la clasificación (mayoría en una ventana centrada)
+const SMOOTHING_SECONDS = 5;
+// Nivel mínimo de una trama (dBFS), para el silencio digital
+const MIN_DB = -100;
+
+/**
+ * Redondea a milisegundos
+ * @param {number} value - Segundos
+ * @returns {number}
+ */
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Decodifica el audio a PCM (16 kHz, mono, 16 bits) en temp y detecta sus silencios con silencedetect de FFmpeg
+ * @param {string} audioPath - Ruta del audio
+ * @returns {Promise<{pcmPath: string, silences: Array<{start: number, end: number}>, openSilenceStart: number|null}>} - openSilenceStart: silencio que llega al final del audio
+ */
+function decodeWithSilences(audioPath) {
+  const { silenceDb, minSilenceSeconds } = config.callSeparation.audio;
+  const pcmPath = join(config.storage.tempPath, `${basename(audioPath).replace(/\.[^.]+$/, '')}_cues_${Date.now()}.pcm`);
+  const silences = [];
+  let silenceStart = null;
+
+  return new Promise((resolve, reject) => {
+    ffmpeg(audioPath)
+      .noVideo()
+      .audioFilters(`silencedetect=noise=${silenceDb}dB:d=${minSilenceSeconds}`)
+      .audioChannels(1)
+      .audioFrequency(PCM_SAMPLE_RATE)
+      .format('s16le')
+      .output(pcmPath)
+      .on('stderr', (line) => {
+        const start = line.match(/silence_start:\s*(-?[\d.]+)/);
+        if (start) {
+          silenceStart = Math.max(0, parseFloat(start[1]));
+        }
+        const end = line.match(/silence_end:\s*([\d.]+)/);
+        if (end && silenceStart !== null) {
+          silences.push({ start: round(silenceStart), end: round(parseFloat(end[1])) });
+          silenceStart = null;
+        }
+      })
+      .on('end', () => {
+        // Un silencio que llega al final del audio no informa silence_end
+        resolve({ pcmPath, silences, openSilenceStart: silenceStart });
+      })
+      .on('error', (err) => reject(new Error(`Error al analizar el audio: ${err.message}`)))
+      .run();
+  });
+}
+
+/**
+ * Calcula el nivel (dBFS) y la tasa de cruces por cero de cada trama de 100 ms del PCM
+ * @param {string} pcmPath - Ruta del PCM
+ * @returns {Promise<Array<{rmsDb: number, zcr: number}>>}
+ */
+async function readFrameFeatures(pcmPath) {
+  const frames = [];
+  const chunkBytes = FRAME_SIZE * 2 * 600;
+  const buffer = Buffer.alloc(chunkBytes);
+  const fileHandle = await open(pcmPath, 'r');
+  try {
+    let position = 0;
+    for (;;) {
+      const { bytesRead } = await fileHandle.read(buffer, 0, chunkBytes, position);
+      if (bytesRead < FRAME_SIZE * 2) {
+        break;
+      }
+      position += bytesRead;
+
+      for (let offset = 0; offset + FRAME_SIZE * 2 <= bytesRead; offset += FRAME_SIZE * 2) {
+        let sumSquares = 0;
+        let crossings = 0;
+        let previous = 0;
+        for (let i = 0; i < FRAME_SIZE; i++) {
+          const sample = buffer.readInt16LE(offset + i * 2) / 32768;
+          sumSquares += sample * sample;
+          if (i > 0 && (sample >= 0) !== (previous >= 0)) {
+            crossings++;
+          }
+          previous = sample;
+        }
+        const meanSquare = sumSquares / FRAME_SIZE;
+        frames.push({
+          rmsDb: meanSquare > 0 ? Math.max(MIN_DB, 10 * Math.log10(meanSquare)) : MIN_DB,
+          zcr: crossings / FRAME_SIZE,
+        });
+      }
+    }
+  } finally {
+    await fileHandle.close();
+  }
+  return frames;
+}
+
+/**
+ * Clasifica un segundo de audio como voz o música a partir de sus tramas y las de los segundos vecinos
+ * La voz tiene pausas entre sílabas y palabras (muchas tramas bajo la mitad de la energía media) y alterna
+ * sonidos sonoros y sordos (la tasa de cruces por cero varía mucho); la música es continua
+ * @param {Array<{rmsDb: number, zcr: number}>} frames - Tramas del contexto
+ * @returns {'speech'|'music'}
+ */
+function classifyFrames(frames) {
+  const { musicLowEnergyRatio, musicZcrVariation } = config.callSeparation.audio;
+  const energies = frames.map(frame => 10 ** (frame.rmsDb / 10));
+  const meanEnergy = energies.reduce((total, energy) => total + energy, 0) / energies.length;
+  const lowEnergyRatio = energies.filter(energy => energy < meanEnergy / 2).length / energies.length;
+
+  const meanZcr = frames.reduce((total, frame) => total + frame.zcr, 0) / frames.length;
+  const zcrDeviation = Math.sqrt(frames.reduce((total, frame) => total + (frame.zcr - meanZcr) ** 2, 0) / frames.length);
+  const zcrVariation = meanZcr > 0 ? zcrDeviation / meanZcr : 0;
+
+  return lowEnergyRatio < musicLowEnergyRatio && zcrVariation < musicZcrVariation ? 'music' : 'speech';
+}
+
+/**
+ * Agrupa segundos consecutivos con la misma etiqueta en tramos
+ * @param {Array<string>} labels - Etiqueta de cada segundo
+ * @returns {Array<{type: string, start: number, end: number}>}
+ */
+function toRegions(labels) {
+  const regions = [];
+  labels.forEach((label, second) => {
+    const last = regions[regions.length - 1];
+    if (last && last.type === label) {
+      last.end = second + 1;
+    } else {
+      regions.push({ type: label, start: second, end: second + 1 });
+    }
+  });
+  return regions;
+}
+
+/**
+ * Propone los bordes de las llamadas a partir de las tramas de un audio y sus silencios:
+ * las canciones, cortinas y silencios largos separan llamadas y cada tramo de voz suficientemente largo es una llamada
+ * @param {Array<{rmsDb: number, zcr: number}>} frames - Tramas de 100 ms
+ * @param {Array<{start: number, end: number}>} silences - Silencios detectados (ya filtrados por duración mínima)
+ * @returns {{duration: number, cues: Array<{type: string, start: number, end: number}>, calls: Array<{start: number, end: number}>}}
+ */
+export function analyzeAudioFrames(frames, silences = []) {
+  const { minMusicSeconds, minCallSeconds } = config.callSeparation.audio;
+  const framesPerSecond = Math.round(1 / FRAME_SECONDS);
+  const duration = round(frames.length * FRAME_SECONDS);
+  const totalSeconds = Math.ceil(frames.length / framesPerSecond);
+
+  // 1. Etiqueta por segundo: silencio (FFmpeg), música o voz
+  const isSilent = (second) => silences.some(silence => second + 0.5 >= silence.start && second + 0.5 < silence.end);
+  const rawLabels = [];
+  for (let second = 0; second < totalSeconds; second++) {
+    if (isSilent(second)) {
+      rawLabels.push('silence');
+      continue;
+    }
+    const context = frames.slice(
+      Math.max(0, (second - CONTEXT_SECONDS) * framesPerSecond),
+      Math.min(frames.length, (second + 1 + CONTEXT_SECONDS) * framesPerSecond)
+    );
+    rawLabels.push(classifyFrames(context));
+  }
+
+  // 2. Suavizar voz/música (un segundo aislado no es una canción); los silencios de FFmpeg se mantienen
+  const half = Math.floor(SMOOTHING_SECONDS / 2);
+  const labels = rawLabels.map((label, second) => {
+    if (label === 'silence') {
+      return label;
+    }
+    const window = rawLabels.slice(Math.max(0, second - half), second + half + 1).filter(value => value !== 'silence');
+    const music = window.filter(value => value === 'music').length;
+    return music > window.length / 2 ? 'music' : 'speech';
+  });
+
+  // 3. Cortes: música larga y silencios (contiguos se unen); la música corta es voz con fondo musical
+  const cues = [];
+  for (const region of toRegions(labels)) {
+    const isCue = region.type === 'silence' || (region.type === 'music' && region.end - region.start >= minMusicSeconds);
+    if (!isCue) {
+      continue;
+    }
+    const last = cues[cues.length - 1];
+    if (last && last.end === region.start) {
+      last.end = region.end;
+      last.type = last.type === 'music' || region.type === 'music' ? 'music' : 'silence';
+    } else {
+      cues.push({ ...region });
+    }
+  }
+  cues.forEach(cue => {
+    cue.end = Math.min(cue.end, duration);
+  });
+
+  // 4. Llamadas: tramos de voz entre cortes
+  const calls = [];
+  let callStart = 0;
+  for (const cue of [...cues, { start: duration, end: duration }]) {
+    if (cue.start - callStart >= minCallSeconds) {
+      calls.push({ start: round(callStart), end: round(cue.start) });
+    }
+    callStart = cue.end;
+  }
+
+  return { duration, cues, calls };
+}
+
+/**
+ * Firma del análisis guardado: el mismo audio (tamaño y fecha) con la misma configuración
+ * @param {string} audioPath - Ruta del audio
+ * @returns {Promise<object>}
+ */
+async function buildAnalysisSignature(audioPath) {
+  const { size, mtimeMs } = await stat(audioPath);
+  return { audioSize: size, audioModified: mtimeMs, settings: JSON.stringify(config.callSeparation.audio) };
+}
+
+/**
+ * Analiza un audio y propone los bordes de sus llamadas sin LLM (canciones, cortinas y silencios)
+ * El análisis se guarda en storage/temp (<audio>.audio-cues.json): decodificar el episodio es lo más lento,
+ * así que re-separar el mismo audio con la misma configuración no lo vuelve a decodificar
+ * @param {string} audioPath - Ruta del audio del episodio
+ * @returns {Promise<{duration: number, cues: Array<{type: string, start: number, end: number}>, calls: Array<{start: number, end: number}>}>}
+ */
+export async function analyzeAudioCues(audioPath) {
+  const cachePath = join(config.storage.tempPath, `${basename(audioPath).replace(/\.[^.]+$/, '')}.audio-cues.json`);
+  const signature = await buildAnalysisSignature(audioPath);
+  try {
+    const cached = JSON.parse(await readFile(cachePath, 'utf-8'));
+    if (Object.keys(signature).every(key => cached.signature && cached.signature[key] === signature[key])) {
+      return cached.analysis;
+    }
+  } catch (error) {
+    // Sin análisis guardado o ilegible: se analiza de nuevo
+  }
+
+  const startTime = Date.now();
+  const { pcmPath, silences, openSilenceStart } = await decodeWithSilences(audioPath);
+  try {
+    const frames = await readFrameFeatures(pcmPath);
+    if (openSilenceStart !== null) {
+      silences.push({ start: round(openSilenceStart), end: round(frames.length * FRAME_SECONDS) });
+    }
+    const analysis = analyzeAudioFrames(frames, silences);
+    const music = analysis.cues.filter(cue => cue.type === 'music').length;
+    await logInfo(`Análisis de audio de ${basename(audioPath)} (${((Date.now() - startTime) / 1000).toFixed(1)}s): ${music} tramo(s) de música, ${analysis.cues.length - music} silencio(s), ${analysis.calls.length} llamada(s) propuesta(s)`);
+    await writeFile(cachePath, JSON.stringify({ signature, analysis }), 'utf-8');
+    return analysis;
+  } finally {
+    await unlink(pcmPath).catch(() => {});
+  }
+}
+
+/**
+ * Compara los bordes de las llamadas del LLM con los del audio y marca las diferencias
+ * Cada llamada recibe audioCheck ({ agrees, nearestStart, nearestEnd, startOffset, endOffset, issues })
+ * @param {Array<{start: number, end: number}>} calls - Llamadas del LLM (en segundos)
+ * @param {object} analysis - Resultado de analyzeAudioCues
+ * @returns {{calls: Array<object>, disagreements: number, missedCalls: Array<{start: number, end: number}>}}
+ */
+export function crossCheckCalls(calls, analysis) {
+  const { toleranceSeconds } = config.callSeparation.audio;
+  // Una llamada empieza donde termina un corte y termina donde empieza el siguiente
+  const starts = [0, ...analysis.cues.map(cue => cue.end)];
+  const ends = [...analysis.cues.map(cue => cue.start), analysis.duration];
+  const music = analysis.cues.filter(cue => cue.type === 'music');
+  const nearest = (value, candidates) => candidates.reduce((best, candidate) => (Math.abs(candidate - value) < Math.abs(best - value) ? candidate : best));
+  const insideMusic = (time) => music.find(cue => time > cue.start + toleranceSeconds && time < cue.end - toleranceSeconds);
+  const describe = (cue) => `${cue.start}s-${cue.end}s`;
+
+  const checked = calls.map(call => {
+    if (typeof call.start !== 'number' || typeof call.end !== 'number') {
+      return call;
+    }
+    const issues = [];
+    const nearestStart = nearest(call.start, starts);
+    const nearestEnd = nearest(call.end, ends);
+    const startOffset = round(call.start - nearestStart);
+    const endOffset = round(call.end - nearestEnd);
+
+    const startMusic = insideMusic(call.start);
+    const endMusic = insideMusic(call.end);
+    if (startMusic) {
+      issues.push(`El inicio cae dentro de música (${describe(startMusic)})`);
+    } else if (Math.abs(startOffset) > toleranceSeconds) {
+      issues.push(`El inicio está a ${Math.abs(startOffset)}s del borde de audio más cercano (${nearestStart}s)`);
+    }
+    if (endMusic) {
+      issues.push(`El fin cae dentro de música (${describe(endMusic)})`);
+    } else if (Math.abs(endOffset) > toleranceSeconds) {
+      issues.push(`El fin está a ${Math.abs(endOffset)}s del borde de audio más cercano (${nearestEnd}s)`);
+    }
+    const inner = music.filter(cue => cue.start > call.start + toleranceSeconds && cue.end < call.end - toleranceSeconds);
+    if (inner.length > 0) {
+      issues.push(`Contiene ${inner.length} tramo(s) de música (${inner.map(describe).join(', ')}): puede ser más de una llamada`);
+    }
+
+    return {
+      ...call,
+      audioCheck: { agrees: issues.length === 0, nearestStart, nearestEnd, startOffset, endOffset, issues },
+    };
+  });
+
+  // Tramos de voz del audio que ninguna llamada del LLM cubre en al menos la mitad
+  const missedCalls = analysis.calls.filter(audioCall => !calls.some(call => {
+    const overlap = Math.min(call.end, audioCall.end) - Math.max(call.start, audioCall.start);
+    return overlap >= (audioCall.end - audioCall.start) / 2;
+  }));
+
+  return {
+    calls: checked,
+    disagreements: checked.filter(call => call.audioCheck && !call.audioCheck.agrees).length,
+    missedCalls,
+  };
+}
@@ -4,11 +4,7 @@ import { join } from 'path';
 import config from '../config/config.js';
 import { downloadAudio as youtubeDownloadAudio } from './youtubeService.js';
 import { logInfo, logError } from './loggerService.js';
-
-// Almacenar progreso de descargas en memoria
-const downloadProgress = new Map();
-// Almacenar conexiones SSE activas
-const downloadSSEConnections = new Map();
+import { setTaskProgress, updateTaskProgress, getTaskProgress, getActiveTasks, registerTaskSSEConnection } from './taskProgressService.js';
 
 /**
  * Inicializa el progreso de una descarga
@@ -17,13 +13,13 @@ const downloadSSEConnections = new Map();
  * @param {string} fileName - Nombre del archivo destino
  */
 export function initializeDownloadProgress(downloadId, youtubeUrl, fileName) {
-  downloadProgress.set(downloadId, {
+  setTaskProgress('download', downloadId, {
     youtubeUrl,
     fileName,
     percent: 0,
     status: 'downloading',
     startTimestamp: Date.now(),
-  });
+  }, { fileName });
 }
 
 /**
@@ -32,12 +28,7 @@ export function initializeDownloadProgress(downloadId, youtubeUrl, fileName) {
  * @param {object} progressData - Datos de progreso
  */
 export function updateDownloadProgress(downloadId, progressData) {
-  const current = downloadProgress.get(downloadId);
-  if (current) {
-    const updated = { ...current, ...progressData };
-    downloadProgress.set(downloadId, updated);
-    notifyDownloadSSEConnections(downloadId, updated);
-  }
+  updateTaskProgress('download', downloadId, progressData);
 }
 
 /**
@@ -46,7 +37,7 @@ export function updateDownloadProgress(downloadId, progressData) {
  * @returns {object|null} Progreso de la descarga o null si no existe
  */
 export function getDownloadProgress(downloadId) {
-  return downloadProgress.get(downloadId) || null;
+  return getTaskProgress('download', downloadId);
 }
 
 /**
@@ -55,51 +46,7 @@ export function getDownloadProgress(downloadId) {
  * @param {object} res - Response object de Express
  */
 export function registerDownloadSSEConnection(downloadId, res) {
-  if (!downloadSSEConnections.has(downloadId)) {
-    downloadSSEConnections.set(downloadId, []);
-  }
-  
-  const connections = downloadSSEConnections.get(downloadId);
-  connections.push(res);
-  
-  // Enviar estado inicial si existe
-  const progress = downloadProgress.get(downloadId);
-  if (progress) {
-    res.write(`data: ${JSON.stringify(progress)}\n\n`);
-  }
-  
-  // Limpiar conexión cuando se cierre
-  res.on('close', () => {
-    const conns = downloadSSEConnections.get(downloadId);
-    if (conns) {
-      const index = conns.indexOf(res);
-      if (index > -1) {
-        conns.splice(index, 1);
-      }
-      if (conns.length === 0) {
-        downloadSSEConnections.delete(downloadId);
-      }
-    }
-  });
-}
-
-/**
- * Notifica a todas las conexiones SSE sobre el progreso de una descarga
- * @param {string} downloadId - ID de la descarga
- * @param {object} progressData - Datos de progreso
- */
-export function notifyDownloadSSEConnections(downloadId, progressData) {
-  const connections = downloadSSEConnections.get(downloadId);
-  if (connections && connections.length > 0) {
-    const message = `data: ${JSON.stringify(progressData)}\n\n`;
-    connections.forEach((res) => {
-      try {
-        res.write(message);
-      } catch (error) {
-        // Ignorar errores de conexión cerrada
-      }
-    });
-  }
+  registerTaskSSEConnection('download', downloadId, res);
 }
 
 /**
@@ -107,16 +54,10 @@ export function notifyDownloadSSEConnections(downloadId, progressData) {
  * @returns {Array} Array de objetos con información de descargas activas
  */
 export function getActiveDownloads() {
-  const activeDownloads = [];
-  downloadProgress.forEach((progress, downloadId) => {
-    if (progress.status === 'downloading' || progress.status === 'processing') {
-      activeDownloads.push({
-        downloadId,
-        ...progress,
-      });
-    }
-  });
-  return activeDownloads;
+  return getActiveTasks('download').map(({ taskId, progress }) => ({
+    downloadId: taskId,
+    ...progress,
+  }));
 }
 
 /**
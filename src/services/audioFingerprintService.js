@@ -0,0 +1,607 @@
+import { readFile, writeFile, rename, unlink, open } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join } from 'path';
+import config from '../config/config.js';
+import { logInfo, logError } from './loggerService.js';
+import { convertToPCM, PCM_SAMPLE_RATE } from '../utils/audioUtils.js';
+import { findCallsByVideoId, isVideoProcessed } from './videoIndexService.js';
+
+// La huella se calcula a 8 kHz (el PCM de convertToPCM se reduce a la mitad promediando pares de muestras)
+const SAMPLE_RATE = PCM_SAMPLE_RATE / 2;
+// Cuadros de 128 ms con salto de 64 ms: una subhuella de 32 bits por salto
+const FRAME_SIZE = 1024;
+const HOP_SIZE = 512;
+export const FRAME_SECONDS = HOP_SIZE / SAMPLE_RATE;
+// 33 bandas logarítmicas entre 300 y 2000 Hz (los 32 bits comparan bandas vecinas entre cuadros consecutivos)
+const BAND_COUNT = 33;
+const MIN_FREQUENCY = 300;
+const MAX_FREQUENCY = 2000;
+// Cuadros por debajo de este RMS se consideran silencio (subhuella 0, no se comparan)
+const SILENCE_RMS = 0.001;
+// Cuadros por ventana de verificación (~4 s)
+const WINDOW_FRAMES = 64;
+// Subhuellas que se repiten más que esto en un episodio no sirven para alinear
+const MAX_KEY_OCCURRENCES = 20;
+// Coincidencias mínimas de un desfase para verificarlo y desfases verificados por episodio
+const MIN_OFFSET_VOTES = 8;
+const MAX_CANDIDATE_OFFSETS = 5;
+// Tramos guardados por coincidencia
+const MAX_SEGMENTS = 50;
+
+const INDEX_FILE = join(config.storage.fingerprintsPath, 'index.json');
+
+// Índice de huellas en memoria (se carga del archivo la primera vez que se usa)
+const fingerprints = new Map();
+let loadPromise = null;
+// Cadena de escrituras del índice
+let persistChain = Promise.resolve();
+
+/**
+ * Crea un error con código HTTP para que el controlador lo responda tal cual
+ * @param {string} message - Mensaje del error
+ * @param {number} status - Código HTTP
+ * @returns {Error}
+ */
+function createStatusError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Ruta del archivo binario con las subhuellas de un episodio
+ * @param {string} videoId - ID del video
+ * @returns {string}
+ */
+function getFingerprintPath(videoId) {
+  return join(config.storage.fingerprintsPath, `${videoId}.fp`);
+}
+
+/**
+ * Carga el índice de huellas (una sola vez)
+ * @returns {Promise<void>}
+ */
+function ensureLoaded() {
+  if (!loadPromise) {
+    loadPromise = (async () => {
+      try {
+        if (!existsSync(INDEX_FILE)) {
+          return;
+        }
+        const content = await readFile(INDEX_FILE, 'utf-8');
+        const data = JSON.parse(content);
+        if (Array.isArray(data)) {
+          data.filter(entry => entry && entry.videoId)
+            .forEach(entry => fingerprints.set(entry.videoId, entry));
+        }
+      } catch (error) {
+        await logError(`Error al leer el índice de huellas acústicas: ${error.message}`);
+      }
+    })();
+  }
+  return loadPromise;
+}
+
+/**
+ * Guarda el índice de huellas (escritura atómica: archivo temporal + rename)
+ * @returns {Promise<void>}
+ */
+function persistIndex() {
+  persistChain = persistChain.then(async () => {
+    const tempPath = `${INDEX_FILE}.part`;
+    try {
+      const data = Array.from(fingerprints.values());
+      await writeFile(tempPath, JSON.stringify(data, null, 2), 'utf-8');
+      await rename(tempPath, INDEX_FILE);
+    } catch (error) {
+      await logError(`Error al guardar el índice de huellas acústicas: ${error.message}`);
+    }
+  });
+  return persistChain;
+}
+
+/**
+ * Crea una FFT radix-2 in-place para un tamaño fijo
+ * @param {number} size - Tamaño (potencia de 2)
+ * @returns {Function} - (re: Float64Array, im: Float64Array) => void
+ */
+function createFFT(size) {
+  const levels = Math.log2(size);
+  const reverse = new Uint32Array(size);
+  for (let i = 0; i < size; i++) {
+    let reversed = 0;
+    for (let bit = 0; bit < levels; bit++) {
+      reversed = (reversed << 1) | ((i >>> bit) & 1);
+    }
+    reverse[i] = reversed;
+  }
+
+  const cos = new Float64Array(size / 2);
+  const sin = new Float64Array(size / 2);
+  for (let i = 0; i < size / 2; i++) {
+    cos[i] = Math.cos((2 * Math.PI * i) / size);
+    sin[i] = Math.sin((2 * Math.PI * i) / size);
+  }
+
+  return (re, im) => {
+    for (let i = 0; i < size; i++) {
+      const j = reverse[i];
+      if (j > i) {
+        [re[i], re[j]] = [re[j], re[i]];
+        [im[i], im[j]] = [im[j], im[i]];
+      }
+    }
+    for (let length = 2; length <= size; length <<= 1) {
+      const half = length >> 1;
+      const step = size / length;
+      for (let start = 0; start < size; start += length) {
+        for (let k = 0; k < half; k++) {
+          const a = start + k;
+          const b = a + half;
+          const tableIndex = k * step;
+          const tre = re[b] * cos[tableIndex] + im[b] * sin[tableIndex];
+          const tim = im[b] * cos[tableIndex] - re[b] * sin[tableIndex];
+          re[b] = re[a] - tre;
+          im[b] = im[a] - tim;
+          re[a] += tre;
+          im[a] += tim;
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Calcula los bins de FFT de cada banda
+ * @returns {Array<[number, number]>} - [binInicial, binFinal) por banda
+ */
+function getBandBins() {
+  const ratio = MAX_FREQUENCY / MIN_FREQUENCY;
+  const bins = [];
+  for (let band = 0; band < BAND_COUNT; band++) {
+    const startFrequency = MIN_FREQUENCY * ratio ** (band / BAND_COUNT);
+    const endFrequency = MIN_FREQUENCY * ratio ** ((band + 1) / BAND_COUNT);
+    const startBin = Math.round((startFrequency * FRAME_SIZE) / SAMPLE_RATE);
+    const endBin = Math.max(startBin + 1, Math.round((endFrequency * FRAME_SIZE) / SAMPLE_RATE));
+    bins.push([startBin, endBin]);
+  }
+  return bins;
+}
+
+/**
+ * Calcula la huella acústica de un audio
+ * Cada subhuella (32 bits, una cada 64 ms) codifica si la diferencia de energía entre bandas vecinas
+ * crece o decrece respecto del cuadro anterior, lo que resiste recompresiones y cambios de volumen
+ * @param {string} audioPath - Ruta del audio
+ * @returns {Promise<Uint32Array>} - Subhuellas (0 = silencio)
+ */
+export async function computeAudioFingerprint(audioPath) {
+  const pcmPath = await convertToPCM(audioPath, 'fingerprint');
+  const fft = createFFT(FRAME_SIZE);
+  const bandBins = getBandBins();
+
+  const hann = new Float64Array(FRAME_SIZE);
+  for (let i = 0; i < FRAME_SIZE; i++) {
+    hann[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (FRAME_SIZE - 1));
+  }
+
+  const re = new Float64Array(FRAME_SIZE);
+  const im = new Float64Array(FRAME_SIZE);
+  const energies = new Float64Array(BAND_COUNT);
+  let previousEnergies = null;
+  const values = [];
+
+  const chunkBytes = 1 << 20;
+  const buffer = Buffer.alloc(chunkBytes);
+  const samples = new Float32Array(FRAME_SIZE + chunkBytes / 4);
+  let sampleCount = 0;
+
+  const fileHandle = await open(pcmPath, 'r');
+  try {
+    let position = 0;
+    for (;;) {
+      const { bytesRead } = await fileHandle.read(buffer, 0, chunkBytes, position);
+      if (bytesRead < 4) {
+        break;
+      }
+      position += bytesRead;
+
+      // 16 kHz -> 8 kHz promediando pares de muestras
+      for (let offset = 0; offset + 3 < bytesRead; offset += 4) {
+        samples[sampleCount++] = (buffer.readInt16LE(offset) + buffer.readInt16LE(offset + 2)) / 65536;
+      }
+
+      let frameStart = 0;
+      while (sampleCount - frameStart >= FRAME_SIZE) {
+        let sumSquares = 0;
+        for (let i = 0; i < FRAME_SIZE; i++) {
+          const sample = samples[frameStart + i];
+          sumSquares += sample * sample;
+          re[i] = sample * hann[i];
+          im[i] = 0;
+        }
+
+        if (Math.sqrt(sumSquares / FRAME_SIZE) < SILENCE_RMS) {
+          values.push(0);
+          previousEnergies = null;
+        } else {
+          fft(re, im);
+          for (let band = 0; band < BAND_COUNT; band++) {
+            const [startBin, endBin] = bandBins[band];
+            let energy = 0;
+            for (let bin = startBin; bin < endBin; bin++) {
+              energy += re[bin] * re[bin] + im[bin] * im[bin];
+            }
+            energies[band] = energy;
+          }
+
+          let value = 0;
+          if (previousEnergies) {
+            for (let bit = 0; bit < BAND_COUNT - 1; bit++) {
+              const difference = (energies[bit] - energies[bit + 1]) - (previousEnergies[bit] - previousEnergies[bit + 1]);
+              if (difference > 0) {
+                value |= (1 << bit);
+              }
+            }
+          }
+          values.push(value >>> 0);
+          previousEnergies = Float64Array.from(energies);
+        }
+
+        frameStart += HOP_SIZE;
+      }
+
+      // Conservar las muestras que todavía no completan un cuadro
+      samples.copyWithin(0, frameStart, sampleCount);
+      sampleCount -= frameStart;
+    }
+  } finally {
+    await fileHandle.close();
+    await unlink(pcmPath).catch(() => {});
+  }
+
+  return Uint32Array.from(values);
+}
+
+/**
+ * Cuenta los bits en 1 de un entero de 32 bits
+ * @param {number} value - Entero
+ * @returns {number}
+ */
+function popcount(value) {
+  let v = value - ((value >>> 1) & 0x55555555);
+  v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+  return (((v + (v >>> 4)) & 0x0F0F0F0F) * 0x01010101) >>> 24;
+}
+
+/**
+ * Tasa de bits distintos de una ventana de la consulta alineada con la referencia
+ * @returns {number|null} - null si la ventana es mayormente silencio o queda fuera de la referencia
+ */
+function windowBitErrorRate(query, reference, start, end, offset) {
+  let valid = 0;
+  let errors = 0;
+  for (let i = start; i < end; i++) {
+    const j = i + offset;
+    if (j < 0 || j >= reference.length || query[i] === 0 || reference[j] === 0) {
+      continue;
+    }
+    valid++;
+    errors += popcount((query[i] ^ reference[j]) >>> 0);
+  }
+  if (valid < (end - start) / 2) {
+    return null;
+  }
+  return errors / (valid * 32);
+}
+
+/**
+ * Compara dos huellas y devuelve los tramos en común
+ * Alinea por votación de desfases entre subhuellas idénticas y verifica cada desfase candidato
+ * por ventanas (~4 s) con la tasa de bits distintos
+ * @param {Uint32Array} query - Huella del episodio nuevo
+ * @param {Uint32Array} reference - Huella de un episodio del índice
+ * @returns {{coverage: number, referenceCoverage: number, matchedSeconds: number, segments: Array<object>}}
+ */
+export function compareFingerprints(query, reference) {
+  const positions = new Map();
+  for (let i = 0; i < query.length; i++) {
+    const key = query[i];
+    if (key === 0) {
+      continue;
+    }
+    let list = positions.get(key);
+    if (!list) {
+      list = [];
+      positions.set(key, list);
+    }
+    if (list.length <= MAX_KEY_OCCURRENCES) {
+      list.push(i);
+    }
+  }
+
+  const votes = new Map();
+  for (let j = 0; j < reference.length; j++) {
+    const list = reference[j] === 0 ? null : positions.get(reference[j]);
+    if (!list || list.length > MAX_KEY_OCCURRENCES) {
+      continue;
+    }
+    for (const i of list) {
+      const offset = j - i;
+      votes.set(offset, (votes.get(offset) || 0) + 1);
+    }
+  }
+
+  const offsets = [];
+  const candidates = Array.from(votes.entries())
+    .filter(([, count]) => count >= MIN_OFFSET_VOTES)
+    .sort((a, b) => b[1] - a[1]);
+  for (const [offset] of candidates) {
+    if (offsets.length >= MAX_CANDIDATE_OFFSETS) {
+      break;
+    }
+    if (!offsets.some(existing => Math.abs(existing - offset) <= 2)) {
+      offsets.push(offset);
+    }
+  }
+
+  const windowCount = Math.ceil(query.length / WINDOW_FRAMES);
+  const queryMatched = new Uint8Array(windowCount);
+  const referenceMatched = new Uint8Array(reference.length);
+  const segments = [];
+
+  for (const offset of offsets) {
+    let current = null;
+    for (let window = 0; window < windowCount; window++) {
+      const start = window * WINDOW_FRAMES;
+      const end = Math.min(start + WINDOW_FRAMES, query.length);
+      const bitErrorRate = windowBitErrorRate(query, reference, start, end, offset);
+
+      if (bitErrorRate === null || bitErrorRate > config.fingerprint.maxBitErrorRate) {
+        current = null;
+        continue;
+      }
+
+      queryMatched[window] = 1;
+      referenceMatched.fill(1, Math.max(0, start + offset), Math.min(reference.length, end + offset));
+      if (current) {
+        current.queryEnd = end;
+      } else {
+        current = { queryStart: start, queryEnd: end, offset };
+        segments.push(current);
+      }
+    }
+  }
+
+  let matchedFrames = 0;
+  for (let window = 0; window < windowCount; window++) {
+    if (queryMatched[window]) {
+      matchedFrames += Math.min(WINDOW_FRAMES, query.length - window * WINDOW_FRAMES);
+    }
+  }
+  const referenceMatchedFrames = referenceMatched.reduce((total, value) => total + value, 0);
+
+  const toSeconds = frames => Math.round(frames * FRAME_SECONDS * 10) / 10;
+  return {
+    coverage: query.length > 0 ? matchedFrames / query.length : 0,
+    referenceCoverage: reference.length > 0 ? referenceMatchedFrames / reference.length : 0,
+    matchedSeconds: toSeconds(matchedFrames),
+    segments: segments
+      .sort((a, b) => a.queryStart - b.queryStart)
+      .slice(0, MAX_SEGMENTS)
+      .map(segment => ({
+        start: toSeconds(segment.queryStart),
+        end: toSeconds(segment.queryEnd),
+        referenceStart: toSeconds(segment.queryStart + segment.offset),
+        referenceEnd: toSeconds(segment.queryEnd + segment.offset),
+      })),
+  };
+}
+
+/**
+ * Clasifica una coincidencia según los umbrales de config.fingerprint
+ * @param {object} comparison - Resultado de compareFingerprints
+ * @returns {'exact'|'partial'|'overlap'|null}
+ */
+function classifyMatch(comparison) {
+  const { exactMinCoverage, partialMinCoverage, minOverlapSeconds } = config.fingerprint;
+  if (comparison.coverage >= exactMinCoverage && comparison.referenceCoverage >= exactMinCoverage) {
+    return 'exact';
+  }
+  if (comparison.coverage >= partialMinCoverage) {
+    return 'partial';
+  }
+  if (comparison.matchedSeconds >= minOverlapSeconds) {
+    return 'overlap';
+  }
+  return null;
+}
+
+/**
+ * Lee la huella guardada de un episodio
+ * @param {string} videoId - ID del video
+ * @returns {Promise<Uint32Array|null>}
+ */
+async function loadFingerprint(videoId) {
+  const fingerprintPath = getFingerprintPath(videoId);
+  if (!existsSync(fingerprintPath)) {
+    return null;
+  }
+  const data = await readFile(fingerprintPath);
+  return new Uint32Array(data.buffer, data.byteOffset, Math.floor(data.length / 4));
+}
+
+/**
+ * Obtiene la entrada del índice de huellas de un episodio
+ * @param {string} videoId - ID del video
+ * @returns {Promise<object|null>}
+ */
+export async function getFingerprintEntry(videoId) {
+  await ensureLoaded();
+  return fingerprints.get(videoId) || null;
+}
+
+/**
+ * Acción configurada para un tipo de re-subida
+ * @param {'exact'|'partial'} type - Tipo de coincidencia
+ * @returns {'link'|'skip'|'process'}
+ */
+function getDuplicateAction(type) {
+  return type === 'exact' ? config.fingerprint.exactAction : config.fingerprint.partialAction;
+}
+
+/**
+ * Calcula la huella de un episodio recién descargado, la guarda en el índice y la compara
+ * con los episodios ya indexados
+ * Si el episodio es una re-subida exacta o parcial de un episodio ya procesado (y la acción
+ * configurada no es 'process'), devuelve el episodio original para omitir la transcripción y la IA
+ * @param {string} videoId - ID del video
+ * @param {string} audioPath - Ruta del audio descargado
+ * @param {object} details - Datos opcionales ({ title })
+ * @returns {Promise<object|null>} - duplicateOf ({ videoId, type, action, coverage, ... }) o null
+ */
+export async function checkAudioReupload(videoId, audioPath, { title = null } = {}) {
+  await ensureLoaded();
+
+  const query = await computeAudioFingerprint(audioPath);
+  await writeFile(getFingerprintPath(videoId), Buffer.from(query.buffer, query.byteOffset, query.byteLength));
+
+  const matches = [];
+  for (const entry of fingerprints.values()) {
+    if (entry.videoId === videoId || (entry.duplicateOf && !entry.allowDuplicate)) {
+      continue;
+    }
+    const reference = await loadFingerprint(entry.videoId);
+    if (!reference) {
+      continue;
+    }
+    const comparison = compareFingerprints(query, reference);
+    const type = classifyMatch(comparison);
+    if (type) {
+      matches.push({ videoId: entry.videoId, title: entry.title, type, ...comparison });
+    }
+  }
+  matches.sort((a, b) => b.coverage - a.coverage);
+
+  // Solo se omite el procesamiento si el original tiene llamadas (si falló, el nuevo se procesa normalmente)
+  let duplicateOf = null;
+  for (const match of matches.filter(item => item.type !== 'overlap')) {
+    const action = getDuplicateAction(match.type);
+    if (action !== 'process' && await isVideoProcessed(match.videoId)) {
+      const { segments, ...summary } = match;
+      duplicateOf = { ...summary, action };
+      break;
+    }
+  }
+
+  const previous = fingerprints.get(videoId);
+  fingerprints.set(videoId, {
+    videoId,
+    title: title || previous?.title || null,
+    durationSeconds: Math.round(query.length * FRAME_SECONDS),
+    frames: query.length,
+    createdAt: previous?.createdAt || new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    duplicateOf: previous?.allowDuplicate ? null : duplicateOf,
+    allowDuplicate: Boolean(previous?.allowDuplicate),
+    matches,
+  });
+  await persistIndex();
+
+  if (matches.length > 0) {
+    await logInfo(`Huella acústica de ${videoId}: ${matches.length} coincidencia(s) (${matches.map(match => `${match.videoId} ${match.type} ${(match.coverage * 100).toFixed(0)}%`).join(', ')})`);
+  }
+
+  return previous?.allowDuplicate ? null : duplicateOf;
+}
+
+/**
+ * Agrega el videoId de una re-subida a los metadatos de las llamadas del episodio original
+ * @param {string} originalVideoId - ID del episodio original
+ * @param {string} videoId - ID de la re-subida
+ * @returns {Promise<Array<object>>} - Llamadas del episodio original
+ */
+export async function linkReupload(originalVideoId, videoId) {
+  const calls = await findCallsByVideoId(originalVideoId);
+  for (const call of calls) {
+    try {
+      const metadata = JSON.parse(await readFile(call.metadataFile, 'utf-8'));
+      const reuploadVideoIds = Array.isArray(metadata.reuploadVideoIds) ? metadata.reuploadVideoIds : [];
+      if (!reuploadVideoIds.includes(videoId)) {
+        metadata.reuploadVideoIds = [...reuploadVideoIds, videoId];
+        await writeFile(call.metadataFile, JSON.stringify(metadata, null, 2), 'utf-8');
+      }
+    } catch (error) {
+      await logError(`No se pudo vincular la re-subida ${videoId} en ${call.metadataFile}: ${error.message}`);
+    }
+  }
+  return calls;
+}
+
+/**
+ * Permite procesar un episodio marcado como re-subida (por ejemplo, ante un falso positivo)
+ * @param {string} videoId - ID del video
+ * @returns {Promise<object>} - Entrada actualizada
+ */
+export async function allowDuplicate(videoId) {
+  await ensureLoaded();
+
+  const entry = fingerprints.get(videoId);
+  if (!entry) {
+    throw createStatusError('El video no tiene huella acústica', 404);
+  }
+  entry.allowDuplicate = true;
+  entry.duplicateOf = null;
+  entry.updatedAt = new Date().toISOString();
+  await persistIndex();
+  return entry;
+}
+
+/**
+ * Lista los episodios con huella acústica (sin el detalle de los tramos)
+ * @returns {Promise<Array<object>>}
+ */
+export async function listFingerprints() {
+  await ensureLoaded();
+
+  return Array.from(fingerprints.values())
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(({ matches, ...entry }) => ({ ...entry, matchCount: matches.length }));
+}
+
+/**
+ * Lista los pares de episodios que comparten audio
+ * @param {object} filters - Filtros opcionales
+ * @param {string} filters.videoId - Solo los pares que incluyen este video
+ * @param {string} filters.type - exact, partial u overlap
+ * @returns {Promise<Array<object>>}
+ */
+export async function listOverlaps(filters = {}) {
+  await ensureLoaded();
+
+  const overlaps = [];
+  for (const entry of fingerprints.values()) {
+    for (const match of entry.matches || []) {
+      if (filters.videoId && entry.videoId !== filters.videoId && match.videoId !== filters.videoId) {
+        continue;
+      }
+      if (filters.type && match.type !== filters.type) {
+        continue;
+      }
+      overlaps.push({
+        videoId: entry.videoId,
+        title: entry.title,
+        duplicateOf: entry.duplicateOf ? entry.duplicateOf.videoId : null,
+        overlapsWith: match.videoId,
+        overlapsWithTitle: match.title,
+        type: match.type,
+        coverage: match.coverage,
+        referenceCoverage: match.referenceCoverage,
+        matchedSeconds: match.matchedSeconds,
+        segments: match.segments,
+        detectedAt: entry.updatedAt,
+      });
+    }
+  }
+  return overlaps.sort((a, b) => b.coverage - a.coverage);
+}
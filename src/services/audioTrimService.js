@@ -4,11 +4,8 @@ import { copyFile } from 'fs/promises';
 import { join } from 'path';
 import config from '../config/config.js';
 import { logInfo, logError, logWarn } from './loggerService.js';
+import { setTaskProgress, updateTaskProgress, getTaskProgress, getActiveTasks, registerTaskSSEConnection } from './taskProgressService.js';
 
-// Almacenar progreso de recortes en memoria
-const trimProgress = new Map();
-// Almacenar conexiones SSE activas
-const trimSSEConnections = new Map();
 // Almacenar procesos activos para cancelación
 const activeTrimProcesses = new Map();
 
@@ -20,14 +17,14 @@ const activeTrimProcesses = new Map();
  * @param {number} endTime - Tiempo de fin
  */
 export function initializeTrimProgress(trimId, fileName, startTime, endTime) {
-  trimProgress.set(trimId, {
+  setTaskProgress('trim', trimId, {
     fileName,
     startTime,
     endTime,
     percent: 0,
     status: 'trimming',
     startTimestamp: Date.now(),
-  });
+  }, { fileName });
 }
 
 /**
@@ -36,12 +33,7 @@ export function initializeTrimProgress(trimId, fileName, startTime, endTime) {
  * @param {object} progressData - Datos de progreso
  */
 export function updateTrimProgress(trimId, progressData) {
-  const current = trimProgress.get(trimId);
-  if (current) {
-    const updated = { ...current, ...progressData };
-    trimProgress.set(trimId, updated);
-    notifyTrimSSEConnections(trimId, updated);
-  }
+  updateTaskProgress('trim', trimId, progressData);
 }
 
 /**
@@ -50,7 +42,7 @@ export function updateTrimProgress(trimId, progressData) {
  * @returns {object|null} Progreso del recorte o null si no existe
  */
 export function getTrimProgress(trimId) {
-  return trimProgress.get(trimId) || null;
+  return getTaskProgress('trim', trimId);
 }
 
 /**
@@ -59,51 +51,7 @@ export function getTrimProgress(trimId) {
  * @param {object} res - Response object de Express
  */
 export function registerTrimSSEConnection(trimId, res) {
-  if (!trimSSEConnections.has(trimId)) {
-    trimSSEConnections.set(trimId, []);
-  }
-  
-  const connections = trimSSEConnections.get(trimId);
-  connections.push(res);
-  
-  // Enviar estado inicial si existe
-  const progress = trimProgress.get(trimId);
-  if (progress) {
-    res.write(`data: ${JSON.stringify(progress)}\n\n`);
-  }
-  
-  // Limpiar conexión cuando se cierre
-  res.on('close', () => {
-    const conns = trimSSEConnections.get(trimId);
-    if (conns) {
-      const index = conns.indexOf(res);
-      if (index > -1) {
-        conns.splice(index, 1);
-      }
-      if (conns.length === 0) {
-        trimSSEConnections.delete(trimId);
-      }
-    }
-  });
-}
-
-/**
- * Notifica a todas las conexiones SSE sobre el progreso de un recorte
- * @param {string} trimId - ID del recorte
- * @param {object} progressData - Datos de progreso
- */
-export function notifyTrimSSEConnections(trimId, progressData) {
-  const connections = trimSSEConnections.get(trimId);
-  if (connections && connections.length > 0) {
-    const message = `data: ${JSON.stringify(progressData)}\n\n`;
-    connections.forEach((res) => {
-      try {
-        res.write(message);
-      } catch (error) {
-        // Ignorar errores de conexión cerrada
-      }
-    });
-  }
+  registerTaskSSEConnection('trim', trimId, res);
 }
 
 /**
@@ -111,16 +59,10 @@ export function notifyTrimSSEConnections(trimId, progressData) {
  * @returns {Array} Array de objetos con información de recortes activos
  */
 export function getActiveTrims() {
-  const activeTrims = [];
-  trimProgress.forEach((progress, trimId) => {
-    if (progress.status === 'trimming' || progress.status === 'processing') {
-      activeTrims.push({
-        trimId,
-        ...progress,
-      });
-    }
-  });
-  return activeTrims;
+  return getActiveTasks('trim').map(({ taskId, progress }) => ({
+    trimId: taskId,
+    ...progress,
+  }));
 }
 
 /**
@@ -135,16 +77,10 @@ export function cancelTrim(trimId) {
       process.kill('SIGTERM');
       activeTrimProcesses.delete(trimId);
       
-      const progress = trimProgress.get(trimId);
-      if (progress) {
-        const cancelledProgress = {
-          ...progress,
-          status: 'cancelled',
-          percent: 0,
-        };
-        trimProgress.set(trimId, cancelledProgress);
-        notifyTrimSSEConnections(trimId, cancelledProgress);
-      }
+      updateTrimProgress(trimId, {
+        status: 'cancelled',
+        percent: 0,
+      });
       return true;
     } catch (error) {
       logError(`Error al cancelar recorte ${trimId}: ${error.message}`);
@@ -1,11 +1,27 @@
 import { readFile, writeFile, mkdir } from 'fs/promises';
 import { existsSync } from 'fs';
 import { join } from 'path';
+import { v4 as uuidv4 } from 'uuid';
 import config from '../config/config.js';
 
 // Ruta del archivo de lista negra
 const BLACKLIST_FILE = join(config.storage.basePath || 'storage', 'blacklist.json');
 
+// Cadena de modificaciones del archivo (evita que dos escrituras se pisen)
+let updateChain = Promise.resolve();
+
+/**
+ * Crea un error con código HTTP para que el controlador lo responda tal cual
+ * @param {string} message - Mensaje del error
+ * @param {number} status - Código HTTP
+ * @returns {Error}
+ */
+function createStatusError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
 /**
  * Asegura que el directorio existe
  */
@@ -16,108 +32,418 @@ async function ensureDirectory() {
   }
 }
 
+/**
+ * Normaliza una entrada de video (las versiones anteriores guardaban solo el videoId)
+ * @param {string|object} entry - Entrada leída del archivo
+ * @returns {object|null} - { videoId, reason, author, createdAt, updatedAt }
+ */
+function normalizeVideoEntry(entry) {
+  if (typeof entry === 'string') {
+    return { videoId: entry, reason: null, author: null, createdAt: null, updatedAt: null };
+  }
+  if (entry && entry.videoId) {
+    return {
+      videoId: entry.videoId,
+      reason: entry.reason || null,
+      author: entry.author || null,
+      createdAt: entry.createdAt || null,
+      updatedAt: entry.updatedAt || null,
+    };
+  }
+  return null;
+}
+
 /**
  * Lee la lista negra desde el archivo
- * @returns {Promise<Array<string>>} - Array de videoIds en la lista negra
+ * El archivo puede ser el formato anterior (array de videoIds) o { videos, rules }
+ * @returns {Promise<{videos: Array<object>, rules: Array<object>}>} - Videos y reglas de la lista negra
  */
 export async function getBlacklist() {
   try {
     await ensureDirectory();
-    
+
     if (!existsSync(BLACKLIST_FILE)) {
-      // Si el archivo no existe, crear uno vacío
-      await writeFile(BLACKLIST_FILE, JSON.stringify([], null, 2), 'utf-8');
-      return [];
+      return { videos: [], rules: [] };
     }
-    
+
     const content = await readFile(BLACKLIST_FILE, 'utf-8');
-    const blacklist = JSON.parse(content);
-    
-    // Validar que sea un array
-    if (!Array.isArray(blacklist)) {
-      // Si no es un array, crear uno nuevo
-      await writeFile(BLACKLIST_FILE, JSON.stringify([], null, 2), 'utf-8');
-      return [];
-    }
-    
-    return blacklist;
+    const data = JSON.parse(content);
+
+    const videos = Array.isArray(data) ? data : (Array.isArray(data?.videos) ? data.videos : []);
+    const rules = Array.isArray(data?.rules) ? data.rules : [];
+
+    return {
+      videos: videos.map(normalizeVideoEntry).filter(Boolean),
+      rules,
+    };
   } catch (error) {
-    // Si hay error al leer, retornar array vacío
+    // Si hay error al leer, retornar lista vacía
     console.warn(`Error al leer lista negra: ${error.message}`);
-    return [];
+    return { videos: [], rules: [] };
   }
 }
 
+/**
+ * Modifica la lista negra de forma serializada y la guarda
+ * @param {Function} mutator - Recibe { videos, rules } y los modifica; su valor de retorno se devuelve
+ * @returns {Promise<*>}
+ */
+function updateBlacklist(mutator) {
+  const run = updateChain.then(async () => {
+    const blacklist = await getBlacklist();
+    const result = await mutator(blacklist);
+    await writeFile(BLACKLIST_FILE, JSON.stringify(blacklist, null, 2), 'utf-8');
+    return result;
+  });
+  updateChain = run.catch(() => {});
+  return run;
+}
+
 /**
  * Verifica si un videoId está en la lista negra
  * @param {string} videoId - ID del video de YouTube
  * @returns {Promise<boolean>} - true si está en la lista negra, false si no
  */
 export async function isVideoBlacklisted(videoId) {
+  return Boolean(await getBlacklistEntry(videoId));
+}
+
+/**
+ * Obtiene la entrada de un video en la lista negra
+ * @param {string} videoId - ID del video de YouTube
+ * @returns {Promise<object|null>} - { videoId, reason, author, createdAt, updatedAt } o null
+ */
+export async function getBlacklistEntry(videoId) {
   if (!videoId) {
-    return false;
+    return null;
   }
-  
-  const blacklist = await getBlacklist();
-  return blacklist.includes(videoId);
+
+  const { videos } = await getBlacklist();
+  return videos.find(entry => entry.videoId === videoId) || null;
 }
 
 /**
  * Agrega un videoId a la lista negra
  * @param {string} videoId - ID del video de YouTube
- * @returns {Promise<void>}
+ * @param {object} details - Datos opcionales de la entrada
+ * @param {string} details.reason - Motivo
+ * @param {string} details.author - Quién lo agregó
+ * @returns {Promise<object>} - Entrada (la existente si el video ya estaba en la lista)
  */
-export async function addToBlacklist(videoId) {
+export async function addToBlacklist(videoId, { reason = null, author = null } = {}) {
   if (!videoId) {
     throw new Error('videoId es requerido');
   }
-  
-  await ensureDirectory();
-  
-  const blacklist = await getBlacklist();
-  
-  // Si ya está en la lista, no hacer nada
-  if (blacklist.includes(videoId)) {
-    return;
-  }
-  
-  // Agregar a la lista
-  blacklist.push(videoId);
-  
-  // Guardar en el archivo
-  await writeFile(BLACKLIST_FILE, JSON.stringify(blacklist, null, 2), 'utf-8');
+
+  return updateBlacklist(({ videos }) => {
+    // Si ya está en la lista, no hacer nada
+    const existing = videos.find(entry => entry.videoId === videoId);
+    if (existing) {
+      return existing;
+    }
+
+    const now = new Date().toISOString();
+    const entry = { videoId, reason, author, createdAt: now, updatedAt: now };
+    videos.push(entry);
+    return entry;
+  });
+}
+
+/**
+ * Edita el motivo o el autor de un video de la lista negra
+ * @param {string} videoId - ID del video de YouTube
+ * @param {object} changes - Campos a modificar (reason, author)
+ * @returns {Promise<object>} - Entrada actualizada
+ */
+export async function updateBlacklistEntry(videoId, changes) {
+  return updateBlacklist(({ videos }) => {
+    const entry = videos.find(item => item.videoId === videoId);
+    if (!entry) {
+      throw createStatusError('El video no está en la lista negra', 404);
+    }
+
+    if (changes.reason !== undefined) {
+      entry.reason = changes.reason;
+    }
+    if (changes.author !== undefined) {
+      entry.author = changes.author;
+    }
+    entry.updatedAt = new Date().toISOString();
+    return entry;
+  });
 }
 
 /**
  * Elimina un videoId de la lista negra
  * @param {string} videoId - ID del video de YouTube
- * @returns {Promise<void>}
+ * @returns {Promise<boolean>} - true si estaba en la lista
  */
 export async function removeFromBlacklist(videoId) {
   if (!videoId) {
     throw new Error('videoId es requerido');
   }
-  
-  await ensureDirectory();
-  
-  const blacklist = await getBlacklist();
-  
-  // Filtrar el videoId de la lista
-  const filteredBlacklist = blacklist.filter(id => id !== videoId);
-  
-  // Si no cambió, no hacer nada
-  if (filteredBlacklist.length === blacklist.length) {
-    return;
-  }
-  
-  // Guardar en el archivo
-  await writeFile(BLACKLIST_FILE, JSON.stringify(filteredBlacklist, null, 2), 'utf-8');
+
+  return updateBlacklist((blacklist) => {
+    const before = blacklist.videos.length;
+    blacklist.videos = blacklist.videos.filter(entry => entry.videoId !== videoId);
+    return blacklist.videos.length !== before;
+  });
 }
 
 /**
- * Obtiene toda la lista negra
- * @returns {Promise<Array<string>>} - Array completo de videoIds en la lista negra
+ * Obtiene todos los videos de la lista negra
+ * @returns {Promise<Array<object>>} - Entradas de la lista negra
  */
 export async function getAllBlacklistedVideos() {
-  return await getBlacklist();
+  const { videos } = await getBlacklist();
+  return videos;
+}
+
+/**
+ * Convierte una fecha (YYYYMMDD de yt-dlp, YYYY-MM-DD o ISO) a YYYYMMDD
+ * @param {string} value - Fecha
+ * @returns {string|null}
+ */
+function toCompactDate(value) {
+  if (!value) {
+    return null;
+  }
+  const digits = String(value).replace(/-/g, '').slice(0, 8);
+  return /^\d{8}$/.test(digits) ? digits : null;
+}
+
+/**
+ * Valida y normaliza las condiciones de una regla
+ * @param {object} match - Condiciones recibidas
+ * @returns {object} - Condiciones normalizadas
+ */
+function normalizeRuleMatch(match) {
+  if (!match || typeof match !== 'object') {
+    throw createStatusError('match es requerido (titlePattern, channel, minDuration, maxDuration, uploadedAfter o uploadedBefore)', 400);
+  }
+
+  const normalized = {};
+
+  if (match.titlePattern !== undefined && match.titlePattern !== null && match.titlePattern !== '') {
+    try {
+      new RegExp(String(match.titlePattern), 'i');
+    } catch (error) {
+      throw createStatusError(`titlePattern no es una expresión regular válida: ${error.message}`, 400);
+    }
+    normalized.titlePattern = String(match.titlePattern);
+  }
+
+  if (match.channel !== undefined && match.channel !== null && String(match.channel).trim() !== '') {
+    normalized.channel = String(match.channel).trim();
+  }
+
+  for (const key of ['minDuration', 'maxDuration']) {
+    if (match[key] !== undefined && match[key] !== null) {
+      const seconds = Number(match[key]);
+      if (!Number.isFinite(seconds) || seconds < 0) {
+        throw createStatusError(`${key} debe ser una cantidad de segundos mayor o igual a 0`, 400);
+      }
+      normalized[key] = seconds;
+    }
+  }
+  if (normalized.minDuration !== undefined && normalized.maxDuration !== undefined && normalized.minDuration > normalized.maxDuration) {
+    throw createStatusError('minDuration no puede ser mayor que maxDuration', 400);
+  }
+
+  for (const key of ['uploadedAfter', 'uploadedBefore']) {
+    if (match[key] !== undefined && match[key] !== null && match[key] !== '') {
+      if (!toCompactDate(match[key])) {
+        throw createStatusError(`${key} debe ser una fecha YYYY-MM-DD`, 400);
+      }
+      normalized[key] = String(match[key]).slice(0, 10);
+    }
+  }
+
+  if (Object.keys(normalized).length === 0) {
+    throw createStatusError('La regla debe tener al menos una condición (titlePattern, channel, minDuration, maxDuration, uploadedAfter o uploadedBefore)', 400);
+  }
+
+  return normalized;
+}
+
+/**
+ * Lista las reglas de la lista negra
+ * @returns {Promise<Array<object>>}
+ */
+export async function listBlacklistRules() {
+  const { rules } = await getBlacklist();
+  return rules;
+}
+
+/**
+ * Crea una regla de la lista negra
+ * @param {object} input - Datos de la regla
+ * @param {string} input.name - Nombre descriptivo
+ * @param {string} input.reason - Motivo (se informa en los videos omitidos)
+ * @param {string} input.author - Quién creó la regla
+ * @param {boolean} input.enabled - Si la regla se evalúa (por defecto true)
+ * @param {object} input.match - Condiciones (todas deben cumplirse)
+ * @returns {Promise<object>} - Regla creada
+ */
+export async function createBlacklistRule({ name = null, reason = null, author = null, enabled = true, match }) {
+  const normalizedMatch = normalizeRuleMatch(match);
+
+  return updateBlacklist(({ rules }) => {
+    const now = new Date().toISOString();
+    const rule = {
+      id: uuidv4(),
+      name,
+      reason,
+      author,
+      enabled: Boolean(enabled),
+      match: normalizedMatch,
+      createdAt: now,
+      updatedAt: now,
+    };
+    rules.push(rule);
+    return rule;
+  });
+}
+
+/**
+ * Edita una regla de la lista negra
+ * @param {string} ruleId - ID de la regla
+ * @param {object} changes - Campos a modificar (name, reason, author, enabled, match)
+ * @returns {Promise<object>} - Regla actualizada
+ */
+export async function updateBlacklistRule(ruleId, changes) {
+  const normalizedMatch = changes.match !== undefined ? normalizeRuleMatch(changes.match) : undefined;
+
+  return updateBlacklist(({ rules }) => {
+    const rule = rules.find(item => item.id === ruleId);
+    if (!rule) {
+      throw createStatusError('Regla no encontrada', 404);
+    }
+
+    ['name', 'reason', 'author'].forEach((key) => {
+      if (changes[key] !== undefined) {
+        rule[key] = changes[key];
+      }
+    });
+    if (changes.enabled !== undefined) {
+      rule.enabled = Boolean(changes.enabled);
+    }
+    if (normalizedMatch) {
+      rule.match = normalizedMatch;
+    }
+    rule.updatedAt = new Date().toISOString();
+    return rule;
+  });
+}
+
+/**
+ * Elimina una regla de la lista negra
+ * @param {string} ruleId - ID de la regla
+ * @returns {Promise<void>}
+ */
+export async function deleteBlacklistRule(ruleId) {
+  return updateBlacklist((blacklist) => {
+    const before = blacklist.rules.length;
+    blacklist.rules = blacklist.rules.filter(rule => rule.id !== ruleId);
+    if (blacklist.rules.length === before) {
+      throw createStatusError('Regla no encontrada', 404);
+    }
+  });
+}
+
+/**
+ * Evalúa si un video cumple todas las condiciones de una regla
+ * Una condición sobre un dato que el video no trae (duración, canal o fecha) no se cumple,
+ * para no omitir videos por falta de información
+ * @param {object} rule - Regla
+ * @param {object} video - Video ({ title, channel, channelId, duration, uploadDate })
+ * @returns {boolean}
+ */
+function ruleMatchesVideo(rule, video) {
+  const { match } = rule;
+
+  if (match.titlePattern !== undefined && !new RegExp(match.titlePattern, 'i').test(video.title || '')) {
+    return false;
+  }
+
+  if (match.channel !== undefined) {
+    const expected = match.channel.toLowerCase();
+    const candidates = [video.channel, video.channelId].filter(Boolean).map(value => String(value).toLowerCase());
+    if (!candidates.includes(expected)) {
+      return false;
+    }
+  }
+
+  if (match.minDuration !== undefined || match.maxDuration !== undefined) {
+    const duration = Number(video.duration);
+    if (!Number.isFinite(duration) || duration <= 0) {
+      return false;
+    }
+    if (match.minDuration !== undefined && duration < match.minDuration) {
+      return false;
+    }
+    if (match.maxDuration !== undefined && duration > match.maxDuration) {
+      return false;
+    }
+  }
+
+  if (match.uploadedAfter !== undefined || match.uploadedBefore !== undefined) {
+    const uploadDate = toCompactDate(video.uploadDate);
+    if (!uploadDate) {
+      return false;
+    }
+    if (match.uploadedAfter !== undefined && uploadDate < toCompactDate(match.uploadedAfter)) {
+      return false;
+    }
+    if (match.uploadedBefore !== undefined && uploadDate > toCompactDate(match.uploadedBefore)) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Busca por qué un video está en la lista negra: por su ID o por una regla
+ * @param {object} video - Video ({ id, title, channel, channelId, duration, uploadDate }); solo id es obligatorio
+ * @returns {Promise<object|null>} - { type: 'video'|'rule', ... } o null si no está en la lista negra
+ */
+export async function getBlacklistMatch(video) {
+  if (!video || !video.id) {
+    return null;
+  }
+
+  const { videos, rules } = await getBlacklist();
+
+  const entry = videos.find(item => item.videoId === video.id);
+  if (entry) {
+    return { type: 'video', ...entry };
+  }
+
+  const rule = rules.find(item => item.enabled !== false && item.match && ruleMatchesVideo(item, video));
+  if (rule) {
+    return {
+      type: 'rule',
+      ruleId: rule.id,
+      ruleName: rule.name,
+      reason: rule.reason,
+      author: rule.author,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Arma el campo skipReason de un video omitido por la lista negra
+ * @param {object} match - Resultado de getBlacklistMatch
+ * @returns {object} - { code, message, blacklist }
+ */
+export function buildBlacklistSkipReason(match) {
+  const origin = match.type === 'rule' ? `regla "${match.ruleName || match.ruleId}"` : 'video en lista negra';
+  return {
+    code: 'blacklisted',
+    message: match.reason ? `Lista negra (${origin}): ${match.reason}` : `Lista negra (${origin})`,
+    blacklist: match,
+  };
 }
@@ -0,0 +1,776 @@
+import Database from 'better-sqlite3';
+import { readdir, readFile, stat } from 'fs/promises';
+import { existsSync, mkdirSync, watch } from 'fs';
+import { join, dirname } from 'path';
+import config from '../config/config.js';
+import { logInfo, logWarn, logError } from './loggerService.js';
+
+// Versión del esquema (si cambia, la base se reconstruye desde los JSON)
+const SCHEMA_VERSION = 2;
+
+// Milisegundos que se agrupan los eventos del watcher antes de actualizar el catálogo
+const WATCH_DEBOUNCE_MS = 200;
+
+// Cantidad máxima de tags en los conteos por faceta
+const FACET_TAGS_LIMIT = 50;
+
+// Sufijos de los archivos de una llamada (del más largo al más corto para resolver el nombre base)
+const CALL_FILE_SUFFIXES = [
+  '_processing_prompt.txt',
+  '_image_prompt.txt',
+  '_unredacted.mp3',
+  '_unredacted.srt',
+  '_generated.jpg',
+  '_generated.png',
+  '_original.jpg',
+  '_original.png',
+  '.words.json',
+  '.pii.json',
+  '_min.txt',
+  '.json',
+  '.mp3',
+  '.srt',
+  '.emb',
+  '.mp4',
+  '.jpg',
+  '.png',
+];
+// Transcripciones traducidas (<archivo>.<idioma>.srt)
+const TRANSLATED_SRT_PATTERN = /\.[a-z]{2,3}(?:-(?:[A-Z]{2}|\d{3}))?\.srt$/;
+
+let db = null;
+let initializePromise = null;
+let watcher = null;
+const pendingBaseNames = new Set();
+let pendingTimer = null;
+
+/**
+ * Indica si un archivo de callsPath es el JSON de metadatos de una llamada
+ * @param {string} file - Nombre del archivo
+ * @returns {boolean}
+ */
+function isMetadataFile(file) {
+  return file.endsWith('.json') && !file.endsWith('.words.json') && !file.endsWith('.pii.json');
+}
+
+/**
+ * Obtiene el nombre base de la llamada a la que pertenece un archivo de callsPath
+ * @param {string} file - Nombre del archivo
+ * @returns {string|null} - Nombre base o null si no es un archivo de llamada
+ */
+function getBaseNameFromFile(file) {
+  // Una traducción solo si existe la llamada base (un título puede terminar en ".xx")
+  const translated = file.match(TRANSLATED_SRT_PATTERN);
+  if (translated && existsSync(join(config.storage.callsPath, `${file.slice(0, -translated[0].length)}.json`))) {
+    return file.slice(0, -translated[0].length);
+  }
+  const suffix = CALL_FILE_SUFFIXES.find(candidate => file.endsWith(candidate));
+  return suffix ? file.slice(0, -suffix.length) : null;
+}
+
+/**
+ * Convierte una ruta relativa del metadata en absoluta (relativa a callsPath)
+ * @param {string} path - Ruta
+ * @returns {string}
+ */
+function toAbsolutePath(path) {
+  if (path.startsWith('/') || path.match(/^[A-Za-z]:/)) {
+    return path;
+  }
+  return join(config.storage.callsPath, path);
+}
+
+/**
+ * Devuelve la primera ruta existente de una lista de nombres de archivo de callsPath
+ * @param {Array<string>} files - Nombres de archivo candidatos
+ * @returns {string|null}
+ */
+function findExistingFile(files) {
+  const found = files.map(file => join(config.storage.callsPath, file)).find(path => existsSync(path));
+  return found || null;
+}
+
+/**
+ * Resuelve las rutas de los archivos asociados a una llamada (audio, miniaturas y video)
+ * Usa las rutas del metadata si existen y, si no, los nombres estándar (incluidos los formatos antiguos)
+ * @param {string} baseName - Nombre base de la llamada
+ * @param {object} metadata - Metadatos de la llamada
+ * @returns {{audioPath: string|null, originalThumbnailPath: string|null, generatedThumbnailPath: string|null, videoPath: string|null}}
+ */
+function resolveCallFiles(baseName, metadata) {
+  const originalThumbnailPath = metadata.originalThumbnailPath || findExistingFile([
+    `${baseName}_original.jpg`,
+    `${baseName}_original.png`,
+    `${baseName}.jpg`, // Formato antiguo
+    `${baseName}.png`, // Formato antiguo
+  ]);
+
+  let generatedThumbnailPath = metadata.generatedThumbnailPath ? toAbsolutePath(metadata.generatedThumbnailPath) : null;
+  if (!generatedThumbnailPath || !existsSync(generatedThumbnailPath)) {
+    generatedThumbnailPath = findExistingFile([`${baseName}_generated.jpg`, `${baseName}_generated.png`]);
+  }
+
+  const audioPath = metadata.audioFile || findExistingFile([`${baseName}.mp3`]);
+
+  let videoPath = metadata.videoPath || metadata.generatedVideoPath || null;
+  videoPath = videoPath ? toAbsolutePath(videoPath) : null;
+  if (!videoPath || !existsSync(videoPath)) {
+    videoPath = findExistingFile([`${baseName}.mp4`]);
+  }
+
+  return { audioPath, originalThumbnailPath, generatedThumbnailPath, videoPath };
+}
+
+/**
+ * Indicadores de existencia de la miniatura generada y del video (columnas filtrables)
+ * @param {object} files - Rutas resueltas (resolveCallFiles)
+ * @returns {{hasGeneratedThumbnail: number, hasVideo: number}}
+ */
+function getFileFlags(files) {
+  return {
+    hasGeneratedThumbnail: files.generatedThumbnailPath && existsSync(files.generatedThumbnailPath) ? 1 : 0,
+    hasVideo: files.videoPath && existsSync(files.videoPath) ? 1 : 0,
+  };
+}
+
+/**
+ * Crea las tablas del catálogo (o las recrea si cambió la versión del esquema)
+ * @param {object} database - Conexión SQLite
+ */
+function ensureSchema(database) {
+  const currentVersion = database.pragma('user_version', { simple: true });
+  if (currentVersion !== SCHEMA_VERSION) {
+    database.exec('DROP TABLE IF EXISTS calls_fts; DROP TABLE IF EXISTS call_tags; DROP TABLE IF EXISTS calls;');
+  }
+
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS calls (
+      file_name TEXT PRIMARY KEY,
+      call_id TEXT,
+      youtube_video_id TEXT,
+      call_number INTEGER,
+      title TEXT NOT NULL DEFAULT '',
+      theme TEXT NOT NULL DEFAULT '',
+      date TEXT NOT NULL DEFAULT '',
+      call_group TEXT NOT NULL DEFAULT '',
+      pinecone_uploaded INTEGER NOT NULL DEFAULT 0,
+      youtube_uploaded INTEGER NOT NULL DEFAULT 0,
+      is_duplicate INTEGER NOT NULL DEFAULT 0,
+      has_generated_thumbnail INTEGER NOT NULL DEFAULT 0,
+      has_video INTEGER NOT NULL DEFAULT 0,
+      audio_path TEXT,
+      original_thumbnail_path TEXT,
+      generated_thumbnail_path TEXT,
+      video_path TEXT,
+      metadata TEXT NOT NULL,
+      file_mtime_ms REAL,
+      file_size INTEGER,
+      indexed_at TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_calls_video_id ON calls (youtube_video_id);
+    CREATE INDEX IF NOT EXISTS idx_calls_call_id ON calls (call_id);
+    CREATE INDEX IF NOT EXISTS idx_calls_theme ON calls (theme);
+    CREATE INDEX IF NOT EXISTS idx_calls_date ON calls (date);
+    CREATE TABLE IF NOT EXISTS call_tags (
+      file_name TEXT NOT NULL REFERENCES calls (file_name) ON DELETE CASCADE,
+      tag TEXT NOT NULL,
+      PRIMARY KEY (file_name, tag)
+    );
+    CREATE INDEX IF NOT EXISTS idx_call_tags_tag ON call_tags (tag);
+    CREATE VIRTUAL TABLE IF NOT EXISTS calls_fts USING fts5 (
+      file_name UNINDEXED,
+      title,
+      summary,
+      tags,
+      tokenize = 'unicode61 remove_diacritics 2'
+    );
+  `);
+  database.pragma(`user_version = ${SCHEMA_VERSION}`);
+}
+
+/**
+ * Abre la base del catálogo (una sola conexión por proceso)
+ * @returns {object} - Conexión SQLite
+ */
+function getDatabase() {
+  if (!db) {
+    mkdirSync(dirname(config.catalog.dbPath), { recursive: true });
+    db = new Database(config.catalog.dbPath);
+    db.pragma('journal_mode = WAL');
+    db.pragma('foreign_keys = ON');
+    ensureSchema(db);
+  }
+  return db;
+}
+
+/**
+ * Guarda (o reemplaza) una llamada en el catálogo
+ * @param {string} baseName - Nombre base de la llamada
+ * @param {object} metadata - Metadatos leídos del JSON
+ * @param {object} fileStat - Stat del JSON (mtimeMs, size)
+ */
+function upsertCall(baseName, metadata, fileStat) {
+  const database = getDatabase();
+  const files = resolveCallFiles(baseName, metadata);
+  const tags = Array.isArray(metadata.tags) ? [...new Set(metadata.tags.filter(tag => typeof tag === 'string').map(tag => tag.trim().toLowerCase()).filter(Boolean))] : [];
+
+  database.transaction(() => {
+    database.prepare(`
+      INSERT OR REPLACE INTO calls (file_name, call_id, youtube_video_id, call_number, title, theme, date, call_group, pinecone_uploaded, youtube_uploaded,
+        is_duplicate, has_generated_thumbnail, has_video, audio_path, original_thumbnail_path, generated_thumbnail_path, video_path, metadata,
+        file_mtime_ms, file_size, indexed_at)
+      VALUES (@fileName, @callId, @videoId, @callNumber, @title, @theme, @date, @group, @pineconeUploaded, @youtubeUploaded,
+        @isDuplicate, @hasGeneratedThumbnail, @hasVideo, @audioPath, @originalThumbnailPath, @generatedThumbnailPath, @videoPath, @metadata,
+        @mtimeMs, @size, @indexedAt)
+    `).run({
+      fileName: baseName,
+      callId: metadata.callId || null,
+      videoId: metadata.youtubeVideoId || null,
+      callNumber: Number.isInteger(metadata.callNumber) ? metadata.callNumber : null,
+      // Mismos valores por defecto que muestra /api/video/list (se usan para filtrar y ordenar)
+      title: metadata.title || 'Sin título',
+      theme: metadata.theme || 'General',
+      date: metadata.date ? String(metadata.date) : '',
+      group: metadata.group || '',
+      pineconeUploaded: metadata.pineconeUploaded ? 1 : 0,
+      youtubeUploaded: metadata.youtubeUploaded ? 1 : 0,
+      isDuplicate: metadata.isDuplicate ? 1 : 0,
+      ...files,
+      ...getFileFlags(files),
+      metadata: JSON.stringify(metadata),
+      mtimeMs: fileStat.mtimeMs,
+      size: fileStat.size,
+      indexedAt: new Date().toISOString(),
+    });
+
+    database.prepare('DELETE FROM call_tags WHERE file_name = ?').run(baseName);
+    const insertTag = database.prepare('INSERT INTO call_tags (file_name, tag) VALUES (?, ?)');
+    tags.forEach(tag => insertTag.run(baseName, tag));
+
+    database.prepare('DELETE FROM calls_fts WHERE file_name = ?').run(baseName);
+    database.prepare('INSERT INTO calls_fts (file_name, title, summary, tags) VALUES (?, ?, ?, ?)').run(
+      baseName,
+      metadata.title || '',
+      metadata.summary || '',
+      tags.join(' ')
+    );
+  })();
+}
+
+/**
+ * Elimina una llamada del catálogo (incluidos sus tags y su entrada de búsqueda)
+ * @param {string} baseName - Nombre base de la llamada
+ */
+function removeCall(baseName) {
+  const database = getDatabase();
+  database.transaction(() => {
+    database.prepare('DELETE FROM calls_fts WHERE file_name = ?').run(baseName);
+    database.prepare('DELETE FROM calls WHERE file_name = ?').run(baseName);
+  })();
+}
+
+/**
+ * Actualiza solo las rutas de archivos asociados de una llamada ya indexada (cambió una miniatura, el video, etc.)
+ * @param {object} row - Fila del catálogo
+ */
+function refreshCallFiles(row) {
+  const files = resolveCallFiles(row.file_name, JSON.parse(row.metadata));
+  getDatabase().prepare(`
+    UPDATE calls SET audio_path = @audioPath, original_thumbnail_path = @originalThumbnailPath,
+      generated_thumbnail_path = @generatedThumbnailPath, video_path = @videoPath,
+      has_generated_thumbnail = @hasGeneratedThumbnail, has_video = @hasVideo
+    WHERE file_name = @fileName
+  `).run({ fileName: row.file_name, ...files, ...getFileFlags(files) });
+}
+
+/**
+ * Lee el JSON de una llamada y lo indexa si cambió desde la última vez (o si force = true)
+ * @param {string} baseName - Nombre base de la llamada
+ * @param {boolean} force - Re-indexar aunque el archivo no haya cambiado
+ * @returns {Promise<string>} - 'indexed', 'unchanged', 'removed' o 'invalid'
+ */
+async function indexCallFile(baseName, force = false) {
+  const database = getDatabase();
+  const metadataPath = join(config.storage.callsPath, `${baseName}.json`);
+
+  if (!existsSync(metadataPath)) {
+    removeCall(baseName);
+    return 'removed';
+  }
+
+  const fileStat = await stat(metadataPath);
+  const row = database.prepare('SELECT * FROM calls WHERE file_name = ?').get(baseName);
+  if (!force && row && row.file_mtime_ms === fileStat.mtimeMs && row.file_size === fileStat.size) {
+    refreshCallFiles(row);
+    return 'unchanged';
+  }
+
+  let metadata;
+  try {
+    metadata = JSON.parse(await readFile(metadataPath, 'utf-8'));
+  } catch (error) {
+    // Archivo a medio escribir o corrupto: se conserva la versión indexada anterior
+    await logWarn(`Catálogo: no se pudo leer ${baseName}.json: ${error.message}`);
+    return 'invalid';
+  }
+
+  if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+    removeCall(baseName);
+    return 'invalid';
+  }
+
+  upsertCall(baseName, metadata, fileStat);
+  return 'indexed';
+}
+
+/**
+ * Sincroniza el catálogo con los JSON de callsPath: indexa los nuevos o modificados y elimina los borrados
+ * @param {boolean} force - Re-indexar todos los archivos aunque no hayan cambiado
+ * @returns {Promise<{total: number, indexed: number, removed: number, invalid: number}>}
+ */
+export async function syncCallCatalog(force = false) {
+  const database = getDatabase();
+  const files = existsSync(config.storage.callsPath) ? await readdir(config.storage.callsPath) : [];
+  const baseNames = new Set(files.filter(isMetadataFile).map(file => file.slice(0, -'.json'.length)));
+
+  const stats = { total: baseNames.size, indexed: 0, removed: 0, invalid: 0 };
+  for (const baseName of baseNames) {
+    const result = await indexCallFile(baseName, force);
+    if (result === 'indexed') stats.indexed++;
+    if (result === 'invalid') stats.invalid++;
+  }
+
+  database.prepare('SELECT file_name FROM calls').all().forEach(row => {
+    if (!baseNames.has(row.file_name)) {
+      removeCall(row.file_name);
+      stats.removed++;
+    }
+  });
+
+  return stats;
+}
+
+/**
+ * Reconstruye el catálogo desde cero a partir de los JSON de callsPath
+ * @returns {Promise<{total: number, indexed: number, removed: number, invalid: number}>}
+ */
+export async function rebuildCallCatalog() {
+  const database = getDatabase();
+  database.exec('DELETE FROM calls_fts; DELETE FROM call_tags; DELETE FROM calls;');
+  const stats = await syncCallCatalog(true);
+  await logInfo(`Catálogo de llamadas reconstruido: ${stats.indexed} llamadas indexadas (${stats.invalid} inválidas)`);
+  return stats;
+}
+
+/**
+ * Procesa las llamadas pendientes de actualizar por eventos del watcher
+ */
+async function flushPendingUpdates() {
+  if (pendingTimer) {
+    clearTimeout(pendingTimer);
+    pendingTimer = null;
+  }
+  const baseNames = [...pendingBaseNames];
+  pendingBaseNames.clear();
+  for (const baseName of baseNames) {
+    try {
+      await indexCallFile(baseName);
+    } catch (error) {
+      await logWarn(`Catálogo: error al actualizar ${baseName}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Observa callsPath para mantener el catálogo sincronizado con los cambios hechos fuera de fileService
+ * (escrituras directas de metadatos, miniaturas, videos, archivos copiados a mano)
+ */
+function startWatcher() {
+  if (watcher) return;
+  try {
+    watcher = watch(config.storage.callsPath, (eventType, file) => {
+      const baseName = file ? getBaseNameFromFile(file.toString()) : null;
+      if (!baseName) return;
+      pendingBaseNames.add(baseName);
+      if (!pendingTimer) {
+        pendingTimer = setTimeout(() => {
+          flushPendingUpdates().catch(() => {});
+        }, WATCH_DEBOUNCE_MS);
+      }
+    });
+    watcher.on('error', (error) => {
+      logWarn(`Catálogo: el watcher de ${config.storage.callsPath} se detuvo: ${error.message}`).catch(() => {});
+      watcher = null;
+    });
+    watcher.unref();
+  } catch (error) {
+    watcher = null;
+    logWarn(`Catálogo: no se pudo observar ${config.storage.callsPath} (${error.message}); usar la reconstrucción del catálogo si se modifican archivos a mano`).catch(() => {});
+  }
+}
+
+/**
+ * Inicializa el catálogo: abre la base, la sincroniza con los JSON y empieza a observar callsPath
+ * Se puede llamar varias veces (se inicializa una sola vez)
+ * @returns {Promise<void>}
+ */
+export function initializeCallCatalog() {
+  if (!initializePromise) {
+    initializePromise = (async () => {
+      const startTime = Date.now();
+      const stats = await syncCallCatalog();
+      startWatcher();
+      console.log(`🗂️  Catálogo de llamadas listo: ${stats.total} llamadas (${stats.indexed} indexadas, ${stats.removed} eliminadas) en ${((Date.now() - startTime) / 1000).toFixed(1)}s`);
+    })().catch(async (error) => {
+      initializePromise = null;
+      await logError(`Error al inicializar el catálogo de llamadas: ${error.message}`);
+      throw error;
+    });
+  }
+  return initializePromise;
+}
+
+/**
+ * Espera a que el catálogo esté inicializado y aplica los cambios pendientes del watcher
+ * @returns {Promise<object>} - Conexión SQLite
+ */
+async function getReadyDatabase() {
+  await initializeCallCatalog();
+  if (pendingBaseNames.size > 0) {
+    await flushPendingUpdates();
+  }
+  return getDatabase();
+}
+
+/**
+ * Actualiza inmediatamente una llamada en el catálogo (después de guardar, renombrar o eliminar sus archivos)
+ * @param {string} baseName - Nombre base de la llamada
+ * @returns {Promise<void>}
+ */
+export async function refreshCatalogEntry(baseName) {
+  if (!initializePromise) {
+    // Si el catálogo todavía no se inicializó, la sincronización inicial incluirá el cambio
+    return;
+  }
+  try {
+    await initializePromise;
+    await indexCallFile(baseName);
+  } catch (error) {
+    await logWarn(`Catálogo: error al actualizar ${baseName}: ${error.message}`);
+  }
+}
+
+/**
+ * Convierte una fila del catálogo en una entrada de llamada
+ * @param {object} row - Fila de la tabla calls
+ * @returns {{fileName: string, metadata: object, audioPath: string|null, originalThumbnailPath: string|null, generatedThumbnailPath: string|null, videoPath: string|null}}
+ */
+function rowToEntry(row) {
+  return {
+    fileName: row.file_name,
+    metadata: JSON.parse(row.metadata),
+    audioPath: row.audio_path,
+    originalThumbnailPath: row.original_thumbnail_path,
+    generatedThumbnailPath: row.generated_thumbnail_path,
+    videoPath: row.video_path,
+  };
+}
+
+/**
+ * Construye la consulta de búsqueda de texto completo (FTS5) a partir del texto del usuario
+ * Cada palabra se busca como prefijo y todas deben aparecer (en título, resumen o tags)
+ * @param {string} text - Texto buscado
+ * @returns {string|null} - Expresión MATCH o null si no hay palabras
+ */
+function buildFullTextQuery(text) {
+  const words = String(text || '')
+    .split(/\s+/)
+    .map(word => word.replace(/"/g, '').trim())
+    .filter(Boolean);
+  return words.length > 0 ? words.map(word => `"${word}"*`).join(' ') : null;
+}
+
+/**
+ * Construye el WHERE de una búsqueda en el catálogo
+ * @param {object} filters - Filtros (ver queryCatalogCalls)
+ * @returns {{where: string, params: object}}
+ */
+function buildCatalogFilter(filters) {
+  const conditions = [];
+  const params = {};
+
+  if (filters.videoId) {
+    conditions.push('youtube_video_id = @videoId');
+    params.videoId = filters.videoId;
+  }
+  if (filters.callId) {
+    conditions.push('call_id = @callId');
+    params.callId = filters.callId;
+  }
+  if (Array.isArray(filters.fileNames)) {
+    conditions.push('file_name IN (SELECT value FROM json_each(@fileNames))');
+    params.fileNames = JSON.stringify(filters.fileNames);
+  }
+  if (filters.theme) {
+    conditions.push('theme = @theme');
+    params.theme = filters.theme;
+  }
+  if (filters.dateFrom) {
+    conditions.push('date >= @dateFrom');
+    params.dateFrom = filters.dateFrom;
+  }
+  if (filters.dateTo) {
+    // Las fechas pueden incluir hora: comparar solo el día
+    conditions.push("date != '' AND substr(date, 1, 10) <= @dateTo");
+    params.dateTo = filters.dateTo;
+  }
+
+  const booleanColumns = {
+    pineconeUploaded: 'pinecone_uploaded',
+    youtubeUploaded: 'youtube_uploaded',
+    isDuplicate: 'is_duplicate',
+    hasGeneratedThumbnail: 'has_generated_thumbnail',
+    hasVideo: 'has_video',
+  };
+  Object.entries(booleanColumns).forEach(([key, column]) => {
+    if (typeof filters[key] === 'boolean') {
+      conditions.push(`${column} = @${key}`);
+      params[key] = filters[key] ? 1 : 0;
+    }
+  });
+
+  const tags = (Array.isArray(filters.tags) ? filters.tags : [filters.tags])
+    .filter(tag => typeof tag === 'string' && tag.trim())
+    .map(tag => tag.trim().toLowerCase());
+  tags.forEach((tag, index) => {
+    conditions.push(`EXISTS (SELECT 1 FROM call_tags WHERE call_tags.file_name = calls.file_name AND call_tags.tag = @tag${index})`);
+    params[`tag${index}`] = tag;
+  });
+
+  const fullTextQuery = buildFullTextQuery(filters.text);
+  if (fullTextQuery) {
+    conditions.push('file_name IN (SELECT file_name FROM calls_fts WHERE calls_fts MATCH @fullTextQuery)');
+    params.fullTextQuery = fullTextQuery;
+  }
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params,
+  };
+}
+
+/**
+ * Busca llamadas en el catálogo
+ * @param {object} filters - Filtros (todos opcionales)
+ * @param {string} filters.videoId - ID del video de YouTube
+ * @param {string} filters.callId - callId interno de la llamada
+ * @param {Array<string>} filters.fileNames - Nombres base de las llamadas
+ * @param {string} filters.text - Texto buscado en título, resumen y tags (cada palabra como prefijo)
+ * @param {string} filters.theme - Tema exacto
+ * @param {string|Array<string>} filters.tags - Tag o tags (la llamada debe tenerlos todos; sin distinguir mayúsculas)
+ * @param {string} filters.dateFrom - Fecha mínima (YYYY-MM-DD, inclusive)
+ * @param {string} filters.dateTo - Fecha máxima (YYYY-MM-DD, inclusive)
+ * @param {boolean} filters.pineconeUploaded - Estado de subida a Pinecone
+ * @param {boolean} filters.youtubeUploaded - Estado de subida a YouTube
+ * @param {boolean} filters.isDuplicate - Marcada como duplicada
+ * @param {boolean} filters.hasGeneratedThumbnail - Tiene miniatura generada
+ * @param {boolean} filters.hasVideo - Tiene video generado
+ * @returns {Promise<Array>} - Entradas ({ fileName, metadata, audioPath, originalThumbnailPath, generatedThumbnailPath, videoPath })
+ */
+export async function queryCatalogCalls(filters = {}) {
+  const database = await getReadyDatabase();
+  const { where, params } = buildCatalogFilter(filters);
+  return database.prepare(`SELECT * FROM calls ${where} ORDER BY youtube_video_id, call_number, file_name`).all(params).map(rowToEntry);
+}
+
+// Ordenamientos disponibles para listCatalogCalls: expresiones SQL (sin NULL) y orden por defecto
+// El nombre de archivo desempata para que el cursor sea estable
+export const CATALOG_SORT_KEYS = {
+  // Por grupo (las llamadas sin grupo al final), luego la fecha más reciente (orden de /api/video/list)
+  group: { columns: [["(call_group = '')", 'ASC'], ['call_group', 'ASC'], ['date', 'DESC'], ['file_name', 'DESC']], fixed: true },
+  date: { columns: [['date'], ['file_name']], defaultOrder: 'desc' },
+  title: { columns: [['title COLLATE NOCASE'], ['file_name']], defaultOrder: 'asc' },
+  theme: { columns: [['theme COLLATE NOCASE'], ['date'], ['file_name']], defaultOrder: 'asc' },
+  fileName: { columns: [['file_name']], defaultOrder: 'asc' },
+};
+
+/**
+ * Crea un error de parámetros de listado (el controlador responde 400)
+ * @param {string} message - Mensaje
+ * @returns {Error}
+ */
+function createListError(message) {
+  const error = new Error(message);
+  error.invalidParams = true;
+  return error;
+}
+
+/**
+ * Columnas de ordenamiento con su dirección final
+ * @param {string} sort - Clave de ordenamiento (CATALOG_SORT_KEYS)
+ * @param {string} order - 'asc' o 'desc' (se ignora en ordenamientos fijos)
+ * @returns {Array<{expression: string, direction: string}>}
+ */
+function getSortColumns(sort, order) {
+  // Solo claves propias: sort=constructor no debe llegar a las columnas
+  if (!Object.hasOwn(CATALOG_SORT_KEYS, sort)) {
+    throw createListError(`sort debe ser uno de: ${Object.keys(CATALOG_SORT_KEYS).join(', ')}`);
+  }
+  if (order && order !== 'asc' && order !== 'desc') {
+    throw createListError('order debe ser asc o desc');
+  }
+
+  const sortKey = CATALOG_SORT_KEYS[sort];
+  const direction = (order || sortKey.defaultOrder || 'asc').toUpperCase();
+  return sortKey.columns.map(([expression, fixedDirection]) => ({
+    expression,
+    direction: sortKey.fixed ? fixedDirection : direction,
+  }));
+}
+
+/**
+ * Codifica el cursor de la página siguiente (valores de ordenamiento de la última fila)
+ * @param {string} sort - Clave de ordenamiento
+ * @param {string} order - Orden solicitado
+ * @param {Array} values - Valores de las columnas de ordenamiento
+ * @returns {string}
+ */
+function encodeCursor(sort, order, values) {
+  return Buffer.from(JSON.stringify({ sort, order: order || null, values })).toString('base64url');
+}
+
+/**
+ * Decodifica y valida un cursor recibido
+ * @param {string} cursor - Cursor (encodeCursor)
+ * @param {string} sort - Clave de ordenamiento de la solicitud actual
+ * @param {string} order - Orden de la solicitud actual
+ * @param {number} columnCount - Cantidad de columnas de ordenamiento
+ * @returns {Array} - Valores de ordenamiento
+ */
+function decodeCursor(cursor, sort, order, columnCount) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf-8'));
+  } catch (error) {
+    throw createListError('cursor inválido');
+  }
+  if (!decoded || decoded.sort !== sort || (decoded.order || null) !== (order || null) || !Array.isArray(decoded.values) || decoded.values.length !== columnCount) {
+    throw createListError('cursor inválido o de otro ordenamiento (sort/order)');
+  }
+  return decoded.values;
+}
+
+/**
+ * Conteos por faceta de las llamadas que cumplen los filtros
+ * @param {object} database - Conexión SQLite
+ * @param {string} where - WHERE de los filtros
+ * @param {object} params - Parámetros de los filtros
+ * @returns {object} - { themes, tags, pineconeUploaded, youtubeUploaded, isDuplicate, hasGeneratedThumbnail, hasVideo }
+ */
+function computeFacets(database, where, params) {
+  const themes = database.prepare(`SELECT theme AS value, COUNT(*) AS count FROM calls ${where} GROUP BY theme ORDER BY count DESC, theme`).all(params);
+  const tags = database.prepare(`
+    SELECT tag AS value, COUNT(*) AS count FROM call_tags
+    WHERE file_name IN (SELECT file_name FROM calls ${where})
+    GROUP BY tag ORDER BY count DESC, tag LIMIT ${FACET_TAGS_LIMIT}
+  `).all(params);
+  const totals = database.prepare(`
+    SELECT COUNT(*) AS total, SUM(pinecone_uploaded) AS pineconeUploaded, SUM(youtube_uploaded) AS youtubeUploaded,
+      SUM(is_duplicate) AS isDuplicate, SUM(has_generated_thumbnail) AS hasGeneratedThumbnail, SUM(has_video) AS hasVideo
+    FROM calls ${where}
+  `).get(params);
+
+  const booleanFacet = (key) => ({ true: totals[key] || 0, false: totals.total - (totals[key] || 0) });
+  return {
+    themes,
+    tags,
+    pineconeUploaded: booleanFacet('pineconeUploaded'),
+    youtubeUploaded: booleanFacet('youtubeUploaded'),
+    isDuplicate: booleanFacet('isDuplicate'),
+    hasGeneratedThumbnail: booleanFacet('hasGeneratedThumbnail'),
+    hasVideo: booleanFacet('hasVideo'),
+  };
+}
+
+/**
+ * Lista llamadas del catálogo con filtros, ordenamiento, paginación por cursor y conteos por faceta
+ * @param {object} filters - Filtros (ver queryCatalogCalls)
+ * @param {object} options - Opciones de listado
+ * @param {string} options.sort - Clave de ordenamiento (CATALOG_SORT_KEYS, por defecto 'group')
+ * @param {string} options.order - 'asc' o 'desc' (por defecto el del ordenamiento)
+ * @param {number|null} options.limit - Tamaño de página (null = todas las llamadas)
+ * @param {string|null} options.cursor - Cursor devuelto por la página anterior
+ * @returns {Promise<{total: number, entries: Array, nextCursor: string|null, facets: object}>}
+ * @throws {Error} - Con invalidParams = true si sort, order o cursor no son válidos
+ */
+export async function listCatalogCalls(filters = {}, { sort = 'group', order = null, limit = null, cursor = null } = {}) {
+  const database = await getReadyDatabase();
+  const sortColumns = getSortColumns(sort, order);
+  const { where, params } = buildCatalogFilter(filters);
+
+  const total = database.prepare(`SELECT COUNT(*) AS total FROM calls ${where}`).get(params).total;
+  const facets = computeFacets(database, where, params);
+
+  // Paginación por keyset: filas estrictamente posteriores a la última de la página anterior
+  const pageConditions = where ? [where.replace(/^WHERE /, '')] : [];
+  const pageParams = { ...params };
+  if (cursor) {
+    const values = decodeCursor(cursor, sort, order, sortColumns.length);
+    const keysetParts = sortColumns.map((column, index) => {
+      const equalities = sortColumns.slice(0, index).map((previous, previousIndex) => `${previous.expression} = @cursor${previousIndex}`);
+      const comparison = `${column.expression} ${column.direction === 'ASC' ? '>' : '<'} @cursor${index}`;
+      return `(${[...equalities, comparison].join(' AND ')})`;
+    });
+    pageConditions.push(`(${keysetParts.join(' OR ')})`);
+    values.forEach((value, index) => {
+      pageParams[`cursor${index}`] = value;
+    });
+  }
+
+  const sortSelect = sortColumns.map((column, index) => `${column.expression} AS sort_${index}`).join(', ');
+  const orderBy = sortColumns.map(column => `${column.expression} ${column.direction}`).join(', ');
+  const pageWhere = pageConditions.length > 0 ? `WHERE ${pageConditions.join(' AND ')}` : '';
+  const limitClause = limit ? `LIMIT ${limit + 1}` : '';
+  const rows = database.prepare(`SELECT *, ${sortSelect} FROM calls ${pageWhere} ORDER BY ${orderBy} ${limitClause}`).all(pageParams);
+
+  const hasMore = Boolean(limit) && rows.length > limit;
+  const pageRows = hasMore ? rows.slice(0, limit) : rows;
+  const lastRow = pageRows[pageRows.length - 1];
+
+  return {
+    total,
+    entries: pageRows.map(rowToEntry),
+    nextCursor: hasMore ? encodeCursor(sort, order, sortColumns.map((column, index) => lastRow[`sort_${index}`])) : null,
+    facets,
+  };
+}
+
+/**
+ * Busca una llamada por su callId interno
+ * @param {string} callId - callId de la llamada
+ * @returns {Promise<object|null>} - Entrada del catálogo o null
+ */
+export async function findCatalogCallByCallId(callId) {
+  const [entry] = await queryCatalogCalls({ callId });
+  return entry || null;
+}
+
+/**
+ * Indica si hay al menos una llamada de un video en el catálogo
+ * @param {string} videoId - ID del video de YouTube
+ * @returns {Promise<boolean>}
+ */
+export async function catalogHasVideo(videoId) {
+  const database = await getReadyDatabase();
+  return Boolean(database.prepare('SELECT 1 FROM calls WHERE youtube_video_id = ? LIMIT 1').get(videoId));
+}
+
+/**
+ * Cantidad de llamadas por video de YouTube
+ * @returns {Promise<Map<string, number>>}
+ */
+export async function getCatalogCallCountsByVideo() {
+  const database = await getReadyDatabase();
+  const rows = database.prepare('SELECT youtube_video_id, COUNT(*) AS total FROM calls WHERE youtube_video_id IS NOT NULL GROUP BY youtube_video_id').all();
+  return new Map(rows.map(row => [row.youtube_video_id, row.total]));
+}
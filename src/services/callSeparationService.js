@@ -1,9 +1,11 @@
-import OpenAI from 'openai';
 import { readFile, writeFile } from 'fs/promises';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import config from '../config/config.js';
-import { logDebug, logError, logInfo, logWarn, logAIPrompt } from './loggerService.js';
+import { logDebug, logError, logInfo, logWarn } from './loggerService.js';
+import { formatSpeakerText, getSpeakersFromSegments } from './diarizationService.js';
+import { assertLLMConfigured, buildChatRequest, requestChat } from './llmService.js';
+import { analyzeAudioCues, crossCheckCalls } from './audioCueService.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -38,10 +40,6 @@ function formatTime(seconds) {
   }
 }
 
-const openai = new OpenAI({
-  apiKey: config.openai.apiKey,
-});
-
 /**
  * Carga el prompt de generación de título desde el archivo
  * @returns {Promise<{systemMessage: string, userMessageTemplate: string}>}
@@ -82,9 +80,7 @@ async function loadTitleGenerationPrompt() {
  * @returns {Promise<string>} - Nuevo título generado
  */
 export async function generateTitle(summary) {
-  if (!config.openai.apiKey) {
-    throw new Error('OPENAI_API_KEY no configurada');
-  }
+  assertLLMConfigured();
 
   try {
     // Cargar el prompt de generación de título
@@ -93,46 +89,8 @@ export async function generateTitle(summary) {
     // Reemplazar [SUMMARY] con el resumen real
     const userMessage = userMessageTemplate.replace('[SUMMARY]', summary || '');
     
-    const apiRequest = {
-      model: 'gpt-4o',
-      messages: [
-        { role: 'system', content: systemMessage },
-        { role: 'user', content: userMessage }
-      ],
-      response_format: { type: 'json_object' },
-      temperature: 0.7,
-    };
-    
-    await logAIPrompt('Generación de título', 'N/A', apiRequest);
-    
-    const response = await openai.chat.completions.create(apiRequest);
-    
-    // Extraer JSON de la respuesta
-    let responseText = response.choices[0].message.content.trim();
-    
-    // Intentar extraer JSON si viene envuelto en texto
-    let jsonStart = responseText.indexOf('{');
-    let jsonEnd = -1;
-    
-    if (jsonStart !== -1) {
-      let braceCount = 0;
-      for (let i = jsonStart; i < responseText.length; i++) {
-        if (responseText[i] === '{') braceCount++;
-        if (responseText[i] === '}') {
-          braceCount--;
-          if (braceCount === 0) {
-            jsonEnd = i + 1;
-            break;
-          }
-        }
-      }
-    }
-    
-    if (jsonStart !== -1 && jsonEnd !== -1) {
-      responseText = responseText.substring(jsonStart, jsonEnd);
-    }
-    
-    const result = JSON.parse(responseText);
+    const apiRequest = buildChatRequest('title', systemMessage, userMessage, { temperature: 0.7 });
+    const result = await requestChat('title', apiRequest, { label: 'Generación de título' });
     
     if (!result.title) {
       throw new Error('La respuesta de la IA no contiene el campo title');
@@ -185,9 +143,7 @@ async function loadSceneGenerationPrompt() {
  * @returns {Promise<string>} - Escena para la miniatura
  */
 export async function generateThumbnailScene(summary) {
-  if (!config.openai.apiKey) {
-    throw new Error('OPENAI_API_KEY no configurada');
-  }
+  assertLLMConfigured();
 
   try {
     // Cargar el prompt de generación de escena
@@ -196,46 +152,8 @@ export async function generateThumbnailScene(summary) {
     // Reemplazar [SUMMARY] con el resumen real
     const userMessage = userMessageTemplate.replace('[SUMMARY]', summary || '');
     
-    const apiRequest = {
-      model: 'gpt-4o',
-      messages: [
-        { role: 'system', content: systemMessage },
-        { role: 'user', content: userMessage }
-      ],
-      response_format: { type: 'json_object' },
-      temperature: 0.7,
-    };
-    
-    await logAIPrompt('Generación de escena para miniatura', 'N/A', apiRequest);
-    
-    const response = await openai.chat.completions.create(apiRequest);
-    
-    // Extraer JSON de la respuesta
-    let responseText = response.choices[0].message.content.trim();
-    
-    // Intentar extraer JSON si viene envuelto en texto
-    let jsonStart = responseText.indexOf('{');
-    let jsonEnd = -1;
-    
-    if (jsonStart !== -1) {
-      let braceCount = 0;
-      for (let i = jsonStart; i < responseText.length; i++) {
-        if (responseText[i] === '{') braceCount++;
-        if (responseText[i] === '}') {
-          braceCount--;
-          if (braceCount === 0) {
-            jsonEnd = i + 1;
-            break;
-          }
-        }
-      }
-    }
-    
-    if (jsonStart !== -1 && jsonEnd !== -1) {
-      responseText = responseText.substring(jsonStart, jsonEnd);
-    }
-    
-    const result = JSON.parse(responseText);
+    const apiRequest = buildChatRequest('scene', systemMessage, userMessage, { temperature: 0.7 });
+    const result = await requestChat('scene', apiRequest, { label: 'Generación de escena para miniatura' });
     
     if (!result.thumbnailScene) {
       throw new Error('La respuesta de la IA no contiene el campo thumbnailScene');
@@ -270,9 +188,7 @@ async function loadSummaryGenerationPrompt() {
  * @returns {Promise<object>} - Metadata completa generada (title, description, summary, name, age, topic, tags, thumbnailScene, startText, endText)
  */
 export async function generateMetadataFromTranscription(transcription) {
-  if (!config.openai.apiKey) {
-    throw new Error('OPENAI_API_KEY no configurada');
-  }
+  assertLLMConfigured();
 
   if (!transcription || transcription.trim() === '') {
     throw new Error('La transcripción está vacía');
@@ -285,46 +201,8 @@ export async function generateMetadataFromTranscription(transcription) {
     // Reemplazar [TRANSCRIPCIÓN COMPLETA AQUÍ] con la transcripción real
     const userMessage = userMessageTemplate.replace('[TRANSCRIPCIÓN COMPLETA AQUÍ]', transcription);
     
-    const apiRequest = {
-      model: 'gpt-4o',
-      messages: [
-        { role: 'system', content: systemMessage },
-        { role: 'user', content: userMessage }
-      ],
-      response_format: { type: 'json_object' },
-      temperature: 0.7,
-    };
-
-    await logAIPrompt('Generación de metadata desde transcripción', 'N/A', apiRequest);
-
-    const response = await openai.chat.completions.create(apiRequest);
-
-    // Extraer JSON de la respuesta
-    let responseText = response.choices[0].message.content.trim();
-
-    // Intentar extraer JSON si viene envuelto en texto
-    let jsonStart = responseText.indexOf('{');
-    let jsonEnd = -1;
-
-    if (jsonStart !== -1) {
-      let braceCount = 0;
-      for (let i = jsonStart; i < responseText.length; i++) {
-        if (responseText[i] === '{') braceCount++;
-        if (responseText[i] === '}') {
-          braceCount--;
-          if (braceCount === 0) {
-            jsonEnd = i + 1;
-            break;
-          }
-        }
-      }
-    }
-
-    if (jsonStart !== -1 && jsonEnd !== -1) {
-      responseText = responseText.substring(jsonStart, jsonEnd);
-    }
-
-    const result = JSON.parse(responseText);
+    const apiRequest = buildChatRequest('metadata', systemMessage, userMessage, { temperature: 0.7 });
+    const result = await requestChat('metadata', apiRequest, { label: 'Generación de metadata desde transcripción' });
 
     // Validar que tenga los campos mínimos requeridos
     if (!result.summary) {
@@ -347,9 +225,7 @@ export async function generateMetadataFromTranscription(transcription) {
  * @returns {Promise<string>} - Resumen detallado generado
  */
 export async function generateSummaryFromTranscription(transcription) {
-  if (!config.openai.apiKey) {
-    throw new Error('OPENAI_API_KEY no configurada');
-  }
+  assertLLMConfigured();
 
   if (!transcription || transcription.trim() === '') {
     throw new Error('La transcripción está vacía');
@@ -367,46 +243,8 @@ Responde ÚNICAMENTE con JSON válido en el siguiente formato:
   "summary": "resumen detallado y completo aquí"
 }`;
 
-    const apiRequest = {
-      model: 'gpt-4o',
-      messages: [
-        { role: 'system', content: systemMessage },
-        { role: 'user', content: userMessage }
-      ],
-      response_format: { type: 'json_object' },
-      temperature: 0.7,
-    };
-
-    await logAIPrompt('Generación de resumen desde transcripción', 'N/A', apiRequest);
-
-    const response = await openai.chat.completions.create(apiRequest);
-
-    // Extraer JSON de la respuesta
-    let responseText = response.choices[0].message.content.trim();
-
-    // Intentar extraer JSON si viene envuelto en texto
-    let jsonStart = responseText.indexOf('{');
-    let jsonEnd = -1;
-
-    if (jsonStart !== -1) {
-      let braceCount = 0;
-      for (let i = jsonStart; i < responseText.length; i++) {
-        if (responseText[i] === '{') braceCount++;
-        if (responseText[i] === '}') {
-          braceCount--;
-          if (braceCount === 0) {
-            jsonEnd = i + 1;
-            break;
-          }
-        }
-      }
-    }
-
-    if (jsonStart !== -1 && jsonEnd !== -1) {
-      responseText = responseText.substring(jsonStart, jsonEnd);
-    }
-
-    const result = JSON.parse(responseText);
+    const apiRequest = buildChatRequest('summary', systemMessage, userMessage, { temperature: 0.7 });
+    const result = await requestChat('summary', apiRequest, { label: 'Generación de resumen desde transcripción' });
 
     if (!result.summary) {
       throw new Error('La respuesta de la IA no contiene el campo summary');
@@ -453,20 +291,329 @@ async function loadCallSeparationPrompt() {
   return { systemMessage, userMessageTemplate };
 }
 
+/**
+ * Retorna toda la transcripción como una sola llamada (fallback cuando la IA no separa llamadas)
+ * @param {Array} segments - Segmentos de la transcripción
+ * @param {string} fullTranscription - Transcripción completa
+ * @returns {Array<{start: number, end: number, transcription: string}>}
+ */
+function getSingleCallFallback(segments, fullTranscription) {
+  const firstSegment = segments[0];
+  const lastSegment = segments[segments.length - 1];
+  return [
+    {
+      start: firstSegment?.start || 0,
+      end: lastSegment?.end || 0,
+      transcription: fullTranscription,
+    },
+  ];
+}
+
+/**
+ * Divide el SRT en ventanas solapadas por número de línea cuando no entra en el contexto del modelo
+ * Cada ventana conserva los números de línea y timestamps originales, así las llamadas que devuelve
+ * la IA ya están en la escala de la transcripción completa
+ * @param {string} srt - Transcripción completa en formato SRT
+ * @returns {Array<{index: number, firstLine: number, lastLine: number, text: string}>|null} - Ventanas o null si no hace falta dividir
+ */
+function buildSeparationWindows(srt) {
+  const { windowMode, maxChars, windowLines, overlapLines } = config.callSeparation;
+  if (windowMode === 'never' || (windowMode !== 'always' && srt.length <= maxChars)) {
+    return null;
+  }
+
+  // Bloques SRT: el bloque i corresponde a la línea (segmento) i + 1
+  const blocks = srt.trim().split(/\n\s*\n/);
+  if (blocks.length <= windowLines) {
+    return null;
+  }
+
+  const step = Math.max(1, windowLines - overlapLines);
+  const windows = [];
+  for (let first = 0; first < blocks.length; first += step) {
+    const last = Math.min(blocks.length, first + windowLines);
+    windows.push({
+      index: windows.length,
+      firstLine: first + 1,
+      lastLine: last,
+      text: blocks.slice(first, last).join('\n\n') + '\n',
+    });
+    if (last === blocks.length) break;
+  }
+  return windows;
+}
+
+/**
+ * Une las llamadas encontradas en ventanas solapadas: una llamada cortada por el borde de una
+ * ventana aparece (parcial) en la ventana vecina y se combina en una sola
+ * @param {Array} windowCalls - Llamadas por ventana ([{ window, calls }]) con startTime/endTime y líneas start/end
+ * @param {Array} windows - Ventanas (buildSeparationWindows)
+ * @returns {Array} - Llamadas combinadas, ordenadas por inicio, con el mismo formato que devuelve la IA
+ */
+export function mergeWindowCalls(windowCalls, windows) {
+  const edgeLines = Math.max(1, Math.floor(config.callSeparation.overlapLines / 4));
+  const lastWindow = windows.length - 1;
+
+  const calls = windowCalls
+    .flatMap(({ window, calls: found }) => found.map(call => ({
+      ...call,
+      windows: [window.index],
+      // La llamada toca el borde de la ventana: puede continuar en la ventana vecina
+      touchesStart: window.index > 0 && call.start <= window.firstLine + edgeLines,
+      touchesEnd: window.index < lastWindow && call.end >= window.lastLine - edgeLines,
+    })))
+    .sort((a, b) => a.startTime - b.startTime);
+
+  const merged = [];
+  calls.forEach(call => {
+    const previous = merged[merged.length - 1];
+    const fromOtherWindow = previous && !call.windows.some(index => previous.windows.includes(index));
+    const intersection = previous ? Math.min(previous.endTime, call.endTime) - Math.max(previous.startTime, call.startTime) : 0;
+    const shorter = previous ? Math.min(previous.endTime - previous.startTime, call.endTime - call.startTime) : 0;
+
+    if (fromOtherWindow && intersection > 0 && (previous.touchesEnd || call.touchesStart || intersection >= shorter * 0.5)) {
+      // La versión más larga tiene más contexto: se usan sus metadatos
+      const primary = (call.endTime - call.startTime) > (previous.endTime - previous.startTime) ? call : previous;
+      const secondary = primary === call ? previous : call;
+      const later = call.endTime >= previous.endTime ? call : previous;
+      merged[merged.length - 1] = {
+        ...secondary,
+        ...Object.fromEntries(Object.entries(primary).filter(([, value]) => value !== null && value !== undefined && value !== '')),
+        start: Math.min(previous.start, call.start),
+        end: Math.max(previous.end, call.end),
+        startTime: Math.min(previous.startTime, call.startTime),
+        endTime: Math.max(previous.endTime, call.endTime),
+        startText: previous.startText || call.startText,
+        endText: later.endText || secondary.endText,
+        tags: [...new Set([...(previous.tags || []), ...(call.tags || [])])],
+        windows: [...previous.windows, ...call.windows],
+        touchesStart: previous.touchesStart,
+        touchesEnd: later.touchesEnd,
+      };
+      return;
+    }
+
+    merged.push(call);
+  });
+
+  return merged.map(({ windows: _windows, touchesStart, touchesEnd, ...call }) => call);
+}
+
+/**
+ * Completa startTime/endTime y las líneas start/end de una llamada de la IA (ventanas)
+ * @param {object} call - Llamada devuelta por la IA
+ * @param {Array} segments - Segmentos de la transcripción
+ * @returns {object|null} - Llamada con tiempos y líneas, o null si no se pudo ubicar
+ */
+function normalizeWindowCall(call, segments) {
+  let normalized = { ...call };
+  const hasTimes = typeof call.startTime === 'number' && typeof call.endTime === 'number';
+
+  if (!hasTimes) {
+    const converted = convertLineNumberToTimestamp(call, segments);
+    normalized = { ...normalized, startTime: converted.start, endTime: converted.end };
+  }
+
+  // Líneas: si la IA no las devolvió, ubicarlas por tiempo
+  if (!Number.isInteger(normalized.start) || !Number.isInteger(normalized.end)) {
+    const startIndex = segments.findIndex(seg => seg.end > normalized.startTime);
+    let endIndex = segments.findIndex(seg => seg.end >= normalized.endTime);
+    if (endIndex === -1) endIndex = segments.length - 1;
+    normalized.start = Math.max(0, startIndex) + 1;
+    normalized.end = endIndex + 1;
+  }
+
+  if (typeof normalized.startTime !== 'number' || typeof normalized.endTime !== 'number' || normalized.startTime >= normalized.endTime) {
+    return null;
+  }
+  return normalized;
+}
+
+/**
+ * Envía una solicitud de separación al LLM mostrando progreso estimado mientras responde
+ * @param {object} apiRequest - Solicitud (buildChatRequest)
+ * @param {object} options - Opciones
+ * @param {number} options.videoNumber - Número del video (para logs)
+ * @param {number} options.totalVideos - Total de videos (para logs)
+ * @param {string} options.videoId - ID del video (para logs)
+ * @param {string} options.statusText - Texto del progreso
+ * @param {number} options.progressFrom - Porcentaje inicial del rango de progreso
+ * @param {number} options.progressTo - Porcentaje final del rango de progreso
+ * @param {number} options.estimatedDuration - Duración estimada en segundos
+ * @returns {Promise<object>} - Respuesta JSON de la IA
+ */
+async function requestCallSeparation(apiRequest, { videoNumber, totalVideos, videoId, statusText, progressFrom = 0, progressTo = 100, estimatedDuration }) {
+  let startTime = Date.now();
+  let lastUpdate = Date.now();
+  let retryCount = 0;
+
+  // Simular progreso mientras se procesa
+  const progressInterval = setInterval(() => {
+    const elapsed = (Date.now() - startTime) / 1000;
+
+    // Ajustar dinámicamente la estimación si está tomando más tiempo del esperado
+    // Si han pasado más de 5 segundos y el progreso estimado sería > 100%, ajustar la duración estimada
+    if (elapsed > 5 && (elapsed / estimatedDuration) * 100 > 90) {
+      // Ajustar la duración estimada para que el progreso sea más realista
+      estimatedDuration = elapsed / 0.95; // Ajustar para que el progreso esté en ~95% cuando ha pasado este tiempo
+    }
+
+    const linearProgress = Math.min(0.99, (elapsed / estimatedDuration));
+    const estimatedProgress = progressFrom + (progressTo - progressFrom) * linearProgress;
+
+    if (showLogCallback && Date.now() - lastUpdate > 500) {
+      const text = retryCount > 0 ? `${statusText} (reintento ${retryCount})` : statusText;
+      showLogCallback('🤖', videoNumber, totalVideos, videoId, text, Math.min(99, estimatedProgress), elapsed);
+      lastUpdate = Date.now();
+    }
+  }, 500);
+
+  try {
+    // Reintentos y reparación de JSON según la política compartida del proveedor de LLM
+    return await requestChat('callSeparation', apiRequest, {
+      label: 'Procesamiento de datos',
+      videoId,
+      onRetry: (attempt, maxRetries, delay, error) => {
+        retryCount = attempt;
+        // Reiniciar el tiempo de inicio para el nuevo intento
+        startTime = Date.now() + delay;
+        if (showLogCallback) {
+          const reason = error.invalidJson ? 'Respuesta inválida' : 'Error de conexión';
+          showLogCallback('🤖', videoNumber, totalVideos, videoId, `${reason}. Reintentando en ${(delay / 1000).toFixed(0)}s... (${attempt}/${maxRetries})`, null, null);
+        }
+      },
+    });
+  } finally {
+    clearInterval(progressInterval);
+  }
+}
+
+/**
+ * Extrae el array de llamadas de la respuesta JSON de la IA
+ * @param {object} analysis - Respuesta JSON
+ * @returns {Array}
+ */
+function extractCallsFromAnalysis(analysis) {
+  let calls = Array.isArray(analysis.calls) ? analysis.calls : [];
+
+  // Si no hay calls pero hay propiedades start/end, asumir que es una sola llamada
+  if (calls.length === 0 && analysis.start !== undefined && analysis.end !== undefined) {
+    calls = [analysis];
+  }
+  return calls;
+}
+
+/**
+ * Arma el resultado de separateCalls: transcripción, speakers y metadatos de cada llamada validada
+ * @param {Array} validatedCalls - Llamadas validadas (validateAndAdjustCalls)
+ * @param {Array} segments - Segmentos de la transcripción
+ * @param {string} fullTranscription - Transcripción completa
+ * @param {string} separationMethod - 'llm' o 'audio'
+ * @returns {Array<object>}
+ */
+function buildSeparatedCalls(validatedCalls, segments, fullTranscription, separationMethod) {
+  return validatedCalls.map((call) => {
+    const callSegments = segments.filter(
+      (seg) => seg.start >= call.start && seg.end <= call.end
+    );
+    // Conservar quién dijo qué (etiquetas de la diarización)
+    const callTranscription = callSegments.map((seg) => formatSpeakerText(seg)).join(' ');
+
+    return {
+      start: call.start,
+      end: call.end,
+      transcription: callTranscription || fullTranscription,
+      speakers: getSpeakersFromSegments(callSegments),
+      // Preservar todos los metadatos de la IA: name, age, title, topic, tags, description, summary, thumbnail
+      name: call.name,
+      age: call.age,
+      title: call.title,
+      topic: call.topic,
+      tags: call.tags,
+      description: call.description,
+      summary: call.summary,
+      thumbnailScene: call.thumbnailScene,
+      startText: call.startText,
+      endText: call.endText,
+      separationMethod,
+      audioCheck: call.audioCheck || null, // Comparación de los bordes con el audio (config.callSeparation.audioCues)
+    };
+  });
+}
+
 /**
  * Procesa los datos de una transcripción usando IA para identificar y extraer llamadas
+ * Si la transcripción supera el contexto configurado (config.callSeparation), se procesa por
+ * ventanas solapadas de líneas y las llamadas cortadas en los bordes se combinan
+ * Con el audio del episodio (config.callSeparation.audioCues), las canciones, cortinas y silencios
+ * separan las llamadas cuando el LLM no está disponible o falla, y verifican los bordes que propone el LLM
  * @param {Array} segments - Segmentos de la transcripción con timestamps
  * @param {string} fullTranscription - Transcripción completa
  * @param {number} videoNumber - Número del video (para logs)
  * @param {number} totalVideos - Total de videos (para logs)
  * @param {string} videoId - ID del video (para logs)
+ * @param {boolean} savePrompt - Guardar la solicitud enviada al LLM
+ * @param {string} promptOutputPath - Ruta donde guardar la solicitud
+ * @param {string} audioPath - Audio del episodio (opcional, para las señales de audio)
  * @returns {Promise<Array<{start: number, end: number, transcription: string}>>}
  */
-export async function separateCalls(segments, fullTranscription, videoNumber = 1, totalVideos = 1, videoId = '', savePrompt = false, promptOutputPath = null) {
+export async function separateCalls(segments, fullTranscription, videoNumber = 1, totalVideos = 1, videoId = '', savePrompt = false, promptOutputPath = null, audioPath = null) {
   await logInfo(`Video ${videoId}: separateCalls iniciado`);
-  
-  if (!config.openai.apiKey) {
-    throw new Error('OPENAI_API_KEY no configurada');
+
+  const audioCues = audioPath ? config.callSeparation.audioCues : 'off';
+  let audioAnalysis;
+
+  // El audio se analiza una sola vez y solo si hace falta (null si no se pudo analizar)
+  const getAudioAnalysis = async () => {
+    if (audioAnalysis === undefined) {
+      try {
+        if (showLogCallback) {
+          showLogCallback('🎵', videoNumber, totalVideos, videoId, 'Analizando audio (canciones y silencios)', null, null);
+        }
+        audioAnalysis = await analyzeAudioCues(audioPath);
+      } catch (error) {
+        await logWarn(`Video ${videoId}: No se pudo analizar el audio: ${error.message}`);
+        audioAnalysis = null;
+      }
+    }
+    return audioAnalysis;
+  };
+
+  // Llamadas propuestas por el audio cuando no se usa el LLM (null si el audio no propone ninguna)
+  const getAudioFallback = async (reason) => {
+    if (!['fallback', 'both', 'only'].includes(audioCues)) {
+      return null;
+    }
+    const analysis = await getAudioAnalysis();
+    if (!analysis || analysis.calls.length === 0 || segments.length === 0) {
+      return null;
+    }
+    // El audio puede durar más que el último segmento de la transcripción
+    const lastEnd = segments[segments.length - 1].end;
+    const validatedCalls = validateAndAdjustCalls(
+      analysis.calls.map(call => ({ start: call.start, end: Math.min(call.end, lastEnd) })).filter(call => call.end > call.start),
+      segments
+    );
+    if (validatedCalls.length === 0) {
+      return null;
+    }
+    await logWarn(`Video ${videoId}: ${reason}. Llamadas separadas por señales de audio: ${validatedCalls.length}`);
+    return buildSeparatedCalls(validatedCalls, segments, fullTranscription, 'audio');
+  };
+
+  if (audioCues === 'only') {
+    const audioCalls = await getAudioFallback('Separación sin LLM (CALL_SEPARATION_AUDIO_CUES=only)');
+    return audioCalls || getSingleCallFallback(segments, fullTranscription);
+  }
+
+  try {
+    assertLLMConfigured();
+  } catch (error) {
+    const audioCalls = await getAudioFallback(error.message);
+    if (audioCalls) {
+      return audioCalls;
+    }
+    throw error;
   }
   
   // Debug: verificar parámetros de guardado (solo en archivo de log)
@@ -474,272 +621,116 @@ export async function separateCalls(segments, fullTranscription, videoNumber = 1
     await logDebug(`Guardar prompt de procesamiento: ${savePrompt}, path: ${promptOutputPath}`);
   }
 
-  // Declarar variables fuera del try para que estén disponibles en el catch
-  let progressInterval = null;
-
   try {
     await logInfo(`Video ${videoId}: Cargando prompts de procesamiento`);
-    
-    // Enviar transcripción completa con timestamps (SRT completo)
-    // GPT-5.2 tiene suficiente contexto (128k tokens) para procesar la transcripción completa
-    
-    // Simular progreso mientras se procesa
     const startTime = Date.now();
-    let lastUpdate = Date.now();
     
     // Estimar tiempo basado en la longitud de la transcripción
     const transcriptionLength = fullTranscription.length;
-    let estimatedDuration = Math.max(10, Math.min(60, transcriptionLength / 10000)); // 10k caracteres por segundo (ratio duplicado), mínimo 10s, máximo 60s
-    let lastElapsed = 0;
-    
-    await logInfo(`Video ${videoId}: Transcripción length: ${transcriptionLength}, duración estimada: ${estimatedDuration}s`);
+    const estimateDuration = (length) => Math.max(10, Math.min(60, length / 10000)); // 10k caracteres por segundo (ratio duplicado), mínimo 10s, máximo 60s
     
-    // Función auxiliar para detectar errores de conexión
-    const isConnectionError = (error) => {
-      const errorMessage = error.message || '';
-      const errorCode = error.code || '';
-      return (
-        errorMessage.includes('Connection error') ||
-        errorMessage.includes('ECONNREFUSED') ||
-        errorMessage.includes('ECONNRESET') ||
-        errorMessage.includes('ETIMEDOUT') ||
-        errorMessage.includes('ENOTFOUND') ||
-        errorMessage.includes('network') ||
-        errorMessage.includes('fetch failed') ||
-        errorCode === 'ECONNREFUSED' ||
-        errorCode === 'ECONNRESET' ||
-        errorCode === 'ETIMEDOUT' ||
-        errorCode === 'ENOTFOUND'
-      );
-    };
+    await logInfo(`Video ${videoId}: Transcripción length: ${transcriptionLength}, duración estimada: ${estimateDuration(transcriptionLength)}s`);
     
     // Cargar prompts desde el archivo
     const { systemMessage, userMessageTemplate } = await loadCallSeparationPrompt();
     
-    await logInfo(`Video ${videoId}: Prompts cargados, preparando mensaje`);
-    
-    // Reemplazar el placeholder de transcripción con la transcripción real
-    const userMessage = userMessageTemplate.replace('[TRANSCRIPCIÓN COMPLETA AQUÍ]', fullTranscription);
+    // Transcripciones que no entran en el contexto del modelo se procesan por ventanas
+    const windows = buildSeparationWindows(fullTranscription) || [
+      { index: 0, firstLine: 1, lastLine: segments.length, text: fullTranscription },
+    ];
+    const windowed = windows.length > 1;
+    if (windowed) {
+      await logInfo(`Video ${videoId}: Transcripción dividida en ${windows.length} ventanas de ${config.callSeparation.windowLines} líneas (solapamiento ${config.callSeparation.overlapLines})`);
+    }
     
-    await logInfo(`Video ${videoId}: Mensaje preparado, length: ${userMessage.length}`);
-
-    // Sistema de reintentos para errores de conexión
-    const maxRetries = 3;
-    let retryCount = 0;
-    let response;
+    // Temperatura baja para respuestas más estrictas y precisas
+    const apiRequests = windows.map(window => buildChatRequest(
+      'callSeparation',
+      systemMessage,
+      userMessageTemplate.replace('[TRANSCRIPCIÓN COMPLETA AQUÍ]', window.text),
+      { temperature: 0.1, jsonMode: false }
+    ));
     
-    await logInfo(`Video ${videoId}: Iniciando llamada a OpenAI API`);
+    await logInfo(`Video ${videoId}: Mensaje preparado, length: ${apiRequests.reduce((total, request) => total + request.messages[1].content.length, 0)}`);
     
-    while (retryCount <= maxRetries) {
+    // Guardar prompt si está habilitado (justo antes de la llamada a la API)
+    if (savePrompt && promptOutputPath) {
       try {
-        // Preparar el objeto de la solicitud que se enviará a la API
-        const apiRequest = {
-          model: 'gpt-5.2', // GPT-5.2 - mejor razonamiento, memoria extendida y 38% menos errores
-          messages: [
-            {
-              role: 'system',
-              content: systemMessage,
-            },
-            {
-              role: 'user',
-              content: userMessage,
-            },
-          ],
-          temperature: 0.1, // Temperatura baja para respuestas más estrictas y precisas
-        };
-        
-        // Guardar prompt si está habilitado (justo antes de la llamada a la API)
-        await logDebug(`Verificando guardado - retryCount: ${retryCount}, savePrompt: ${savePrompt}, promptOutputPath: ${promptOutputPath}`);
-        if (savePrompt && promptOutputPath && retryCount === 0) {
-          
-          const { existsSync } = await import('fs');
-          
-          try {
-            await logDebug(`Intentando guardar prompt en: ${promptOutputPath}`);
-            
-            await writeFile(promptOutputPath, JSON.stringify(apiRequest, null, 2), 'utf-8');
-            
-            const fileExists = existsSync(promptOutputPath);
-            
-            if (fileExists) {
-              const { statSync } = await import('fs');
-              const stats = statSync(promptOutputPath);
-            }
-            
-            await logDebug(`Prompt guardado exitosamente: ${promptOutputPath}`);
-            console.log(`✅ Prompt guardado exitosamente: ${promptOutputPath}`);
-          } catch (error) {
-            await logError(`Error al guardar prompt de procesamiento: ${error.message}`);
-            await logError(`Stack: ${error.stack}`);
-          }
-        } else if (retryCount === 0) {
-          await logDebug(`No se guardará prompt - savePrompt: ${savePrompt}, promptOutputPath: ${promptOutputPath}, retryCount: ${retryCount}`);
-        }
-        
-        // Loguear el prompt en el archivo de log (solo en el primer intento)
-        if (retryCount === 0) {
-          await logAIPrompt('Procesamiento de datos', videoId, apiRequest);
-        }
-        
-        await logInfo(`Video ${videoId}: Llamando a OpenAI API (intento ${retryCount + 1})`);
-        
-        // Simular progreso mientras se procesa
-        progressInterval = setInterval(() => {
-          const elapsed = (Date.now() - startTime) / 1000;
-          
-          // Ajustar dinámicamente la estimación si está tomando más tiempo del esperado
-          // Si han pasado más de 5 segundos y el progreso estimado sería > 100%, ajustar la duración estimada
-          if (elapsed > 5 && (elapsed / estimatedDuration) * 100 > 90) {
-            // Ajustar la duración estimada para que el progreso sea más realista
-            estimatedDuration = elapsed / 0.95; // Ajustar para que el progreso esté en ~95% cuando ha pasado este tiempo
-          }
-          
-          // Calcular progreso con función logarítmica para que avance más rápido al inicio y más lento al final
-          const linearProgress = Math.min(0.99, (elapsed / estimatedDuration));
-          // Aplicar curva logarítmica suave para que el progreso no se estanque
-          const estimatedProgress = Math.min(99, linearProgress * 100);
-          
-          if (showLogCallback && Date.now() - lastUpdate > 500) {
-            const statusText = retryCount > 0 ? `Procesando contenido (reintento ${retryCount})` : 'Procesando contenido';
-            showLogCallback('🤖', videoNumber, totalVideos, videoId, statusText, estimatedProgress, elapsed);
-            lastUpdate = Date.now();
-            lastElapsed = elapsed;
-          }
-        }, 500);
-        
-        response = await openai.chat.completions.create(apiRequest);
-        
-        await logInfo(`Video ${videoId}: Respuesta recibida de OpenAI`);
-        await logInfo(`Video ${videoId}: Longitud de respuesta: ${response.choices[0].message.content.length}`);
-        
-        // Éxito: salir del bucle de reintentos
-        break;
-      } catch (apiError) {
-        // Limpiar intervalo de progreso
-        if (progressInterval) {
-          clearInterval(progressInterval);
-          progressInterval = null;
-        }
-        
-        // Si es un error de conexión y aún tenemos reintentos disponibles
-        if (isConnectionError(apiError) && retryCount < maxRetries) {
-          retryCount++;
-          const delay = Math.min(5000 * retryCount, 15000); // Backoff exponencial: 5s, 10s, 15s
-          
-          if (showLogCallback) {
-            showLogCallback('🤖', videoNumber, totalVideos, videoId, `Error de conexión. Reintentando en ${delay/1000}s... (${retryCount}/${maxRetries})`, null, null);
-          }
-          
-          // Esperar antes de reintentar
-          await new Promise(resolve => setTimeout(resolve, delay));
-          
-          // Reiniciar el tiempo de inicio para el nuevo intento
-          startTime = Date.now();
-          lastUpdate = Date.now();
-          continue; // Reintentar
-        }
-        
-        // Si no es un error de conexión o se agotaron los reintentos, lanzar el error
-        if (isConnectionError(apiError)) {
-          throw new Error('Error de conexión con la API de OpenAI después de varios intentos. Verifica tu conexión a internet y que la API key sea válida.');
-        } else {
-          throw apiError; // Re-lanzar otros errores
-        }
+        await logDebug(`Intentando guardar prompt en: ${promptOutputPath}`);
+        await writeFile(promptOutputPath, JSON.stringify(windowed ? apiRequests : apiRequests[0], null, 2), 'utf-8');
+        await logDebug(`Prompt guardado exitosamente: ${promptOutputPath}`);
+        console.log(`✅ Prompt guardado exitosamente: ${promptOutputPath}`);
+      } catch (error) {
+        await logError(`Error al guardar prompt de procesamiento: ${error.message}`);
+        await logError(`Stack: ${error.stack}`);
       }
+    } else {
+      await logDebug(`No se guardará prompt - savePrompt: ${savePrompt}, promptOutputPath: ${promptOutputPath}`);
     }
     
-    // Limpiar intervalo de progreso si aún está activo
-    if (progressInterval) {
-      clearInterval(progressInterval);
-    }
+    await logInfo(`Video ${videoId}: Llamando al LLM (${apiRequests[0].model})`);
     
-    const elapsed = (Date.now() - startTime) / 1000;
-    if (showLogCallback) {
-      showLogCallback('🤖', videoNumber, totalVideos, videoId, 'Procesando contenido', 100, elapsed);
-    }
-
-    // Extraer JSON de la respuesta (puede venir con texto adicional)
-    let responseText = response.choices[0].message.content.trim();
-    
-    // Intentar extraer JSON si viene envuelto en texto
-    // Buscar el primer { y el último } balanceado
-    let jsonStart = responseText.indexOf('{');
-    let jsonEnd = -1;
-    
-    if (jsonStart !== -1) {
-      let braceCount = 0;
-      for (let i = jsonStart; i < responseText.length; i++) {
-        if (responseText[i] === '{') braceCount++;
-        if (responseText[i] === '}') {
-          braceCount--;
-          if (braceCount === 0) {
-            jsonEnd = i + 1;
-            break;
-          }
+    let calls;
+    if (!windowed) {
+      let analysis;
+      try {
+        analysis = await requestCallSeparation(apiRequests[0], {
+          videoNumber,
+          totalVideos,
+          videoId,
+          statusText: 'Procesando contenido',
+          estimatedDuration: estimateDuration(transcriptionLength),
+        });
+      } catch (error) {
+        if (!error.invalidJson) {
+          throw error;
         }
+        // Si no se pudo obtener un JSON válido, separar por el audio o retornar toda la transcripción como una llamada
+        const audioCalls = await getAudioFallback(error.message);
+        if (audioCalls) {
+          return audioCalls;
+        }
+        await logWarn(`Video ${videoId}: ${error.message}. Usando la transcripción completa como una llamada`);
+        return getSingleCallFallback(segments, fullTranscription);
       }
       
-      if (jsonEnd !== -1) {
-        responseText = responseText.substring(jsonStart, jsonEnd);
-      } else {
-        // Si no se encuentra el cierre balanceado, intentar con regex
-        const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-          responseText = jsonMatch[0];
+      await logInfo(`Video ${videoId}: Respuesta recibida del LLM`);
+      calls = extractCallsFromAnalysis(analysis);
+    } else {
+      const windowCalls = [];
+      for (const window of windows) {
+        const progressFrom = (window.index / windows.length) * 100;
+        try {
+          const analysis = await requestCallSeparation(apiRequests[window.index], {
+            videoNumber,
+            totalVideos,
+            videoId,
+            statusText: `Procesando contenido (ventana ${window.index + 1}/${windows.length})`,
+            progressFrom,
+            progressTo: progressFrom + 100 / windows.length,
+            estimatedDuration: estimateDuration(window.text.length),
+          });
+          const found = extractCallsFromAnalysis(analysis)
+            .map(call => normalizeWindowCall(call, segments))
+            .filter(Boolean);
+          windowCalls.push({ window, calls: found });
+          await logInfo(`Video ${videoId}: Ventana ${window.index + 1}/${windows.length} (líneas ${window.firstLine}-${window.lastLine}): ${found.length} llamadas`);
+        } catch (error) {
+          if (!error.invalidJson) {
+            throw error;
+          }
+          // Las llamadas de esta ventana pueden quedar cubiertas por las ventanas vecinas
+          await logWarn(`Video ${videoId}: Ventana ${window.index + 1}/${windows.length} omitida: ${error.message}`);
         }
       }
-    }
-    
-    // Limpiar el JSON: remover comentarios y caracteres problemáticos
-    const cleanedJson = responseText
-      .replace(/\/\*[\s\S]*?\*\//g, '') // Remover comentarios /* */
-      .replace(/\/\/.*$/gm, '') // Remover comentarios //
-      .replace(/,\s*}/g, '}') // Remover comas finales antes de }
-      .replace(/,\s*]/g, ']'); // Remover comas finales antes de ]
-    
-    responseText = cleanedJson;
-    
-    // Parsear respuesta
-    let analysis;
-    try {
-      analysis = JSON.parse(responseText);
-    } catch (parseError) {
-      // console.warn('Error al parsear JSON de procesamiento de datos:', parseError.message);
-      // console.warn('Respuesta recibida (primeros 500 caracteres):', responseText.substring(0, 500));
       
-      // Intentar reparar JSON común: comas finales, comillas no cerradas, etc.
-      try {
-        // Intentar reparar comas finales
-        let repairedJson = responseText
-          .replace(/,(\s*[}\]])/g, '$1') // Remover comas antes de } o ]
-          .replace(/([^"])\s*:\s*([^",\[\]{}]+)\s*([,}])/g, '$1: "$2"$3') // Agregar comillas a valores sin comillas
-          .replace(/'/g, '"'); // Reemplazar comillas simples por dobles
-        
-        analysis = JSON.parse(repairedJson);
-        // console.log('✅ JSON reparado exitosamente');
-      } catch (repairError) {
-        // console.warn('No se pudo reparar el JSON, usando fallback');
-        // Si falla el parsing, retornar toda la transcripción como una llamada
-        const firstSegment = segments[0];
-        const lastSegment = segments[segments.length - 1];
-        return [
-          {
-            start: firstSegment?.start || 0,
-            end: lastSegment?.end || 0,
-            transcription: fullTranscription,
-          },
-        ];
-      }
+      calls = mergeWindowCalls(windowCalls, windows);
+      await logInfo(`Video ${videoId}: Llamadas combinadas de las ventanas: ${calls.length}`);
     }
     
-    // Extraer el array de llamadas del objeto JSON
-    let calls = analysis.calls || [];
-    
-    await logInfo(`Video ${videoId}: Parseando respuesta JSON`);
-    
-    // Si no hay calls pero hay propiedades start/end, asumir que es una sola llamada
-    if (calls.length === 0 && analysis.start !== undefined && analysis.end !== undefined) {
-      calls = [analysis];
+    const elapsed = (Date.now() - startTime) / 1000;
+    if (showLogCallback) {
+      showLogCallback('🤖', videoNumber, totalVideos, videoId, 'Procesando contenido', 100, elapsed);
     }
     
     await logInfo(`Video ${videoId}: Calls extraídas del JSON: ${calls.length}`);
@@ -778,8 +769,27 @@ export async function separateCalls(segments, fullTranscription, videoNumber = 1
       return convertLineNumberToTimestamp(call, segments);
     });
 
-    // Validar y ajustar timestamps usando los segmentos reales
-    const validatedCalls = validateAndAdjustCalls(callsWithTimestamps, segments);
+    // Verificar los bordes del LLM contra las canciones y silencios del audio antes de aceptarlos
+    let checkedCalls = callsWithTimestamps;
+    if (['crosscheck', 'both'].includes(audioCues)) {
+      const analysis = await getAudioAnalysis();
+      if (analysis) {
+        const check = crossCheckCalls(callsWithTimestamps, analysis);
+        checkedCalls = check.calls;
+        for (const [index, call] of checkedCalls.entries()) {
+          if (call.audioCheck && !call.audioCheck.agrees) {
+            await logWarn(`Video ${videoId}: Llamada ${index + 1} (${formatTime(call.start)}-${formatTime(call.end)}) no coincide con el audio: ${call.audioCheck.issues.join('; ')}`);
+          }
+        }
+        for (const missed of check.missedCalls) {
+          await logWarn(`Video ${videoId}: El audio tiene un tramo de voz sin llamada del LLM (${formatTime(missed.start)}-${formatTime(missed.end)})`);
+        }
+        await logInfo(`Video ${videoId}: Verificación con el audio: ${check.disagreements} de ${checkedCalls.length} llamada(s) con diferencias, ${check.missedCalls.length} tramo(s) sin llamada`);
+      }
+    }
+
+    // Validar y ajustar timestamps usando los segmentos reales (audioCheck queda con la comparación de los bordes originales)
+    const validatedCalls = validateAndAdjustCalls(checkedCalls, segments);
     
     // Log de las llamadas validadas (comentado para mantener una sola línea)
     // console.log(`✅ Llamadas validadas: ${validatedCalls.length}`);
@@ -787,73 +797,33 @@ export async function separateCalls(segments, fullTranscription, videoNumber = 1
     //   console.log(`   Llamada ${idx + 1}: start=${formatTime(call.start)}, end=${formatTime(call.end)}`);
     // });
 
-    // Si no se encontraron separaciones, retornar toda la transcripción como una llamada
+    // Si no se encontraron separaciones, separar por el audio o retornar toda la transcripción como una llamada
     if (validatedCalls.length === 0) {
-      const firstSegment = segments[0];
-      const lastSegment = segments[segments.length - 1];
-      
-      return [
-        {
-          start: firstSegment?.start || 0,
-          end: lastSegment?.end || 0,
-          transcription: fullTranscription,
-        },
-      ];
+      return (await getAudioFallback('El LLM no devolvió llamadas válidas')) || getSingleCallFallback(segments, fullTranscription);
     }
 
     // Extraer transcripciones para cada llamada y preservar todos los metadatos
-    return validatedCalls.map((call) => {
-      const callSegments = segments.filter(
-        (seg) => seg.start >= call.start && seg.end <= call.end
-      );
-      const callTranscription = callSegments.map((seg) => seg.text).join(' ');
-
-      return {
-        start: call.start,
-        end: call.end,
-        transcription: callTranscription || fullTranscription,
-        // Preservar todos los metadatos de la IA: name, age, title, topic, tags, description, summary, thumbnail
-        name: call.name,
-        age: call.age,
-        title: call.title,
-        topic: call.topic,
-        tags: call.tags,
-        description: call.description,
-        summary: call.summary,
-        thumbnailScene: call.thumbnailScene,
-        startText: call.startText,
-        endText: call.endText,
-      };
-    });
+    return buildSeparatedCalls(validatedCalls, segments, fullTranscription, 'llm');
     
   } catch (error) {
     await logError(`Video ${videoId}: ERROR en separateCalls: ${error.message}`);
     await logError(`Video ${videoId}: Stack: ${error.stack}`);
-    // Limpiar intervalo de progreso si aún está activo
-    if (progressInterval) {
-      clearInterval(progressInterval);
-    }
     
     // Si es un error de conexión después de reintentos, mostrar mensaje
     if (error.message && error.message.includes('Error de conexión')) {
-      // El error ya fue lanzado con un mensaje descriptivo, re-lanzarlo
+      // Sin conexión con el LLM, separar por el audio si está disponible; si no, re-lanzar el error descriptivo
+      const audioCalls = await getAudioFallback(error.message);
+      if (audioCalls) {
+        return audioCalls;
+      }
       throw error;
     }
     
     // Para otros errores, usar fallback pero mostrar el error
     await logWarn(`Video ${videoId}: Usando fallback por error en separateCalls`);
     
-    // Fallback: retornar toda la transcripción como una llamada
-    const firstSegment = segments[0];
-    const lastSegment = segments[segments.length - 1];
-    
-    return [
-      {
-        start: firstSegment?.start || 0,
-        end: lastSegment?.end || 0,
-        transcription: fullTranscription,
-      },
-    ];
+    // Fallback: separar por el audio o retornar toda la transcripción como una llamada
+    return (await getAudioFallback(error.message)) || getSingleCallFallback(segments, fullTranscription);
   }
 }
 
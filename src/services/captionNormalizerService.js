@@ -0,0 +1,215 @@
+import config from '../config/config.js';
+
+// Palabras de la línea anterior que se buscan al inicio de cada subtítulo (los automáticos repiten la línea previa)
+const MAX_OVERLAP_WORDS = 50;
+// Subtítulos más cortos que esto son transiciones de los subtítulos automáticos (repiten texto ya mostrado)
+const TRANSITION_CUE_SECONDS = 0.05;
+// Proporción mínima de palabras con puntuación para considerar que los subtítulos ya vienen puntuados
+const PUNCTUATED_MIN_RATIO = 0.02;
+// Palabras que abren una pregunta (se restaura ¿...?)
+const QUESTION_WORDS = new Set(['qué', 'cómo', 'cuándo', 'dónde', 'adónde', 'quién', 'quiénes', 'cuál', 'cuáles', 'cuánto', 'cuánta', 'cuántos', 'cuántas']);
+
+/**
+ * Limpia el texto de un subtítulo: etiquetas HTML o de tiempo, anotaciones ([Música], [Aplausos]) y entidades
+ * El cambio de speaker (>>) se conserva como marca para cortar el subtítulo
+ * @param {string} text - Texto del subtítulo
+ * @returns {string}
+ */
+function cleanCaptionText(text) {
+  return String(text || '')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&gt;&gt;|>>/g, ' >> ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/\[[^\]]*\]|\([^)]*(música|aplausos|risas)[^)]*\)/gi, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Forma comparable de una palabra (sin mayúsculas ni puntuación)
+ * @param {string} word - Palabra
+ * @returns {string}
+ */
+function wordKey(word) {
+  return word.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+/**
+ * Cantidad de palabras del final del flujo que el subtítulo repite al inicio
+ * @param {Array<object>} stream - Palabras acumuladas
+ * @param {Array<string>} words - Palabras del subtítulo
+ * @returns {number}
+ */
+function findRollingOverlap(stream, words) {
+  const maxOverlap = Math.min(MAX_OVERLAP_WORDS, stream.length, words.length);
+  for (let size = maxOverlap; size > 0; size--) {
+    let matches = true;
+    for (let i = 0; i < size; i++) {
+      if (stream[stream.length - size + i].key !== wordKey(words[i])) {
+        matches = false;
+        break;
+      }
+    }
+    if (matches) {
+      return size;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Convierte los subtítulos en un flujo de palabras con tiempos estimados, sin las repeticiones de los
+ * subtítulos automáticos (cada subtítulo repite la línea anterior y agrega la nueva)
+ * @param {Array<object>} segments - Subtítulos ({ start, end, text })
+ * @returns {Array<{word: string, key: string, start: number, end: number, breakBefore: boolean}>}
+ */
+function buildWordStream(segments) {
+  const stream = [];
+  let previousEnd = 0;
+
+  const cues = segments
+    .map(segment => ({ start: segment.start, end: segment.end, text: cleanCaptionText(segment.text) }))
+    .filter(cue => cue.text && cue.end >= cue.start)
+    .sort((a, b) => a.start - b.start);
+
+  for (const cue of cues) {
+    const tokens = cue.text.split(' ');
+    const words = tokens.filter(token => token !== '>>');
+    const overlap = findRollingOverlap(stream, words);
+    // Una sola palabra repetida solo se descarta si el subtítulo se solapa con el anterior o es una transición
+    const isRolling = overlap >= 2 || cue.start < previousEnd - 0.01 || cue.end - cue.start < TRANSITION_CUE_SECONDS;
+    const skip = isRolling ? overlap : 0;
+    previousEnd = Math.max(previousEnd, cue.end);
+
+    // Los >> que quedan dentro de la parte repetida ya se aplicaron
+    let wordIndex = 0;
+    let breakBefore = false;
+    const newWords = [];
+    for (const token of tokens) {
+      if (token === '>>') {
+        breakBefore = wordIndex >= skip;
+        continue;
+      }
+      if (wordIndex >= skip) {
+        newWords.push({ word: token, breakBefore });
+      }
+      breakBefore = false;
+      wordIndex++;
+    }
+    if (newWords.length === 0) {
+      continue;
+    }
+
+    // Repartir el tiempo del subtítulo entre las palabras nuevas
+    const lastEnd = stream.length > 0 ? stream[stream.length - 1].end : 0;
+    const start = Math.min(Math.max(cue.start, lastEnd), cue.end);
+    const step = (cue.end - start) / newWords.length;
+    newWords.forEach((item, index) => {
+      stream.push({
+        word: item.word,
+        key: wordKey(item.word),
+        start: start + step * index,
+        end: start + step * (index + 1),
+        breakBefore: item.breakBefore,
+      });
+    });
+  }
+
+  return stream;
+}
+
+/**
+ * Indica si una palabra cierra una oración
+ * @param {string} word - Palabra
+ * @returns {boolean}
+ */
+function endsSentence(word) {
+  return /[.?!…]["»”')]*$/.test(word);
+}
+
+/**
+ * Restaura la puntuación de una oración sin puntuar (punto final, o ¿...? si empieza con palabra interrogativa)
+ * @param {string} text - Oración
+ * @returns {string}
+ */
+function punctuateSentence(text) {
+  const trimmed = text.replace(/[,;:]+$/, '');
+  const firstWord = wordKey(trimmed.split(' ')[0]);
+  if (QUESTION_WORDS.has(firstWord)) {
+    return `¿${trimmed}?`;
+  }
+  return `${trimmed}.`;
+}
+
+/**
+ * Pone en mayúscula la primera letra de un texto (respetando signos de apertura)
+ * @param {string} text - Texto
+ * @returns {string}
+ */
+function capitalize(text) {
+  return text.replace(/^([¿¡"«“(]*)(\p{L})/u, (match, prefix, letter) => `${prefix}${letter.toUpperCase()}`);
+}
+
+/**
+ * Normaliza subtítulos de YouTube: une las repeticiones de los subtítulos automáticos, re-segmenta el texto
+ * en subtítulos por oración (cortando en la puntuación, en pausas, en cambios de speaker o al superar
+ * config.transcription.youtubeCaptions.maxCueSeconds / maxCueWords) con tiempos corregidos, y restaura
+ * puntuación y mayúsculas cuando los subtítulos no las traen
+ * @param {Array<object>} segments - Subtítulos parseados ({ start, end, text })
+ * @returns {Array<{start: number, end: number, text: string}>}
+ */
+export function normalizeCaptionSegments(segments) {
+  const { pauseSeconds, maxCueSeconds, maxCueWords } = config.transcription.youtubeCaptions;
+  const stream = buildWordStream(segments || []);
+  if (stream.length === 0) {
+    return [];
+  }
+
+  const punctuatedWords = stream.filter(item => /[.,?!…;:]$/.test(item.word)).length;
+  const hasPunctuation = punctuatedWords / stream.length >= PUNCTUATED_MIN_RATIO;
+
+  const cues = [];
+  let current = [];
+  // El subtítulo anterior terminó una oración (el siguiente empieza con mayúscula)
+  let sentenceStart = true;
+
+  const flush = (closesSentence) => {
+    if (current.length === 0) {
+      return;
+    }
+    let text = current.map(item => item.word).join(' ');
+    if (!hasPunctuation && closesSentence) {
+      text = punctuateSentence(text);
+    }
+    if (sentenceStart) {
+      text = capitalize(text);
+    }
+    cues.push({ start: current[0].start, end: current[current.length - 1].end, text });
+    sentenceStart = hasPunctuation ? endsSentence(text) : closesSentence;
+    current = [];
+  };
+
+  for (let i = 0; i < stream.length; i++) {
+    const item = stream[i];
+    if (item.breakBefore) {
+      flush(true);
+    }
+    current.push(item);
+
+    const next = stream[i + 1];
+    if (!next) {
+      break;
+    }
+    if (hasPunctuation && endsSentence(item.word)) {
+      flush(true);
+    } else if (next.start - item.end >= pauseSeconds) {
+      flush(!hasPunctuation);
+    } else if (current.length >= maxCueWords || next.end - current[0].start > maxCueSeconds) {
+      flush(false);
+    }
+  }
+  flush(true);
+
+  return cues;
+}
@@ -0,0 +1,210 @@
+// Estilo por defecto de los subtítulos karaoke (coordenadas en píxeles del video 1080x1920)
+export const DEFAULT_CAPTION_STYLE = {
+  fontName: 'Arial',
+  fontSize: 72,
+  primaryColor: '#FFFFFF', // Color del texto
+  highlightColor: '#FFD400', // Color de la palabra que se está diciendo
+  outlineColor: '#000000',
+  outlineWidth: 4,
+  bold: true,
+  uppercase: false,
+  position: 'middle', // top, middle, bottom
+  marginV: 60,
+  maxWordsPerLine: 5,
+};
+
+// Alineación ASS (teclado numérico) por posición
+const ASS_ALIGNMENT = {
+  top: 8,
+  middle: 5,
+  bottom: 2,
+};
+
+// Altura de referencia del filtro subtitles de ffmpeg para archivos SRT (PlayResY por defecto)
+const SRT_PLAY_RES_Y = 288;
+
+/**
+ * Convierte un color hexadecimal (#RRGGBB) al formato de color ASS (&H00BBGGRR)
+ * @param {string} hexColor - Color en formato #RRGGBB
+ * @returns {string} - Color en formato ASS
+ */
+function toASSColor(hexColor) {
+  const hex = hexColor.replace('#', '');
+  const red = hex.substring(0, 2);
+  const green = hex.substring(2, 4);
+  const blue = hex.substring(4, 6);
+  return `&H00${blue}${green}${red}`.toUpperCase();
+}
+
+/**
+ * Valida y completa el estilo de subtítulos recibido en la solicitud
+ * @param {object} style - Estilo parcial (fontName, fontSize, primaryColor, highlightColor, outlineColor, outlineWidth, bold, uppercase, position, marginV, maxWordsPerLine)
+ * @returns {object} - Estilo completo
+ * @throws {Error} - Si algún valor es inválido
+ */
+export function normalizeCaptionStyle(style = {}) {
+  if (style === null || typeof style !== 'object' || Array.isArray(style)) {
+    throw new Error('captionStyle debe ser un objeto');
+  }
+
+  const normalized = { ...DEFAULT_CAPTION_STYLE, ...style };
+
+  ['primaryColor', 'highlightColor', 'outlineColor'].forEach(key => {
+    if (typeof normalized[key] !== 'string' || !/^#?[0-9a-fA-F]{6}$/.test(normalized[key])) {
+      throw new Error(`captionStyle.${key} debe ser un color hexadecimal (#RRGGBB)`);
+    }
+  });
+
+  if (!ASS_ALIGNMENT[normalized.position]) {
+    throw new Error(`captionStyle.position debe ser uno de: ${Object.keys(ASS_ALIGNMENT).join(', ')}`);
+  }
+
+  if (typeof normalized.fontName !== 'string' || !normalized.fontName.trim() || /[,{}\\]/.test(normalized.fontName)) {
+    throw new Error('captionStyle.fontName no es válido');
+  }
+
+  const numericLimits = {
+    fontSize: [10, 300],
+    outlineWidth: [0, 20],
+    marginV: [0, 1000],
+    maxWordsPerLine: [1, 20],
+  };
+  Object.entries(numericLimits).forEach(([key, [min, max]]) => {
+    const value = Number(normalized[key]);
+    if (!Number.isFinite(value) || value < min || value > max) {
+      throw new Error(`captionStyle.${key} debe ser un número entre ${min} y ${max}`);
+    }
+    normalized[key] = key === 'maxWordsPerLine' ? Math.round(value) : value;
+  });
+
+  normalized.fontName = normalized.fontName.trim();
+  normalized.bold = Boolean(normalized.bold);
+  normalized.uppercase = Boolean(normalized.uppercase);
+  return normalized;
+}
+
+/**
+ * Formatea tiempo en formato ASS (H:MM:SS.cc)
+ * @param {number} seconds - Tiempo en segundos
+ * @returns {string} - Tiempo formateado
+ */
+function formatASSTime(seconds) {
+  const totalCentiseconds = Math.max(0, Math.round(seconds * 100));
+  const hours = Math.floor(totalCentiseconds / 360000);
+  const minutes = Math.floor((totalCentiseconds % 360000) / 6000);
+  const secs = Math.floor((totalCentiseconds % 6000) / 100);
+  const centiseconds = totalCentiseconds % 100;
+  return `${hours}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}.${String(centiseconds).padStart(2, '0')}`;
+}
+
+/**
+ * Escapa texto para una línea Dialogue de ASS (llaves y barras invertidas son comandos)
+ * @param {string} text - Texto a escapar
+ * @returns {string}
+ */
+function escapeASSText(text) {
+  return text.replace(/\\/g, '/').replace(/[{}]/g, '').replace(/\s+/g, ' ');
+}
+
+/**
+ * Agrupa las palabras de los segmentos en líneas de subtítulo
+ * Una línea nunca mezcla palabras de dos segmentos (cambio de speaker o pausa)
+ * @param {Array} segments - Segmentos con words [{word, start, end}]
+ * @param {number} maxWordsPerLine - Máximo de palabras por línea
+ * @returns {Array<{start: number, end: number, words: Array}>}
+ */
+function buildCaptionLines(segments, maxWordsPerLine) {
+  const lines = [];
+  segments.forEach(segment => {
+    const words = (segment.words || []).filter(word => word.word && word.word.trim() && word.end >= word.start);
+    for (let i = 0; i < words.length; i += maxWordsPerLine) {
+      const lineWords = words.slice(i, i + maxWordsPerLine);
+      lines.push({
+        start: lineWords[0].start,
+        end: lineWords[lineWords.length - 1].end,
+        words: lineWords,
+      });
+    }
+  });
+
+  // Evitar superposición entre líneas consecutivas
+  for (let i = 0; i < lines.length - 1; i++) {
+    if (lines[i].end > lines[i + 1].start) {
+      lines[i].end = lines[i + 1].start;
+    }
+  }
+  return lines;
+}
+
+/**
+ * Genera subtítulos ASS estilo karaoke: cada línea se muestra completa y la palabra que se está
+ * diciendo se resalta con highlightColor
+ * @param {Array} segments - Segmentos con timestamps por palabra (contenido de <archivo>.words.json)
+ * @param {object} style - Estilo normalizado (normalizeCaptionStyle)
+ * @param {object} resolution - Resolución del video ({ width, height })
+ * @returns {string} - Contenido del archivo .ass
+ */
+export function generateKaraokeASS(segments, style = DEFAULT_CAPTION_STYLE, resolution = { width: 1080, height: 1920 }) {
+  const primaryColor = toASSColor(style.primaryColor);
+  const outlineColor = toASSColor(style.outlineColor);
+  // Los tags de color en línea usan el formato &HBBGGRR& (sin canal alfa)
+  const inlinePrimaryColor = `&H${primaryColor.substring(4)}&`;
+  const inlineHighlightColor = `&H${toASSColor(style.highlightColor).substring(4)}&`;
+
+  let ass = '[Script Info]\n';
+  ass += 'ScriptType: v4.00+\n';
+  ass += `PlayResX: ${resolution.width}\n`;
+  ass += `PlayResY: ${resolution.height}\n`;
+  ass += 'WrapStyle: 0\n';
+  ass += 'ScaledBorderAndShadow: yes\n\n';
+
+  ass += '[V4+ Styles]\n';
+  ass += 'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding\n';
+  ass += `Style: Karaoke,${style.fontName},${style.fontSize},${primaryColor},${primaryColor},${outlineColor},&H80000000,${style.bold ? -1 : 0},0,0,0,100,100,0,0,1,${style.outlineWidth},0,${ASS_ALIGNMENT[style.position]},60,60,${style.marginV},1\n\n`;
+
+  ass += '[Events]\n';
+  ass += 'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text\n';
+
+  buildCaptionLines(segments, style.maxWordsPerLine).forEach(line => {
+    const texts = line.words.map(word => {
+      const text = escapeASSText(word.word.trim());
+      return style.uppercase ? text.toUpperCase() : text;
+    });
+
+    // Un evento por palabra: la línea completa con la palabra actual resaltada
+    line.words.forEach((word, index) => {
+      const start = index === 0 ? line.start : word.start;
+      const end = index < line.words.length - 1 ? line.words[index + 1].start : line.end;
+      if (end <= start) return;
+
+      const text = texts
+        .map((wordText, wordIndex) => (wordIndex === index ? `{\\c${inlineHighlightColor}}${wordText}{\\c${inlinePrimaryColor}}` : wordText))
+        .join(' ');
+      ass += `Dialogue: 0,${formatASSTime(start)},${formatASSTime(end)},Karaoke,,0,0,0,,${text}\n`;
+    });
+  });
+
+  return ass;
+}
+
+/**
+ * Construye el force_style del filtro subtitles de ffmpeg para un SRT (sin timestamps por palabra)
+ * @param {object} style - Estilo normalizado (normalizeCaptionStyle)
+ * @returns {string} - Valor de force_style
+ */
+export function buildSubtitleForceStyle(style) {
+  // El filtro escala los SRT a una altura de referencia de 288px
+  const fontSize = Math.max(1, Math.round(style.fontSize * SRT_PLAY_RES_Y / 1920));
+  const outline = Math.max(0, Math.round(style.outlineWidth * SRT_PLAY_RES_Y / 1920 * 10) / 10);
+  const marginV = Math.round(style.marginV * SRT_PLAY_RES_Y / 1920);
+  return [
+    `FontName=${style.fontName}`,
+    `FontSize=${fontSize}`,
+    `PrimaryColour=${toASSColor(style.primaryColor)}`,
+    `OutlineColour=${toASSColor(style.outlineColor)}`,
+    `Outline=${outline}`,
+    `Bold=${style.bold ? -1 : 0}`,
+    `Alignment=${ASS_ALIGNMENT[style.position]}`,
+    `MarginV=${marginV}`,
+  ].join(',');
+}
@@ -0,0 +1,364 @@
+import { open, unlink } from 'fs/promises';
+import { existsSync } from 'fs';
+import config from '../config/config.js';
+import { logInfo, logWarn } from './loggerService.js';
+import { convertToPCM, readPCMWindow, PCM_SAMPLE_RATE } from '../utils/audioUtils.js';
+
+// Etiquetas de speakers usadas en segmentos, SRT y metadata
+export const HOST_LABEL = 'Conductor';
+export const CALLER_LABEL = 'Llamante';
+
+/**
+ * Función para mostrar log en formato unificado (importada desde videoController)
+ */
+let showLogCallback = null;
+
+/**
+ * Establece el callback para mostrar logs
+ * @param {Function} callback - Función callback para mostrar logs
+ */
+export function setLogCallback(callback) {
+  showLogCallback = callback;
+}
+
+/**
+ * Modelo y procesador de embeddings de voz (se cargan una vez)
+ */
+let speakerModel = null;
+let speakerProcessor = null;
+
+/**
+ * Carga el modelo de verificación de speakers (x-vectors) en CPU
+ * @returns {Promise<{model: object, processor: object}>}
+ */
+async function loadSpeakerModel() {
+  if (speakerModel && speakerProcessor) {
+    return { model: speakerModel, processor: speakerProcessor };
+  }
+
+  try {
+    // transformers.js se importa al cargar el modelo: los helpers de speakers (separación de llamadas) no lo necesitan
+    const { AutoProcessor, AutoModel } = await import('@xenova/transformers');
+    speakerProcessor = await AutoProcessor.from_pretrained(config.diarization.model);
+    speakerModel = await AutoModel.from_pretrained(config.diarization.model, { quantized: true });
+    return { model: speakerModel, processor: speakerProcessor };
+  } catch (error) {
+    speakerModel = null;
+    speakerProcessor = null;
+    throw new Error(`Error al cargar modelo de diarización: ${error.message}`);
+  }
+}
+
+/**
+ * Agrega la etiqueta del speaker al texto de un segmento (ej: "[Conductor] Hola")
+ * @param {object} segment - Segmento con text y speaker opcional
+ * @returns {string} - Texto con prefijo de speaker
+ */
+export function formatSpeakerText(segment) {
+  const text = (segment.text || '').trim();
+  return segment.speaker ? `[${segment.speaker}] ${text}` : text;
+}
+
+/**
+ * Separa la etiqueta de speaker del texto de una línea de SRT
+ * @param {string} text - Texto de la línea (ej: "[Llamante] Buenas noches")
+ * @returns {{speaker: string|null, text: string}}
+ */
+export function splitSpeakerLabel(text) {
+  const match = (text || '').match(/^\[([^\]]{1,40})\]\s*(.*)$/s);
+  if (!match) {
+    return { speaker: null, text: text || '' };
+  }
+  return { speaker: match[1].trim(), text: match[2] };
+}
+
+/**
+ * Obtiene la lista de speakers presentes en los segmentos (Conductor primero)
+ * @param {Array} segments - Segmentos con speaker
+ * @returns {Array<string>} - Speakers en orden de aparición, vacío si no hay etiquetas
+ */
+export function getSpeakersFromSegments(segments) {
+  const speakers = [];
+  (segments || []).forEach(segment => {
+    if (segment.speaker && !speakers.includes(segment.speaker)) {
+      speakers.push(segment.speaker);
+    }
+  });
+  return speakers.sort((a, b) => (a === HOST_LABEL ? -1 : b === HOST_LABEL ? 1 : 0));
+}
+
+/**
+ * Normaliza un vector (norma L2 = 1)
+ * @param {Float32Array|Array<number>} vector - Vector a normalizar
+ * @returns {Float32Array}
+ */
+function normalizeVector(vector) {
+  let norm = 0;
+  for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+  norm = Math.sqrt(norm) || 1;
+  const normalized = new Float32Array(vector.length);
+  for (let i = 0; i < vector.length; i++) normalized[i] = vector[i] / norm;
+  return normalized;
+}
+
+/**
+ * Similitud coseno entre dos vectores normalizados
+ * @param {Float32Array} a - Vector A
+ * @param {Float32Array} b - Vector B
+ * @returns {number}
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+  return dot;
+}
+
+/**
+ * Agrupa los embeddings de voz en speakers
+ * Asignación en línea contra centroides + fusión de clusters parecidos + absorción de clusters
+ * con muy poco tiempo de habla (ruido, risas, cortinas musicales)
+ * @param {Array<{index: number, embedding: Float32Array, duration: number}>} items - Embeddings por segmento
+ * @returns {Map<number, number>} - Índice de segmento -> cluster
+ */
+function clusterEmbeddings(items) {
+  const { similarityThreshold, minSpeakerSeconds } = config.diarization;
+  let clusters = [];
+
+  const updateCentroid = (cluster) => {
+    const sum = new Float32Array(cluster.members[0].embedding.length);
+    cluster.members.forEach(member => {
+      for (let i = 0; i < sum.length; i++) sum[i] += member.embedding[i] * member.duration;
+    });
+    cluster.centroid = normalizeVector(sum);
+    cluster.duration = cluster.members.reduce((total, member) => total + member.duration, 0);
+  };
+
+  // 1. Asignación en línea
+  items.forEach(item => {
+    let best = null;
+    let bestScore = -1;
+    clusters.forEach(cluster => {
+      const score = cosineSimilarity(item.embedding, cluster.centroid);
+      if (score > bestScore) {
+        bestScore = score;
+        best = cluster;
+      }
+    });
+
+    if (best && bestScore >= similarityThreshold) {
+      best.members.push(item);
+      updateCentroid(best);
+    } else {
+      const cluster = { members: [item] };
+      updateCentroid(cluster);
+      clusters.push(cluster);
+    }
+  });
+
+  // 2. Fusionar clusters cuyos centroides quedaron cerca
+  let merged = true;
+  while (merged && clusters.length > 1) {
+    merged = false;
+    let bestPair = null;
+    let bestScore = similarityThreshold;
+    for (let i = 0; i < clusters.length; i++) {
+      for (let j = i + 1; j < clusters.length; j++) {
+        const score = cosineSimilarity(clusters[i].centroid, clusters[j].centroid);
+        if (score >= bestScore) {
+          bestScore = score;
+          bestPair = [i, j];
+        }
+      }
+    }
+    if (bestPair) {
+      const [i, j] = bestPair;
+      clusters[i].members.push(...clusters[j].members);
+      updateCentroid(clusters[i]);
+      clusters.splice(j, 1);
+      merged = true;
+    }
+  }
+
+  // 3. Absorber clusters con poco tiempo de habla en el cluster más parecido
+  const mainClusters = clusters.filter(cluster => cluster.duration >= minSpeakerSeconds);
+  if (mainClusters.length > 0 && mainClusters.length < clusters.length) {
+    clusters.filter(cluster => cluster.duration < minSpeakerSeconds).forEach(small => {
+      small.members.forEach(member => {
+        let best = mainClusters[0];
+        let bestScore = -1;
+        mainClusters.forEach(cluster => {
+          const score = cosineSimilarity(member.embedding, cluster.centroid);
+          if (score > bestScore) {
+            bestScore = score;
+            best = cluster;
+          }
+        });
+        best.members.push(member);
+      });
+    });
+    mainClusters.forEach(updateCentroid);
+    clusters = mainClusters;
+  }
+
+  const assignments = new Map();
+  clusters.forEach((cluster, clusterIndex) => {
+    cluster.members.forEach(member => assignments.set(member.index, clusterIndex));
+  });
+  return assignments;
+}
+
+/**
+ * Asigna etiquetas legibles a los clusters
+ * El cluster con más tiempo de habla es el conductor (está presente en todas las llamadas);
+ * el resto son llamantes numerados por orden de aparición
+ * @param {Array} segments - Segmentos con cluster asignado
+ * @returns {Map<number, string>} - Cluster -> etiqueta
+ */
+function labelClusters(segments) {
+  const durations = new Map();
+  const firstAppearance = new Map();
+  segments.forEach((segment, index) => {
+    if (segment.cluster === undefined) return;
+    durations.set(segment.cluster, (durations.get(segment.cluster) || 0) + (segment.end - segment.start));
+    if (!firstAppearance.has(segment.cluster)) firstAppearance.set(segment.cluster, index);
+  });
+
+  const labels = new Map();
+  if (durations.size === 0) return labels;
+
+  const hostCluster = [...durations.entries()].sort((a, b) => b[1] - a[1])[0][0];
+  labels.set(hostCluster, HOST_LABEL);
+
+  const callerClusters = [...firstAppearance.keys()]
+    .filter(cluster => cluster !== hostCluster)
+    .sort((a, b) => firstAppearance.get(a) - firstAppearance.get(b));
+  callerClusters.forEach((cluster, index) => {
+    labels.set(cluster, callerClusters.length === 1 ? CALLER_LABEL : `${CALLER_LABEL} ${index + 1}`);
+  });
+  return labels;
+}
+
+/**
+ * Completa los segmentos sin etiqueta (muy cortos) con el speaker del segmento vecino más cercano
+ * y corrige segmentos cortos aislados entre dos segmentos del mismo speaker
+ * @param {Array} segments - Segmentos con speaker (puede faltar en algunos)
+ */
+function smoothSpeakers(segments) {
+  for (let i = 0; i < segments.length; i++) {
+    if (segments[i].speaker) continue;
+    const previous = segments.slice(0, i).reverse().find(segment => segment.speaker);
+    const next = segments.slice(i + 1).find(segment => segment.speaker);
+    if (previous && next) {
+      segments[i].speaker = (segments[i].start - previous.end) <= (next.start - segments[i].end) ? previous.speaker : next.speaker;
+    } else {
+      segments[i].speaker = (previous || next || {}).speaker;
+    }
+  }
+
+  for (let i = 1; i < segments.length - 1; i++) {
+    const duration = segments[i].end - segments[i].start;
+    if (duration < config.diarization.minSegmentSeconds * 1.5 &&
+        segments[i - 1].speaker === segments[i + 1].speaker &&
+        segments[i].speaker !== segments[i - 1].speaker) {
+      segments[i].speaker = segments[i - 1].speaker;
+    }
+  }
+}
+
+/**
+ * Diarización de speakers en CPU: calcula un embedding de voz por segmento de la transcripción,
+ * agrupa los embeddings en speakers y etiqueta cada segmento (Conductor / Llamante)
+ * @param {string} audioPath - Ruta del archivo de audio completo
+ * @param {Array} segments - Segmentos de la transcripción (start, end, text)
+ * @param {number} videoNumber - Número del video (para logs)
+ * @param {number} totalVideos - Total de videos (para logs)
+ * @param {string} videoId - ID del video (para logs)
+ * @returns {Promise<{segments: Array, speakers: Array<string>}>} - Segmentos con speaker y lista de speakers
+ */
+export async function diarizeSegments(audioPath, segments, videoNumber = 1, totalVideos = 1, videoId = '') {
+  if (!segments || segments.length === 0) {
+    return { segments: segments || [], speakers: [] };
+  }
+
+  const startTime = Date.now();
+  const { minSegmentSeconds, maxWindowSeconds } = config.diarization;
+  const labeledSegments = segments.map(segment => ({ ...segment, speaker: undefined }));
+  let pcmPath = null;
+  let fileHandle = null;
+
+  try {
+    if (showLogCallback) {
+      showLogCallback('🗣️', videoNumber, totalVideos, videoId, 'Identificando speakers...', null, null);
+    }
+
+    const { model, processor } = await loadSpeakerModel();
+    pcmPath = await convertToPCM(audioPath, 'diarization');
+    fileHandle = await open(pcmPath, 'r');
+
+    // 1. Embedding de voz por segmento (los segmentos muy cortos se completan después)
+    const items = [];
+    let lastUpdate = 0;
+    for (let i = 0; i < labeledSegments.length; i++) {
+      const segment = labeledSegments[i];
+      const duration = segment.end - segment.start;
+
+      if (duration >= minSegmentSeconds) {
+        // Centrar la ventana en el segmento si es más largo que el máximo
+        const windowDuration = Math.min(duration, maxWindowSeconds);
+        const windowStart = segment.start + (duration - windowDuration) / 2;
+        const samples = await readPCMWindow(fileHandle, windowStart, windowStart + windowDuration);
+
+        if (samples.length >= minSegmentSeconds * PCM_SAMPLE_RATE * 0.5) {
+          const inputs = await processor(samples);
+          const { embeddings } = await model(inputs);
+          items.push({ index: i, embedding: normalizeVector(embeddings.data), duration });
+        }
+      }
+
+      if (showLogCallback && Date.now() - lastUpdate > 500) {
+        showLogCallback('🗣️', videoNumber, totalVideos, videoId, 'Identificando speakers', ((i + 1) / labeledSegments.length) * 100, (Date.now() - startTime) / 1000);
+        lastUpdate = Date.now();
+      }
+    }
+
+    if (items.length === 0) {
+      await logWarn(`Video ${videoId}: Diarización sin segmentos suficientemente largos, se omiten etiquetas de speaker`);
+      return { segments, speakers: [] };
+    }
+
+    // 2. Agrupar y etiquetar
+    const assignments = clusterEmbeddings(items);
+    assignments.forEach((cluster, index) => {
+      labeledSegments[index].cluster = cluster;
+    });
+    const labels = labelClusters(labeledSegments);
+    labeledSegments.forEach(segment => {
+      if (segment.cluster !== undefined) {
+        segment.speaker = labels.get(segment.cluster);
+      }
+      delete segment.cluster;
+    });
+
+    smoothSpeakers(labeledSegments);
+
+    const speakers = getSpeakersFromSegments(labeledSegments);
+    const elapsed = (Date.now() - startTime) / 1000;
+    if (showLogCallback) {
+      showLogCallback('🗣️', videoNumber, totalVideos, videoId, `Speakers identificados (${speakers.length})`, 100, elapsed);
+    }
+    await logInfo(`Video ${videoId}: Diarización completada en ${elapsed.toFixed(2)}s - speakers: ${speakers.join(', ')}`);
+
+    return { segments: labeledSegments, speakers };
+  } finally {
+    if (fileHandle) {
+      await fileHandle.close();
+    }
+    if (pcmPath && existsSync(pcmPath)) {
+      try {
+        await unlink(pcmPath);
+      } catch (e) {
+        // Ignorar errores de limpieza
+      }
+    }
+  }
+}
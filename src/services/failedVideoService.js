@@ -0,0 +1,411 @@
+import { readFile, writeFile, rename } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join } from 'path';
+import config from '../config/config.js';
+import { logInfo, logError } from './loggerService.js';
+import { isVideoBlacklisted } from './blacklistService.js';
+import { createJob, getJob } from './jobQueueService.js';
+
+// Ruta del archivo de videos fallidos
+const FAILED_VIDEOS_FILE = join(config.storage.basePath, 'failed_videos.json');
+
+// Clases de error (cada una con su política de reintento en config.failedVideos.retryPolicies)
+export const ERROR_CLASSES = ['age_restricted', 'private', 'removed', 'network', 'ai_error', 'transcription_missing', 'unknown'];
+
+// Reglas para clasificar el mensaje de error: frases de yt-dlp, mensajes propios y códigos de error, ordenadas de la
+// más específica a la más general (la primera que coincide define la clase)
+const ERROR_CLASS_PATTERNS = [
+  ['age_restricted', [/Sign in to confirm your age/i, /inappropriate for some users/i, /requiere autenticación \(verificación de edad\)/i, /\bage[- ]restricted\b/i]],
+  ['private', [/\bPrivate video\b/i, /\bThis video is private\b/i, /\bmembers[- ]only\b/i, /Join this channel to get access/i]],
+  ['removed', [/\bVideo unavailable\b/i, /\bis no longer available\b/i, /\bhas been removed\b/i, /\baccount .* has been terminated\b/i, /\bThis video does not exist\b/i, /\bcopyright claim\b/i]],
+  ['transcription_missing', [/No se encontraron subtítulos/i, /No se encontró el archivo de subtítulos/i, /La transcripción está vacía/i, /\bThere are no subtitles\b/i, /\bno subtitles (?:available|for)\b/i]],
+  ['ai_error', [/\b(?:respuesta|proveedor|tarea) del? LLM\b/i, /Error en la API de OpenAI/i, /API key de OpenAI inválida/i, /Límite de tasa excedido/i, /\brate[- ]limit(?:ed|s)?\b/i, /\bHTTP(?: Error)? 429\b/i]],
+  ['network', [/\bE(?:CONNRESET|CONNREFUSED|TIMEDOUT|NOTFOUND|AI_AGAIN|PIPE)\b/, /\bsocket hang up\b/i, /\b(?:connection|read|request) timed out\b/i, /^Timeout:/im, /\bHTTP Error (?:403|5\d\d)\b/i, /Video bloqueado por YouTube \(403\)/i, /Error de conexión con la API de OpenAI/i, /\bUnable to download (?:webpage|video data|API page)\b/i]],
+];
+
+// Opciones de procesamiento para videos registrados fuera de un trabajo (mismos valores por defecto que /api/video/process)
+const DEFAULT_PROCESSING_OPTIONS = {
+  transcriptionSource: 'YOUTUBE',
+  imageConfig: null,
+  downloadOriginalThumbnail: true,
+  saveProcessingPrompt: false,
+};
+
+// Estados de trabajo que indican que el reintento sigue en curso
+const ACTIVE_JOB_STATUSES = ['queued', 'running'];
+
+// Videos fallidos en memoria (se cargan del archivo la primera vez que se usan)
+const failedVideos = new Map();
+let loadPromise = null;
+// Cadena de escrituras del archivo de videos fallidos
+let persistChain = Promise.resolve();
+let schedulerTimer = null;
+
+/**
+ * Crea un error con código HTTP para que el controlador lo responda tal cual
+ * @param {string} message - Mensaje del error
+ * @param {number} status - Código HTTP
+ * @returns {Error}
+ */
+function createStatusError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Clasifica un mensaje de error de procesamiento
+ * @param {string} message - Mensaje de error
+ * @returns {string} - Una de ERROR_CLASSES
+ */
+export function classifyVideoError(message) {
+  const text = String(message || '');
+  const match = ERROR_CLASS_PATTERNS.find(([, patterns]) => patterns.some(pattern => pattern.test(text)));
+  return match ? match[0] : 'unknown';
+}
+
+/**
+ * Obtiene la política de reintento de una clase de error
+ * @param {string} errorClass - Clase de error
+ * @returns {{maxRetries: number, baseDelayMinutes: number}}
+ */
+export function getRetryPolicy(errorClass) {
+  const policies = config.failedVideos.retryPolicies;
+  return policies[errorClass] || policies.unknown;
+}
+
+/**
+ * Calcula la fecha del próximo reintento automático (backoff exponencial)
+ * @param {object} entry - Video fallido
+ * @param {Date} from - Fecha base (por defecto, la del último fallo)
+ * @returns {string|null} - Fecha ISO o null si la política no permite más reintentos
+ */
+function computeNextRetryAt(entry, from = new Date(entry.timestamp)) {
+  const policy = getRetryPolicy(entry.errorClass);
+  const retriesDone = entry.attempts - 1;
+  if (retriesDone >= policy.maxRetries) {
+    return null;
+  }
+  const delayMinutes = Math.min(policy.baseDelayMinutes * 2 ** retriesDone, config.failedVideos.maxDelayMinutes);
+  return new Date(from.getTime() + delayMinutes * 60 * 1000).toISOString();
+}
+
+/**
+ * Completa los campos que no tenían los registros guardados antes de las clases de error
+ * @param {object} entry - Registro leído del archivo
+ * @returns {object} - Registro normalizado
+ */
+function normalizeEntry(entry) {
+  const timestamp = entry.timestamp || new Date().toISOString();
+  const normalized = {
+    ...entry,
+    errorClass: entry.errorClass || classifyVideoError(entry.error),
+    attempts: entry.attempts || 1,
+    firstFailedAt: entry.firstFailedAt || timestamp,
+    timestamp,
+    retryJobId: entry.retryJobId || null,
+    retryQueuedAt: entry.retryQueuedAt || null,
+    processingOptions: entry.processingOptions || null,
+  };
+  if (entry.nextRetryAt === undefined) {
+    normalized.nextRetryAt = computeNextRetryAt(normalized);
+  }
+  return normalized;
+}
+
+/**
+ * Carga los videos fallidos del archivo (una sola vez)
+ * @returns {Promise<void>}
+ */
+function ensureLoaded() {
+  if (!loadPromise) {
+    loadPromise = (async () => {
+      try {
+        if (!existsSync(FAILED_VIDEOS_FILE)) {
+          return;
+        }
+        const content = await readFile(FAILED_VIDEOS_FILE, 'utf-8');
+        const data = JSON.parse(content);
+        if (Array.isArray(data)) {
+          data.filter(entry => entry && entry.videoId)
+            .forEach(entry => failedVideos.set(entry.videoId, normalizeEntry(entry)));
+        }
+      } catch (error) {
+        await logError(`Error al leer videos fallidos: ${error.message}`);
+      }
+    })();
+  }
+  return loadPromise;
+}
+
+/**
+ * Guarda los videos fallidos en disco (escritura atómica: archivo temporal + rename)
+ * @returns {Promise<void>}
+ */
+function persistFailedVideos() {
+  persistChain = persistChain.then(async () => {
+    const tempPath = `${FAILED_VIDEOS_FILE}.part`;
+    try {
+      const data = Array.from(failedVideos.values());
+      await writeFile(tempPath, JSON.stringify(data, null, 2), 'utf-8');
+      await rename(tempPath, FAILED_VIDEOS_FILE);
+    } catch (error) {
+      await logError(`Error al guardar videos fallidos: ${error.message}`);
+    }
+  });
+  return persistChain;
+}
+
+/**
+ * Indica si el video tiene un reintento en cola o en ejecución
+ * @param {object} entry - Video fallido
+ * @returns {boolean}
+ */
+function isRetryActive(entry) {
+  if (!entry.retryJobId) {
+    return false;
+  }
+  const job = getJob(entry.retryJobId);
+  return Boolean(job && ACTIVE_JOB_STATUSES.includes(job.status));
+}
+
+/**
+ * Copia del registro con el estado del reintento
+ * @param {object} entry - Video fallido
+ * @returns {object}
+ */
+function describeEntry(entry) {
+  return {
+    ...entry,
+    retrying: isRetryActive(entry),
+  };
+}
+
+/**
+ * Registra un fallo de procesamiento de un video
+ * Si el video ya estaba en la lista suma un intento y recalcula el próximo reintento
+ * @param {object} failure - Datos del fallo
+ * @param {string} failure.videoId - ID del video
+ * @param {string} failure.youtubeUrl - URL del video
+ * @param {string} failure.error - Mensaje de error
+ * @param {object|null} failure.processingOptions - Opciones con las que se procesó (transcriptionSource, imageConfig, ...)
+ * @returns {Promise<object>} - Registro actualizado
+ */
+export async function recordFailedVideo({ videoId, youtubeUrl, error, processingOptions = null }) {
+  await ensureLoaded();
+
+  const now = new Date().toISOString();
+  const existing = failedVideos.get(videoId);
+  const entry = {
+    videoId,
+    youtubeUrl: youtubeUrl || existing?.youtubeUrl || `https://www.youtube.com/watch?v=${videoId}`,
+    error,
+    errorClass: classifyVideoError(error),
+    attempts: existing ? existing.attempts + 1 : 1,
+    firstFailedAt: existing ? existing.firstFailedAt : now,
+    timestamp: now,
+    nextRetryAt: null,
+    retryJobId: null,
+    retryQueuedAt: null,
+    processingOptions: processingOptions || existing?.processingOptions || null,
+  };
+  entry.nextRetryAt = computeNextRetryAt(entry);
+
+  failedVideos.set(videoId, entry);
+  await persistFailedVideos();
+  return entry;
+}
+
+/**
+ * Quita un video de la lista de fallidos (por ejemplo, al procesarse correctamente)
+ * @param {string} videoId - ID del video
+ * @returns {Promise<boolean>} - true si estaba en la lista
+ */
+export async function removeFailedVideo(videoId) {
+  await ensureLoaded();
+
+  if (!failedVideos.has(videoId)) {
+    return false;
+  }
+  failedVideos.delete(videoId);
+  await persistFailedVideos();
+  await logInfo(`Video ${videoId} quitado de la lista de fallidos`);
+  return true;
+}
+
+/**
+ * Lista los videos fallidos, del fallo más reciente al más antiguo
+ * @param {object} filters - Filtros opcionales
+ * @param {string} filters.errorClass - Clase de error
+ * @returns {Promise<Array<object>>}
+ */
+export async function listFailedVideos(filters = {}) {
+  await ensureLoaded();
+
+  return Array.from(failedVideos.values())
+    .filter(entry => !filters.errorClass || entry.errorClass === filters.errorClass)
+    .sort((a, b) => b.timestamp.localeCompare(a.timestamp))
+    .map(describeEntry);
+}
+
+/**
+ * Obtiene un video fallido
+ * @param {string} videoId - ID del video
+ * @returns {Promise<object|null>}
+ */
+export async function getFailedVideo(videoId) {
+  await ensureLoaded();
+
+  const entry = failedVideos.get(videoId);
+  return entry ? describeEntry(entry) : null;
+}
+
+/**
+ * Encola trabajos 'process-video' para reintentar videos fallidos
+ * Los videos se agrupan por opciones de procesamiento (un trabajo por grupo)
+ * @param {Array<string>} videoIds - IDs de los videos
+ * @returns {Promise<{jobs: Array<{jobId: string, videoIds: Array<string>}>, skipped: Array<{videoId: string, reason: string}>}>}
+ */
+export async function retryFailedVideos(videoIds) {
+  await ensureLoaded();
+
+  const groups = new Map();
+  const skipped = [];
+
+  for (const videoId of videoIds) {
+    const entry = failedVideos.get(videoId);
+    if (!entry) {
+      skipped.push({ videoId, reason: 'not_found' });
+      continue;
+    }
+    if (isRetryActive(entry)) {
+      skipped.push({ videoId, reason: 'retrying' });
+      continue;
+    }
+    const options = { ...DEFAULT_PROCESSING_OPTIONS, ...(entry.processingOptions || {}) };
+    const key = JSON.stringify(options);
+    if (!groups.has(key)) {
+      groups.set(key, { options, entries: [] });
+    }
+    groups.get(key).entries.push(entry);
+  }
+
+  const jobs = [];
+  for (const { options, entries } of groups.values()) {
+    const job = await createJob('process-video', {
+      youtubeUrls: entries.map(entry => entry.youtubeUrl),
+      maxConcurrency: 3,
+      ...options,
+      failedVideoRetry: true,
+    });
+
+    const queuedAt = new Date().toISOString();
+    entries.forEach((entry) => {
+      entry.retryJobId = job.jobId;
+      entry.retryQueuedAt = queuedAt;
+      entry.nextRetryAt = null;
+    });
+    jobs.push({ jobId: job.jobId, videoIds: entries.map(entry => entry.videoId) });
+  }
+
+  if (jobs.length > 0) {
+    await persistFailedVideos();
+  }
+
+  return { jobs, skipped };
+}
+
+/**
+ * Reintenta un video fallido
+ * @param {string} videoId - ID del video
+ * @returns {Promise<{jobId: string, videoIds: Array<string>}>} - Trabajo encolado
+ */
+export async function retryFailedVideo(videoId) {
+  const { jobs, skipped } = await retryFailedVideos([videoId]);
+  if (skipped.length > 0) {
+    if (skipped[0].reason === 'not_found') {
+      throw createStatusError('Video fallido no encontrado', 404);
+    }
+    throw createStatusError('El video ya tiene un reintento en curso', 409);
+  }
+  return jobs[0];
+}
+
+/**
+ * Elimina un video de la lista de fallidos sin reintentarlo
+ * @param {string} videoId - ID del video
+ * @returns {Promise<void>}
+ */
+export async function deleteFailedVideo(videoId) {
+  const removed = await removeFailedVideo(videoId);
+  if (!removed) {
+    throw createStatusError('Video fallido no encontrado', 404);
+  }
+}
+
+/**
+ * Carga los videos fallidos e inicia el planificador de reintentos automáticos
+ * @returns {Promise<number>} - Cantidad de videos fallidos
+ */
+export async function initializeFailedVideos() {
+  await ensureLoaded();
+
+  if (schedulerTimer || !config.failedVideos.autoRetry) {
+    return failedVideos.size;
+  }
+
+  if (failedVideos.size > 0) {
+    const pending = Array.from(failedVideos.values()).filter(entry => entry.nextRetryAt).length;
+    console.log(`🔁 ${failedVideos.size} video(s) fallido(s) (${pending} con reintento automático pendiente)`);
+  }
+
+  // Revisar periódicamente qué reintentos vencieron (no mantiene vivo el proceso)
+  schedulerTimer = setInterval(() => {
+    runDueRetries().catch(error => logError(`Error en el planificador de reintentos: ${error.message}`));
+  }, config.failedVideos.schedulerIntervalSeconds * 1000);
+  schedulerTimer.unref();
+
+  runDueRetries().catch(error => logError(`Error en el planificador de reintentos: ${error.message}`));
+
+  return failedVideos.size;
+}
+
+/**
+ * Encola los videos fallidos cuyo reintento automático ya venció
+ * @returns {Promise<void>}
+ */
+async function runDueRetries() {
+  const now = Date.now();
+  let changed = false;
+
+  // Reintentos que terminaron sin registrar éxito ni fallo (cancelados o video en lista negra):
+  // se vuelven a programar desde ahora
+  for (const entry of failedVideos.values()) {
+    if (entry.retryJobId && !isRetryActive(entry)) {
+      entry.retryJobId = null;
+      entry.nextRetryAt = computeNextRetryAt(entry, new Date());
+      changed = true;
+    }
+  }
+  if (changed) {
+    await persistFailedVideos();
+  }
+
+  const due = [];
+  for (const entry of failedVideos.values()) {
+    if (!entry.nextRetryAt || new Date(entry.nextRetryAt).getTime() > now) {
+      continue;
+    }
+    if (await isVideoBlacklisted(entry.videoId)) {
+      continue;
+    }
+    due.push(entry.videoId);
+  }
+
+  if (due.length === 0) {
+    return;
+  }
+
+  const { jobs } = await retryFailedVideos(due);
+  await logInfo(`Reintento automático de ${due.length} video(s) fallido(s): ${jobs.map(job => job.jobId).join(', ')}`);
+}
@@ -5,6 +5,7 @@ import https from 'https';
 import http from 'http';
 import { URL } from 'url';
 import config from '../config/config.js';
+import { refreshCatalogEntry } from './callCatalogService.js';
 
 /**
  * Sanitiza un nombre de archivo removiendo caracteres inválidos
@@ -98,6 +99,7 @@ export async function saveMetadataFile(fileName, metadata) {
   const filePath = join(config.storage.callsPath, `${sanitizedFileName}.json`);
   const jsonContent = JSON.stringify(metadata, null, 2);
   await writeFile(filePath, jsonContent, 'utf-8');
+  await refreshCatalogEntry(sanitizedFileName);
   return filePath;
 }
 
@@ -113,6 +115,66 @@ export async function readMetadataFile(fileName) {
   return JSON.parse(content);
 }
 
+/**
+ * Extrae los timestamps por palabra de los segmentos de una transcripción
+ * @param {Array} segments - Segmentos con words [{ word, start, end }]
+ * @param {number} offset - Segundos a restar a cada timestamp (inicio de la llamada en el video)
+ * @returns {object|null} - { segments: [{ start, end, speaker, text, words }] } o null si no hay palabras
+ */
+export function serializeWordTimestamps(segments, offset = 0) {
+  const round = (value) => Math.round(Math.max(0, value - offset) * 1000) / 1000;
+  const withWords = (segments || []).filter(segment => Array.isArray(segment.words) && segment.words.length > 0);
+  if (withWords.length === 0) {
+    return null;
+  }
+
+  return {
+    segments: withWords.map(segment => ({
+      start: round(segment.start),
+      end: round(segment.end),
+      speaker: segment.speaker || null,
+      text: segment.text,
+      words: segment.words.map(word => ({
+        word: word.word,
+        start: round(word.start),
+        end: round(word.end),
+      })),
+    })),
+  };
+}
+
+/**
+ * Guarda los timestamps por palabra de una llamada (<archivo>.words.json)
+ * @param {string} fileName - Nombre del archivo (sin extensión)
+ * @param {Array} segments - Segmentos con words
+ * @param {number} offset - Inicio de la llamada en el video (segundos)
+ * @returns {Promise<string|null>} - Ruta del archivo guardado o null si no hay palabras
+ */
+export async function saveWordTimestampsFile(fileName, segments, offset = 0) {
+  const data = serializeWordTimestamps(segments, offset);
+  if (!data) {
+    return null;
+  }
+  const sanitizedFileName = sanitizeFilename(fileName);
+  const filePath = join(config.storage.callsPath, `${sanitizedFileName}.words.json`);
+  await writeFile(filePath, JSON.stringify(data), 'utf-8');
+  return filePath;
+}
+
+/**
+ * Lee los timestamps por palabra de una llamada
+ * @param {string} fileName - Nombre del archivo (sin extensión)
+ * @returns {Promise<object|null>} - { segments } o null si la llamada no tiene timestamps por palabra
+ */
+export async function readWordTimestampsFile(fileName) {
+  const filePath = join(config.storage.callsPath, `${sanitizeFilename(fileName)}.words.json`);
+  if (!existsSync(filePath)) {
+    return null;
+  }
+  const content = await readFile(filePath, 'utf-8');
+  return JSON.parse(content);
+}
+
 /**
  * Descarga una miniatura desde una URL y la guarda en el sistema de archivos
  * @param {string} thumbnailUrl - URL de la miniatura
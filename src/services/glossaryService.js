@@ -0,0 +1,528 @@
+import { readFile, writeFile, rename } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import config from '../config/config.js';
+import { logInfo, logError } from './loggerService.js';
+import { queryCatalogCalls } from './callCatalogService.js';
+import { saveMetadataFile } from './fileService.js';
+import { markTranslationsStale } from './translationService.js';
+
+// Ruta del archivo de glosarios
+const GLOSSARIES_FILE = join(config.storage.basePath, 'glossaries.json');
+
+// Caracteres de palabra (los límites de los términos se buscan con lookarounds porque \b no reconoce acentos)
+const WORD_CHAR = '[\\p{L}\\p{N}]';
+
+// Glosarios en memoria (se cargan del archivo la primera vez que se usan)
+const glossaries = new Map();
+let loadPromise = null;
+// Cadena de escrituras del archivo de glosarios
+let persistChain = Promise.resolve();
+
+/**
+ * Crea un error con código HTTP para que el controlador lo responda tal cual
+ * @param {string} message - Mensaje del error
+ * @param {number} status - Código HTTP
+ * @returns {Error}
+ */
+function createStatusError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Carga los glosarios del archivo (una sola vez)
+ * @returns {Promise<void>}
+ */
+function ensureLoaded() {
+  if (!loadPromise) {
+    loadPromise = (async () => {
+      try {
+        if (!existsSync(GLOSSARIES_FILE)) {
+          return;
+        }
+        const content = await readFile(GLOSSARIES_FILE, 'utf-8');
+        const data = JSON.parse(content);
+        if (Array.isArray(data)) {
+          data.filter(glossary => glossary && glossary.id)
+            .forEach(glossary => glossaries.set(glossary.id, glossary));
+        }
+      } catch (error) {
+        await logError(`Error al leer los glosarios: ${error.message}`);
+      }
+    })();
+  }
+  return loadPromise;
+}
+
+/**
+ * Guarda los glosarios en disco (escritura atómica: archivo temporal + rename)
+ * @returns {Promise<void>}
+ */
+function persistGlossaries() {
+  persistChain = persistChain.then(async () => {
+    const tempPath = `${GLOSSARIES_FILE}.part`;
+    try {
+      const data = Array.from(glossaries.values());
+      await writeFile(tempPath, JSON.stringify(data, null, 2), 'utf-8');
+      await rename(tempPath, GLOSSARIES_FILE);
+    } catch (error) {
+      await logError(`Error al guardar los glosarios: ${error.message}`);
+    }
+  });
+  return persistChain;
+}
+
+/**
+ * Normaliza una lista de textos del body (acepta un texto o un array; descarta vacíos y repetidos)
+ * @param {*} value - Valor recibido
+ * @param {string} field - Nombre del campo (para el mensaje de error)
+ * @returns {Array<string>}
+ */
+function normalizeTextList(value, field) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  const list = Array.isArray(value) ? value : [value];
+  if (list.some(item => typeof item !== 'string')) {
+    throw createStatusError(`${field} debe ser una lista de textos`, 400);
+  }
+  return [...new Set(list.map(item => item.trim()).filter(Boolean))];
+}
+
+/**
+ * Valida y normaliza las condiciones que asocian un glosario a un programa
+ * Sin condiciones, el glosario se aplica a todos los episodios
+ * @param {object} match - Condiciones recibidas
+ * @returns {{channels: Array<string>, feedUrls: Array<string>, titlePattern: string|null}}
+ */
+function normalizeMatch(match = {}) {
+  if (typeof match !== 'object' || Array.isArray(match)) {
+    throw createStatusError('match debe ser un objeto', 400);
+  }
+
+  const titlePattern = match.titlePattern ? String(match.titlePattern) : null;
+  if (titlePattern) {
+    try {
+      new RegExp(titlePattern, 'i');
+    } catch (error) {
+      throw createStatusError(`titlePattern no es una expresión regular válida: ${error.message}`, 400);
+    }
+  }
+
+  return {
+    channels: normalizeTextList(match.channels, 'match.channels'),
+    feedUrls: normalizeTextList(match.feedUrls, 'match.feedUrls'),
+    titlePattern,
+  };
+}
+
+/**
+ * Valida y normaliza los términos de un glosario
+ * @param {Array<object>} terms - Términos recibidos ({ term, variants, phonetic })
+ * @returns {Array<{term: string, variants: Array<string>, phonetic: boolean}>}
+ */
+function normalizeTerms(terms) {
+  if (!Array.isArray(terms)) {
+    throw createStatusError('terms debe ser una lista', 400);
+  }
+  return terms.map((item, index) => {
+    const term = item && typeof item.term === 'string' ? item.term.trim() : '';
+    if (!term) {
+      throw createStatusError(`terms[${index}].term es requerido`, 400);
+    }
+    return {
+      term,
+      variants: normalizeTextList(item.variants, `terms[${index}].variants`).filter(variant => variant !== term),
+      phonetic: Boolean(item.phonetic),
+    };
+  });
+}
+
+/**
+ * Lista los glosarios
+ * @returns {Promise<Array<object>>}
+ */
+export async function listGlossaries() {
+  await ensureLoaded();
+  return Array.from(glossaries.values()).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Obtiene un glosario
+ * @param {string} glossaryId - ID del glosario
+ * @returns {Promise<object>}
+ */
+export async function getGlossary(glossaryId) {
+  await ensureLoaded();
+  const glossary = glossaries.get(glossaryId);
+  if (!glossary) {
+    throw createStatusError('Glosario no encontrado', 404);
+  }
+  return glossary;
+}
+
+/**
+ * Crea un glosario
+ * @param {object} data - Datos del glosario
+ * @param {string} data.name - Nombre (por ejemplo, el del programa)
+ * @param {object} data.match - Condiciones del programa ({ channels, feedUrls, titlePattern })
+ * @param {Array<object>} data.terms - Términos ({ term, variants, phonetic })
+ * @returns {Promise<object>}
+ */
+export async function createGlossary({ name, match, terms }) {
+  await ensureLoaded();
+
+  if (!name || !String(name).trim()) {
+    throw createStatusError('name es requerido', 400);
+  }
+
+  const now = new Date().toISOString();
+  const glossary = {
+    id: uuidv4(),
+    name: String(name).trim(),
+    match: normalizeMatch(match),
+    terms: normalizeTerms(terms || []),
+    createdAt: now,
+    updatedAt: now,
+  };
+  glossaries.set(glossary.id, glossary);
+  await persistGlossaries();
+  return glossary;
+}
+
+/**
+ * Edita un glosario (solo los campos enviados; terms y match reemplazan los anteriores)
+ * @param {string} glossaryId - ID del glosario
+ * @param {object} changes - Campos a modificar ({ name, match, terms })
+ * @returns {Promise<object>}
+ */
+export async function updateGlossary(glossaryId, { name, match, terms }) {
+  const glossary = await getGlossary(glossaryId);
+
+  if (name !== undefined) {
+    if (!name || !String(name).trim()) {
+      throw createStatusError('name no puede estar vacío', 400);
+    }
+    glossary.name = String(name).trim();
+  }
+  if (match !== undefined) {
+    glossary.match = normalizeMatch(match || {});
+  }
+  if (terms !== undefined) {
+    glossary.terms = normalizeTerms(terms);
+  }
+  glossary.updatedAt = new Date().toISOString();
+  await persistGlossaries();
+  return glossary;
+}
+
+/**
+ * Elimina un glosario
+ * @param {string} glossaryId - ID del glosario
+ * @returns {Promise<void>}
+ */
+export async function deleteGlossary(glossaryId) {
+  await getGlossary(glossaryId);
+  glossaries.delete(glossaryId);
+  await persistGlossaries();
+}
+
+/**
+ * Indica si un glosario corresponde a un programa
+ * @param {object} glossary - Glosario
+ * @param {object} show - Datos del episodio ({ channel, channelId, feedUrl, title })
+ * @returns {boolean}
+ */
+function glossaryMatchesShow(glossary, show) {
+  const { channels, feedUrls, titlePattern } = glossary.match;
+  if (channels.length === 0 && feedUrls.length === 0 && !titlePattern) {
+    return true;
+  }
+
+  const channelKeys = [show.channel, show.channelId].filter(Boolean).map(value => value.toLowerCase());
+  if (channels.some(channel => channelKeys.includes(channel.toLowerCase()))) {
+    return true;
+  }
+  if (show.feedUrl && feedUrls.includes(show.feedUrl)) {
+    return true;
+  }
+  return Boolean(titlePattern && show.title && new RegExp(titlePattern, 'i').test(show.title));
+}
+
+/**
+ * Obtiene los glosarios que corresponden a un episodio
+ * @param {object} show - Datos del episodio
+ * @param {string} show.channel - Nombre del canal de YouTube
+ * @param {string} show.channelId - ID del canal de YouTube
+ * @param {string} show.feedUrl - URL del feed del podcast
+ * @param {string} show.title - Título del episodio
+ * @returns {Promise<Array<object>>}
+ */
+export async function findGlossariesForShow(show = {}) {
+  await ensureLoaded();
+  return Array.from(glossaries.values()).filter(glossary => glossaryMatchesShow(glossary, show));
+}
+
+/**
+ * Arma el prompt inicial de Whisper con los términos de los glosarios (nombres y jerga escritos correctamente)
+ * @param {Array<object>} showGlossaries - Glosarios del episodio
+ * @returns {string|null}
+ */
+export function buildGlossaryPrompt(showGlossaries) {
+  const terms = [...new Set(showGlossaries.flatMap(glossary => glossary.terms.map(item => item.term)))];
+  if (terms.length === 0) {
+    return null;
+  }
+
+  // El prompt de Whisper admite ~224 tokens: se corta por caracteres sin partir términos
+  const maxLength = config.glossary.maxPromptChars;
+  let prompt = '';
+  for (const term of terms) {
+    const next = prompt ? `${prompt}, ${term}` : term;
+    if (next.length > maxLength) {
+      break;
+    }
+    prompt = next;
+  }
+  return prompt ? `${prompt}.` : null;
+}
+
+/**
+ * Escapa un texto para usarlo dentro de una expresión regular
+ * @param {string} text - Texto
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Clave fonética aproximada en español (confusiones típicas de la transcripción: b/v, s/z/c, ll/y, h muda, qu/k)
+ * @param {string} text - Palabra o frase
+ * @returns {string}
+ */
+function phoneticKey(text) {
+  return text
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[̀-ͯ]/g, '')
+    .replace(/[^a-zñ\s]/g, '')
+    .replace(/ch/g, 'C')
+    .replace(/h/g, '')
+    .replace(/qu([ei])/g, 'k$1')
+    .replace(/c([ei])/g, 's$1')
+    .replace(/g([ei])/g, 'j$1')
+    .replace(/gu([ei])/g, 'g$1')
+    .replace(/[ckq]/g, 'k')
+    .replace(/v/g, 'b')
+    .replace(/z/g, 's')
+    .replace(/ll/g, 'y')
+    .replace(/x/g, 'ks')
+    .replace(/(.)\1+/g, '$1')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Compila las reglas de corrección de los glosarios (las variantes más largas primero)
+ * @param {Array<object>} showGlossaries - Glosarios
+ * @returns {{patterns: Array<{term: string, regex: RegExp}>, phonetic: Array<{term: string, key: string, words: number}>}}
+ */
+function compileGlossaries(showGlossaries) {
+  const patterns = [];
+  const phonetic = [];
+  for (const glossary of showGlossaries) {
+    for (const item of glossary.terms) {
+      // El término también se corrige cuando aparece con otras mayúsculas
+      for (const variant of [item.term, ...item.variants]) {
+        const source = escapeRegExp(variant).replace(/\s+/g, '\\s+');
+        patterns.push({ term: item.term, length: variant.length, regex: new RegExp(`(?<!${WORD_CHAR})${source}(?!${WORD_CHAR})`, 'giu') });
+      }
+      if (item.phonetic) {
+        phonetic.push({ term: item.term, key: phoneticKey(item.term), words: item.term.split(/\s+/).length });
+      }
+    }
+  }
+  patterns.sort((a, b) => b.length - a.length);
+  return { patterns, phonetic };
+}
+
+/**
+ * Aplica las correcciones compiladas a un texto
+ * @param {string} text - Texto
+ * @param {object} compiled - Resultado de compileGlossaries
+ * @param {Map} report - Conteo de correcciones por término y texto original (se actualiza)
+ * @returns {string} - Texto corregido
+ */
+function applyCompiled(text, compiled, report) {
+  const count = (term, from) => {
+    const key = `${term}\u0000${from}`;
+    const entry = report.get(key) || { term, from, count: 0 };
+    entry.count++;
+    report.set(key, entry);
+  };
+
+  let result = text;
+  for (const { term, regex } of compiled.patterns) {
+    result = result.replace(regex, (match) => {
+      if (match === term) {
+        return match;
+      }
+      count(term, match);
+      return term;
+    });
+  }
+
+  // Parecidos fonéticos: ventanas de tantas palabras como tenga el término
+  for (const { term, key, words } of compiled.phonetic) {
+    const tokens = [...result.matchAll(/[\p{L}\p{N}]+/gu)];
+    const replacements = [];
+    for (let i = 0; i + words <= tokens.length; i++) {
+      const start = tokens[i].index;
+      const end = tokens[i + words - 1].index + tokens[i + words - 1][0].length;
+      const original = result.slice(start, end);
+      if (original !== term && phoneticKey(original) === key) {
+        replacements.push({ start, end, original });
+        i += words - 1;
+      }
+    }
+    for (const { start, end, original } of replacements.reverse()) {
+      count(term, original);
+      result = result.slice(0, start) + term + result.slice(end);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Convierte el conteo de correcciones en el reporte
+ * @param {Map} report - Conteo por término y texto original
+ * @returns {Array<{term: string, from: string, count: number}>}
+ */
+function buildReport(report) {
+  return Array.from(report.values()).sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Corrige los segmentos de una transcripción con los glosarios del episodio
+ * @param {Array<object>} segments - Segmentos ({ text, ... })
+ * @param {Array<object>} showGlossaries - Glosarios del episodio
+ * @returns {{segments: Array<object>, corrections: Array<{term: string, from: string, count: number}>}}
+ */
+export function correctSegments(segments, showGlossaries) {
+  if (showGlossaries.length === 0) {
+    return { segments, corrections: [] };
+  }
+  const compiled = compileGlossaries(showGlossaries);
+  const report = new Map();
+  const corrected = segments.map(segment => {
+    const text = applyCompiled(segment.text || '', compiled, report);
+    return text === segment.text ? segment : { ...segment, text };
+  });
+  return { segments: corrected, corrections: buildReport(report) };
+}
+
+/**
+ * Corrige el texto de un SRT (no modifica los números ni los tiempos)
+ * @param {string} srtContent - Contenido SRT
+ * @param {Array<object>} showGlossaries - Glosarios
+ * @returns {{srt: string, corrections: Array<{term: string, from: string, count: number}>}}
+ */
+export function correctSRT(srtContent, showGlossaries) {
+  const compiled = compileGlossaries(showGlossaries);
+  const report = new Map();
+  const srt = srtContent
+    .split('\n')
+    .map(line => (/^\d+\s*$/.test(line) || line.includes('-->') ? line : applyCompiled(line, compiled, report)))
+    .join('\n');
+  return { srt, corrections: buildReport(report) };
+}
+
+/**
+ * Vuelve a aplicar un glosario a los SRT de las llamadas ya procesadas (y al SRT del episodio en temp)
+ * Sin videoIds ni fileNames, se aplica a las llamadas cuyo programa corresponde al glosario
+ * @param {string} glossaryId - ID del glosario
+ * @param {object} options - Opciones
+ * @param {Array<string>} options.videoIds - Solo las llamadas de estos videos
+ * @param {Array<string>} options.fileNames - Solo estas llamadas
+ * @param {boolean} options.dryRun - Solo reportar las correcciones, sin escribir archivos
+ * @returns {Promise<object>} - Reporte por llamada
+ */
+export async function reapplyGlossary(glossaryId, { videoIds = [], fileNames = [], dryRun = false } = {}) {
+  const glossary = await getGlossary(glossaryId);
+
+  let entries = await queryCatalogCalls({});
+  if (videoIds.length > 0 || fileNames.length > 0) {
+    entries = entries.filter(entry => videoIds.includes(entry.metadata.youtubeVideoId) || fileNames.includes(entry.fileName));
+  } else {
+    entries = entries.filter(entry => glossaryMatchesShow(glossary, {
+      channel: entry.metadata.channel,
+      channelId: entry.metadata.channelId,
+      feedUrl: entry.metadata.podcastFeedUrl,
+      title: entry.metadata.episodeTitle || entry.metadata.podcastEpisodeTitle,
+    }));
+  }
+
+  const calls = [];
+  const episodeVideoIds = new Set();
+  for (const entry of entries) {
+    const srtPath = join(config.storage.callsPath, `${entry.fileName}.srt`);
+    if (!existsSync(srtPath)) {
+      continue;
+    }
+    if (entry.metadata.youtubeVideoId) {
+      episodeVideoIds.add(entry.metadata.youtubeVideoId);
+    }
+
+    const { srt, corrections } = correctSRT(await readFile(srtPath, 'utf-8'), [glossary]);
+    if (corrections.length === 0) {
+      continue;
+    }
+    calls.push({ fileName: entry.fileName, youtubeVideoId: entry.metadata.youtubeVideoId || null, corrections });
+
+    if (!dryRun) {
+      await writeFile(srtPath, srt, 'utf-8');
+      await saveMetadataFile(entry.fileName, {
+        ...entry.metadata,
+        glossaryCorrections: corrections,
+        // El texto corregido invalida el embedding subido a Pinecone
+        pineconeNeedsReembed: entry.metadata.pineconeUploaded ? true : Boolean(entry.metadata.pineconeNeedsReembed),
+        // y los subtítulos ya publicados en YouTube (se vuelven a publicar con POST /api/video/youtube/captions)
+        youtubeCaptionsNeedsSync: entry.metadata.youtubeUploaded ? true : Boolean(entry.metadata.youtubeCaptionsNeedsSync),
+        ...markTranslationsStale(entry.metadata),
+        lastUpdated: new Date().toISOString(),
+      });
+    }
+  }
+
+  // El SRT del episodio en temp se usa para re-separar llamadas
+  if (!dryRun) {
+    for (const videoId of episodeVideoIds) {
+      const episodeSrtPath = join(config.storage.tempPath, `${videoId}.srt`);
+      if (existsSync(episodeSrtPath)) {
+        const { srt, corrections } = correctSRT(await readFile(episodeSrtPath, 'utf-8'), [glossary]);
+        if (corrections.length > 0) {
+          await writeFile(episodeSrtPath, srt, 'utf-8');
+        }
+      }
+    }
+  }
+
+  const totalCorrections = calls.reduce((total, call) => total + call.corrections.reduce((sum, item) => sum + item.count, 0), 0);
+  if (!dryRun && calls.length > 0) {
+    await logInfo(`Glosario "${glossary.name}" re-aplicado: ${totalCorrections} corrección(es) en ${calls.length} llamada(s)`);
+  }
+
+  return {
+    glossaryId,
+    dryRun,
+    callsScanned: entries.length,
+    callsCorrected: calls.length,
+    totalCorrections,
+    calls,
+  };
+}
@@ -0,0 +1,488 @@
+import { readdir, readFile, writeFile, stat, mkdir, rename, copyFile, rm } from 'fs/promises';
+import { existsSync, watch, createReadStream } from 'fs';
+import { join, extname, basename } from 'path';
+import { createHash } from 'crypto';
+import config from '../config/config.js';
+import { logInfo, logError, logWarn } from './loggerService.js';
+import { setTaskProgress } from './taskProgressService.js';
+import { isVideoProcessed } from './videoIndexService.js';
+
+// Prefijo de los IDs de los audios de la bandeja (se usan en lugar del youtubeVideoId)
+const INBOX_ID_PREFIX = 'inbox_';
+// Extensiones reconocidas en la bandeja
+const AUDIO_EXTENSION = '.mp3';
+const TRANSCRIPTION_EXTENSION = '.srt';
+// Sufijo de los reportes que acompañan a cada par en done/ y failed/
+const REPORT_SUFFIX = '.report.json';
+
+// Pares detectados en la bandeja: nombre base -> entrada
+const items = new Map();
+// Nombres base en la cola de procesamiento (en orden de llegada)
+const queue = [];
+// Función que procesa un par (la registra el controlador, ver setInboxProcessor)
+let inboxProcessor = null;
+let processing = false;
+let watcher = null;
+let scanTimer = null;
+let scanDebounce = null;
+let initialized = false;
+
+/**
+ * Obtiene las carpetas de la bandeja
+ * @returns {{inbox: string, done: string, failed: string}}
+ */
+function getInboxDirs() {
+  const inbox = config.storage.inboxPath;
+  return {
+    inbox,
+    done: join(inbox, 'done'),
+    failed: join(inbox, 'failed'),
+  };
+}
+
+/**
+ * Publica el estado de un par en el stream unificado de tareas (tipo 'inbox')
+ * @param {object} item - Entrada de la bandeja
+ */
+function publishItemProgress(item) {
+  const finished = item.status === 'done' || item.status === 'failed';
+  setTaskProgress('inbox', item.baseName, {
+    status: item.status === 'done' ? 'completed' : (item.status === 'failed' ? 'failed' : item.status),
+    percent: finished ? 100 : 0,
+    message: item.message,
+    error: item.error,
+    videoId: item.videoId,
+    audioFile: item.audioFile,
+    transcriptionFile: item.transcriptionFile,
+  }, { fileName: item.baseName });
+}
+
+/**
+ * Actualiza una entrada de la bandeja y publica su estado
+ * @param {object} item - Entrada de la bandeja
+ * @param {object} changes - Campos a actualizar
+ */
+function updateItem(item, changes) {
+  Object.assign(item, changes, { updatedAt: new Date().toISOString() });
+  publishItemProgress(item);
+}
+
+/**
+ * Calcula el ID de un audio a partir de su contenido
+ * El mismo audio siempre genera el mismo ID, por lo que volver a dejarlo en la bandeja no lo duplica
+ * @param {string} audioPath - Ruta del audio
+ * @returns {Promise<string>} - ID del audio (ej: inbox_3f2a9b1c4d5)
+ */
+function computeAudioId(audioPath) {
+  return new Promise((resolve, reject) => {
+    const hash = createHash('sha1');
+    createReadStream(audioPath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(`${INBOX_ID_PREFIX}${hash.digest('hex').substring(0, 11)}`))
+      .on('error', reject);
+  });
+}
+
+/**
+ * Programa un escaneo de la bandeja (los pedidos seguidos se agrupan en uno solo)
+ * @param {number} delayMs - Milisegundos de espera
+ */
+function scheduleScan(delayMs) {
+  clearTimeout(scanDebounce);
+  scanDebounce = setTimeout(() => {
+    scanInbox().catch(error => logError(`Error al escanear la bandeja de entrada: ${error.message}`));
+  }, delayMs);
+  scanDebounce.unref();
+}
+
+/**
+ * Registra la función que procesa cada par de la bandeja
+ * @param {Function} processor - Función async ({ audioPath, transcriptionPath, videoId, baseName }) que retorna las llamadas creadas
+ */
+export function setInboxProcessor(processor) {
+  inboxProcessor = processor;
+  processQueue();
+}
+
+/**
+ * Crea las carpetas de la bandeja, procesa los pares que quedaron pendientes y empieza a vigilarla
+ * @returns {Promise<void>}
+ */
+export async function initializeInbox() {
+  if (initialized || !config.inbox.enabled) {
+    return;
+  }
+  initialized = true;
+
+  const dirs = getInboxDirs();
+  await mkdir(dirs.done, { recursive: true });
+  await mkdir(dirs.failed, { recursive: true });
+
+  await scanInbox();
+
+  // Cambios en la carpeta: volver a escanear (con debounce para agrupar eventos de una misma copia)
+  try {
+    watcher = watch(dirs.inbox, () => scheduleScan(500));
+    watcher.on('error', error => logWarn(`Error al vigilar la bandeja de entrada: ${error.message}`));
+    watcher.unref();
+  } catch (error) {
+    await logWarn(`No se pudo vigilar la bandeja de entrada (se escaneará periódicamente): ${error.message}`);
+  }
+
+  // Escaneo periódico: detecta archivos que terminaron de copiarse y audios que ya no esperan su SRT
+  scanTimer = setInterval(() => {
+    scanInbox().catch(error => logError(`Error al escanear la bandeja de entrada: ${error.message}`));
+  }, config.inbox.scanIntervalSeconds * 1000);
+  scanTimer.unref();
+
+  console.log(`📥 Bandeja de entrada vigilada: ${dirs.inbox}`);
+}
+
+/**
+ * Escanea la bandeja: agrupa los .mp3 y .srt por nombre base y encola los pares listos
+ * Un archivo está listo cuando su tamaño no cambió durante settleSeconds; un .mp3 sin .srt
+ * se procesa sin transcripción después de pairWaitSeconds
+ * @returns {Promise<void>}
+ */
+export async function scanInbox() {
+  const { inbox } = getInboxDirs();
+  if (!existsSync(inbox)) {
+    return;
+  }
+
+  const entries = await readdir(inbox, { withFileTypes: true });
+  const groups = new Map();
+  for (const entry of entries) {
+    if (!entry.isFile()) {
+      continue;
+    }
+    const extension = extname(entry.name).toLowerCase();
+    if (extension !== AUDIO_EXTENSION && extension !== TRANSCRIPTION_EXTENSION) {
+      continue;
+    }
+    const baseName = basename(entry.name, extname(entry.name));
+    const group = groups.get(baseName) || {};
+    group[extension === AUDIO_EXTENSION ? 'audioFile' : 'transcriptionFile'] = entry.name;
+    groups.set(baseName, group);
+  }
+
+  const now = Date.now();
+  // Milisegundos hasta el próximo escaneo necesario (archivos copiándose o audios esperando su SRT)
+  let nextScanDelay = Infinity;
+  for (const [baseName, group] of groups) {
+    // Un .srt sin audio espera a su .mp3
+    if (!group.audioFile) {
+      continue;
+    }
+
+    let item = items.get(baseName);
+    if (item && (item.status === 'queued' || item.status === 'processing')) {
+      continue;
+    }
+
+    const files = [group.audioFile, group.transcriptionFile].filter(Boolean);
+    let signature;
+    let audioModifiedAt;
+    try {
+      const stats = await Promise.all(files.map(file => stat(join(inbox, file))));
+      signature = stats.map(fileStat => `${fileStat.size}:${fileStat.mtimeMs}`).join('|');
+      audioModifiedAt = stats[0].mtimeMs;
+    } catch (error) {
+      // El archivo se movió o eliminó durante el escaneo
+      continue;
+    }
+
+    if (!item || item.status === 'done' || item.status === 'failed') {
+      item = {
+        baseName,
+        status: 'waiting',
+        audioFile: group.audioFile,
+        transcriptionFile: group.transcriptionFile || null,
+        videoId: null,
+        calls: [],
+        message: 'Esperando que termine la copia',
+        error: null,
+        signature,
+        stableSince: now,
+        // Un audio que ya estaba en la bandeja (p. ej. al reiniciar) no vuelve a esperar su SRT
+        pairWaitSince: Math.min(now, audioModifiedAt),
+        detectedAt: new Date(now).toISOString(),
+        updatedAt: new Date(now).toISOString(),
+        startedAt: null,
+        finishedAt: null,
+      };
+      items.set(baseName, item);
+      publishItemProgress(item);
+    }
+
+    if (item.signature !== signature || item.transcriptionFile !== (group.transcriptionFile || null)) {
+      // Todavía se está copiando (o llegó el SRT): reiniciar la espera
+      item.signature = signature;
+      item.stableSince = now;
+      item.transcriptionFile = group.transcriptionFile || null;
+      nextScanDelay = Math.min(nextScanDelay, config.inbox.settleSeconds * 1000);
+      continue;
+    }
+
+    if (now - item.stableSince < config.inbox.settleSeconds * 1000) {
+      nextScanDelay = Math.min(nextScanDelay, item.stableSince + config.inbox.settleSeconds * 1000 - now);
+      continue;
+    }
+
+    if (!item.transcriptionFile && now - item.pairWaitSince < config.inbox.pairWaitSeconds * 1000) {
+      nextScanDelay = Math.min(nextScanDelay, item.pairWaitSince + config.inbox.pairWaitSeconds * 1000 - now);
+      if (item.message !== 'Esperando el archivo .srt') {
+        updateItem(item, { message: 'Esperando el archivo .srt' });
+      }
+      continue;
+    }
+
+    updateItem(item, { status: 'queued', message: 'En cola' });
+    queue.push(baseName);
+  }
+
+  // Olvidar los pares en espera cuyo audio se quitó de la bandeja
+  for (const [baseName, item] of items) {
+    if (item.status === 'waiting' && !(groups.get(baseName) || {}).audioFile) {
+      items.delete(baseName);
+    }
+  }
+
+  // Volver a revisar cuando terminen de copiarse los archivos o venza la espera del SRT
+  if (nextScanDelay !== Infinity && initialized) {
+    scheduleScan(nextScanDelay + 100);
+  }
+
+  processQueue();
+}
+
+/**
+ * Procesa los pares encolados de a uno
+ */
+async function processQueue() {
+  if (processing || !inboxProcessor) {
+    return;
+  }
+  processing = true;
+
+  try {
+    while (queue.length > 0) {
+      const item = items.get(queue.shift());
+      if (item && item.status === 'queued') {
+        await processItem(item);
+      }
+    }
+  } finally {
+    processing = false;
+  }
+}
+
+/**
+ * Mueve los archivos de un par a done/ o failed/ y escribe su reporte
+ * Si ya existe un archivo con el mismo nombre en el destino, se agrega la fecha al nombre
+ * @param {object} item - Entrada de la bandeja
+ * @param {string} targetDir - Carpeta de destino
+ * @param {object} report - Reporte del procesamiento
+ * @returns {Promise<string>} - Ruta del reporte
+ */
+async function moveItemFiles(item, targetDir, report) {
+  const { inbox } = getInboxDirs();
+  const files = [item.audioFile, item.transcriptionFile].filter(Boolean);
+  const collision = files.some(file => existsSync(join(targetDir, file))) || existsSync(join(targetDir, `${item.baseName}${REPORT_SUFFIX}`));
+  const prefix = collision ? `${new Date().toISOString().replace(/[:.]/g, '-')} - ` : '';
+
+  const movedFiles = [];
+  for (const file of files) {
+    const sourcePath = join(inbox, file);
+    if (existsSync(sourcePath)) {
+      await rename(sourcePath, join(targetDir, `${prefix}${file}`));
+      movedFiles.push(`${prefix}${file}`);
+    }
+  }
+
+  const reportPath = join(targetDir, `${prefix}${item.baseName}${REPORT_SUFFIX}`);
+  await writeFile(reportPath, JSON.stringify({ ...report, files: movedFiles }, null, 2), 'utf-8');
+  return reportPath;
+}
+
+/**
+ * Procesa un par de la bandeja con el procesador registrado
+ * Trabaja sobre copias en temp (el flujo de procesamiento elimina sus archivos de entrada)
+ * y al terminar mueve los originales a done/ o failed/
+ * @param {object} item - Entrada de la bandeja
+ * @returns {Promise<void>}
+ */
+async function processItem(item) {
+  const dirs = getInboxDirs();
+  const audioSource = join(dirs.inbox, item.audioFile);
+  const transcriptionSource = item.transcriptionFile ? join(dirs.inbox, item.transcriptionFile) : null;
+  let workDir = null;
+
+  updateItem(item, { status: 'processing', message: 'Procesando', startedAt: new Date().toISOString() });
+  console.log(`📥 Procesando ${item.audioFile}${item.transcriptionFile ? ` + ${item.transcriptionFile}` : ' (sin transcripción)'}...`);
+
+  const report = {
+    baseName: item.baseName,
+    audioFile: item.audioFile,
+    transcriptionFile: item.transcriptionFile,
+    videoId: null,
+    status: null,
+    calls: [],
+    error: null,
+    startedAt: item.startedAt,
+    finishedAt: null,
+  };
+
+  try {
+    if (!existsSync(audioSource)) {
+      throw new Error(`El audio ya no está en la bandeja: ${item.audioFile}`);
+    }
+
+    const videoId = await computeAudioId(audioSource);
+    report.videoId = videoId;
+    updateItem(item, { videoId });
+
+    if (await isVideoProcessed(videoId)) {
+      report.status = 'skipped';
+      report.message = 'El audio ya fue procesado';
+    } else {
+      // Copias en una carpeta propia de temp con el nombre original (se usa como título por defecto)
+      workDir = join(config.storage.tempPath, videoId);
+      await mkdir(workDir, { recursive: true });
+      const audioPath = join(workDir, `${item.baseName}${AUDIO_EXTENSION}`);
+      await copyFile(audioSource, audioPath);
+      let transcriptionPath = null;
+      if (transcriptionSource) {
+        transcriptionPath = join(workDir, `${item.baseName}${TRANSCRIPTION_EXTENSION}`);
+        await copyFile(transcriptionSource, transcriptionPath);
+      }
+
+      const calls = await inboxProcessor({ audioPath, transcriptionPath, videoId, baseName: item.baseName });
+      report.status = 'processed';
+      report.calls = calls.map(call => ({ callId: call.callId, callNumber: call.callNumber, fileName: call.fileName, title: call.title }));
+    }
+
+    report.finishedAt = new Date().toISOString();
+    const reportPath = await moveItemFiles(item, dirs.done, report);
+    updateItem(item, {
+      status: 'done',
+      message: report.status === 'skipped' ? report.message : `${report.calls.length} llamada(s) creada(s)`,
+      calls: report.calls,
+      reportPath,
+      finishedAt: report.finishedAt,
+    });
+    console.log(`✅ ${item.audioFile}: ${item.message}`);
+    await logInfo(`Bandeja de entrada: ${item.audioFile} -> done (${item.message})`);
+  } catch (error) {
+    report.status = 'failed';
+    report.error = error.message;
+    report.stack = error.stack;
+    report.finishedAt = new Date().toISOString();
+
+    let reportPath = null;
+    try {
+      reportPath = await moveItemFiles(item, dirs.failed, report);
+    } catch (moveError) {
+      await logError(`Bandeja de entrada: no se pudo mover ${item.audioFile} a failed/: ${moveError.message}`);
+    }
+
+    updateItem(item, {
+      status: 'failed',
+      message: 'Error al procesar',
+      error: error.message,
+      reportPath,
+      finishedAt: report.finishedAt,
+    });
+    console.error(`❌ ${item.audioFile}: ${error.message}`);
+    await logError(`Bandeja de entrada: ${item.audioFile} -> failed (${error.message})`);
+  } finally {
+    if (workDir) {
+      await rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+}
+
+/**
+ * Lee los reportes de una carpeta de resultados (done/ o failed/), del más reciente al más antiguo
+ * @param {string} dir - Carpeta
+ * @param {number} limit - Cantidad máxima de reportes
+ * @returns {Promise<Array<object>>}
+ */
+async function readReports(dir, limit) {
+  if (!existsSync(dir)) {
+    return [];
+  }
+
+  const files = (await readdir(dir)).filter(file => file.endsWith(REPORT_SUFFIX));
+  const reports = [];
+  for (const file of files) {
+    try {
+      const report = JSON.parse(await readFile(join(dir, file), 'utf-8'));
+      reports.push({ reportFile: file, ...report });
+    } catch (error) {
+      console.warn(`⚠️  Error al leer reporte ${file}: ${error.message}`);
+    }
+  }
+
+  return reports
+    .sort((a, b) => String(b.finishedAt).localeCompare(String(a.finishedAt)))
+    .slice(0, limit);
+}
+
+/**
+ * Obtiene el estado de la bandeja: pares pendientes o en proceso y reportes de done/ y failed/
+ * @param {number} limit - Cantidad máxima de reportes por carpeta
+ * @returns {Promise<object>}
+ */
+export async function getInboxStatus(limit = 50) {
+  const dirs = getInboxDirs();
+  const pending = Array.from(items.values())
+    .filter(item => item.status !== 'done' && item.status !== 'failed')
+    .map(({ signature, stableSince, pairWaitSince, ...item }) => item);
+
+  return {
+    enabled: config.inbox.enabled,
+    inboxPath: dirs.inbox,
+    pending,
+    done: await readReports(dirs.done, limit),
+    failed: await readReports(dirs.failed, limit),
+  };
+}
+
+/**
+ * Devuelve un par de failed/ a la bandeja para volver a procesarlo
+ * @param {string} reportFile - Nombre del reporte en failed/
+ * @returns {Promise<object>} - Reporte del par devuelto
+ */
+export async function retryFailedItem(reportFile) {
+  const dirs = getInboxDirs();
+  const reportPath = join(dirs.failed, basename(reportFile));
+  if (!reportFile.endsWith(REPORT_SUFFIX) || !existsSync(reportPath)) {
+    const error = new Error('Reporte no encontrado en failed/');
+    error.status = 404;
+    throw error;
+  }
+
+  const report = JSON.parse(await readFile(reportPath, 'utf-8'));
+  const prefix = basename(reportFile).slice(0, -(`${report.baseName}${REPORT_SUFFIX}`.length));
+  for (const file of report.files || []) {
+    const originalName = prefix && file.startsWith(prefix) ? file.slice(prefix.length) : file;
+    if (existsSync(join(dirs.inbox, originalName))) {
+      const error = new Error(`Ya existe ${originalName} en la bandeja`);
+      error.status = 409;
+      throw error;
+    }
+  }
+
+  for (const file of report.files || []) {
+    const originalName = prefix && file.startsWith(prefix) ? file.slice(prefix.length) : file;
+    if (existsSync(join(dirs.failed, file))) {
+      await rename(join(dirs.failed, file), join(dirs.inbox, originalName));
+    }
+  }
+  await rm(reportPath, { force: true });
+  await logInfo(`Bandeja de entrada: ${report.audioFile} devuelto desde failed/`);
+
+  scanInbox().catch(error => logError(`Error al escanear la bandeja de entrada: ${error.message}`));
+  return report;
+}
@@ -0,0 +1,563 @@
+import { readdir, readFile, writeFile, rename, unlink } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import config from '../config/config.js';
+import { logInfo, logError, logWarn } from './loggerService.js';
+import { setTaskProgress, removeTask } from './taskProgressService.js';
+
+// Trabajos en memoria (fuente de verdad mientras el servidor está activo)
+const jobs = new Map();
+// Manejadores registrados por tipo de trabajo
+const jobHandlers = new Map();
+// Cadena de escrituras por trabajo (evita escrituras intercaladas del mismo archivo)
+const persistChains = new Map();
+// Trabajos en ejecución
+const runningJobs = new Set();
+
+let initialized = false;
+
+// Estados finales de un trabajo
+const FINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * Obtiene la ruta del archivo de un trabajo
+ * @param {string} jobId - ID del trabajo
+ * @returns {string} - Ruta del archivo JSON del trabajo
+ */
+function getJobPath(jobId) {
+  return join(config.storage.jobsPath, `${jobId}.json`);
+}
+
+/**
+ * Guarda un trabajo en disco (escritura atómica: archivo temporal + rename)
+ * @param {object} job - Trabajo a guardar
+ * @returns {Promise<void>}
+ */
+function persistJob(job) {
+  const previous = persistChains.get(job.jobId) || Promise.resolve();
+  const next = previous.then(async () => {
+    const jobPath = getJobPath(job.jobId);
+    const tempPath = `${jobPath}.part`;
+    try {
+      await writeFile(tempPath, JSON.stringify(job, null, 2), 'utf-8');
+      await rename(tempPath, jobPath);
+    } catch (error) {
+      await logError(`Error al guardar trabajo ${job.jobId}: ${error.message}`);
+    }
+  });
+  persistChains.set(job.jobId, next);
+  return next;
+}
+
+/**
+ * Actualiza campos de un trabajo y lo guarda
+ * @param {object} job - Trabajo
+ * @param {object} changes - Campos a actualizar
+ * @returns {Promise<void>}
+ */
+async function updateJob(job, changes = {}) {
+  Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+  publishJobProgress(job);
+  await persistJob(job);
+}
+
+/**
+ * Publica el estado de un trabajo en el stream unificado de tareas (tipo 'job')
+ * @param {object} job - Trabajo
+ */
+function publishJobProgress(job) {
+  const { completed = 0, total = 0, message = null } = job.progress || {};
+  setTaskProgress('job', job.jobId, {
+    status: job.status,
+    jobType: job.type,
+    percent: total > 0 ? Math.round((completed / total) * 100) : 0,
+    completed,
+    total,
+    message,
+    error: job.error || null,
+  });
+}
+
+/**
+ * Registra el manejador que ejecuta un tipo de trabajo
+ * @param {string} type - Tipo de trabajo (ej: 'process-video', 'process-playlist')
+ * @param {Function} handler - Función async (job, context) que retorna el resultado del trabajo
+ */
+export function registerJobHandler(type, handler) {
+  jobHandlers.set(type, handler);
+}
+
+/**
+ * Carga los trabajos guardados en storage y reanuda los pendientes
+ * Los trabajos que estaban en ejecución cuando se detuvo el servidor vuelven a la cola
+ * @returns {Promise<number>} - Cantidad de trabajos reanudados
+ */
+export async function initializeJobQueue() {
+  if (initialized) {
+    return 0;
+  }
+  initialized = true;
+
+  let resumedCount = 0;
+
+  try {
+    const files = await readdir(config.storage.jobsPath);
+    const jsonFiles = files.filter(file => file.endsWith('.json'));
+
+    for (const file of jsonFiles) {
+      try {
+        const content = await readFile(join(config.storage.jobsPath, file), 'utf-8');
+        const job = JSON.parse(content);
+        if (!job.jobId) {
+          continue;
+        }
+
+        if (job.status === 'running') {
+          // Interrumpido por un reinicio: volver a la cola conservando los checkpoints
+          job.status = 'queued';
+          job.resumedAt = new Date().toISOString();
+          await persistJob(job);
+        }
+
+        if (job.status === 'queued') {
+          resumedCount++;
+        }
+
+        jobs.set(job.jobId, job);
+      } catch (error) {
+        console.warn(`⚠️  Error al leer trabajo ${file}: ${error.message}`);
+      }
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      await logError(`Error al cargar trabajos: ${error.message}`);
+    }
+  }
+
+  if (resumedCount > 0) {
+    console.log(`📋 Reanudando ${resumedCount} trabajo(s) pendiente(s)`);
+    await logInfo(`Reanudando ${resumedCount} trabajo(s) pendiente(s)`);
+  }
+
+  scheduleJobs();
+  return resumedCount;
+}
+
+/**
+ * Crea un trabajo nuevo y lo agrega a la cola
+ * @param {string} type - Tipo de trabajo
+ * @param {object} params - Parámetros del trabajo (ya validados)
+ * @returns {Promise<object>} - Trabajo creado
+ */
+export async function createJob(type, params = {}) {
+  if (!jobHandlers.has(type)) {
+    throw new Error(`Tipo de trabajo no soportado: ${type}`);
+  }
+
+  const now = new Date().toISOString();
+  const job = {
+    jobId: uuidv4(),
+    type,
+    status: 'queued',
+    params,
+    attempts: 0,
+    progress: { completed: 0, total: 0, message: 'En cola' },
+    items: {},
+    result: null,
+    error: null,
+    cancelRequested: false,
+    createdAt: now,
+    updatedAt: now,
+    startedAt: null,
+    finishedAt: null,
+  };
+
+  jobs.set(job.jobId, job);
+  publishJobProgress(job);
+  await persistJob(job);
+  await logInfo(`Trabajo ${job.jobId} (${type}) creado`);
+
+  scheduleJobs();
+  return job;
+}
+
+/**
+ * Obtiene un trabajo por su ID
+ * @param {string} jobId - ID del trabajo
+ * @returns {object|null} - Trabajo o null si no existe
+ */
+export function getJob(jobId) {
+  return jobs.get(jobId) || null;
+}
+
+/**
+ * Lista los trabajos, del más reciente al más antiguo
+ * @param {object} filters - Filtros opcionales
+ * @param {string} filters.status - Estado del trabajo
+ * @param {string} filters.type - Tipo de trabajo
+ * @returns {Array<object>} - Trabajos encontrados
+ */
+export function listJobs(filters = {}) {
+  return Array.from(jobs.values())
+    .filter(job => !filters.status || job.status === filters.status)
+    .filter(job => !filters.type || job.type === filters.type)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Vuelve a encolar un trabajo fallido o cancelado
+ * Los videos ya completados se conservan y los demás continúan desde su último checkpoint
+ * @param {string} jobId - ID del trabajo
+ * @returns {Promise<object>} - Trabajo reencolado
+ */
+export async function retryJob(jobId) {
+  const job = jobs.get(jobId);
+  if (!job) {
+    const error = new Error('Trabajo no encontrado');
+    error.status = 404;
+    throw error;
+  }
+
+  if (job.status !== 'failed' && job.status !== 'cancelled') {
+    const error = new Error(`Solo se pueden reintentar trabajos fallidos o cancelados (estado actual: ${job.status})`);
+    error.status = 409;
+    throw error;
+  }
+
+  // Los videos con error vuelven a quedar pendientes (sus etapas completadas se conservan)
+  Object.values(job.items).forEach((item) => {
+    if (item.status === 'failed' || item.status === 'running') {
+      item.status = 'pending';
+      item.error = null;
+    }
+  });
+
+  await updateJob(job, {
+    status: 'queued',
+    error: null,
+    cancelRequested: false,
+    finishedAt: null,
+    progress: { ...job.progress, message: 'En cola (reintento)' },
+  });
+  await logInfo(`Trabajo ${jobId} reencolado (intento ${job.attempts + 1})`);
+
+  scheduleJobs();
+  return job;
+}
+
+/**
+ * Cancela un trabajo
+ * Si está en cola se cancela inmediatamente; si está en ejecución se detiene
+ * al terminar la etapa actual
+ * @param {string} jobId - ID del trabajo
+ * @returns {Promise<object>} - Trabajo cancelado
+ */
+export async function cancelJob(jobId) {
+  const job = jobs.get(jobId);
+  if (!job) {
+    const error = new Error('Trabajo no encontrado');
+    error.status = 404;
+    throw error;
+  }
+
+  if (FINAL_STATUSES.includes(job.status)) {
+    const error = new Error(`El trabajo ya finalizó (estado: ${job.status})`);
+    error.status = 409;
+    throw error;
+  }
+
+  if (job.status === 'queued') {
+    await updateJob(job, {
+      status: 'cancelled',
+      finishedAt: new Date().toISOString(),
+      progress: { ...job.progress, message: 'Cancelado' },
+    });
+  } else {
+    await updateJob(job, {
+      cancelRequested: true,
+      progress: { ...job.progress, message: 'Cancelando...' },
+    });
+  }
+
+  await logInfo(`Trabajo ${jobId} cancelado`);
+  return job;
+}
+
+/**
+ * Elimina un trabajo finalizado
+ * @param {string} jobId - ID del trabajo
+ * @returns {Promise<void>}
+ */
+export async function deleteJob(jobId) {
+  const job = jobs.get(jobId);
+  if (!job) {
+    const error = new Error('Trabajo no encontrado');
+    error.status = 404;
+    throw error;
+  }
+
+  if (!FINAL_STATUSES.includes(job.status)) {
+    const error = new Error('Solo se pueden eliminar trabajos finalizados');
+    error.status = 409;
+    throw error;
+  }
+
+  jobs.delete(jobId);
+  removeTask('job', jobId);
+  await (persistChains.get(jobId) || Promise.resolve());
+  persistChains.delete(jobId);
+
+  const jobPath = getJobPath(jobId);
+  if (existsSync(jobPath)) {
+    await unlink(jobPath);
+  }
+}
+
+/**
+ * Inicia los trabajos en cola respetando el límite de concurrencia
+ */
+function scheduleJobs() {
+  const maxConcurrency = config.jobs.maxConcurrency;
+
+  const queued = Array.from(jobs.values())
+    .filter(job => job.status === 'queued' && !runningJobs.has(job.jobId))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+  for (const job of queued) {
+    if (runningJobs.size >= maxConcurrency) {
+      break;
+    }
+    runningJobs.add(job.jobId);
+    runJob(job)
+      .catch(async (error) => {
+        await logError(`Error inesperado en trabajo ${job.jobId}: ${error.message}`);
+      })
+      .finally(() => {
+        runningJobs.delete(job.jobId);
+        scheduleJobs();
+      });
+  }
+}
+
+/**
+ * Ejecuta un trabajo con su manejador registrado
+ * @param {object} job - Trabajo a ejecutar
+ */
+async function runJob(job) {
+  const handler = jobHandlers.get(job.type);
+  if (!handler) {
+    await updateJob(job, {
+      status: 'failed',
+      error: `No hay manejador registrado para el tipo ${job.type}`,
+      finishedAt: new Date().toISOString(),
+    });
+    return;
+  }
+
+  await updateJob(job, {
+    status: 'running',
+    attempts: job.attempts + 1,
+    startedAt: job.startedAt || new Date().toISOString(),
+    progress: { ...job.progress, message: 'En ejecución' },
+  });
+  await logInfo(`Trabajo ${job.jobId} (${job.type}) iniciado (intento ${job.attempts})`);
+
+  try {
+    const result = await handler(job, createJobContext(job));
+
+    if (job.cancelRequested) {
+      await updateJob(job, {
+        status: 'cancelled',
+        result,
+        finishedAt: new Date().toISOString(),
+        progress: { ...job.progress, message: 'Cancelado' },
+      });
+      return;
+    }
+
+    const failedItems = Object.values(job.items).filter(item => item.status === 'failed');
+    await updateJob(job, {
+      status: failedItems.length > 0 ? 'failed' : 'completed',
+      result,
+      error: failedItems.length > 0 ? `${failedItems.length} video(s) con error` : null,
+      finishedAt: new Date().toISOString(),
+      progress: { ...job.progress, message: failedItems.length > 0 ? 'Finalizado con errores' : 'Completado' },
+    });
+    await logInfo(`Trabajo ${job.jobId} finalizado (${job.status})`);
+  } catch (error) {
+    const cancelled = Boolean(error.cancelled) || job.cancelRequested;
+    await updateJob(job, {
+      status: cancelled ? 'cancelled' : 'failed',
+      error: cancelled ? null : error.message,
+      finishedAt: new Date().toISOString(),
+      progress: { ...job.progress, message: cancelled ? 'Cancelado' : 'Error' },
+    });
+    if (!cancelled) {
+      await logError(`Trabajo ${job.jobId} falló: ${error.message}`);
+      await logError(`Stack: ${error.stack}`);
+    } else {
+      await logWarn(`Trabajo ${job.jobId} cancelado durante la ejecución`);
+    }
+  }
+}
+
+/**
+ * Lanza un error de cancelación si se solicitó cancelar el trabajo
+ * @param {object} job - Trabajo
+ */
+function throwIfCancelled(job) {
+  if (job.cancelRequested) {
+    const error = new Error('Trabajo cancelado');
+    error.cancelled = true;
+    throw error;
+  }
+}
+
+/**
+ * Crea el contexto que recibe el manejador de un trabajo
+ * Permite reportar progreso y guardar checkpoints por video y etapa
+ * @param {object} job - Trabajo
+ * @returns {object} - Contexto del trabajo
+ */
+function createJobContext(job) {
+  return {
+    jobId: job.jobId,
+    params: job.params,
+
+    isCancelled: () => Boolean(job.cancelRequested),
+    throwIfCancelled: () => throwIfCancelled(job),
+
+    /**
+     * Actualiza el progreso general del trabajo
+     * @param {number} completed - Videos terminados
+     * @param {number} total - Total de videos
+     * @param {string} message - Mensaje opcional
+     */
+    setProgress: async (completed, total, message = null) => {
+      await updateJob(job, {
+        progress: {
+          completed,
+          total,
+          message: message || `${completed}/${total} video(s)`,
+        },
+      });
+    },
+
+    /**
+     * Indica si el trabajo tiene un video pendiente con etapas ya completadas
+     * @param {string} videoId - ID del video
+     * @returns {boolean}
+     */
+    hasPendingVideo: (videoId) => {
+      const item = job.items[videoId];
+      return Boolean(item && item.status !== 'completed' && Object.keys(item.stages).length > 0);
+    },
+
+    /**
+     * Obtiene el checkpoint de un video dentro del trabajo (lo crea si no existe)
+     * @param {string} videoId - ID del video
+     * @param {string} youtubeUrl - URL del video
+     * @returns {object} - Checkpoint del video
+     */
+    getVideoCheckpoint: (videoId, youtubeUrl = null) => {
+      if (!job.items[videoId]) {
+        job.items[videoId] = {
+          videoId,
+          youtubeUrl,
+          status: 'pending',
+          stages: {},
+          result: null,
+          error: null,
+          updatedAt: new Date().toISOString(),
+        };
+      }
+      return createVideoCheckpoint(job, job.items[videoId]);
+    },
+  };
+}
+
+/**
+ * Crea el checkpoint de un video (etapas: download, transcribe, separateCalls, cut, thumbnail)
+ * @param {object} job - Trabajo al que pertenece el video
+ * @param {object} item - Entrada del video en job.items
+ * @returns {object} - Checkpoint del video
+ */
+function createVideoCheckpoint(job, item) {
+  const touch = async (changes = {}) => {
+    Object.assign(item, changes, { updatedAt: new Date().toISOString() });
+    await updateJob(job);
+  };
+
+  return {
+    videoId: item.videoId,
+
+    throwIfCancelled: () => throwIfCancelled(job),
+
+    isCompleted: () => item.status === 'completed',
+    getResult: () => item.result,
+
+    /**
+     * Indica si alguna etapa ya fue completada o iniciada
+     * @returns {boolean}
+     */
+    hasProgress: () => Object.keys(item.stages).length > 0,
+
+    /**
+     * Obtiene una etapa
+     * @param {string} name - Nombre de la etapa
+     * @returns {{status: string, data: object}|null}
+     */
+    getStage: (name) => item.stages[name] || null,
+
+    /**
+     * Indica si una etapa ya fue completada
+     * @param {string} name - Nombre de la etapa
+     * @returns {boolean}
+     */
+    isStageCompleted: (name) => Boolean(item.stages[name] && item.stages[name].status === 'completed'),
+
+    /**
+     * Guarda datos parciales de una etapa en curso
+     * @param {string} name - Nombre de la etapa
+     * @param {object} data - Datos a combinar con los existentes
+     */
+    updateStage: async (name, data = {}) => {
+      const stage = item.stages[name] || { status: 'running', data: {} };
+      stage.data = { ...stage.data, ...data };
+      item.stages[name] = stage;
+      await touch({ status: 'running' });
+    },
+
+    /**
+     * Marca una etapa como completada
+     * @param {string} name - Nombre de la etapa
+     * @param {object} data - Datos de la etapa
+     */
+    completeStage: async (name, data = {}) => {
+      const previous = item.stages[name] ? item.stages[name].data : {};
+      item.stages[name] = {
+        status: 'completed',
+        data: { ...previous, ...data },
+        completedAt: new Date().toISOString(),
+      };
+      await touch({ status: 'running' });
+    },
+
+    /**
+     * Marca el video como completado
+     * @param {object} result - Resultado del procesamiento
+     */
+    complete: async (result) => {
+      await touch({ status: 'completed', result, error: null });
+    },
+
+    /**
+     * Marca el video como fallido (las etapas completadas se conservan para el reintento)
+     * @param {string} errorMessage - Mensaje de error
+     */
+    fail: async (errorMessage) => {
+      await touch({ status: job.cancelRequested ? 'pending' : 'failed', error: errorMessage });
+    },
+  };
+}
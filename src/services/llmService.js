@@ -0,0 +1,375 @@
+import OpenAI from 'openai';
+import { readFileSync, existsSync } from 'fs';
+import config from '../config/config.js';
+import { logInfo, logWarn, logAIPrompt } from './loggerService.js';
+
+// Proveedores disponibles
+const PROVIDERS = ['openai', 'openai-compatible', 'fake'];
+
+// Proveedor actual (se crea una vez)
+let provider = null;
+
+/**
+ * Indica si un error de la API es transitorio (conexión, timeout, rate limit o error del servidor)
+ * @param {Error} error - Error de la llamada
+ * @returns {boolean}
+ */
+function isRetryableError(error) {
+  const errorMessage = error.message || '';
+  const errorCode = error.code || '';
+  const status = error.status || 0;
+  return (
+    status === 408 ||
+    status === 409 ||
+    status === 429 ||
+    status >= 500 ||
+    errorMessage.includes('Connection error') ||
+    errorMessage.includes('ECONNREFUSED') ||
+    errorMessage.includes('ECONNRESET') ||
+    errorMessage.includes('ETIMEDOUT') ||
+    errorMessage.includes('ENOTFOUND') ||
+    errorMessage.includes('network') ||
+    errorMessage.includes('fetch failed') ||
+    errorMessage.includes('timed out') ||
+    ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ENOTFOUND'].includes(errorCode)
+  );
+}
+
+/**
+ * Espera antes del siguiente intento (backoff exponencial con jitter)
+ * @param {number} attempt - Número de reintento (1, 2, ...)
+ * @returns {number} - Milisegundos de espera
+ */
+function getRetryDelay(attempt) {
+  const { retryBaseDelayMs, retryMaxDelayMs } = config.llm;
+  const delay = Math.min(retryMaxDelayMs, retryBaseDelayMs * Math.pow(2, attempt - 1));
+  // Jitter de ±20% para no reintentar varios trabajos al mismo tiempo
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * Crea un cliente de chat compatible con la API de OpenAI
+ * @param {string} name - Nombre del proveedor
+ * @param {object} clientOptions - Opciones del cliente OpenAI (apiKey, baseURL)
+ * @returns {{name: string, chat: Function}}
+ */
+function createOpenAIProvider(name, clientOptions) {
+  const client = new OpenAI({
+    ...clientOptions,
+    timeout: config.llm.timeoutMs,
+    maxRetries: 0, // Los reintentos se manejan en requestChat
+  });
+
+  return {
+    name,
+    async chat(apiRequest) {
+      const response = await client.chat.completions.create(apiRequest);
+      if (!response.choices || !response.choices[0] || !response.choices[0].message) {
+        throw new Error('La respuesta del LLM no contiene mensajes');
+      }
+      return response.choices[0].message.content || '';
+    },
+  };
+}
+
+/**
+ * Extrae el rango de tiempos de un SRT incluido en el mensaje (para la respuesta fake de separación)
+ * @param {string} text - Mensaje del usuario
+ * @returns {{start: number, end: number}}
+ */
+function getSRTRange(text) {
+  const toSeconds = (h, m, s, ms) => parseInt(h, 10) * 3600 + parseInt(m, 10) * 60 + parseInt(s, 10) + parseInt(ms, 10) / 1000;
+  const matches = [...text.matchAll(/(\d{2}):(\d{2}):(\d{2})[,.](\d{3})\s*-->\s*(\d{2}):(\d{2}):(\d{2})[,.](\d{3})/g)];
+  if (matches.length === 0) {
+    return { start: 0, end: 0 };
+  }
+  const first = matches[0];
+  const last = matches[matches.length - 1];
+  return {
+    start: toSeconds(first[1], first[2], first[3], first[4]),
+    end: toSeconds(last[5], last[6], last[7], last[8]),
+  };
+}
+
+/**
+ * Crea el proveedor fake: respuestas deterministas por tarea (para pruebas sin red)
+ * Si config.llm.fakeResponsesPath apunta a un JSON ({ tarea: respuesta }), se usan esas respuestas
+ * @returns {{name: string, chat: Function}}
+ */
+function createFakeProvider() {
+  let fixtures = {};
+  if (config.llm.fakeResponsesPath && existsSync(config.llm.fakeResponsesPath)) {
+    fixtures = JSON.parse(readFileSync(config.llm.fakeResponsesPath, 'utf-8'));
+  }
+
+  return {
+    name: 'fake',
+    async chat(apiRequest) {
+      const task = apiRequest.metadata && apiRequest.metadata.task;
+      if (fixtures[task] !== undefined) {
+        return typeof fixtures[task] === 'string' ? fixtures[task] : JSON.stringify(fixtures[task]);
+      }
+
+      const userMessage = apiRequest.messages.filter(message => message.role === 'user').map(message => message.content).join('\n');
+      switch (task) {
+        case 'callSeparation': {
+          const { start, end } = getSRTRange(userMessage);
+          return JSON.stringify({
+            calls: [{
+              startTime: start,
+              endTime: end,
+              title: 'Llamada de prueba',
+              description: 'Descripción de prueba',
+              summary: 'Resumen de prueba',
+              name: null,
+              age: null,
+              topic: 'General',
+              tags: ['prueba'],
+              thumbnailScene: 'Escena de prueba',
+            }],
+          });
+        }
+        case 'title':
+          return JSON.stringify({ title: 'Título de prueba' });
+        case 'scene':
+          return JSON.stringify({ thumbnailScene: 'Escena de prueba' });
+        case 'summary':
+          return JSON.stringify({ summary: 'Resumen de prueba' });
+        case 'metadata':
+          return JSON.stringify({
+            title: 'Título de prueba',
+            description: 'Descripción de prueba',
+            summary: 'Resumen de prueba',
+            name: null,
+            age: null,
+            topic: 'General',
+            tags: ['prueba'],
+            thumbnailScene: 'Escena de prueba',
+          });
+        case 'pii':
+          return JSON.stringify({ hits: [] });
+        case 'translation': {
+          // Devuelve cada texto marcado con el idioma de destino: "(en) texto"
+          const language = (userMessage.match(/\(código ([^)\s]+)\)/) || [])[1] || 'xx';
+          const itemsStart = userMessage.indexOf('{"items"');
+          const { items = [] } = itemsStart !== -1 ? parseJSONResponse(userMessage.slice(itemsStart)) : {};
+          return JSON.stringify({ items: items.map(item => ({ id: item.id, text: `(${language}) ${item.text}` })) });
+        }
+        default:
+          return JSON.stringify({});
+      }
+    },
+  };
+}
+
+/**
+ * Obtiene el proveedor de LLM configurado (se crea una sola vez)
+ * @returns {{name: string, chat: Function}}
+ */
+export function getLLMProvider() {
+  if (provider) {
+    return provider;
+  }
+
+  const name = config.llm.provider;
+  if (!PROVIDERS.includes(name)) {
+    throw new Error(`Proveedor de LLM no soportado: ${name}. Opciones: ${PROVIDERS.join(', ')}`);
+  }
+
+  if (name === 'fake') {
+    provider = createFakeProvider();
+  } else if (name === 'openai-compatible') {
+    provider = createOpenAIProvider(name, {
+      apiKey: config.llm.apiKey || 'not-needed', // Los servidores locales no suelen validar la clave
+      baseURL: config.llm.baseUrl,
+    });
+  } else {
+    provider = createOpenAIProvider(name, { apiKey: config.openai.apiKey });
+  }
+
+  return provider;
+}
+
+/**
+ * Verifica que el proveedor configurado pueda usarse (OpenAI requiere API key)
+ * @throws {Error} - Si falta configuración
+ */
+export function assertLLMConfigured() {
+  if (config.llm.provider === 'openai' && !config.openai.apiKey) {
+    throw new Error('OPENAI_API_KEY no configurada');
+  }
+  if (config.llm.provider === 'openai-compatible' && !config.llm.baseUrl) {
+    throw new Error('LLM_BASE_URL no configurada');
+  }
+}
+
+/**
+ * Modelo configurado para una tarea
+ * @param {string} task - Tarea (callSeparation, title, scene, metadata, summary, translation, pii)
+ * @returns {string}
+ */
+export function getTaskModel(task) {
+  const model = config.llm.models[task];
+  if (!model) {
+    throw new Error(`Tarea de LLM desconocida: ${task}`);
+  }
+  return model;
+}
+
+/**
+ * Construye la solicitud de chat para una tarea
+ * @param {string} task - Tarea (define el modelo)
+ * @param {string} systemMessage - Mensaje de sistema
+ * @param {string} userMessage - Mensaje del usuario
+ * @param {object} options - Opciones
+ * @param {number} options.temperature - Temperatura (por defecto 0.7)
+ * @param {boolean} options.jsonMode - Solicitar respuesta en formato JSON (por defecto true)
+ * @returns {object} - Solicitud en formato Chat Completions
+ */
+export function buildChatRequest(task, systemMessage, userMessage, { temperature = 0.7, jsonMode = true } = {}) {
+  const apiRequest = {
+    model: getTaskModel(task),
+    messages: [
+      { role: 'system', content: systemMessage },
+      { role: 'user', content: userMessage },
+    ],
+    temperature,
+  };
+  if (jsonMode) {
+    apiRequest.response_format = { type: 'json_object' };
+  }
+  return apiRequest;
+}
+
+/**
+ * Extrae y repara el JSON de una respuesta del LLM (texto alrededor, bloques de código,
+ * comentarios, comas finales, comillas tipográficas o simples y cierres faltantes)
+ * @param {string} text - Respuesta del LLM
+ * @returns {object} - JSON parseado
+ * @throws {Error} - Si no se pudo obtener un JSON válido
+ */
+export function parseJSONResponse(text) {
+  let responseText = (text || '').trim();
+
+  // Bloques de código ```json ... ```
+  const fenced = responseText.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fenced) {
+    responseText = fenced[1].trim();
+  }
+
+  // Buscar el primer { y su cierre balanceado (ignorando llaves dentro de strings)
+  const jsonStart = responseText.indexOf('{');
+  if (jsonStart !== -1) {
+    let braceCount = 0;
+    let inString = false;
+    let jsonEnd = -1;
+    for (let i = jsonStart; i < responseText.length; i++) {
+      const char = responseText[i];
+      if (char === '"' && responseText[i - 1] !== '\\') inString = !inString;
+      if (inString) continue;
+      if (char === '{') braceCount++;
+      if (char === '}') {
+        braceCount--;
+        if (braceCount === 0) {
+          jsonEnd = i + 1;
+          break;
+        }
+      }
+    }
+    responseText = jsonEnd !== -1 ? responseText.substring(jsonStart, jsonEnd) : responseText.substring(jsonStart);
+  }
+
+  try {
+    return JSON.parse(responseText);
+  } catch (parseError) {
+    // Reparar errores comunes
+  }
+
+  let repairedJson = responseText
+    .replace(/[“”]/g, '"') // Comillas tipográficas
+    .replace(/\/\*[\s\S]*?\*\//g, '') // Comentarios /* */
+    .replace(/^\s*\/\/.*$/gm, '') // Comentarios // en líneas propias
+    .replace(/,(\s*[}\]])/g, '$1'); // Comas finales antes de } o ]
+
+  try {
+    return JSON.parse(repairedJson);
+  } catch (parseError) {
+    // Seguir reparando
+  }
+
+  // Comillas simples como delimitadores de claves y valores
+  repairedJson = repairedJson
+    .replace(/([{,]\s*)'([^'"]+?)'\s*:/g, '$1"$2":')
+    .replace(/:\s*'([^'"]*?)'(\s*[,}\]])/g, ': "$1"$2');
+
+  // Respuesta truncada: cerrar strings, arrays y objetos abiertos
+  const stack = [];
+  let inString = false;
+  for (let i = 0; i < repairedJson.length; i++) {
+    const char = repairedJson[i];
+    if (char === '"' && repairedJson[i - 1] !== '\\') inString = !inString;
+    if (inString) continue;
+    if (char === '{' || char === '[') stack.push(char === '{' ? '}' : ']');
+    if ((char === '}' || char === ']') && stack.length > 0) stack.pop();
+  }
+  if (inString) repairedJson += '"';
+  repairedJson = repairedJson.replace(/,\s*$/, '') + stack.reverse().join('');
+
+  try {
+    return JSON.parse(repairedJson);
+  } catch (parseError) {
+    const error = new Error(`La respuesta del LLM no es un JSON válido: ${parseError.message}`);
+    error.invalidJson = true;
+    throw error;
+  }
+}
+
+/**
+ * Envía una solicitud de chat con la política compartida de reintentos (backoff exponencial)
+ * @param {string} task - Tarea (para el proveedor fake y los logs)
+ * @param {object} apiRequest - Solicitud (buildChatRequest)
+ * @param {object} options - Opciones
+ * @param {string} options.label - Nombre del proceso para los logs de prompts
+ * @param {string} options.videoId - ID del video (para logs)
+ * @param {boolean} options.parseJson - Parsear y reparar la respuesta como JSON (por defecto true)
+ * @param {Function} options.onRetry - Callback (attempt, maxRetries, delayMs, error) antes de cada reintento
+ * @returns {Promise<object|string>} - JSON parseado o el texto de la respuesta
+ */
+export async function requestChat(task, apiRequest, { label = task, videoId = null, parseJson = true, onRetry = null } = {}) {
+  assertLLMConfigured();
+  const llm = getLLMProvider();
+  const { maxRetries, retryOnInvalidJson } = config.llm;
+
+  await logAIPrompt(label, videoId || 'N/A', apiRequest);
+
+  // metadata.task solo lo usa el proveedor fake; no se envía a la API
+  const providerRequest = llm.name === 'fake' ? { ...apiRequest, metadata: { task } } : apiRequest;
+
+  let attempt = 0;
+  while (true) {
+    try {
+      const content = await llm.chat(providerRequest);
+      if (!parseJson) {
+        return content;
+      }
+      return parseJSONResponse(content);
+    } catch (error) {
+      const retryable = isRetryableError(error) || (error.invalidJson && retryOnInvalidJson);
+      if (!retryable || attempt >= maxRetries) {
+        if (isRetryableError(error)) {
+          throw new Error(`Error de conexión con el proveedor de LLM (${llm.name}) después de ${attempt + 1} intentos: ${error.message}`);
+        }
+        throw error;
+      }
+
+      attempt++;
+      const delay = getRetryDelay(attempt);
+      await logWarn(`${label}: ${error.message}. Reintentando en ${(delay / 1000).toFixed(1)}s (${attempt}/${maxRetries})`);
+      if (onRetry) {
+        onRetry(attempt, maxRetries, delay, error);
+      }
+      await new Promise(resolve => setTimeout(resolve, delay));
+      await logInfo(`${label}: reintento ${attempt} con ${llm.name} (${apiRequest.model})`);
+    }
+  }
+}
@@ -234,12 +234,17 @@ export async function logAIPrompt(service, videoId = null, apiRequest = null) {
   await addLog('PROMPT', '---');
 }
 
-// Flush automático cada cierto tiempo
+// Flush automático cada cierto tiempo (unref: el intervalo no mantiene vivo el proceso en scripts y pruebas)
 setInterval(() => {
   flushLogs().catch(err => {
     console.error('Error en flush automático de logs:', err.message);
   });
-}, FLUSH_INTERVAL);
+}, FLUSH_INTERVAL).unref();
+
+// Flush de lo pendiente cuando el proceso se queda sin trabajo (el evento exit no espera escrituras)
+process.on('beforeExit', async () => {
+  await flushAllLogs();
+});
 
 // Flush al cerrar la aplicación
 process.on('SIGINT', async () => {
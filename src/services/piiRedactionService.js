@@ -0,0 +1,658 @@
+import { readFile, writeFile, rename } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { createHash } from 'crypto';
+import ffmpeg from 'fluent-ffmpeg';
+import config from '../config/config.js';
+import { logInfo, logWarn } from './loggerService.js';
+import { assertLLMConfigured, buildChatRequest, requestChat } from './llmService.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Categorías de datos personales
+export const PII_CATEGORIES = ['phone', 'email', 'id', 'address', 'surname', 'workplace'];
+
+// Campos del metadata donde también se buscan y censuran datos (el título no: forma parte del nombre de archivo)
+const PII_TEXT_FIELDS = ['summary', 'description', 'shortDescription'];
+
+// Palabras de un número dictado ("nueve ocho siete...")
+const NUMBER_WORDS = new Set([
+  'cero', 'uno', 'una', 'dos', 'tres', 'cuatro', 'cinco', 'seis', 'siete', 'ocho', 'nueve', 'diez',
+  'once', 'doce', 'trece', 'catorce', 'quince', 'dieciséis', 'dieciseis', 'diecisiete', 'dieciocho', 'diecinueve',
+  'veinte', 'treinta', 'cuarenta', 'cincuenta', 'sesenta', 'setenta', 'ochenta', 'noventa', 'cien', 'ciento', 'doble',
+]);
+// Palabras mínimas de un número dictado para considerarlo teléfono
+const MIN_SPOKEN_PHONE_WORDS = 7;
+// Palabras que indican que una cifra es un teléfono y no un monto
+const PHONE_CONTEXT = /(tel[eé]fono|celular|fono|n[uú]mero|whatsapp|wsp|ll[aá]m[ea]n?|marqu[ea]n?)/i;
+
+/**
+ * Indica si una cifra encontrada es un teléfono (8 a 12 dígitos que no son un monto)
+ * @param {string} text - Texto completo
+ * @param {string} match - Cifra encontrada
+ * @param {number} index - Posición de la cifra en el texto
+ * @returns {boolean}
+ */
+function isPhoneCandidate(text, match, index) {
+  const digits = match.replace(/\D/g, '');
+  if (digits.length < 8 || digits.length > 12) {
+    return false;
+  }
+  const before = text.slice(Math.max(0, index - 40), index);
+  const after = text.slice(index + match.length, index + match.length + 20);
+  if (/\$\s*$/.test(before) || /^\s*(?:de\s+)?(?:pesos|lucas|d[oó]lares|palos|millones)/i.test(after)) {
+    return false;
+  }
+  // 15.000.000 es un monto salvo que se hable de un número de teléfono
+  return !/^\d{1,3}(?:\.\d{3})+$/.test(match) || PHONE_CONTEXT.test(before);
+}
+
+// Reglas por categoría en orden de prioridad (un dato encontrado por una regla no se repite en las siguientes)
+// group: grupo de la expresión con el dato (por defecto, toda la coincidencia)
+const RULES = [
+  { category: 'email', pattern: /[\p{L}\p{N}._%+-]+@[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)+/gu },
+  { category: 'email', pattern: /[\p{L}\p{N}._-]+\s+arroba\s+[\p{L}\p{N}-]+(?:\s+punto\s+\p{L}+)+/giu },
+  { category: 'id', pattern: /(?<![\p{L}\p{N}])\d{1,2}\.?\d{3}\.?\d{3}\s?-\s?[\dkK](?![\p{L}\p{N}])/gu },
+  { category: 'phone', pattern: /(?<![\p{L}\p{N}])\+?\d(?:[\s.-]?\d){7,11}(?![\p{L}\p{N}])/gu, accept: isPhoneCandidate },
+  {
+    category: 'address',
+    pattern: /(?<![\p{L}])(?:[Cc]alle|[Aa]venida|[Aa]v\.|[Pp]asaje|[Pp]sje\.?|[Cc]amino|[Vv]illa|[Pp]oblación|[Bb]lock|[Dd]epto\.?|[Dd]epartamento)\s+(?:[\p{L}\d.]+\s+){0,4}?(?:n[úu]mero\s+|#\s*|n°\s*)?\d{1,5}(?!\p{N})/gu,
+  },
+  {
+    category: 'surname',
+    pattern: /(?:[Mm]e llamo|[Mm]i nombre es|[Ss]oy)\s+\p{Lu}\p{Ll}+((?:\s+(?:de\s+(?:la\s+|los\s+)?)?\p{Lu}\p{Ll}+){1,3})/dgu,
+    group: 1,
+  },
+  { category: 'surname', pattern: /(?:[Mm]i apellido es|[Dd]e apellido)\s+(\p{Lu}\p{Ll}+(?:\s+\p{Lu}\p{Ll}+)?)/dgu, group: 1 },
+  {
+    category: 'workplace',
+    pattern: /(?:[Tt]rabajo|[Tt]rabajaba|[Tt]rabaja|[Tt]rabajé)\s+(?:en|para)\s+(?:(?:la|el|los|las|una|un)\s+)?(?:(?:empresa|compañía|tienda|banco|supermercado|clínica|hospital|colegio|liceo|universidad|municipalidad|fábrica|restaurante)\s+(?:de\s+)?)?(\p{Lu}[\p{L}\d&.'-]*(?:\s+(?:de\s+|del\s+|la\s+)?\p{Lu}[\p{L}\d&.'-]*){0,3})/dgu,
+    group: 1,
+  },
+];
+
+/**
+ * Crea un error con código HTTP para que el controlador lo responda tal cual
+ * @param {string} message - Mensaje del error
+ * @param {number} status - Código HTTP
+ * @returns {Error}
+ */
+function createStatusError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Escapa un texto para usarlo dentro de una expresión regular
+ * @param {string} text - Texto
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Identificador estable de un dato (se mantiene entre escaneos para conservar la revisión)
+ * @param {string} field - transcript o el campo del metadata
+ * @param {number|null} segmentIndex - Índice del segmento
+ * @param {string} category - Categoría
+ * @param {string} text - Dato
+ * @returns {string}
+ */
+function getHitId(field, segmentIndex, category, text) {
+  return createHash('sha1').update(`${field}|${segmentIndex}|${category}|${text.toLowerCase()}`).digest('hex').slice(0, 12);
+}
+
+/**
+ * Busca números de teléfono dictados en palabras ("nueve ocho siete seis...")
+ * @param {string} text - Texto
+ * @returns {Array<{category: string, charStart: number, charEnd: number}>}
+ */
+function findSpokenNumbers(text) {
+  const matches = [];
+  const words = [...text.matchAll(/[\p{L}]+/gu)];
+  let run = [];
+
+  const flush = () => {
+    const numberWords = run.filter(match => match[0].toLowerCase() !== 'y');
+    if (numberWords.length >= MIN_SPOKEN_PHONE_WORDS) {
+      const last = numberWords[numberWords.length - 1];
+      matches.push({ category: 'phone', charStart: numberWords[0].index, charEnd: last.index + last[0].length });
+    }
+    run = [];
+  };
+
+  for (const word of words) {
+    const key = word[0].toLowerCase();
+    // "treinta y dos": la y solo une palabras de un mismo número
+    if (NUMBER_WORDS.has(key) || (key === 'y' && run.length > 0)) {
+      run.push(word);
+    } else {
+      flush();
+    }
+  }
+  flush();
+
+  return matches;
+}
+
+/**
+ * Busca datos personales en un texto con las reglas de las categorías habilitadas
+ * @param {string} text - Texto
+ * @param {Array<string>} categories - Categorías habilitadas
+ * @param {object} metadata - Metadata de la llamada (el nombre del llamante ayuda a encontrar su apellido)
+ * @returns {Array<{category: string, charStart: number, charEnd: number, text: string}>}
+ */
+function findRuleHits(text, categories, metadata = {}) {
+  const rules = [...RULES];
+  if (metadata.name && typeof metadata.name === 'string' && metadata.name.trim()) {
+    // "<nombre del llamante> <Apellido>"
+    rules.push({
+      category: 'surname',
+      pattern: new RegExp(`(?<![\\p{L}])${escapeRegExp(metadata.name.trim().split(/\s+/)[0])}\\s+(\\p{Lu}\\p{Ll}+(?:\\s+\\p{Lu}\\p{Ll}+)?)`, 'dgu'),
+      group: 1,
+    });
+  }
+
+  const hits = [];
+  const overlaps = (charStart, charEnd) => hits.some(hit => charStart < hit.charEnd && charEnd > hit.charStart);
+  const add = (category, charStart, charEnd) => {
+    // Sin espacios ni puntuación final ("trabajo en el Banco de Chile.")
+    const value = text.slice(charStart, charEnd).trim().replace(/[.,;:!?]+$/, '');
+    if (value && !overlaps(charStart, charEnd)) {
+      const offset = text.slice(charStart, charEnd).indexOf(value);
+      hits.push({ category, charStart: charStart + offset, charEnd: charStart + offset + value.length, text: value });
+    }
+  };
+
+  for (const rule of rules) {
+    if (!categories.includes(rule.category)) {
+      continue;
+    }
+    for (const match of text.matchAll(rule.pattern)) {
+      if (rule.accept && !rule.accept(text, match[0], match.index)) {
+        continue;
+      }
+      const [charStart, charEnd] = rule.group ? match.indices[rule.group] : [match.index, match.index + match[0].length];
+      add(rule.category, charStart, charEnd);
+    }
+  }
+  if (categories.includes('phone')) {
+    findSpokenNumbers(text).forEach(match => add(match.category, match.charStart, match.charEnd));
+  }
+
+  return hits.sort((a, b) => a.charStart - b.charStart);
+}
+
+/**
+ * Rango de tiempo de un dato dentro de su segmento: por timestamps por palabra si existen,
+ * o proporcional a la posición del texto
+ * @param {object} segment - Segmento ({ start, end, text, words })
+ * @param {number} charStart - Inicio del dato en el texto
+ * @param {number} charEnd - Fin del dato en el texto
+ * @returns {{start: number, end: number}}
+ */
+function getHitTimeRange(segment, charStart, charEnd) {
+  const text = segment.text || '';
+  const round = (value) => Math.round(value * 1000) / 1000;
+
+  if (Array.isArray(segment.words) && segment.words.length > 0) {
+    let cursor = 0;
+    const overlapping = [];
+    for (const word of segment.words) {
+      const token = (word.word || '').trim();
+      const position = token ? text.indexOf(token, cursor) : -1;
+      if (position === -1) {
+        continue;
+      }
+      cursor = position + token.length;
+      if (position < charEnd && cursor > charStart) {
+        overlapping.push(word);
+      }
+    }
+    if (overlapping.length > 0) {
+      return { start: round(overlapping[0].start), end: round(overlapping[overlapping.length - 1].end) };
+    }
+  }
+
+  const length = Math.max(text.length, 1);
+  const duration = segment.end - segment.start;
+  return {
+    start: round(segment.start + (duration * charStart) / length),
+    end: round(segment.start + (duration * charEnd) / length),
+  };
+}
+
+/**
+ * Carga el prompt de detección de datos personales desde el archivo
+ * @returns {Promise<{systemMessage: string, userMessageTemplate: string}>}
+ */
+async function loadPIIDetectionPrompt() {
+  const promptPath = join(__dirname, '../../public/prompts/pii-detection.txt');
+  const promptContent = await readFile(promptPath, 'utf-8');
+
+  // Separar SYSTEM MESSAGE y USER MESSAGE usando el separador "---"
+  const parts = promptContent.split('---');
+  const systemMessage = parts[0].replace('SYSTEM MESSAGE:', '').trim();
+  const userMessageTemplate = parts.length > 1 ? parts[1].replace('USER MESSAGE:', '').trim() : '';
+
+  return { systemMessage, userMessageTemplate };
+}
+
+/**
+ * Busca datos personales en la transcripción con el proveedor de LLM (tarea 'pii')
+ * @param {Array} segments - Segmentos de la llamada
+ * @param {Array<string>} categories - Categorías habilitadas
+ * @returns {Promise<Array<{segmentIndex: number, category: string, charStart: number, charEnd: number, text: string}>>}
+ */
+async function findLLMHits(segments, categories) {
+  assertLLMConfigured();
+
+  const { systemMessage, userMessageTemplate } = await loadPIIDetectionPrompt();
+  const transcription = segments.map((segment, index) => `[${index + 1}] ${segment.text}`).join('\n');
+  const userMessage = userMessageTemplate
+    .replace('[TRANSCRIPTION]', transcription)
+    .replace('[CATEGORIES]', categories.join(', '));
+
+  const apiRequest = buildChatRequest('pii', systemMessage, userMessage, { temperature: 0 });
+  const result = await requestChat('pii', apiRequest, { label: 'Detección de datos personales' });
+
+  const hits = [];
+  for (const item of Array.isArray(result.hits) ? result.hits : []) {
+    const segment = segments[Number(item.line) - 1];
+    const value = typeof item.text === 'string' ? item.text.trim() : '';
+    if (!segment || !value || !categories.includes(item.category)) {
+      continue;
+    }
+    // Solo se aceptan datos que aparecen textualmente en la línea indicada
+    const charStart = (segment.text || '').toLowerCase().indexOf(value.toLowerCase());
+    if (charStart === -1) {
+      continue;
+    }
+    hits.push({
+      segmentIndex: Number(item.line) - 1,
+      category: item.category,
+      charStart,
+      charEnd: charStart + value.length,
+      text: segment.text.slice(charStart, charStart + value.length),
+    });
+  }
+  return hits;
+}
+
+/**
+ * Busca datos personales en la transcripción y en el resumen y las descripciones de una llamada
+ * (config.pii.detector: reglas, LLM o ambos; config.pii.categories)
+ * @param {Array} segments - Segmentos de la llamada ({ start, end, speaker, text, words })
+ * @param {object} metadata - Metadata de la llamada
+ * @returns {Promise<Array<object>>} - Datos encontrados ({ id, field, segmentIndex, category, text, charStart, charEnd, start, end, context, source, status })
+ */
+export async function detectPII(segments, metadata) {
+  const categories = config.pii.categories.filter(category => PII_CATEGORIES.includes(category));
+  const detector = config.pii.detector;
+  const found = [];
+
+  if (detector === 'rules' || detector === 'both') {
+    segments.forEach((segment, segmentIndex) => {
+      findRuleHits(segment.text || '', categories, metadata).forEach(hit => found.push({ ...hit, segmentIndex, source: 'rules' }));
+    });
+  }
+  if (detector === 'llm' || detector === 'both') {
+    try {
+      (await findLLMHits(segments, categories)).forEach(hit => found.push({ ...hit, source: 'llm' }));
+    } catch (error) {
+      // Sin LLM se conservan los resultados de las reglas
+      if (detector === 'llm') {
+        throw error;
+      }
+      await logWarn(`Detección de datos personales con LLM fallida, se usan solo las reglas: ${error.message}`);
+    }
+  }
+
+  const hits = new Map();
+  for (const hit of found) {
+    const segment = segments[hit.segmentIndex];
+    const id = getHitId('transcript', hit.segmentIndex, hit.category, hit.text);
+    // Un dato encontrado por las reglas y por el LLM se informa una vez
+    const duplicate = hits.has(id) || [...hits.values()].some(existing => existing.segmentIndex === hit.segmentIndex
+      && hit.charStart < existing.charEnd && hit.charEnd > existing.charStart);
+    if (duplicate) {
+      continue;
+    }
+    hits.set(id, {
+      id,
+      field: 'transcript',
+      segmentIndex: hit.segmentIndex,
+      category: hit.category,
+      text: hit.text,
+      charStart: hit.charStart,
+      charEnd: hit.charEnd,
+      ...getHitTimeRange(segment, hit.charStart, hit.charEnd),
+      speaker: segment.speaker || null,
+      context: segment.text,
+      source: hit.source,
+      status: 'pending',
+    });
+  }
+
+  for (const field of PII_TEXT_FIELDS) {
+    const value = typeof metadata[field] === 'string' ? metadata[field] : '';
+    for (const hit of findRuleHits(value, categories, metadata)) {
+      const id = getHitId(field, null, hit.category, hit.text);
+      if (!hits.has(id)) {
+        hits.set(id, {
+          id,
+          field,
+          segmentIndex: null,
+          category: hit.category,
+          text: hit.text,
+          charStart: hit.charStart,
+          charEnd: hit.charEnd,
+          start: null,
+          end: null,
+          speaker: null,
+          context: value,
+          source: 'rules',
+          status: 'pending',
+        });
+      }
+    }
+  }
+
+  return [...hits.values()];
+}
+
+/**
+ * Combina un escaneo nuevo con la revisión anterior: conserva el estado de los datos ya revisados
+ * y los aprobados que ya se censuraron (su texto ya no aparece, pero su rango de audio sigue censurado)
+ * @param {Array<object>} previousHits - Datos de la revisión anterior
+ * @param {Array<object>} hits - Datos del escaneo nuevo
+ * @returns {Array<object>}
+ */
+export function mergePIIHits(previousHits, hits) {
+  const previousById = new Map((previousHits || []).map(hit => [hit.id, hit]));
+  const merged = hits.map(hit => {
+    const previous = previousById.get(hit.id);
+    return previous ? { ...hit, status: previous.status, appliedAt: previous.appliedAt || null } : hit;
+  });
+  const ids = new Set(merged.map(hit => hit.id));
+  for (const previous of previousHits || []) {
+    if (!ids.has(previous.id) && previous.status === 'approved' && previous.appliedAt) {
+      merged.push(previous);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Aprueba o descarta datos de una revisión
+ * @param {Array<object>} hits - Datos de la revisión
+ * @param {object} decisions - Decisiones
+ * @param {Array<string>|string} decisions.approve - IDs a censurar ('all' = todos los pendientes)
+ * @param {Array<string>|string} decisions.reject - IDs a descartar ('all' = todos los pendientes)
+ * @returns {Array<object>}
+ * @throws {Error} - Con status 400 si algún ID no existe
+ */
+export function applyPIIDecisions(hits, { approve = [], reject = [] } = {}) {
+  const ids = new Set(hits.map(hit => hit.id));
+  const toSet = (value) => (value === 'all' ? null : new Set(Array.isArray(value) ? value : [value]));
+  const approveIds = toSet(approve);
+  const rejectIds = toSet(reject);
+
+  const unknown = [...(approveIds || []), ...(rejectIds || [])].filter(id => !ids.has(id));
+  if (unknown.length > 0) {
+    throw createStatusError(`Datos no encontrados en la revisión: ${unknown.join(', ')}`, 400);
+  }
+
+  return hits.map(hit => {
+    // Un dato ya censurado no se puede descartar (el audio de respaldo sigue disponible)
+    if (hit.appliedAt) {
+      return hit;
+    }
+    // Los IDs explícitos tienen prioridad sobre 'all'
+    if (approveIds && approveIds.has(hit.id)) {
+      return { ...hit, status: 'approved' };
+    }
+    if (rejectIds && rejectIds.has(hit.id)) {
+      return { ...hit, status: 'rejected' };
+    }
+    if (hit.status === 'pending' && (approve === 'all' || reject === 'all')) {
+      return { ...hit, status: approve === 'all' ? 'approved' : 'rejected' };
+    }
+    return hit;
+  });
+}
+
+/**
+ * Reemplaza las apariciones de los datos en un texto por config.pii.mask (palabras completas, sin distinguir mayúsculas)
+ * @param {string} text - Texto
+ * @param {Array<string>} values - Datos a censurar
+ * @returns {{text: string, count: number}}
+ */
+export function maskText(text, values) {
+  let result = text || '';
+  let count = 0;
+  const unique = [...new Set(values.filter(Boolean))].sort((a, b) => b.length - a.length);
+  for (const value of unique) {
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(value)}(?![\\p{L}\\p{N}])`, 'giu');
+    result = result.replace(pattern, () => {
+      count++;
+      return config.pii.mask;
+    });
+  }
+  return { text: result, count };
+}
+
+/**
+ * Censura en los segmentos los datos aprobados de la transcripción
+ * Las palabras con timestamps dentro de un dato se reemplazan por una sola palabra con la máscara
+ * @param {Array} segments - Segmentos de la llamada
+ * @param {Array<object>} hits - Datos aprobados
+ * @returns {{segments: Array, count: number}}
+ */
+export function maskSegments(segments, hits) {
+  let count = 0;
+  const masked = segments.map((segment, segmentIndex) => {
+    const segmentHits = hits
+      .filter(hit => hit.field === 'transcript' && hit.segmentIndex === segmentIndex)
+      .sort((a, b) => b.charStart - a.charStart);
+    if (segmentHits.length === 0) {
+      return segment;
+    }
+
+    let text = segment.text || '';
+    let changed = false;
+    for (const hit of segmentHits) {
+      if (text.slice(hit.charStart, hit.charEnd).toLowerCase() === hit.text.toLowerCase()) {
+        text = `${text.slice(0, hit.charStart)}${config.pii.mask}${text.slice(hit.charEnd)}`;
+        changed = true;
+        count++;
+      } else {
+        // El texto cambió desde el escaneo (edición o censura anterior): buscar el dato
+        const result = maskText(text, [hit.text]);
+        if (result.count > 0) {
+          text = result.text;
+          changed = true;
+          count += result.count;
+        }
+      }
+    }
+    if (!changed) {
+      return segment;
+    }
+
+    let words = segment.words;
+    if (Array.isArray(words) && words.length > 0) {
+      const inHit = (word) => segmentHits.some(hit => hit.start !== null && word.start < hit.end && word.end > hit.start);
+      words = words.reduce((result, word) => {
+        if (!inHit(word)) {
+          result.push(word);
+        } else if (result.length > 0 && result[result.length - 1].masked) {
+          result[result.length - 1].end = word.end;
+        } else {
+          result.push({ word: ` ${config.pii.mask}`, start: word.start, end: word.end, masked: true });
+        }
+        return result;
+      }, []).map(({ masked: _masked, ...word }) => word);
+    }
+
+    return { ...segment, text, words };
+  });
+
+  return { segments: masked, count };
+}
+
+/**
+ * Rangos de audio a censurar: los de los datos aprobados de la transcripción, con config.pii.paddingSeconds
+ * y unidos cuando se superponen
+ * @param {Array<object>} hits - Datos aprobados
+ * @returns {Array<{start: number, end: number}>}
+ */
+export function getRedactionRanges(hits) {
+  const padding = config.pii.paddingSeconds;
+  const ranges = hits
+    .filter(hit => hit.field === 'transcript' && typeof hit.start === 'number' && typeof hit.end === 'number')
+    .map(hit => ({ start: Math.max(0, hit.start - padding), end: hit.end + padding }))
+    .sort((a, b) => a.start - b.start);
+
+  const merged = [];
+  for (const range of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push({ ...range });
+    }
+  }
+  return merged.map(range => ({ start: Math.round(range.start * 1000) / 1000, end: Math.round(range.end * 1000) / 1000 }));
+}
+
+/**
+ * Censura rangos de un audio con FFmpeg: silencio ('mute') o silencio con un tono encima ('bleep')
+ * Escribe en un archivo temporal y lo renombra al terminar (el audio de salida nunca queda a medias)
+ * @param {string} sourcePath - Audio original (sin censurar)
+ * @param {string} outputPath - Audio censurado (MP3)
+ * @param {Array<{start: number, end: number}>} ranges - Rangos en segundos
+ * @param {string} mode - 'bleep' o 'mute' (por defecto config.pii.audioMode)
+ * @returns {Promise<void>}
+ */
+export async function redactAudio(sourcePath, outputPath, ranges, mode = config.pii.audioMode) {
+  if (!['bleep', 'mute'].includes(mode)) {
+    throw createStatusError(`mode debe ser bleep o mute (recibido: ${mode})`, 400);
+  }
+  if (ranges.length === 0) {
+    throw new Error('No hay rangos de audio para censurar');
+  }
+
+  const enable = ranges.map(range => `between(t,${range.start.toFixed(3)},${range.end.toFixed(3)})`).join('+');
+  const partialPath = `${outputPath}.part`;
+
+  await new Promise((resolve, reject) => {
+    const command = ffmpeg(sourcePath);
+    if (mode === 'mute') {
+      command.audioFilters(`volume=enable='${enable}':volume=0`);
+    } else {
+      // amix divide el volumen de cada entrada por 2: volume=2 lo restaura
+      command
+        .complexFilter([
+          `[0:a]volume=enable='${enable}':volume=0[muted]`,
+          `aevalsrc=exprs='0.3*(${enable})*sin(2*PI*${config.pii.bleepFrequency}*t)':s=44100[tone]`,
+          '[muted][tone]amix=inputs=2:duration=first:dropout_transition=0,volume=2[out]',
+        ])
+        .outputOptions(['-map', '[out]']);
+    }
+
+    command
+      .format('mp3')
+      .output(partialPath)
+      .on('start', (commandLine) => {
+        console.log(`[redactAudio] FFmpeg iniciado: ${commandLine}`);
+      })
+      .on('end', resolve)
+      .on('error', (err) => {
+        reject(new Error(`Error al censurar el audio: ${err.message}`));
+      })
+      .run();
+  });
+
+  await rename(partialPath, outputPath);
+}
+
+/**
+ * Ruta de la revisión de datos personales de una llamada (<archivo>.pii.json)
+ * @param {string} fileName - Nombre base de la llamada
+ * @returns {string}
+ */
+function getReviewPath(fileName) {
+  return join(config.storage.callsPath, `${fileName}.pii.json`);
+}
+
+/**
+ * Lee la revisión de datos personales de una llamada
+ * @param {string} fileName - Nombre base de la llamada
+ * @returns {Promise<object|null>} - Revisión o null si la llamada no se escaneó
+ */
+export async function readPIIReview(fileName) {
+  const reviewPath = getReviewPath(fileName);
+  if (!existsSync(reviewPath)) {
+    return null;
+  }
+  return JSON.parse(await readFile(reviewPath, 'utf-8'));
+}
+
+/**
+ * Guarda la revisión de datos personales de una llamada (escritura atómica)
+ * @param {string} fileName - Nombre base de la llamada
+ * @param {object} review - Revisión
+ * @returns {Promise<void>}
+ */
+export async function savePIIReview(fileName, review) {
+  const reviewPath = getReviewPath(fileName);
+  const partialPath = `${reviewPath}.part`;
+  await writeFile(partialPath, JSON.stringify(review, null, 2), 'utf-8');
+  await rename(partialPath, reviewPath);
+}
+
+/**
+ * Escanea una llamada y guarda la revisión combinada con la anterior
+ * @param {string} fileName - Nombre base de la llamada
+ * @param {Array} segments - Segmentos de la llamada
+ * @param {object} metadata - Metadata de la llamada
+ * @returns {Promise<object>} - Revisión ({ scannedAt, detector, hits, ... })
+ */
+export async function scanCallForPII(fileName, segments, metadata) {
+  const previous = await readPIIReview(fileName);
+  const hits = mergePIIHits(previous ? previous.hits : [], await detectPII(segments, metadata));
+  const review = {
+    ...(previous || {}),
+    scannedAt: new Date().toISOString(),
+    detector: config.pii.detector,
+    hits,
+  };
+  await savePIIReview(fileName, review);
+
+  const pending = hits.filter(hit => hit.status === 'pending').length;
+  if (pending > 0) {
+    await logInfo(`${fileName}: ${pending} dato(s) personal(es) pendiente(s) de revisión`);
+  }
+  return review;
+}
+
+/**
+ * Resumen de una revisión para el metadata y las respuestas de la API
+ * @param {object|null} review - Revisión
+ * @returns {{total: number, pending: number, approved: number, rejected: number, applied: number}}
+ */
+export function summarizePIIReview(review) {
+  const hits = review ? review.hits : [];
+  return {
+    total: hits.length,
+    pending: hits.filter(hit => hit.status === 'pending').length,
+    approved: hits.filter(hit => hit.status === 'approved').length,
+    rejected: hits.filter(hit => hit.status === 'rejected').length,
+    applied: hits.filter(hit => hit.appliedAt).length,
+  };
+}
@@ -6,6 +6,7 @@ import { existsSync, readFileSync } from 'fs';
 import { pipeline, env } from '@xenova/transformers';
 import config from '../config/config.js';
 import { logInfo, logError, logWarn } from './loggerService.js';
+import { splitSpeakerLabel, HOST_LABEL } from './diarizationService.js';
 
 // Suprimir warnings de transformers
 env.suppressWarnings = true;
@@ -547,9 +548,36 @@ export async function updateRelatedCallsMetadata(currentFileName, duplicateOf, r
   }
 }
 
+// Máximo de caracteres del relato del llamante incluidos en el embedding
+const MAX_CALLER_TEXT_LENGTH = 1500;
+
+/**
+ * Obtiene lo que dijo el llamante a partir del SRT etiquetado por la diarización
+ * @param {object} metadata - Metadata de la llamada (transcriptionPath o fileName)
+ * @returns {string} - Texto del llamante (vacío si el SRT no tiene etiquetas de speaker)
+ */
+function getCallerText(metadata) {
+  const srtPath = metadata.transcriptionPath || (metadata.fileName ? join(config.storage.callsPath, `${metadata.fileName}.srt`) : null);
+  if (!srtPath || !existsSync(srtPath)) {
+    return '';
+  }
+
+  try {
+    const callerLines = readFileSync(srtPath, 'utf-8')
+      .split('\n')
+      .map(line => splitSpeakerLabel(line.trim()))
+      .filter(({ speaker, text }) => speaker && speaker !== HOST_LABEL && text.trim())
+      .map(({ text }) => text.trim());
+    return callerLines.join(' ').substring(0, MAX_CALLER_TEXT_LENGTH);
+  } catch (error) {
+    return '';
+  }
+}
+
 /**
  * Construye el texto formateado para generar el embedding
- * Formato: Nombre: [nombre]\nEdad: [edad]\nDescripcion: [description]\nResumen: [summary]
+ * Formato: Nombre: [nombre]\nEdad: [edad]\nDescripcion: [description]\nResumen: [summary]\nLlamante: [lo que dijo el llamante]
+ * La línea del llamante solo se agrega si la transcripción tiene etiquetas de speaker (diarización)
  * @param {object} metadata - Metadata de la llamada
  * @returns {string} - Texto formateado para embedding
  */
@@ -578,6 +606,12 @@ export function buildEmbeddingText(metadata) {
     throw new Error('El metadata debe contener un campo "summary" para generar el embedding');
   }
   
+  // Relato del llamante (quién dijo qué, según la diarización)
+  const callerText = getCallerText(metadata);
+  if (callerText) {
+    parts.push(`Llamante: ${callerText}`);
+  }
+  
   return parts.join('\n');
 }
 
@@ -0,0 +1,393 @@
+import { readFile, writeFile, copyFile, unlink } from 'fs/promises';
+import { existsSync, createWriteStream } from 'fs';
+import { join, dirname, isAbsolute, resolve, extname, sep } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { createHash } from 'crypto';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import config from '../config/config.js';
+import { convertToMP3 } from '../utils/audioUtils.js';
+
+// Prefijo de los IDs de episodio (se usan en lugar del youtubeVideoId)
+const EPISODE_ID_PREFIX = 'pod_';
+
+/**
+ * Indica si una ubicación es una URL HTTP(S)
+ * @param {string} location - URL o ruta
+ * @returns {boolean}
+ */
+function isRemoteLocation(location) {
+  return /^https?:\/\//i.test(location);
+}
+
+/**
+ * Convierte una ubicación local (ruta o file://) en una ruta absoluta
+ * @param {string} location - Ruta o URL file://
+ * @returns {string}
+ */
+function toLocalPath(location) {
+  if (location.startsWith('file://')) {
+    return fileURLToPath(location);
+  }
+  return resolve(location);
+}
+
+/**
+ * Indica si una ruta local está dentro de una carpeta (rutas resueltas)
+ * @param {string} path - Ruta
+ * @param {string} directory - Carpeta
+ * @returns {boolean}
+ */
+function isInsideDirectory(path, directory) {
+  const resolvedDirectory = resolve(directory);
+  return resolve(path).startsWith(resolvedDirectory.endsWith(sep) ? resolvedDirectory : `${resolvedDirectory}${sep}`);
+}
+
+/**
+ * Resuelve la URL de un enclosure relativa a la ubicación del feed
+ * Los audios locales (ruta o file://) solo se aceptan en feeds locales y dentro de la carpeta del feed:
+ * un feed remoto no puede hacer que el servidor copie archivos locales
+ * @param {string} enclosureUrl - URL o ruta del enclosure
+ * @param {string} feedLocation - URL o ruta del feed
+ * @returns {string|null} - URL resuelta o null si el enclosure no está permitido
+ */
+function resolveEnclosureLocation(enclosureUrl, feedLocation) {
+  if (isRemoteLocation(enclosureUrl)) {
+    return enclosureUrl;
+  }
+  if (isRemoteLocation(feedLocation)) {
+    // Solo se admiten rutas relativas, que se resuelven contra la URL del feed
+    if (isAbsolute(enclosureUrl) || /^[a-z][a-z\d+.-]*:/i.test(enclosureUrl)) {
+      return null;
+    }
+    return new URL(enclosureUrl, feedLocation).href;
+  }
+
+  const feedDirectory = dirname(toLocalPath(feedLocation));
+  let enclosurePath;
+  if (enclosureUrl.startsWith('file://')) {
+    enclosurePath = toLocalPath(enclosureUrl);
+  } else if (isAbsolute(enclosureUrl)) {
+    enclosurePath = resolve(enclosureUrl);
+  } else if (/^[a-z][a-z\d+.-]*:/i.test(enclosureUrl)) {
+    // Otros esquemas (ftp:, data:, ...) no se descargan
+    return null;
+  } else {
+    enclosurePath = resolve(join(feedDirectory, enclosureUrl));
+  }
+  return isInsideDirectory(enclosurePath, feedDirectory) ? pathToFileURL(enclosurePath).href : null;
+}
+
+/**
+ * Decodifica las entidades XML y las secciones CDATA de un texto
+ * @param {string} text - Texto del XML
+ * @returns {string}
+ */
+function decodeXmlText(text) {
+  if (!text) {
+    return '';
+  }
+  const cdata = text.match(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/);
+  if (cdata) {
+    return cdata[1].trim();
+  }
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (match, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+/**
+ * Escapa un nombre de etiqueta (puede tener namespace, ej: itunes:image) para usarlo en una regex
+ * @param {string} tagName - Nombre de la etiqueta
+ * @returns {string}
+ */
+function escapeTagName(tagName) {
+  return tagName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Obtiene los bloques <tag>...</tag> de un XML
+ * @param {string} xml - XML
+ * @param {string} tagName - Nombre de la etiqueta
+ * @returns {Array<string>} - Contenido de cada bloque
+ */
+function getBlocks(xml, tagName) {
+  const pattern = new RegExp(`<${escapeTagName(tagName)}(?:\\s[^>]*)?>([\\s\\S]*?)</${escapeTagName(tagName)}>`, 'gi');
+  return Array.from(xml.matchAll(pattern), match => match[1]);
+}
+
+/**
+ * Obtiene el texto de la primera etiqueta encontrada
+ * @param {string} xml - XML
+ * @param {Array<string>} tagNames - Etiquetas a buscar, en orden de preferencia
+ * @returns {string|null}
+ */
+function getTagText(xml, tagNames) {
+  for (const tagName of tagNames) {
+    const [block] = getBlocks(xml, tagName);
+    if (block !== undefined) {
+      const text = decodeXmlText(block);
+      if (text) {
+        return text;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Obtiene los atributos de las etiquetas <tag ...> (con o sin cierre propio)
+ * @param {string} xml - XML
+ * @param {string} tagName - Nombre de la etiqueta
+ * @returns {Array<object>} - Atributos de cada etiqueta
+ */
+function getTagAttributes(xml, tagName) {
+  const pattern = new RegExp(`<${escapeTagName(tagName)}(\\s[^>]*?)\\/?>`, 'gi');
+  return Array.from(xml.matchAll(pattern), (match) => {
+    const attributes = {};
+    for (const attribute of match[1].matchAll(/([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g)) {
+      attributes[attribute[1].toLowerCase()] = decodeXmlText(attribute[3] !== undefined ? attribute[3] : attribute[4]);
+    }
+    return attributes;
+  });
+}
+
+/**
+ * Convierte una fecha del feed (RFC 822 o ISO 8601) a YYYY-MM-DD
+ * @param {string} value - Fecha del feed
+ * @returns {string|null}
+ */
+function toUploadDate(value) {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString().split('T')[0];
+}
+
+/**
+ * Obtiene el ID de episodio a partir de su GUID
+ * El mismo GUID siempre genera el mismo ID, aunque el feed cambie de URL
+ * @param {string} guid - GUID del episodio
+ * @returns {string} - ID del episodio (ej: pod_3f2a9b1c4d5e)
+ */
+export function getEpisodeId(guid) {
+  return `${EPISODE_ID_PREFIX}${createHash('sha1').update(String(guid)).digest('hex').substring(0, 12)}`;
+}
+
+/**
+ * Indica si un ID corresponde a un episodio de podcast
+ * @param {string} id - ID de video o episodio
+ * @returns {boolean}
+ */
+export function isPodcastEpisodeId(id) {
+  return typeof id === 'string' && id.startsWith(EPISODE_ID_PREFIX);
+}
+
+/**
+ * Parsea un feed RSS 2.0 o Atom
+ * @param {string} xml - Contenido del feed
+ * @param {string} feedLocation - URL o ruta del feed (para resolver enclosures relativos)
+ * @returns {{title: string, link: string|null, imageUrl: string|null, episodes: Array<object>}}
+ */
+export function parsePodcastFeed(xml, feedLocation = '') {
+  const isAtom = /<feed[\s>]/i.test(xml) && !/<rss[\s>]/i.test(xml);
+  const itemTag = isAtom ? 'entry' : 'item';
+
+  // Metadatos del canal: lo que está antes del primer episodio
+  const firstItemIndex = xml.search(new RegExp(`<${itemTag}[\\s>]`, 'i'));
+  const channelXml = firstItemIndex >= 0 ? xml.substring(0, firstItemIndex) : xml;
+  const [channelImage] = getTagAttributes(channelXml, 'itunes:image');
+  const [channelImageBlock] = getBlocks(channelXml, 'image');
+  const channelLink = isAtom
+    ? (getTagAttributes(channelXml, 'link').find(link => !link.rel || link.rel === 'alternate') || {}).href || null
+    : getTagText(channelXml, ['link']);
+
+  const feed = {
+    title: getTagText(channelXml, ['title']) || 'Podcast sin título',
+    link: channelLink,
+    imageUrl: (channelImage && channelImage.href) || (channelImageBlock ? getTagText(channelImageBlock, ['url']) : null) || getTagText(channelXml, ['logo', 'icon']),
+    episodes: [],
+  };
+
+  for (const itemXml of getBlocks(xml, itemTag)) {
+    let enclosure = null;
+    let link = null;
+    if (isAtom) {
+      const links = getTagAttributes(itemXml, 'link');
+      enclosure = links.find(item => item.rel === 'enclosure') || null;
+      link = (links.find(item => !item.rel || item.rel === 'alternate') || {}).href || null;
+    } else {
+      [enclosure = null] = getTagAttributes(itemXml, 'enclosure');
+      link = getTagText(itemXml, ['link']);
+    }
+
+    const enclosureUrl = enclosure ? (enclosure.url || enclosure.href) : null;
+    if (!enclosureUrl) {
+      // Sin audio no hay nada que procesar
+      continue;
+    }
+    const enclosureLocation = resolveEnclosureLocation(enclosureUrl, feedLocation);
+    if (!enclosureLocation) {
+      console.warn(`⚠️  Episodio omitido: el audio ${enclosureUrl} no está permitido en este feed (los audios locales deben estar en la carpeta de un feed local)`);
+      continue;
+    }
+
+    // Sin GUID, el enclosure identifica al episodio
+    const guid = getTagText(itemXml, isAtom ? ['id'] : ['guid']) || enclosureUrl;
+    const [itemImage] = getTagAttributes(itemXml, 'itunes:image');
+    const publishedAt = getTagText(itemXml, isAtom ? ['published', 'updated'] : ['pubDate', 'dc:date']);
+
+    feed.episodes.push({
+      guid,
+      episodeId: getEpisodeId(guid),
+      title: getTagText(itemXml, ['title']) || 'Episodio sin título',
+      description: getTagText(itemXml, ['itunes:summary', 'description', 'summary', 'content']),
+      publishedAt,
+      uploadDate: toUploadDate(publishedAt),
+      link,
+      enclosureUrl: enclosureLocation,
+      // Carpeta de un feed local: la única desde la que se copian audios locales
+      feedDirectory: enclosureLocation.startsWith('file://') ? dirname(toLocalPath(feedLocation)) : null,
+      enclosureType: enclosure.type || null,
+      imageUrl: (itemImage && itemImage.href) || feed.imageUrl,
+    });
+  }
+
+  return feed;
+}
+
+/**
+ * Descarga (o lee, si es local) y parsea un feed de podcast
+ * @param {string} feedUrl - URL HTTP(S), URL file:// o ruta local del feed
+ * @returns {Promise<{title: string, link: string|null, imageUrl: string|null, episodes: Array<object>}>}
+ */
+export async function getPodcastEpisodes(feedUrl) {
+  let xml;
+  if (isRemoteLocation(feedUrl)) {
+    const response = await fetch(feedUrl, { signal: AbortSignal.timeout(config.podcasts.requestTimeoutMs) });
+    if (!response.ok) {
+      throw new Error(`Error al descargar el feed: ${response.status} ${response.statusText}`);
+    }
+    xml = await response.text();
+  } else {
+    const feedPath = toLocalPath(feedUrl);
+    if (!existsSync(feedPath)) {
+      throw new Error(`El feed no existe: ${feedPath}`);
+    }
+    xml = await readFile(feedPath, 'utf-8');
+  }
+
+  if (!/<(rss|feed)[\s>]/i.test(xml)) {
+    throw new Error('El contenido no es un feed RSS o Atom');
+  }
+
+  const feed = parsePodcastFeed(xml, feedUrl);
+  console.log(`✅ Se encontraron ${feed.episodes.length} episodio(s) en el feed "${feed.title}"`);
+  return feed;
+}
+
+/**
+ * Descarga el audio de un episodio en temp como <episodeId>.mp3
+ * Los formatos distintos de MP3 (m4a, ogg, etc.) se convierten con ffmpeg
+ * @param {object} episode - Episodio obtenido de getPodcastEpisodes
+ * @returns {Promise<string>} - Ruta del MP3 descargado
+ */
+export async function downloadEpisodeAudio(episode) {
+  const audioPath = join(config.storage.tempPath, `${episode.episodeId}.mp3`);
+  const location = episode.enclosureUrl;
+  const sourceExtension = extname(new URL(location, 'file:///').pathname).toLowerCase();
+  const isMp3 = sourceExtension === '.mp3' || episode.enclosureType === 'audio/mpeg';
+  const downloadPath = isMp3 ? audioPath : join(config.storage.tempPath, `${episode.episodeId}_source${sourceExtension || '.audio'}`);
+
+  if (isRemoteLocation(location)) {
+    const response = await fetch(location, { signal: AbortSignal.timeout(config.podcasts.downloadTimeoutMs) });
+    if (!response.ok || !response.body) {
+      throw new Error(`Error al descargar el episodio: ${response.status} ${response.statusText}`);
+    }
+    await pipeline(Readable.fromWeb(response.body), createWriteStream(downloadPath));
+  } else {
+    const sourcePath = toLocalPath(location);
+    if (!episode.feedDirectory || !isInsideDirectory(sourcePath, episode.feedDirectory)) {
+      throw new Error(`El audio del episodio no está en la carpeta del feed local: ${sourcePath}`);
+    }
+    if (!existsSync(sourcePath)) {
+      throw new Error(`El audio del episodio no existe: ${sourcePath}`);
+    }
+    await copyFile(sourcePath, downloadPath);
+  }
+
+  if (!isMp3) {
+    try {
+      await convertToMP3(downloadPath, audioPath);
+    } finally {
+      await unlink(downloadPath).catch(() => {});
+    }
+  }
+
+  return audioPath;
+}
+
+/**
+ * Obtiene la ruta del índice de episodios procesados de un feed
+ * @param {string} feedUrl - URL o ruta del feed
+ * @returns {string} - Ruta del archivo índice
+ */
+function getPodcastIndexPath(feedUrl) {
+  const feedKey = createHash('sha1').update(feedUrl).digest('hex').substring(0, 12);
+  return join(config.storage.basePath, `podcast_${feedKey}_index.json`);
+}
+
+/**
+ * Carga el índice de episodios procesados de un feed
+ * @param {string} feedUrl - URL o ruta del feed
+ * @returns {Promise<Map<string, object>>} - Map episodeId -> { guid, title, processedAt }
+ */
+export async function loadPodcastIndex(feedUrl) {
+  const indexPath = getPodcastIndexPath(feedUrl);
+
+  try {
+    if (!existsSync(indexPath)) {
+      return new Map();
+    }
+
+    const content = await readFile(indexPath, 'utf-8');
+    const data = JSON.parse(content);
+    return new Map(Object.entries(data.episodes || {}));
+  } catch (error) {
+    console.warn(`⚠️  Error al cargar índice del podcast ${feedUrl}: ${error.message}`);
+    return new Map();
+  }
+}
+
+/**
+ * Agrega un episodio al índice de procesados de un feed
+ * @param {string} feedUrl - URL o ruta del feed
+ * @param {object} episode - Episodio ({ episodeId, guid, title })
+ * @returns {Promise<void>}
+ */
+export async function addEpisodeToPodcastIndex(feedUrl, episode) {
+  const index = await loadPodcastIndex(feedUrl);
+  index.set(episode.episodeId, {
+    guid: episode.guid,
+    title: episode.title,
+    processedAt: new Date().toISOString(),
+  });
+
+  try {
+    const data = {
+      feedUrl,
+      episodes: Object.fromEntries(index),
+      lastUpdated: new Date().toISOString(),
+    };
+    await writeFile(getPodcastIndexPath(feedUrl), JSON.stringify(data, null, 2), 'utf-8');
+  } catch (error) {
+    console.error(`❌ Error al guardar índice del podcast ${feedUrl}: ${error.message}`);
+  }
+}
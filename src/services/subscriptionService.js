@@ -0,0 +1,422 @@
+import { readFile, writeFile, rename } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import config from '../config/config.js';
+import { logInfo, logError, logWarn } from './loggerService.js';
+import { getPlaylistVideos } from './youtubeService.js';
+import { extractPlaylistId, loadPlaylistIndex, addVideoToPlaylistIndex } from './playlistIndexService.js';
+import { getBlacklistMatch } from './blacklistService.js';
+import { isVideoProcessed } from './videoIndexService.js';
+import { createJob, getJob } from './jobQueueService.js';
+import { getFailedVideo } from './failedVideoService.js';
+
+// Ruta del archivo de suscripciones
+const SUBSCRIPTIONS_FILE = join(config.storage.basePath, 'subscriptions.json');
+
+// Estados de trabajo que indican que la revisión anterior sigue en curso
+const ACTIVE_JOB_STATUSES = ['queued', 'running'];
+
+// Suscripciones en memoria (fuente de verdad mientras el servidor está activo)
+const subscriptions = new Map();
+// Suscripciones que se están revisando en este momento
+const runningChecks = new Set();
+// Cadena de escrituras del archivo de suscripciones
+let persistChain = Promise.resolve();
+let schedulerTimer = null;
+let initialized = false;
+
+/**
+ * Crea un error con código HTTP para que el controlador lo responda tal cual
+ * @param {string} message - Mensaje del error
+ * @param {number} status - Código HTTP
+ * @returns {Error}
+ */
+function createStatusError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Guarda las suscripciones en disco (escritura atómica: archivo temporal + rename)
+ * @returns {Promise<void>}
+ */
+function persistSubscriptions() {
+  persistChain = persistChain.then(async () => {
+    const tempPath = `${SUBSCRIPTIONS_FILE}.part`;
+    try {
+      const data = Array.from(subscriptions.values());
+      await writeFile(tempPath, JSON.stringify(data, null, 2), 'utf-8');
+      await rename(tempPath, SUBSCRIPTIONS_FILE);
+    } catch (error) {
+      await logError(`Error al guardar suscripciones: ${error.message}`);
+    }
+  });
+  return persistChain;
+}
+
+/**
+ * Detecta si la URL es de una playlist o de un canal
+ * @param {string} url - URL de YouTube
+ * @returns {'playlist'|'channel'}
+ */
+function detectSourceType(url) {
+  return /[?&]list=/.test(url) ? 'playlist' : 'channel';
+}
+
+/**
+ * Obtiene el ID del índice de videos vistos de una suscripción
+ * Las playlists comparten el índice de /api/video/process-playlist; los canales usan uno propio
+ * @param {object} subscription - Suscripción
+ * @returns {string}
+ */
+function getIndexId(subscription) {
+  if (subscription.sourceType === 'playlist') {
+    return extractPlaylistId(subscription.url);
+  }
+  return `subscription_${subscription.id}`;
+}
+
+/**
+ * Calcula la fecha de la próxima revisión
+ * @param {object} subscription - Suscripción
+ * @param {Date} from - Fecha base
+ * @returns {string} - Fecha ISO
+ */
+function computeNextRunAt(subscription, from = new Date()) {
+  return new Date(from.getTime() + subscription.intervalMinutes * 60 * 1000).toISOString();
+}
+
+/**
+ * Carga las suscripciones guardadas e inicia el planificador
+ * @returns {Promise<number>} - Cantidad de suscripciones cargadas
+ */
+export async function initializeSubscriptions() {
+  if (initialized) {
+    return subscriptions.size;
+  }
+  initialized = true;
+
+  try {
+    if (existsSync(SUBSCRIPTIONS_FILE)) {
+      const content = await readFile(SUBSCRIPTIONS_FILE, 'utf-8');
+      const data = JSON.parse(content);
+      if (Array.isArray(data)) {
+        data.filter(subscription => subscription && subscription.id)
+          .forEach(subscription => subscriptions.set(subscription.id, subscription));
+      }
+    }
+  } catch (error) {
+    await logError(`Error al cargar suscripciones: ${error.message}`);
+  }
+
+  const activeCount = Array.from(subscriptions.values()).filter(subscription => !subscription.paused).length;
+  if (subscriptions.size > 0) {
+    console.log(`📡 ${subscriptions.size} suscripción(es) cargada(s) (${activeCount} activa(s))`);
+  }
+
+  // Revisar periódicamente qué suscripciones deben ejecutarse (no mantiene vivo el proceso)
+  schedulerTimer = setInterval(() => {
+    runDueSubscriptions().catch(error => logError(`Error en el planificador de suscripciones: ${error.message}`));
+  }, config.subscriptions.schedulerIntervalSeconds * 1000);
+  schedulerTimer.unref();
+
+  runDueSubscriptions().catch(error => logError(`Error en el planificador de suscripciones: ${error.message}`));
+
+  return subscriptions.size;
+}
+
+/**
+ * Ejecuta las suscripciones activas cuya próxima revisión ya venció
+ * @returns {Promise<void>}
+ */
+async function runDueSubscriptions() {
+  const now = Date.now();
+  const due = Array.from(subscriptions.values())
+    .filter(subscription => !subscription.paused)
+    .filter(subscription => !runningChecks.has(subscription.id))
+    .filter(subscription => !subscription.nextRunAt || new Date(subscription.nextRunAt).getTime() <= now);
+
+  // Secuencial: cada revisión llama a yt-dlp
+  for (const subscription of due) {
+    await checkSubscription(subscription.id, 'scheduler').catch(() => {});
+  }
+}
+
+/**
+ * Crea una suscripción a un canal o playlist
+ * @param {object} params - Parámetros ya validados
+ * @param {string} params.url - URL del canal o playlist
+ * @param {string} params.name - Nombre descriptivo
+ * @param {string} params.transcriptionSource - Fuente de transcripción
+ * @param {object|null} params.imageConfig - Configuración de miniatura generada
+ * @param {boolean} params.downloadOriginalThumbnail - Descargar la miniatura original
+ * @param {boolean} params.saveProcessingPrompt - Guardar el prompt de procesamiento
+ * @param {number} params.maxConcurrency - Videos en paralelo por trabajo
+ * @param {number} params.intervalMinutes - Minutos entre revisiones
+ * @param {number} params.maxVideosPerRun - Máximo de videos a encolar por revisión
+ * @param {boolean} params.backfill - Si es false, la primera revisión solo marca como vistos los videos existentes
+ * @returns {Promise<object>} - Suscripción creada
+ */
+export async function createSubscription(params) {
+  const sourceType = detectSourceType(params.url);
+  if (sourceType === 'playlist' && !extractPlaylistId(params.url)) {
+    throw createStatusError('URL de playlist inválida', 400);
+  }
+
+  const duplicate = Array.from(subscriptions.values()).find(subscription => subscription.url === params.url);
+  if (duplicate) {
+    throw createStatusError(`Ya existe una suscripción para esta URL (${duplicate.id})`, 409);
+  }
+
+  const now = new Date().toISOString();
+  const subscription = {
+    id: uuidv4(),
+    name: params.name || params.url,
+    url: params.url,
+    sourceType,
+    transcriptionSource: params.transcriptionSource,
+    imageConfig: params.imageConfig,
+    downloadOriginalThumbnail: params.downloadOriginalThumbnail,
+    saveProcessingPrompt: params.saveProcessingPrompt,
+    maxConcurrency: params.maxConcurrency,
+    intervalMinutes: params.intervalMinutes,
+    maxVideosPerRun: params.maxVideosPerRun,
+    backfill: params.backfill,
+    paused: false,
+    createdAt: now,
+    updatedAt: now,
+    baselineAt: null,
+    lastRunAt: null,
+    // La primera revisión se hace en el próximo ciclo del planificador
+    nextRunAt: now,
+    lastRun: null,
+    runs: [],
+  };
+
+  subscriptions.set(subscription.id, subscription);
+  await persistSubscriptions();
+  await logInfo(`Suscripción ${subscription.id} creada (${sourceType}: ${subscription.url})`);
+  return subscription;
+}
+
+/**
+ * Lista las suscripciones, de la más antigua a la más reciente
+ * @returns {Array<object>}
+ */
+export function listSubscriptions() {
+  return Array.from(subscriptions.values())
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Obtiene una suscripción por su ID
+ * @param {string} id - ID de la suscripción
+ * @returns {object|null}
+ */
+export function getSubscription(id) {
+  return subscriptions.get(id) || null;
+}
+
+/**
+ * Obtiene una suscripción o lanza un error 404
+ * @param {string} id - ID de la suscripción
+ * @returns {object}
+ */
+function requireSubscription(id) {
+  const subscription = subscriptions.get(id);
+  if (!subscription) {
+    throw createStatusError('Suscripción no encontrada', 404);
+  }
+  return subscription;
+}
+
+/**
+ * Pausa o reanuda una suscripción
+ * Al reanudar, la próxima revisión se hace en el siguiente ciclo del planificador
+ * @param {string} id - ID de la suscripción
+ * @param {boolean} paused - true para pausar, false para reanudar
+ * @returns {Promise<object>} - Suscripción actualizada
+ */
+export async function setSubscriptionPaused(id, paused) {
+  const subscription = requireSubscription(id);
+  const now = new Date().toISOString();
+
+  subscription.paused = paused;
+  subscription.updatedAt = now;
+  subscription.nextRunAt = paused ? null : now;
+
+  await persistSubscriptions();
+  await logInfo(`Suscripción ${id} ${paused ? 'pausada' : 'reanudada'}`);
+  return subscription;
+}
+
+/**
+ * Elimina una suscripción (el índice de videos vistos se conserva)
+ * @param {string} id - ID de la suscripción
+ * @returns {Promise<void>}
+ */
+export async function deleteSubscription(id) {
+  requireSubscription(id);
+  subscriptions.delete(id);
+  await persistSubscriptions();
+  await logInfo(`Suscripción ${id} eliminada`);
+}
+
+/**
+ * Indica si un video que falló antes se puede volver a encolar en una revisión
+ * No se encolan los que no admiten más reintentos (edad, eliminados, intentos agotados), los que siguen en su espera
+ * ni los que ya se están reintentando; con el reintento automático activo, failedVideoService se encarga de ellos
+ * @param {object|null} failedVideo - Registro de failedVideoService o null si el video no falló
+ * @returns {boolean}
+ */
+function shouldRequeueFailedVideo(failedVideo) {
+  if (!failedVideo) {
+    return true;
+  }
+  if (config.failedVideos.autoRetry || failedVideo.retrying || !failedVideo.nextRetryAt) {
+    return false;
+  }
+  return new Date(failedVideo.nextRetryAt).getTime() <= Date.now();
+}
+
+/**
+ * Revisa una suscripción: lista los videos del canal o playlist, descarta los ya vistos,
+ * procesados o en lista negra, y encola un trabajo 'process-video' con los nuevos
+ * @param {string} id - ID de la suscripción
+ * @param {string} trigger - Origen de la revisión ('scheduler' o 'manual')
+ * @returns {Promise<object>} - Resultado de la revisión (también queda en lastRun)
+ */
+export async function checkSubscription(id, trigger = 'manual') {
+  const subscription = requireSubscription(id);
+
+  if (runningChecks.has(id)) {
+    throw createStatusError('La suscripción ya se está revisando', 409);
+  }
+  runningChecks.add(id);
+
+  const startedAt = new Date();
+  const run = {
+    trigger,
+    startedAt: startedAt.toISOString(),
+    finishedAt: null,
+    status: 'completed',
+    found: 0,
+    newVideos: [],
+    alreadyIndexed: 0,
+    alreadyProcessed: 0,
+    blacklisted: 0,
+    failed: 0,
+    deferred: 0,
+    jobId: null,
+    error: null,
+  };
+
+  try {
+    // Si el trabajo de la revisión anterior sigue en curso, sus videos aún no están procesados
+    const previousJob = subscription.lastRun && subscription.lastRun.jobId ? getJob(subscription.lastRun.jobId) : null;
+    if (previousJob && ACTIVE_JOB_STATUSES.includes(previousJob.status)) {
+      run.status = 'skipped';
+      run.jobId = previousJob.jobId;
+      run.error = `El trabajo anterior (${previousJob.jobId}) sigue en curso`;
+      return run;
+    }
+
+    const indexId = getIndexId(subscription);
+
+    // Los videos completados por el trabajo anterior quedan vistos aunque no hayan generado llamadas;
+    // los fallidos se vuelven a encolar solo según su política de reintento (ver shouldRequeueFailedVideo)
+    if (previousJob) {
+      const completedItems = Object.values(previousJob.items).filter(item => item.status === 'completed');
+      for (const item of completedItems) {
+        await addVideoToPlaylistIndex(indexId, item.videoId);
+      }
+    }
+
+    const videos = await getPlaylistVideos(subscription.url);
+    const seenIndex = await loadPlaylistIndex(indexId);
+    run.found = videos.length;
+
+    const candidates = [];
+    for (const video of videos) {
+      if (seenIndex.has(video.id)) {
+        run.alreadyIndexed++;
+        continue;
+      }
+      // Incluye las reglas de la lista negra (título, canal, duración, fecha de subida)
+      if (await getBlacklistMatch(video)) {
+        run.blacklisted++;
+        continue;
+      }
+      if (await isVideoProcessed(video.id)) {
+        // Procesado por otra vía: se marca como visto para no volver a revisarlo
+        run.alreadyProcessed++;
+        await addVideoToPlaylistIndex(indexId, video.id);
+        continue;
+      }
+      if (!shouldRequeueFailedVideo(await getFailedVideo(video.id))) {
+        // No ocupa lugar en maxVideosPerRun mientras no le toque reintentarse
+        run.failed++;
+        continue;
+      }
+      candidates.push(video);
+    }
+
+    // Primera revisión sin backfill: los videos existentes se marcan como vistos sin procesarlos
+    if (!subscription.backfill && !subscription.baselineAt) {
+      for (const video of candidates) {
+        await addVideoToPlaylistIndex(indexId, video.id);
+      }
+      run.alreadyIndexed += candidates.length;
+      run.status = 'baseline';
+      subscription.baselineAt = new Date().toISOString();
+      return run;
+    }
+
+    const toQueue = candidates.slice(0, subscription.maxVideosPerRun);
+    run.deferred = candidates.length - toQueue.length;
+    run.newVideos = toQueue.map(video => ({ id: video.id, title: video.title, url: video.url }));
+
+    if (toQueue.length > 0) {
+      const job = await createJob('process-video', {
+        youtubeUrls: toQueue.map(video => `https://www.youtube.com/watch?v=${video.id}`),
+        maxConcurrency: subscription.maxConcurrency,
+        transcriptionSource: subscription.transcriptionSource,
+        imageConfig: subscription.imageConfig,
+        downloadOriginalThumbnail: subscription.downloadOriginalThumbnail,
+        saveProcessingPrompt: subscription.saveProcessingPrompt,
+        subscriptionId: subscription.id,
+      });
+      run.jobId = job.jobId;
+    }
+
+    return run;
+  } catch (error) {
+    run.status = 'failed';
+    run.error = error.message;
+    await logWarn(`Error al revisar la suscripción ${id}: ${error.message}`);
+    throw error;
+  } finally {
+    runningChecks.delete(id);
+
+    const finishedAt = new Date();
+    run.finishedAt = finishedAt.toISOString();
+
+    // La suscripción pudo eliminarse mientras se revisaba
+    if (subscriptions.has(id)) {
+      if (run.status !== 'skipped') {
+        subscription.lastRunAt = run.startedAt;
+      }
+      subscription.lastRun = run;
+      subscription.runs = [run, ...(subscription.runs || [])].slice(0, config.subscriptions.historyLimit);
+      subscription.nextRunAt = subscription.paused ? null : computeNextRunAt(subscription, finishedAt);
+      await persistSubscriptions();
+    }
+
+    if (run.newVideos.length > 0) {
+      console.log(`📡 Suscripción "${subscription.name}": ${run.newVideos.length} video(s) nuevo(s) encolado(s) (trabajo ${run.jobId})`);
+      await logInfo(`Suscripción ${id}: ${run.newVideos.length} video(s) nuevo(s) encolado(s) en el trabajo ${run.jobId}`);
+    }
+  }
+}
@@ -0,0 +1,272 @@
+import config from '../config/config.js';
+
+// Tareas en memoria: `${type}:${taskId}` -> tarea
+const tasks = new Map();
+// Conexiones SSE del stream unificado: res -> filtros
+const streamConnections = new Map();
+// Conexiones SSE de una sola tarea (endpoints anteriores por tipo): `${type}:${taskId}` -> Set de res
+const taskConnections = new Map();
+
+// Estados de cada servicio que indican que la tarea terminó
+const COMPLETED_STATUSES = ['completed'];
+const ERROR_STATUSES = ['error', 'failed'];
+const CANCELLED_STATUSES = ['cancelled'];
+
+/**
+ * Genera la clave interna de una tarea
+ * @param {string} type - Tipo de tarea (generation, short, upload, trim, download, compress, job, inbox)
+ * @param {string} taskId - ID de la tarea
+ * @returns {string}
+ */
+function getTaskKey(type, taskId) {
+  return `${type}:${taskId}`;
+}
+
+/**
+ * Normaliza el estado propio de cada servicio al estado compartido
+ * @param {string} status - Estado informado por el servicio
+ * @returns {string} - 'running', 'completed', 'error' o 'cancelled'
+ */
+function normalizeState(status) {
+  if (COMPLETED_STATUSES.includes(status)) return 'completed';
+  if (ERROR_STATUSES.includes(status)) return 'error';
+  if (CANCELLED_STATUSES.includes(status)) return 'cancelled';
+  return 'running';
+}
+
+/**
+ * Convierte una tarea al esquema compartido que se envía por el stream
+ * @param {object} task - Tarea interna
+ * @returns {object}
+ */
+function toTaskEvent(task) {
+  const { progress } = task;
+  return {
+    taskId: task.taskId,
+    type: task.type,
+    fileName: task.fileName,
+    title: task.title || progress.videoTitle || null,
+    state: task.state,
+    status: progress.status || null,
+    percent: progress.percent || 0,
+    message: progress.message || null,
+    error: progress.error || null,
+    startedAt: task.startedAt,
+    updatedAt: task.updatedAt,
+    finishedAt: task.finishedAt,
+    details: progress,
+  };
+}
+
+/**
+ * Elimina las tareas finalizadas que superaron el tiempo de retención
+ */
+function pruneFinishedTasks() {
+  const retentionMs = config.tasks.finishedRetentionMinutes * 60 * 1000;
+  const now = Date.now();
+  tasks.forEach((task, key) => {
+    if (task.finishedAt && now - new Date(task.finishedAt).getTime() > retentionMs) {
+      tasks.delete(key);
+    }
+  });
+}
+
+/**
+ * Indica si una tarea coincide con los filtros del stream
+ * @param {object} task - Tarea interna
+ * @param {object} filters - Filtros ({ types, fileName, taskId })
+ * @returns {boolean}
+ */
+function matchesFilters(task, filters = {}) {
+  if (filters.types && filters.types.length > 0 && !filters.types.includes(task.type)) {
+    return false;
+  }
+  if (filters.fileName && task.fileName !== filters.fileName) {
+    return false;
+  }
+  if (filters.taskId && task.taskId !== filters.taskId) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Envía un mensaje SSE ignorando conexiones cerradas
+ * @param {object} res - Response object de Express
+ * @param {object} data - Datos a enviar
+ */
+function writeSSE(res, data) {
+  try {
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+  } catch (error) {
+    // Ignorar errores de conexión cerrada
+  }
+}
+
+/**
+ * Notifica el cambio de una tarea a las conexiones interesadas
+ * @param {object} task - Tarea interna
+ */
+function notifyTask(task) {
+  const connections = taskConnections.get(getTaskKey(task.type, task.taskId));
+  if (connections) {
+    connections.forEach(res => writeSSE(res, task.progress));
+  }
+
+  if (streamConnections.size > 0) {
+    const event = toTaskEvent(task);
+    streamConnections.forEach((filters, res) => {
+      if (matchesFilters(task, filters)) {
+        writeSSE(res, event);
+      }
+    });
+  }
+}
+
+/**
+ * Guarda el progreso de una tarea (reemplaza el progreso anterior) y notifica a los suscriptores
+ * @param {string} type - Tipo de tarea
+ * @param {string} taskId - ID de la tarea
+ * @param {object} progressData - Progreso propio del servicio (status, percent, message, error, ...)
+ * @param {object} meta - Datos comunes opcionales ({ fileName, title })
+ * @returns {object} - Progreso guardado
+ */
+export function setTaskProgress(type, taskId, progressData, meta = {}) {
+  const key = getTaskKey(type, taskId);
+  const previous = tasks.get(key);
+  const now = new Date().toISOString();
+  const state = normalizeState(progressData.status);
+
+  const task = {
+    taskId,
+    type,
+    fileName: meta.fileName || (previous && previous.fileName) || progressData.fileName || null,
+    title: meta.title || (previous && previous.title) || null,
+    state,
+    progress: progressData,
+    startedAt: previous ? previous.startedAt : now,
+    updatedAt: now,
+    finishedAt: state === 'running' ? null : ((previous && previous.finishedAt) || now),
+  };
+
+  tasks.set(key, task);
+  notifyTask(task);
+  return progressData;
+}
+
+/**
+ * Combina datos parciales con el progreso actual de una tarea
+ * @param {string} type - Tipo de tarea
+ * @param {string} taskId - ID de la tarea
+ * @param {object} progressData - Datos parciales
+ * @returns {object|null} - Progreso actualizado o null si la tarea no existe
+ */
+export function updateTaskProgress(type, taskId, progressData) {
+  const task = tasks.get(getTaskKey(type, taskId));
+  if (!task) {
+    return null;
+  }
+  return setTaskProgress(type, taskId, { ...task.progress, ...progressData });
+}
+
+/**
+ * Obtiene el progreso de una tarea
+ * @param {string} type - Tipo de tarea
+ * @param {string} taskId - ID de la tarea
+ * @returns {object|null} - Progreso propio del servicio o null si no existe
+ */
+export function getTaskProgress(type, taskId) {
+  pruneFinishedTasks();
+  const task = tasks.get(getTaskKey(type, taskId));
+  return task ? task.progress : null;
+}
+
+/**
+ * Elimina una tarea del registro
+ * @param {string} type - Tipo de tarea
+ * @param {string} taskId - ID de la tarea
+ */
+export function removeTask(type, taskId) {
+  tasks.delete(getTaskKey(type, taskId));
+}
+
+/**
+ * Obtiene las tareas en curso de un tipo
+ * @param {string} type - Tipo de tarea
+ * @returns {Array<{taskId: string, progress: object}>}
+ */
+export function getActiveTasks(type) {
+  const active = [];
+  tasks.forEach((task) => {
+    if (task.type === type && task.state === 'running') {
+      active.push({ taskId: task.taskId, progress: task.progress });
+    }
+  });
+  return active;
+}
+
+/**
+ * Lista las tareas (en curso y finalizadas recientemente) con el esquema compartido
+ * @param {object} filters - Filtros opcionales
+ * @param {Array<string>} filters.types - Tipos de tarea
+ * @param {string} filters.fileName - Nombre del archivo
+ * @param {string} filters.taskId - ID de la tarea
+ * @param {boolean} filters.activeOnly - Solo tareas en curso
+ * @returns {Array<object>}
+ */
+export function listTasks(filters = {}) {
+  pruneFinishedTasks();
+  return Array.from(tasks.values())
+    .filter(task => matchesFilters(task, filters))
+    .filter(task => !filters.activeOnly || task.state === 'running')
+    .sort((a, b) => a.startedAt.localeCompare(b.startedAt))
+    .map(toTaskEvent);
+}
+
+/**
+ * Registra una conexión SSE a una sola tarea (formato de progreso propio del servicio)
+ * @param {string} type - Tipo de tarea
+ * @param {string} taskId - ID de la tarea
+ * @param {object} res - Response object de Express
+ */
+export function registerTaskSSEConnection(type, taskId, res) {
+  const key = getTaskKey(type, taskId);
+  if (!taskConnections.has(key)) {
+    taskConnections.set(key, new Set());
+  }
+  taskConnections.get(key).add(res);
+
+  // Enviar estado inicial si existe
+  const task = tasks.get(key);
+  if (task) {
+    writeSSE(res, task.progress);
+  }
+
+  // Limpiar conexión cuando se cierre
+  res.on('close', () => {
+    const connections = taskConnections.get(key);
+    if (connections) {
+      connections.delete(res);
+      if (connections.size === 0) {
+        taskConnections.delete(key);
+      }
+    }
+  });
+}
+
+/**
+ * Registra una conexión SSE al stream unificado de tareas
+ * Envía primero el estado de las tareas que coinciden con los filtros (incluidas las
+ * finalizadas recientemente) y luego cada actualización
+ * @param {object} res - Response object de Express
+ * @param {object} filters - Filtros ({ types, fileName, taskId })
+ */
+export function registerTaskStream(res, filters = {}) {
+  streamConnections.set(res, filters);
+
+  listTasks(filters).forEach(event => writeSSE(res, event));
+
+  res.on('close', () => {
+    streamConnections.delete(res);
+  });
+}
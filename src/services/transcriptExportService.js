@@ -0,0 +1,352 @@
+import archiver from 'archiver';
+
+// Formatos de exportación de transcripciones
+export const TRANSCRIPT_EXPORT_FORMATS = {
+  srt: { extension: 'srt', contentType: 'application/x-subrip; charset=utf-8' },
+  vtt: { extension: 'vtt', contentType: 'text/vtt; charset=utf-8' },
+  txt: { extension: 'txt', contentType: 'text/plain; charset=utf-8' },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+  docx: { extension: 'docx', contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' },
+  odt: { extension: 'odt', contentType: 'application/vnd.oasis.opendocument.text' },
+};
+
+/**
+ * Formatea un tiempo para SRT (HH:MM:SS,mmm) o WebVTT (HH:MM:SS.mmm)
+ * @param {number} seconds - Tiempo en segundos
+ * @param {string} separator - Separador de los milisegundos
+ * @returns {string}
+ */
+function formatTimestamp(seconds, separator) {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+}
+
+/**
+ * Formatea un tiempo corto para los documentos (MM:SS o H:MM:SS)
+ * @param {number} seconds - Tiempo en segundos
+ * @returns {string}
+ */
+function formatClock(seconds) {
+  const total = Math.max(0, Math.floor(seconds));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${String(minutes).padStart(2, '0')}:${secs}`;
+}
+
+/**
+ * Agrupa los segmentos consecutivos del mismo speaker en párrafos
+ * @param {Array} segments - Segmentos ({ start, end, text, speaker })
+ * @returns {Array<{speaker: string|null, start: number, text: string}>}
+ */
+function groupBySpeaker(segments) {
+  const paragraphs = [];
+  for (const segment of segments) {
+    const speaker = segment.speaker || null;
+    const last = paragraphs[paragraphs.length - 1];
+    if (last && last.speaker === speaker) {
+      last.text = `${last.text} ${segment.text.trim()}`;
+    } else {
+      paragraphs.push({ speaker, start: segment.start, text: segment.text.trim() });
+    }
+  }
+  return paragraphs;
+}
+
+/**
+ * Genera un SRT
+ * @param {Array} segments - Segmentos
+ * @returns {string}
+ */
+function buildSRT(segments) {
+  return segments.map((segment, index) => {
+    const text = segment.speaker ? `[${segment.speaker}] ${segment.text}` : segment.text;
+    return `${index + 1}\n${formatTimestamp(segment.start, ',')} --> ${formatTimestamp(segment.end, ',')}\n${text}\n`;
+  }).join('\n');
+}
+
+/**
+ * Genera un WebVTT (el speaker va en la etiqueta de voz <v>)
+ * @param {Array} segments - Segmentos
+ * @returns {string}
+ */
+function buildVTT(segments) {
+  const escapeVTT = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const cues = segments.map((segment, index) => {
+    const text = segment.speaker ? `<v ${escapeVTT(segment.speaker)}>${escapeVTT(segment.text)}` : escapeVTT(segment.text);
+    return `${index + 1}\n${formatTimestamp(segment.start, '.')} --> ${formatTimestamp(segment.end, '.')}\n${text}\n`;
+  });
+  return `WEBVTT\n\n${cues.join('\n')}`;
+}
+
+/**
+ * Genera el texto plano (un párrafo por turno, con el speaker como prefijo)
+ * @param {Array} segments - Segmentos
+ * @param {object} metadata - Metadatos de la llamada
+ * @returns {string}
+ */
+function buildText(segments, metadata) {
+  const lines = [];
+  if (metadata.title) {
+    lines.push(metadata.title, '');
+  }
+  for (const paragraph of groupBySpeaker(segments)) {
+    lines.push(paragraph.speaker ? `${paragraph.speaker}: ${paragraph.text}` : paragraph.text, '');
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Genera la lista de segmentos en JSON
+ * @param {Array} segments - Segmentos
+ * @param {object} metadata - Metadatos de la llamada
+ * @param {string} fileName - Nombre base de la llamada
+ * @returns {string}
+ */
+function buildJSON(segments, metadata, fileName) {
+  return JSON.stringify({
+    fileName,
+    title: metadata.title || null,
+    youtubeVideoId: metadata.youtubeVideoId || null,
+    date: metadata.date || null,
+    speakers: metadata.speakers || [],
+    segments: segments.map((segment, index) => ({
+      index: index + 1,
+      start: segment.start,
+      end: segment.end,
+      speaker: segment.speaker || null,
+      text: segment.text,
+    })),
+  }, null, 2);
+}
+
+/**
+ * Escapa texto para XML
+ * @param {string} text - Texto
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Caracteres de control no válidos en XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+/**
+ * Contenido común de los documentos para editores: título, datos de la llamada, resumen y transcripción
+ * @param {Array} segments - Segmentos
+ * @param {object} metadata - Metadatos de la llamada
+ * @returns {{title: string, details: string, summary: Array<string>, paragraphs: Array<object>}}
+ */
+function buildDocumentContent(segments, metadata) {
+  const details = [
+    metadata.date ? `Fecha: ${metadata.date}` : null,
+    metadata.theme ? `Tema: ${metadata.theme}` : null,
+    metadata.youtubeUrl ? `Fuente: ${metadata.youtubeUrl}` : null,
+  ].filter(Boolean).join(' · ');
+
+  return {
+    title: metadata.title || 'Llamada sin título',
+    details,
+    summary: String(metadata.summary || '').split(/\n+/).map(line => line.trim()).filter(Boolean),
+    paragraphs: groupBySpeaker(segments),
+  };
+}
+
+/**
+ * Genera un ZIP en memoria (DOCX y ODT son ZIP con XML)
+ * @param {Array<{name: string, content: string, store: boolean}>} entries - Archivos del ZIP (en orden)
+ * @returns {Promise<Buffer>}
+ */
+function buildZipBuffer(entries) {
+  return new Promise((resolve, reject) => {
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    const chunks = [];
+    archive.on('data', chunk => chunks.push(chunk));
+    archive.on('end', () => resolve(Buffer.concat(chunks)));
+    archive.on('error', reject);
+    for (const entry of entries) {
+      archive.append(entry.content, { name: entry.name, store: Boolean(entry.store) });
+    }
+    archive.finalize();
+  });
+}
+
+/**
+ * Genera un documento DOCX (Office Open XML)
+ * @param {Array} segments - Segmentos
+ * @param {object} metadata - Metadatos de la llamada
+ * @returns {Promise<Buffer>}
+ */
+function buildDOCX(segments, metadata) {
+  const { title, details, summary, paragraphs } = buildDocumentContent(segments, metadata);
+  const paragraph = (text, style = null) => `<w:p>${style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : ''}<w:r><w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r></w:p>`;
+
+  const body = [
+    paragraph(title, 'Title'),
+    details ? paragraph(details, 'Subtitle') : '',
+    ...(summary.length > 0 ? [paragraph('Resumen', 'Heading1'), ...summary.map(line => paragraph(line))] : []),
+    paragraph('Transcripción', 'Heading1'),
+    ...paragraphs.map(item => `<w:p><w:r><w:rPr><w:color w:val="808080"/></w:rPr><w:t xml:space="preserve">[${formatClock(item.start)}] </w:t></w:r>${item.speaker ? `<w:r><w:rPr><w:b/></w:rPr><w:t xml:space="preserve">${escapeXml(item.speaker)}: </w:t></w:r>` : ''}<w:r><w:t xml:space="preserve">${escapeXml(item.text)}</w:t></w:r></w:p>`),
+  ].join('');
+
+  const documentXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>${body}<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1417" w:right="1417" w:bottom="1417" w:left="1417" w:header="708" w:footer="708" w:gutter="0"/></w:sectPr></w:body></w:document>`;
+
+  const style = (id, name, runProperties, paragraphProperties = '') => `<w:style w:type="paragraph" w:styleId="${id}"><w:name w:val="${name}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>${paragraphProperties}<w:rPr>${runProperties}</w:rPr></w:style>`;
+  const stylesXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:cs="Calibri"/><w:sz w:val="22"/><w:lang w:val="es-ES"/></w:rPr></w:rPrDefault><w:pPrDefault><w:pPr><w:spacing w:after="120"/></w:pPr></w:pPrDefault></w:docDefaults><w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>${style('Title', 'Title', '<w:b/><w:sz w:val="40"/>')}${style('Subtitle', 'Subtitle', '<w:color w:val="808080"/>')}${style('Heading1', 'heading 1', '<w:b/><w:sz w:val="28"/>', '<w:pPr><w:keepNext/><w:spacing w:before="240"/><w:outlineLvl w:val="0"/></w:pPr>')}</w:styles>`;
+
+  return buildZipBuffer([
+    {
+      name: '[Content_Types].xml',
+      content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/><Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/></Types>`,
+    },
+    {
+      name: '_rels/.rels',
+      content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/></Relationships>`,
+    },
+    {
+      name: 'word/_rels/document.xml.rels',
+      content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/></Relationships>`,
+    },
+    { name: 'word/document.xml', content: documentXml },
+    { name: 'word/styles.xml', content: stylesXml },
+  ]);
+}
+
+/**
+ * Genera un documento ODT (OpenDocument)
+ * @param {Array} segments - Segmentos
+ * @param {object} metadata - Metadatos de la llamada
+ * @returns {Promise<Buffer>}
+ */
+function buildODT(segments, metadata) {
+  const { title, details, summary, paragraphs } = buildDocumentContent(segments, metadata);
+  const paragraph = (text, style = 'Standard') => `<text:p text:style-name="${style}">${escapeXml(text)}</text:p>`;
+  const heading = text => `<text:h text:style-name="Heading" text:outline-level="1">${escapeXml(text)}</text:h>`;
+
+  const body = [
+    paragraph(title, 'Title'),
+    details ? paragraph(details, 'Subtitle') : '',
+    ...(summary.length > 0 ? [heading('Resumen'), ...summary.map(line => paragraph(line))] : []),
+    heading('Transcripción'),
+    ...paragraphs.map(item => `<text:p text:style-name="Standard"><text:span text:style-name="Time">[${formatClock(item.start)}] </text:span>${item.speaker ? `<text:span text:style-name="Speaker">${escapeXml(item.speaker)}: </text:span>` : ''}${escapeXml(item.text)}</text:p>`),
+  ].join('');
+
+  const contentXml = `<?xml version="1.0" encoding="UTF-8"?>
+<office:document-content xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0" xmlns:style="urn:oasis:names:tc:opendocument:xmlns:style:1.0" xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0" xmlns:fo="urn:oasis:names:tc:opendocument:xmlns:xsl-fo-compatible:1.0" office:version="1.2"><office:automatic-styles><style:style style:name="Standard" style:family="paragraph"><style:paragraph-properties fo:margin-bottom="0.2cm"/></style:style><style:style style:name="Title" style:family="paragraph"><style:text-properties fo:font-size="20pt" fo:font-weight="bold"/></style:style><style:style style:name="Subtitle" style:family="paragraph"><style:text-properties fo:color="#808080"/></style:style><style:style style:name="Heading" style:family="paragraph"><style:paragraph-properties fo:margin-top="0.4cm" fo:margin-bottom="0.2cm"/><style:text-properties fo:font-size="14pt" fo:font-weight="bold"/></style:style><style:style style:name="Time" style:family="text"><style:text-properties fo:color="#808080"/></style:style><style:style style:name="Speaker" style:family="text"><style:text-properties fo:font-weight="bold"/></style:style></office:automatic-styles><office:body><office:text>${body}</office:text></office:body></office:document-content>`;
+
+  return buildZipBuffer([
+    // El mimetype debe ser el primer archivo y sin comprimir
+    { name: 'mimetype', content: TRANSCRIPT_EXPORT_FORMATS.odt.contentType, store: true },
+    {
+      name: 'META-INF/manifest.xml',
+      content: `<?xml version="1.0" encoding="UTF-8"?>
+<manifest:manifest xmlns:manifest="urn:oasis:names:tc:opendocument:xmlns:manifest:1.0" manifest:version="1.2"><manifest:file-entry manifest:full-path="/" manifest:version="1.2" manifest:media-type="${TRANSCRIPT_EXPORT_FORMATS.odt.contentType}"/><manifest:file-entry manifest:full-path="content.xml" manifest:media-type="text/xml"/></manifest:manifest>`,
+    },
+    { name: 'content.xml', content: contentXml },
+  ]);
+}
+
+/**
+ * Exporta la transcripción de una llamada en el formato pedido
+ * @param {string} format - Formato: srt, vtt, txt, json, docx u odt
+ * @param {Array} segments - Segmentos de la llamada ({ start, end, text, speaker })
+ * @param {object} metadata - Metadatos de la llamada (título, resumen, fecha...)
+ * @param {string} fileName - Nombre base de la llamada
+ * @returns {Promise<{content: string|Buffer, extension: string, contentType: string}>}
+ */
+export async function exportTranscript(format, segments, metadata, fileName) {
+  // Object.hasOwn evita que claves heredadas ('constructor', 'toString') pasen como formatos
+  if (!Object.hasOwn(TRANSCRIPT_EXPORT_FORMATS, format)) {
+    const error = new Error(`format debe ser uno de: ${Object.keys(TRANSCRIPT_EXPORT_FORMATS).join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+
+  const builders = {
+    srt: () => buildSRT(segments),
+    vtt: () => buildVTT(segments),
+    txt: () => buildText(segments, metadata),
+    json: () => buildJSON(segments, metadata, fileName),
+    docx: () => buildDOCX(segments, metadata),
+    odt: () => buildODT(segments, metadata),
+  };
+  const content = await builders[format]();
+  return { content, ...TRANSCRIPT_EXPORT_FORMATS[format] };
+}
+
+/**
+ * Exporta las transcripciones de varias llamadas en un único ZIP con un manifest.json
+ * Las llamadas se agrupan en una carpeta por video; las que no tienen transcripción se informan en el manifest
+ * @param {string} format - Formato de cada transcripción
+ * @param {Array<object>} calls - Llamadas ({ fileName, metadata })
+ * @param {function} loadSegments - Carga los segmentos de una llamada (null si no tiene transcripción)
+ * @param {object} output - Stream donde se escribe el ZIP (por ejemplo, la respuesta HTTP)
+ * @returns {Promise<object>} - Manifest del archivo
+ */
+export async function exportTranscriptArchive(format, calls, loadSegments, output) {
+  if (!Object.hasOwn(TRANSCRIPT_EXPORT_FORMATS, format)) {
+    const error = new Error(`format debe ser uno de: ${Object.keys(TRANSCRIPT_EXPORT_FORMATS).join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  const finished = new Promise((resolve, reject) => {
+    output.on('close', resolve);
+    output.on('finish', resolve);
+    archive.on('error', reject);
+  });
+  archive.pipe(output);
+
+  const manifest = {
+    exportedAt: new Date().toISOString(),
+    format,
+    totalCalls: 0,
+    calls: [],
+    skipped: [],
+  };
+
+  for (const { fileName, metadata } of calls) {
+    try {
+      const segments = await loadSegments(fileName);
+      if (!segments || segments.length === 0) {
+        manifest.skipped.push({ fileName, reason: 'Sin transcripción' });
+        continue;
+      }
+      const { content, extension } = await exportTranscript(format, segments, metadata, fileName);
+      const path = `${metadata.youtubeVideoId || 'otros'}/${fileName}.${extension}`;
+      archive.append(content, { name: path });
+      manifest.calls.push({
+        fileName,
+        path,
+        title: metadata.title || null,
+        youtubeVideoId: metadata.youtubeVideoId || null,
+        callNumber: metadata.callNumber ?? null,
+        date: metadata.date || null,
+        segments: segments.length,
+      });
+    } catch (error) {
+      manifest.skipped.push({ fileName, reason: error.message });
+    }
+  }
+
+  manifest.totalCalls = manifest.calls.length;
+  archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+  await archive.finalize();
+  await finished;
+  return manifest;
+}
@@ -0,0 +1,111 @@
+import config from '../config/config.js';
+
+// Segmentos anteriores contra los que se compara cada línea para detectar repeticiones
+const REPEAT_WINDOW = 3;
+
+/**
+ * Normaliza el texto de un segmento para comparar líneas (sin etiquetas de speaker, mayúsculas ni puntuación)
+ * @param {string} text - Texto del segmento
+ * @returns {string}
+ */
+function normalizeLine(text) {
+  return String(text || '')
+    .replace(/^\[[^\]]+\]\s*/, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Proporción del audio cubierta por segmentos (une los segmentos solapados)
+ * @param {Array<object>} segments - Segmentos con start y end en segundos
+ * @param {number} audioDuration - Duración del audio en segundos
+ * @returns {number}
+ */
+function computeCoverage(segments, audioDuration) {
+  const intervals = segments
+    .map(segment => [Math.max(0, segment.start), Math.min(audioDuration, segment.end)])
+    .filter(([start, end]) => end > start)
+    .sort((a, b) => a[0] - b[0]);
+
+  let covered = 0;
+  let currentStart = null;
+  let currentEnd = null;
+  for (const [start, end] of intervals) {
+    if (currentEnd === null || start > currentEnd) {
+      if (currentEnd !== null) {
+        covered += currentEnd - currentStart;
+      }
+      currentStart = start;
+      currentEnd = end;
+    } else {
+      currentEnd = Math.max(currentEnd, end);
+    }
+  }
+  if (currentEnd !== null) {
+    covered += currentEnd - currentStart;
+  }
+  return Math.min(1, covered / audioDuration);
+}
+
+/**
+ * Proporción de líneas que repiten alguna de las líneas inmediatamente anteriores
+ * (bucles de alucinación de Whisper o subtítulos automáticos duplicados)
+ * @param {Array<object>} segments - Segmentos con text
+ * @returns {number}
+ */
+function computeRepeatedLineRatio(segments) {
+  const lines = segments.map(segment => normalizeLine(segment.text)).filter(Boolean);
+  if (lines.length === 0) {
+    return 0;
+  }
+
+  let repeated = 0;
+  for (let i = 1; i < lines.length; i++) {
+    if (lines.slice(Math.max(0, i - REPEAT_WINDOW), i).includes(lines[i])) {
+      repeated++;
+    }
+  }
+  return repeated / lines.length;
+}
+
+/**
+ * Calcula el puntaje de calidad (0-1) de una transcripción
+ * Multiplica tres componentes (0-1): la cobertura de la duración del audio, la proporción de líneas no repetidas
+ * y la duración media de los segmentos, de modo que un solo problema grave (por ejemplo, un bucle de
+ * alucinación) baja el puntaje aunque los otros componentes sean buenos. Sin duración del audio, la cobertura no se evalúa
+ * @param {Array<object>} segments - Segmentos de la transcripción ({ start, end, text })
+ * @param {number|null} audioDuration - Duración del audio en segundos
+ * @returns {{score: number, coverage: number|null, repeatedLineRatio: number, averageSegmentSeconds: number, segmentCount: number}}
+ */
+export function scoreTranscript(segments, audioDuration = null) {
+  const validSegments = (segments || []).filter(segment => normalizeLine(segment.text));
+  if (validSegments.length === 0) {
+    return { score: 0, coverage: audioDuration ? 0 : null, repeatedLineRatio: 0, averageSegmentSeconds: 0, segmentCount: 0 };
+  }
+
+  const { targetCoverage, minAverageSegmentSeconds, maxAverageSegmentSeconds } = config.transcription;
+  const coverage = audioDuration > 0 ? computeCoverage(validSegments, audioDuration) : null;
+  const repeatedLineRatio = computeRepeatedLineRatio(validSegments);
+  const averageSegmentSeconds = validSegments.reduce((total, segment) => total + Math.max(0, segment.end - segment.start), 0) / validSegments.length;
+
+  let segmentLengthScore = 1;
+  if (averageSegmentSeconds < minAverageSegmentSeconds) {
+    segmentLengthScore = averageSegmentSeconds / minAverageSegmentSeconds;
+  } else if (averageSegmentSeconds > maxAverageSegmentSeconds) {
+    segmentLengthScore = maxAverageSegmentSeconds / averageSegmentSeconds;
+  }
+
+  const coverageScore = coverage !== null ? Math.min(1, coverage / targetCoverage) : 1;
+  const score = coverageScore * (1 - repeatedLineRatio) * segmentLengthScore;
+
+  const round = value => Math.round(value * 1000) / 1000;
+  return {
+    score: round(score),
+    coverage: coverage !== null ? round(coverage) : null,
+    repeatedLineRatio: round(repeatedLineRatio),
+    averageSegmentSeconds: round(averageSegmentSeconds),
+    segmentCount: validSegments.length,
+  };
+}
@@ -0,0 +1,297 @@
+import { readFile, writeFile, unlink } from 'fs/promises';
+import { existsSync, statSync } from 'fs';
+import { join, basename } from 'path';
+import config from '../config/config.js';
+import { readPCMWindow, PCM_SAMPLE_RATE } from '../utils/audioUtils.js';
+
+// Versión del formato del checkpoint (si cambia, los checkpoints anteriores se descartan)
+const CHECKPOINT_VERSION = 1;
+
+// Parámetros del VAD por energía
+const FRAME_SECONDS = 0.03; // Frames de 30 ms
+const READ_BLOCK_SECONDS = 60; // Se lee el PCM de a 60 s para no cargarlo completo
+const NOISE_FLOOR_PERCENTILE = 0.1; // Percentil usado como piso de ruido
+const SPEECH_MARGIN_DB = 8; // dB sobre el piso de ruido para considerar voz
+const MIN_SILENCE_SECONDS = 0.3; // Silencio mínimo para usarlo como punto de corte
+const SILENT_AUDIO_DB = -60; // Si ningún frame supera este nivel el audio está en silencio
+const MIN_SPEECH_RATIO = 0.01; // Bloques con menos voz que esto no se transcriben
+
+/**
+ * Ruta del checkpoint de transcripción por bloques de un audio (en storage/temp)
+ * @param {string} audioPath - Ruta del audio que se transcribe
+ * @returns {string}
+ */
+export function getChunkCheckpointPath(audioPath) {
+  return join(config.storage.tempPath, `${basename(audioPath).replace(/\.[^.]+$/, '')}.whisper-chunks.json`);
+}
+
+/**
+ * Firma del checkpoint: si el audio o la configuración cambian, el checkpoint no se reutiliza
+ * @param {string} audioPath - Ruta del audio que se transcribe
+ * @returns {object}
+ */
+export function buildChunkSignature(audioPath) {
+  return {
+    audioSize: statSync(audioPath).size,
+    modelSize: config.whisper.modelSize,
+    wordTimestamps: config.whisper.wordTimestamps,
+    chunkSeconds: config.whisper.chunkSeconds,
+    chunkOverlapSeconds: config.whisper.chunkOverlapSeconds,
+  };
+}
+
+/**
+ * Carga el checkpoint de una transcripción por bloques si coincide con la firma actual
+ * @param {string} checkpointPath - Ruta del checkpoint
+ * @param {object} signature - Firma esperada (buildChunkSignature)
+ * @returns {Promise<object|null>} - Checkpoint o null si no existe o no es reutilizable
+ */
+export async function loadChunkCheckpoint(checkpointPath, signature) {
+  if (!existsSync(checkpointPath)) {
+    return null;
+  }
+
+  try {
+    const checkpoint = JSON.parse(await readFile(checkpointPath, 'utf-8'));
+    const sameSignature = Object.keys(signature).every(key => checkpoint.signature && checkpoint.signature[key] === signature[key]);
+    if (checkpoint.version !== CHECKPOINT_VERSION || !sameSignature || !Array.isArray(checkpoint.chunks)) {
+      console.warn(`⚠️  Checkpoint de transcripción descartado (audio o configuración distintos): ${basename(checkpointPath)}`);
+      return null;
+    }
+    return checkpoint;
+  } catch (error) {
+    console.warn(`⚠️  No se pudo leer el checkpoint de transcripción ${basename(checkpointPath)}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Crea un checkpoint nuevo con el plan de bloques
+ * @param {object} signature - Firma (buildChunkSignature)
+ * @param {number} duration - Duración del audio en segundos
+ * @param {Array} chunks - Bloques planificados (planTranscriptionChunks)
+ * @returns {object}
+ */
+export function createChunkCheckpoint(signature, duration, chunks) {
+  return {
+    version: CHECKPOINT_VERSION,
+    signature,
+    duration,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    chunks: chunks.map(chunk => ({ ...chunk, done: false, segments: [] })),
+  };
+}
+
+/**
+ * Guarda el checkpoint (se llama después de cada bloque transcrito)
+ * @param {string} checkpointPath - Ruta del checkpoint
+ * @param {object} checkpoint - Checkpoint
+ */
+export async function saveChunkCheckpoint(checkpointPath, checkpoint) {
+  checkpoint.updatedAt = new Date().toISOString();
+  await writeFile(checkpointPath, JSON.stringify(checkpoint), 'utf-8');
+}
+
+/**
+ * Elimina el checkpoint una vez terminada la transcripción
+ * @param {string} checkpointPath - Ruta del checkpoint
+ */
+export async function removeChunkCheckpoint(checkpointPath) {
+  if (existsSync(checkpointPath)) {
+    try {
+      await unlink(checkpointPath);
+    } catch (error) {
+      // Ignorar errores de limpieza
+    }
+  }
+}
+
+/**
+ * Calcula la energía (dB) de cada frame de 30 ms del audio PCM, leyéndolo por bloques
+ * @param {object} fileHandle - FileHandle del archivo PCM
+ * @param {number} duration - Duración del audio en segundos
+ * @returns {Promise<Float32Array>} - Energía por frame en dB
+ */
+async function computeFrameEnergies(fileHandle, duration) {
+  const frameSize = Math.round(FRAME_SECONDS * PCM_SAMPLE_RATE);
+  const energies = new Float32Array(Math.ceil(duration / FRAME_SECONDS));
+  let frameIndex = 0;
+
+  for (let blockStart = 0; blockStart < duration; blockStart += READ_BLOCK_SECONDS) {
+    const samples = await readPCMWindow(fileHandle, blockStart, Math.min(duration, blockStart + READ_BLOCK_SECONDS));
+    for (let offset = 0; offset < samples.length && frameIndex < energies.length; offset += frameSize) {
+      const end = Math.min(samples.length, offset + frameSize);
+      let sum = 0;
+      for (let i = offset; i < end; i++) {
+        sum += samples[i] * samples[i];
+      }
+      const rms = Math.sqrt(sum / Math.max(1, end - offset));
+      energies[frameIndex++] = 20 * Math.log10(rms + 1e-10);
+    }
+  }
+
+  return energies.subarray(0, frameIndex);
+}
+
+/**
+ * Detecta los silencios del audio (VAD por energía con umbral adaptativo al piso de ruido)
+ * @param {Float32Array} energies - Energía por frame en dB
+ * @returns {{silences: Array<{start: number, end: number}>, isSpeech: Function}}
+ */
+function detectSilences(energies) {
+  const sorted = Float32Array.from(energies).sort();
+  const noiseFloor = sorted[Math.floor(sorted.length * NOISE_FLOOR_PERCENTILE)];
+  const maxEnergy = sorted[sorted.length - 1];
+
+  if (maxEnergy < SILENT_AUDIO_DB) {
+    throw new Error('Los datos de audio parecen estar en silencio o mal procesados');
+  }
+
+  const threshold = noiseFloor + SPEECH_MARGIN_DB;
+  const isSpeech = (frameIndex) => energies[frameIndex] >= threshold;
+
+  const silences = [];
+  let silenceStart = null;
+  for (let i = 0; i <= energies.length; i++) {
+    const silent = i < energies.length && !isSpeech(i);
+    if (silent && silenceStart === null) {
+      silenceStart = i;
+    } else if (!silent && silenceStart !== null) {
+      const start = silenceStart * FRAME_SECONDS;
+      const end = i * FRAME_SECONDS;
+      if (end - start >= MIN_SILENCE_SECONDS) {
+        silences.push({ start, end });
+      }
+      silenceStart = null;
+    }
+  }
+
+  return { silences, isSpeech };
+}
+
+/**
+ * Planifica los bloques de transcripción: cada bloque dura aproximadamente chunkSeconds y se corta
+ * en el silencio más largo cercano al final objetivo (si no hay, se corta en el final objetivo)
+ * @param {object} fileHandle - FileHandle del archivo PCM (16 kHz, mono, 16 bits)
+ * @param {number} duration - Duración del audio en segundos
+ * @returns {Promise<Array<{index: number, start: number, end: number, speech: boolean}>>}
+ */
+export async function planTranscriptionChunks(fileHandle, duration) {
+  const { chunkSeconds, chunkSearchSeconds } = config.whisper;
+  const energies = await computeFrameEnergies(fileHandle, duration);
+  const { silences, isSpeech } = detectSilences(energies);
+
+  const boundaries = [];
+  let start = 0;
+  while (start < duration) {
+    const target = start + chunkSeconds;
+    // Evitar un último bloque muy corto: absorberlo en el actual
+    if (target >= duration - chunkSeconds * 0.25) {
+      boundaries.push({ start, end: duration });
+      break;
+    }
+
+    const searchStart = Math.max(start + chunkSeconds * 0.5, target - chunkSearchSeconds);
+    const candidates = silences.filter(silence => {
+      const middle = (silence.start + silence.end) / 2;
+      return middle >= searchStart && middle <= target;
+    });
+
+    let end = target;
+    if (candidates.length > 0) {
+      // El silencio más largo; ante empate, el más cercano al final objetivo
+      const best = candidates.reduce((a, b) => {
+        const lengthA = a.end - a.start;
+        const lengthB = b.end - b.start;
+        if (Math.abs(lengthA - lengthB) < FRAME_SECONDS) {
+          return b.start > a.start ? b : a;
+        }
+        return lengthB > lengthA ? b : a;
+      });
+      end = (best.start + best.end) / 2;
+    }
+
+    boundaries.push({ start, end });
+    start = end;
+  }
+
+  return boundaries.map((boundary, index) => {
+    const firstFrame = Math.floor(boundary.start / FRAME_SECONDS);
+    const lastFrame = Math.min(energies.length, Math.ceil(boundary.end / FRAME_SECONDS));
+    let speechFrames = 0;
+    for (let i = firstFrame; i < lastFrame; i++) {
+      if (isSpeech(i)) speechFrames++;
+    }
+
+    return {
+      index,
+      start: Math.round(boundary.start * 1000) / 1000,
+      end: Math.round(boundary.end * 1000) / 1000,
+      speech: speechFrames / Math.max(1, lastFrame - firstFrame) >= MIN_SPEECH_RATIO,
+    };
+  });
+}
+
+/**
+ * Ventana de audio que se transcribe para un bloque (el bloque más el solapamiento a cada lado)
+ * @param {object} chunk - Bloque ({ start, end })
+ * @param {number} duration - Duración del audio en segundos
+ * @returns {{windowStart: number, windowEnd: number}}
+ */
+export function getChunkWindow(chunk, duration) {
+  const overlap = config.whisper.chunkOverlapSeconds;
+  return {
+    windowStart: Math.max(0, chunk.start - overlap),
+    windowEnd: Math.min(duration, chunk.end + overlap),
+  };
+}
+
+/**
+ * Convierte los segmentos transcritos de una ventana a tiempos absolutos y se queda solo con los
+ * que pertenecen al bloque (centro del segmento dentro del bloque), descartando el solapamiento
+ * @param {Array} segments - Segmentos con tiempos relativos a la ventana
+ * @param {number} windowStart - Inicio de la ventana en segundos
+ * @param {object} chunk - Bloque ({ start, end })
+ * @param {boolean} isLastChunk - Si es el último bloque (incluye su final)
+ * @returns {Array} - Segmentos del bloque con tiempos absolutos
+ */
+export function alignChunkSegments(segments, windowStart, chunk, isLastChunk) {
+  const shift = (value) => Math.round((value + windowStart) * 1000) / 1000;
+
+  return segments
+    .map(segment => ({
+      ...segment,
+      start: shift(segment.start),
+      end: shift(segment.end),
+      ...(segment.words ? { words: segment.words.map(word => ({ ...word, start: shift(word.start), end: shift(word.end) })) } : {}),
+    }))
+    .filter(segment => {
+      const middle = (segment.start + segment.end) / 2;
+      return middle >= chunk.start && (isLastChunk ? middle <= chunk.end : middle < chunk.end);
+    });
+}
+
+/**
+ * Une los segmentos de todos los bloques en una sola lista ordenada con ids consecutivos
+ * @param {Array} chunks - Bloques del checkpoint (con segments)
+ * @returns {Array} - Segmentos en formato OpenAI
+ */
+export function stitchChunkSegments(chunks) {
+  const segments = chunks
+    .flatMap(chunk => chunk.segments || [])
+    .sort((a, b) => a.start - b.start);
+
+  // Evitar que un segmento termine después de que empieza el siguiente (bordes de bloque)
+  for (let i = 0; i < segments.length - 1; i++) {
+    if (segments[i].end > segments[i + 1].start) {
+      segments[i].end = Math.max(segments[i].start, segments[i + 1].start);
+    }
+  }
+
+  return segments.map((segment, index) => ({
+    ...segment,
+    id: index,
+    seek: Math.floor(segment.start * 100), // en centésimas de segundo
+  }));
+}
@@ -1,12 +1,16 @@
 import OpenAI from 'openai';
-import { readFile } from 'fs/promises';
+import { readFile, open } from 'fs/promises';
 import { statSync, existsSync, unlinkSync } from 'fs';
 import { basename, join, dirname } from 'path';
 import ffmpeg from 'fluent-ffmpeg';
 import config from '../config/config.js';
 import { pipeline, env } from '@xenova/transformers';
-import pkg from 'wavefile';
-const { WaveFile } = pkg;
+import { diarizeSegments, formatSpeakerText, getSpeakersFromSegments, setLogCallback as setDiarizationLogCallback } from './diarizationService.js';
+import { logInfo, logWarn } from './loggerService.js';
+import { convertToPCM, readPCMWindow, probeAudioDuration, PCM_SAMPLE_RATE } from '../utils/audioUtils.js';
+import { scoreTranscript } from './transcriptQualityService.js';
+import { enableWhisperPrompts, encodeWhisperPrompt } from './whisperPromptService.js';
+import { getChunkCheckpointPath, buildChunkSignature, loadChunkCheckpoint, createChunkCheckpoint, saveChunkCheckpoint, removeChunkCheckpoint, planTranscriptionChunks, getChunkWindow, alignChunkSegments, stitchChunkSegments } from './transcriptionChunkService.js';
 
 // Suprimir warnings de onnxruntime (son informativos y no afectan la funcionalidad)
 env.suppressWarnings = true;
@@ -65,6 +69,7 @@ let showLogCallback = null;
  */
 export function setLogCallback(callback) {
   showLogCallback = callback;
+  setDiarizationLogCallback(callback);
 }
 
 /**
@@ -97,6 +102,8 @@ async function loadWhisperModel() {
         dtype: 'q8', // Quantización para reducir uso de memoria
       }
     );
+    // Prompt inicial (glosario del programa) en la generación
+    await enableWhisperPrompts(whisperModel);
     
     if (showLogCallback) {
       showLogCallback('🎤', 0, 0, '', 'Modelo Whisper cargado', 100, null);
@@ -108,355 +115,321 @@ async function loadWhisperModel() {
   }
 }
 
+/**
+ * Ejecuta el modelo Whisper local sobre el audio (prueba el formato directo y luego el formato objeto)
+ * @param {Function} model - Pipeline de transcripción
+ * @param {Float32Array} float32Data - Audio normalizado a 16kHz mono
+ * @param {boolean} wordLevel - Solicitar timestamps por palabra
+ * @param {Array<number>|null} promptIds - Tokens del prompt inicial (encodeWhisperPrompt)
+ * @returns {Promise<object>} - Resultado del modelo (text y chunks)
+ */
+async function runWhisperModel(model, float32Data, wordLevel, promptIds = null) {
+  const options = {
+    language: 'es',
+    task: 'transcribe',
+    return_timestamps: wordLevel ? 'word' : true,
+    chunk_length_s: 30, // Procesar en chunks de 30 segundos
+    ...(promptIds ? { prompt_ids: promptIds } : {}), // Términos del glosario del programa
+  };
+
+  try {
+    // El modelo espera Float32Array normalizado entre -1.0 y 1.0
+    console.log('[DEBUG] Iniciando transcripción con', float32Data.length, 'muestras', wordLevel ? '(timestamps por palabra)' : '');
+    const result = await model(float32Data, options);
+    console.log('[DEBUG] Transcripción completada');
+    return result;
+  } catch (error) {
+    console.log('[DEBUG] Error con formato directo:', error.message);
+    console.log('[DEBUG] Intentando formato objeto...');
+
+    // Si falla, intentar con formato de objeto
+    try {
+      return await model({
+        raw: float32Data,
+        sampling_rate: 16000,
+      }, options);
+    } catch (error2) {
+      console.log('[DEBUG] Error con formato objeto también:', error2.message);
+      throw new Error(`Error al transcribir audio: ${error2.message}`);
+    }
+  }
+}
+
+/**
+ * Agrupa las palabras con timestamp devueltas por Whisper en segmentos
+ * Se corta un segmento al final de una oración, ante una pausa o si se vuelve demasiado largo
+ * @param {Array} chunks - Chunks por palabra ({ text, timestamp: [start, end] })
+ * @returns {Array} - Segmentos en formato OpenAI con el campo words [{ word, start, end }]
+ */
+function groupWordsIntoSegments(chunks) {
+  const maxSegmentSeconds = 10;
+  const maxPauseSeconds = 1.0;
+  const maxSegmentChars = 120;
+
+  const words = chunks
+    .map(chunk => {
+      const timestamp = Array.isArray(chunk.timestamp) ? chunk.timestamp : [0, 0];
+      const start = timestamp[0] || 0;
+      return {
+        word: (chunk.text || '').trim(),
+        start,
+        end: timestamp[1] !== null && timestamp[1] !== undefined ? timestamp[1] : start,
+      };
+    })
+    .filter(word => word.word);
+
+  const segments = [];
+  let current = [];
+
+  const closeSegment = () => {
+    if (current.length === 0) return;
+    const start = current[0].start;
+    const end = current[current.length - 1].end;
+    segments.push({
+      id: segments.length,
+      seek: Math.floor(start * 100), // en centésimas de segundo
+      start,
+      end,
+      text: current.map(word => word.word).join(' '),
+      words: current,
+      tokens: [],
+      temperature: 0.0,
+      avg_logprob: -1.0,
+      compression_ratio: 1.0,
+      no_speech_prob: 0.0,
+    });
+    current = [];
+  };
+
+  words.forEach(word => {
+    if (current.length > 0) {
+      const previous = current[current.length - 1];
+      const length = current.reduce((total, w) => total + w.word.length + 1, 0);
+      if (/[.?!…]$/.test(previous.word) ||
+          word.start - previous.end > maxPauseSeconds ||
+          word.end - current[0].start > maxSegmentSeconds ||
+          length + word.word.length > maxSegmentChars) {
+        closeSegment();
+      }
+    }
+    current.push(word);
+  });
+  closeSegment();
+
+  return segments;
+}
+
+/**
+ * Convierte el resultado del modelo Whisper local en segmentos (formato OpenAI)
+ * @param {object} result - Resultado del modelo (text y chunks)
+ * @param {boolean} wordLevel - Si los chunks son palabras (timestamps por palabra)
+ * @param {number} windowDuration - Duración del audio transcrito (para resultados sin timestamps)
+ * @returns {Array} - Segmentos con tiempos relativos al audio transcrito
+ */
+function buildSegmentsFromResult(result, wordLevel, windowDuration) {
+  if (!result) {
+    return [];
+  }
+
+  // Con timestamps por palabra, cada chunk es una palabra: agruparlas en segmentos
+  if (wordLevel && Array.isArray(result.chunks) && result.chunks.length > 0) {
+    return groupWordsIntoSegments(result.chunks);
+  }
+
+  const segments = [];
+  if (Array.isArray(result.chunks) && result.chunks.length > 0) {
+    result.chunks.forEach((chunk) => {
+      // El formato puede variar: chunk puede tener timestamp como array [start, end] o como objeto
+      let start = 0;
+      let end = 0;
+
+      if (Array.isArray(chunk.timestamp)) {
+        start = chunk.timestamp[0] || 0;
+        // El último chunk puede no tener fin: usar el final del audio
+        end = chunk.timestamp[1] !== null && chunk.timestamp[1] !== undefined ? chunk.timestamp[1] : windowDuration;
+      } else if (chunk.timestamp) {
+        start = chunk.timestamp.start || chunk.timestamp[0] || 0;
+        end = chunk.timestamp.end || chunk.timestamp[1] || 0;
+      }
+
+      const text = (chunk.text || chunk.transcription || '').trim();
+      if (text) {
+        segments.push({
+          id: segments.length,
+          seek: Math.floor(start * 100), // en centésimas de segundo
+          start,
+          end,
+          text,
+          tokens: [],
+          temperature: 0.0,
+          avg_logprob: -1.0,
+          compression_ratio: 1.0,
+          no_speech_prob: 0.0,
+        });
+      }
+    });
+    return segments;
+  }
+
+  // Sin chunks pero con texto: un segmento que cubre todo el audio transcrito
+  const text = (result.text || result.transcription || (typeof result === 'string' ? result : '')).trim();
+  if (text) {
+    segments.push({
+      id: 0,
+      seek: 0,
+      start: 0,
+      end: windowDuration,
+      text,
+      tokens: [],
+      temperature: 0.0,
+      avg_logprob: -1.0,
+      compression_ratio: 1.0,
+      no_speech_prob: 0.0,
+    });
+  }
+  return segments;
+}
+
 /**
  * Transcribe audio usando Whisper local (@xenova/transformers)
+ * El audio se divide en bloques cortados en silencios (VAD) con solapamiento; cada bloque terminado
+ * se guarda en un checkpoint en storage/temp, así una transcripción interrumpida continúa desde el
+ * último bloque. Al final los segmentos de todos los bloques se unen en una sola lista.
  * @param {string} audioPath - Ruta del archivo de audio
  * @param {number} videoNumber - Número del video (para logs)
  * @param {number} totalVideos - Total de videos (para logs)
  * @param {string} videoId - ID del video (para logs)
- * @returns {Promise<{transcription: string, srt: string, segments: Array}>}
+ * @param {string|null} prompt - Prompt inicial de Whisper con los términos del glosario
+ * @returns {Promise<{transcription: string, srt: string, segments: Array}>} - Con timestamps por palabra, cada segmento incluye words
  */
-async function transcribeAudioLocal(audioPath, videoNumber = 1, totalVideos = 1, videoId = '') {
+async function transcribeAudioLocal(audioPath, videoNumber = 1, totalVideos = 1, videoId = '', prompt = null) {
   const startTime = Date.now();
-  let lastUpdate = Date.now();
-  let progressInterval = null; // Declarar fuera del try para que esté disponible en los catch
-  
+  let pcmPath = null;
+  let fileHandle = null;
+
   try {
-    // Obtener tamaño del archivo para estimar tiempo
-    const stats = statSync(audioPath);
-    const fileSizeMB = stats.size / (1024 * 1024);
-    
-    // Estimar tiempo: @xenova/transformers es más lento que faster-whisper
-    // En CPU: aproximadamente 1-2x tiempo real (depende del modelo)
-    const modelSpeedFactor = {
-      'tiny': 0.5,    // ~0.5x tiempo real
-      'base': 1.0,    // ~1x tiempo real
-      'small': 1.5,   // ~1.5x tiempo real
-      'medium': 2.5,  // ~2.5x tiempo real
-      'large-v2': 4.0, // ~4x tiempo real
-      'large-v3': 4.0, // ~4x tiempo real
-    };
-    
-    const speedFactor = modelSpeedFactor[config.whisper.modelSize] || 1.0;
-    let estimatedDuration = Math.max(30, fileSizeMB * speedFactor);
-    
     // Cargar modelo si no está cargado
     const model = await loadWhisperModel();
-    
-    // Simular progreso mientras procesa
-    progressInterval = setInterval(() => {
-      const elapsed = (Date.now() - startTime) / 1000;
-      
-      // Ajustar dinámicamente la estimación
-      if (elapsed > 10 && (elapsed / estimatedDuration) * 100 > 90) {
-        estimatedDuration = elapsed / 0.95;
-      }
-      
-      const linearProgress = Math.min(0.99, (elapsed / estimatedDuration));
-      const estimatedProgress = Math.min(99, linearProgress * 100);
-      
-      if (showLogCallback && Date.now() - lastUpdate > 500) {
-        showLogCallback('🎤', videoNumber, totalVideos, videoId, 'Transcribiendo (local)', estimatedProgress, elapsed);
-        lastUpdate = Date.now();
-      }
-    }, 500);
-    
-    // Leer y procesar el archivo de audio
-    // @xenova/transformers requiere el audio como buffer en Node.js
-    // Convertir MP3 a WAV usando ffmpeg temporalmente
-    const tempWavPath = join(dirname(audioPath), `${basename(audioPath, '.mp3')}_temp_${Date.now()}.wav`);
-    
-    try {
-      // Convertir MP3 a WAV usando ffmpeg
+
+    // Convertir a PCM 16 kHz mono para leer cada bloque sin cargar el episodio completo en memoria
+    if (showLogCallback) {
+      showLogCallback('🔄', videoNumber, totalVideos, videoId, 'Convirtiendo audio a PCM...', null, null);
+    }
+    pcmPath = await convertToPCM(audioPath, 'whisper');
+    const duration = statSync(pcmPath).size / 2 / PCM_SAMPLE_RATE;
+    if (duration === 0) {
+      throw new Error('No hay datos de audio para transcribir');
+    }
+    fileHandle = await open(pcmPath, 'r');
+
+    // Reanudar desde el checkpoint o planificar los bloques
+    const checkpointPath = getChunkCheckpointPath(audioPath);
+    let checkpoint = await loadChunkCheckpoint(checkpointPath, buildChunkSignature(audioPath));
+    if (checkpoint) {
+      const doneChunks = checkpoint.chunks.filter(chunk => chunk.done).length;
+      await logInfo(`Video ${videoId}: Reanudando transcripción local desde checkpoint (${doneChunks}/${checkpoint.chunks.length} bloques)`);
+    } else {
       if (showLogCallback) {
-        showLogCallback('🔄', videoNumber, totalVideos, videoId, 'Convirtiendo audio a WAV...', null, null);
-      }
-      
-      await new Promise((resolve, reject) => {
-        ffmpeg(audioPath)
-          .audioCodec('pcm_s16le')
-          .audioChannels(1) // Mono
-          .audioFrequency(16000) // 16kHz (requerido por Whisper)
-          .output(tempWavPath)
-          .on('end', resolve)
-          .on('error', (err) => {
-            reject(new Error(`Error al convertir audio a WAV: ${err.message}`));
-          })
-          .run();
-      });
-      
-      // Leer el archivo WAV como buffer
-      const wavBuffer = await readFile(tempWavPath);
-      
-      // Cargar el WAV usando wavefile
-      const wav = new WaveFile(wavBuffer);
-      
-      // Convertir a 16-bit y 16kHz si es necesario
-      if (wav.fmt.bitsPerSample !== 16) {
-        wav.toBitDepth('16');
-      }
-      if (wav.fmt.sampleRate !== 16000) {
-        wav.toSampleRate(16000);
-      }
-      
-      // Obtener los datos de audio
-      // Si es estéreo, convertir a mono promediando los canales
-      let audioData;
-      if (wav.fmt.numChannels === 1) {
-        // Ya es mono
-        audioData = wav.getSamples(false); // false = no interleaved
-      } else {
-        // Es estéreo, convertir a mono promediando los canales
-        const samples = wav.getSamples(true); // true = interleaved (L, R, L, R, ...)
-        audioData = [];
-        for (let i = 0; i < samples.length; i += 2) {
-          // Promediar los canales izquierdo y derecho
-          const left = samples[i] || 0;
-          const right = samples[i + 1] || 0;
-          audioData.push(Math.floor((left + right) / 2));
-        }
-      }
-      
-      console.log('[DEBUG] Audio data length:', audioData.length);
-      console.log('[DEBUG] Sample rate:', wav.fmt.sampleRate);
-      console.log('[DEBUG] Channels:', wav.fmt.numChannels);
-      console.log('[DEBUG] Bits per sample:', wav.fmt.bitsPerSample);
-      console.log('[DEBUG] First 10 samples:', audioData.slice(0, 10));
-      
-      // Convertir a Float32Array normalizado (-1.0 a 1.0)
-      // Los valores int16 van de -32768 a 32767
-      const float32Data = new Float32Array(audioData.length);
-      for (let i = 0; i < audioData.length; i++) {
-        // Normalizar de int16 (-32768 a 32767) a float32 (-1.0 a 1.0)
-        float32Data[i] = Math.max(-1.0, Math.min(1.0, audioData[i] / 32768.0));
-      }
-      
-      console.log('[DEBUG] Float32Array length:', float32Data.length);
-      console.log('[DEBUG] Float32Array first 10:', Array.from(float32Data.slice(0, 10)));
-      // No calcular min/max aquí porque causa stack overflow con arrays grandes
-      // Se calculará más abajo con un bucle
-      
-      // Transcribir audio usando los datos procesados
-      // @xenova/transformers espera el audio como Float32Array normalizado
-      // y puede aceptarlo de diferentes formas
-      let result;
-      
-      // Verificar que tenemos datos válidos
-      if (float32Data.length === 0) {
-        throw new Error('No hay datos de audio para transcribir');
-      }
-      
-      // Verificar que los datos no estén todos en cero (sin usar spread operator para evitar stack overflow)
-      let maxValue = -Infinity;
-      let minValue = Infinity;
-      const sampleSize = Math.min(10000, float32Data.length); // Verificar primeros 10000 samples
-      for (let i = 0; i < sampleSize; i++) {
-        const val = float32Data[i];
-        if (val > maxValue) maxValue = val;
-        if (val < minValue) minValue = val;
-      }
-      console.log('[DEBUG] Rango de valores de audio (primeros', sampleSize, '):', minValue, 'a', maxValue);
-      
-      // También verificar una muestra del medio y del final
-      const midSample = Math.floor(float32Data.length / 2);
-      const endSample = Math.min(midSample + 10000, float32Data.length);
-      let midMax = -Infinity;
-      let midMin = Infinity;
-      for (let i = midSample; i < endSample; i++) {
-        const val = float32Data[i];
-        if (val > midMax) midMax = val;
-        if (val < midMin) midMin = val;
-      }
-      console.log('[DEBUG] Rango de valores de audio (medio,', midSample, 'a', endSample, '):', midMin, 'a', midMax);
-      
-      const overallMax = Math.max(maxValue, midMax);
-      const overallMin = Math.min(minValue, midMin);
-      
-      if (Math.abs(overallMax) < 0.001 && Math.abs(overallMin) < 0.001) {
-        throw new Error('Los datos de audio parecen estar en silencio o mal procesados');
-      }
-      
-      console.log('[DEBUG] Duración estimada del audio:', (float32Data.length / 16000).toFixed(2), 'segundos');
-      
-      try {
-        // @xenova/transformers puede procesar archivos grandes automáticamente
-        // pero necesitamos asegurarnos de que el formato sea correcto
-        // El modelo espera Float32Array normalizado entre -1.0 y 1.0
-        console.log('[DEBUG] Iniciando transcripción con', float32Data.length, 'muestras');
-        
-        result = await model(float32Data, {
-          language: 'es',
-          task: 'transcribe',
-          return_timestamps: true,
-          chunk_length_s: 30, // Procesar en chunks de 30 segundos
-        });
-        
-        console.log('[DEBUG] Transcripción completada');
-      } catch (error) {
-        console.log('[DEBUG] Error con formato directo:', error.message);
-        console.log('[DEBUG] Intentando formato objeto...');
-        
-        // Si falla, intentar con formato de objeto
-        try {
-          result = await model({
-            raw: float32Data,
-            sampling_rate: 16000,
-          }, {
-            language: 'es',
-            task: 'transcribe',
-            return_timestamps: true,
-            chunk_length_s: 30,
-          });
-        } catch (error2) {
-          console.log('[DEBUG] Error con formato objeto también:', error2.message);
-          throw new Error(`Error al transcribir audio: ${error2.message}`);
-        }
+        showLogCallback('🔇', videoNumber, totalVideos, videoId, 'Detectando silencios...', null, null);
       }
-      
-      // Debug: Log del resultado para ver su estructura
-      console.log('[DEBUG] Resultado del modelo:', JSON.stringify(result, null, 2));
-      
-      // Limpiar archivo temporal
-      try {
-        if (existsSync(tempWavPath)) {
-          unlinkSync(tempWavPath);
-        }
-      } catch (e) {
-        // Ignorar errores de limpieza
+      const chunks = await planTranscriptionChunks(fileHandle, duration);
+      checkpoint = createChunkCheckpoint(buildChunkSignature(audioPath), duration, chunks);
+      await saveChunkCheckpoint(checkpointPath, checkpoint);
+      await logInfo(`Video ${videoId}: Transcripción local en ${chunks.length} bloques (${formatTime(duration)} de audio)`);
+    }
+
+    // Timestamps por palabra (se agrupan luego en segmentos); si el modelo no los soporta se usan segmentos
+    let wordLevel = config.whisper.wordTimestamps;
+    // El mismo prompt para cada bloque; si la generación con prompt falla se sigue sin él
+    let promptIds = encodeWhisperPrompt(model.tokenizer, prompt);
+    const totalChunks = checkpoint.chunks.length;
+    const chunkProgress = () => {
+      const doneSeconds = checkpoint.chunks
+        .filter(chunk => chunk.done)
+        .reduce((total, chunk) => total + (chunk.end - chunk.start), 0);
+      return Math.min(100, (doneSeconds / checkpoint.duration) * 100);
+    };
+
+    for (const chunk of checkpoint.chunks) {
+      if (chunk.done) {
+        continue;
       }
-      
-      // Limpiar intervalo
-      clearInterval(progressInterval);
-      
-      const elapsed = (Date.now() - startTime) / 1000;
+
       if (showLogCallback) {
-        showLogCallback('🎤', videoNumber, totalVideos, videoId, 'Transcribiendo (local)', 100, elapsed);
+        showLogCallback('🎤', videoNumber, totalVideos, videoId, `Transcribiendo (local) bloque ${chunk.index + 1}/${totalChunks}`, chunkProgress(), (Date.now() - startTime) / 1000);
       }
-      
-      // Convertir resultado a formato compatible con OpenAI API
-      const segments = [];
-      let fullText = '';
-      
-      // @xenova/transformers devuelve el resultado en diferentes formatos
-      // Verificar primero si tiene la propiedad 'text' directamente
-      if (result.text) {
-        fullText = result.text;
-        console.log('[DEBUG] Texto encontrado en result.text:', fullText.substring(0, 100));
-      }
-      
-      // Verificar si tiene chunks con timestamps
-      if (result.chunks && Array.isArray(result.chunks) && result.chunks.length > 0) {
-        console.log('[DEBUG] Chunks encontrados:', result.chunks.length);
-        // Formato con chunks
-        result.chunks.forEach((chunk, index) => {
-          // El formato puede variar: chunk puede tener timestamp como array [start, end] o como objeto
-          let start = 0;
-          let end = 0;
-          let text = '';
-          
-          if (Array.isArray(chunk.timestamp)) {
-            start = chunk.timestamp[0] || 0;
-            end = chunk.timestamp[1] || 0;
-          } else if (chunk.timestamp) {
-            start = chunk.timestamp.start || chunk.timestamp[0] || 0;
-            end = chunk.timestamp.end || chunk.timestamp[1] || 0;
-          }
-          
-          text = chunk.text || chunk.transcription || '';
-          
-          if (text.trim()) {
-            segments.push({
-              id: index,
-              seek: Math.floor(start * 100), // en centésimas de segundo
-              start: start,
-              end: end,
-              text: text.trim(),
-              tokens: [],
-              temperature: 0.0,
-              avg_logprob: -1.0,
-              compression_ratio: 1.0,
-              no_speech_prob: 0.0,
-            });
-            
-            if (!fullText) {
-              fullText = text.trim();
+
+      // Los bloques sin voz no se transcriben
+      if (chunk.speech) {
+        const { windowStart, windowEnd } = getChunkWindow(chunk, checkpoint.duration);
+        const samples = await readPCMWindow(fileHandle, windowStart, windowEnd);
+
+        let result = null;
+        while (!result) {
+          try {
+            result = await runWhisperModel(model, samples, wordLevel, promptIds);
+          } catch (error) {
+            if (promptIds) {
+              console.warn(`⚠️  El modelo falló con el prompt del glosario, se sigue sin prompt: ${error.message}`);
+              promptIds = null;
+            } else if (wordLevel) {
+              console.warn(`⚠️  El modelo no pudo generar timestamps por palabra, usando segmentos: ${error.message}`);
+              wordLevel = false;
             } else {
-              fullText += ' ' + text.trim();
+              throw error;
             }
           }
-        });
-      }
-      
-      // Si no hay chunks pero sí hay texto, crear segmentos básicos
-      if (!fullText && result.text) {
-        fullText = result.text;
-        console.log('[DEBUG] Usando result.text directamente:', fullText.substring(0, 100));
-      }
-      
-      // Si aún no hay texto, verificar otras propiedades posibles
-      if (!fullText) {
-        console.log('[DEBUG] No se encontró texto. Propiedades del resultado:', Object.keys(result));
-        if (result.transcription) {
-          fullText = result.transcription;
-        } else if (result.output && result.output.text) {
-          fullText = result.output.text;
-        } else if (typeof result === 'string') {
-          fullText = result;
         }
+
+        const windowSegments = buildSegmentsFromResult(result, wordLevel, windowEnd - windowStart);
+        chunk.segments = alignChunkSegments(windowSegments, windowStart, chunk, chunk.index === totalChunks - 1);
+      } else {
+        chunk.segments = [];
       }
-      
-      // Si no hay segmentos pero sí hay texto, crear uno genérico
-      if (segments.length === 0 && fullText) {
-        segments.push({
-          id: 0,
-          seek: 0,
-          start: 0,
-          end: 0,
-          text: fullText,
-          tokens: [],
-          temperature: 0.0,
-          avg_logprob: -1.0,
-          compression_ratio: 1.0,
-          no_speech_prob: 0.0,
-        });
-      }
-      
-      console.log('[DEBUG] Texto final:', fullText ? fullText.substring(0, 200) : 'VACÍO');
-      console.log('[DEBUG] Segmentos:', segments.length);
-      
-      // Generar formato SRT
-      const srt = generateSRT(segments);
-      
-      // Identificar speakers
-      const speakers = identifySpeakers(segments);
-      
-      return {
-        transcription: fullText.trim(),
-        srt,
-        segments,
-        speakers,
-      };
-    } catch (conversionError) {
-      // Limpiar archivo temporal en caso de error
+
+      chunk.done = true;
+      await saveChunkCheckpoint(checkpointPath, checkpoint);
+    }
+
+    const elapsed = (Date.now() - startTime) / 1000;
+    if (showLogCallback) {
+      showLogCallback('🎤', videoNumber, totalVideos, videoId, 'Transcribiendo (local)', 100, elapsed);
+    }
+
+    // Unir los segmentos de todos los bloques
+    const segments = stitchChunkSegments(checkpoint.chunks);
+    const fullText = segments.map(segment => segment.text).join(' ');
+
+    console.log('[DEBUG] Texto final:', fullText ? fullText.substring(0, 200) : 'VACÍO');
+    console.log('[DEBUG] Segmentos:', segments.length);
+
+    // Generar formato SRT
+    const srt = generateSRT(segments);
+
+    // Los speakers se etiquetan después con la diarización (transcribeAudio)
+    const speakers = getSpeakersFromSegments(segments);
+
+    await removeChunkCheckpoint(checkpointPath);
+
+    return {
+      transcription: fullText.trim(),
+      srt,
+      segments,
+      speakers,
+    };
+  } catch (error) {
+    throw new Error(`Error en transcripción local: ${error.message}`);
+  } finally {
+    if (fileHandle) {
+      await fileHandle.close();
+    }
+    if (pcmPath && existsSync(pcmPath)) {
       try {
-        if (existsSync(tempWavPath)) {
-          unlinkSync(tempWavPath);
-        }
+        unlinkSync(pcmPath);
       } catch (e) {
         // Ignorar errores de limpieza
       }
-      // Limpiar intervalo si aún está activo
-      if (progressInterval) {
-        clearInterval(progressInterval);
-      }
-      throw new Error(`Error en transcripción local: ${conversionError.message}`);
     }
-  } catch (error) {
-    // Limpiar intervalo si aún está activo
-    if (progressInterval) {
-      clearInterval(progressInterval);
-    }
-    throw new Error(`Error en transcripción local: ${error.message}`);
   }
 }
 
@@ -541,8 +514,8 @@ async function transcribeFromYouTube(youtubeUrl, videoId, videoNumber = 1, total
     // Generar SRT (ya lo tenemos del resultado, pero asegurémonos de que esté bien formateado)
     const srt = generateSRT(formattedSegments);
     
-    // Identificar speakers
-    const speakers = identifySpeakers(formattedSegments);
+    // Los speakers se etiquetan después con la diarización (transcribeAudio)
+    const speakers = getSpeakersFromSegments(formattedSegments);
     
     return {
       transcription: fullText,
@@ -555,6 +528,129 @@ async function transcribeFromYouTube(youtubeUrl, videoId, videoNumber = 1, total
   }
 }
 
+/**
+ * Arma la lista de fuentes a probar: la fuente pedida primero y luego el resto de la cadena configurada
+ * Las fuentes de respaldo que no pueden usarse (YOUTUBE sin URL, WHISPER-OpenAI sin API key) se omiten
+ * @param {string} source - Fuente pedida
+ * @param {string} youtubeUrl - URL del video de YouTube
+ * @returns {Array<string>}
+ */
+function buildSourceChain(source, youtubeUrl) {
+  if (!config.transcription.fallbackEnabled) {
+    return [source];
+  }
+
+  const fallbacks = config.transcription.fallbackChain.filter((candidate) => {
+    if (candidate === source) {
+      return false;
+    }
+    if (candidate === 'YOUTUBE') {
+      return Boolean(youtubeUrl);
+    }
+    if (candidate === 'WHISPER-OpenAI') {
+      return Boolean(config.openai.apiKey && config.openai.apiKey.trim() !== '');
+    }
+    return candidate === 'WHISPER-LOCAL';
+  });
+  return [source, ...fallbacks];
+}
+
+/**
+ * Transcribe un audio recorriendo la cadena de fuentes hasta obtener una transcripción con calidad suficiente
+ * Si ninguna alcanza el puntaje mínimo, se usa la de mejor puntaje; si todas fallan, se lanza el error
+ * @returns {Promise<{result: object, source: string, quality: object}>} - quality incluye los intentos realizados
+ */
+async function transcribeWithFallback(audioPath, videoNumber, totalVideos, videoId, youtubeUrl, source, audioCompression, prompt) {
+  const sources = buildSourceChain(source, youtubeUrl);
+  const { minQualityScore } = config.transcription;
+
+  let audioDuration = null;
+  if (audioPath && existsSync(audioPath)) {
+    audioDuration = await probeAudioDuration(audioPath).catch(() => null);
+  }
+
+  const attempts = [];
+  let best = null;
+
+  for (const [index, candidate] of sources.entries()) {
+    if (index > 0 && showLogCallback) {
+      showLogCallback('🔁', videoNumber, totalVideos, videoId, `Probando transcripción con ${candidate}...`, null, null);
+    }
+
+    let result;
+    try {
+      result = await transcribeFromSource(audioPath, videoNumber, totalVideos, videoId, youtubeUrl, candidate, audioCompression, prompt);
+    } catch (error) {
+      attempts.push({ source: candidate, error: error.message });
+      if (index < sources.length - 1) {
+        await logWarn(`Transcripción de ${videoId} con ${candidate} falló, se prueba la siguiente fuente: ${error.message}`);
+      }
+      continue;
+    }
+
+    const quality = scoreTranscript(result.segments, audioDuration);
+    attempts.push({ source: candidate, score: quality.score });
+    if (!best || quality.score > best.quality.score) {
+      best = { result, source: candidate, quality };
+    }
+    if (quality.score >= minQualityScore) {
+      break;
+    }
+    if (index < sources.length - 1) {
+      await logWarn(`Transcripción de ${videoId} con ${candidate} tiene calidad baja (${quality.score} < ${minQualityScore}), se prueba la siguiente fuente`);
+    }
+  }
+
+  if (!best) {
+    if (attempts.length === 1) {
+      throw new Error(attempts[0].error);
+    }
+    throw new Error(attempts.map(attempt => `${attempt.source}: ${attempt.error}`).join(' | '));
+  }
+
+  if (best.source !== source) {
+    await logInfo(`Transcripción de ${videoId}: se usó ${best.source} en lugar de ${source} (calidad ${best.quality.score})`);
+  }
+  return { ...best, quality: { ...best.quality, attempts } };
+}
+
+/**
+ * Transcribe un archivo de audio y etiqueta los speakers de cada segmento (diarización en CPU)
+ * Si la transcripción de la fuente pedida falla o puntúa por debajo de config.transcription.minQualityScore,
+ * se prueban las siguientes fuentes de config.transcription.fallbackChain
+ * Si la diarización está deshabilitada o falla, retorna la transcripción sin etiquetas
+ * @param {string} audioPath - Ruta del archivo de audio (también se usa para la diarización cuando source es YOUTUBE)
+ * @param {number} videoNumber - Número del video (para logs)
+ * @param {number} totalVideos - Total de videos (para logs)
+ * @param {string} videoId - ID del video (para logs)
+ * @param {string} youtubeUrl - URL del video de YouTube (necesaria si source es YOUTUBE)
+ * @param {string} source - Fuente de transcripción pedida: 'WHISPER-OpenAI', 'WHISPER-LOCAL', 'YOUTUBE'
+ * @param {number} audioCompression - Porcentaje de compresión de audio (0-100)
+ * @param {string|null} prompt - Prompt inicial de Whisper con los términos del glosario (WHISPER-OpenAI y WHISPER-LOCAL)
+ * @returns {Promise<{transcription: string, srt: string, segments: Array, speakers: Array<string>, source: string, quality: object}>} - source es la fuente usada
+ */
+export async function transcribeAudio(audioPath, videoNumber = 1, totalVideos = 1, videoId = '', youtubeUrl = '', source = 'WHISPER-OpenAI', audioCompression = 50, prompt = null) {
+  const { result: transcribed, source: usedSource, quality } = await transcribeWithFallback(audioPath, videoNumber, totalVideos, videoId, youtubeUrl, source, audioCompression, prompt);
+  const result = { ...transcribed, source: usedSource, quality };
+
+  if (!config.diarization.enabled || !audioPath || !existsSync(audioPath) || result.segments.length === 0) {
+    return result;
+  }
+
+  try {
+    const { segments, speakers } = await diarizeSegments(audioPath, result.segments, videoNumber, totalVideos, videoId);
+    return {
+      ...result,
+      srt: generateSRT(segments),
+      segments,
+      speakers,
+    };
+  } catch (error) {
+    console.warn(`⚠️  No se pudieron identificar los speakers: ${error.message}`);
+    return result;
+  }
+}
+
 /**
  * Transcribe un archivo de audio usando Whisper o obtiene transcripción de YouTube
  * @param {string} audioPath - Ruta del archivo de audio (no se usa si source es YOUTUBE)
@@ -564,9 +660,10 @@ async function transcribeFromYouTube(youtubeUrl, videoId, videoNumber = 1, total
  * @param {string} youtubeUrl - URL del video de YouTube (necesaria si source es YOUTUBE)
  * @param {string} source - Fuente de transcripción: 'WHISPER-OpenAI', 'WHISPER-LOCAL', 'YOUTUBE'
  * @param {number} audioCompression - Porcentaje de compresión de audio (0-100)
+ * @param {string|null} prompt - Prompt inicial de Whisper con los términos del glosario (WHISPER-OpenAI y WHISPER-LOCAL)
  * @returns {Promise<{transcription: string, srt: string, segments: Array}>}
  */
-export async function transcribeAudio(audioPath, videoNumber = 1, totalVideos = 1, videoId = '', youtubeUrl = '', source = 'WHISPER-OpenAI', audioCompression = 50) {
+async function transcribeFromSource(audioPath, videoNumber = 1, totalVideos = 1, videoId = '', youtubeUrl = '', source = 'WHISPER-OpenAI', audioCompression = 50, prompt = null) {
   // Si la fuente es YOUTUBE, obtener transcripción directamente
   if (source === 'YOUTUBE') {
     if (!youtubeUrl) {
@@ -603,7 +700,7 @@ export async function transcribeAudio(audioPath, videoNumber = 1, totalVideos =
         }
       }
       
-      return await transcribeAudioLocal(audioToTranscribe, videoNumber, totalVideos, videoId);
+      return await transcribeAudioLocal(audioToTranscribe, videoNumber, totalVideos, videoId, prompt);
     } catch (error) {
       if (error.message.includes('Error en transcripción local')) {
         throw error;
@@ -768,6 +865,7 @@ export async function transcribeAudio(audioPath, videoNumber = 1, totalVideos =
               response_format: 'verbose_json',
               language: 'es', // Español
               timestamp_granularities: ['segment'],
+              ...(prompt ? { prompt } : {}), // Términos del glosario del programa
             }),
             new Promise((_, reject) => 
               setTimeout(() => reject(new Error('Timeout: La transcripción tardó más de 5 minutos')), 300000)
@@ -844,8 +942,8 @@ export async function transcribeAudio(audioPath, videoNumber = 1, totalVideos =
     // Generar formato SRT
     const srt = generateSRT(transcription.segments || []);
 
-    // Identificar speakers (si está disponible)
-    const speakers = identifySpeakers(transcription.segments || []);
+    // Los speakers se etiquetan después con la diarización (transcribeAudio)
+    const speakers = getSpeakersFromSegments(transcription.segments || []);
 
     // Limpiar archivo comprimido temporal después de la transcripción exitosa
     // if (compressedAudioPath && existsSync(compressedAudioPath)) {
@@ -882,6 +980,7 @@ export async function transcribeAudio(audioPath, videoNumber = 1, totalVideos =
 
 /**
  * Genera formato SRT a partir de segmentos
+ * Si los segmentos tienen speaker, cada línea lleva el prefijo de la etiqueta (ej: "[Conductor] ...")
  * @param {Array} segments - Segmentos de la transcripción
  * @returns {string} - Contenido SRT
  */
@@ -894,7 +993,7 @@ export function generateSRT(segments) {
     
     srt += `${index + 1}\n`;
     srt += `${startTime} --> ${endTime}\n`;
-    srt += `${segment.text.trim()}\n\n`;
+    srt += `${formatSpeakerText(segment)}\n\n`;
   });
   
   return srt;
@@ -913,38 +1012,3 @@ function formatSRTTime(seconds) {
   
   return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')},${String(milliseconds).padStart(3, '0')}`;
 }
-
-/**
- * Identifica speakers en la transcripción
- * Nota: Whisper no identifica speakers directamente, pero podemos inferir
- * basándonos en patrones de diálogo
- * @param {Array} segments - Segmentos de la transcripción
- * @returns {Array<string>} - Lista de speakers identificados
- */
-function identifySpeakers(segments) {
-  // Whisper no tiene identificación de speakers nativa
-  // Por ahora retornamos un array genérico
-  // En el futuro se podría usar diarización de audio
-  const speakers = new Set();
-  
-  // Intentar identificar por patrones comunes
-  segments.forEach(segment => {
-    const text = segment.text.toLowerCase();
-    
-    // Patrones que indican conductor/locutor
-    if (text.includes('bienvenido') || text.includes('hola') || 
-        text.includes('cuéntame') || text.includes('dime')) {
-      speakers.add('Conductor');
-    }
-    
-    // Si no hay patrones claros, asumir dos speakers
-    if (speakers.size === 0) {
-      speakers.add('Speaker 1');
-      speakers.add('Speaker 2');
-    }
-  });
-  
-  return Array.from(speakers).length > 0 
-    ? Array.from(speakers) 
-    : ['Conductor', 'Llamante'];
-}
@@ -0,0 +1,192 @@
+import { readFile } from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import config from '../config/config.js';
+import { logInfo } from './loggerService.js';
+import { assertLLMConfigured, buildChatRequest, requestChat } from './llmService.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Código de idioma BCP 47 simple: idioma y región opcional (es, en, pt-BR, es-419)
+const LANGUAGE_CODE_PATTERN = /^([a-z]{2,3})(?:-([a-z]{2}|\d{3}))?$/i;
+
+/**
+ * Crea un error con código HTTP para que el controlador lo responda tal cual
+ * @param {string} message - Mensaje del error
+ * @param {number} status - Código HTTP
+ * @returns {Error}
+ */
+function createStatusError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Normaliza un código de idioma (en, EN → en; pt-br → pt-BR)
+ * @param {string} language - Código de idioma
+ * @returns {string}
+ * @throws {Error} - Con status 400 si el código no es válido
+ */
+export function normalizeLanguageCode(language) {
+  const match = String(language || '').trim().match(LANGUAGE_CODE_PATTERN);
+  if (!match) {
+    throw createStatusError(`Código de idioma inválido: ${language} (ej: en, pt-BR)`, 400);
+  }
+  return match[2] ? `${match[1].toLowerCase()}-${match[2].toUpperCase()}` : match[1].toLowerCase();
+}
+
+/**
+ * Nombre de un idioma en ese mismo idioma (en → English), para prompts y pistas de subtítulos
+ * @param {string} language - Código de idioma
+ * @returns {string}
+ */
+export function getLanguageName(language) {
+  try {
+    const name = new Intl.DisplayNames([language], { type: 'language' }).of(language);
+    return name ? name.charAt(0).toUpperCase() + name.slice(1) : language;
+  } catch (error) {
+    return language;
+  }
+}
+
+/**
+ * Marca como desactualizadas las traducciones de una llamada (su texto original cambió)
+ * @param {object} metadata - Metadata de la llamada
+ * @returns {object} - Campos a actualizar en el metadata (vacío si la llamada no tiene traducciones)
+ */
+export function markTranslationsStale(metadata) {
+  const languages = Object.keys(metadata.localizations || {});
+  if (languages.length === 0) {
+    return {};
+  }
+  return {
+    localizations: Object.fromEntries(languages.map(language => [language, { ...metadata.localizations[language], needsRegeneration: true }])),
+    translationsNeedRegeneration: true,
+  };
+}
+
+/**
+ * Carga el prompt de traducción desde el archivo
+ * @returns {Promise<{systemMessage: string, userMessageTemplate: string}>}
+ */
+async function loadTranslationPrompt() {
+  const promptPath = join(__dirname, '../../public/prompts/translation.txt');
+  const promptContent = await readFile(promptPath, 'utf-8');
+
+  // Separar SYSTEM MESSAGE y USER MESSAGE usando el separador "---"
+  const parts = promptContent.split('---');
+  const systemMessage = parts[0].replace('SYSTEM MESSAGE:', '').trim();
+  const userMessageTemplate = parts.length > 1 ? parts[1].replace('USER MESSAGE:', '').trim() : '';
+
+  if (!systemMessage || !userMessageTemplate) {
+    throw new Error('El archivo de prompt de traducción no tiene el formato esperado (SYSTEM MESSAGE y USER MESSAGE separados por ---)');
+  }
+
+  return { systemMessage, userMessageTemplate };
+}
+
+/**
+ * Agrupa los textos en lotes por cantidad (config.translation.batchSize) y caracteres (maxBatchChars)
+ * @param {Array<{id: string, text: string}>} items - Textos a traducir
+ * @returns {Array<Array<{id: string, text: string}>>}
+ */
+function buildBatches(items) {
+  const { batchSize, maxBatchChars } = config.translation;
+  const batches = [];
+  let current = [];
+  let currentChars = 0;
+
+  for (const item of items) {
+    if (current.length > 0 && (current.length >= batchSize || currentChars + item.text.length > maxBatchChars)) {
+      batches.push(current);
+      current = [];
+      currentChars = 0;
+    }
+    current.push(item);
+    currentChars += item.text.length;
+  }
+  if (current.length > 0) {
+    batches.push(current);
+  }
+
+  return batches;
+}
+
+/**
+ * Traduce una lista de textos con el proveedor de LLM configurado (tarea 'translation'), en lotes
+ * @param {Array<{id: string, text: string}>} items - Textos a traducir (id único por texto)
+ * @param {string} language - Código del idioma de destino
+ * @param {object} options - Opciones
+ * @param {string} options.label - Nombre del proceso para los logs
+ * @returns {Promise<Map<string, string>>} - Texto traducido por id
+ * @throws {Error} - Si la respuesta de algún lote no incluye todos los textos
+ */
+export async function translateTexts(items, language, { label = 'Traducción' } = {}) {
+  assertLLMConfigured();
+
+  const translations = new Map();
+  const pending = items.filter(item => item.text && item.text.trim() !== '');
+  if (pending.length === 0) {
+    return translations;
+  }
+
+  const { systemMessage, userMessageTemplate } = await loadTranslationPrompt();
+  const batches = buildBatches(pending);
+
+  for (let i = 0; i < batches.length; i++) {
+    const batch = batches[i];
+    const userMessage = userMessageTemplate
+      .replace('[LANGUAGE_NAME]', getLanguageName(language))
+      .replace('[LANGUAGE]', language)
+      .replace('[ITEMS]', JSON.stringify({ items: batch }));
+
+    const apiRequest = buildChatRequest('translation', systemMessage, userMessage, { temperature: 0.3 });
+    const result = await requestChat('translation', apiRequest, { label: `${label} (${language}, lote ${i + 1}/${batches.length})` });
+
+    const translatedById = new Map((Array.isArray(result.items) ? result.items : [])
+      .filter(item => item && item.id !== undefined && typeof item.text === 'string')
+      .map(item => [String(item.id), item.text.trim()]));
+    const missing = batch.filter(item => !translatedById.get(item.id));
+    if (missing.length > 0) {
+      throw new Error(`La traducción al ${language} no incluye ${missing.length} de ${batch.length} texto(s) del lote ${i + 1}`);
+    }
+    batch.forEach(item => translations.set(item.id, translatedById.get(item.id)));
+  }
+
+  return translations;
+}
+
+/**
+ * Traduce la transcripción y los metadatos de una llamada (título, descripción, descripción corta y tags)
+ * Los segmentos conservan tiempos y speaker; pierden los timestamps por palabra (no corresponden a la traducción)
+ * @param {Array} segments - Segmentos de la llamada ({ start, end, speaker, text })
+ * @param {object} metadata - Metadata de la llamada
+ * @param {string} language - Código del idioma de destino
+ * @returns {Promise<{segments: Array, title: string|null, description: string|null, shortDescription: string|null, tags: Array<string>}>}
+ */
+export async function translateCallContent(segments, metadata, language) {
+  const tags = Array.isArray(metadata.tags) ? metadata.tags.filter(tag => typeof tag === 'string' && tag.trim()) : [];
+  const items = [
+    { id: 'title', text: metadata.title || '' },
+    { id: 'description', text: metadata.description || '' },
+    { id: 'shortDescription', text: metadata.shortDescription || '' },
+    ...tags.map((tag, index) => ({ id: `tag${index}`, text: tag })),
+    ...segments.map((segment, index) => ({ id: String(index), text: (segment.text || '').trim() })),
+  ];
+
+  const translations = await translateTexts(items, language, { label: `Traducción de ${metadata.title || 'llamada'}` });
+  await logInfo(`Llamada "${metadata.title || ''}" traducida al ${language} (${segments.length} subtítulo(s))`);
+
+  return {
+    segments: segments.map((segment, index) => {
+      const { words, ...rest } = segment;
+      return { ...rest, text: translations.get(String(index)) ?? segment.text };
+    }),
+    title: translations.get('title') || null,
+    description: translations.get('description') || null,
+    shortDescription: translations.get('shortDescription') || null,
+    tags: tags.map((tag, index) => translations.get(`tag${index}`) || tag),
+  };
+}
@@ -1,67 +1,20 @@
 import ffmpeg from 'fluent-ffmpeg';
 import { existsSync } from 'fs';
-import { join } from 'path';
+import { join, basename } from 'path';
 import { exec } from 'child_process';
 import { promisify } from 'util';
 import config from '../config/config.js';
+import { setTaskProgress, updateTaskProgress, getTaskProgress, getActiveTasks, registerTaskSSEConnection } from './taskProgressService.js';
 
 const execAsync = promisify(exec);
 
-// Map para almacenar el progreso de generación de videos
-// Key: generationId, Value: { percent, frames, totalFrames, status, startTime, fps, outputPath, videoTitle }
-const videoGenerationProgress = new Map();
-
-// Map para almacenar conexiones SSE activas
-// Key: generationId, Value: Set de Response objects
-const sseConnections = new Map();
-
 /**
  * Registra una conexión SSE para un generationId
  * @param {string} generationId - ID único de la generación
  * @param {Response} res - Objeto Response de Express para SSE
  */
 export function registerSSEConnection(generationId, res) {
-  if (!sseConnections.has(generationId)) {
-    sseConnections.set(generationId, new Set());
-  }
-  sseConnections.get(generationId).add(res);
-  
-  // Enviar progreso actual si existe
-  const progress = videoGenerationProgress.get(generationId);
-  if (progress) {
-    res.write(`data: ${JSON.stringify(progress)}\n\n`);
-  }
-  
-  // Limpiar conexión cuando se cierra
-  res.on('close', () => {
-    const connections = sseConnections.get(generationId);
-    if (connections) {
-      connections.delete(res);
-      if (connections.size === 0) {
-        sseConnections.delete(generationId);
-      }
-    }
-  });
-}
-
-/**
- * Notifica a todas las conexiones SSE sobre el progreso
- * @param {string} generationId - ID único de la generación
- * @param {object} progressData - Datos de progreso
- */
-function notifySSEConnections(generationId, progressData) {
-  const connections = sseConnections.get(generationId);
-  if (connections) {
-    const message = `data: ${JSON.stringify(progressData)}\n\n`;
-    connections.forEach(res => {
-      try {
-        res.write(message);
-      } catch (error) {
-        // Si la conexión está cerrada, removerla
-        connections.delete(res);
-      }
-    });
-  }
+  registerTaskSSEConnection('generation', generationId, res);
 }
 
 /**
@@ -70,7 +23,7 @@ function notifySSEConnections(generationId, progressData) {
  * @returns {object|null} - Datos de progreso o null si no existe
  */
 export function getVideoGenerationProgress(generationId) {
-  return videoGenerationProgress.get(generationId) || null;
+  return getTaskProgress('generation', generationId);
 }
 
 /**
@@ -78,16 +31,10 @@ export function getVideoGenerationProgress(generationId) {
  * @returns {Array} - Array de objetos con generationId y datos de progreso
  */
 export function getActiveGenerations() {
-  const active = [];
-  videoGenerationProgress.forEach((progress, generationId) => {
-    if (progress.status === 'processing' || progress.status === 'starting') {
-      active.push({
-        generationId,
-        ...progress
-      });
-    }
-  });
-  return active;
+  return getActiveTasks('generation').map(({ taskId, progress }) => ({
+    generationId: taskId,
+    ...progress
+  }));
 }
 
 /**
@@ -218,7 +165,7 @@ export async function generateVideoFromAudio(
     
     // Inicializar progreso si hay generationId
     if (generationId) {
-      videoGenerationProgress.set(generationId, {
+      setTaskProgress('generation', generationId, {
         percent: 0,
         frames: 0,
         totalFrames: 0,
@@ -227,8 +174,7 @@ export async function generateVideoFromAudio(
         fps: 0,
         outputPath: outputPath,
         videoTitle: videoTitle || 'Generando video...'
-      });
-      notifySSEConnections(generationId, videoGenerationProgress.get(generationId));
+      }, { fileName: basename(outputPath, '.mp4'), title: videoTitle });
     }
     /*console.log(`📁 Audio: ${audioPath}`);
     console.log(`🖼️  Imagen: ${imagePath}`);
@@ -269,12 +215,10 @@ export async function generateVideoFromAudio(
       
       // Actualizar totalFrames en el progreso
       if (generationId) {
-        const progress = videoGenerationProgress.get(generationId);
-        if (progress) {
-          progress.totalFrames = totalFrames;
-          progress.status = 'processing';
-          notifySSEConnections(generationId, progress);
-        }
+        updateTaskProgress('generation', generationId, {
+          totalFrames,
+          status: 'processing',
+        });
       }
 
       // Construir el comando de ffmpeg
@@ -590,15 +534,13 @@ export async function generateVideoFromAudio(
             
             // Actualizar progreso en el Map y notificar SSE
             if (generationId) {
-              const progressData = videoGenerationProgress.get(generationId);
-              if (progressData) {
-                progressData.percent = percent;
-                progressData.frames = progress.frames || 0;
-                progressData.totalFrames = totalFrames;
-                progressData.status = 'processing';
-                progressData.fps = instantFps > 0 ? instantFps : (averageFps > 0 ? averageFps : 0);
-                notifySSEConnections(generationId, progressData);
-              }
+              updateTaskProgress('generation', generationId, {
+                percent,
+                frames: progress.frames || 0,
+                totalFrames,
+                status: 'processing',
+                fps: instantFps > 0 ? instantFps : (averageFps > 0 ? averageFps : 0),
+              });
             }
           } else if (progress.frames !== undefined) {
             // Si no podemos calcular porcentaje pero tenemos frames
@@ -606,13 +548,11 @@ export async function generateVideoFromAudio(
             
             // Actualizar progreso en el Map
             if (generationId) {
-              const progressData = videoGenerationProgress.get(generationId);
-              if (progressData) {
-                progressData.frames = progress.frames;
-                progressData.totalFrames = totalFrames;
-                progressData.status = 'processing';
-                notifySSEConnections(generationId, progressData);
-              }
+              updateTaskProgress('generation', generationId, {
+                frames: progress.frames,
+                totalFrames,
+                status: 'processing',
+              });
             }
           }
         })
@@ -620,20 +560,12 @@ export async function generateVideoFromAudio(
           console.log('\n✅ Video generado exitosamente!');
           console.log(`📁 Archivo guardado en: ${outputPath}`);
           
-          // Actualizar progreso a completado
+          // Actualizar progreso a completado (el registro de tareas lo conserva un tiempo)
           if (generationId) {
-            const progressData = videoGenerationProgress.get(generationId);
-            if (progressData) {
-              progressData.percent = 100;
-              progressData.status = 'completed';
-              notifySSEConnections(generationId, progressData);
-              
-              // Limpiar después de 5 minutos
-              setTimeout(() => {
-                videoGenerationProgress.delete(generationId);
-                sseConnections.delete(generationId);
-              }, 5 * 60 * 1000);
-            }
+            updateTaskProgress('generation', generationId, {
+              percent: 100,
+              status: 'completed',
+            });
           }
           
           resolve(outputPath);
@@ -647,18 +579,10 @@ export async function generateVideoFromAudio(
           
           // Actualizar progreso a error
           if (generationId) {
-            const progressData = videoGenerationProgress.get(generationId);
-            if (progressData) {
-              progressData.status = 'error';
-              progressData.error = err.message;
-              notifySSEConnections(generationId, progressData);
-              
-              // Limpiar después de 5 minutos
-              setTimeout(() => {
-                videoGenerationProgress.delete(generationId);
-                sseConnections.delete(generationId);
-              }, 5 * 60 * 1000);
-            }
+            updateTaskProgress('generation', generationId, {
+              status: 'error',
+              error: err.message,
+            });
           }
           
           reject(new Error(`Error al generar video: ${err.message}`));
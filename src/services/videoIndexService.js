@@ -1,6 +1,6 @@
-import { readdir, readFile } from 'fs/promises';
 import { join } from 'path';
 import config from '../config/config.js';
+import { queryCatalogCalls, catalogHasVideo } from './callCatalogService.js';
 
 /**
  * Busca todas las llamadas asociadas a un videoId de YouTube
@@ -8,48 +8,19 @@ import config from '../config/config.js';
  * @returns {Promise<Array>} - Array de objetos con metadatos de llamadas
  */
 export async function findCallsByVideoId(videoId) {
-  const calls = [];
-  
-  try {
-    const metadataDir = config.storage.callsPath;
-    const files = await readdir(metadataDir);
-    
-    // Filtrar solo archivos JSON
-    const jsonFiles = files.filter(file => file.endsWith('.json'));
-    
-    // Leer cada archivo y buscar coincidencias
-    for (const file of jsonFiles) {
-      try {
-        const filePath = join(metadataDir, file);
-        const content = await readFile(filePath, 'utf-8');
-        const metadata = JSON.parse(content);
-        
-        // Verificar si el videoId coincide
-        if (metadata.youtubeVideoId === videoId) {
-          const callId = file.replace('.json', '');
-          // Construir rutas basadas en el fileName del metadata
-          const baseFileName = metadata.fileName || callId;
-          calls.push({
-            callId,
-            ...metadata,
-            metadataFile: filePath,
-            audioFile: join(config.storage.callsPath, `${baseFileName}.mp3`),
-            transcriptionFile: join(config.storage.callsPath, `${baseFileName}.srt`),
-          });
-        }
-      } catch (error) {
-        // Ignorar archivos corruptos o con errores
-        console.warn(`Error al leer archivo ${file}:`, error.message);
-      }
-    }
-  } catch (error) {
-    // Si el directorio no existe, retornar array vacío
-    if (error.code !== 'ENOENT') {
-      throw error;
-    }
-  }
-  
-  return calls;
+  const entries = await queryCatalogCalls({ videoId });
+
+  return entries.map(({ fileName, metadata }) => {
+    // Construir rutas basadas en el fileName del metadata
+    const baseFileName = metadata.fileName || fileName;
+    return {
+      callId: fileName,
+      ...metadata,
+      metadataFile: join(config.storage.callsPath, `${fileName}.json`),
+      audioFile: join(config.storage.callsPath, `${baseFileName}.mp3`),
+      transcriptionFile: join(config.storage.callsPath, `${baseFileName}.srt`),
+    };
+  });
 }
 
 /**
@@ -58,6 +29,5 @@ export async function findCallsByVideoId(videoId) {
  * @returns {Promise<boolean>} - true si el video ya fue procesado
  */
 export async function isVideoProcessed(videoId) {
-  const calls = await findCallsByVideoId(videoId);
-  return calls.length > 0;
+  return catalogHasVideo(videoId);
 }
@@ -7,66 +7,20 @@ import { promisify } from 'util';
 import config from '../config/config.js';
 import { downloadSubtitles, extractVideoId } from './youtubeService.js';
 import { generateSRT } from './transcriptionService.js';
-import { readMetadataFile } from './fileService.js';
+import { readMetadataFile, readWordTimestampsFile } from './fileService.js';
+import { DEFAULT_CAPTION_STYLE, generateKaraokeASS, buildSubtitleForceStyle } from './captionService.js';
 import { logInfo, logError, logWarn } from './loggerService.js';
+import { setTaskProgress, updateTaskProgress, getTaskProgress, getActiveTasks, registerTaskSSEConnection } from './taskProgressService.js';
 
 const execAsync = promisify(exec);
 
-// Map para almacenar el progreso de generación de shorts
-// Key: shortId, Value: { percent, frames, totalFrames, status, startTime, fps, outputPath, videoTitle }
-const shortGenerationProgress = new Map();
-
-// Map para almacenar conexiones SSE activas
-// Key: shortId, Value: Set de Response objects
-const sseConnections = new Map();
-
 /**
  * Registra una conexión SSE para un shortId
  * @param {string} shortId - ID único del short
  * @param {Response} res - Objeto Response de Express para SSE
  */
 export function registerShortSSEConnection(shortId, res) {
-  if (!sseConnections.has(shortId)) {
-    sseConnections.set(shortId, new Set());
-  }
-  sseConnections.get(shortId).add(res);
-  
-  // Enviar progreso actual si existe
-  const progress = shortGenerationProgress.get(shortId);
-  if (progress) {
-    res.write(`data: ${JSON.stringify(progress)}\n\n`);
-  }
-  
-  // Limpiar conexión cuando se cierra
-  res.on('close', () => {
-    const connections = sseConnections.get(shortId);
-    if (connections) {
-      connections.delete(res);
-      if (connections.size === 0) {
-        sseConnections.delete(shortId);
-      }
-    }
-  });
-}
-
-/**
- * Notifica a todas las conexiones SSE sobre el progreso
- * @param {string} shortId - ID único del short
- * @param {object} progressData - Datos de progreso
- */
-function notifySSEConnections(shortId, progressData) {
-  const connections = sseConnections.get(shortId);
-  if (connections) {
-    const message = `data: ${JSON.stringify(progressData)}\n\n`;
-    connections.forEach(res => {
-      try {
-        res.write(message);
-      } catch (error) {
-        // Si la conexión está cerrada, removerla
-        connections.delete(res);
-      }
-    });
-  }
+  registerTaskSSEConnection('short', shortId, res);
 }
 
 /**
@@ -75,17 +29,18 @@ function notifySSEConnections(shortId, progressData) {
  * @returns {object|null} - Datos de progreso o null si no existe
  */
 export function getShortProgress(shortId) {
-  return shortGenerationProgress.get(shortId) || null;
+  return getTaskProgress('short', shortId);
 }
 
 /**
- * Actualiza el progreso de un short
+ * Actualiza el progreso de un short (lo crea si todavía no existe)
  * @param {string} shortId - ID único del short
  * @param {object} progressData - Datos de progreso
  */
 export function updateShortProgress(shortId, progressData) {
-  shortGenerationProgress.set(shortId, progressData);
-  notifySSEConnections(shortId, progressData);
+  if (!updateTaskProgress('short', shortId, progressData)) {
+    setTaskProgress('short', shortId, progressData, { fileName: progressData.fileName });
+  }
 }
 
 /**
@@ -93,16 +48,10 @@ export function updateShortProgress(shortId, progressData) {
  * @returns {Array} - Array de objetos con shortId y datos de progreso
  */
 export function getActiveShorts() {
-  const active = [];
-  shortGenerationProgress.forEach((progress, shortId) => {
-    if (progress.status === 'processing' || progress.status === 'starting') {
-      active.push({
-        shortId,
-        ...progress
-      });
-    }
-  });
-  return active;
+  return getActiveTasks('short').map(({ taskId, progress }) => ({
+    shortId: taskId,
+    ...progress
+  }));
 }
 
 /**
@@ -223,12 +172,22 @@ async function generateVerticalWaveform(audioPath, outputPath, width, height) {
   });
 }
 
+/**
+ * Escapa una ruta para usarla dentro de un filtro de FFmpeg (subtitles / ass)
+ * @param {string} filePath - Ruta del archivo
+ * @returns {string}
+ */
+function escapeFilterPath(filePath) {
+  return filePath.replace(/\\/g, '/').replace(/'/g, "\\'");
+}
+
 /**
  * Genera un video short vertical (1080x1920)
  * @param {string} shortId - ID único del short
  * @param {string} fileName - Nombre del archivo de la llamada (sin extensión)
  * @param {string} youtubeVideoUrl - URL del video de YouTube
  * @param {object} options - Opciones de generación
+ * @param {object} options.captionStyle - Estilo de subtítulos normalizado (normalizeCaptionStyle), opcional
  * @returns {Promise<string>} - Ruta del archivo de video generado
  */
 export async function generateShortVideo(shortId, fileName, youtubeVideoUrl, options = {}) {
@@ -242,7 +201,8 @@ export async function generateShortVideo(shortId, fileName, youtubeVideoUrl, opt
       startTime: Date.now(),
       fps: 0,
       outputPath: null,
-      videoTitle: fileName
+      videoTitle: fileName,
+      fileName
     });
     
     await logInfo(`[Short ${shortId}] Iniciando generación de short para ${fileName}`);
@@ -255,34 +215,51 @@ export async function generateShortVideo(shortId, fileName, youtubeVideoUrl, opt
     
     updateShortProgress(shortId, { percent: 5, status: 'processing' });
     
-    // 2. Obtener transcripción desde YouTube
-    await logInfo(`[Short ${shortId}] Descargando transcripción desde YouTube...`);
-    let subtitleResult;
-    try {
-      subtitleResult = await downloadSubtitles(youtubeVideoUrl, videoId, 1, 1);
-    } catch (error) {
-      throw new Error(`Error al descargar transcripción: ${error.message}`);
-    }
-    
-    // Convertir segmentos al formato esperado
-    const formattedSegments = subtitleResult.segments.map((segment, index) => ({
-      id: index,
-      seek: Math.floor(segment.start * 100),
-      start: segment.start,
-      end: segment.end,
-      text: segment.text,
-      tokens: [],
-      temperature: 0.0,
-      avg_logprob: -1.0,
-      compression_ratio: 1.0,
-      no_speech_prob: 0.0,
-    }));
-    
-    // Generar SRT
-    const srtContent = generateSRT(formattedSegments);
-    const srtPath = join(config.storage.tempPath, `${shortId}_subtitles.srt`);
+    // 2. Subtítulos: karaoke con los timestamps por palabra de la llamada o, si no existen, el SRT de YouTube
     const { writeFile } = await import('fs/promises');
-    await writeFile(srtPath, srtContent, 'utf-8');
+    const captionStyle = options.captionStyle || null;
+    const wordTimestamps = await readWordTimestampsFile(fileName);
+    let subtitlesFilter;
+    
+    if (wordTimestamps && wordTimestamps.segments.length > 0) {
+      await logInfo(`[Short ${shortId}] Generando subtítulos karaoke desde timestamps por palabra...`);
+      const assPath = join(config.storage.tempPath, `${shortId}_captions.ass`);
+      const assContent = generateKaraokeASS(wordTimestamps.segments, captionStyle || DEFAULT_CAPTION_STYLE, { width: 1080, height: 1920 });
+      await writeFile(assPath, assContent, 'utf-8');
+      subtitlesFilter = `ass='${escapeFilterPath(assPath)}'`;
+    } else {
+      await logInfo(`[Short ${shortId}] Descargando transcripción desde YouTube...`);
+      let subtitleResult;
+      try {
+        subtitleResult = await downloadSubtitles(youtubeVideoUrl, videoId, 1, 1);
+      } catch (error) {
+        throw new Error(`Error al descargar transcripción: ${error.message}`);
+      }
+      
+      // Convertir segmentos al formato esperado
+      const formattedSegments = subtitleResult.segments.map((segment, index) => ({
+        id: index,
+        seek: Math.floor(segment.start * 100),
+        start: segment.start,
+        end: segment.end,
+        text: segment.text,
+        tokens: [],
+        temperature: 0.0,
+        avg_logprob: -1.0,
+        compression_ratio: 1.0,
+        no_speech_prob: 0.0,
+      }));
+      
+      // Generar SRT
+      const srtContent = generateSRT(formattedSegments);
+      const srtPath = join(config.storage.tempPath, `${shortId}_subtitles.srt`);
+      await writeFile(srtPath, srtContent, 'utf-8');
+      
+      const forceStyle = captionStyle
+        ? buildSubtitleForceStyle(captionStyle)
+        : 'FontSize=24,PrimaryColour=&Hffffff,OutlineColour=&H000000,Alignment=10';
+      subtitlesFilter = `subtitles='${escapeFilterPath(srtPath)}':force_style='${forceStyle}'`;
+    }
     
     updateShortProgress(shortId, { percent: 15, status: 'processing' });
     
@@ -395,7 +372,7 @@ export async function generateShortVideo(shortId, fileName, youtubeVideoUrl, opt
       filters.push(`[thumbnail][bg_loop][waveform]vstack=inputs=3[stacked]`);
       
       // 5. Agregar subtítulos
-      filters.push(`[stacked]subtitles='${srtPath.replace(/\\/g, '/').replace(/'/g, "\\'")}':force_style='FontSize=24,PrimaryColour=&Hffffff,OutlineColour=&H000000,Alignment=10'[final]`);
+      filters.push(`[stacked]${subtitlesFilter}[final]`);
       
       // Construir comando FFmpeg
       let command = ffmpeg();
@@ -0,0 +1,119 @@
+// Prompt inicial para Whisper local (transformers.js)
+// transformers.js 2.x no acepta prompt_ids: el prompt se antepone a los tokens del decoder
+// (<|startofprev|> + prompt + <|startoftranscript|>), se corren los tokens forzados y el inicio de los
+// timestamps, y se quita de la salida antes de decodificarla, como hace transformers de Python
+
+// Tokens máximos del prompt: el decoder de Whisper tiene 448 posiciones y el prompt usa hasta la mitad
+const MAX_PROMPT_TOKENS = 223;
+const START_OF_PREV_TOKEN = '<|startofprev|>';
+
+/**
+ * Tokeniza el prompt inicial de Whisper
+ * @param {object} tokenizer - Tokenizer del pipeline de Whisper
+ * @param {string|null} prompt - Prompt (términos del glosario)
+ * @returns {Array<number>|null} - <|startofprev|> seguido de los tokens del prompt (se conservan los últimos)
+ */
+export function encodeWhisperPrompt(tokenizer, prompt) {
+  if (!prompt || !prompt.trim()) {
+    return null;
+  }
+  const tokens = tokenizer.encode(` ${prompt.trim()}`, null, { add_special_tokens: false });
+  const [startOfPrevId] = tokenizer.model.convert_tokens_to_ids([START_OF_PREV_TOKEN]);
+  return [startOfPrevId, ...tokens.slice(-MAX_PROMPT_TOKENS)];
+}
+
+/**
+ * Arma la configuración de generación con el prompt antepuesto
+ * Los tokens forzados (idioma, tarea) se indexan por posición en la secuencia, así que se corren el largo del prompt
+ * @param {object} generationConfig - Configuración de generación ya combinada con la del modelo
+ * @param {Array<number>} promptIds - Resultado de encodeWhisperPrompt
+ * @returns {object}
+ */
+export function buildPromptedGenerationConfig(generationConfig, promptIds) {
+  const forcedDecoderIds = generationConfig.forced_decoder_ids;
+  return {
+    ...generationConfig,
+    prompt_ids: null,
+    decoder_input_ids: [...promptIds, generationConfig.decoder_start_token_id],
+    forced_decoder_ids: forcedDecoderIds ? forcedDecoderIds.map(([index, token]) => [index + promptIds.length, token]) : null,
+  };
+}
+
+/**
+ * Quita el prompt de la salida de generate
+ * Con timestamps por palabra también se quitan las filas del prompt de las atenciones cruzadas del primer paso,
+ * para que la alineación (DTW) use solo los tokens transcriptos
+ * @param {Array<Array<number>>|object} outputs - Secuencias o { sequences, cross_attentions, ... }
+ * @param {number} promptLength - Largo de promptIds
+ * @returns {Array<Array<number>>|object}
+ */
+export function stripPromptFromOutputs(outputs, promptLength) {
+  if (Array.isArray(outputs)) {
+    return outputs.map(sequence => sequence.slice(promptLength));
+  }
+
+  return {
+    ...outputs,
+    sequences: outputs.sequences.map(sequence => sequence.slice(promptLength)),
+    cross_attentions: outputs.cross_attentions
+      ? outputs.cross_attentions.map(steps => steps.map((layers, step) => (step > 0 ? layers : layers.map(
+        attention => attention.slice(null, null, [promptLength, attention.dims[2]], null)
+      ))))
+      : outputs.cross_attentions,
+  };
+}
+
+/**
+ * Habilita la opción prompt_ids en el pipeline de Whisper (el pipeline la pasa sin cambios a model.generate)
+ * Sin prompt_ids la generación es la original de transformers.js
+ * @param {Function} transcriber - Pipeline 'automatic-speech-recognition'
+ * @returns {Promise<void>}
+ */
+export async function enableWhisperPrompts(transcriber) {
+  const whisper = transcriber.model;
+  if (whisper.supportsPromptIds) {
+    return;
+  }
+
+  const [{ PreTrainedModel }, { WhisperTimeStampLogitsProcessor }] = await Promise.all([
+    import('@xenova/transformers'),
+    import('@xenova/transformers/src/utils/generation.js'),
+  ]);
+  const generate = whisper.generate.bind(whisper);
+
+  // Mismo flujo que WhisperForConditionalGeneration.generate, con el prompt antepuesto
+  whisper.generate = async (inputs, generationConfig = null, logitsProcessor = null) => {
+    const promptIds = generationConfig && generationConfig.prompt_ids;
+    if (!promptIds || promptIds.length === 0) {
+      return generate(inputs, generationConfig, logitsProcessor);
+    }
+
+    const config = buildPromptedGenerationConfig(whisper._get_generation_config(generationConfig), promptIds);
+    config.return_timestamps ??= false;
+
+    let processors = null;
+    if (config.return_timestamps) {
+      // Los timestamps empiezan después del prompt
+      const timestampProcessor = new WhisperTimeStampLogitsProcessor(config);
+      timestampProcessor.begin_index += promptIds.length;
+      processors = [timestampProcessor];
+    }
+    if (config.return_token_timestamps) {
+      if (!config.alignment_heads) {
+        throw new Error('La configuración del modelo no tiene alignment_heads: no hay timestamps por palabra');
+      }
+      config.output_attentions = true;
+      config.return_dict_in_generate = true;
+    }
+
+    const outputs = stripPromptFromOutputs(
+      await PreTrainedModel.prototype.generate.call(whisper, inputs, config, processors),
+      promptIds.length
+    );
+    if (config.return_token_timestamps) {
+      outputs.token_timestamps = whisper._extract_token_timestamps(outputs, config.alignment_heads, config.num_frames);
+    }
+    return outputs;
+  };
+  whisper.supportsPromptIds = true;
+}
@@ -4,6 +4,9 @@ import { existsSync, unlinkSync } from 'fs';
 import { platform } from 'os';
 import config from '../config/config.js';
 import { sanitizeFilename } from './fileService.js';
+import { recordFailedVideo } from './failedVideoService.js';
+import { normalizeCaptionSegments } from './captionNormalizerService.js';
+import { logInfo } from './loggerService.js';
 
 // yt-dlp-wrap tiene un doble default export, necesitamos acceder al default interno
 const YTDlpWrap = ytDlpWrapModule.default?.default || ytDlpWrapModule.default || ytDlpWrapModule;
@@ -26,87 +29,23 @@ export function setLogCallback(callback) {
 }
 
 /**
- * Lee la lista de videos fallidos desde el archivo JSON
- * @returns {Promise<Array>} - Array de objetos con información de videos fallidos
- */
-async function getFailedVideos() {
-  try {
-    const failedVideosPath = join(config.storage.basePath, 'failed_videos.json');
-    
-    if (!existsSync(failedVideosPath)) {
-      return [];
-    }
-    
-    const { readFile } = await import('fs/promises');
-    const content = await readFile(failedVideosPath, 'utf-8');
-    const failedVideos = JSON.parse(content);
-    
-    // Validar que sea un array
-    if (!Array.isArray(failedVideos)) {
-      return [];
-    }
-    
-    return failedVideos;
-  } catch (error) {
-    console.warn('⚠️  Error al leer videos fallidos:', error.message);
-    return [];
-  }
-}
-
-/**
- * Guarda información de un video que no se pudo descargar en un archivo JSON
+ * Guarda información de un video que no se pudo procesar en la lista de videos fallidos
  * @param {string} youtubeUrl - URL del video de YouTube
  * @param {string} errorMessage - Mensaje de error
  */
 export async function saveFailedVideo(youtubeUrl, errorMessage) {
+  // Extraer videoId de la URL
+  const videoId = extractVideoId(youtubeUrl);
+  if (!videoId) {
+    console.warn('⚠️  No se pudo extraer videoId de la URL:', youtubeUrl);
+    return;
+  }
+
   try {
-    const failedVideosPath = join(config.storage.basePath, 'failed_videos.json');
-    const timestamp = new Date().toISOString();
-    
-    // Extraer videoId de la URL
-    const videoId = extractVideoId(youtubeUrl);
-    if (!videoId) {
-      console.warn('⚠️  No se pudo extraer videoId de la URL:', youtubeUrl);
-      return;
-    }
-    
-    // Leer videos fallidos existentes
-    const failedVideos = await getFailedVideos();
-    
-    // Verificar si el video ya está en la lista (por videoId)
-    const existingIndex = failedVideos.findIndex(v => v.videoId === videoId);
-    
-    if (existingIndex !== -1) {
-      // Si ya existe, actualizar con el nuevo error y timestamp
-      failedVideos[existingIndex] = {
-        videoId,
-        youtubeUrl,
-        error: errorMessage,
-        timestamp,
-      };
-    } else {
-      // Si no existe, agregar nuevo
-      failedVideos.push({
-        videoId,
-        youtubeUrl,
-        error: errorMessage,
-        timestamp,
-      });
-    }
-    
-    const { writeFile, mkdir } = await import('fs/promises');
-    
-    // Asegurar que el directorio existe
-    if (!existsSync(config.storage.basePath)) {
-      await mkdir(config.storage.basePath, { recursive: true });
-    }
-    
-    // Guardar el archivo completo
-    await writeFile(failedVideosPath, JSON.stringify(failedVideos, null, 2), 'utf-8');
-    //console.log(`📝 Video fallido guardado en: ${failedVideosPath}`);
+    await recordFailedVideo({ videoId, youtubeUrl, error: errorMessage });
   } catch (error) {
     // Si falla guardar, solo loguear el error pero no lanzar excepción
-    console.warn('⚠️  No se pudo guardar el video fallido en el archivo:', error.message);
+    console.warn('⚠️  No se pudo guardar el video fallido:', error.message);
   }
 }
 
@@ -219,8 +158,7 @@ export async function getThumbnailUrl(videoId) {
  * @param {string} youtubeUrl - URL del video de YouTube
  * @param {number} videoNumber - Número del video (para logs)
  * @param {number} totalVideos - Total de videos (para logs)
- * @param {string} videoId - ID del video (para logs)
- * @returns {Promise<{videoId: string, audioPath: string, title: string, uploadDate: string}>}
+ * @returns {Promise<{videoId: string, audioPath: string, title: string, uploadDate: string, channel: string|null, channelId: string|null}>}
  */
 export async function downloadAudio(youtubeUrl, videoNumber = 1, totalVideos = 1, videoIdParam = null, customMessage = null) {
   // Obtener videoId si no se proporcionó
@@ -272,6 +210,8 @@ export async function downloadAudio(youtubeUrl, videoNumber = 1, totalVideos = 1
         audioPath,
         title,
         uploadDate,
+        channel: videoInfo.channel || videoInfo.uploader || null,
+        channelId: videoInfo.channel_id || null,
       };
     } catch (error) {
       // Si falla obtener metadatos, usar valores por defecto
@@ -280,6 +220,8 @@ export async function downloadAudio(youtubeUrl, videoNumber = 1, totalVideos = 1
         audioPath,
         title: 'Sin título',
         uploadDate: new Date().toISOString().split('T')[0],
+        channel: null,
+        channelId: null,
       };
     }
   }
@@ -461,6 +403,8 @@ export async function downloadAudio(youtubeUrl, videoNumber = 1, totalVideos = 1
       audioPath,
       title,
       uploadDate,
+      channel: videoInfo.channel || videoInfo.uploader || null,
+      channelId: videoInfo.channel_id || null,
     };
   } catch (error) {
     // Verificar que videoId esté definido antes de usarlo
@@ -797,13 +741,6 @@ export async function downloadAudio(youtubeUrl, videoNumber = 1, totalVideos = 1
       showLogCallback('❌', videoNumber, totalVideos, videoIdForCleanup, shortErrorMessage, null, null);
     }
     
-    // Guardar video fallido en archivo JSON
-    try {
-      await saveFailedVideo(youtubeUrl, error.message);
-    } catch (saveError) {
-      // Ignorar errores al guardar
-    }
-    
     // Crear mensaje de error más detallado para el stack
     const errorDetails = {
       message: error.message,
@@ -874,7 +811,7 @@ export async function checkAgeRestriction(youtubeUrl, videoId) {
 /**
  * Obtiene la lista de videos de una playlist de YouTube
  * @param {string} playlistUrl - URL de la playlist de YouTube
- * @returns {Promise<Array<{id: string, url: string, title: string}>>}
+ * @returns {Promise<Array<{id: string, url: string, title: string, duration: number|null, channel: string|null, channelId: string|null, uploadDate: string|null}>>}
  */
 export async function getPlaylistVideos(playlistUrl) {
   try {
@@ -917,6 +854,11 @@ export async function getPlaylistVideos(playlistUrl) {
         id: video.id,
         url: video.url || video.webpage_url || `https://www.youtube.com/watch?v=${video.id}`,
         title: video.title || 'Sin título',
+        // Datos para las reglas de la lista negra (pueden faltar en el listado plano)
+        duration: video.duration || null,
+        channel: video.channel || video.uploader || null,
+        channelId: video.channel_id || null,
+        uploadDate: video.upload_date || null,
       }));
 
     console.log(`✅ Se encontraron ${videos.length} video(s) en la playlist`);
@@ -926,14 +868,6 @@ export async function getPlaylistVideos(playlistUrl) {
   }
 }
 
-/**
- * Descarga los subtítulos de un video de YouTube
- * @param {string} youtubeUrl - URL del video de YouTube
- * @param {string} videoId - ID del video
- * @param {number} videoNumber - Número del video (para logs)
- * @param {number} totalVideos - Total de videos (para logs)
- * @returns {Promise<{srt: string, segments: Array}>} - Subtítulos en formato SRT y segmentos
- */
 /**
  * Descarga el video completo de YouTube
  * @param {string} youtubeUrl - URL del video de YouTube
@@ -1232,6 +1166,15 @@ export async function downloadVideo(youtubeUrl, outputPath = null, format = 'bes
   }
 }
 
+/**
+ * Descarga los subtítulos de un video de YouTube
+ * Los segmentos se normalizan con captionNormalizerService (salvo YOUTUBE_CAPTIONS_NORMALIZE=false)
+ * @param {string} youtubeUrl - URL del video de YouTube
+ * @param {string} videoId - ID del video
+ * @param {number} videoNumber - Número del video (para logs)
+ * @param {number} totalVideos - Total de videos (para logs)
+ * @returns {Promise<{srt: string, segments: Array}>} - SRT original de YouTube y segmentos normalizados
+ */
 export async function downloadSubtitles(youtubeUrl, videoId, videoNumber = 1, totalVideos = 1) {
   try {
     // Asegurar que yt-dlp esté disponible
@@ -1309,7 +1252,12 @@ export async function downloadSubtitles(youtubeUrl, videoId, videoNumber = 1, to
     }
     
     // Parsear SRT a segmentos (usando la misma función que ya existe)
-    const segments = parseSRTContent(srtContent);
+    // y limpiar las repeticiones de los subtítulos automáticos antes de que se guarden en temp
+    const captionSegments = parseSRTContent(srtContent);
+    const segments = config.transcription.youtubeCaptions.normalize ? normalizeCaptionSegments(captionSegments) : captionSegments;
+    if (segments.length !== captionSegments.length) {
+      await logInfo(`Subtítulos de ${videoId} normalizados: ${captionSegments.length} -> ${segments.length} segmentos`);
+    }
     
     return {
       srt: srtContent,
@@ -1,14 +1,12 @@
 import { google } from 'googleapis';
 import { readFileSync, existsSync, createReadStream, statSync } from 'fs';
+import { readFile } from 'fs/promises';
 import { Readable, Transform } from 'stream';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { dirname, join, basename } from 'path';
 import config from '../config/config.js';
-
-// Almacenar progreso de subidas en memoria
-const uploadProgress = new Map();
-// Almacenar conexiones SSE activas
-const uploadSSEConnections = new Map();
+import { splitSpeakerLabel } from './diarizationService.js';
+import { setTaskProgress, updateTaskProgress, getTaskProgress, getActiveTasks, registerTaskSSEConnection } from './taskProgressService.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -138,6 +136,7 @@ export async function getAuthenticatedClient() {
       scope: [
         'https://www.googleapis.com/auth/youtube.upload',
         'https://www.googleapis.com/auth/youtube.readonly',
+        'https://www.googleapis.com/auth/youtube.force-ssl', // Necesario para publicar subtítulos
         'https://www.googleapis.com/auth/userinfo.email'
       ],
     });
@@ -148,6 +147,99 @@ export async function getAuthenticatedClient() {
   return oAuth2Client;
 }
 
+/**
+ * Opciones por solicitud para la API de YouTube: apunta a config.youtube.apiRootUrl si está configurada
+ * (las subidas de archivos no usan el rootUrl del cliente, por eso se pasa en cada solicitud)
+ * @returns {object}
+ */
+function getApiRequestOptions() {
+  return config.youtube.apiRootUrl ? { rootUrl: config.youtube.apiRootUrl.replace(/\/?$/, '/') } : {};
+}
+
+/**
+ * Crea el cliente de YouTube Data API v3
+ * @param {object} auth - Cliente OAuth autenticado
+ * @returns {object}
+ */
+function createYouTubeClient(auth) {
+  return google.youtube({ version: 'v3', auth, ...getApiRequestOptions() });
+}
+
+/**
+ * Quita las etiquetas de speaker ("[Conductor] ...") de un SRT, con la misma numeración y tiempos
+ * @param {string} srtContent - Contenido SRT
+ * @returns {string}
+ */
+function stripSpeakerLabels(srtContent) {
+  let cueStart = false;
+  return srtContent.split('\n').map(line => {
+    // La etiqueta va al comienzo de la primera línea de texto de cada subtítulo
+    const isFirstTextLine = cueStart;
+    cueStart = line.includes('-->');
+    return isFirstTextLine ? splitSpeakerLabel(line).text : line;
+  }).join('\n');
+}
+
+/**
+ * Publica un archivo SRT como pista de subtítulos de un video de YouTube
+ * Si el video ya tiene una pista con el mismo idioma y nombre (o se indica captionId), la reemplaza
+ * Las etiquetas de speaker del .srt se quitan salvo config.youtube.captions.speakerLabels
+ * @param {string} videoId - ID del video de YouTube
+ * @param {string} srtPath - Ruta del archivo SRT
+ * @param {object} options - Opciones
+ * @param {string} options.language - Idioma de la pista (por defecto config.youtube.captions.language)
+ * @param {string} options.name - Nombre de la pista (por defecto config.youtube.captions.name)
+ * @param {string} options.captionId - ID de la pista a reemplazar
+ * @param {object} options.youtube - Cliente de YouTube ya autenticado (opcional)
+ * @returns {Promise<{captionId: string, language: string, name: string, action: string}>} - action: 'inserted' o 'updated'
+ */
+export async function uploadCaptionsToYouTube(videoId, srtPath, options = {}) {
+  if (!videoId) {
+    throw new Error('videoId es requerido');
+  }
+  if (!srtPath || !existsSync(srtPath)) {
+    throw new Error(`El archivo de subtítulos no existe: ${srtPath}`);
+  }
+
+  const language = options.language || config.youtube.captions.language;
+  const name = options.name ?? config.youtube.captions.name;
+  const youtube = options.youtube || createYouTubeClient(await getAuthenticatedClient());
+  const srtContent = await readFile(srtPath, 'utf-8');
+  const media = {
+    mimeType: 'application/x-subrip',
+    body: config.youtube.captions.speakerLabels ? srtContent : stripSpeakerLabels(srtContent),
+  };
+
+  // Buscar la pista publicada antes (re-sincronización)
+  let captionId = options.captionId || null;
+  if (!captionId) {
+    const { data } = await youtube.captions.list({ part: ['snippet'], videoId }, getApiRequestOptions());
+    const existing = (data.items || []).find(item => item.snippet
+      && item.snippet.language === language
+      && (item.snippet.name || '') === name
+      && item.snippet.trackKind !== 'asr');
+    captionId = existing ? existing.id : null;
+  }
+
+  if (captionId) {
+    await youtube.captions.update({
+      part: ['snippet'],
+      requestBody: { id: captionId, snippet: { isDraft: false } },
+      media,
+    }, getApiRequestOptions());
+    console.log(`✅ Subtítulos actualizados en YouTube (${videoId}, ${language})`);
+    return { captionId, language, name, action: 'updated' };
+  }
+
+  const response = await youtube.captions.insert({
+    part: ['snippet'],
+    requestBody: { snippet: { videoId, language, name, isDraft: false } },
+    media,
+  }, getApiRequestOptions());
+  console.log(`✅ Subtítulos publicados en YouTube (${videoId}, ${language})`);
+  return { captionId: response.data.id, language, name, action: 'inserted' };
+}
+
 /**
  * Sube un video a YouTube
  * @param {string} videoPath - Ruta del archivo de video a subir
@@ -158,7 +250,12 @@ export async function getAuthenticatedClient() {
  * @param {string} metadata.categoryId - ID de categoría (por defecto: 22 para People & Blogs)
  * @param {string} metadata.privacyStatus - Estado de privacidad ('private', 'unlisted', 'public')
  * @param {string} metadata.thumbnailPath - Ruta de la miniatura (opcional)
- * @returns {Promise<object>} Información del video subido (incluye videoId)
+ * @param {string} metadata.captionsPath - Ruta del SRT de la llamada a publicar como subtítulos (opcional)
+ * @param {string} metadata.captionsLanguage - Idioma de los subtítulos (por defecto config.youtube.captions.language)
+ * @param {string} metadata.defaultLanguage - Idioma del título y la descripción (requerido por YouTube si hay localizations)
+ * @param {object} metadata.localizations - Título y descripción traducidos por idioma ({ en: { title, description } })
+ * @param {Array<object>} metadata.extraCaptions - Subtítulos traducidos a publicar ([{ path, language, name }])
+ * @returns {Promise<object>} Información del video subido (incluye videoId y el estado de miniatura y subtítulos)
  */
 export async function uploadVideoToYouTube(videoPath, metadata = {}) {
   // Generar ID único para esta subida al inicio para que esté disponible en el catch
@@ -170,7 +267,7 @@ export async function uploadVideoToYouTube(videoPath, metadata = {}) {
     }
 
     const auth = await getAuthenticatedClient();
-    const youtube = google.youtube({ version: 'v3', auth });
+    const youtube = createYouTubeClient(auth);
 
     const {
       title = 'Sin título',
@@ -179,7 +276,13 @@ export async function uploadVideoToYouTube(videoPath, metadata = {}) {
       categoryId = '22', // People & Blogs
       privacyStatus = 'public', // private, unlisted, public
       thumbnailPath = null,
+      captionsPath = null,
+      captionsLanguage = null,
+      defaultLanguage = null,
+      localizations = null,
+      extraCaptions = [],
     } = metadata;
+    const hasLocalizations = Boolean(localizations && Object.keys(localizations).length > 0);
 
     // Preparar los metadatos del video
     const videoMetadata = {
@@ -188,11 +291,13 @@ export async function uploadVideoToYouTube(videoPath, metadata = {}) {
         description,
         tags,
         categoryId,
+        ...(defaultLanguage ? { defaultLanguage } : {}),
       },
       status: {
         privacyStatus,
         selfDeclaredMadeForKids: false, // Indicar que el video no es para niños
       },
+      ...(hasLocalizations ? { localizations } : {}),
     };
 
     console.log('📤 Iniciando subida de video a YouTube...');
@@ -213,11 +318,11 @@ export async function uploadVideoToYouTube(videoPath, metadata = {}) {
       startTime: Date.now(),
       videoTitle: title,
       videoPath: videoPath,
+      captionsStatus: captionsPath ? 'pending' : 'skipped',
+      // Estado de cada pista traducida ({ en: 'pending' | 'uploading' | 'completed' | 'error' })
+      translatedCaptionsStatus: Object.fromEntries(extraCaptions.map(caption => [caption.language, 'pending'])),
     };
-    uploadProgress.set(uploadId, initialProgress);
-    
-    // Notificar al inicio
-    notifyUploadSSEConnections(uploadId, initialProgress);
+    setTaskProgress('upload', uploadId, initialProgress, { fileName: basename(videoPath, '.mp4'), title });
 
     // Crear stream personalizado que rastree los bytes
     let bytesUploaded = 0;
@@ -226,26 +331,19 @@ export async function uploadVideoToYouTube(videoPath, metadata = {}) {
         bytesUploaded += chunk.length;
         const percent = Math.min(100, Math.round((bytesUploaded / fileSize) * 100));
         
-        // Actualizar progreso
-        const progressData = {
-          bytesUploaded,
-          totalBytes: fileSize,
-          percent,
-          status: 'uploading',
-          startTime: uploadProgress.get(uploadId)?.startTime || Date.now(),
-          videoTitle: uploadProgress.get(uploadId)?.videoTitle || title,
-          videoPath: uploadProgress.get(uploadId)?.videoPath || videoPath,
-        };
-        uploadProgress.set(uploadId, progressData);
-        
-        // Notificar conexiones SSE usando setImmediate para no bloquear
+        // Actualizar progreso (usando setImmediate para no bloquear el stream)
         setImmediate(() => {
-          notifyUploadSSEConnections(uploadId, progressData);
+          updateTaskProgress('upload', uploadId, {
+            bytesUploaded,
+            totalBytes: fileSize,
+            percent,
+            status: 'uploading',
+          });
         });
         
         // Log cada 5% de progreso
         if (percent % 5 === 0 || bytesUploaded === fileSize) {
-          const elapsed = (Date.now() - uploadProgress.get(uploadId).startTime) / 1000;
+          const elapsed = (Date.now() - initialProgress.startTime) / 1000;
           const speed = bytesUploaded / elapsed / 1024 / 1024; // MB/s
           console.log(`   📊 Progreso: ${percent}% (${(bytesUploaded / 1024 / 1024).toFixed(2)}MB / ${(fileSize / 1024 / 1024).toFixed(2)}MB) - Velocidad: ${speed.toFixed(2)} MB/s`);
         }
@@ -256,29 +354,22 @@ export async function uploadVideoToYouTube(videoPath, metadata = {}) {
 
     // Subir el video usando stream con progreso
     const response = await youtube.videos.insert({
-      part: ['snippet', 'status'],
+      part: hasLocalizations ? ['snippet', 'status', 'localizations'] : ['snippet', 'status'],
       requestBody: videoMetadata,
       media: {
         body: createReadStream(videoPath).pipe(progressStream),
       },
-    });
+    }, getApiRequestOptions());
     
-    // Marcar como completado
-    const completedProgress = {
+    // Marcar como completado (el registro de tareas lo conserva un tiempo)
+    updateTaskProgress('upload', uploadId, {
       bytesUploaded: fileSize,
       totalBytes: fileSize,
       percent: 100,
       status: 'completed',
-      startTime: uploadProgress.get(uploadId)?.startTime || Date.now(),
-      videoTitle: uploadProgress.get(uploadId)?.videoTitle || title,
-      videoPath: uploadProgress.get(uploadId)?.videoPath || videoPath,
       videoId: response.data.id,
       videoUrl: `https://www.youtube.com/watch?v=${response.data.id}`,
-    };
-    uploadProgress.set(uploadId, completedProgress);
-    notifyUploadSSEConnections(uploadId, completedProgress);
-    
-    // No limpiar automáticamente - mantener para cierre manual
+    });
 
     const videoId = response.data.id;
     const videoUrl = `https://www.youtube.com/watch?v=${videoId}`;
@@ -365,7 +456,7 @@ export async function uploadVideoToYouTube(videoPath, metadata = {}) {
             media: {
               body: thumbnailStream,
             },
-          });
+          }, getApiRequestOptions());
           console.log('✅ Miniatura subida exitosamente!');
           thumbnailUploaded = true;
         } catch (error) {
@@ -382,6 +473,42 @@ export async function uploadVideoToYouTube(videoPath, metadata = {}) {
       console.log('⚠️  No se especificó ruta de miniatura');
     }
 
+    // Si hay SRT de la llamada, publicarlo como subtítulos (un fallo no invalida la subida del video)
+    let captions = null;
+    let captionsError = null;
+
+    if (captionsPath) {
+      updateTaskProgress('upload', uploadId, { captionsStatus: 'uploading', message: 'Publicando subtítulos...' });
+      try {
+        console.log('💬 Publicando subtítulos...');
+        captions = await uploadCaptionsToYouTube(videoId, captionsPath, { language: captionsLanguage, youtube });
+        updateTaskProgress('upload', uploadId, { captionsStatus: 'completed', captionId: captions.captionId, message: 'Subtítulos publicados' });
+      } catch (error) {
+        captionsError = error.message;
+        console.error(`❌ Error al publicar subtítulos: ${error.message}`);
+        updateTaskProgress('upload', uploadId, { captionsStatus: 'error', captionsError, message: `No se pudieron publicar los subtítulos: ${captionsError}` });
+      }
+    }
+
+    // Subtítulos traducidos: una pista por idioma
+    const translatedCaptions = [];
+    for (const caption of extraCaptions) {
+      const setStatus = (status) => {
+        const progress = getTaskProgress('upload', uploadId) || {};
+        return { ...(progress.translatedCaptionsStatus || {}), [caption.language]: status };
+      };
+      updateTaskProgress('upload', uploadId, { translatedCaptionsStatus: setStatus('uploading'), message: `Publicando subtítulos (${caption.language})...` });
+      try {
+        const result = await uploadCaptionsToYouTube(videoId, caption.path, { language: caption.language, name: caption.name, youtube });
+        translatedCaptions.push({ ...result, error: null });
+        updateTaskProgress('upload', uploadId, { translatedCaptionsStatus: setStatus('completed'), message: `Subtítulos publicados (${caption.language})` });
+      } catch (error) {
+        console.error(`❌ Error al publicar subtítulos (${caption.language}): ${error.message}`);
+        translatedCaptions.push({ captionId: null, language: caption.language, name: caption.name, action: null, error: error.message });
+        updateTaskProgress('upload', uploadId, { translatedCaptionsStatus: setStatus('error'), message: `No se pudieron publicar los subtítulos (${caption.language}): ${error.message}` });
+      }
+    }
+
     return {
       success: true,
       videoId,
@@ -389,18 +516,20 @@ export async function uploadVideoToYouTube(videoPath, metadata = {}) {
       title: response.data.snippet?.title || title,
       thumbnailUploaded: thumbnailUploaded,
       thumbnailError: thumbnailError || null,
+      captionsUploaded: Boolean(captions),
+      captions,
+      captionsError,
+      localizations: hasLocalizations ? Object.keys(localizations) : [],
+      translatedCaptions,
       uploadId, // Devolver el ID de subida para que el cliente pueda consultar el progreso
     };
   } catch (error) {
     // Marcar como error en el progreso si existe uploadId
-    if (uploadId && uploadProgress.has(uploadId)) {
-      const errorProgress = {
-        ...uploadProgress.get(uploadId),
+    if (uploadId) {
+      updateTaskProgress('upload', uploadId, {
         status: 'error',
         error: error.message,
-      };
-      uploadProgress.set(uploadId, errorProgress);
-      notifyUploadSSEConnections(uploadId, errorProgress);
+      });
     }
     console.error('❌ Error al subir video a YouTube:', error.message);
     throw new Error(`Error al subir video a YouTube: ${error.message}`);
@@ -413,7 +542,7 @@ export async function uploadVideoToYouTube(videoPath, metadata = {}) {
  * @returns {object|null} Progreso de la subida o null si no existe
  */
 export function getUploadProgress(uploadId) {
-  return uploadProgress.get(uploadId) || null;
+  return getTaskProgress('upload', uploadId);
 }
 
 /**
@@ -422,51 +551,7 @@ export function getUploadProgress(uploadId) {
  * @param {object} res - Response object de Express
  */
 export function registerUploadSSEConnection(uploadId, res) {
-  if (!uploadSSEConnections.has(uploadId)) {
-    uploadSSEConnections.set(uploadId, []);
-  }
-  
-  const connections = uploadSSEConnections.get(uploadId);
-  connections.push(res);
-  
-  // Enviar estado inicial si existe
-  const progress = uploadProgress.get(uploadId);
-  if (progress) {
-    res.write(`data: ${JSON.stringify(progress)}\n\n`);
-  }
-  
-  // Limpiar conexión cuando se cierre
-  res.on('close', () => {
-    const conns = uploadSSEConnections.get(uploadId);
-    if (conns) {
-      const index = conns.indexOf(res);
-      if (index > -1) {
-        conns.splice(index, 1);
-      }
-      if (conns.length === 0) {
-        uploadSSEConnections.delete(uploadId);
-      }
-    }
-  });
-}
-
-/**
- * Notifica a todas las conexiones SSE sobre el progreso de una subida
- * @param {string} uploadId - ID de la subida
- * @param {object} progressData - Datos de progreso
- */
-export function notifyUploadSSEConnections(uploadId, progressData) {
-  const connections = uploadSSEConnections.get(uploadId);
-  if (connections && connections.length > 0) {
-    const message = `data: ${JSON.stringify(progressData)}\n\n`;
-    connections.forEach((res) => {
-      try {
-        res.write(message);
-      } catch (error) {
-        // Ignorar errores de conexión cerrada
-      }
-    });
-  }
+  registerTaskSSEConnection('upload', uploadId, res);
 }
 
 /**
@@ -474,16 +559,10 @@ export function notifyUploadSSEConnections(uploadId, progressData) {
  * @returns {Array} Array de objetos con información de subidas activas
  */
 export function getActiveUploads() {
-  const activeUploads = [];
-  uploadProgress.forEach((progress, uploadId) => {
-    if (progress.status === 'uploading' || progress.status === 'processing') {
-      activeUploads.push({
-        uploadId,
-        ...progress,
-      });
-    }
-  });
-  return activeUploads;
+  return getActiveTasks('upload').map(({ taskId, progress }) => ({
+    uploadId: taskId,
+    ...progress,
+  }));
 }
 
 /**
@@ -526,7 +605,7 @@ export async function reuploadThumbnailToYouTube(videoId, thumbnailPath) {
     }
 
     const auth = await getAuthenticatedClient();
-    const youtube = google.youtube({ version: 'v3', auth });
+    const youtube = createYouTubeClient(auth);
 
     // Verificar tamaño del archivo original
     const stats = statSync(normalizedThumbnailPath);
@@ -581,7 +660,7 @@ export async function reuploadThumbnailToYouTube(videoId, thumbnailPath) {
       media: {
         body: thumbnailStream,
       },
-    });
+    }, getApiRequestOptions());
     console.log('✅ Miniatura resubida exitosamente!');
 
     return {
@@ -637,6 +716,7 @@ export async function getAuthUrl() {
       scope: [
         'https://www.googleapis.com/auth/youtube.upload',
         'https://www.googleapis.com/auth/youtube.readonly',
+        'https://www.googleapis.com/auth/youtube.force-ssl', // Necesario para publicar subtítulos
         'https://www.googleapis.com/auth/userinfo.email'
       ],
       redirect_uri: redirectUri, // Asegurarse de que el redirect_uri coincida
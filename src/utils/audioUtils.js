@@ -1,8 +1,11 @@
 import ffmpeg from 'fluent-ffmpeg';
-import { join } from 'path';
+import { join, basename } from 'path';
 import { readFile } from 'fs/promises';
 import config from '../config/config.js';
 
+// Frecuencia de muestreo del PCM usado por los modelos locales (Whisper, diarización)
+export const PCM_SAMPLE_RATE = 16000;
+
 /**
  * Función para mostrar log en formato unificado (importada desde videoController)
  */
@@ -76,6 +79,23 @@ export async function convertToMP3(inputPath, outputPath) {
   });
 }
 
+/**
+ * Obtiene la duración de un archivo de audio con ffprobe
+ * @param {string} audioPath - Ruta del archivo de audio
+ * @returns {Promise<number>} - Duración en segundos
+ */
+export function probeAudioDuration(audioPath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(audioPath, (err, metadata) => {
+      if (err) {
+        reject(new Error(`Error al obtener duración del audio: ${err.message}`));
+        return;
+      }
+      resolve(metadata.format.duration || 0);
+    });
+  });
+}
+
 /**
  * Lee un archivo de audio como buffer
  * @param {string} audioPath - Ruta del archivo de audio
@@ -84,3 +104,43 @@ export async function convertToMP3(inputPath, outputPath) {
 export async function readAudioFile(audioPath) {
   return await readFile(audioPath);
 }
+
+/**
+ * Convierte el audio a PCM crudo (16 kHz, mono, 16 bits) en temp para leer fragmentos sin cargarlo completo
+ * @param {string} audioPath - Ruta del archivo de audio
+ * @param {string} suffix - Sufijo del archivo temporal (identifica el proceso que lo usa)
+ * @returns {Promise<string>} - Ruta del archivo PCM temporal
+ */
+export function convertToPCM(audioPath, suffix = 'pcm') {
+  const pcmPath = join(config.storage.tempPath, `${basename(audioPath).replace(/\.[^.]+$/, '')}_${suffix}_${Date.now()}.pcm`);
+  return new Promise((resolve, reject) => {
+    ffmpeg(audioPath)
+      .audioChannels(1)
+      .audioFrequency(PCM_SAMPLE_RATE)
+      .format('s16le')
+      .output(pcmPath)
+      .on('end', () => resolve(pcmPath))
+      .on('error', (err) => reject(new Error(`Error al convertir audio a PCM: ${err.message}`)))
+      .run();
+  });
+}
+
+/**
+ * Lee un fragmento del archivo PCM como Float32Array normalizado (-1.0 a 1.0)
+ * @param {object} fileHandle - FileHandle del archivo PCM
+ * @param {number} start - Inicio en segundos
+ * @param {number} end - Fin en segundos
+ * @returns {Promise<Float32Array>}
+ */
+export async function readPCMWindow(fileHandle, start, end) {
+  const startSample = Math.max(0, Math.floor(start * PCM_SAMPLE_RATE));
+  const sampleCount = Math.max(0, Math.floor((end - start) * PCM_SAMPLE_RATE));
+  const buffer = Buffer.alloc(sampleCount * 2);
+  const { bytesRead } = await fileHandle.read(buffer, 0, buffer.length, startSample * 2);
+
+  const samples = new Float32Array(Math.floor(bytesRead / 2));
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = buffer.readInt16LE(i * 2) / 32768.0;
+  }
+  return samples;
+}
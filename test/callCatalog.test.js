@@ -0,0 +1,96 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFile } from 'fs/promises';
+import { join } from 'path';
+import { useTempStorage } from './helpers/testStorage.js';
+
+// Ordenamiento y paginación por cursor del catálogo de llamadas (SQLite en la carpeta temporal)
+const tempDir = await useTempStorage('catalog');
+process.env.CATALOG_DB_PATH = join(tempDir, 'catalog.sqlite');
+
+// Dos llamadas con la misma fecha: el nombre de archivo desempata
+const calls = [
+  { fileName: 'v1 - 1 - Zapatos', title: 'Zapatos', date: '2024-01-10', group: 'Amor' },
+  { fileName: 'v1 - 2 - arriendo', title: 'arriendo', date: '2024-03-05', group: '' },
+  { fileName: 'v2 - 1 - Bomberos', title: 'Bomberos', date: '2024-03-05', group: 'Amor' },
+  { fileName: 'v2 - 2 - Cartas', title: 'Cartas', date: '2023-12-24', group: 'Humor' },
+  { fileName: 'v3 - 1 - Dentista', title: 'Dentista', date: '2024-02-01', group: '' },
+];
+
+let listCatalogCalls;
+
+/**
+ * Recorre todas las páginas de un listado
+ * @param {object} options - sort, order y limit
+ * @returns {Promise<Array<string>>} - Nombres de archivo en orden
+ */
+async function listAllPages(options) {
+  const fileNames = [];
+  let cursor = null;
+  do {
+    const page = await listCatalogCalls({}, { ...options, cursor });
+    assert.ok(page.entries.length <= options.limit);
+    fileNames.push(...page.entries.map(entry => entry.fileName));
+    cursor = page.nextCursor;
+  } while (cursor);
+  return fileNames;
+}
+
+before(async () => {
+  for (const call of calls) {
+    await writeFile(join(process.env.CALLS_PATH, `${call.fileName}.json`), JSON.stringify({
+      callId: call.fileName,
+      title: call.title,
+      date: call.date,
+      group: call.group,
+    }), 'utf-8');
+  }
+  ({ listCatalogCalls } = await import('../src/services/callCatalogService.js'));
+});
+
+test('ordena por fecha descendente y desempata por nombre de archivo', async () => {
+  const { total, entries, nextCursor } = await listCatalogCalls({}, { sort: 'date' });
+
+  assert.equal(total, 5);
+  assert.equal(nextCursor, null);
+  assert.deepEqual(entries.map(entry => entry.fileName), [
+    'v2 - 1 - Bomberos',
+    'v1 - 2 - arriendo',
+    'v3 - 1 - Dentista',
+    'v1 - 1 - Zapatos',
+    'v2 - 2 - Cartas',
+  ]);
+});
+
+test('las páginas por cursor cubren todas las llamadas una sola vez y en el mismo orden', async () => {
+  for (const options of [{ sort: 'date' }, { sort: 'date', order: 'asc' }, { sort: 'title' }, { sort: 'group' }]) {
+    const { entries } = await listCatalogCalls({}, options);
+    assert.deepEqual(await listAllPages({ ...options, limit: 2 }), entries.map(entry => entry.fileName), options.sort);
+  }
+});
+
+test('el título se ordena sin distinguir mayúsculas y el grupo deja al final las llamadas sin grupo', async () => {
+  const byTitle = await listCatalogCalls({}, { sort: 'title' });
+  assert.deepEqual(byTitle.entries.map(entry => entry.metadata.title), ['arriendo', 'Bomberos', 'Cartas', 'Dentista', 'Zapatos']);
+
+  const byGroup = await listCatalogCalls({}, { sort: 'group' });
+  assert.deepEqual(byGroup.entries.map(entry => entry.fileName), [
+    'v2 - 1 - Bomberos',
+    'v1 - 1 - Zapatos',
+    'v2 - 2 - Cartas',
+    'v1 - 2 - arriendo',
+    'v3 - 1 - Dentista',
+  ]);
+});
+
+test('rechaza ordenamientos, órdenes y cursores inválidos', async () => {
+  const invalid = (error) => error.invalidParams === true;
+
+  await assert.rejects(listCatalogCalls({}, { sort: 'constructor' }), invalid);
+  await assert.rejects(listCatalogCalls({}, { sort: 'date', order: 'up' }), invalid);
+  await assert.rejects(listCatalogCalls({}, { sort: 'date', cursor: 'no-es-un-cursor' }), invalid);
+
+  const { nextCursor } = await listCatalogCalls({}, { sort: 'date', limit: 2 });
+  await assert.rejects(listCatalogCalls({}, { sort: 'title', limit: 2, cursor: nextCursor }), invalid);
+  await assert.rejects(listCatalogCalls({}, { sort: 'date', order: 'asc', limit: 2, cursor: nextCursor }), invalid);
+});
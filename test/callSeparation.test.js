@@ -0,0 +1,108 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFile, stat } from 'fs/promises';
+import { join, basename } from 'path';
+import { useTempStorage } from './helpers/testStorage.js';
+
+// Separación de llamadas con el proveedor fake del LLM (sin red ni audio)
+const tempDir = await useTempStorage('separation');
+const fixturesPath = join(tempDir, 'llm-fixtures.json');
+process.env.LLM_PROVIDER = 'fake';
+process.env.LLM_FAKE_RESPONSES_PATH = fixturesPath;
+process.env.CALL_SEPARATION_AUDIO_CUES = 'both';
+process.env.CALL_SEPARATION_AUDIO_TOLERANCE_SECONDS = '0.2';
+const audioPath = join(tempDir, 'episodio.mp3');
+const noIntroAudioPath = join(tempDir, 'sin-cortina.mp3');
+
+const segments = [
+  { start: 0, end: 4.2, text: 'Bienvenidos al programa', speaker: 'Conductor' },
+  { start: 4.2, end: 9.8, text: 'Hola, llamo por mi vecino', speaker: 'Llamante' },
+  { start: 9.8, end: 15.5, text: 'Cuéntenos qué pasó', speaker: 'Conductor' },
+  { start: 15.5, end: 21, text: 'Buenas noches, yo trabajo de taxista', speaker: 'Llamante' },
+  { start: 21, end: 26.4, text: 'Una historia increíble', speaker: 'Conductor' },
+];
+const fullTranscription = segments.map(segment => segment.text).join(' ');
+
+let separateCalls;
+
+// Análisis de audio guardados en temp (sin FFmpeg): cortina de entrada hasta 4.5 s y otra entre 15 y 16 s
+const analysis = {
+  duration: 26.4,
+  cues: [{ type: 'music', start: 0, end: 4.5 }, { type: 'music', start: 15, end: 16 }],
+  calls: [{ start: 4.5, end: 15 }, { start: 16, end: 26.4 }],
+};
+const noIntroAnalysis = {
+  duration: 26.4,
+  cues: [{ type: 'music', start: 15, end: 16 }],
+  calls: [{ start: 0, end: 15 }, { start: 16, end: 26.4 }],
+};
+
+/**
+ * Guarda el análisis de un audio como lo dejaría analyzeAudioCues
+ * @param {string} path - Audio del episodio
+ * @param {object} audioAnalysis - Análisis
+ * @param {object} settings - config.callSeparation.audio
+ */
+async function saveAnalysis(path, audioAnalysis, settings) {
+  await writeFile(path, `audio ${basename(path)}`);
+  const { size, mtimeMs } = await stat(path);
+  await writeFile(join(process.env.TEMP_PATH, `${basename(path, '.mp3')}.audio-cues.json`), JSON.stringify({
+    signature: { audioSize: size, audioModified: mtimeMs, settings: JSON.stringify(settings) },
+    analysis: audioAnalysis,
+  }), 'utf-8');
+}
+
+before(async () => {
+  // Bordes de la IA que no coinciden exactamente con los segmentos: se ajustan al validarlos
+  await writeFile(fixturesPath, JSON.stringify({
+    callSeparation: {
+      calls: [
+        { startTime: 4.5, endTime: 15, title: 'El vecino', name: 'Pedro', age: 40, topic: 'Vecinos', tags: ['vecino'] },
+        { startTime: 16, endTime: 26.4, title: 'El taxista', name: null, age: null, topic: 'Trabajo', tags: ['taxi'] },
+        { startTime: 30, endTime: 40, title: 'Fuera del audio' },
+      ],
+    },
+  }), 'utf-8');
+  ({ separateCalls } = await import('../src/services/callSeparationService.js'));
+
+  const { default: config } = await import('../src/config/config.js');
+  await saveAnalysis(audioPath, analysis, config.callSeparation.audio);
+  await saveAnalysis(noIntroAudioPath, noIntroAnalysis, config.callSeparation.audio);
+});
+
+test('separa las llamadas del LLM y ajusta sus bordes a los segmentos', async () => {
+  const calls = await separateCalls(segments, fullTranscription, 1, 1, 'test-video');
+
+  assert.equal(calls.length, 2);
+  assert.deepEqual(calls.map(call => [call.start, call.end]), [[4.2, 15.5], [15.5, 26.4]]);
+  assert.deepEqual(calls.map(call => call.title), ['El vecino', 'El taxista']);
+  assert.equal(calls[0].name, 'Pedro');
+  assert.deepEqual(calls[1].tags, ['taxi']);
+  assert.ok(calls.every(call => call.separationMethod === 'llm'));
+  assert.ok(calls.every(call => call.audioCheck === null));
+});
+
+test('conserva los speakers de cada llamada', async () => {
+  const [firstCall] = await separateCalls(segments, fullTranscription, 1, 1, 'test-video');
+
+  assert.match(firstCall.transcription, /^\[Llamante\] Hola, llamo por mi vecino/);
+  assert.deepEqual([...firstCall.speakers].sort(), ['Conductor', 'Llamante']);
+});
+
+test('verifica con el audio los bordes del LLM antes de ajustarlos a los segmentos', async () => {
+  const calls = await separateCalls(segments, fullTranscription, 1, 1, 'test-video', false, null, audioPath);
+
+  assert.deepEqual(calls.map(call => [call.start, call.end]), [[4.2, 15.5], [15.5, 26.4]]);
+  assert.ok(calls.every(call => call.audioCheck.agrees));
+  assert.deepEqual(calls.map(call => [call.audioCheck.startOffset, call.audioCheck.endOffset]), [[0, 0], [0, 0]]);
+});
+
+test('marca los bordes del LLM que no coinciden con el audio', async () => {
+  const [firstCall, secondCall] = await separateCalls(segments, fullTranscription, 1, 1, 'test-video', false, null, noIntroAudioPath);
+
+  assert.equal(firstCall.separationMethod, 'llm');
+  assert.equal(firstCall.audioCheck.agrees, false);
+  assert.equal(firstCall.audioCheck.startOffset, 4.5);
+  assert.match(firstCall.audioCheck.issues[0], /El inicio está a 4.5s/);
+  assert.equal(secondCall.audioCheck.agrees, true);
+});
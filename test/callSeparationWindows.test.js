@@ -0,0 +1,61 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempStorage } from './helpers/testStorage.js';
+
+// Unión de las llamadas encontradas en ventanas solapadas (bordes de ventana a 5 líneas)
+await useTempStorage('windows');
+process.env.CALL_SEPARATION_OVERLAP_LINES = '20';
+
+const windows = [
+  { index: 0, firstLine: 1, lastLine: 100 },
+  { index: 1, firstLine: 81, lastLine: 180 },
+];
+
+let mergeWindowCalls;
+
+before(async () => {
+  ({ mergeWindowCalls } = await import('../src/services/callSeparationService.js'));
+});
+
+test('combina una llamada cortada por el borde con su continuación en la ventana siguiente', () => {
+  const calls = mergeWindowCalls([
+    { window: windows[0], calls: [
+      { start: 1, end: 60, startTime: 0, endTime: 600, title: 'Primera', tags: [] },
+      { start: 70, end: 100, startTime: 700, endTime: 1000, title: 'Corta', name: 'Ana', startText: 'Aló', tags: ['vecinos'] },
+    ] },
+    { window: windows[1], calls: [
+      { start: 81, end: 130, startTime: 800, endTime: 1300, title: 'Completa', name: null, endText: 'Chao', tags: ['vecinos', 'humor'] },
+      { start: 140, end: 180, startTime: 1400, endTime: 1800, title: 'Última', tags: [] },
+    ] },
+  ], windows);
+
+  assert.deepEqual(calls.map(call => call.title), ['Primera', 'Completa', 'Última']);
+  const merged = calls[1];
+  assert.deepEqual([merged.start, merged.end, merged.startTime, merged.endTime], [70, 130, 700, 1300]);
+  // Metadatos de la versión más larga, sin pisar con valores vacíos los de la otra
+  assert.equal(merged.name, 'Ana');
+  assert.equal(merged.startText, 'Aló');
+  assert.equal(merged.endText, 'Chao');
+  assert.deepEqual(merged.tags, ['vecinos', 'humor']);
+  assert.ok(calls.every(call => !('windows' in call) && !('touchesStart' in call) && !('touchesEnd' in call)));
+});
+
+test('no combina llamadas de la misma ventana aunque se superpongan', () => {
+  const calls = mergeWindowCalls([
+    { window: windows[0], calls: [
+      { start: 10, end: 40, startTime: 100, endTime: 400, title: 'A' },
+      { start: 38, end: 60, startTime: 380, endTime: 600, title: 'B' },
+    ] },
+  ], windows);
+
+  assert.deepEqual(calls.map(call => call.title), ['A', 'B']);
+});
+
+test('no combina llamadas de ventanas vecinas que no se superponen ni tocan el borde', () => {
+  const calls = mergeWindowCalls([
+    { window: windows[0], calls: [{ start: 20, end: 50, startTime: 200, endTime: 500, title: 'A' }] },
+    { window: windows[1], calls: [{ start: 120, end: 150, startTime: 1200, endTime: 1500, title: 'B' }] },
+  ], windows);
+
+  assert.deepEqual(calls.map(call => [call.title, call.startTime]), [['A', 200], ['B', 1200]]);
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeCaptionSegments } from '../src/services/captionNormalizerService.js';
+
+// Normalización de subtítulos de YouTube (pausa de 0.8 s, subtítulos de hasta 8 s y 24 palabras por defecto)
+
+test('une las repeticiones de los subtítulos automáticos y descarta las transiciones', () => {
+  const cues = normalizeCaptionSegments([
+    { start: 0, end: 2, text: 'hola buenas noches' },
+    { start: 2, end: 2.01, text: 'hola buenas noches' },
+    { start: 2, end: 4, text: 'hola buenas noches\ncon quién hablo' },
+    { start: 5, end: 7, text: 'con pedro de maipú' },
+  ]);
+
+  assert.deepEqual(cues, [
+    { start: 0, end: 4, text: 'Hola buenas noches con quién hablo.' },
+    { start: 5, end: 7, text: 'Con pedro de maipú.' },
+  ]);
+});
+
+test('corta en los cambios de speaker aunque no haya pausa', () => {
+  const cues = normalizeCaptionSegments([
+    { start: 0, end: 2, text: 'hola buenas noches' },
+    { start: 2, end: 4, text: '>> quién habla' },
+  ]);
+
+  assert.deepEqual(cues.map(cue => cue.text), ['Hola buenas noches.', '¿Quién habla?']);
+  assert.equal(cues[1].start, 2);
+});
+
+test('quita anotaciones, etiquetas y entidades', () => {
+  const cues = normalizeCaptionSegments([
+    { start: 0, end: 1, text: '[Música]' },
+    { start: 1, end: 3, text: '<c>qué</c> le pasó &amp; cuándo' },
+  ]);
+
+  assert.deepEqual(cues, [{ start: 1, end: 3, text: '¿Qué le pasó & cuándo?' }]);
+});
+
+test('con puntuación corta por oración y no agrega signos', () => {
+  const cues = normalizeCaptionSegments([
+    { start: 0, end: 3, text: 'Aló. ¿Con quién hablo?' },
+    { start: 3, end: 5, text: 'Con Pedro, de Maipú.' },
+  ]);
+
+  assert.deepEqual(cues.map(cue => cue.text), ['Aló.', '¿Con quién hablo?', 'Con Pedro, de Maipú.']);
+  assert.deepEqual(cues.map(cue => cue.end), [0.75, 3, 5]);
+});
+
+test('divide los subtítulos que superan el máximo de palabras sin cerrar la oración', () => {
+  const words = Array.from({ length: 30 }, (_, index) => `p${index}`);
+  const cues = normalizeCaptionSegments([{ start: 0, end: 9, text: words.join(' ') }]);
+
+  assert.equal(cues.length, 2);
+  assert.equal(cues[0].text, `P0 ${words.slice(1, 24).join(' ')}`);
+  assert.equal(cues[1].text, `${words.slice(24).join(' ')}.`);
+  assert.equal(cues[1].end, 9);
+});
+
+test('sin subtítulos con texto no devuelve nada', () => {
+  assert.deepEqual(normalizeCaptionSegments([{ start: 0, end: 1, text: '[Aplausos]' }]), []);
+  assert.deepEqual(normalizeCaptionSegments(null), []);
+});
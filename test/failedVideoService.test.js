@@ -0,0 +1,47 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempStorage } from './helpers/testStorage.js';
+
+// Clasificación de los errores de procesamiento de videos (define la política de reintento)
+await useTempStorage('failed');
+
+let classifyVideoError;
+
+before(async () => {
+  ({ classifyVideoError } = await import('../src/services/failedVideoService.js'));
+});
+
+test('clasifica los mensajes de yt-dlp y los propios', () => {
+  const cases = [
+    ['ERROR: [youtube] abc: Sign in to confirm your age. This video may be inappropriate for some users.', 'age_restricted'],
+    ['El video requiere autenticación (verificación de edad)', 'age_restricted'],
+    ['ERROR: [youtube] abc: Private video. Sign in if you\'ve been granted access to this video', 'private'],
+    ['ERROR: [youtube] abc: Join this channel to get access to members-only content', 'private'],
+    ['ERROR: [youtube] abc: Video unavailable. This video has been removed by the uploader', 'removed'],
+    ['No se encontraron subtítulos para el video', 'transcription_missing'],
+    ['Límite de tasa excedido en la API de OpenAI', 'ai_error'],
+    ['Respuesta del LLM sin JSON válido', 'ai_error'],
+    ['read ECONNRESET', 'network'],
+    ['ERROR: unable to download video data: HTTP Error 403: Forbidden', 'network'],
+    ['Algo inesperado', 'unknown'],
+  ];
+
+  for (const [message, errorClass] of cases) {
+    assert.equal(classifyVideoError(message), errorClass, message);
+  }
+});
+
+test('la regla más específica gana cuando coinciden varias', () => {
+  // yt-dlp informa "Video unavailable" también para videos privados o con restricción de edad
+  assert.equal(classifyVideoError('ERROR: Video unavailable. This video is private'), 'private');
+  assert.equal(classifyVideoError('Video unavailable: Sign in to confirm your age'), 'age_restricted');
+  // Un 429 es límite de tasa, no un error de red
+  assert.equal(classifyVideoError('ERROR: HTTP Error 429: Too Many Requests'), 'ai_error');
+});
+
+test('no clasifica por palabras sueltas dentro de otras', () => {
+  assert.equal(classifyVideoError('Título: "Mi vecino privateer y el ECONNRESETS"'), 'unknown');
+  assert.equal(classifyVideoError('El título menciona "stage restricted" y "Timeout: la novela"'), 'unknown');
+  assert.equal(classifyVideoError(''), 'unknown');
+  assert.equal(classifyVideoError(null), 'unknown');
+});
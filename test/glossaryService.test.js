@@ -0,0 +1,57 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempStorage } from './helpers/testStorage.js';
+
+// Corrección de transcripciones con los glosarios del programa
+await useTempStorage('glossary');
+
+let correctSegments;
+let buildGlossaryPrompt;
+
+const glossaries = [{
+  terms: [
+    { term: 'Baca', variants: [], phonetic: false },
+    { term: 'Chacotero', variants: ['chacotedo'], phonetic: true },
+  ],
+}];
+
+before(async () => {
+  ({ correctSegments, buildGlossaryPrompt } = await import('../src/services/glossaryService.js'));
+});
+
+test('no reescribe palabras comunes que solo suenan como un término sin parecido fonético', () => {
+  const segments = [{ start: 0, end: 2, text: 'se le escapó la vaca', speaker: 'Llamante' }];
+
+  const result = correctSegments(segments, glossaries);
+
+  assert.equal(result.segments[0].text, 'se le escapó la vaca');
+  assert.strictEqual(result.segments[0], segments[0]);
+  assert.deepEqual(result.corrections, []);
+});
+
+test('corrige variantes, mayúsculas y parecidos fonéticos y los reporta', () => {
+  const segments = [
+    { start: 0, end: 2, text: 'Llamo al chacotedo' },
+    { start: 2, end: 4, text: 'saludos al chacoteró y a baca' },
+  ];
+
+  const result = correctSegments(segments, glossaries);
+
+  assert.deepEqual(result.segments.map(segment => segment.text), ['Llamo al Chacotero', 'saludos al Chacotero y a Baca']);
+  assert.equal(result.segments[0].start, 0);
+  assert.deepEqual(
+    result.corrections.map(({ term, from, count }) => [term, from, count]).sort(),
+    [['Baca', 'baca', 1], ['Chacotero', 'chacotedo', 1], ['Chacotero', 'chacoteró', 1]]
+  );
+});
+
+test('sin glosarios devuelve los segmentos sin cambios', () => {
+  const segments = [{ text: 'la vaca' }];
+
+  assert.deepEqual(correctSegments(segments, []), { segments, corrections: [] });
+});
+
+test('arma el prompt inicial con los términos', () => {
+  assert.equal(buildGlossaryPrompt(glossaries), 'Baca, Chacotero.');
+  assert.equal(buildGlossaryPrompt([]), null);
+});
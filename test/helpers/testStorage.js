@@ -0,0 +1,30 @@
+import { after } from 'node:test';
+import { mkdtemp, mkdir, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+/**
+ * Apunta el almacenamiento (STORAGE_PATH, CALLS_PATH, TEMP_PATH, LOGS_PATH) a una carpeta temporal
+ * que se borra al terminar el archivo de pruebas. Se debe llamar antes de importar los servicios:
+ * config.js lee las variables de entorno al cargarse
+ * @param {string} name - Nombre de la prueba (prefijo de la carpeta)
+ * @returns {Promise<string>} - Ruta de la carpeta temporal
+ */
+export async function useTempStorage(name) {
+  const tempDir = await mkdtemp(join(tmpdir(), `chacotero-${name}-`));
+  const paths = {
+    STORAGE_PATH: join(tempDir, 'storage'),
+    CALLS_PATH: join(tempDir, 'calls'),
+    TEMP_PATH: join(tempDir, 'temp'),
+    LOGS_PATH: join(tempDir, 'logs'),
+  };
+  for (const [variable, path] of Object.entries(paths)) {
+    await mkdir(path, { recursive: true });
+    process.env[variable] = path;
+  }
+
+  after(async () => {
+    await rm(tempDir, { recursive: true, force: true });
+  });
+  return tempDir;
+}
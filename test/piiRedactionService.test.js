@@ -0,0 +1,92 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempStorage } from './helpers/testStorage.js';
+
+// Censura de datos personales en los segmentos y rangos de audio a censurar
+await useTempStorage('pii');
+process.env.PII_MASK = '[censurado]';
+process.env.PII_PADDING_SECONDS = '0.15';
+
+let maskSegments;
+let getRedactionRanges;
+
+before(async () => {
+  ({ maskSegments, getRedactionRanges } = await import('../src/services/piiRedactionService.js'));
+});
+
+const words = [
+  { word: ' me', start: 0, end: 0.2 },
+  { word: ' llamo', start: 0.2, end: 0.5 },
+  { word: ' Juan', start: 0.5, end: 0.8 },
+  { word: ' Pérez', start: 0.8, end: 1.1 },
+  { word: ' de', start: 1.1, end: 1.3 },
+  { word: ' Maipú', start: 1.3, end: 1.8 },
+];
+
+test('censura por posición y une las palabras del dato en una sola', () => {
+  const segments = [
+    { start: 0, end: 1.8, text: 'me llamo Juan Pérez de Maipú', words },
+    { start: 2, end: 3, text: 'buenas noches' },
+  ];
+  const hits = [
+    { field: 'transcript', segmentIndex: 0, charStart: 9, charEnd: 19, text: 'Juan Pérez', start: 0.5, end: 1.1 },
+    { field: 'transcript', segmentIndex: 0, charStart: 23, charEnd: 28, text: 'Maipú', start: 1.3, end: 1.8 },
+  ];
+
+  const result = maskSegments(segments, hits);
+
+  assert.equal(result.count, 2);
+  assert.equal(result.segments[0].text, 'me llamo [censurado] de [censurado]');
+  assert.deepEqual(result.segments[0].words, [
+    { word: ' me', start: 0, end: 0.2 },
+    { word: ' llamo', start: 0.2, end: 0.5 },
+    { word: ' [censurado]', start: 0.5, end: 1.1 },
+    { word: ' de', start: 1.1, end: 1.3 },
+    { word: ' [censurado]', start: 1.3, end: 1.8 },
+  ]);
+  assert.equal(result.segments[1], segments[1]);
+  assert.equal(segments[0].text, 'me llamo Juan Pérez de Maipú');
+});
+
+test('busca el dato cuando el texto cambió desde el escaneo', () => {
+  const segments = [
+    { start: 0, end: 2, text: 'ahora sí, JUAN PÉREZ al aire' },
+    { start: 2, end: 3, text: 'hola Pedro' },
+  ];
+  const hits = [
+    { field: 'transcript', segmentIndex: 0, charStart: 0, charEnd: 10, text: 'Juan Pérez', start: null, end: null },
+    { field: 'transcript', segmentIndex: 1, charStart: 5, charEnd: 10, text: 'Pedrito', start: null, end: null },
+  ];
+
+  const result = maskSegments(segments, hits);
+
+  assert.equal(result.count, 1);
+  assert.equal(result.segments[0].text, 'ahora sí, [censurado] al aire');
+  assert.equal(result.segments[1], segments[1]);
+});
+
+test('ignora los datos de otros campos', () => {
+  const segments = [{ start: 0, end: 1.8, text: 'me llamo Juan Pérez de Maipú', words }];
+  const hits = [{ field: 'summary', segmentIndex: 0, charStart: 9, charEnd: 19, text: 'Juan Pérez', start: 0.5, end: 1.1 }];
+
+  const result = maskSegments(segments, hits);
+
+  assert.equal(result.count, 0);
+  assert.equal(result.segments[0], segments[0]);
+});
+
+test('agrega el margen, no baja de 0 y une los rangos superpuestos', () => {
+  const ranges = getRedactionRanges([
+    { field: 'transcript', start: 3, end: 3.5 },
+    { field: 'transcript', start: 0.05, end: 0.4 },
+    { field: 'transcript', start: 0.5, end: 0.9 },
+    { field: 'summary', start: 1.5, end: 2 },
+    { field: 'transcript', start: null, end: null },
+  ]);
+
+  assert.deepEqual(ranges, [
+    { start: 0, end: 1.05 },
+    { start: 2.85, end: 3.65 },
+  ]);
+  assert.deepEqual(getRedactionRanges([]), []);
+});
@@ -0,0 +1,93 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdir, writeFile, readFile } from 'fs/promises';
+import { join } from 'path';
+import { pathToFileURL } from 'url';
+import { useTempStorage } from './helpers/testStorage.js';
+
+// Ingesta de un feed de podcast local (audios MP3 junto al feed, sin red ni ffmpeg)
+const tempDir = await useTempStorage('podcast');
+
+const feedDir = join(tempDir, 'feed');
+const feedPath = join(feedDir, 'feed.xml');
+const outsidePath = join(tempDir, 'secreto.mp3');
+
+const FEED_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd">
+  <channel>
+    <title>El Chacotero Sentimental</title>
+    <item>
+      <title>Episodio 1</title>
+      <guid>ep-1</guid>
+      <pubDate>Mon, 06 Jan 2025 22:00:00 GMT</pubDate>
+      <enclosure url="audio/ep1.mp3" type="audio/mpeg" length="11"/>
+    </item>
+    <item>
+      <title>Episodio 2</title>
+      <guid>ep-2</guid>
+      <enclosure url="${pathToFileURL(join(feedDir, 'audio', 'ep2.mp3')).href}" type="audio/mpeg"/>
+    </item>
+    <item>
+      <title>Fuera de la carpeta</title>
+      <guid>ep-3</guid>
+      <enclosure url="../secreto.mp3" type="audio/mpeg"/>
+    </item>
+    <item>
+      <title>Ruta absoluta</title>
+      <guid>ep-4</guid>
+      <enclosure url="${outsidePath}" type="audio/mpeg"/>
+    </item>
+  </channel>
+</rss>`;
+
+let podcastService;
+
+before(async () => {
+  await mkdir(join(feedDir, 'audio'), { recursive: true });
+  await writeFile(join(feedDir, 'audio', 'ep1.mp3'), 'audio ep1 mp3');
+  await writeFile(join(feedDir, 'audio', 'ep2.mp3'), 'audio ep2 mp3');
+  await writeFile(outsidePath, 'no se debe copiar');
+  await writeFile(feedPath, FEED_XML, 'utf-8');
+  podcastService = await import('../src/services/podcastService.js');
+});
+
+test('lista los episodios de un feed local y omite los audios fuera de su carpeta', async () => {
+  const feed = await podcastService.getPodcastEpisodes(feedPath);
+
+  assert.equal(feed.title, 'El Chacotero Sentimental');
+  assert.deepEqual(feed.episodes.map(episode => episode.guid), ['ep-1', 'ep-2']);
+  assert.equal(feed.episodes[0].enclosureUrl, pathToFileURL(join(feedDir, 'audio', 'ep1.mp3')).href);
+  assert.equal(feed.episodes[0].uploadDate, '2025-01-06');
+});
+
+test('copia el audio de un episodio local a temp', async () => {
+  const { episodes } = await podcastService.getPodcastEpisodes(feedPath);
+
+  const audioPath = await podcastService.downloadEpisodeAudio(episodes[0]);
+
+  assert.equal(audioPath, join(process.env.TEMP_PATH, `${episodes[0].episodeId}.mp3`));
+  assert.equal(await readFile(audioPath, 'utf-8'), 'audio ep1 mp3');
+});
+
+test('no copia audios locales de episodios sin carpeta de feed local', async () => {
+  const episode = { episodeId: 'remoto', enclosureUrl: pathToFileURL(outsidePath).href, feedDirectory: null };
+
+  await assert.rejects(podcastService.downloadEpisodeAudio(episode), /no está en la carpeta del feed local/);
+});
+
+test('un feed remoto no admite audios locales', () => {
+  const xml = FEED_XML.replace('audio/ep1.mp3', '/etc/passwd');
+  const feed = podcastService.parsePodcastFeed(xml, 'https://example.com/podcast/feed.xml');
+
+  assert.deepEqual(feed.episodes.map(episode => episode.enclosureUrl), ['https://example.com/secreto.mp3']);
+});
+
+test('registra los episodios procesados en el índice del feed', async () => {
+  const { episodes } = await podcastService.getPodcastEpisodes(feedPath);
+
+  await podcastService.addEpisodeToPodcastIndex(feedPath, episodes[1]);
+  const index = await podcastService.loadPodcastIndex(feedPath);
+
+  assert.deepEqual([...index.keys()], [episodes[1].episodeId]);
+  assert.equal(index.get(episodes[1].episodeId).guid, 'ep-2');
+});
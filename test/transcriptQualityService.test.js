@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scoreTranscript } from '../src/services/transcriptQualityService.js';
+
+// Puntaje de calidad de una transcripción (cobertura 0.7, segmentos de 1 a 30 s por defecto)
+
+/**
+ * Segmentos consecutivos de la misma duración
+ * @param {Array<string>} texts - Texto de cada segmento
+ * @param {number} seconds - Duración de cada segmento
+ * @returns {Array<object>}
+ */
+function buildSegments(texts, seconds = 3) {
+  return texts.map((text, index) => ({ start: index * seconds, end: (index + 1) * seconds, text }));
+}
+
+const CONVERSATION = ['Aló, buenas noches', 'Buenas noches, ¿con quién hablo?', 'Con Pedro, de Maipú', 'Cuéntenos, Pedro', 'Mi vecino tiene un gallo', 'Y canta a las tres de la mañana'];
+
+test('una transcripción completa y sin repeticiones tiene puntaje 1', () => {
+  const result = scoreTranscript(buildSegments(CONVERSATION), 24);
+
+  assert.deepEqual(result, { score: 1, coverage: 0.75, repeatedLineRatio: 0, averageSegmentSeconds: 3, segmentCount: 6 });
+});
+
+test('un bucle de líneas repetidas baja el puntaje aunque cambien la puntuación y el speaker', () => {
+  const loop = ['[Llamante] Gracias por ver el video.', 'gracias por ver el video', '[Conductor] ¡Gracias por ver el video!'];
+  const result = scoreTranscript(buildSegments([...CONVERSATION.slice(0, 3), ...loop]), 18);
+
+  assert.equal(result.repeatedLineRatio, 0.333);
+  assert.equal(result.score, 0.667);
+});
+
+test('la cobertura une los segmentos solapados y se compara con la cobertura esperada', () => {
+  const overlapping = [
+    { start: 0, end: 10, text: 'Primera parte' },
+    { start: 5, end: 15, text: 'Segunda parte' },
+  ];
+  assert.equal(scoreTranscript(overlapping, 20).coverage, 0.75);
+
+  const result = scoreTranscript(buildSegments(['Hola', 'Chao'], 5), 100);
+  assert.equal(result.coverage, 0.1);
+  assert.equal(result.score, 0.143);
+});
+
+test('los segmentos demasiado largos o cortos bajan el puntaje', () => {
+  assert.equal(scoreTranscript(buildSegments(CONVERSATION.slice(0, 2), 60)).score, 0.5);
+  assert.equal(scoreTranscript(buildSegments(CONVERSATION, 0.5)).score, 0.5);
+});
+
+test('sin duración del audio no se evalúa la cobertura y sin texto el puntaje es 0', () => {
+  assert.equal(scoreTranscript(buildSegments(CONVERSATION)).coverage, null);
+  assert.deepEqual(scoreTranscript([{ start: 0, end: 2, text: '  ' }], 10), { score: 0, coverage: 0, repeatedLineRatio: 0, averageSegmentSeconds: 0, segmentCount: 0 });
+  assert.equal(scoreTranscript(null).coverage, null);
+});
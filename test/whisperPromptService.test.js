@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeWhisperPrompt, buildPromptedGenerationConfig, stripPromptFromOutputs } from '../src/services/whisperPromptService.js';
+
+// Prompt inicial de Whisper local (sin cargar el modelo)
+const START_OF_PREV_ID = 50361;
+const tokenizer = {
+  encode: (text, pair, { add_special_tokens }) => {
+    assert.equal(add_special_tokens, false);
+    return text.split(' ').map((word, index) => (word ? 1000 + index : 220));
+  },
+  model: { convert_tokens_to_ids: tokens => tokens.map(token => (token === '<|startofprev|>' ? START_OF_PREV_ID : 0)) },
+};
+
+/**
+ * Tensor mínimo [capas, cabezas, tokens, frames] con slice por filas como el de transformers.js
+ * @param {Array<number>} rows - Una marca por fila de tokens
+ * @returns {object}
+ */
+function fakeAttention(rows) {
+  return {
+    rows,
+    dims: [1, 1, rows.length, 10],
+    slice(...ranges) {
+      const [from, to] = ranges[2];
+      return fakeAttention(rows.slice(from, to));
+    },
+  };
+}
+
+test('tokeniza el prompt después de <|startofprev|> y conserva los últimos tokens', () => {
+  assert.deepEqual(encodeWhisperPrompt(tokenizer, 'Baca, Chacotero.'), [START_OF_PREV_ID, 220, 1001, 1002]);
+
+  const longPrompt = Array.from({ length: 300 }, (_, index) => `t${index}`).join(' ');
+  const promptIds = encodeWhisperPrompt(tokenizer, longPrompt);
+  assert.equal(promptIds.length, 224);
+  assert.equal(promptIds[0], START_OF_PREV_ID);
+  assert.equal(promptIds.at(-1), 1300);
+});
+
+test('sin prompt no hay tokens', () => {
+  assert.equal(encodeWhisperPrompt(tokenizer, null), null);
+  assert.equal(encodeWhisperPrompt(tokenizer, '   '), null);
+});
+
+test('antepone el prompt a los tokens del decoder y corre los tokens forzados', () => {
+  const generationConfig = {
+    decoder_start_token_id: 50258,
+    forced_decoder_ids: [[1, 50262], [2, 50359]],
+    return_timestamps: true,
+    prompt_ids: [START_OF_PREV_ID, 1001],
+  };
+
+  const config = buildPromptedGenerationConfig(generationConfig, [START_OF_PREV_ID, 1001]);
+
+  assert.deepEqual(config.decoder_input_ids, [START_OF_PREV_ID, 1001, 50258]);
+  assert.deepEqual(config.forced_decoder_ids, [[3, 50262], [4, 50359]]);
+  assert.equal(config.prompt_ids, null);
+  assert.equal(config.return_timestamps, true);
+  assert.deepEqual(generationConfig.forced_decoder_ids, [[1, 50262], [2, 50359]]);
+});
+
+test('quita el prompt de las secuencias y de las atenciones del primer paso', () => {
+  assert.deepEqual(stripPromptFromOutputs([[7, 8, 50258, 50262, 400]], 2), [[50258, 50262, 400]]);
+
+  const outputs = stripPromptFromOutputs({
+    sequences: [[7, 8, 50258, 400, 401]],
+    cross_attentions: [[
+      [fakeAttention(['p1', 'p2', 'sot']), fakeAttention(['p1', 'p2', 'sot'])],
+      [fakeAttention(['400'])],
+    ]],
+  }, 2);
+
+  assert.deepEqual(outputs.sequences, [[50258, 400, 401]]);
+  assert.deepEqual(outputs.cross_attentions[0][0].map(attention => attention.rows), [['sot'], ['sot']]);
+  assert.deepEqual(outputs.cross_attentions[0][1][0].rows, ['400']);
+});
@@ -0,0 +1,102 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFile } from 'fs/promises';
+import { join } from 'path';
+import express from 'express';
+import { useTempStorage } from './helpers/testStorage.js';
+
+// Publicación de subtítulos contra un servidor local que imita la API de YouTube (YOUTUBE_API_ROOT_URL)
+const tempDir = await useTempStorage('captions');
+process.env.YOUTUBE_CREDENTIALS_PATH = join(tempDir, 'credentials.json');
+process.env.YOUTUBE_TOKEN_PATH = join(tempDir, 'token.json');
+
+const VIDEO_ID = 'abc123XYZ00';
+const SRT = '1\n00:00:00,000 --> 00:00:02,500\n[Llamante] Hola, buenas noches\n\n2\n00:00:02,500 --> 00:00:04,000\n[Conductor] Cuéntenos\nqué le pasó\n';
+
+// Pistas publicadas en el servidor de prueba (incluye una automática que no se debe reemplazar)
+const captions = [
+  { id: 'asr-track', snippet: { videoId: VIDEO_ID, language: 'es', name: '', trackKind: 'asr' } },
+];
+const requests = [];
+let server;
+let uploadCaptionsToYouTube;
+
+/**
+ * Extrae el snippet JSON y el contenido del archivo de un cuerpo multipart/related
+ * @param {Buffer} body - Cuerpo de la solicitud
+ * @returns {{resource: object, media: string}}
+ */
+function parseMultipart(body) {
+  const text = body.toString('utf-8');
+  const parts = text.split(/\r?\n--[^\r\n]+/).map(part => part.split(/\r?\n\r?\n/).slice(1).join('\n\n').trim());
+  const resourcePart = parts.find(part => part.startsWith('{'));
+  const mediaPart = parts.find(part => part.includes('-->'));
+  return { resource: resourcePart ? JSON.parse(resourcePart) : null, media: mediaPart || '' };
+}
+
+before(async () => {
+  const app = express();
+  app.use(express.raw({ type: () => true, limit: '5mb' }));
+  app.use((req, res, next) => {
+    requests.push({ method: req.method, path: req.path, authorization: req.headers.authorization });
+    next();
+  });
+  app.get('/youtube/v3/captions', (req, res) => {
+    res.json({ items: captions.filter(caption => caption.snippet.videoId === req.query.videoId) });
+  });
+  app.post('/upload/youtube/v3/captions', (req, res) => {
+    const { resource, media } = parseMultipart(req.body);
+    const caption = { id: `caption-${captions.length}`, snippet: { ...resource.snippet, trackKind: 'standard' }, media };
+    captions.push(caption);
+    res.json({ id: caption.id, snippet: caption.snippet });
+  });
+  app.put('/upload/youtube/v3/captions', (req, res) => {
+    const { resource, media } = parseMultipart(req.body);
+    const caption = captions.find(item => item.id === resource.id);
+    if (!caption) {
+      return res.status(404).json({ error: { code: 404, message: 'captionNotFound' } });
+    }
+    caption.media = media;
+    res.json({ id: caption.id, snippet: caption.snippet });
+  });
+
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  process.env.YOUTUBE_API_ROOT_URL = `http://127.0.0.1:${server.address().port}/`;
+
+  await writeFile(process.env.YOUTUBE_CREDENTIALS_PATH, JSON.stringify({
+    installed: { client_id: 'test-client', client_secret: 'test-secret', redirect_uris: ['http://localhost/callback'] },
+  }), 'utf-8');
+  await writeFile(process.env.YOUTUBE_TOKEN_PATH, JSON.stringify({ access_token: 'test-token', token_type: 'Bearer' }), 'utf-8');
+  await writeFile(join(tempDir, 'llamada.srt'), SRT, 'utf-8');
+
+  ({ uploadCaptionsToYouTube } = await import('../src/services/youtubeUploadService.js'));
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+test('publica el SRT sin etiquetas de speaker como una pista nueva sin tocar la automática', async () => {
+  const result = await uploadCaptionsToYouTube(VIDEO_ID, join(tempDir, 'llamada.srt'), { language: 'es', name: 'Español' });
+
+  assert.equal(result.action, 'inserted');
+  const caption = captions.find(item => item.id === result.captionId);
+  assert.equal(caption.snippet.language, 'es');
+  assert.equal(caption.snippet.name, 'Español');
+  assert.equal(caption.snippet.videoId, VIDEO_ID);
+  assert.equal(caption.media, '1\n00:00:00,000 --> 00:00:02,500\nHola, buenas noches\n\n2\n00:00:02,500 --> 00:00:04,000\nCuéntenos\nqué le pasó');
+  assert.doesNotMatch(caption.media, /\[(Llamante|Conductor)\]/);
+  assert.ok(requests.every(request => request.authorization === 'Bearer test-token'));
+});
+
+test('re-sincroniza la pista publicada con el mismo idioma y nombre', async () => {
+  await writeFile(join(tempDir, 'llamada.srt'), SRT.replace('Hola', 'Aló'), 'utf-8');
+
+  const result = await uploadCaptionsToYouTube(VIDEO_ID, join(tempDir, 'llamada.srt'), { language: 'es', name: 'Español' });
+
+  assert.equal(result.action, 'updated');
+  assert.equal(captions.filter(item => item.snippet.trackKind === 'standard').length, 1);
+  assert.match(captions.find(item => item.id === result.captionId).media, /Aló, buenas noches/);
+});